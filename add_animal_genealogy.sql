@@ -0,0 +1,37 @@
+-- Genealogía de animales: madre y padre (propio o externo, p.ej. toro de inseminación)
+-- Base del árbol genealógico y de los índices de desempeño individual
+
+ALTER TABLE animals
+  ADD COLUMN IF NOT EXISTS dam_id uuid REFERENCES animals(id) ON DELETE SET NULL,
+  ADD COLUMN IF NOT EXISTS sire_id uuid REFERENCES animals(id) ON DELETE SET NULL,
+  ADD COLUMN IF NOT EXISTS sire_name text;
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1
+    FROM pg_constraint
+    WHERE conname = 'animals_parents_check'
+  ) THEN
+    ALTER TABLE animals
+      ADD CONSTRAINT animals_parents_check
+      CHECK (
+        (dam_id IS NULL OR dam_id <> id)
+        AND (sire_id IS NULL OR sire_id <> id)
+        AND (dam_id IS NULL OR sire_id IS NULL OR dam_id <> sire_id)
+      );
+  END IF;
+END $$;
+
+CREATE INDEX IF NOT EXISTS idx_animals_dam ON animals(dam_id) WHERE dam_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_animals_sire ON animals(sire_id) WHERE sire_id IS NOT NULL;
+
+-- Crías ya registradas desde el módulo de reproducción
+UPDATE animals a
+SET dam_id = r.animal_id,
+    sire_id = COALESCE(a.sire_id, r.sire_id),
+    sire_name = COALESCE(a.sire_name, r.sire_name)
+FROM reproductive_events r
+WHERE r.event_type = 'CALVING'
+  AND r.calf_id = a.id
+  AND a.dam_id IS NULL;
@@ -0,0 +1,49 @@
+-- Balance general: vida útil de maquinaria para valor libros y cierres guardados para comparar períodos
+
+-- Depreciación lineal: (valor de compra - valor residual) / vida útil
+ALTER TABLE machinery
+  ADD COLUMN IF NOT EXISTS useful_life_years integer DEFAULT 10;
+
+ALTER TABLE machinery
+  ADD COLUMN IF NOT EXISTS residual_value numeric(14,2) DEFAULT 0;
+
+-- Cierres del balance general (foto de los saldos a la fecha de corte)
+CREATE TABLE IF NOT EXISTS balance_sheet_snapshots (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  firm_id uuid NOT NULL REFERENCES firms(id),
+  cut_date date NOT NULL,
+  currency text NOT NULL DEFAULT 'UYU',
+  total_assets numeric(16,2) NOT NULL DEFAULT 0,
+  total_liabilities numeric(16,2) NOT NULL DEFAULT 0,
+  equity numeric(16,2) NOT NULL DEFAULT 0,
+  data jsonb NOT NULL DEFAULT '{}'::jsonb,
+  notes text,
+  created_by uuid,
+  created_at timestamptz DEFAULT now()
+);
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1
+    FROM pg_constraint
+    WHERE conname = 'balance_sheet_snapshots_firm_date_currency_unique'
+  ) THEN
+    ALTER TABLE balance_sheet_snapshots
+      ADD CONSTRAINT balance_sheet_snapshots_firm_date_currency_unique
+      UNIQUE (firm_id, cut_date, currency);
+  END IF;
+END $$;
+
+CREATE INDEX IF NOT EXISTS idx_balance_sheet_snapshots_firm_date ON balance_sheet_snapshots(firm_id, cut_date DESC);
+
+ALTER TABLE balance_sheet_snapshots ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "balance_sheet_snapshots_select" ON balance_sheet_snapshots;
+CREATE POLICY "balance_sheet_snapshots_select" ON balance_sheet_snapshots FOR SELECT USING (true);
+DROP POLICY IF EXISTS "balance_sheet_snapshots_insert" ON balance_sheet_snapshots;
+CREATE POLICY "balance_sheet_snapshots_insert" ON balance_sheet_snapshots FOR INSERT WITH CHECK (true);
+DROP POLICY IF EXISTS "balance_sheet_snapshots_update" ON balance_sheet_snapshots;
+CREATE POLICY "balance_sheet_snapshots_update" ON balance_sheet_snapshots FOR UPDATE USING (true);
+DROP POLICY IF EXISTS "balance_sheet_snapshots_delete" ON balance_sheet_snapshots;
+CREATE POLICY "balance_sheet_snapshots_delete" ON balance_sheet_snapshots FOR DELETE USING (true);
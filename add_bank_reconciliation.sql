@@ -0,0 +1,175 @@
+-- Conciliación bancaria: extractos importados, líneas, layouts por banco y cierres de período
+
+-- Layouts de extracto configurables por firma (además de los predefinidos BROU / Itaú / Santander)
+CREATE TABLE IF NOT EXISTS bank_statement_layouts (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  firm_id uuid NOT NULL REFERENCES firms(id),
+  name text NOT NULL,
+  bank text,
+  config jsonb NOT NULL DEFAULT '{}'::jsonb,
+  created_by uuid,
+  created_at timestamptz DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_bank_statement_layouts_firm ON bank_statement_layouts(firm_id);
+
+-- Cierres de conciliación por cuenta y período
+CREATE TABLE IF NOT EXISTS bank_reconciliations (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  firm_id uuid NOT NULL REFERENCES firms(id),
+  account_id uuid NOT NULL REFERENCES financial_accounts(id),
+  period_start date NOT NULL,
+  period_end date NOT NULL,
+  statement_balance numeric(14,2),
+  book_balance numeric(14,2),
+  difference numeric(14,2),
+  matched_count integer NOT NULL DEFAULT 0,
+  unmatched_count integer NOT NULL DEFAULT 0,
+  notes text,
+  closed_by uuid,
+  closed_at timestamptz DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_bank_reconciliations_account ON bank_reconciliations(account_id, period_end DESC);
+
+-- Extractos importados
+CREATE TABLE IF NOT EXISTS bank_statements (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  firm_id uuid NOT NULL REFERENCES firms(id),
+  account_id uuid NOT NULL REFERENCES financial_accounts(id),
+  file_name text,
+  file_format text NOT NULL,
+  layout text,
+  period_start date,
+  period_end date,
+  closing_balance numeric(14,2),
+  lines_count integer NOT NULL DEFAULT 0,
+  imported_by uuid,
+  created_at timestamptz DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_bank_statements_account ON bank_statements(account_id);
+
+-- Líneas del extracto (monto con signo: + crédito, - débito)
+CREATE TABLE IF NOT EXISTS bank_statement_lines (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  statement_id uuid NOT NULL REFERENCES bank_statements(id) ON DELETE CASCADE,
+  firm_id uuid NOT NULL REFERENCES firms(id),
+  account_id uuid NOT NULL REFERENCES financial_accounts(id),
+  line_date date NOT NULL,
+  description text,
+  reference text,
+  amount numeric(14,2) NOT NULL,
+  balance numeric(14,2),
+  -- Orden del movimiento dentro del extracto (cronológico), para desempatar líneas del mismo día
+  line_number integer,
+  line_hash text NOT NULL,
+  status text NOT NULL DEFAULT 'unmatched',
+  payment_order_id uuid REFERENCES payment_orders(id),
+  income_id uuid REFERENCES income(id),
+  match_score integer,
+  matched_by uuid,
+  matched_at timestamptz,
+  reconciliation_id uuid REFERENCES bank_reconciliations(id),
+  created_at timestamptz DEFAULT now()
+);
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1
+    FROM pg_constraint
+    WHERE conname = 'bank_statement_lines_status_check'
+  ) THEN
+    ALTER TABLE bank_statement_lines
+      ADD CONSTRAINT bank_statement_lines_status_check
+      CHECK (status IN ('unmatched', 'matched', 'ignored'));
+  END IF;
+
+  -- Reimportar el mismo extracto no duplica líneas
+  IF NOT EXISTS (
+    SELECT 1
+    FROM pg_constraint
+    WHERE conname = 'bank_statement_lines_account_hash_unique'
+  ) THEN
+    ALTER TABLE bank_statement_lines
+      ADD CONSTRAINT bank_statement_lines_account_hash_unique
+      UNIQUE (account_id, line_hash);
+  END IF;
+END $$;
+
+CREATE INDEX IF NOT EXISTS idx_bank_statement_lines_account_date ON bank_statement_lines(account_id, line_date);
+CREATE INDEX IF NOT EXISTS idx_bank_statement_lines_status ON bank_statement_lines(account_id, status);
+
+-- Documentos conciliados quedan bloqueados
+ALTER TABLE payment_orders
+  ADD COLUMN IF NOT EXISTS bank_reconciliation_id uuid REFERENCES bank_reconciliations(id);
+
+ALTER TABLE income
+  ADD COLUMN IF NOT EXISTS bank_reconciliation_id uuid REFERENCES bank_reconciliations(id);
+
+ALTER TABLE income_payment_history
+  ADD COLUMN IF NOT EXISTS bank_reconciliation_id uuid REFERENCES bank_reconciliations(id);
+
+-- Cobro concreto emparejado (income_payment_history): un ingreso puede cobrarse en varias partes
+ALTER TABLE bank_statement_lines
+  ADD COLUMN IF NOT EXISTS income_payment_id uuid REFERENCES income_payment_history(id);
+
+ALTER TABLE bank_statement_lines
+  ADD COLUMN IF NOT EXISTS line_number integer;
+
+-- Las líneas de un período cerrado no se pueden modificar ni eliminar
+CREATE OR REPLACE FUNCTION prevent_reconciled_line_changes()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+BEGIN
+    IF OLD.reconciliation_id IS NOT NULL THEN
+        RAISE EXCEPTION 'La línea del extracto pertenece a una conciliación cerrada';
+    END IF;
+
+    IF TG_OP = 'DELETE' THEN
+        RETURN OLD;
+    END IF;
+    RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS trg_prevent_reconciled_line_changes ON bank_statement_lines;
+CREATE TRIGGER trg_prevent_reconciled_line_changes
+    BEFORE UPDATE OR DELETE ON bank_statement_lines
+    FOR EACH ROW
+    EXECUTE FUNCTION prevent_reconciled_line_changes();
+
+ALTER TABLE bank_statement_layouts ENABLE ROW LEVEL SECURITY;
+ALTER TABLE bank_reconciliations ENABLE ROW LEVEL SECURITY;
+ALTER TABLE bank_statements ENABLE ROW LEVEL SECURITY;
+ALTER TABLE bank_statement_lines ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "bank_statement_layouts_select" ON bank_statement_layouts;
+CREATE POLICY "bank_statement_layouts_select" ON bank_statement_layouts FOR SELECT USING (true);
+DROP POLICY IF EXISTS "bank_statement_layouts_insert" ON bank_statement_layouts;
+CREATE POLICY "bank_statement_layouts_insert" ON bank_statement_layouts FOR INSERT WITH CHECK (true);
+DROP POLICY IF EXISTS "bank_statement_layouts_delete" ON bank_statement_layouts;
+CREATE POLICY "bank_statement_layouts_delete" ON bank_statement_layouts FOR DELETE USING (true);
+
+DROP POLICY IF EXISTS "bank_reconciliations_select" ON bank_reconciliations;
+CREATE POLICY "bank_reconciliations_select" ON bank_reconciliations FOR SELECT USING (true);
+DROP POLICY IF EXISTS "bank_reconciliations_insert" ON bank_reconciliations;
+CREATE POLICY "bank_reconciliations_insert" ON bank_reconciliations FOR INSERT WITH CHECK (true);
+
+DROP POLICY IF EXISTS "bank_statements_select" ON bank_statements;
+CREATE POLICY "bank_statements_select" ON bank_statements FOR SELECT USING (true);
+DROP POLICY IF EXISTS "bank_statements_insert" ON bank_statements;
+CREATE POLICY "bank_statements_insert" ON bank_statements FOR INSERT WITH CHECK (true);
+DROP POLICY IF EXISTS "bank_statements_update" ON bank_statements;
+CREATE POLICY "bank_statements_update" ON bank_statements FOR UPDATE USING (true);
+
+DROP POLICY IF EXISTS "bank_statement_lines_select" ON bank_statement_lines;
+CREATE POLICY "bank_statement_lines_select" ON bank_statement_lines FOR SELECT USING (true);
+DROP POLICY IF EXISTS "bank_statement_lines_insert" ON bank_statement_lines;
+CREATE POLICY "bank_statement_lines_insert" ON bank_statement_lines FOR INSERT WITH CHECK (true);
+DROP POLICY IF EXISTS "bank_statement_lines_update" ON bank_statement_lines;
+CREATE POLICY "bank_statement_lines_update" ON bank_statement_lines FOR UPDATE USING (true);
+DROP POLICY IF EXISTS "bank_statement_lines_delete" ON bank_statement_lines;
+CREATE POLICY "bank_statement_lines_delete" ON bank_statement_lines FOR DELETE USING (true);
@@ -0,0 +1,81 @@
+-- Rotación de cultivos por lote
+-- Una fila por lote, año de campaña y estación (invierno / verano): cultivo, cultivo de cobertura
+-- o pradera con su edad. Las filas REALIZADO son historia, las PLANIFICADO el plan plurianual.
+
+CREATE TABLE IF NOT EXISTS lot_rotations (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  firm_id uuid NOT NULL REFERENCES firms(id),
+  premise_id uuid NOT NULL REFERENCES premises(id),
+  lot_id uuid NOT NULL REFERENCES lots(id),
+  campaign_id uuid REFERENCES campaigns(id),
+  -- Año de inicio de la campaña: 2025 = invierno 2025 + verano 2025/26
+  season_year integer NOT NULL,
+  season text NOT NULL,
+  crop text NOT NULL,
+  is_cover_crop boolean NOT NULL DEFAULT false,
+  pasture_age_years integer,
+  status text NOT NULL DEFAULT 'PLANIFICADO',
+  source text NOT NULL DEFAULT 'MANUAL',
+  harvest_id uuid REFERENCES harvests(id) ON DELETE SET NULL,
+  notes text,
+  created_by uuid,
+  created_at timestamptz DEFAULT now(),
+  updated_at timestamptz DEFAULT now()
+);
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1
+    FROM pg_constraint
+    WHERE conname = 'lot_rotations_lot_season_unique'
+  ) THEN
+    ALTER TABLE lot_rotations
+      ADD CONSTRAINT lot_rotations_lot_season_unique
+      UNIQUE (lot_id, season_year, season);
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1
+    FROM pg_constraint
+    WHERE conname = 'lot_rotations_season_check'
+  ) THEN
+    ALTER TABLE lot_rotations
+      ADD CONSTRAINT lot_rotations_season_check
+      CHECK (season IN ('INVIERNO', 'VERANO'));
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1
+    FROM pg_constraint
+    WHERE conname = 'lot_rotations_status_check'
+  ) THEN
+    ALTER TABLE lot_rotations
+      ADD CONSTRAINT lot_rotations_status_check
+      CHECK (status IN ('PLANIFICADO', 'REALIZADO'));
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1
+    FROM pg_constraint
+    WHERE conname = 'lot_rotations_source_check'
+  ) THEN
+    ALTER TABLE lot_rotations
+      ADD CONSTRAINT lot_rotations_source_check
+      CHECK (source IN ('MANUAL', 'COSECHA'));
+  END IF;
+END $$;
+
+CREATE INDEX IF NOT EXISTS idx_lot_rotations_premise_year ON lot_rotations(premise_id, season_year);
+CREATE INDEX IF NOT EXISTS idx_lot_rotations_lot ON lot_rotations(lot_id, season_year, season);
+
+ALTER TABLE lot_rotations ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "lot_rotations_select" ON lot_rotations;
+CREATE POLICY "lot_rotations_select" ON lot_rotations FOR SELECT USING (true);
+DROP POLICY IF EXISTS "lot_rotations_insert" ON lot_rotations;
+CREATE POLICY "lot_rotations_insert" ON lot_rotations FOR INSERT WITH CHECK (true);
+DROP POLICY IF EXISTS "lot_rotations_update" ON lot_rotations;
+CREATE POLICY "lot_rotations_update" ON lot_rotations FOR UPDATE USING (true);
+DROP POLICY IF EXISTS "lot_rotations_delete" ON lot_rotations;
+CREATE POLICY "lot_rotations_delete" ON lot_rotations FOR DELETE USING (true);
@@ -0,0 +1,60 @@
+-- Declaración jurada anual DICOSE (existencias al 30 de junio)
+-- Datos de titular y tenencia del predio, y registro de las declaraciones generadas
+
+ALTER TABLE premises
+  ADD COLUMN IF NOT EXISTS department text,
+  ADD COLUMN IF NOT EXISTS police_section text,
+  ADD COLUMN IF NOT EXISTS tenure_type text,
+  ADD COLUMN IF NOT EXISTS owner_name text,
+  ADD COLUMN IF NOT EXISTS owner_document text;
+
+CREATE TABLE IF NOT EXISTS dicose_declarations (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  firm_id uuid NOT NULL REFERENCES firms(id),
+  premise_id uuid NOT NULL REFERENCES premises(id),
+  declaration_year integer NOT NULL,
+  reference_date date NOT NULL,
+  dicose_number text,
+  data jsonb NOT NULL DEFAULT '{}'::jsonb,
+  validation jsonb NOT NULL DEFAULT '[]'::jsonb,
+  status text NOT NULL DEFAULT 'GENERATED',
+  file_name text,
+  created_by uuid,
+  created_at timestamptz DEFAULT now()
+);
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1
+    FROM pg_constraint
+    WHERE conname = 'premises_tenure_type_check'
+  ) THEN
+    ALTER TABLE premises
+      ADD CONSTRAINT premises_tenure_type_check
+      CHECK (tenure_type IS NULL OR tenure_type IN ('PROPIETARIO', 'ARRENDATARIO', 'MEDIANERO', 'PASTOREO', 'OCUPANTE', 'OTRO'));
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1
+    FROM pg_constraint
+    WHERE conname = 'dicose_declarations_status_check'
+  ) THEN
+    ALTER TABLE dicose_declarations
+      ADD CONSTRAINT dicose_declarations_status_check
+      CHECK (status IN ('GENERATED', 'SUBMITTED'));
+  END IF;
+END $$;
+
+CREATE INDEX IF NOT EXISTS idx_dicose_declarations_premise_year ON dicose_declarations(premise_id, declaration_year);
+
+ALTER TABLE dicose_declarations ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "dicose_declarations_select" ON dicose_declarations;
+CREATE POLICY "dicose_declarations_select" ON dicose_declarations FOR SELECT USING (true);
+DROP POLICY IF EXISTS "dicose_declarations_insert" ON dicose_declarations;
+CREATE POLICY "dicose_declarations_insert" ON dicose_declarations FOR INSERT WITH CHECK (true);
+DROP POLICY IF EXISTS "dicose_declarations_update" ON dicose_declarations;
+CREATE POLICY "dicose_declarations_update" ON dicose_declarations FOR UPDATE USING (true);
+DROP POLICY IF EXISTS "dicose_declarations_delete" ON dicose_declarations;
+CREATE POLICY "dicose_declarations_delete" ON dicose_declarations FOR DELETE USING (true);
@@ -0,0 +1,106 @@
+-- Multimoneda: tipos de cambio diarios (UYU/USD) y diferencias de cambio realizadas
+
+CREATE TABLE IF NOT EXISTS exchange_rates (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  firm_id uuid NOT NULL REFERENCES firms(id),
+  rate_date date NOT NULL,
+  currency text NOT NULL DEFAULT 'USD',
+  rate numeric(12,4) NOT NULL,
+  buy_rate numeric(12,4),
+  sell_rate numeric(12,4),
+  source text NOT NULL DEFAULT 'manual',
+  created_by uuid,
+  created_at timestamptz DEFAULT now()
+);
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1
+    FROM pg_constraint
+    WHERE conname = 'exchange_rates_source_check'
+  ) THEN
+    ALTER TABLE exchange_rates
+      ADD CONSTRAINT exchange_rates_source_check
+      CHECK (source IN ('manual', 'bcu_csv'));
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1
+    FROM pg_constraint
+    WHERE conname = 'exchange_rates_firm_date_currency_unique'
+  ) THEN
+    ALTER TABLE exchange_rates
+      ADD CONSTRAINT exchange_rates_firm_date_currency_unique
+      UNIQUE (firm_id, rate_date, currency);
+  END IF;
+END $$;
+
+CREATE INDEX IF NOT EXISTS idx_exchange_rates_firm_date ON exchange_rates(firm_id, rate_date DESC);
+
+-- Tipo de cambio (UYU por USD) vigente a la fecha de cada documento
+ALTER TABLE expenses
+  ADD COLUMN IF NOT EXISTS exchange_rate numeric(12,4);
+
+ALTER TABLE income
+  ADD COLUMN IF NOT EXISTS currency text DEFAULT 'UYU';
+
+ALTER TABLE income
+  ADD COLUMN IF NOT EXISTS exchange_rate numeric(12,4);
+
+ALTER TABLE payment_orders
+  ADD COLUMN IF NOT EXISTS exchange_rate numeric(12,4);
+
+ALTER TABLE sales
+  ADD COLUMN IF NOT EXISTS exchange_rate numeric(12,4);
+
+-- Diferencias de cambio realizadas al pagar facturas o cobrar ingresos en moneda extranjera
+CREATE TABLE IF NOT EXISTS fx_differences (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  firm_id uuid NOT NULL REFERENCES firms(id),
+  premise_id uuid REFERENCES premises(id),
+  document_type text NOT NULL,
+  document_id uuid NOT NULL,
+  payment_order_id uuid REFERENCES payment_orders(id),
+  payment_date date NOT NULL,
+  currency text NOT NULL,
+  amount numeric(14,2) NOT NULL,
+  document_rate numeric(12,4) NOT NULL,
+  payment_rate numeric(12,4) NOT NULL,
+  difference_uyu numeric(14,2) NOT NULL,
+  created_by uuid,
+  created_at timestamptz DEFAULT now()
+);
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1
+    FROM pg_constraint
+    WHERE conname = 'fx_differences_document_type_check'
+  ) THEN
+    ALTER TABLE fx_differences
+      ADD CONSTRAINT fx_differences_document_type_check
+      CHECK (document_type IN ('expense', 'income'));
+  END IF;
+END $$;
+
+CREATE INDEX IF NOT EXISTS idx_fx_differences_firm_date ON fx_differences(firm_id, payment_date);
+CREATE INDEX IF NOT EXISTS idx_fx_differences_premise ON fx_differences(premise_id);
+
+ALTER TABLE exchange_rates ENABLE ROW LEVEL SECURITY;
+ALTER TABLE fx_differences ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "exchange_rates_select" ON exchange_rates;
+CREATE POLICY "exchange_rates_select" ON exchange_rates FOR SELECT USING (true);
+DROP POLICY IF EXISTS "exchange_rates_insert" ON exchange_rates;
+CREATE POLICY "exchange_rates_insert" ON exchange_rates FOR INSERT WITH CHECK (true);
+DROP POLICY IF EXISTS "exchange_rates_update" ON exchange_rates;
+CREATE POLICY "exchange_rates_update" ON exchange_rates FOR UPDATE USING (true);
+DROP POLICY IF EXISTS "exchange_rates_delete" ON exchange_rates;
+CREATE POLICY "exchange_rates_delete" ON exchange_rates FOR DELETE USING (true);
+
+DROP POLICY IF EXISTS "fx_differences_select" ON fx_differences;
+CREATE POLICY "fx_differences_select" ON fx_differences FOR SELECT USING (true);
+DROP POLICY IF EXISTS "fx_differences_insert" ON fx_differences;
+CREATE POLICY "fx_differences_insert" ON fx_differences FOR INSERT WITH CHECK (true);
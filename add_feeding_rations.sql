@@ -0,0 +1,103 @@
+-- Raciones de encierre / suplementación y registros diarios de alimentación por rodeo
+-- Cada registro descuenta los ingredientes de inputs (input_movements tipo exit)
+-- y permite calcular consumo por cabeza, costo por kg ganado y conversión con los pesajes del rodeo
+
+-- Fórmulas de ración
+CREATE TABLE IF NOT EXISTS feed_rations (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  firm_id uuid NOT NULL REFERENCES firms(id),
+  premise_id uuid REFERENCES premises(id),
+  name text NOT NULL,
+  target_kg_dm_per_head numeric(8,2),
+  active boolean NOT NULL DEFAULT true,
+  notes text,
+  created_by uuid,
+  created_at timestamptz DEFAULT now()
+);
+
+-- Ingredientes: participación en base seca y % de materia seca del insumo
+CREATE TABLE IF NOT EXISTS feed_ration_ingredients (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  ration_id uuid NOT NULL REFERENCES feed_rations(id) ON DELETE CASCADE,
+  input_id uuid NOT NULL REFERENCES inputs(id),
+  dm_share_percent numeric(5,2) NOT NULL,
+  dry_matter_percent numeric(5,2) NOT NULL,
+  created_at timestamptz DEFAULT now()
+);
+
+-- Entregas diarias por rodeo
+CREATE TABLE IF NOT EXISTS feeding_records (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  firm_id uuid NOT NULL REFERENCES firms(id),
+  premise_id uuid NOT NULL REFERENCES premises(id),
+  herd_id uuid NOT NULL REFERENCES herds(id) ON DELETE CASCADE,
+  ration_id uuid NOT NULL REFERENCES feed_rations(id),
+  feed_date date NOT NULL,
+  heads integer NOT NULL,
+  total_kg_dm numeric(12,2) NOT NULL,
+  total_kg_as_fed numeric(12,2) NOT NULL,
+  total_cost numeric(14,2) NOT NULL DEFAULT 0,
+  items jsonb NOT NULL DEFAULT '[]'::jsonb,
+  notes text,
+  created_by uuid,
+  created_at timestamptz DEFAULT now()
+);
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1
+    FROM pg_constraint
+    WHERE conname = 'feed_ration_ingredients_share_check'
+  ) THEN
+    ALTER TABLE feed_ration_ingredients
+      ADD CONSTRAINT feed_ration_ingredients_share_check
+      CHECK (dm_share_percent > 0 AND dm_share_percent <= 100 AND dry_matter_percent > 0 AND dry_matter_percent <= 100);
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1
+    FROM pg_constraint
+    WHERE conname = 'feeding_records_quantities_check'
+  ) THEN
+    ALTER TABLE feeding_records
+      ADD CONSTRAINT feeding_records_quantities_check
+      CHECK (heads > 0 AND total_kg_dm > 0);
+  END IF;
+END $$;
+
+CREATE INDEX IF NOT EXISTS idx_feed_rations_firm ON feed_rations(firm_id);
+CREATE INDEX IF NOT EXISTS idx_feed_ration_ingredients_ration ON feed_ration_ingredients(ration_id);
+CREATE INDEX IF NOT EXISTS idx_feeding_records_herd_date ON feeding_records(herd_id, feed_date);
+CREATE INDEX IF NOT EXISTS idx_feeding_records_firm_date ON feeding_records(firm_id, feed_date);
+
+ALTER TABLE feed_rations ENABLE ROW LEVEL SECURITY;
+ALTER TABLE feed_ration_ingredients ENABLE ROW LEVEL SECURITY;
+ALTER TABLE feeding_records ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "feed_rations_select" ON feed_rations;
+CREATE POLICY "feed_rations_select" ON feed_rations FOR SELECT USING (true);
+DROP POLICY IF EXISTS "feed_rations_insert" ON feed_rations;
+CREATE POLICY "feed_rations_insert" ON feed_rations FOR INSERT WITH CHECK (true);
+DROP POLICY IF EXISTS "feed_rations_update" ON feed_rations;
+CREATE POLICY "feed_rations_update" ON feed_rations FOR UPDATE USING (true);
+DROP POLICY IF EXISTS "feed_rations_delete" ON feed_rations;
+CREATE POLICY "feed_rations_delete" ON feed_rations FOR DELETE USING (true);
+
+DROP POLICY IF EXISTS "feed_ration_ingredients_select" ON feed_ration_ingredients;
+CREATE POLICY "feed_ration_ingredients_select" ON feed_ration_ingredients FOR SELECT USING (true);
+DROP POLICY IF EXISTS "feed_ration_ingredients_insert" ON feed_ration_ingredients;
+CREATE POLICY "feed_ration_ingredients_insert" ON feed_ration_ingredients FOR INSERT WITH CHECK (true);
+DROP POLICY IF EXISTS "feed_ration_ingredients_update" ON feed_ration_ingredients;
+CREATE POLICY "feed_ration_ingredients_update" ON feed_ration_ingredients FOR UPDATE USING (true);
+DROP POLICY IF EXISTS "feed_ration_ingredients_delete" ON feed_ration_ingredients;
+CREATE POLICY "feed_ration_ingredients_delete" ON feed_ration_ingredients FOR DELETE USING (true);
+
+DROP POLICY IF EXISTS "feeding_records_select" ON feeding_records;
+CREATE POLICY "feeding_records_select" ON feeding_records FOR SELECT USING (true);
+DROP POLICY IF EXISTS "feeding_records_insert" ON feeding_records;
+CREATE POLICY "feeding_records_insert" ON feeding_records FOR INSERT WITH CHECK (true);
+DROP POLICY IF EXISTS "feeding_records_update" ON feeding_records;
+CREATE POLICY "feeding_records_update" ON feeding_records FOR UPDATE USING (true);
+DROP POLICY IF EXISTS "feeding_records_delete" ON feeding_records;
+CREATE POLICY "feeding_records_delete" ON feeding_records FOR DELETE USING (true);
@@ -0,0 +1,56 @@
+-- Planificación de pastoreo: movimientos de rodeos entre lotes programados a futuro
+-- Un movimiento planificado se convierte en un evento MOVE_INTERNAL pendiente de aprobación
+
+CREATE TABLE IF NOT EXISTS grazing_plan_moves (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  firm_id uuid NOT NULL REFERENCES firms(id),
+  premise_id uuid NOT NULL REFERENCES premises(id),
+  herd_id uuid NOT NULL REFERENCES herds(id) ON DELETE CASCADE,
+  from_lot_id uuid REFERENCES lots(id),
+  to_lot_id uuid NOT NULL REFERENCES lots(id),
+  planned_date date NOT NULL,
+  planned_days integer,
+  status text NOT NULL DEFAULT 'PLANNED',
+  event_id uuid REFERENCES herd_events(id) ON DELETE SET NULL,
+  notes text,
+  created_by uuid,
+  created_at timestamptz DEFAULT now()
+);
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1
+    FROM pg_constraint
+    WHERE conname = 'grazing_plan_moves_status_check'
+  ) THEN
+    ALTER TABLE grazing_plan_moves
+      ADD CONSTRAINT grazing_plan_moves_status_check
+      CHECK (status IN ('PLANNED', 'CONVERTED', 'CANCELLED'));
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1
+    FROM pg_constraint
+    WHERE conname = 'grazing_plan_moves_days_check'
+  ) THEN
+    ALTER TABLE grazing_plan_moves
+      ADD CONSTRAINT grazing_plan_moves_days_check
+      CHECK (planned_days IS NULL OR planned_days > 0);
+  END IF;
+END $$;
+
+CREATE INDEX IF NOT EXISTS idx_grazing_plan_moves_premise_date ON grazing_plan_moves(premise_id, planned_date);
+CREATE INDEX IF NOT EXISTS idx_grazing_plan_moves_herd ON grazing_plan_moves(herd_id);
+CREATE INDEX IF NOT EXISTS idx_herd_events_move_internal ON herd_events(premise_id, event_date) WHERE event_type = 'MOVE_INTERNAL';
+
+ALTER TABLE grazing_plan_moves ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "grazing_plan_moves_select" ON grazing_plan_moves;
+CREATE POLICY "grazing_plan_moves_select" ON grazing_plan_moves FOR SELECT USING (true);
+DROP POLICY IF EXISTS "grazing_plan_moves_insert" ON grazing_plan_moves;
+CREATE POLICY "grazing_plan_moves_insert" ON grazing_plan_moves FOR INSERT WITH CHECK (true);
+DROP POLICY IF EXISTS "grazing_plan_moves_update" ON grazing_plan_moves;
+CREATE POLICY "grazing_plan_moves_update" ON grazing_plan_moves FOR UPDATE USING (true);
+DROP POLICY IF EXISTS "grazing_plan_moves_delete" ON grazing_plan_moves;
+CREATE POLICY "grazing_plan_moves_delete" ON grazing_plan_moves FOR DELETE USING (true);
@@ -0,0 +1,103 @@
+-- Cosechas por lote y campaña
+-- Cabecera de cosecha con toneladas, humedad, merma y destino (silo bolsa, acopio, venta directa)
+-- y mapas de rendimiento importados del monitor de la cosechadora (puntos agregados en grilla)
+
+CREATE TABLE IF NOT EXISTS harvests (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  firm_id uuid NOT NULL REFERENCES firms(id),
+  premise_id uuid NOT NULL REFERENCES premises(id),
+  lot_id uuid NOT NULL REFERENCES lots(id),
+  campaign_id uuid REFERENCES campaigns(id),
+  crop text NOT NULL,
+  harvest_date date NOT NULL,
+  harvested_area_ha numeric(10,2) NOT NULL,
+  gross_tonnes numeric(12,3) NOT NULL,
+  moisture_percent numeric(5,2),
+  dockage_percent numeric(5,2) NOT NULL DEFAULT 0,
+  net_tonnes numeric(12,3) NOT NULL,
+  yield_kg_ha numeric(10,2) NOT NULL,
+  destination text NOT NULL,
+  destination_detail text,
+  price_per_tonne numeric(12,2),
+  currency text NOT NULL DEFAULT 'USD',
+  notes text,
+  created_by uuid,
+  created_at timestamptz DEFAULT now()
+);
+
+CREATE TABLE IF NOT EXISTS harvest_yield_maps (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  harvest_id uuid NOT NULL REFERENCES harvests(id) ON DELETE CASCADE,
+  lot_id uuid NOT NULL REFERENCES lots(id),
+  file_name text,
+  source_format text NOT NULL,
+  raw_points integer NOT NULL DEFAULT 0,
+  discarded_points integer NOT NULL DEFAULT 0,
+  cell_size_m numeric(6,2) NOT NULL,
+  -- [[lat, lng, kg_ha], ...] promedio por celda de la grilla
+  points jsonb NOT NULL DEFAULT '[]'::jsonb,
+  mean_yield_kg_ha numeric(10,2),
+  min_yield_kg_ha numeric(10,2),
+  max_yield_kg_ha numeric(10,2),
+  created_by uuid,
+  created_at timestamptz DEFAULT now()
+);
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1
+    FROM pg_constraint
+    WHERE conname = 'harvests_destination_check'
+  ) THEN
+    ALTER TABLE harvests
+      ADD CONSTRAINT harvests_destination_check
+      CHECK (destination IN ('SILO_BOLSA', 'ACOPIO', 'VENTA_DIRECTA'));
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1
+    FROM pg_constraint
+    WHERE conname = 'harvests_currency_check'
+  ) THEN
+    ALTER TABLE harvests
+      ADD CONSTRAINT harvests_currency_check
+      CHECK (currency IN ('UYU', 'USD'));
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1
+    FROM pg_constraint
+    WHERE conname = 'harvest_yield_maps_format_check'
+  ) THEN
+    ALTER TABLE harvest_yield_maps
+      ADD CONSTRAINT harvest_yield_maps_format_check
+      CHECK (source_format IN ('CSV', 'SHAPEFILE'));
+  END IF;
+END $$;
+
+CREATE INDEX IF NOT EXISTS idx_harvests_lot_date ON harvests(lot_id, harvest_date DESC);
+CREATE INDEX IF NOT EXISTS idx_harvests_premise_campaign ON harvests(premise_id, campaign_id);
+CREATE INDEX IF NOT EXISTS idx_harvest_yield_maps_harvest ON harvest_yield_maps(harvest_id);
+CREATE INDEX IF NOT EXISTS idx_harvest_yield_maps_lot ON harvest_yield_maps(lot_id, created_at DESC);
+
+ALTER TABLE harvests ENABLE ROW LEVEL SECURITY;
+ALTER TABLE harvest_yield_maps ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "harvests_select" ON harvests;
+CREATE POLICY "harvests_select" ON harvests FOR SELECT USING (true);
+DROP POLICY IF EXISTS "harvests_insert" ON harvests;
+CREATE POLICY "harvests_insert" ON harvests FOR INSERT WITH CHECK (true);
+DROP POLICY IF EXISTS "harvests_update" ON harvests;
+CREATE POLICY "harvests_update" ON harvests FOR UPDATE USING (true);
+DROP POLICY IF EXISTS "harvests_delete" ON harvests;
+CREATE POLICY "harvests_delete" ON harvests FOR DELETE USING (true);
+
+DROP POLICY IF EXISTS "harvest_yield_maps_select" ON harvest_yield_maps;
+CREATE POLICY "harvest_yield_maps_select" ON harvest_yield_maps FOR SELECT USING (true);
+DROP POLICY IF EXISTS "harvest_yield_maps_insert" ON harvest_yield_maps;
+CREATE POLICY "harvest_yield_maps_insert" ON harvest_yield_maps FOR INSERT WITH CHECK (true);
+DROP POLICY IF EXISTS "harvest_yield_maps_update" ON harvest_yield_maps;
+CREATE POLICY "harvest_yield_maps_update" ON harvest_yield_maps FOR UPDATE USING (true);
+DROP POLICY IF EXISTS "harvest_yield_maps_delete" ON harvest_yield_maps;
+CREATE POLICY "harvest_yield_maps_delete" ON harvest_yield_maps FOR DELETE USING (true);
@@ -0,0 +1,73 @@
+-- Plan sanitario por rodeo / categoría y tiempos de retiro (carencia) de productos veterinarios
+-- Al aprobar un HEALTH_TREATMENT se descuenta el producto de inputs y se calcula animals.withdraw_until
+
+-- Días de retiro para carne declarados por el laboratorio
+ALTER TABLE inputs
+  ADD COLUMN IF NOT EXISTS withdrawal_days_meat integer;
+
+-- Tareas programadas del plan sanitario (vacunaciones, dosificaciones, baños)
+CREATE TABLE IF NOT EXISTS health_plan_items (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  firm_id uuid NOT NULL REFERENCES firms(id),
+  premise_id uuid NOT NULL REFERENCES premises(id),
+  herd_id uuid REFERENCES herds(id) ON DELETE CASCADE,
+  category_id uuid REFERENCES livestock_categories(id),
+  treatment_type text NOT NULL,
+  name text NOT NULL,
+  input_id uuid REFERENCES inputs(id),
+  dose_per_head numeric(10,3),
+  scheduled_date date NOT NULL,
+  status text NOT NULL DEFAULT 'PENDING',
+  applied_date date,
+  notes text,
+  created_by uuid,
+  created_at timestamptz DEFAULT now()
+);
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1
+    FROM pg_constraint
+    WHERE conname = 'health_plan_items_type_check'
+  ) THEN
+    ALTER TABLE health_plan_items
+      ADD CONSTRAINT health_plan_items_type_check
+      CHECK (treatment_type IN ('VACUNACION', 'DOSIFICACION', 'BANO', 'OTRO'));
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1
+    FROM pg_constraint
+    WHERE conname = 'health_plan_items_status_check'
+  ) THEN
+    ALTER TABLE health_plan_items
+      ADD CONSTRAINT health_plan_items_status_check
+      CHECK (status IN ('PENDING', 'APPLIED', 'DONE', 'CANCELLED'));
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1
+    FROM pg_constraint
+    WHERE conname = 'health_plan_items_target_check'
+  ) THEN
+    ALTER TABLE health_plan_items
+      ADD CONSTRAINT health_plan_items_target_check
+      CHECK (herd_id IS NOT NULL OR category_id IS NOT NULL);
+  END IF;
+END $$;
+
+CREATE INDEX IF NOT EXISTS idx_health_plan_items_premise_date ON health_plan_items(premise_id, scheduled_date);
+CREATE INDEX IF NOT EXISTS idx_health_plan_items_herd ON health_plan_items(herd_id);
+CREATE INDEX IF NOT EXISTS idx_animals_withdraw_until ON animals(withdraw_until) WHERE withdraw_until IS NOT NULL;
+
+ALTER TABLE health_plan_items ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "health_plan_items_select" ON health_plan_items;
+CREATE POLICY "health_plan_items_select" ON health_plan_items FOR SELECT USING (true);
+DROP POLICY IF EXISTS "health_plan_items_insert" ON health_plan_items;
+CREATE POLICY "health_plan_items_insert" ON health_plan_items FOR INSERT WITH CHECK (true);
+DROP POLICY IF EXISTS "health_plan_items_update" ON health_plan_items;
+CREATE POLICY "health_plan_items_update" ON health_plan_items FOR UPDATE USING (true);
+DROP POLICY IF EXISTS "health_plan_items_delete" ON health_plan_items;
+CREATE POLICY "health_plan_items_delete" ON health_plan_items FOR DELETE USING (true);
@@ -0,0 +1,186 @@
+-- Libro diario: asientos de partida doble generados desde facturas, órdenes de pago, cobros y ventas
+
+-- Mapeo de categorías y cuentas del sistema al plan de cuentas
+-- mapping_type: system (proveedores, clientes, iva_compras, ...), expense_category,
+-- income_category o financial_account (id de la cuenta financiera)
+CREATE TABLE IF NOT EXISTS account_mappings (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  firm_id uuid NOT NULL REFERENCES firms(id),
+  mapping_type text NOT NULL,
+  mapping_key text NOT NULL,
+  account_id uuid NOT NULL REFERENCES chart_of_accounts(id),
+  created_by uuid,
+  created_at timestamptz DEFAULT now(),
+  updated_at timestamptz DEFAULT now()
+);
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1
+    FROM pg_constraint
+    WHERE conname = 'account_mappings_type_check'
+  ) THEN
+    ALTER TABLE account_mappings
+      ADD CONSTRAINT account_mappings_type_check
+      CHECK (mapping_type IN ('system', 'expense_category', 'income_category', 'financial_account'));
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1
+    FROM pg_constraint
+    WHERE conname = 'account_mappings_firm_type_key_unique'
+  ) THEN
+    ALTER TABLE account_mappings
+      ADD CONSTRAINT account_mappings_firm_type_key_unique
+      UNIQUE (firm_id, mapping_type, mapping_key);
+  END IF;
+END $$;
+
+-- Cabecera del asiento (importes en moneda base UYU)
+CREATE TABLE IF NOT EXISTS journal_entries (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  firm_id uuid NOT NULL REFERENCES firms(id),
+  premise_id uuid REFERENCES premises(id),
+  entry_date date NOT NULL,
+  description text NOT NULL,
+  source_type text NOT NULL,
+  source_id uuid,
+  -- Detalle dentro del documento: cada cobro (income_payment_history) genera su propio asiento
+  source_detail_id uuid,
+  cost_center_id uuid REFERENCES cost_centers(id),
+  currency text NOT NULL DEFAULT 'UYU',
+  exchange_rate numeric(12,4),
+  total_debit numeric(14,2) NOT NULL DEFAULT 0,
+  total_credit numeric(14,2) NOT NULL DEFAULT 0,
+  created_by uuid,
+  created_at timestamptz DEFAULT now()
+);
+
+ALTER TABLE journal_entries
+  ADD COLUMN IF NOT EXISTS source_detail_id uuid;
+
+-- Los cobros sin cuenta financiera también quedan en el historial para tener su asiento
+ALTER TABLE income_payment_history
+  ALTER COLUMN account_id DROP NOT NULL;
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1
+    FROM pg_constraint
+    WHERE conname = 'journal_entries_source_type_check'
+  ) THEN
+    ALTER TABLE journal_entries
+      ADD CONSTRAINT journal_entries_source_type_check
+      CHECK (source_type IN ('expense', 'payment_order', 'income', 'sale', 'manual'));
+  END IF;
+
+  -- Un documento genera un único asiento, salvo los ingresos: uno por cobro
+  IF EXISTS (
+    SELECT 1
+    FROM pg_constraint
+    WHERE conname = 'journal_entries_source_unique'
+  ) THEN
+    ALTER TABLE journal_entries DROP CONSTRAINT journal_entries_source_unique;
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1
+    FROM pg_constraint
+    WHERE conname = 'journal_entries_source_detail_unique'
+  ) THEN
+    ALTER TABLE journal_entries
+      ADD CONSTRAINT journal_entries_source_detail_unique
+      UNIQUE NULLS NOT DISTINCT (source_type, source_id, source_detail_id);
+  END IF;
+END $$;
+
+CREATE INDEX IF NOT EXISTS idx_journal_entries_firm_date ON journal_entries(firm_id, entry_date);
+
+-- Renglones del asiento
+CREATE TABLE IF NOT EXISTS journal_entry_lines (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  entry_id uuid NOT NULL REFERENCES journal_entries(id) ON DELETE CASCADE,
+  firm_id uuid NOT NULL REFERENCES firms(id),
+  account_id uuid NOT NULL REFERENCES chart_of_accounts(id),
+  description text,
+  debit numeric(14,2) NOT NULL DEFAULT 0,
+  credit numeric(14,2) NOT NULL DEFAULT 0,
+  cost_center_id uuid REFERENCES cost_centers(id),
+  created_at timestamptz DEFAULT now()
+);
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1
+    FROM pg_constraint
+    WHERE conname = 'journal_entry_lines_amount_check'
+  ) THEN
+    ALTER TABLE journal_entry_lines
+      ADD CONSTRAINT journal_entry_lines_amount_check
+      CHECK (debit >= 0 AND credit >= 0 AND (debit = 0 OR credit = 0));
+  END IF;
+END $$;
+
+CREATE INDEX IF NOT EXISTS idx_journal_entry_lines_entry ON journal_entry_lines(entry_id);
+CREATE INDEX IF NOT EXISTS idx_journal_entry_lines_account ON journal_entry_lines(account_id);
+
+-- Los renglones de un asiento deben sumar lo mismo al debe y al haber.
+-- Se verifica al cerrar la transacción para permitir insertar todos los renglones juntos.
+CREATE OR REPLACE FUNCTION check_journal_entry_balance()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    v_entry_id uuid;
+    v_debit numeric;
+    v_credit numeric;
+BEGIN
+    v_entry_id := COALESCE(NEW.entry_id, OLD.entry_id);
+
+    SELECT COALESCE(SUM(debit), 0), COALESCE(SUM(credit), 0)
+    INTO v_debit, v_credit
+    FROM journal_entry_lines
+    WHERE entry_id = v_entry_id;
+
+    IF v_debit <> v_credit THEN
+        RAISE EXCEPTION 'Asiento % desbalanceado: debe % / haber %', v_entry_id, v_debit, v_credit;
+    END IF;
+
+    RETURN NULL;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS trg_check_journal_entry_balance ON journal_entry_lines;
+CREATE CONSTRAINT TRIGGER trg_check_journal_entry_balance
+    AFTER INSERT OR UPDATE OR DELETE ON journal_entry_lines
+    DEFERRABLE INITIALLY DEFERRED
+    FOR EACH ROW
+    EXECUTE FUNCTION check_journal_entry_balance();
+
+ALTER TABLE account_mappings ENABLE ROW LEVEL SECURITY;
+ALTER TABLE journal_entries ENABLE ROW LEVEL SECURITY;
+ALTER TABLE journal_entry_lines ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "account_mappings_select" ON account_mappings;
+CREATE POLICY "account_mappings_select" ON account_mappings FOR SELECT USING (true);
+DROP POLICY IF EXISTS "account_mappings_insert" ON account_mappings;
+CREATE POLICY "account_mappings_insert" ON account_mappings FOR INSERT WITH CHECK (true);
+DROP POLICY IF EXISTS "account_mappings_update" ON account_mappings;
+CREATE POLICY "account_mappings_update" ON account_mappings FOR UPDATE USING (true);
+DROP POLICY IF EXISTS "account_mappings_delete" ON account_mappings;
+CREATE POLICY "account_mappings_delete" ON account_mappings FOR DELETE USING (true);
+
+DROP POLICY IF EXISTS "journal_entries_select" ON journal_entries;
+CREATE POLICY "journal_entries_select" ON journal_entries FOR SELECT USING (true);
+DROP POLICY IF EXISTS "journal_entries_insert" ON journal_entries;
+CREATE POLICY "journal_entries_insert" ON journal_entries FOR INSERT WITH CHECK (true);
+DROP POLICY IF EXISTS "journal_entries_delete" ON journal_entries;
+CREATE POLICY "journal_entries_delete" ON journal_entries FOR DELETE USING (true);
+
+DROP POLICY IF EXISTS "journal_entry_lines_select" ON journal_entry_lines;
+CREATE POLICY "journal_entry_lines_select" ON journal_entry_lines FOR SELECT USING (true);
+DROP POLICY IF EXISTS "journal_entry_lines_insert" ON journal_entry_lines;
+CREATE POLICY "journal_entry_lines_insert" ON journal_entry_lines FOR INSERT WITH CHECK (true);
@@ -0,0 +1,62 @@
+-- Guías de propiedad y tránsito emitidas y recibidas por el predio
+-- dicose_guides ya la usan validateGuide y el trigger de aprobación (que auto-registra guías mínimas);
+-- acá se agregan origen / destino, categorías, transporte y vínculo con remitos de venta
+
+CREATE TABLE IF NOT EXISTS dicose_guides (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  guide_series text NOT NULL,
+  guide_number text NOT NULL,
+  guide_full text,
+  dicose_type text,
+  species text,
+  status text NOT NULL DEFAULT 'VALID',
+  destination_dicose_number text,
+  created_at timestamptz DEFAULT now()
+);
+
+ALTER TABLE dicose_guides
+  ADD COLUMN IF NOT EXISTS firm_id uuid REFERENCES firms(id),
+  ADD COLUMN IF NOT EXISTS premise_id uuid REFERENCES premises(id),
+  ADD COLUMN IF NOT EXISTS direction text,
+  ADD COLUMN IF NOT EXISTS issue_date date,
+  ADD COLUMN IF NOT EXISTS origin_dicose_number text,
+  ADD COLUMN IF NOT EXISTS origin_name text,
+  ADD COLUMN IF NOT EXISTS destination_name text,
+  ADD COLUMN IF NOT EXISTS items jsonb NOT NULL DEFAULT '[]'::jsonb,
+  ADD COLUMN IF NOT EXISTS total_heads integer NOT NULL DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS transport_company text,
+  ADD COLUMN IF NOT EXISTS driver_name text,
+  ADD COLUMN IF NOT EXISTS driver_document text,
+  ADD COLUMN IF NOT EXISTS vehicle_plate text,
+  ADD COLUMN IF NOT EXISTS trailer_plate text,
+  ADD COLUMN IF NOT EXISTS sale_remittance_id uuid REFERENCES sale_remittances(id),
+  ADD COLUMN IF NOT EXISTS notes text,
+  ADD COLUMN IF NOT EXISTS cancel_reason text,
+  ADD COLUMN IF NOT EXISTS created_by uuid;
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1
+    FROM pg_constraint
+    WHERE conname = 'dicose_guides_direction_check'
+  ) THEN
+    ALTER TABLE dicose_guides
+      ADD CONSTRAINT dicose_guides_direction_check
+      CHECK (direction IS NULL OR direction IN ('OUT', 'IN'));
+  END IF;
+END $$;
+
+CREATE INDEX IF NOT EXISTS idx_dicose_guides_series_number ON dicose_guides(guide_series, guide_number);
+CREATE INDEX IF NOT EXISTS idx_dicose_guides_premise_date ON dicose_guides(premise_id, issue_date DESC);
+
+ALTER TABLE dicose_guides ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "dicose_guides_select" ON dicose_guides;
+CREATE POLICY "dicose_guides_select" ON dicose_guides FOR SELECT USING (true);
+DROP POLICY IF EXISTS "dicose_guides_insert" ON dicose_guides;
+CREATE POLICY "dicose_guides_insert" ON dicose_guides FOR INSERT WITH CHECK (true);
+DROP POLICY IF EXISTS "dicose_guides_update" ON dicose_guides;
+CREATE POLICY "dicose_guides_update" ON dicose_guides FOR UPDATE USING (true);
+DROP POLICY IF EXISTS "dicose_guides_delete" ON dicose_guides;
+CREATE POLICY "dicose_guides_delete" ON dicose_guides FOR DELETE USING (true);
@@ -0,0 +1,55 @@
+-- Genealogía de lotes: división y unión de potreros conservando el historial
+
+-- Lots: fecha en que el lote fue reemplazado por sus sucesores
+ALTER TABLE lots
+  ADD COLUMN IF NOT EXISTS retired_at timestamptz;
+
+CREATE TABLE IF NOT EXISTS lot_genealogy (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  firm_id uuid REFERENCES firms(id),
+  premise_id uuid REFERENCES premises(id),
+  parent_lot_id uuid NOT NULL REFERENCES lots(id),
+  child_lot_id uuid NOT NULL REFERENCES lots(id),
+  operation text NOT NULL,
+  parent_area_hectares numeric,
+  child_area_hectares numeric,
+  notes text,
+  created_by uuid,
+  created_at timestamptz DEFAULT now()
+);
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1
+    FROM pg_constraint
+    WHERE conname = 'lot_genealogy_operation_check'
+  ) THEN
+    ALTER TABLE lot_genealogy
+      ADD CONSTRAINT lot_genealogy_operation_check
+      CHECK (operation IN ('split', 'merge'));
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1
+    FROM pg_constraint
+    WHERE conname = 'lot_genealogy_parent_child_unique'
+  ) THEN
+    ALTER TABLE lot_genealogy
+      ADD CONSTRAINT lot_genealogy_parent_child_unique
+      UNIQUE (parent_lot_id, child_lot_id);
+  END IF;
+END $$;
+
+CREATE INDEX IF NOT EXISTS idx_lot_genealogy_parent ON lot_genealogy(parent_lot_id);
+CREATE INDEX IF NOT EXISTS idx_lot_genealogy_child ON lot_genealogy(child_lot_id);
+CREATE INDEX IF NOT EXISTS idx_lot_genealogy_premise ON lot_genealogy(premise_id);
+
+ALTER TABLE lot_genealogy ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "lot_genealogy_select" ON lot_genealogy;
+CREATE POLICY "lot_genealogy_select" ON lot_genealogy FOR SELECT USING (true);
+DROP POLICY IF EXISTS "lot_genealogy_insert" ON lot_genealogy;
+CREATE POLICY "lot_genealogy_insert" ON lot_genealogy FOR INSERT WITH CHECK (true);
+DROP POLICY IF EXISTS "lot_genealogy_delete" ON lot_genealogy;
+CREATE POLICY "lot_genealogy_delete" ON lot_genealogy FOR DELETE USING (true);
@@ -0,0 +1,135 @@
+-- Manejo reproductivo de rodeos de cría: entore, diagnóstico de gestación, pariciones y destete
+-- Los índices por temporada (preñez, parición, destete) alimentan el KPI TASA_DESTETE
+
+-- Temporada de servicio (entore) de un rodeo
+CREATE TABLE IF NOT EXISTS breeding_seasons (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  firm_id uuid NOT NULL REFERENCES firms(id),
+  premise_id uuid NOT NULL REFERENCES premises(id),
+  herd_id uuid NOT NULL REFERENCES herds(id) ON DELETE CASCADE,
+  name text NOT NULL,
+  start_date date NOT NULL,
+  end_date date,
+  females_exposed integer,
+  status text NOT NULL DEFAULT 'ACTIVE',
+  notes text,
+  created_by uuid,
+  created_at timestamptz DEFAULT now()
+);
+
+-- Registros reproductivos por hembra: servicio, diagnóstico, parto y destete
+CREATE TABLE IF NOT EXISTS reproductive_events (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  firm_id uuid NOT NULL REFERENCES firms(id),
+  premise_id uuid NOT NULL REFERENCES premises(id),
+  season_id uuid NOT NULL REFERENCES breeding_seasons(id) ON DELETE CASCADE,
+  herd_id uuid REFERENCES herds(id),
+  animal_id uuid NOT NULL REFERENCES animals(id),
+  event_type text NOT NULL,
+  event_date date NOT NULL,
+  -- Servicio
+  service_type text,
+  service_end_date date,
+  sire_id uuid REFERENCES animals(id),
+  sire_name text,
+  semen_straw text,
+  technician text,
+  -- Diagnóstico de gestación
+  diagnosis_method text,
+  diagnosis_result text,
+  gestation_days integer,
+  expected_calving_date date,
+  -- Parto y destete
+  calf_id uuid REFERENCES animals(id),
+  calf_sex text,
+  calving_ease text,
+  calf_alive boolean,
+  weight_kg numeric(8,2),
+  herd_event_id uuid REFERENCES herd_events(id) ON DELETE SET NULL,
+  notes text,
+  created_by uuid,
+  created_at timestamptz DEFAULT now()
+);
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1
+    FROM pg_constraint
+    WHERE conname = 'breeding_seasons_status_check'
+  ) THEN
+    ALTER TABLE breeding_seasons
+      ADD CONSTRAINT breeding_seasons_status_check
+      CHECK (status IN ('ACTIVE', 'CLOSED'));
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1
+    FROM pg_constraint
+    WHERE conname = 'reproductive_events_type_check'
+  ) THEN
+    ALTER TABLE reproductive_events
+      ADD CONSTRAINT reproductive_events_type_check
+      CHECK (event_type IN ('SERVICE', 'PREGNANCY_CHECK', 'CALVING', 'WEANING'));
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1
+    FROM pg_constraint
+    WHERE conname = 'reproductive_events_service_type_check'
+  ) THEN
+    ALTER TABLE reproductive_events
+      ADD CONSTRAINT reproductive_events_service_type_check
+      CHECK (service_type IS NULL OR service_type IN ('NATURAL', 'IA', 'IATF'));
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1
+    FROM pg_constraint
+    WHERE conname = 'reproductive_events_diagnosis_check'
+  ) THEN
+    ALTER TABLE reproductive_events
+      ADD CONSTRAINT reproductive_events_diagnosis_check
+      CHECK (
+        (diagnosis_method IS NULL OR diagnosis_method IN ('TACTO', 'ECOGRAFIA'))
+        AND (diagnosis_result IS NULL OR diagnosis_result IN ('PRENADA', 'VACIA'))
+      );
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1
+    FROM pg_constraint
+    WHERE conname = 'reproductive_events_calving_ease_check'
+  ) THEN
+    ALTER TABLE reproductive_events
+      ADD CONSTRAINT reproductive_events_calving_ease_check
+      CHECK (calving_ease IS NULL OR calving_ease IN ('NORMAL', 'ASISTIDO', 'DISTOCICO', 'CESAREA'));
+  END IF;
+END $$;
+
+CREATE INDEX IF NOT EXISTS idx_breeding_seasons_herd ON breeding_seasons(herd_id, start_date DESC);
+CREATE INDEX IF NOT EXISTS idx_breeding_seasons_premise ON breeding_seasons(premise_id);
+CREATE INDEX IF NOT EXISTS idx_reproductive_events_season ON reproductive_events(season_id, event_type);
+CREATE INDEX IF NOT EXISTS idx_reproductive_events_animal ON reproductive_events(animal_id, event_date);
+CREATE INDEX IF NOT EXISTS idx_reproductive_events_firm_date ON reproductive_events(firm_id, event_type, event_date);
+
+ALTER TABLE breeding_seasons ENABLE ROW LEVEL SECURITY;
+ALTER TABLE reproductive_events ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "breeding_seasons_select" ON breeding_seasons;
+CREATE POLICY "breeding_seasons_select" ON breeding_seasons FOR SELECT USING (true);
+DROP POLICY IF EXISTS "breeding_seasons_insert" ON breeding_seasons;
+CREATE POLICY "breeding_seasons_insert" ON breeding_seasons FOR INSERT WITH CHECK (true);
+DROP POLICY IF EXISTS "breeding_seasons_update" ON breeding_seasons;
+CREATE POLICY "breeding_seasons_update" ON breeding_seasons FOR UPDATE USING (true);
+DROP POLICY IF EXISTS "breeding_seasons_delete" ON breeding_seasons;
+CREATE POLICY "breeding_seasons_delete" ON breeding_seasons FOR DELETE USING (true);
+
+DROP POLICY IF EXISTS "reproductive_events_select" ON reproductive_events;
+CREATE POLICY "reproductive_events_select" ON reproductive_events FOR SELECT USING (true);
+DROP POLICY IF EXISTS "reproductive_events_insert" ON reproductive_events;
+CREATE POLICY "reproductive_events_insert" ON reproductive_events FOR INSERT WITH CHECK (true);
+DROP POLICY IF EXISTS "reproductive_events_update" ON reproductive_events;
+CREATE POLICY "reproductive_events_update" ON reproductive_events FOR UPDATE USING (true);
+DROP POLICY IF EXISTS "reproductive_events_delete" ON reproductive_events;
+CREATE POLICY "reproductive_events_delete" ON reproductive_events FOR DELETE USING (true);
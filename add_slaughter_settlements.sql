@@ -0,0 +1,103 @@
+-- Liquidaciones de frigorífico para eventos FAENA
+-- Cabecera por liquidación (vinculada al evento FAENA y al ingreso generado) y un renglón por animal
+-- con peso de carcasa caliente (2da balanza), rendimiento y tipificación
+
+CREATE TABLE IF NOT EXISTS slaughter_settlements (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  firm_id uuid NOT NULL REFERENCES firms(id),
+  premise_id uuid NOT NULL REFERENCES premises(id),
+  event_id uuid NOT NULL REFERENCES herd_events(id),
+  income_id uuid REFERENCES income(id),
+  plant_code text NOT NULL,
+  plant_name text NOT NULL,
+  settlement_number text NOT NULL,
+  settlement_date date NOT NULL,
+  currency text NOT NULL DEFAULT 'USD',
+  total_heads integer NOT NULL DEFAULT 0,
+  matched_heads integer NOT NULL DEFAULT 0,
+  total_live_kg numeric(12,2),
+  total_hot_carcass_kg numeric(12,2) NOT NULL DEFAULT 0,
+  dressing_percent numeric(5,2),
+  gross_amount numeric(14,2) NOT NULL DEFAULT 0,
+  -- Deducciones de la planta: flete, comisiones e impuestos (deductions_amount es su suma)
+  freight_amount numeric(14,2) NOT NULL DEFAULT 0,
+  fees_amount numeric(14,2) NOT NULL DEFAULT 0,
+  taxes_amount numeric(14,2) NOT NULL DEFAULT 0,
+  deductions_amount numeric(14,2) NOT NULL DEFAULT 0,
+  net_amount numeric(14,2) NOT NULL DEFAULT 0,
+  file_name text,
+  created_by uuid,
+  created_at timestamptz DEFAULT now()
+);
+
+CREATE TABLE IF NOT EXISTS slaughter_settlement_lines (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  settlement_id uuid NOT NULL REFERENCES slaughter_settlements(id) ON DELETE CASCADE,
+  animal_id uuid REFERENCES animals(id),
+  herd_id uuid REFERENCES herds(id),
+  lot_id uuid REFERENCES lots(id),
+  tag text,
+  live_kg numeric(10,2),
+  live_kg_source text,
+  hot_carcass_kg numeric(10,2) NOT NULL,
+  dressing_percent numeric(5,2),
+  grade text,
+  price_per_kg numeric(10,4),
+  amount numeric(14,2),
+  created_at timestamptz DEFAULT now()
+);
+
+-- Desglose de deducciones para tablas creadas con la versión anterior
+ALTER TABLE slaughter_settlements
+  ADD COLUMN IF NOT EXISTS freight_amount numeric(14,2) NOT NULL DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS fees_amount numeric(14,2) NOT NULL DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS taxes_amount numeric(14,2) NOT NULL DEFAULT 0;
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1
+    FROM pg_constraint
+    WHERE conname = 'slaughter_settlements_number_unique'
+  ) THEN
+    ALTER TABLE slaughter_settlements
+      ADD CONSTRAINT slaughter_settlements_number_unique
+      UNIQUE (firm_id, plant_code, settlement_number);
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1
+    FROM pg_constraint
+    WHERE conname = 'slaughter_settlement_lines_source_check'
+  ) THEN
+    ALTER TABLE slaughter_settlement_lines
+      ADD CONSTRAINT slaughter_settlement_lines_source_check
+      CHECK (live_kg_source IS NULL OR live_kg_source IN ('LIQUIDACION', 'PESAJE', 'EVENTO'));
+  END IF;
+END $$;
+
+CREATE INDEX IF NOT EXISTS idx_slaughter_settlements_premise_date ON slaughter_settlements(premise_id, settlement_date DESC);
+CREATE INDEX IF NOT EXISTS idx_slaughter_settlements_event ON slaughter_settlements(event_id);
+CREATE INDEX IF NOT EXISTS idx_slaughter_settlement_lines_settlement ON slaughter_settlement_lines(settlement_id);
+CREATE INDEX IF NOT EXISTS idx_slaughter_settlement_lines_animal ON slaughter_settlement_lines(animal_id);
+
+ALTER TABLE slaughter_settlements ENABLE ROW LEVEL SECURITY;
+ALTER TABLE slaughter_settlement_lines ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "slaughter_settlements_select" ON slaughter_settlements;
+CREATE POLICY "slaughter_settlements_select" ON slaughter_settlements FOR SELECT USING (true);
+DROP POLICY IF EXISTS "slaughter_settlements_insert" ON slaughter_settlements;
+CREATE POLICY "slaughter_settlements_insert" ON slaughter_settlements FOR INSERT WITH CHECK (true);
+DROP POLICY IF EXISTS "slaughter_settlements_update" ON slaughter_settlements;
+CREATE POLICY "slaughter_settlements_update" ON slaughter_settlements FOR UPDATE USING (true);
+DROP POLICY IF EXISTS "slaughter_settlements_delete" ON slaughter_settlements;
+CREATE POLICY "slaughter_settlements_delete" ON slaughter_settlements FOR DELETE USING (true);
+
+DROP POLICY IF EXISTS "slaughter_settlement_lines_select" ON slaughter_settlement_lines;
+CREATE POLICY "slaughter_settlement_lines_select" ON slaughter_settlement_lines FOR SELECT USING (true);
+DROP POLICY IF EXISTS "slaughter_settlement_lines_insert" ON slaughter_settlement_lines;
+CREATE POLICY "slaughter_settlement_lines_insert" ON slaughter_settlement_lines FOR INSERT WITH CHECK (true);
+DROP POLICY IF EXISTS "slaughter_settlement_lines_update" ON slaughter_settlement_lines;
+CREATE POLICY "slaughter_settlement_lines_update" ON slaughter_settlement_lines FOR UPDATE USING (true);
+DROP POLICY IF EXISTS "slaughter_settlement_lines_delete" ON slaughter_settlement_lines;
+CREATE POLICY "slaughter_settlement_lines_delete" ON slaughter_settlement_lines FOR DELETE USING (true);
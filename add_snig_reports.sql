@@ -0,0 +1,44 @@
+-- Archivos SNIG generados (identificación, movimientos, muertes y faena)
+-- Guarda qué animales y eventos ya se informaron para no declararlos dos veces
+
+CREATE TABLE IF NOT EXISTS snig_reports (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  firm_id uuid NOT NULL REFERENCES firms(id),
+  premise_id uuid NOT NULL REFERENCES premises(id),
+  report_type text NOT NULL,
+  dicose_number text,
+  period_from date,
+  period_to date,
+  file_name text,
+  record_count integer NOT NULL DEFAULT 0,
+  animal_ids uuid[] NOT NULL DEFAULT '{}',
+  event_ids uuid[] NOT NULL DEFAULT '{}',
+  created_by uuid,
+  created_at timestamptz DEFAULT now()
+);
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1
+    FROM pg_constraint
+    WHERE conname = 'snig_reports_type_check'
+  ) THEN
+    ALTER TABLE snig_reports
+      ADD CONSTRAINT snig_reports_type_check
+      CHECK (report_type IN ('IDENTIFICACION', 'MOVIMIENTO', 'MUERTE', 'FAENA'));
+  END IF;
+END $$;
+
+CREATE INDEX IF NOT EXISTS idx_snig_reports_premise_type ON snig_reports(premise_id, report_type, created_at DESC);
+
+ALTER TABLE snig_reports ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "snig_reports_select" ON snig_reports;
+CREATE POLICY "snig_reports_select" ON snig_reports FOR SELECT USING (true);
+DROP POLICY IF EXISTS "snig_reports_insert" ON snig_reports;
+CREATE POLICY "snig_reports_insert" ON snig_reports FOR INSERT WITH CHECK (true);
+DROP POLICY IF EXISTS "snig_reports_update" ON snig_reports;
+CREATE POLICY "snig_reports_update" ON snig_reports FOR UPDATE USING (true);
+DROP POLICY IF EXISTS "snig_reports_delete" ON snig_reports;
+CREATE POLICY "snig_reports_delete" ON snig_reports FOR DELETE USING (true);
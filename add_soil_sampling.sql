@@ -0,0 +1,103 @@
+-- Muestreo de suelo georreferenciado
+-- soil_sampling_plans: plan de muestreo de un lote, en grilla regular o por zonas de manejo.
+-- Las zonas se copian del mapa de zonas para que el plan no dependa de que el mapa siga existiendo.
+-- soil_sample_points: cada punto de muestreo con su ubicación y los resultados del laboratorio.
+-- Unidades: P, K, N y S en ppm; MO en %.
+
+CREATE TABLE IF NOT EXISTS soil_sampling_plans (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  firm_id uuid NOT NULL REFERENCES firms(id),
+  premise_id uuid NOT NULL REFERENCES premises(id),
+  lot_id uuid NOT NULL REFERENCES lots(id),
+  name text NOT NULL,
+  method text NOT NULL DEFAULT 'GRILLA',
+  grid_size_m integer,
+  zone_map_id uuid REFERENCES management_zone_maps(id) ON DELETE SET NULL,
+  -- [{ zona, etiqueta, color, area_ha, geometry }]
+  zones jsonb NOT NULL DEFAULT '[]'::jsonb,
+  sampling_date date,
+  depth_cm integer DEFAULT 20,
+  lab_name text,
+  status text NOT NULL DEFAULT 'PLANIFICADO',
+  notes text,
+  created_by uuid,
+  created_at timestamptz DEFAULT now(),
+  updated_at timestamptz DEFAULT now()
+);
+
+CREATE TABLE IF NOT EXISTS soil_sample_points (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  plan_id uuid NOT NULL REFERENCES soil_sampling_plans(id) ON DELETE CASCADE,
+  lot_id uuid NOT NULL REFERENCES lots(id),
+  code text NOT NULL,
+  zone integer,
+  lat numeric(10,7) NOT NULL,
+  lng numeric(10,7) NOT NULL,
+  p_ppm numeric(10,2),
+  k_ppm numeric(10,2),
+  ph numeric(4,2),
+  mo_pct numeric(5,2),
+  n_ppm numeric(10,2),
+  s_ppm numeric(10,2),
+  lab_sample_id text,
+  sampled_at date,
+  created_at timestamptz DEFAULT now(),
+  updated_at timestamptz DEFAULT now()
+);
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1
+    FROM pg_constraint
+    WHERE conname = 'soil_sampling_plans_method_check'
+  ) THEN
+    ALTER TABLE soil_sampling_plans
+      ADD CONSTRAINT soil_sampling_plans_method_check
+      CHECK (method IN ('GRILLA', 'ZONAS'));
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1
+    FROM pg_constraint
+    WHERE conname = 'soil_sampling_plans_status_check'
+  ) THEN
+    ALTER TABLE soil_sampling_plans
+      ADD CONSTRAINT soil_sampling_plans_status_check
+      CHECK (status IN ('PLANIFICADO', 'MUESTREADO', 'CON_RESULTADOS'));
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1
+    FROM pg_constraint
+    WHERE conname = 'soil_sample_points_plan_code_key'
+  ) THEN
+    ALTER TABLE soil_sample_points
+      ADD CONSTRAINT soil_sample_points_plan_code_key
+      UNIQUE (plan_id, code);
+  END IF;
+END $$;
+
+CREATE INDEX IF NOT EXISTS idx_soil_sampling_plans_lot ON soil_sampling_plans(lot_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_soil_sample_points_plan ON soil_sample_points(plan_id);
+
+ALTER TABLE soil_sampling_plans ENABLE ROW LEVEL SECURITY;
+ALTER TABLE soil_sample_points ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "soil_sampling_plans_select" ON soil_sampling_plans;
+CREATE POLICY "soil_sampling_plans_select" ON soil_sampling_plans FOR SELECT USING (true);
+DROP POLICY IF EXISTS "soil_sampling_plans_insert" ON soil_sampling_plans;
+CREATE POLICY "soil_sampling_plans_insert" ON soil_sampling_plans FOR INSERT WITH CHECK (true);
+DROP POLICY IF EXISTS "soil_sampling_plans_update" ON soil_sampling_plans;
+CREATE POLICY "soil_sampling_plans_update" ON soil_sampling_plans FOR UPDATE USING (true);
+DROP POLICY IF EXISTS "soil_sampling_plans_delete" ON soil_sampling_plans;
+CREATE POLICY "soil_sampling_plans_delete" ON soil_sampling_plans FOR DELETE USING (true);
+
+DROP POLICY IF EXISTS "soil_sample_points_select" ON soil_sample_points;
+CREATE POLICY "soil_sample_points_select" ON soil_sample_points FOR SELECT USING (true);
+DROP POLICY IF EXISTS "soil_sample_points_insert" ON soil_sample_points;
+CREATE POLICY "soil_sample_points_insert" ON soil_sample_points FOR INSERT WITH CHECK (true);
+DROP POLICY IF EXISTS "soil_sample_points_update" ON soil_sample_points;
+CREATE POLICY "soil_sample_points_update" ON soil_sample_points FOR UPDATE USING (true);
+DROP POLICY IF EXISTS "soil_sample_points_delete" ON soil_sample_points;
+CREATE POLICY "soil_sample_points_delete" ON soil_sample_points FOR DELETE USING (true);
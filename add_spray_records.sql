@@ -0,0 +1,136 @@
+-- Registro de aplicaciones fitosanitarias
+-- inputs: tiempo de reingreso y período de carencia (días antes de cosecha) declarados en la etiqueta
+-- premise_sensitive_areas: cursos de agua, escuelas, viviendas y otras zonas dibujadas en el mapa del predio,
+-- cada una con su distancia de resguardo
+-- spray_records: registro legal de cada aplicación (aplicador, máquina, pico, caudal, condiciones
+-- meteorológicas, intervalos de reingreso y carencia, y resultado del control de distancias)
+
+ALTER TABLE inputs
+  ADD COLUMN IF NOT EXISTS reentry_hours integer,
+  ADD COLUMN IF NOT EXISTS preharvest_days integer,
+  ADD COLUMN IF NOT EXISTS toxicological_class text;
+
+CREATE TABLE IF NOT EXISTS premise_sensitive_areas (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  firm_id uuid NOT NULL REFERENCES firms(id),
+  premise_id uuid NOT NULL REFERENCES premises(id),
+  name text NOT NULL,
+  area_type text NOT NULL,
+  -- Geometría GeoJSON: Point (escuela, vivienda), LineString (curso de agua) o Polygon
+  geometry jsonb NOT NULL,
+  buffer_m integer NOT NULL,
+  notes text,
+  created_by uuid,
+  created_at timestamptz DEFAULT now(),
+  updated_at timestamptz DEFAULT now()
+);
+
+CREATE TABLE IF NOT EXISTS spray_records (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  firm_id uuid NOT NULL REFERENCES firms(id),
+  premise_id uuid NOT NULL REFERENCES premises(id),
+  lot_id uuid NOT NULL REFERENCES lots(id),
+  work_id uuid REFERENCES agricultural_works(id) ON DELETE SET NULL,
+  input_id uuid REFERENCES inputs(id),
+  product_name text NOT NULL,
+  active_ingredient text,
+  dose_per_ha numeric(10,3) NOT NULL,
+  dose_unit text NOT NULL DEFAULT 'L/ha',
+  treated_area_ha numeric(10,2) NOT NULL,
+  total_quantity numeric(12,3),
+  crop text,
+  target_pest text,
+  application_date date NOT NULL,
+  start_time time,
+  end_time time,
+  applicator_name text NOT NULL,
+  applicator_licence text NOT NULL,
+  machinery_id uuid REFERENCES machinery(id) ON DELETE SET NULL,
+  machine_description text,
+  nozzle_type text,
+  pressure_bar numeric(5,2),
+  volume_l_ha numeric(8,2) NOT NULL,
+  wind_speed_kmh numeric(5,1) NOT NULL,
+  wind_direction text NOT NULL,
+  temperature_c numeric(4,1) NOT NULL,
+  relative_humidity numeric(5,1) NOT NULL,
+  reentry_hours integer,
+  preharvest_days integer,
+  reentry_until timestamptz,
+  harvest_allowed_from date,
+  -- [{ area_id, name, area_type, distance_m, buffer_m }] zonas sensibles dentro de su distancia de resguardo
+  buffer_warnings jsonb NOT NULL DEFAULT '[]'::jsonb,
+  -- ['VIENTO_ALTO', 'TEMPERATURA_ALTA', ...] condiciones fuera de rango al momento de aplicar
+  condition_warnings jsonb NOT NULL DEFAULT '[]'::jsonb,
+  warnings_acknowledged boolean NOT NULL DEFAULT false,
+  notes text,
+  created_by uuid,
+  created_at timestamptz DEFAULT now()
+);
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1
+    FROM pg_constraint
+    WHERE conname = 'premise_sensitive_areas_type_check'
+  ) THEN
+    ALTER TABLE premise_sensitive_areas
+      ADD CONSTRAINT premise_sensitive_areas_type_check
+      CHECK (area_type IN ('CURSO_AGUA', 'ESCUELA', 'VIVIENDA', 'OTRO'));
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1
+    FROM pg_constraint
+    WHERE conname = 'premise_sensitive_areas_buffer_check'
+  ) THEN
+    ALTER TABLE premise_sensitive_areas
+      ADD CONSTRAINT premise_sensitive_areas_buffer_check
+      CHECK (buffer_m >= 0);
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1
+    FROM pg_constraint
+    WHERE conname = 'spray_records_wind_direction_check'
+  ) THEN
+    ALTER TABLE spray_records
+      ADD CONSTRAINT spray_records_wind_direction_check
+      CHECK (wind_direction IN ('N', 'NE', 'E', 'SE', 'S', 'SO', 'O', 'NO', 'CALMA'));
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1
+    FROM pg_constraint
+    WHERE conname = 'spray_records_humidity_check'
+  ) THEN
+    ALTER TABLE spray_records
+      ADD CONSTRAINT spray_records_humidity_check
+      CHECK (relative_humidity BETWEEN 0 AND 100);
+  END IF;
+END $$;
+
+CREATE INDEX IF NOT EXISTS idx_premise_sensitive_areas_premise ON premise_sensitive_areas(premise_id);
+CREATE INDEX IF NOT EXISTS idx_spray_records_premise_date ON spray_records(premise_id, application_date DESC);
+CREATE INDEX IF NOT EXISTS idx_spray_records_lot ON spray_records(lot_id, application_date DESC);
+CREATE INDEX IF NOT EXISTS idx_spray_records_work ON spray_records(work_id);
+
+ALTER TABLE premise_sensitive_areas ENABLE ROW LEVEL SECURITY;
+ALTER TABLE spray_records ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "premise_sensitive_areas_select" ON premise_sensitive_areas;
+CREATE POLICY "premise_sensitive_areas_select" ON premise_sensitive_areas FOR SELECT USING (true);
+DROP POLICY IF EXISTS "premise_sensitive_areas_insert" ON premise_sensitive_areas;
+CREATE POLICY "premise_sensitive_areas_insert" ON premise_sensitive_areas FOR INSERT WITH CHECK (true);
+DROP POLICY IF EXISTS "premise_sensitive_areas_update" ON premise_sensitive_areas;
+CREATE POLICY "premise_sensitive_areas_update" ON premise_sensitive_areas FOR UPDATE USING (true);
+DROP POLICY IF EXISTS "premise_sensitive_areas_delete" ON premise_sensitive_areas;
+CREATE POLICY "premise_sensitive_areas_delete" ON premise_sensitive_areas FOR DELETE USING (true);
+
+DROP POLICY IF EXISTS "spray_records_select" ON spray_records;
+CREATE POLICY "spray_records_select" ON spray_records FOR SELECT USING (true);
+DROP POLICY IF EXISTS "spray_records_insert" ON spray_records;
+CREATE POLICY "spray_records_insert" ON spray_records FOR INSERT WITH CHECK (true);
+DROP POLICY IF EXISTS "spray_records_delete" ON spray_records;
+CREATE POLICY "spray_records_delete" ON spray_records FOR DELETE USING (true);
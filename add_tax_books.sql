@@ -0,0 +1,89 @@
+-- Libros de IVA compras/ventas y retenciones de IMEBA/IRAE sobre ventas de ganado y granos
+
+-- Configuración tributaria por firma (tasas editables por el contador)
+CREATE TABLE IF NOT EXISTS tax_settings (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  firm_id uuid NOT NULL REFERENCES firms(id),
+  income_tax_regime text NOT NULL DEFAULT 'IMEBA',
+  imeba_livestock_rate numeric(6,3) NOT NULL DEFAULT 2.0,
+  imeba_grain_rate numeric(6,3) NOT NULL DEFAULT 2.0,
+  imeba_additional_rate numeric(6,3) NOT NULL DEFAULT 0.6,
+  irae_withholding_rate numeric(6,3) NOT NULL DEFAULT 2.0,
+  updated_by uuid,
+  updated_at timestamptz DEFAULT now()
+);
+
+-- Retenciones efectivamente practicadas por el comprador (resguardos)
+CREATE TABLE IF NOT EXISTS tax_withholdings (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  firm_id uuid NOT NULL REFERENCES firms(id),
+  income_id uuid REFERENCES income(id) ON DELETE CASCADE,
+  tax_type text NOT NULL,
+  withholding_date date NOT NULL,
+  base_amount numeric(14,2) NOT NULL DEFAULT 0,
+  rate numeric(6,3) NOT NULL DEFAULT 0,
+  amount numeric(14,2) NOT NULL DEFAULT 0,
+  agent_name text,
+  agent_rut text,
+  certificate_number text,
+  notes text,
+  created_by uuid,
+  created_at timestamptz DEFAULT now()
+);
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1
+    FROM pg_constraint
+    WHERE conname = 'tax_settings_firm_unique'
+  ) THEN
+    ALTER TABLE tax_settings
+      ADD CONSTRAINT tax_settings_firm_unique
+      UNIQUE (firm_id);
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1
+    FROM pg_constraint
+    WHERE conname = 'tax_settings_regime_check'
+  ) THEN
+    ALTER TABLE tax_settings
+      ADD CONSTRAINT tax_settings_regime_check
+      CHECK (income_tax_regime IN ('IMEBA', 'IRAE'));
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1
+    FROM pg_constraint
+    WHERE conname = 'tax_withholdings_type_check'
+  ) THEN
+    ALTER TABLE tax_withholdings
+      ADD CONSTRAINT tax_withholdings_type_check
+      CHECK (tax_type IN ('IMEBA', 'IMEBA_ADICIONAL', 'IRAE'));
+  END IF;
+END $$;
+
+CREATE INDEX IF NOT EXISTS idx_tax_withholdings_firm_date ON tax_withholdings(firm_id, withholding_date);
+CREATE INDEX IF NOT EXISTS idx_tax_withholdings_income ON tax_withholdings(income_id);
+
+ALTER TABLE tax_settings ENABLE ROW LEVEL SECURITY;
+ALTER TABLE tax_withholdings ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "tax_settings_select" ON tax_settings;
+CREATE POLICY "tax_settings_select" ON tax_settings FOR SELECT USING (true);
+DROP POLICY IF EXISTS "tax_settings_insert" ON tax_settings;
+CREATE POLICY "tax_settings_insert" ON tax_settings FOR INSERT WITH CHECK (true);
+DROP POLICY IF EXISTS "tax_settings_update" ON tax_settings;
+CREATE POLICY "tax_settings_update" ON tax_settings FOR UPDATE USING (true);
+DROP POLICY IF EXISTS "tax_settings_delete" ON tax_settings;
+CREATE POLICY "tax_settings_delete" ON tax_settings FOR DELETE USING (true);
+
+DROP POLICY IF EXISTS "tax_withholdings_select" ON tax_withholdings;
+CREATE POLICY "tax_withholdings_select" ON tax_withholdings FOR SELECT USING (true);
+DROP POLICY IF EXISTS "tax_withholdings_insert" ON tax_withholdings;
+CREATE POLICY "tax_withholdings_insert" ON tax_withholdings FOR INSERT WITH CHECK (true);
+DROP POLICY IF EXISTS "tax_withholdings_update" ON tax_withholdings;
+CREATE POLICY "tax_withholdings_update" ON tax_withholdings FOR UPDATE USING (true);
+DROP POLICY IF EXISTS "tax_withholdings_delete" ON tax_withholdings;
+CREATE POLICY "tax_withholdings_delete" ON tax_withholdings FOR DELETE USING (true);
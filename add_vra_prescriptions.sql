@@ -0,0 +1,121 @@
+-- Zonas de manejo y prescripciones de dosis variable (VRA)
+-- management_zone_maps: delimitación de N zonas por lote a partir del historial NDVI y muestras de suelo
+-- georreferenciadas. Las zonas se guardan como GeoJSON junto con sus promedios.
+-- vra_prescriptions: dosis de semilla o fertilizante por zona, exportable a Shapefile / ISO-XML
+-- y vinculada al trabajo agrícola que la aplica.
+
+CREATE TABLE IF NOT EXISTS management_zone_maps (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  firm_id uuid NOT NULL REFERENCES firms(id),
+  premise_id uuid NOT NULL REFERENCES premises(id),
+  lot_id uuid NOT NULL REFERENCES lots(id),
+  name text NOT NULL,
+  zone_count integer NOT NULL,
+  cell_size_m integer NOT NULL DEFAULT 20,
+  -- { ndvi_dates: [...], soil_variables: [...], soil_samples: n }
+  sources jsonb NOT NULL DEFAULT '{}'::jsonb,
+  -- [{ zona, etiqueta, area_ha, celdas, promedios: { ndvi, P, ... }, geometry }]
+  zones jsonb NOT NULL DEFAULT '[]'::jsonb,
+  created_by uuid,
+  created_at timestamptz DEFAULT now()
+);
+
+CREATE TABLE IF NOT EXISTS vra_prescriptions (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  firm_id uuid NOT NULL REFERENCES firms(id),
+  premise_id uuid NOT NULL REFERENCES premises(id),
+  lot_id uuid NOT NULL REFERENCES lots(id),
+  zone_map_id uuid NOT NULL REFERENCES management_zone_maps(id) ON DELETE CASCADE,
+  work_id uuid REFERENCES agricultural_works(id) ON DELETE SET NULL,
+  input_id uuid REFERENCES inputs(id) ON DELETE SET NULL,
+  product_type text NOT NULL,
+  product_name text NOT NULL,
+  rate_unit text NOT NULL DEFAULT 'kg/ha',
+  base_rate numeric(12,2),
+  -- [{ zona, dosis }]
+  rates jsonb NOT NULL DEFAULT '[]'::jsonb,
+  total_quantity numeric(14,2),
+  status text NOT NULL DEFAULT 'BORRADOR',
+  last_export_format text,
+  exported_at timestamptz,
+  notes text,
+  created_by uuid,
+  created_at timestamptz DEFAULT now(),
+  updated_at timestamptz DEFAULT now()
+);
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1
+    FROM pg_constraint
+    WHERE conname = 'management_zone_maps_zone_count_check'
+  ) THEN
+    ALTER TABLE management_zone_maps
+      ADD CONSTRAINT management_zone_maps_zone_count_check
+      CHECK (zone_count BETWEEN 2 AND 6);
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1
+    FROM pg_constraint
+    WHERE conname = 'vra_prescriptions_product_type_check'
+  ) THEN
+    ALTER TABLE vra_prescriptions
+      ADD CONSTRAINT vra_prescriptions_product_type_check
+      CHECK (product_type IN ('SEMILLA', 'FERTILIZANTE'));
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1
+    FROM pg_constraint
+    WHERE conname = 'vra_prescriptions_rate_unit_check'
+  ) THEN
+    ALTER TABLE vra_prescriptions
+      ADD CONSTRAINT vra_prescriptions_rate_unit_check
+      CHECK (rate_unit IN ('kg/ha', 'L/ha', 'semillas/ha'));
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1
+    FROM pg_constraint
+    WHERE conname = 'vra_prescriptions_status_check'
+  ) THEN
+    ALTER TABLE vra_prescriptions
+      ADD CONSTRAINT vra_prescriptions_status_check
+      CHECK (status IN ('BORRADOR', 'EXPORTADA', 'APLICADA'));
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1
+    FROM pg_constraint
+    WHERE conname = 'vra_prescriptions_export_format_check'
+  ) THEN
+    ALTER TABLE vra_prescriptions
+      ADD CONSTRAINT vra_prescriptions_export_format_check
+      CHECK (last_export_format IS NULL OR last_export_format IN ('SHAPEFILE', 'ISOXML'));
+  END IF;
+END $$;
+
+CREATE INDEX IF NOT EXISTS idx_management_zone_maps_lot ON management_zone_maps(lot_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_vra_prescriptions_lot ON vra_prescriptions(lot_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_vra_prescriptions_work ON vra_prescriptions(work_id);
+
+ALTER TABLE management_zone_maps ENABLE ROW LEVEL SECURITY;
+ALTER TABLE vra_prescriptions ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "management_zone_maps_select" ON management_zone_maps;
+CREATE POLICY "management_zone_maps_select" ON management_zone_maps FOR SELECT USING (true);
+DROP POLICY IF EXISTS "management_zone_maps_insert" ON management_zone_maps;
+CREATE POLICY "management_zone_maps_insert" ON management_zone_maps FOR INSERT WITH CHECK (true);
+DROP POLICY IF EXISTS "management_zone_maps_delete" ON management_zone_maps;
+CREATE POLICY "management_zone_maps_delete" ON management_zone_maps FOR DELETE USING (true);
+
+DROP POLICY IF EXISTS "vra_prescriptions_select" ON vra_prescriptions;
+CREATE POLICY "vra_prescriptions_select" ON vra_prescriptions FOR SELECT USING (true);
+DROP POLICY IF EXISTS "vra_prescriptions_insert" ON vra_prescriptions;
+CREATE POLICY "vra_prescriptions_insert" ON vra_prescriptions FOR INSERT WITH CHECK (true);
+DROP POLICY IF EXISTS "vra_prescriptions_update" ON vra_prescriptions;
+CREATE POLICY "vra_prescriptions_update" ON vra_prescriptions FOR UPDATE USING (true);
+DROP POLICY IF EXISTS "vra_prescriptions_delete" ON vra_prescriptions;
+CREATE POLICY "vra_prescriptions_delete" ON vra_prescriptions FOR DELETE USING (true);
@@ -0,0 +1,47 @@
+-- Sesiones de pesaje importadas desde la balanza electrónica (Tru-Test / Gallagher)
+-- Cada lectura emparejada genera un evento WEIGHING individual con el peso real del animal
+
+CREATE TABLE IF NOT EXISTS weighing_sessions (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  firm_id uuid NOT NULL REFERENCES firms(id),
+  premise_id uuid NOT NULL REFERENCES premises(id),
+  herd_id uuid NOT NULL REFERENCES herds(id) ON DELETE CASCADE,
+  session_date date NOT NULL,
+  source_file text,
+  device_format text,
+  total_readings integer NOT NULL DEFAULT 0,
+  matched_count integer NOT NULL DEFAULT 0,
+  unmatched jsonb NOT NULL DEFAULT '[]'::jsonb,
+  created_by uuid,
+  created_at timestamptz DEFAULT now()
+);
+
+ALTER TABLE herd_events
+  ADD COLUMN IF NOT EXISTS weighing_session_id uuid REFERENCES weighing_sessions(id) ON DELETE SET NULL;
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1
+    FROM pg_constraint
+    WHERE conname = 'weighing_sessions_format_check'
+  ) THEN
+    ALTER TABLE weighing_sessions
+      ADD CONSTRAINT weighing_sessions_format_check
+      CHECK (device_format IS NULL OR device_format IN ('CSV', 'XML'));
+  END IF;
+END $$;
+
+CREATE INDEX IF NOT EXISTS idx_weighing_sessions_herd_date ON weighing_sessions(herd_id, session_date DESC);
+CREATE INDEX IF NOT EXISTS idx_herd_events_weighing_session ON herd_events(weighing_session_id);
+
+ALTER TABLE weighing_sessions ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "weighing_sessions_select" ON weighing_sessions;
+CREATE POLICY "weighing_sessions_select" ON weighing_sessions FOR SELECT USING (true);
+DROP POLICY IF EXISTS "weighing_sessions_insert" ON weighing_sessions;
+CREATE POLICY "weighing_sessions_insert" ON weighing_sessions FOR INSERT WITH CHECK (true);
+DROP POLICY IF EXISTS "weighing_sessions_update" ON weighing_sessions;
+CREATE POLICY "weighing_sessions_update" ON weighing_sessions FOR UPDATE USING (true);
+DROP POLICY IF EXISTS "weighing_sessions_delete" ON weighing_sessions;
+CREATE POLICY "weighing_sessions_delete" ON weighing_sessions FOR DELETE USING (true);
@@ -0,0 +1,9 @@
+-- Unifica la categoría de venta de ganado en income.
+-- Los formularios guardan 'Venta de ganado', pero los KPIs de ganadería filtraban por
+-- 'Venta de Ganado' y la importación de liquidaciones de faena también la escribía así.
+-- Ahora todo el código usa CATEGORIAS_INGRESO.VENTA_GANADO (src/lib/incomeCategories.config.js).
+-- Ejecutar en Supabase: SQL Editor → New query → Pegar y Run
+
+UPDATE income
+SET category = 'Venta de ganado'
+WHERE category = 'Venta de Ganado';
@@ -0,0 +1,90 @@
+/**
+ * Service Worker: permite abrir la app sin conexión en el campo
+ *
+ * - Navegación: red primero, si falla se sirve el index.html cacheado
+ * - /assets (bundles con hash de Vite): caché primero
+ * - Teselas de mapas: caché primero con límite de entradas
+ * - Supabase NO se intercepta: las escrituras offline van a la cola de IndexedDB
+ */
+
+const VERSION = 'v1';
+const CACHE_APP = `nerd-app-${VERSION}`;
+const CACHE_TESELAS = `nerd-teselas-${VERSION}`;
+const MAX_TESELAS = 800;
+
+const APP_SHELL = ['/', '/index.html', '/manifest.webmanifest', '/icons/icon-192.png', '/icons/icon-512.png'];
+
+const HOSTS_TESELAS = ['server.arcgisonline.com', 'tile.openstreetmap.org'];
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(caches.open(CACHE_APP).then((cache) => cache.addAll(APP_SHELL)));
+  self.skipWaiting();
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys().then((claves) =>
+      Promise.all(
+        claves
+          .filter((clave) => clave !== CACHE_APP && clave !== CACHE_TESELAS)
+          .map((clave) => caches.delete(clave))
+      )
+    )
+  );
+  self.clients.claim();
+});
+
+async function recortarCache(nombre, maximo) {
+  const cache = await caches.open(nombre);
+  const claves = await cache.keys();
+  for (let i = 0; i < claves.length - maximo; i++) {
+    await cache.delete(claves[i]);
+  }
+}
+
+async function cachePrimero(request, nombreCache) {
+  const cache = await caches.open(nombreCache);
+  const cacheada = await cache.match(request);
+  if (cacheada) return cacheada;
+
+  const respuesta = await fetch(request);
+  if (respuesta.ok || respuesta.type === 'opaque') {
+    cache.put(request, respuesta.clone());
+  }
+  return respuesta;
+}
+
+async function redPrimeroNavegacion(request) {
+  try {
+    const respuesta = await fetch(request);
+    const cache = await caches.open(CACHE_APP);
+    cache.put('/index.html', respuesta.clone());
+    return respuesta;
+  } catch (error) {
+    const cache = await caches.open(CACHE_APP);
+    return (await cache.match('/index.html')) || (await cache.match('/'));
+  }
+}
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+
+  const url = new URL(request.url);
+
+  if (request.mode === 'navigate' && url.origin === self.location.origin) {
+    event.respondWith(redPrimeroNavegacion(request));
+    return;
+  }
+
+  if (url.origin === self.location.origin && (url.pathname.startsWith('/assets/') || APP_SHELL.includes(url.pathname))) {
+    event.respondWith(cachePrimero(request, CACHE_APP));
+    return;
+  }
+
+  if (HOSTS_TESELAS.some((host) => url.hostname.endsWith(host))) {
+    event.respondWith(
+      cachePrimero(request, CACHE_TESELAS).finally(() => recortarCache(CACHE_TESELAS, MAX_TESELAS))
+    );
+  }
+});
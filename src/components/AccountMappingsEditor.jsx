@@ -0,0 +1,135 @@
+/**
+ * AccountMappingsEditor.jsx
+ * Mapeo de categorías, cuentas financieras y cuentas del sistema al plan de cuentas,
+ * usado para generar los asientos automáticos
+ */
+
+import React, { useEffect } from 'react';
+import { useJournal } from '../hooks/useJournal';
+import { useAuth } from '../contexts/AuthContext';
+import { CUENTAS_SISTEMA, TIPOS_MAPEO } from '../services/journal';
+import { Link2, RefreshCw } from 'lucide-react';
+
+export default function AccountMappingsEditor({ firmId, accounts }) {
+  const { user } = useAuth();
+  const { mappings, mappingKeys, loadMappings, saveMapping, postPending } = useJournal();
+
+  useEffect(() => {
+    if (firmId) {
+      loadMappings(firmId);
+    }
+  }, [firmId, loadMappings]);
+
+  // Solo cuentas imputables y activas pueden recibir asientos
+  const imputables = accounts.filter(a => a.allows_transactions && a.is_active);
+
+  const cuentaMapeada = (tipo, clave) =>
+    mappings.find(m => m.mapping_type === tipo && m.mapping_key === clave)?.account_id || '';
+
+  const handleChange = async (tipo, clave, accountId) => {
+    try {
+      await saveMapping({ firmId, tipo, clave, accountId: accountId || null, userId: user?.id });
+    } catch (error) {
+      console.error('Error saving mapping:', error);
+    }
+  };
+
+  const handlePostPending = async () => {
+    if (!window.confirm('¿Generar los asientos de facturas, pagos, cobros y ventas que aún no están contabilizados?')) {
+      return;
+    }
+
+    try {
+      await postPending(firmId, user?.id);
+    } catch (error) {
+      console.error('Error posting pending entries:', error);
+    }
+  };
+
+  const renderSection = (titulo, descripcion, tipo, claves) => (
+    <div className="bg-white border border-slate-200 rounded-lg overflow-hidden">
+      <div className="px-4 py-3 bg-slate-50 border-b border-slate-200">
+        <h4 className="text-sm font-semibold text-slate-700">{titulo}</h4>
+        <p className="text-xs text-slate-500">{descripcion}</p>
+      </div>
+      <div className="divide-y divide-slate-100">
+        {claves.length === 0 ? (
+          <p className="px-4 py-3 text-sm text-slate-500">Sin elementos para mapear</p>
+        ) : (
+          claves.map(({ key, label }) => (
+            <div key={key} className="grid grid-cols-2 gap-4 items-center px-4 py-2">
+              <span className="text-sm text-slate-700">{label}</span>
+              <select
+                value={cuentaMapeada(tipo, key)}
+                onChange={(e) => handleChange(tipo, key, e.target.value)}
+                className={`w-full px-3 py-1.5 text-sm border rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 ${
+                  cuentaMapeada(tipo, key) ? 'border-slate-300' : 'border-amber-300 bg-amber-50'
+                }`}
+              >
+                <option value="">Sin mapear</option>
+                {imputables.map(account => (
+                  <option key={account.id} value={account.id}>
+                    {account.code} - {account.name}
+                  </option>
+                ))}
+              </select>
+            </div>
+          ))
+        )}
+      </div>
+    </div>
+  );
+
+  return (
+    <div className="space-y-4">
+      <div className="flex justify-between items-center">
+        <div>
+          <h3 className="text-lg font-semibold flex items-center gap-2">
+            <Link2 size={18} />
+            Mapeo Contable
+          </h3>
+          <p className="text-sm text-slate-600">
+            Cuentas que usan los asientos automáticos de facturas, pagos, cobros y ventas
+          </p>
+        </div>
+        <button
+          onClick={handlePostPending}
+          disabled={imputables.length === 0}
+          className="flex items-center gap-2 px-4 py-2 bg-indigo-600 hover:bg-indigo-700 text-white rounded-lg transition-colors disabled:opacity-50"
+        >
+          <RefreshCw size={18} />
+          Contabilizar Pendientes
+        </button>
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-4">
+        {renderSection(
+          'Cuentas del Sistema',
+          'Proveedores, clientes, IVA y respaldos cuando una categoría no está mapeada',
+          TIPOS_MAPEO.SISTEMA,
+          CUENTAS_SISTEMA
+        )}
+        <div className="space-y-4">
+          {renderSection(
+            'Categorías de Gasto',
+            'Cuenta al debe al aprobar una factura de compra',
+            TIPOS_MAPEO.CATEGORIA_GASTO,
+            mappingKeys.categoriasGasto.map(c => ({ key: c, label: c }))
+          )}
+          {renderSection(
+            'Categorías de Ingreso',
+            'Cuenta al haber al cobrar un ingreso que no proviene de una venta',
+            TIPOS_MAPEO.CATEGORIA_INGRESO,
+            mappingKeys.categoriasIngreso.map(c => ({ key: c, label: c }))
+          )}
+          {renderSection(
+            'Cuentas Financieras',
+            'Caja o banco que se mueve al ejecutar pagos y registrar cobros',
+            TIPOS_MAPEO.CUENTA_FINANCIERA,
+            mappingKeys.cuentasFinancieras.map(c => ({ key: c.id, label: `${c.name} (${c.currency})` }))
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
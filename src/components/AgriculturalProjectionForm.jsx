@@ -1,13 +1,17 @@
 import React, { useState, useEffect } from 'react';
 import { supabase } from '../lib/supabase';
 import { crearRegistro } from '../services/registros';
-import { Save, Loader, X, Calculator } from 'lucide-react';
+import { Save, Loader, X, Calculator, AlertTriangle } from 'lucide-react';
 import { useAuth } from '../contexts/AuthContext';
+import { validarProyeccionContraRotacion } from '../services/cropRotation';
 
 export default function AgriculturalProjectionForm({ onClose, onSave, initialData = {} }) {
   const { user } = useAuth();
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
+  // Rotation plan warnings: shown once, a second submit confirms
+  const [rotationWarnings, setRotationWarnings] = useState([]);
+  const [rotationAck, setRotationAck] = useState(false);
   
   // Data for dropdowns
   const [firms, setFirms] = useState([]);
@@ -82,6 +86,12 @@ export default function AgriculturalProjectionForm({ onClose, onSave, initialDat
     }
   }, [formData.lote_id, lots]);
 
+  // Reset rotation warnings when what is being projected changes
+  useEffect(() => {
+    setRotationWarnings([]);
+    setRotationAck(false);
+  }, [formData.lote_id, formData.cultivo_proyectado, formData.fecha_tentativa]);
+
   // Auto-calculate total
   useEffect(() => {
     if (formData.hectares && formData.dosis_ha) {
@@ -141,6 +151,23 @@ export default function AgriculturalProjectionForm({ onClose, onSave, initialDat
     setError(null);
 
     try {
+      if (!rotationAck) {
+        const warnings = await validarProyeccionContraRotacion({
+          lotId: formData.lote_id,
+          cultivo: formData.cultivo_proyectado,
+          fecha: formData.fecha_tentativa
+        }).catch(err => {
+          console.warn('Error validando rotación:', err);
+          return [];
+        });
+
+        if (warnings.length > 0) {
+          setRotationWarnings(warnings);
+          setRotationAck(true);
+          return;
+        }
+      }
+
       const { error: insertError } = await supabase
         .from('proyecciones_agricolas')
         .insert([{
@@ -218,6 +245,18 @@ export default function AgriculturalProjectionForm({ onClose, onSave, initialDat
             </div>
           )}
 
+          {rotationWarnings.length > 0 && (
+            <div className="p-3 bg-amber-50 border border-amber-200 text-amber-800 text-sm rounded-lg space-y-1">
+              <p className="font-medium flex items-center gap-2">
+                <AlertTriangle size={16} /> Advertencias de rotación
+              </p>
+              <ul className="list-disc pl-5">
+                {rotationWarnings.map((w, i) => <li key={i}>{w.mensaje}</li>)}
+              </ul>
+              <p className="text-xs">Revise el plan del lote o guarde de todos modos.</p>
+            </div>
+          )}
+
           {/* Location Section */}
           <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
             <div>
@@ -504,7 +543,7 @@ export default function AgriculturalProjectionForm({ onClose, onSave, initialDat
               className="flex items-center gap-2 px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700 font-medium transition-colors disabled:opacity-50"
             >
               {loading ? <Loader size={18} className="animate-spin" /> : <Save size={18} />}
-              Guardar Proyección
+              {rotationWarnings.length > 0 ? 'Guardar de todos modos' : 'Guardar Proyección'}
             </button>
           </div>
         </form>
@@ -0,0 +1,454 @@
+import { useState, useEffect, useRef } from 'react';
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow
+} from './ui/table';
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue
+} from './ui/select';
+import { Input } from './ui/input';
+import { Button } from './ui/button';
+import { Badge } from './ui/badge';
+import { Upload, Wand2, Lock, Link2, Unlink, EyeOff, Settings } from 'lucide-react';
+import { toast } from 'sonner';
+import { useAuth } from '../contexts/AuthContext';
+import {
+  ESTADOS_LINEA,
+  obtenerLayouts,
+  guardarLayout,
+  importarExtracto,
+  obtenerLineasExtracto,
+  obtenerMovimientosPendientes,
+  conciliarAutomaticamente,
+  conciliarManual,
+  cambiarEstadoLinea,
+  obtenerConciliaciones,
+  cerrarConciliacion,
+  detectarFormatoArchivo
+} from '../services/bankReconciliation';
+
+const ESTADO_BADGE = {
+  [ESTADOS_LINEA.PENDIENTE]: { label: 'Sin conciliar', className: 'bg-amber-100 text-amber-800' },
+  [ESTADOS_LINEA.CONCILIADA]: { label: 'Conciliada', className: 'bg-green-100 text-green-800' },
+  [ESTADOS_LINEA.IGNORADA]: { label: 'Ignorada', className: 'bg-gray-100 text-gray-700' }
+};
+
+const COLUMNAS_LAYOUT = [
+  ['fecha', 'Fecha'],
+  ['descripcion', 'Descripción'],
+  ['referencia', 'Referencia'],
+  ['importe', 'Importe (con signo)'],
+  ['debito', 'Débito'],
+  ['credito', 'Crédito'],
+  ['saldo', 'Saldo']
+];
+
+const formatMonto = (valor) =>
+  Number(valor || 0).toLocaleString('es-UY', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+
+/**
+ * Conciliación bancaria de una cuenta financiera: importación de extractos,
+ * emparejamiento con órdenes de pago / ingresos y cierre de período
+ * @component
+ */
+export default function BankReconciliationPanel({ account, dateFrom, dateTo }) {
+  const { user } = useAuth();
+  const fileInputRef = useRef(null);
+
+  const [layouts, setLayouts] = useState([]);
+  const [layoutClave, setLayoutClave] = useState('BROU');
+  const [lineas, setLineas] = useState([]);
+  const [candidatos, setCandidatos] = useState([]);
+  const [conciliaciones, setConciliaciones] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [procesando, setProcesando] = useState(false);
+  const [filtroEstado, setFiltroEstado] = useState('all');
+  const [saldoExtracto, setSaldoExtracto] = useState('');
+  const [notas, setNotas] = useState('');
+  const [mostrarLayout, setMostrarLayout] = useState(false);
+  const [nuevoLayout, setNuevoLayout] = useState({ nombre: '', separador: '', columnas: {} });
+
+  useEffect(() => {
+    if (account?.id) {
+      loadData();
+    }
+  }, [account?.id, dateFrom, dateTo]);
+
+  useEffect(() => {
+    if (account?.firm_id) {
+      obtenerLayouts(account.firm_id).then(({ data }) => setLayouts(data));
+    }
+  }, [account?.firm_id]);
+
+  const loadData = async () => {
+    setLoading(true);
+    try {
+      const filtros = { desde: dateFrom, hasta: dateTo };
+      const [{ data: lineasData }, pendientes, { data: cierres }] = await Promise.all([
+        obtenerLineasExtracto(account.id, filtros),
+        obtenerMovimientosPendientes(account.id, filtros),
+        obtenerConciliaciones(account.id)
+      ]);
+      setLineas(lineasData);
+      setCandidatos(pendientes);
+      setConciliaciones(cierres);
+    } catch (err) {
+      toast.error(`Error al cargar la conciliación: ${err.message}`);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const ejecutar = async (accion, mensajeExito) => {
+    setProcesando(true);
+    try {
+      const { data, error } = await accion();
+      if (error) throw error;
+      if (mensajeExito) toast.success(typeof mensajeExito === 'function' ? mensajeExito(data) : mensajeExito);
+      await loadData();
+      return data;
+    } catch (err) {
+      toast.error(err.message || 'Error en la conciliación');
+      return null;
+    } finally {
+      setProcesando(false);
+    }
+  };
+
+  const handleArchivo = async (e) => {
+    const archivo = e.target.files?.[0];
+    e.target.value = '';
+    if (!archivo) return;
+
+    const formato = detectarFormatoArchivo(archivo.name);
+    const contenido = formato === 'excel' ? await archivo.arrayBuffer() : await archivo.text();
+    const layout = layouts.find((l) => l.clave === layoutClave);
+
+    const resultado = await ejecutar(
+      () => importarExtracto({ cuenta: account, nombreArchivo: archivo.name, contenido, layout, userId: user?.id || null }),
+      (data) => `${data.importadas} movimiento(s) importado(s)${data.duplicadas ? `, ${data.duplicadas} ya existían` : ''}`
+    );
+    if (resultado?.errores?.length > 0) {
+      toast.warning(`${resultado.errores.length} fila(s) omitida(s): ${resultado.errores[0]}`);
+    }
+  };
+
+  const handleConciliarAuto = () =>
+    ejecutar(
+      () => conciliarAutomaticamente(account.id, { desde: dateFrom, hasta: dateTo }, user?.id || null),
+      (data) => `${data.conciliadas} línea(s) conciliada(s), ${data.pendientes} sin conciliar`
+    );
+
+  const handleConciliarManual = (linea, clave) => {
+    const candidato = candidatos.find((c) => c.clave === clave);
+    if (!candidato) return;
+    ejecutar(() => conciliarManual(linea.id, candidato, user?.id || null), 'Línea conciliada');
+  };
+
+  const handleCerrar = () => {
+    const pendientes = lineas.filter((l) => l.status === ESTADOS_LINEA.PENDIENTE && !l.reconciliation_id).length;
+    const aviso = pendientes > 0 ? `\nQuedan ${pendientes} línea(s) sin conciliar que seguirán abiertas.` : '';
+    if (!confirm(`¿Cerrar la conciliación del ${dateFrom} al ${dateTo}? Las líneas conciliadas quedarán bloqueadas.${aviso}`)) {
+      return;
+    }
+    ejecutar(
+      () => cerrarConciliacion({ cuenta: account, desde: dateFrom, hasta: dateTo, saldoExtracto, notas, userId: user?.id || null }),
+      'Período de conciliación cerrado'
+    ).then((data) => {
+      if (data) {
+        setSaldoExtracto('');
+        setNotas('');
+      }
+    });
+  };
+
+  const handleGuardarLayout = async () => {
+    const columnas = Object.fromEntries(
+      Object.entries(nuevoLayout.columnas)
+        .map(([clave, valor]) => [clave, String(valor || '').split('|').map((v) => v.trim()).filter(Boolean)])
+        .filter(([, valores]) => valores.length > 0)
+    );
+    const { data, error } = await guardarLayout(
+      account.firm_id,
+      { nombre: nuevoLayout.nombre, separador: nuevoLayout.separador || null, columnas },
+      user?.id || null
+    );
+    if (error) {
+      toast.error(error.message);
+      return;
+    }
+    toast.success('Layout guardado');
+    const { data: actualizados } = await obtenerLayouts(account.firm_id);
+    setLayouts(actualizados);
+    setLayoutClave(data.id);
+    setMostrarLayout(false);
+    setNuevoLayout({ nombre: '', separador: '', columnas: {} });
+  };
+
+  const lineasFiltradas = lineas.filter((l) => filtroEstado === 'all' || l.status === filtroEstado);
+  const totales = lineas.reduce(
+    (acc, l) => ({ ...acc, [l.status]: (acc[l.status] || 0) + 1 }),
+    {}
+  );
+
+  const describirDocumento = (linea) => {
+    if (linea.payment_order) return `OP #${linea.payment_order.order_number} - ${linea.payment_order.beneficiary_name || ''}`;
+    if (linea.income) return `Ingreso ${linea.income.invoice_number || ''} - ${linea.income.client_name || ''}`;
+    return '-';
+  };
+
+  return (
+    <div className="space-y-4">
+      {/* Importación */}
+      <div className="flex flex-wrap gap-3 items-end p-4 bg-gray-50 rounded-lg border">
+        <div className="w-48">
+          <label className="block text-sm font-medium mb-1">Layout del banco</label>
+          <Select value={layoutClave} onValueChange={setLayoutClave}>
+            <SelectTrigger>
+              <SelectValue placeholder="Layout" />
+            </SelectTrigger>
+            <SelectContent>
+              {layouts.map((layout) => (
+                <SelectItem key={layout.clave} value={layout.clave}>
+                  {layout.nombre}
+                </SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+        </div>
+        <Button variant="outline" size="sm" onClick={() => setMostrarLayout(!mostrarLayout)}>
+          <Settings size={14} className="mr-1" />
+          Nuevo layout
+        </Button>
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept=".csv,.txt,.ofx,.qfx,.xls,.xlsx"
+          className="hidden"
+          onChange={handleArchivo}
+        />
+        <Button onClick={() => fileInputRef.current?.click()} disabled={procesando} className="bg-blue-600 hover:bg-blue-700">
+          <Upload size={16} className="mr-2" />
+          Importar extracto
+        </Button>
+        <Button onClick={handleConciliarAuto} disabled={procesando || !totales[ESTADOS_LINEA.PENDIENTE]} variant="outline">
+          <Wand2 size={16} className="mr-2" />
+          Conciliar automáticamente
+        </Button>
+      </div>
+
+      {mostrarLayout && (
+        <div className="p-4 border rounded-lg space-y-3">
+          <p className="text-sm text-gray-600">
+            Escribe el encabezado de cada columna tal como aparece en el extracto. Separa alternativas con |
+          </p>
+          <div className="grid grid-cols-4 gap-3">
+            <Input
+              placeholder="Nombre del layout"
+              value={nuevoLayout.nombre}
+              onChange={(e) => setNuevoLayout({ ...nuevoLayout, nombre: e.target.value })}
+            />
+            <Input
+              placeholder="Separador (auto)"
+              value={nuevoLayout.separador}
+              maxLength={1}
+              onChange={(e) => setNuevoLayout({ ...nuevoLayout, separador: e.target.value })}
+            />
+            {COLUMNAS_LAYOUT.map(([clave, etiqueta]) => (
+              <Input
+                key={clave}
+                placeholder={etiqueta}
+                value={nuevoLayout.columnas[clave] || ''}
+                onChange={(e) =>
+                  setNuevoLayout({ ...nuevoLayout, columnas: { ...nuevoLayout.columnas, [clave]: e.target.value } })
+                }
+              />
+            ))}
+          </div>
+          <div className="flex justify-end gap-2">
+            <Button variant="outline" size="sm" onClick={() => setMostrarLayout(false)}>
+              Cancelar
+            </Button>
+            <Button size="sm" onClick={handleGuardarLayout}>
+              Guardar layout
+            </Button>
+          </div>
+        </div>
+      )}
+
+      {/* Resumen */}
+      <div className="grid grid-cols-3 gap-4">
+        {[ESTADOS_LINEA.CONCILIADA, ESTADOS_LINEA.PENDIENTE, ESTADOS_LINEA.IGNORADA].map((estado) => (
+          <button
+            key={estado}
+            onClick={() => setFiltroEstado(filtroEstado === estado ? 'all' : estado)}
+            className={`p-3 rounded-lg border text-left ${filtroEstado === estado ? 'ring-2 ring-blue-400' : ''}`}
+          >
+            <p className="text-sm text-gray-600">{ESTADO_BADGE[estado].label}</p>
+            <p className="text-2xl font-bold">{totales[estado] || 0}</p>
+          </button>
+        ))}
+      </div>
+
+      {/* Líneas del extracto */}
+      <div className="border rounded-lg overflow-hidden">
+        {loading ? (
+          <div className="p-8 text-center text-gray-500">Cargando extracto...</div>
+        ) : lineasFiltradas.length === 0 ? (
+          <div className="p-8 text-center text-gray-500">No hay líneas de extracto en el período</div>
+        ) : (
+          <Table>
+            <TableHeader>
+              <TableRow className="bg-gray-50">
+                <TableHead>Fecha</TableHead>
+                <TableHead>Descripción</TableHead>
+                <TableHead className="text-right">Importe</TableHead>
+                <TableHead>Estado</TableHead>
+                <TableHead>Documento</TableHead>
+                <TableHead />
+              </TableRow>
+            </TableHeader>
+            <TableBody>
+              {lineasFiltradas.map((linea) => {
+                const bloqueada = !!linea.reconciliation_id;
+                const opciones = candidatos.filter((c) => Math.sign(c.monto) === Math.sign(Number(linea.amount)));
+                return (
+                  <TableRow
+                    key={linea.id}
+                    className={linea.status === ESTADOS_LINEA.PENDIENTE ? 'bg-amber-50/50' : ''}
+                  >
+                    <TableCell className="whitespace-nowrap">
+                      {new Date(`${linea.line_date}T00:00:00`).toLocaleDateString('es-UY')}
+                    </TableCell>
+                    <TableCell className="text-sm">
+                      <div>{linea.description || '-'}</div>
+                      {linea.reference && <div className="text-xs text-gray-500 font-mono">{linea.reference}</div>}
+                    </TableCell>
+                    <TableCell className={`text-right font-semibold ${Number(linea.amount) < 0 ? 'text-red-600' : 'text-green-600'}`}>
+                      {formatMonto(linea.amount)}
+                    </TableCell>
+                    <TableCell>
+                      <Badge className={ESTADO_BADGE[linea.status]?.className}>
+                        {bloqueada && <Lock size={10} className="mr-1" />}
+                        {ESTADO_BADGE[linea.status]?.label}
+                      </Badge>
+                      {linea.match_score && <span className="ml-1 text-xs text-gray-400">{linea.match_score}%</span>}
+                    </TableCell>
+                    <TableCell className="text-sm">
+                      {linea.status === ESTADOS_LINEA.PENDIENTE && !bloqueada ? (
+                        opciones.length > 0 ? (
+                          <Select onValueChange={(clave) => handleConciliarManual(linea, clave)}>
+                            <SelectTrigger className="h-8 w-56">
+                              <SelectValue placeholder="Conciliar con..." />
+                            </SelectTrigger>
+                            <SelectContent>
+                              {opciones.map((c) => (
+                                <SelectItem key={c.clave} value={c.clave}>
+                                  {c.fecha} · {c.descripcion} · {formatMonto(Math.abs(c.monto))}
+                                </SelectItem>
+                              ))}
+                            </SelectContent>
+                          </Select>
+                        ) : (
+                          <span className="text-amber-700">Sin movimiento contable</span>
+                        )
+                      ) : (
+                        describirDocumento(linea)
+                      )}
+                    </TableCell>
+                    <TableCell className="text-right whitespace-nowrap">
+                      {!bloqueada && linea.status === ESTADOS_LINEA.CONCILIADA && (
+                        <Button
+                          size="sm"
+                          variant="ghost"
+                          title="Deshacer conciliación"
+                          onClick={() => ejecutar(() => cambiarEstadoLinea(linea.id, ESTADOS_LINEA.PENDIENTE))}
+                        >
+                          <Unlink size={14} />
+                        </Button>
+                      )}
+                      {!bloqueada && linea.status === ESTADOS_LINEA.PENDIENTE && (
+                        <Button
+                          size="sm"
+                          variant="ghost"
+                          title="Ignorar (comisiones, impuestos bancarios)"
+                          onClick={() => ejecutar(() => cambiarEstadoLinea(linea.id, ESTADOS_LINEA.IGNORADA))}
+                        >
+                          <EyeOff size={14} />
+                        </Button>
+                      )}
+                      {!bloqueada && linea.status === ESTADOS_LINEA.IGNORADA && (
+                        <Button
+                          size="sm"
+                          variant="ghost"
+                          title="Volver a pendiente"
+                          onClick={() => ejecutar(() => cambiarEstadoLinea(linea.id, ESTADOS_LINEA.PENDIENTE))}
+                        >
+                          <Link2 size={14} />
+                        </Button>
+                      )}
+                    </TableCell>
+                  </TableRow>
+                );
+              })}
+            </TableBody>
+          </Table>
+        )}
+      </div>
+
+      {/* Cierre de período */}
+      <div className="p-4 border rounded-lg space-y-3">
+        <h4 className="font-semibold text-sm">Cerrar período {dateFrom} a {dateTo}</h4>
+        <div className="grid grid-cols-3 gap-3">
+          <Input
+            type="number"
+            step="0.01"
+            placeholder="Saldo según extracto (opcional)"
+            value={saldoExtracto}
+            onChange={(e) => setSaldoExtracto(e.target.value)}
+          />
+          <Input placeholder="Notas" value={notas} onChange={(e) => setNotas(e.target.value)} />
+          <Button onClick={handleCerrar} disabled={procesando || lineas.length === 0} className="bg-slate-800 hover:bg-slate-900">
+            <Lock size={16} className="mr-2" />
+            Cerrar conciliación
+          </Button>
+        </div>
+
+        {conciliaciones.length > 0 && (
+          <Table>
+            <TableHeader>
+              <TableRow>
+                <TableHead>Período</TableHead>
+                <TableHead className="text-right">Saldo banco</TableHead>
+                <TableHead className="text-right">Saldo libros</TableHead>
+                <TableHead className="text-right">Diferencia</TableHead>
+                <TableHead className="text-right">Conciliadas / pendientes</TableHead>
+              </TableRow>
+            </TableHeader>
+            <TableBody>
+              {conciliaciones.map((c) => (
+                <TableRow key={c.id}>
+                  <TableCell>{c.period_start} a {c.period_end}</TableCell>
+                  <TableCell className="text-right">{c.statement_balance !== null ? formatMonto(c.statement_balance) : '-'}</TableCell>
+                  <TableCell className="text-right">{formatMonto(c.book_balance)}</TableCell>
+                  <TableCell className={`text-right font-semibold ${Number(c.difference) ? 'text-red-600' : 'text-green-600'}`}>
+                    {c.difference !== null ? formatMonto(c.difference) : '-'}
+                  </TableCell>
+                  <TableCell className="text-right">{c.matched_count} / {c.unmatched_count}</TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        )}
+      </div>
+    </div>
+  );
+}
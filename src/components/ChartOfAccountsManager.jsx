@@ -5,6 +5,7 @@
 
 import React, { useState, useEffect } from 'react';
 import { useChartOfAccounts } from '../hooks/useChartOfAccounts';
+import AccountMappingsEditor from './AccountMappingsEditor';
 import { Plus, Edit2, Download, CheckCircle2, XCircle, Trash2 } from 'lucide-react';
 import {
   Dialog,
@@ -335,6 +336,9 @@ export default function ChartOfAccountsManager({ firmId, firmName }) {
         </div>
       )}
 
+      {/* Mapeo contable para asientos automáticos */}
+      {flatAccounts.length > 0 && <AccountMappingsEditor firmId={firmId} accounts={flatAccounts} />}
+
       {/* Modal de Formulario */}
       <Dialog open={showForm} onOpenChange={setShowForm}>
         <DialogContent className="max-w-md">
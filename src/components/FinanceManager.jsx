@@ -7,6 +7,9 @@ import { PaymentOrderListView } from "./vistas/PaymentOrderListView";
 import { AccountsPayableView } from "./vistas/AccountsPayableView";
 import { AccountsReceivableView } from "./vistas/AccountsReceivableView";
 import { FinancialAccountsListView } from "./vistas/FinancialAccountsListView";
+import { ExchangeRatesView } from "./vistas/ExchangeRatesView";
+import { JournalView } from "./vistas/JournalView";
+import { TaxBookView } from "./vistas/TaxBookView";
 import { PaymentOrderFormModal } from "./modales/PaymentOrderFormModal";
 import PurchaseOrders from "./PurchaseOrders";
 import EventCostConfigManager from "./EventCostConfigManager";
@@ -35,6 +38,9 @@ import {
   ShoppingCart,
   Settings,
   BarChart3,
+  Repeat,
+  BookOpen,
+  Receipt,
 } from "lucide-react";
 import { toast } from "sonner";
 
@@ -632,7 +638,7 @@ function FinanceManagerContent({ firmId, premiseId, initialTab = "expenses" }) {
           data-testid="finance-tabs"
         >
           <TabsList
-            className="grid w-full grid-cols-9"
+            className="grid w-full grid-cols-12"
             data-testid="finance-tabs-list"
           >
             <TabsTrigger
@@ -691,6 +697,30 @@ function FinanceManagerContent({ firmId, premiseId, initialTab = "expenses" }) {
               <Landmark size={16} />
               <span className="hidden sm:inline">Cuentas</span>
             </TabsTrigger>
+            <TabsTrigger
+              value="exchange_rates"
+              className="flex items-center gap-2"
+              data-testid="tab-exchange-rates"
+            >
+              <Repeat size={16} />
+              <span className="hidden sm:inline">Tipos de Cambio</span>
+            </TabsTrigger>
+            <TabsTrigger
+              value="journal"
+              className="flex items-center gap-2"
+              data-testid="tab-journal"
+            >
+              <BookOpen size={16} />
+              <span className="hidden sm:inline">Contabilidad</span>
+            </TabsTrigger>
+            <TabsTrigger
+              value="taxes"
+              className="flex items-center gap-2"
+              data-testid="tab-taxes"
+            >
+              <Receipt size={16} />
+              <span className="hidden sm:inline">Impuestos</span>
+            </TabsTrigger>
             <TabsTrigger
               value="cost-config"
               className="flex items-center gap-2"
@@ -783,6 +813,33 @@ function FinanceManagerContent({ firmId, premiseId, initialTab = "expenses" }) {
             />
           </TabsContent>
 
+          {/* Tipos de Cambio y Diferencias de Cambio */}
+          <TabsContent
+            value="exchange_rates"
+            className="mt-6"
+            data-testid="tab-content-exchange-rates"
+          >
+            <ExchangeRatesView firmId={firmId} />
+          </TabsContent>
+
+          {/* Contabilidad: libro diario, mayor y balance de comprobación */}
+          <TabsContent
+            value="journal"
+            className="mt-6"
+            data-testid="tab-content-journal"
+          >
+            <JournalView firmId={firmId} />
+          </TabsContent>
+
+          {/* Impuestos: libros de IVA y retenciones IMEBA / IRAE */}
+          <TabsContent
+            value="taxes"
+            className="mt-6"
+            data-testid="tab-content-taxes"
+          >
+            <TaxBookView firmId={firmId} />
+          </TabsContent>
+
           {/* Configuración de Costos Automáticos */}
           <TabsContent
             value="cost-config"
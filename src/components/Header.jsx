@@ -1,6 +1,7 @@
 import React from 'react';
 import { Bell, Search, Menu } from 'lucide-react';
 import NewDataMenu from './NewDataMenu';
+import SyncStatusPanel from './SyncStatusPanel';
 
 export default function Header({ selectedFirmName = "Firma Seleccionada", selectedPremiseName = "Predio Seleccionado" }) {
   return (
@@ -20,6 +21,7 @@ export default function Header({ selectedFirmName = "Firma Seleccionada", select
       </div>
       
       <div className="flex items-center gap-4">
+        <SyncStatusPanel />
         <button className="relative p-2 hover:bg-slate-100 rounded-full transition-colors">
           <Bell size={20} className="text-slate-600" />
           <span className="absolute top-1 right-1 w-2.5 h-2.5 bg-red-500 rounded-full border-2 border-white"></span>
@@ -22,6 +22,10 @@ export default function InputForm({ input, firmId, onClose, onSave, onDelete })
     variety: '',
     laboratory: '',
     active_ingredient: '',
+    withdrawal_days_meat: '',
+    reentry_hours: '',
+    preharvest_days: '',
+    toxicological_class: '',
     batch_number: '',
     expiration_date: '',
     entry_date: new Date().toISOString().split('T')[0]
@@ -43,6 +47,7 @@ export default function InputForm({ input, firmId, onClose, onSave, onDelete })
     { value: 'seed', label: 'Semilla' },
     { value: 'fuel', label: 'Combustible' },
     { value: 'veterinary_med', label: 'Medicamentos Veterinarios' },
+    { value: 'feed', label: 'Alimento / Ración' },
     { value: 'other', label: 'Otro' }
   ];
 
@@ -72,6 +77,10 @@ export default function InputForm({ input, firmId, onClose, onSave, onDelete })
         variety: input.variety || '',
         laboratory: input.laboratory || '',
         active_ingredient: input.active_ingredient || '',
+        withdrawal_days_meat: input.withdrawal_days_meat ?? '',
+        reentry_hours: input.reentry_hours ?? '',
+        preharvest_days: input.preharvest_days ?? '',
+        toxicological_class: input.toxicological_class || '',
         batch_number: input.batch_number || '',
         expiration_date: input.expiration_date || '',
         entry_date: input.entry_date || ''
@@ -224,7 +233,11 @@ export default function InputForm({ input, firmId, onClose, onSave, onDelete })
         lot_id: finalLotId,
         // Convert empty date strings to null
         expiration_date: formData.expiration_date || null,
-        entry_date: formData.entry_date || null
+        entry_date: formData.entry_date || null,
+        withdrawal_days_meat: formData.withdrawal_days_meat === '' ? null : parseInt(formData.withdrawal_days_meat),
+        reentry_hours: formData.reentry_hours === '' ? null : parseInt(formData.reentry_hours),
+        preharvest_days: formData.preharvest_days === '' ? null : parseInt(formData.preharvest_days),
+        toxicological_class: formData.toxicological_class || null
       };
 
       // Remove fields that are not in the inputs table
@@ -559,6 +572,70 @@ export default function InputForm({ input, firmId, onClose, onSave, onDelete })
             </div>
           </div>
 
+          {formData.category === 'veterinary_med' && (
+            <div>
+              <label className="block text-sm font-medium text-slate-700 mb-1">Días de Retiro (Carne)</label>
+              <input
+                type="number"
+                min="0"
+                value={formData.withdrawal_days_meat}
+                onChange={(e) => setFormData({...formData, withdrawal_days_meat: e.target.value})}
+                className="w-full px-3 py-2 border border-slate-300 rounded-lg focus:ring-2 focus:ring-green-500 outline-none"
+                placeholder="Según prospecto del laboratorio"
+              />
+              <p className="text-xs text-slate-500 mt-1">
+                Al aprobar un tratamiento con este producto se bloquea la venta y faena de los animales tratados durante este período.
+              </p>
+            </div>
+          )}
+
+          {formData.category === 'phytosanitary' && (
+            <div>
+              <div className="grid grid-cols-3 gap-4">
+                <div>
+                  <label className="block text-sm font-medium text-slate-700 mb-1">Reingreso (horas)</label>
+                  <input
+                    type="number"
+                    min="0"
+                    value={formData.reentry_hours}
+                    onChange={(e) => setFormData({...formData, reentry_hours: e.target.value})}
+                    className="w-full px-3 py-2 border border-slate-300 rounded-lg focus:ring-2 focus:ring-green-500 outline-none"
+                    placeholder="Según marbete"
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-slate-700 mb-1">Carencia (días)</label>
+                  <input
+                    type="number"
+                    min="0"
+                    value={formData.preharvest_days}
+                    onChange={(e) => setFormData({...formData, preharvest_days: e.target.value})}
+                    className="w-full px-3 py-2 border border-slate-300 rounded-lg focus:ring-2 focus:ring-green-500 outline-none"
+                    placeholder="Según marbete"
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-slate-700 mb-1">Clase Toxicológica</label>
+                  <select
+                    value={formData.toxicological_class}
+                    onChange={(e) => setFormData({...formData, toxicological_class: e.target.value})}
+                    className="w-full px-3 py-2 border border-slate-300 rounded-lg focus:ring-2 focus:ring-green-500 outline-none"
+                  >
+                    <option value="">Sin especificar</option>
+                    <option value="Ia">Ia - Extremadamente peligroso</option>
+                    <option value="Ib">Ib - Altamente peligroso</option>
+                    <option value="II">II - Moderadamente peligroso</option>
+                    <option value="III">III - Ligeramente peligroso</option>
+                    <option value="IV">IV - Normalmente no ofrece peligro</option>
+                  </select>
+                </div>
+              </div>
+              <p className="text-xs text-slate-500 mt-1">
+                El registro de aplicaciones fitosanitarias toma de aquí el tiempo de reingreso al lote y la fecha desde la que se puede cosechar.
+              </p>
+            </div>
+          )}
+
           <div className="grid grid-cols-3 gap-4">
             <div>
               <label className="block text-sm font-medium text-slate-700 mb-1">Lote</label>
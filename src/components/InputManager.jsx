@@ -114,6 +114,7 @@ export default function InputManager({ selectedFirmId }) {
       'fuel': 'Combustible',
       'seed': 'Semilla',
       'veterinary_med': 'Medicamentos Veterinarios',
+      'feed': 'Alimento / Ración',
       'other': 'Otro'
     };
     return map[cat] || cat;
@@ -126,6 +127,7 @@ export default function InputManager({ selectedFirmId }) {
       'fuel': 'bg-yellow-100 text-yellow-800',
       'seed': 'bg-green-100 text-green-800',
       'veterinary_med': 'bg-purple-100 text-purple-800',
+      'feed': 'bg-amber-100 text-amber-800',
       'other': 'bg-gray-100 text-gray-800'
     };
     return map[cat] || 'bg-gray-100 text-gray-800';
@@ -229,6 +231,7 @@ export default function InputManager({ selectedFirmId }) {
                 <option value="phytosanitary">Fitosanitarios</option>
                 <option value="seed">Semillas</option>
                 <option value="veterinary_med">Medicamentos Veterinarios</option>
+                <option value="feed">Alimentos / Raciones</option>
                 <option value="fuel">Combustibles</option>
                 <option value="other">Otros</option>
               </select>
@@ -1,8 +1,17 @@
-import React from 'react';
+import React, { useEffect } from 'react';
 import Sidebar from './Sidebar';
 import Header from './Header';
+import { precargarDatosReferencia, iniciarSincronizacionAutomatica } from '../services/offlineSync';
 
 export default function Layout({ children, currentView, setCurrentView, selectedFirm, selectedPremise }) {
+  // Con sesión iniciada, reenviar la cola offline al recuperar la conexión
+  useEffect(() => iniciarSincronizacionAutomatica(), []);
+
+  // Dejar disponibles en el dispositivo los datos que usan los formularios de campo
+  useEffect(() => {
+    precargarDatosReferencia(selectedFirm?.id, selectedPremise?.id);
+  }, [selectedFirm?.id, selectedPremise?.id]);
+
   return (
     <div className="flex min-h-screen bg-slate-50">
       <Sidebar 
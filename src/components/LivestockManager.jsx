@@ -33,6 +33,14 @@ import AnimalDetailModal from './livestock/AnimalDetailModal';
 import DicoseManager from './livestock/DicoseManager';
 import AddAnimalsToHerdModal from './livestock/AddAnimalsToHerdModal';
 import ComplianceAlertsView from './livestock/ComplianceAlertsView';
+import ReproductionManager from './livestock/ReproductionManager';
+import SnigManager from './livestock/SnigManager';
+import GuidesManager from './livestock/GuidesManager';
+import HealthPlanManager from './livestock/HealthPlanManager';
+import PerformanceRanking from './livestock/PerformanceRanking';
+import FeedingManager from './livestock/FeedingManager';
+import GrazingPlanner from './livestock/GrazingPlanner';
+import SlaughterSettlements from './livestock/SlaughterSettlements';
 
 // Función helper para mapear tipos de evento
 const formatEventType = (type) => {
@@ -424,6 +432,24 @@ export default function LivestockManager({ selectedFirmId, selectedPremiseId })
                         <TabsTrigger value="individual" className="rounded-lg data-[state=active]:bg-white data-[state=active]:text-emerald-700 data-[state=active]:shadow-sm px-6">
                             Vista Individual
                         </TabsTrigger>
+                        <TabsTrigger value="reproduction" className="rounded-lg data-[state=active]:bg-white data-[state=active]:text-pink-700 data-[state=active]:shadow-sm px-6">
+                            Reproducción
+                        </TabsTrigger>
+                        <TabsTrigger value="health" className="rounded-lg data-[state=active]:bg-white data-[state=active]:text-red-700 data-[state=active]:shadow-sm px-6">
+                            Sanidad
+                        </TabsTrigger>
+                        <TabsTrigger value="performance" className="rounded-lg data-[state=active]:bg-white data-[state=active]:text-amber-700 data-[state=active]:shadow-sm px-6">
+                            Desempeño
+                        </TabsTrigger>
+                        <TabsTrigger value="feeding" className="rounded-lg data-[state=active]:bg-white data-[state=active]:text-amber-700 data-[state=active]:shadow-sm px-6">
+                            Alimentación
+                        </TabsTrigger>
+                        <TabsTrigger value="grazing" className="rounded-lg data-[state=active]:bg-white data-[state=active]:text-emerald-700 data-[state=active]:shadow-sm px-6">
+                            Pastoreo
+                        </TabsTrigger>
+                        <TabsTrigger value="slaughter" className="rounded-lg data-[state=active]:bg-white data-[state=active]:text-red-700 data-[state=active]:shadow-sm px-6">
+                            Frigorífico
+                        </TabsTrigger>
                         <TabsTrigger value="approvals" className="rounded-lg data-[state=active]:bg-white data-[state=active]:text-emerald-700 data-[state=active]:shadow-sm px-6">
                             Aprobaciones
                         </TabsTrigger>
@@ -433,6 +459,12 @@ export default function LivestockManager({ selectedFirmId, selectedPremiseId })
                         <TabsTrigger value="dicose" className="rounded-lg data-[state=active]:bg-white data-[state=active]:text-blue-700 data-[state=active]:shadow-sm px-6">
                             DICOSE
                         </TabsTrigger>
+                        <TabsTrigger value="guides" className="rounded-lg data-[state=active]:bg-white data-[state=active]:text-blue-700 data-[state=active]:shadow-sm px-6">
+                            Guías
+                        </TabsTrigger>
+                        <TabsTrigger value="snig" className="rounded-lg data-[state=active]:bg-white data-[state=active]:text-blue-700 data-[state=active]:shadow-sm px-6">
+                            SNIG
+                        </TabsTrigger>
                     </TabsList>
 
                     <div className="relative w-full md:w-72">
@@ -860,6 +892,58 @@ export default function LivestockManager({ selectedFirmId, selectedPremiseId })
                     </Card>
                 </TabsContent>
 
+                {/* CONTENIDO: REPRODUCCIÓN */}
+                <TabsContent value="reproduction" className="animate-in fade-in duration-300">
+                    <ReproductionManager
+                        selectedFirmId={selectedFirmId}
+                        selectedPremiseId={selectedPremiseId}
+                        herds={herds}
+                        animals={animals}
+                        categories={categories}
+                    />
+                </TabsContent>
+
+                {/* CONTENIDO: PLAN SANITARIO */}
+                <TabsContent value="health" className="animate-in fade-in duration-300">
+                    <HealthPlanManager
+                        selectedFirmId={selectedFirmId}
+                        selectedPremiseId={selectedPremiseId}
+                        herds={herds}
+                        categories={categories}
+                    />
+                </TabsContent>
+
+                {/* CONTENIDO: DESEMPEÑO INDIVIDUAL */}
+                <TabsContent value="performance" className="animate-in fade-in duration-300">
+                    <PerformanceRanking
+                        selectedPremiseId={selectedPremiseId}
+                        herds={herds}
+                        onSelectAnimal={(a) => setViewingAnimal(animals.find(x => x.id === a.id) || a)}
+                    />
+                </TabsContent>
+
+                {/* CONTENIDO: ALIMENTACIÓN */}
+                <TabsContent value="feeding" className="animate-in fade-in duration-300">
+                    <FeedingManager
+                        selectedFirmId={selectedFirmId}
+                        selectedPremiseId={selectedPremiseId}
+                        herds={herds}
+                    />
+                </TabsContent>
+
+                {/* CONTENIDO: PLAN DE PASTOREO */}
+                <TabsContent value="grazing" className="animate-in fade-in duration-300">
+                    <GrazingPlanner
+                        selectedFirmId={selectedFirmId}
+                        selectedPremiseId={selectedPremiseId}
+                    />
+                </TabsContent>
+
+                {/* CONTENIDO: FRIGORÍFICO */}
+                <TabsContent value="slaughter" className="animate-in fade-in duration-300">
+                    <SlaughterSettlements premiseId={selectedPremiseId} />
+                </TabsContent>
+
                 {/* CONTENIDO: APROBACIONES */}
                 <TabsContent value="approvals" className="animate-in fade-in duration-300">
                     <EventApprovals premiseId={selectedPremiseId} onAction={refresh} />
@@ -877,6 +961,16 @@ export default function LivestockManager({ selectedFirmId, selectedPremiseId })
                 <TabsContent value="dicose" className="animate-in fade-in duration-300">
                     <DicoseManager premiseId={selectedPremiseId} categories={categories} />
                 </TabsContent>
+
+                {/* CONTENIDO: GUÍAS */}
+                <TabsContent value="guides" className="animate-in fade-in duration-300">
+                    <GuidesManager premiseId={selectedPremiseId} categories={categories} />
+                </TabsContent>
+
+                {/* CONTENIDO: SNIG */}
+                <TabsContent value="snig" className="animate-in fade-in duration-300">
+                    <SnigManager premiseId={selectedPremiseId} />
+                </TabsContent>
             </Tabs>
 
             {/* Modal: Registro de Nuevo Animal */}
@@ -894,6 +988,7 @@ export default function LivestockManager({ selectedFirmId, selectedPremiseId })
                 categories={categories}
                 herds={herds}
                 lots={lots}
+                animals={animals}
                 onSuccess={refresh}
                 mode={animalFormMode}
                 animal={editingAnimal}
@@ -2,18 +2,32 @@ import React, { useState, useEffect } from 'react';
 import { toast } from 'sonner';
 import { supabase } from '../lib/supabase';
 import { crearRegistro } from '../services/registros';
-import { Plus, Edit2, Map as MapIcon, Save, X, Trash2, AlertCircle, AlertTriangle, Warehouse, ChevronDown, SplitSquareHorizontal, FileUp, CheckCircle2, Mic, Square, Loader, Play, Pause } from 'lucide-react';
+import { Plus, Edit2, Map as MapIcon, Save, X, Trash2, AlertCircle, AlertTriangle, Warehouse, ChevronDown, SplitSquareHorizontal, FileUp, Scissors, Combine, CheckCircle2, Mic, Square, Loader, Play, Pause, Sprout } from 'lucide-react';
 import LotMapEditor from './LotMapEditor';
 import { CompareMap } from './mapas/CompareMap';
 import { LoteDetailModal } from './lotes/LoteDetailModal';
+import { LotImportWizard } from './lotes/LotImportWizard';
+import { LotExportMenu } from './lotes/LotExportMenu';
+import { LotSplitModal } from './lotes/LotSplitModal';
+import { LotMergeModal } from './lotes/LotMergeModal';
+import { RotationPlanner } from './lotes/RotationPlanner';
 import { useAuth } from '../contexts/AuthContext';
 import { useLotes } from '../hooks/useLotes';
-import { verificarSolapamiento } from '../services/geospatial';
+import { verificarSolapamiento, calcularCentroide, describirGeometria } from '../services/geospatial';
 import { getAnimalCountByLot } from '../services/livestock';
 import { uploadLotDocument, uploadAudioNote } from '../services/lotes';
 
 import { MiniAudioPlayer } from './ui/MiniAudioPlayer';
 
+// Resumen del polígono para la tarjeta del lote (partes separadas y huecos excluidos)
+function describirMapa(polygonData) {
+  const { partes, huecos } = describirGeometria(polygonData);
+  const detalles = [];
+  if (partes > 1) detalles.push(`${partes} partes`);
+  if (huecos > 0) detalles.push(`${huecos} hueco(s)`);
+  return detalles.length > 0 ? `Definido · ${detalles.join(', ')}` : 'Definido';
+}
+
 export default function LotManager({ selectedFirmId, selectedPremiseId, onSelectPremise }) {
   const { user } = useAuth();
   const { lotes: lots, loading: isLoading, loadLotes, addLote, updateLote, deleteLote } = useLotes();
@@ -116,11 +130,15 @@ export default function LotManager({ selectedFirmId, selectedPremiseId, onSelect
   const [isMapMode, setIsMapMode] = useState(false);
   const [isGeneralMapMode, setIsGeneralMapMode] = useState(false);
   const [isCompareMode, setIsCompareMode] = useState(false);
+  const [isRotationMode, setIsRotationMode] = useState(false);
   const [compareMode, setCompareMode] = useState('layer'); // 'layer' o 'temporal'
   const [currentLot, setCurrentLot] = useState(null);
   const [viewingLot, setViewingLot] = useState(null);
   const [showDeleteConfirm, setShowDeleteConfirm] = useState(false);
   const [isDeleting, setIsDeleting] = useState(false);
+  const [isImportOpen, setIsImportOpen] = useState(false);
+  const [splitLot, setSplitLot] = useState(null);
+  const [isMergeOpen, setIsMergeOpen] = useState(false);
   // ... (resto del componente hasta el render)
 
   const [formData, setFormData] = useState({
@@ -451,6 +469,76 @@ export default function LotManager({ selectedFirmId, selectedPremiseId, onSelect
     setIsMapMode(false);
   }
 
+  async function handleLotsImported(createdLots, fileName) {
+    // Auditoría: un registro por lote creado desde el archivo
+    for (const lot of createdLots) {
+      try {
+        await crearRegistro({
+          firmId: selectedFirmId,
+          premiseId: selectedPremiseId,
+          lotId: lot.id,
+          tipo: 'lote_creado',
+          descripcion: `Lote "${lot.name}" importado desde ${fileName}`,
+          moduloOrigen: 'lotes',
+          usuario: user?.full_name || 'sistema',
+          referencia: lot.id,
+          metadata: {
+            nombre: lot.name,
+            area: lot.area_hectares,
+            usoSuelo: lot.land_use,
+            archivoOrigen: fileName
+          }
+        });
+      } catch (auditError) {
+        console.error('Error registering audit log:', auditError);
+      }
+    }
+  }
+
+  async function registrarGenealogia(tipo, descripcion, lotIds, metadata) {
+    try {
+      await crearRegistro({
+        firmId: selectedFirmId,
+        premiseId: selectedPremiseId,
+        lotId: lotIds[0],
+        tipo,
+        descripcion,
+        moduloOrigen: 'lotes',
+        usuario: user?.full_name || 'sistema',
+        referencia: lotIds[0],
+        metadata
+      });
+    } catch (auditError) {
+      console.error('Error registering audit log:', auditError);
+    }
+  }
+
+  async function handleLotSplit(parentLot, successors) {
+    await registrarGenealogia(
+      'lote_dividido',
+      `Lote "${parentLot.name}" dividido en ${successors.map(l => l.name).join(', ')}`,
+      [parentLot.id],
+      {
+        loteOrigen: parentLot.id,
+        lotesNuevos: successors.map(l => ({ id: l.id, nombre: l.name, area: l.area_hectares }))
+      }
+    );
+    loadLotes(selectedPremiseId);
+  }
+
+  async function handleLotsMerged(parentLots, successor) {
+    await registrarGenealogia(
+      'lote_unido',
+      `Lotes ${parentLots.map(l => `"${l.name}"`).join(', ')} unidos en "${successor.name}"`,
+      [successor.id],
+      {
+        lotesOrigen: parentLots.map(l => ({ id: l.id, nombre: l.name, area: l.area_hectares })),
+        loteNuevo: successor.id
+      }
+    );
+    loadLotes(selectedPremiseId);
+  }
+
   function handleViewMap(lot) {
     if (!lot.polygon_data) {
       alert('Este lote no tiene un polígono definido.');
@@ -505,6 +593,18 @@ export default function LotManager({ selectedFirmId, selectedPremiseId, onSelect
     );
   }
 
+  if (isRotationMode) {
+    return (
+      <RotationPlanner
+        firmId={selectedFirmId}
+        premiseId={selectedPremiseId}
+        lots={lots}
+        userId={user?.id}
+        onClose={() => setIsRotationMode(false)}
+      />
+    );
+  }
+
   if (isGeneralMapMode) {
     const totalAllocated = lots.reduce((sum, lot) => sum + (parseFloat(lot.area_hectares) || 0), 0);
     const totalPremise = premiseDetails?.total_area || 0;
@@ -602,11 +702,8 @@ export default function LotManager({ selectedFirmId, selectedPremiseId, onSelect
           center={(() => {
             // 1. Si hay lotes, centrar en el primero (Leaflet espera [lat, lng])
             if (lots && lots.length > 0 && lots[0].polygon_data) {
-              const poly = lots[0].polygon_data;
-              // Caso: Array simple [[lat, lng], ...]
-              if (Array.isArray(poly) && poly.length > 0) return [poly[0][0], poly[0][1]];
-              // Caso: GeoJSON
-              if (poly.coordinates?.[0]?.[0]) return [poly.coordinates[0][0][1], poly.coordinates[0][0][0]];
+              const centroide = calcularCentroide(lots[0].polygon_data);
+              if (centroide) return [centroide.lat, centroide.lng];
             }
             // 2. Fallback por defecto (Uruguay)
             return [-32.522779, -55.765835];
@@ -663,6 +760,13 @@ export default function LotManager({ selectedFirmId, selectedPremiseId, onSelect
 
             <button onClick={() => setIsGeneralMapMode(true)} className="flex items-center gap-2 px-4 py-2 bg-white border border-slate-300 text-slate-700 rounded-lg hover:bg-slate-50 transition-colors"><MapIcon className="w-4 h-4" /> Ver Mapa General</button>
 
+            <button onClick={() => setIsRotationMode(true)} disabled={lots.length === 0} className="flex items-center gap-2 px-4 py-2 bg-white border border-slate-300 text-slate-700 rounded-lg hover:bg-slate-50 transition-colors disabled:opacity-50"><Sprout className="w-4 h-4" /> Rotación</button>
+
+            <button onClick={() => setIsImportOpen(true)} className="flex items-center gap-2 px-4 py-2 bg-white border border-slate-300 text-slate-700 rounded-lg hover:bg-slate-50 transition-colors"><FileUp className="w-4 h-4" /> Importar Límites</button>
+            <button onClick={() => setIsMergeOpen(true)} disabled={lots.length < 2} className="flex items-center gap-2 px-4 py-2 bg-white border border-slate-300 text-slate-700 rounded-lg hover:bg-slate-50 transition-colors disabled:opacity-50"><Combine className="w-4 h-4" /> Unir Lotes</button>
+
+            <LotExportMenu premiseId={selectedPremiseId} premiseName={premiseDetails?.name} />
+
             <button onClick={() => setIsCreating(true)} className="flex items-center gap-2 px-4 py-2 bg-emerald-600 text-white rounded-lg hover:bg-emerald-700 transition-colors"><Plus className="w-4 h-4" /> Nuevo Lote</button>
 
           </div>
@@ -966,6 +1070,15 @@ export default function LotManager({ selectedFirmId, selectedPremiseId, onSelect
                       <MapIcon className="w-4 h-4" />
                     </button>
                   )}
+                  {lot.polygon_data && (
+                    <button
+                      onClick={() => setSplitLot(lot)}
+                      className="p-2 text-slate-400 hover:text-emerald-600 hover:bg-emerald-50 rounded-lg transition-colors"
+                      title="Dividir Lote"
+                    >
+                      <Scissors className="w-4 h-4" />
+                    </button>
+                  )}
                   <button
                     onClick={() => handleEdit(lot)}
                     className="p-2 text-slate-400 hover:text-emerald-600 hover:bg-emerald-50 rounded-lg transition-colors"
@@ -1013,7 +1126,7 @@ export default function LotManager({ selectedFirmId, selectedPremiseId, onSelect
                 <div className="flex justify-between text-sm">
                   <span className="text-slate-500">Mapa:</span>
                   <span className={`font-medium ${lot.polygon_data ? 'text-emerald-600' : 'text-amber-500'}`}>
-                    {lot.polygon_data ? 'Definido' : 'Sin definir'}
+                    {lot.polygon_data ? describirMapa(lot.polygon_data) : 'Sin definir'}
                   </span>
                 </div>
               </div>
@@ -1034,7 +1147,31 @@ export default function LotManager({ selectedFirmId, selectedPremiseId, onSelect
         </div>
       )}
 
+      <LotSplitModal
+        lot={splitLot}
+        isOpen={!!splitLot}
+        userId={user?.id}
+        onClose={() => setSplitLot(null)}
+        onSplit={handleLotSplit}
+      />
 
+      <LotMergeModal
+        lots={lots}
+        isOpen={isMergeOpen}
+        userId={user?.id}
+        onClose={() => setIsMergeOpen(false)}
+        onMerge={handleLotsMerged}
+      />
+
+      <LotImportWizard
+        isOpen={isImportOpen}
+        firmId={selectedFirmId}
+        premiseId={selectedPremiseId}
+        existingLots={lots}
+        onCreateLot={addLote}
+        onClose={() => setIsImportOpen(false)}
+        onImported={handleLotsImported}
+      />
     </div>
   );
 }
\ No newline at end of file
@@ -1,9 +1,16 @@
 import React, { useState, useEffect, useRef } from 'react';
 import { MapContainer, TileLayer, Polygon, Marker, useMapEvents, LayersControl, Tooltip, useMap } from 'react-leaflet';
-import { Save, X, Trash2, Undo, Layers, Eye, Beef } from 'lucide-react';
+import { Save, X, Trash2, Undo, Layers, Eye, Beef, PlusSquare, Scissors } from 'lucide-react';
 import L from 'leaflet';
 import { COLORES_CULTIVO, COLORES_USO_SUELO, getColorByHeight, getPasturaHeightLegend } from '../lib/mapLayers.config';
-import { calcularSuperficie } from '../services/geospatial';
+import {
+  calcularSuperficie,
+  aPartesLeaflet,
+  aPosicionesLeaflet,
+  desdePartesLeaflet,
+  ubicarAnilloEnPartes,
+  obtenerLimitesLeaflet
+} from '../services/geospatial';
 
 // Componente para renderizar NDVI real desde Sentinel Hub
 function NDVIWMSLayer({ ndviDate }) {
@@ -120,31 +127,20 @@ function MapEvents({ onMapClick }) {
   return null;
 }
 
-function FitBounds({ points, siblingLots }) {
+function FitBounds({ polygon, siblingLots }) {
   const map = useMap();
   
   useEffect(() => {
-    const allPoints = [];
-    
-    // Add current polygon points
-    if (points && points.length > 0) {
-      allPoints.push(...points);
-    }
-    
-    // Add sibling lots points
-    if (siblingLots && siblingLots.length > 0) {
-      siblingLots.forEach(lot => {
-        if (lot.polygon_data && Array.isArray(lot.polygon_data)) {
-          allPoints.push(...lot.polygon_data);
-        }
-      });
-    }
+    // Bounding box real de todas las partes del lote actual y de los vecinos
+    const bounds = obtenerLimitesLeaflet([
+      polygon,
+      ...(siblingLots || []).map(lot => lot.polygon_data)
+    ]);
 
-    if (allPoints.length > 0) {
-      const bounds = L.latLngBounds(allPoints);
+    if (bounds) {
       map.fitBounds(bounds, { padding: [50, 50] });
     }
-  }, [points, siblingLots, map]);
+  }, [polygon, siblingLots, map]);
 
   return null;
 }
@@ -160,28 +156,32 @@ export default function LotMapEditor({
   onLotClick,
   animalCountsByLot = {}
 }) {
-  const [points, setPoints] = useState(initialPolygon || []);
+  // Un polígono simple se edita directamente; con huecos o varias partes se cargan como partes cerradas
+  const partesIniciales = aPartesLeaflet(initialPolygon);
+  const esSimple = partesIniciales.length === 1 && partesIniciales[0].length === 1;
+  const [parts, setParts] = useState(esSimple ? [] : partesIniciales); // [[exterior, hueco, ...], ...]
+  const [points, setPoints] = useState(esSimple ? partesIniciales[0][0] : []); // Anillo en edición
   const [viewMode, setViewMode] = useState('satellite'); // 'satellite', 'crop', 'height', or 'ndvi'
   const [showLabels, setShowLabels] = useState(true);
   const [selectedDate, setSelectedDate] = useState(new Date().toISOString().split('T')[0]);
   const [currentArea, setCurrentArea] = useState(0); // Área en tiempo real
 
-  // Calcular área cada vez que cambian los puntos
+  // Polígono resultante: partes cerradas + anillo en edición como parte nueva
+  const buildPolygon = () => desdePartesLeaflet(points.length >= 3 ? [...parts, [points]] : parts);
+  const currentPolygon = buildPolygon();
+
+  // Calcular área cada vez que cambian los puntos o las partes
   useEffect(() => {
-    if (points.length >= 3) {
-        try {
-            const coordinates = points.map(p => [p[1], p[0]]);
-            // Cerrar visualmente para el cálculo
-            coordinates.push(coordinates[0]);
-            const area = calcularSuperficie({ type: 'Polygon', coordinates: [coordinates] });
-            setCurrentArea(area);
-        } catch (e) {
-            setCurrentArea(0);
-        }
-    } else {
+    if (!currentPolygon) {
         setCurrentArea(0);
+        return;
     }
-  }, [points]);
+    try {
+        setCurrentArea(calcularSuperficie(currentPolygon));
+    } catch (e) {
+        setCurrentArea(0);
+    }
+  }, [points, parts]);
   
   // Inject Leaflet CSS
   useEffect(() => {
@@ -200,33 +200,60 @@ export default function LotMapEditor({
   };
 
   const handleUndo = () => {
-    setPoints(points.slice(0, -1));
+    if (points.length > 0) {
+      setPoints(points.slice(0, -1));
+      return;
+    }
+
+    // Sin puntos en edición: reabrir el último anillo cerrado (hueco o parte)
+    if (parts.length === 0) return;
+    const lastPart = parts[parts.length - 1];
+    const reopened = lastPart[lastPart.length - 1];
+    setParts(lastPart.length > 1
+      ? [...parts.slice(0, -1), lastPart.slice(0, -1)]
+      : parts.slice(0, -1));
+    setPoints(reopened);
   };
 
   const handleClear = () => {
     setPoints([]);
+    setParts([]);
   };
 
-  const handleSave = () => {
+  // Cierra el anillo en edición como una parte separada del lote (ej: potrero cruzado por un camino)
+  const handleAddPart = () => {
     if (points.length < 3) {
-      alert('El polígono debe tener al menos 3 puntos.');
+      alert('La parte debe tener al menos 3 puntos.');
       return;
     }
-    
-    // Convertir Leaflet [lat, lng] a GeoJSON [lng, lat] y cerrar el polígono
-    const coordinates = points.map(p => [p[1], p[0]]);
-    // Asegurar cierre
-    if (coordinates.length > 0 && (coordinates[0][0] !== coordinates[coordinates.length-1][0] || coordinates[0][1] !== coordinates[coordinates.length-1][1])) {
-        coordinates.push(coordinates[0]);
+    setParts([...parts, [points]]);
+    setPoints([]);
+  };
+
+  // Cierra el anillo en edición como hueco (laguna, monte) dentro de la parte que lo contiene
+  const handleCutHole = () => {
+    if (points.length < 3) {
+      alert('El hueco debe tener al menos 3 puntos.');
+      return;
     }
-    
-    const geoJsonPoly = {
-        type: 'Polygon',
-        coordinates: [coordinates]
-    };
+    const partIndex = ubicarAnilloEnPartes(points, parts);
+    if (partIndex === -1) {
+      alert('El hueco debe dibujarse completamente dentro de una parte ya cerrada del lote.');
+      return;
+    }
+    setParts(parts.map((anillos, idx) => (idx === partIndex ? [...anillos, points] : anillos)));
+    setPoints([]);
+  };
 
-    const areaHa = calcularSuperficie(geoJsonPoly);
-    onSave(points, areaHa);
+  const handleSave = () => {
+    const polygonData = buildPolygon();
+    if (!polygonData || (points.length > 0 && points.length < 3)) {
+      alert('El polígono debe tener al menos 3 puntos.');
+      return;
+    }
+
+    const areaHa = calcularSuperficie(polygonData);
+    onSave(polygonData, areaHa);
   };
 
   // Determine polygon color based on viewMode and data
@@ -286,8 +313,9 @@ export default function LotMapEditor({
   const currentPolyStyle = getPolygonColor(lotData);
 
   // Center map on Uruguay or the first point
-  const center = points.length > 0 ? points[0] : [-31.7, -55.9]; // Tacuarembó approx
-  const zoom = points.length > 0 ? 15 : 10;
+  const firstPoint = points[0] || parts[0]?.[0]?.[0];
+  const center = firstPoint || [-31.7, -55.9]; // Tacuarembó approx
+  const zoom = firstPoint ? 15 : 10;
 
   return (
     <div className="bg-white rounded-xl shadow-sm border border-slate-200 overflow-hidden flex flex-col h-[600px]">
@@ -344,7 +372,7 @@ export default function LotMapEditor({
             <p className="text-xs text-slate-500">
               {isViewMode 
                 ? 'Visualiza la ubicación y forma del lote' 
-                : 'Haz clic en el mapa para definir los puntos del polígono'}
+                : 'Haz clic en el mapa para definir los puntos del polígono. Usa "Agregar parte" o "Recortar hueco" para lotes complejos'}
             </p>
           </div>
           
@@ -414,9 +442,28 @@ export default function LotMapEditor({
             </>
           ) : (
             <>
+              <button
+                onClick={handleAddPart}
+                disabled={points.length < 3}
+                className="flex items-center gap-1 px-3 py-2 text-xs font-medium text-slate-700 bg-white border border-slate-300 rounded-lg hover:bg-slate-50 disabled:opacity-50"
+                title="Cerrar el contorno actual como una parte separada del lote"
+              >
+                <PlusSquare className="w-4 h-4" />
+                Agregar parte
+              </button>
+              <button
+                onClick={handleCutHole}
+                disabled={points.length < 3 || parts.length === 0}
+                className="flex items-center gap-1 px-3 py-2 text-xs font-medium text-slate-700 bg-white border border-slate-300 rounded-lg hover:bg-slate-50 disabled:opacity-50"
+                title="Excluir el contorno actual (laguna, monte) de la parte que lo contiene"
+              >
+                <Scissors className="w-4 h-4" />
+                Recortar hueco
+              </button>
+              <div className="w-px h-8 bg-slate-300 mx-1"></div>
               <button
                 onClick={handleUndo}
-                disabled={points.length === 0}
+                disabled={points.length === 0 && parts.length === 0}
                 className="p-2 text-slate-600 bg-white border border-slate-300 rounded-lg hover:bg-slate-50 disabled:opacity-50"
                 title="Deshacer último punto"
               >
@@ -424,7 +471,7 @@ export default function LotMapEditor({
               </button>
               <button
                 onClick={handleClear}
-                disabled={points.length === 0}
+                disabled={points.length === 0 && parts.length === 0}
                 className="p-2 text-red-600 bg-white border border-slate-300 rounded-lg hover:bg-red-50 disabled:opacity-50"
                 title="Borrar todo"
               >
@@ -480,7 +527,7 @@ export default function LotMapEditor({
 
           {!isViewMode && <MapEvents onMapClick={handleMapClick} />}
           
-          <FitBounds points={points} siblingLots={siblingLots} />
+          <FitBounds polygon={initialPolygon} siblingLots={siblingLots} />
           
           {/* Sibling Lots */}
           {siblingLots.map(lot => {
@@ -489,11 +536,7 @@ export default function LotMapEditor({
             return (
               <Polygon 
                 key={lot.id}
-                positions={(() => {
-                    if (Array.isArray(lot.polygon_data)) return lot.polygon_data;
-                    if (lot.polygon_data?.coordinates?.[0]) return lot.polygon_data.coordinates[0].map(c => [c[1], c[0]]);
-                    return [];
-                })()}
+                positions={aPosicionesLeaflet(lot.polygon_data)}
                 eventHandlers={{
                   click: () => onLotClick && onLotClick(lot)
                 }}
@@ -530,7 +573,30 @@ export default function LotMapEditor({
             );
           })}
 
-          {/* Current Lot */}
+          {/* Current Lot: partes cerradas (con sus huecos) */}
+          {parts.length > 0 && (
+            <Polygon 
+              positions={aPosicionesLeaflet(desdePartesLeaflet(parts))} 
+              pathOptions={{ 
+                color: currentPolyStyle.color, 
+                fillColor: currentPolyStyle.fillColor, 
+                fillOpacity: currentPolyStyle.fillOpacity ?? 0.6,
+                weight: currentPolyStyle.weight ?? 3,
+                className: currentPolyStyle.className || ''
+              }} 
+            >
+               {isViewMode && (
+                  <Tooltip direction="center" permanent className="custom-tooltip">
+                    <div className="text-center">
+                      {lotName}<br/>
+                      <span className="text-[10px] font-normal">{lotData?.area_hectares} ha</span>
+                    </div>
+                  </Tooltip>
+               )}
+            </Polygon>
+          )}
+
+          {/* Current Lot: anillo en edición */}
           {points.length > 0 && (
             <>
               <Polygon 
@@ -538,12 +604,13 @@ export default function LotMapEditor({
                 pathOptions={{ 
                   color: currentPolyStyle.color, 
                   fillColor: currentPolyStyle.fillColor, 
-                  fillOpacity: currentPolyStyle.fillOpacity ?? 0.6,
+                  fillOpacity: parts.length > 0 ? 0.2 : (currentPolyStyle.fillOpacity ?? 0.6),
                   weight: currentPolyStyle.weight ?? 3,
+                  dashArray: parts.length > 0 ? '6, 6' : undefined,
                   className: currentPolyStyle.className || ''
                 }} 
               >
-                 {isViewMode && (
+                 {isViewMode && parts.length === 0 && (
                     <Tooltip direction="center" permanent className="custom-tooltip">
                       <div className="text-center">
                         {lotName}<br/>
@@ -564,11 +631,11 @@ export default function LotMapEditor({
         <div className="flex items-center gap-4">
             <span>
             {isViewMode 
-                ? `Visualizando ${points.length} puntos.` 
-                : `${points.length} puntos. ${points.length < 3 ? '(Mínimo 3)' : 'Listo.'}`
+                ? `Visualizando ${parts.length > 0 ? `${parts.length} parte(s)` : `${points.length} puntos`}.` 
+                : `${parts.length > 0 ? `${parts.length} parte(s) cerrada(s) · ` : ''}${points.length} puntos. ${points.length > 0 && points.length < 3 ? '(Mínimo 3)' : 'Listo.'}`
             }
             </span>
-            {!isViewMode && points.length >= 3 && (
+            {!isViewMode && currentArea > 0 && (
                 <span className="font-bold text-emerald-600 bg-emerald-50 px-2 py-0.5 rounded-md border border-emerald-100">
                     Superficie: {currentArea} ha
                 </span>
@@ -8,6 +8,7 @@ import { AlertTriangle } from 'lucide-react';
 import { LotesList } from './lotes/LotesList';
 import { MapaLotes } from './mapas/MapaLotes';
 import { SplitMapView } from './mapas/SplitMapView';
+import { ZonasSensiblesEditor } from './mapas/ZonasSensiblesEditor';
 import { LoteFormModal } from './lotes/LoteFormModal';
 import { LoteDetailModal } from './lotes/LoteDetailModal';
 import { ActualizarNDVIButton } from './ActualizarNDVIButton';
@@ -15,7 +16,9 @@ import { useLotes } from '@/hooks/useLotes';
 import { usePredioCoverage } from '@/hooks/usePredioCoverage';
 import { crearRegistro } from '@/services/registros';
 import { cargarAlertasPorPredio } from '@/services/alertas';
+import { obtenerZonasSensibles } from '@/services/sprayRecords';
 import { useAuth } from '@/contexts/AuthContext';
+import { obtenerLimitesLeaflet, contarVertices } from '@/services/geospatial';
 
 /**
  * Componente principal para gestión de lotes y visualización en mapa
@@ -33,6 +36,8 @@ export function LotesYMapas({ contexto = {} }) {
   const [splitViewActive, setSplitViewActive] = useState(false);
   const [alertasPorLote, setAlertasPorLote] = useState({});
   const [cargandoAlertas, setCargandoAlertas] = useState(false);
+  const [zonasSensibles, setZonasSensibles] = useState([]);
+  const [editandoZonasSensibles, setEditandoZonasSensibles] = useState(false);
 
   // Validar contexto: firma y predio seleccionados
   const predioSeleccionado = contexto?.predioSeleccionado;
@@ -46,6 +51,7 @@ export function LotesYMapas({ contexto = {} }) {
     if (predioSeleccionado?.id) {
       loadLotes(predioSeleccionado.id);
       cargarAlertas(predioSeleccionado.id);
+      cargarZonasSensibles(predioSeleccionado.id);
     }
   }, [predioSeleccionado?.id, loadLotes]);
 
@@ -66,6 +72,18 @@ export function LotesYMapas({ contexto = {} }) {
     }
   };
 
+  // Cursos de agua, escuelas y viviendas del predio (resguardo para aplicaciones fitosanitarias)
+  const cargarZonasSensibles = async (premiseId) => {
+    if (!premiseId) return;
+
+    try {
+      setZonasSensibles(await obtenerZonasSensibles(premiseId));
+    } catch (err) {
+      console.error('[LotesYMapas] Error cargando zonas sensibles:', err);
+      setZonasSensibles([]);
+    }
+  };
+
   // Manejar creación de lote
   const handleCreateLote = async (loteData) => {
     setFormError(null);
@@ -96,7 +114,7 @@ export function LotesYMapas({ contexto = {} }) {
             lote_nombre: loteData.nombre,
             uso_suelo: loteData.uso_suelo,
             superficie_total: loteData.superficie_total,
-            cantidad_puntos: loteData.poligono.coordinates[0].length - 1,
+            cantidad_puntos: contarVertices(loteData.poligono),
             coordenadas_centro: {
               lat: loteData.centro_lat,
               lng: loteData.centro_lng,
@@ -224,33 +242,49 @@ export function LotesYMapas({ contexto = {} }) {
           }}
         />
 
+        <Button
+          variant={editandoZonasSensibles ? 'default' : 'outline'}
+          onClick={() => {
+            setEditandoZonasSensibles(!editandoZonasSensibles);
+            setSplitViewActive(false);
+          }}
+          size="sm"
+        >
+          Zonas Sensibles{zonasSensibles.length > 0 ? ` (${zonasSensibles.length})` : ''}
+        </Button>
+
         <Button
           variant={splitViewActive ? 'default' : 'outline'}
-          onClick={() => setSplitViewActive(!splitViewActive)}
+          onClick={() => {
+            setSplitViewActive(!splitViewActive);
+            setEditandoZonasSensibles(false);
+          }}
           size="sm"
         >
           {splitViewActive ? 'Vista Normal' : 'Vista Dividida'}
         </Button>
       </div>
 
-      {/* Vista Dividida */}
-      {splitViewActive ? (
+      {/* Editor de zonas sensibles */}
+      {editandoZonasSensibles ? (
+        <ZonasSensiblesEditor
+          firmId={firmaSeleccionada.id}
+          premiseId={predioSeleccionado.id}
+          lotes={lotes}
+          zonas={zonasSensibles}
+          userId={user?.id}
+          onChange={() => cargarZonasSensibles(predioSeleccionado.id)}
+          onClose={() => setEditandoZonasSensibles(false)}
+        />
+      ) : splitViewActive ? (
         <SplitMapView
           lotes={lotes}
           bounds={
             lotes.length > 0
               ? (() => {
-                  let minLat = 90, maxLat = -90, minLng = 180, maxLng = -180;
-                  lotes.forEach((lote) => {
-                    if (lote.poligono?.coordinates) {
-                      lote.poligono.coordinates[0].forEach(([lng, lat]) => {
-                        minLat = Math.min(minLat, lat);
-                        maxLat = Math.max(maxLat, lat);
-                        minLng = Math.min(minLng, lng);
-                        maxLng = Math.max(maxLng, lng);
-                      });
-                    }
-                  });
+                  const limites = obtenerLimitesLeaflet(lotes.map((lote) => lote.poligono));
+                  if (!limites) return undefined;
+                  const [[minLat, minLng], [maxLat, maxLng]] = limites;
                   const latPad = (maxLat - minLat) * 0.1;
                   const lngPad = (maxLng - minLng) * 0.1;
                   return [
@@ -275,6 +309,8 @@ export function LotesYMapas({ contexto = {} }) {
                 onNuevoLote={() => setShowFormModal(true)}
                 onSelectLote={setSelectedLote}
                 onViewDetail={handleViewDetail}
+                premiseId={predioSeleccionado?.id}
+                premiseName={predioSeleccionado?.nombre}
               />
             </div>
 
@@ -286,6 +322,7 @@ export function LotesYMapas({ contexto = {} }) {
                 predioUbicacion={predioSeleccionado?.ubicacion}
                 alertasPorLote={alertasPorLote}
                 onSelectLote={setSelectedLote}
+                zonasSensibles={zonasSensibles}
               />
             </div>
           </div>
@@ -1,11 +1,12 @@
 import React, { useState } from 'react';
-import { CloudRain, ClipboardList, FlaskConical, Microscope, Activity, Network } from 'lucide-react';
+import { CloudRain, ClipboardList, FlaskConical, Microscope, Activity, Network, Layers } from 'lucide-react';
 import RainfallManager from './monitoring/RainfallManager';
 import AgriculturalMonitoring from './monitoring/AgriculturalMonitoring';
 import LivestockMonitoring from './monitoring/LivestockMonitoring';
 import SoilAnalysis from './monitoring/SoilAnalysis';
 import SeedAnalysis from './monitoring/SeedAnalysis';
 import MonitoringIntegrationDashboard from './monitoring/MonitoringIntegrationDashboard';
+import PrescriptionManager from './monitoring/PrescriptionManager';
 
 export default function MonitoringManager({ firmId, premiseId }) {
   const [activeTab, setActiveTab] = useState('rainfall');
@@ -33,7 +34,8 @@ export default function MonitoringManager({ firmId, premiseId }) {
     { id: 'livestock', label: 'Monitoreo Ganadero', icon: <Activity size={18} /> },
     { id: 'soil', label: 'Análisis de Suelo', icon: <FlaskConical size={18} /> },
     { id: 'seed', label: 'Análisis de Semillas', icon: <Microscope size={18} /> },
-    { id: 'integration', label: 'Integración', icon: <Network size={18} /> }
+    { id: 'integration', label: 'Integración', icon: <Network size={18} /> },
+    { id: 'prescriptions', label: 'Zonas y Prescripciones', icon: <Layers size={18} /> }
   ];
 
   return (
@@ -70,6 +72,7 @@ export default function MonitoringManager({ firmId, premiseId }) {
           {activeTab === 'soil' && <SoilAnalysis firmId={firmId} premiseId={premiseId} />}
           {activeTab === 'seed' && <SeedAnalysis firmId={firmId} premiseId={premiseId} />}
           {activeTab === 'integration' && <MonitoringIntegrationDashboard firmId={firmId} premiseId={premiseId} />}
+          {activeTab === 'prescriptions' && <PrescriptionManager firmId={firmId} premiseId={premiseId} />}
         </div>
       </div>
     </div>
@@ -2,6 +2,7 @@ import React, { useState, useEffect } from 'react';
 import { toast } from 'sonner';
 import { supabase } from '../lib/supabase';
 import { crearRegistro } from '../services/registros';
+import { TENENCIAS } from '../services/dicoseDeclaration';
 import { Map, Plus, MapPin, Check, Loader, AlertCircle, Edit2, Trash2, AlertTriangle } from 'lucide-react';
 import { useAuth } from '../contexts/AuthContext';
 import { usePermissions } from './guards/PermissionGuard';
@@ -19,6 +20,11 @@ export default function PremiseManager({ selectedFirmId, onSelectPremise, select
     total_area: '',
     dicose_number: '',
     coneat_index: '',
+    department: '',
+    police_section: '',
+    tenure_type: '',
+    owner_name: '',
+    owner_document: '',
     padrones: ''
   });
   const [editingId, setEditingId] = useState(null);
@@ -124,6 +130,11 @@ export default function PremiseManager({ selectedFirmId, onSelectPremise, select
             total_area: parseFloat(formData.total_area),
             dicose_number: formData.dicose_number || null,
             coneat_index: formData.coneat_index ? parseFloat(formData.coneat_index) : null,
+            department: formData.department || null,
+            police_section: formData.police_section || null,
+            tenure_type: formData.tenure_type || null,
+            owner_name: formData.owner_name || null,
+            owner_document: formData.owner_document || null,
             padrones: padronesArray.length > 0 ? padronesArray : null
           })
           .eq('id', editingId)
@@ -147,6 +158,11 @@ export default function PremiseManager({ selectedFirmId, onSelectPremise, select
             firm_id: selectedFirmId,
             dicose_number: formData.dicose_number || null,
             coneat_index: formData.coneat_index ? parseFloat(formData.coneat_index) : null,
+            department: formData.department || null,
+            police_section: formData.police_section || null,
+            tenure_type: formData.tenure_type || null,
+            owner_name: formData.owner_name || null,
+            owner_document: formData.owner_document || null,
             padrones: padronesArray.length > 0 ? padronesArray : null
           }])
           .select()
@@ -291,6 +307,11 @@ export default function PremiseManager({ selectedFirmId, onSelectPremise, select
       total_area: premise.total_area || '',
       dicose_number: premise.dicose_number || '',
       coneat_index: premise.coneat_index || '',
+      department: premise.department || '',
+      police_section: premise.police_section || '',
+      tenure_type: premise.tenure_type || '',
+      owner_name: premise.owner_name || '',
+      owner_document: premise.owner_document || '',
       padrones: (premise.padrones && Array.isArray(premise.padrones))
         ? premise.padrones.join(', ')
         : ''
@@ -307,6 +328,11 @@ export default function PremiseManager({ selectedFirmId, onSelectPremise, select
       total_area: '',
       dicose_number: '',
       coneat_index: '',
+      department: '',
+      police_section: '',
+      tenure_type: '',
+      owner_name: '',
+      owner_document: '',
       padrones: ''
     });
     setEditingId(null);
@@ -340,6 +366,11 @@ export default function PremiseManager({ selectedFirmId, onSelectPremise, select
               total_area: '',
               dicose_number: '',
               coneat_index: '',
+              department: '',
+              police_section: '',
+              tenure_type: '',
+              owner_name: '',
+              owner_document: '',
               padrones: ''
             });
             setEditingId(null);
@@ -464,6 +495,65 @@ export default function PremiseManager({ selectedFirmId, onSelectPremise, select
                 />
               </div>
 
+              {/* Datos para la Declaración Jurada DICOSE */}
+              <div>
+                <label className="block text-sm font-medium text-slate-700 mb-1">Departamento (Opcional)</label>
+                <input
+                  type="text"
+                  value={formData.department}
+                  onChange={(e) => setFormData({ ...formData, department: e.target.value })}
+                  className="w-full px-3 py-2 border border-slate-300 rounded-lg focus:ring-2 focus:ring-green-500 focus:border-transparent"
+                  placeholder="Ej. Durazno"
+                />
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-slate-700 mb-1">Sección Policial (Opcional)</label>
+                <input
+                  type="text"
+                  value={formData.police_section}
+                  onChange={(e) => setFormData({ ...formData, police_section: e.target.value })}
+                  className="w-full px-3 py-2 border border-slate-300 rounded-lg focus:ring-2 focus:ring-green-500 focus:border-transparent"
+                  placeholder="Ej. 5"
+                />
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-slate-700 mb-1">Tenencia de la Tierra (Opcional)</label>
+                <select
+                  value={formData.tenure_type}
+                  onChange={(e) => setFormData({ ...formData, tenure_type: e.target.value })}
+                  className="w-full px-3 py-2 border border-slate-300 rounded-lg focus:ring-2 focus:ring-green-500 focus:border-transparent"
+                >
+                  <option value="">Sin especificar</option>
+                  {Object.entries(TENENCIAS).map(([valor, etiqueta]) => (
+                    <option key={valor} value={valor}>{etiqueta}</option>
+                  ))}
+                </select>
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-slate-700 mb-1">Titular (Opcional, por defecto la firma)</label>
+                <input
+                  type="text"
+                  value={formData.owner_name}
+                  onChange={(e) => setFormData({ ...formData, owner_name: e.target.value })}
+                  className="w-full px-3 py-2 border border-slate-300 rounded-lg focus:ring-2 focus:ring-green-500 focus:border-transparent"
+                  placeholder="Nombre o razón social"
+                />
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-slate-700 mb-1">Documento / RUT del Titular (Opcional)</label>
+                <input
+                  type="text"
+                  value={formData.owner_document}
+                  onChange={(e) => setFormData({ ...formData, owner_document: e.target.value })}
+                  className="w-full px-3 py-2 border border-slate-300 rounded-lg focus:ring-2 focus:ring-green-500 focus:border-transparent"
+                  placeholder="Ej. 211234560018"
+                />
+              </div>
+
               <div className="md:col-span-2">
                 <label className="block text-sm font-medium text-slate-700 mb-1">Padrones Catastrales (Opcional, separados por coma)</label>
                 <input
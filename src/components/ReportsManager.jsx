@@ -1,9 +1,10 @@
 import React, { useState, useEffect } from 'react';
 import { supabase } from '../lib/supabase';
-import { FileText, Download, Calendar, Filter, AlertTriangle, TrendingUp, DollarSign, Package, Users, Activity, Beef, BarChart3, Zap } from 'lucide-react';
+import { FileText, Download, Calendar, Filter, AlertTriangle, TrendingUp, DollarSign, Package, Users, Activity, Beef, BarChart3, Zap, Scale } from 'lucide-react';
 import CargaAnimalReport from './reports/gerenciales/CargaAnimalReport';
 import ProduccionCarneReport from './reports/gerenciales/ProduccionCarneReport';
 import EstadoResultadosReport from './reports/gerenciales/EstadoResultadosReport';
+import BalanceGeneralReport from './reports/gerenciales/BalanceGeneralReport';
 import CashflowReport from './reports/gerenciales/CashflowReport';
 import IndicesProductivosReport from './reports/gerenciales/IndicesProductivosReport';
 import ExportToolbar from './reports/ExportToolbar';
@@ -78,6 +79,12 @@ export default function ReportsManager({ firmId, premiseId }) {
       description: 'Análisis de ingresos, gastos y rentabilidad',
       icon: <BarChart3 size={24} />
     },
+    {
+      id: 'balance_general',
+      name: 'Balance General',
+      description: 'Activo, pasivo y patrimonio con comparación entre cierres',
+      icon: <Scale size={24} />
+    },
     {
       id: 'cashflow',
       name: 'Flujo de Caja (Cashflow)',
@@ -169,6 +176,9 @@ export default function ReportsManager({ firmId, premiseId }) {
         case 'estado_resultados':
           reportData = { type: 'estado_resultados' };
           break;
+        case 'balance_general':
+          reportData = { type: 'balance_general' };
+          break;
         case 'cashflow':
           reportData = { type: 'cashflow' };
           break;
@@ -602,6 +612,17 @@ export default function ReportsManager({ firmId, premiseId }) {
                   />
                 )}
 
+                {generatedReport.type === 'balance_general' && (
+                  <BalanceGeneralReport
+                    firmId={firmId}
+                    periodo={{
+                      start: generatedReport.dateFrom,
+                      end: generatedReport.dateTo
+                    }}
+                    onDataLoaded={(data) => setGeneratedReport(prev => ({ ...prev, data }))}
+                  />
+                )}
+
                 {generatedReport.type === 'cashflow' && (
                   <CashflowReport
                     premiseId={premiseId}
@@ -1,6 +1,6 @@
 import React, { useState, useEffect } from 'react';
 import { supabase } from '../lib/supabase';
-import { crearRegistro } from '../services/registros';
+import { ejecutarOEncolar, consultarConCache } from '../services/offlineSync';
 import { X, Save, Loader, ArrowUpRight, ArrowDownLeft, History, ArrowRightLeft } from 'lucide-react';
 import { useAuth } from '../contexts/AuthContext';
 
@@ -39,32 +39,32 @@ export default function StockMovementForm({ input, firmId, onClose, onSave }) {
 
   async function fetchData() {
     try {
-      // Fetch inputs if not provided
-      if (!input) {
-        const { data: inputsData } = await supabase
+      // Las consultas quedan cacheadas para poder cargar movimientos sin conexión
+      const inputsData = await consultarConCache(`insumos:${firmId}`, async () => {
+        const { data, error } = await supabase
           .from('inputs')
-          .select('id, name, unit, cost_per_unit, depot_id, is_depot')
+          .select('id, name, unit, cost_per_unit, current_stock, depot_id, is_depot')
           .eq('firm_id', firmId)
           .order('name');
-        setInputs(inputsData || []);
-      }
+        if (error) throw error;
+        return data || [];
+      });
+      if (!input) setInputs(inputsData);
 
       // Fetch lots for destination
-      const { data: lotsData } = await supabase
-        .from('lots')
-        .select('id, name')
-        .eq('firm_id', firmId)
-        .order('name');
-      setLots(lotsData || []);
+      const lotsData = await consultarConCache(`lotes_firma:${firmId}`, async () => {
+        const { data, error } = await supabase
+          .from('lots')
+          .select('id, name')
+          .eq('firm_id', firmId)
+          .order('name');
+        if (error) throw error;
+        return data || [];
+      });
+      setLots(lotsData);
 
-      // Fetch inputs that are depots (for transfer destination)
-      const { data: depotInputsData } = await supabase
-        .from('inputs')
-        .select('id, name, unit')
-        .eq('firm_id', firmId)
-        .eq('is_depot', true)
-        .order('name');
-      setDepotInputs(depotInputsData || []);
+      // Inputs that are depots (for transfer destination)
+      setDepotInputs(inputsData.filter(i => i.is_depot));
 
     } catch (err) {
       console.error('Error fetching data:', err);
@@ -77,92 +77,7 @@ export default function StockMovementForm({ input, firmId, onClose, onSave }) {
     setError(null);
 
     try {
-      // 1. Fetch current input FIRST to calculate things correctly
-      const { data: currentInput, error: fetchError } = await supabase
-        .from('inputs')
-        .select('*')
-        .eq('id', formData.input_id)
-        .single();
-        
-      if (fetchError) throw fetchError;
-
-      let quantityToRecord = parseFloat(formData.quantity);
-      let newStock = currentInput.current_stock;
-      let newCost = currentInput.cost_per_unit;
-
-      // Calculate new values based on type
-      if (formData.type === 'entry') {
-        newStock += quantityToRecord;
-        if (newStock > 0) {
-          newCost = ((currentInput.current_stock * currentInput.cost_per_unit) + (quantityToRecord * parseFloat(formData.unit_cost))) / newStock;
-        }
-      } else if (formData.type === 'exit') {
-        newStock -= quantityToRecord;
-      } else if (formData.type === 'adjustment') {
-        // For adjustment, user enters the REAL FINAL STOCK
-        // We record the difference
-        quantityToRecord = parseFloat(formData.quantity) - currentInput.current_stock;
-        newStock = parseFloat(formData.quantity);
-      } else if (formData.type === 'transfer') {
-        newStock -= quantityToRecord;
-      }
-
-      // 2. Create movement record for SOURCE
-      const { data: movement, error: moveError } = await supabase
-        .from('input_movements')
-        .insert([{
-          input_id: formData.input_id,
-          type: formData.type,
-          quantity: quantityToRecord, // Use the calculated difference for adjustments
-          date: formData.date,
-          description: formData.description,
-          unit_cost: formData.type === 'entry' ? parseFloat(formData.unit_cost) : null,
-          lot_id: formData.type === 'exit' && formData.lot_id ? formData.lot_id : null,
-          destination_input_id: formData.type === 'transfer' ? formData.destination_input_id : null
-        }])
-        .select()
-        .single();
-
-      if (moveError) throw moveError;
-
-      // Handle DESTINATION for transfer
-      if (formData.type === 'transfer' && formData.destination_input_id) {
-          const { data: destInput, error: destError } = await supabase
-            .from('inputs')
-            .select('*')
-            .eq('id', formData.destination_input_id)
-            .single();
-            
-          if (destError) throw destError;
-          
-          // Update destination stock
-          await supabase.from('inputs').update({
-            current_stock: destInput.current_stock + parseFloat(formData.quantity) // Here we use the original quantity entered
-          }).eq('id', destInput.id);
-          
-          // Log entry movement for destination
-          await supabase.from('input_movements').insert([{
-            input_id: destInput.id,
-            type: 'entry',
-            quantity: parseFloat(formData.quantity),
-            date: formData.date,
-            description: `Transferencia desde ${currentInput.name} (Origen)`,
-            unit_cost: currentInput.cost_per_unit
-          }]);
-      }
-
-      // 3. Update SOURCE input
-      const { error: updateError } = await supabase
-        .from('inputs')
-        .update({ 
-          current_stock: newStock,
-          cost_per_unit: newCost
-        })
-        .eq('id', formData.input_id);
-
-      if (updateError) throw updateError;
-
-      // Registrar auditoría para movimiento de stock
+      const selectedInput = input || inputs.find(i => i.id === formData.input_id);
       const movementTypeLabel = {
         'entry': 'Ingreso',
         'exit': 'Salida',
@@ -170,24 +85,35 @@ export default function StockMovementForm({ input, firmId, onClose, onSave }) {
         'adjustment': 'Ajuste'
       }[formData.type] || formData.type;
 
-      await crearRegistro({
-        firmId: firmId,
-        premiseId: null,
-        lotId: formData.type === 'exit' && formData.lot_id ? formData.lot_id : null,
-        tipo: 'stock',
-        descripcion: `Movimiento de stock (${movementTypeLabel}): ${currentInput.name} - ${Math.abs(quantityToRecord)} ${currentInput.unit}`,
-        moduloOrigen: 'stock_movement',
-        usuario: user?.full_name || 'sistema',
-        metadata: {
-          input_name: currentInput.name,
-          movement_type: formData.type,
-          quantity: quantityToRecord,
-          unit: currentInput.unit,
-          new_stock: newStock,
-          description: formData.description,
-          destination_input_id: formData.type === 'transfer' ? formData.destination_input_id : null
+      const quantityLabel = formData.type === 'adjustment'
+        ? `stock final ${formData.quantity}`
+        : formData.quantity;
+
+      // Sin señal el movimiento queda en cola; el stock se recalcula al reenviarlo
+      await ejecutarOEncolar({
+        operacion: 'funcion',
+        funcion: 'registrarMovimientoStock',
+        args: { formData, stockBase: selectedInput?.current_stock ?? null },
+        descripcion: `${movementTypeLabel} de stock: ${selectedInput?.name || 'Insumo'} - ${quantityLabel} ${selectedInput?.unit || ''}`.trim(),
+        contexto: { firmId, premiseId: null },
+        auditoria: {
+          firmId: firmId,
+          premiseId: null,
+          lotId: formData.type === 'exit' && formData.lot_id ? formData.lot_id : null,
+          tipo: 'stock',
+          descripcion: `Movimiento de stock (${movementTypeLabel}): ${selectedInput?.name || 'Insumo'} - ${quantityLabel} ${selectedInput?.unit || ''}`.trim(),
+          moduloOrigen: 'stock_movement',
+          usuario: user?.full_name || 'sistema',
+          metadata: {
+            input_name: selectedInput?.name || null,
+            movement_type: formData.type,
+            quantity: parseFloat(formData.quantity),
+            unit: selectedInput?.unit || null,
+            description: formData.description,
+            destination_input_id: formData.type === 'transfer' ? formData.destination_input_id : null
+          }
         }
-      }).catch(err => console.warn('Error registrando en auditoría:', err));
+      });
 
       onSave();
       onClose();
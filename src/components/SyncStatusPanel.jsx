@@ -0,0 +1,134 @@
+import React from 'react';
+import { Cloud, CloudOff, RefreshCw, AlertTriangle, Clock, Trash2, Upload } from 'lucide-react';
+import { toast } from 'sonner';
+import { Popover, PopoverContent, PopoverTrigger } from './ui/popover';
+import { useOfflineSync } from '../hooks/useOfflineSync';
+import { ESTADOS_COLA } from '../services/offlineSync';
+
+const formatHora = (iso) =>
+  new Date(iso).toLocaleString('es-UY', { day: '2-digit', month: '2-digit', hour: '2-digit', minute: '2-digit' });
+
+/**
+ * Indicador de conexión y panel de registros pendientes de sincronizar
+ * Permite reintentar errores y resolver conflictos (enviar igual o descartar)
+ * @component
+ */
+export default function SyncStatusPanel() {
+  const { online, pendientes, conflictos, sincronizando, sincronizar, reintentar, resolver } = useOfflineSync();
+
+  const handleSincronizar = async () => {
+    try {
+      const resumen = await sincronizar();
+      if (resumen.enviados > 0) toast.success(`${resumen.enviados} registro(s) sincronizado(s)`);
+      if (resumen.conflictos > 0) toast.warning(`${resumen.conflictos} registro(s) con conflicto`);
+    } catch (error) {
+      toast.error('Error al sincronizar');
+    }
+  };
+
+  const handleAccion = async (accion) => {
+    try {
+      await accion();
+    } catch (error) {
+      toast.error(error.message || 'Error al procesar el registro');
+    }
+  };
+
+  const Icono = online ? Cloud : CloudOff;
+  const colorIcono = !online ? 'text-amber-600' : conflictos.length > 0 ? 'text-red-500' : 'text-slate-600';
+
+  return (
+    <Popover>
+      <PopoverTrigger asChild>
+        <button
+          className="relative p-2 hover:bg-slate-100 rounded-full transition-colors"
+          title={online ? 'Conectado' : 'Sin conexión: los registros se guardan en el dispositivo'}
+        >
+          <Icono size={20} className={colorIcono} />
+          {pendientes.length > 0 && (
+            <span className="absolute -top-0.5 -right-0.5 min-w-[18px] h-[18px] px-1 bg-amber-500 text-white text-[10px] font-semibold rounded-full flex items-center justify-center border-2 border-white">
+              {pendientes.length}
+            </span>
+          )}
+        </button>
+      </PopoverTrigger>
+      <PopoverContent align="end" className="w-96 p-0">
+        <div className="flex items-center justify-between px-4 py-3 border-b border-slate-100">
+          <div>
+            <p className="text-sm font-semibold text-slate-800">Sincronización</p>
+            <p className={`text-xs ${online ? 'text-green-600' : 'text-amber-600'}`}>
+              {online ? 'Conectado' : 'Sin conexión'} · {pendientes.length} pendiente(s)
+            </p>
+          </div>
+          <button
+            onClick={handleSincronizar}
+            disabled={!online || sincronizando || pendientes.length === 0}
+            className="flex items-center gap-1 px-3 py-1.5 text-xs bg-green-600 text-white rounded-lg hover:bg-green-700 disabled:opacity-50"
+          >
+            <RefreshCw size={14} className={sincronizando ? 'animate-spin' : ''} />
+            Sincronizar
+          </button>
+        </div>
+
+        <div className="max-h-80 overflow-y-auto divide-y divide-slate-100">
+          {pendientes.length === 0 ? (
+            <p className="px-4 py-6 text-center text-sm text-slate-500">No hay registros pendientes</p>
+          ) : (
+            pendientes.map((item) => (
+              <div key={item.id} className="px-4 py-3 space-y-1">
+                <div className="flex items-start gap-2">
+                  {item.estado === ESTADOS_COLA.PENDIENTE ? (
+                    <Clock size={14} className="mt-0.5 text-slate-400 flex-shrink-0" />
+                  ) : (
+                    <AlertTriangle size={14} className="mt-0.5 text-red-500 flex-shrink-0" />
+                  )}
+                  <div className="flex-1 min-w-0">
+                    <p className="text-sm text-slate-700">{item.descripcion}</p>
+                    <p className="text-xs text-slate-400">{formatHora(item.creado_en)}</p>
+                    {item.ultimo_error && <p className="text-xs text-red-600 mt-1">{item.ultimo_error}</p>}
+                  </div>
+                </div>
+
+                {item.estado === ESTADOS_COLA.CONFLICTO && (
+                  <div className="flex justify-end gap-2">
+                    <button
+                      onClick={() => handleAccion(() => resolver(item.id, 'descartar'))}
+                      className="flex items-center gap-1 px-2 py-1 text-xs text-slate-600 hover:bg-slate-100 rounded"
+                    >
+                      <Trash2 size={12} /> Descartar
+                    </button>
+                    <button
+                      onClick={() => handleAccion(() => resolver(item.id, 'forzar'))}
+                      disabled={!online}
+                      className="flex items-center gap-1 px-2 py-1 text-xs text-white bg-amber-600 hover:bg-amber-700 rounded disabled:opacity-50"
+                    >
+                      <Upload size={12} /> Enviar igual
+                    </button>
+                  </div>
+                )}
+
+                {item.estado === ESTADOS_COLA.ERROR && (
+                  <div className="flex justify-end gap-2">
+                    <button
+                      onClick={() => handleAccion(() => resolver(item.id, 'descartar'))}
+                      className="flex items-center gap-1 px-2 py-1 text-xs text-slate-600 hover:bg-slate-100 rounded"
+                    >
+                      <Trash2 size={12} /> Descartar
+                    </button>
+                    <button
+                      onClick={() => handleAccion(() => reintentar(item.id))}
+                      disabled={!online}
+                      className="flex items-center gap-1 px-2 py-1 text-xs text-white bg-slate-700 hover:bg-slate-800 rounded disabled:opacity-50"
+                    >
+                      <RefreshCw size={12} /> Reintentar
+                    </button>
+                  </div>
+                )}
+              </div>
+            ))
+          )}
+        </div>
+      </PopoverContent>
+    </Popover>
+  );
+}
@@ -1,6 +1,6 @@
 import React, { useState, useEffect } from 'react';
 import { supabase } from '../lib/supabase';
-import { Plus, Tractor, PawPrint, Calendar, MapPin, Search, Filter, X, FileText, Download, TrendingUp, ClipboardList, CheckCircle2, ArrowRight, Loader, Edit2, BarChart3, Zap } from 'lucide-react';
+import { Plus, Tractor, PawPrint, Calendar, MapPin, Search, Filter, X, FileText, Download, TrendingUp, ClipboardList, CheckCircle2, ArrowRight, Loader, Edit2, BarChart3, Zap, Wheat, SprayCan } from 'lucide-react';
 import AgriculturalWorkForm from './AgriculturalWorkForm';
 import LivestockWorkForm from './LivestockWorkForm';
 import AgriculturalProjectionForm from './AgriculturalProjectionForm';
@@ -11,6 +11,8 @@ import ProjectionComparison from './work/ProjectionComparison';
 import ActivityCalendar from './work/ActivityCalendar';
 import AdvancedReports from './work/AdvancedReports';
 import SimulationDashboard from './simulation/SimulationDashboard';
+import HarvestManager from './work/HarvestManager';
+import SprayRecordManager from './work/SprayRecordManager';
 import { Badge } from './ui/badge';
 import { convertirProyeccionAgricolaATrabajo, convertirProyeccionGanaderaATrabajo } from '../services/projectionConversion';
 import { enviarTrabajoAprobacion, anularTrabajoAgricola } from '../services/agriculturalWorks';
@@ -20,7 +22,7 @@ import { toast } from 'sonner';
 
 export default function WorkManager() {
   const { user } = useAuth();
-  const [viewMode, setViewMode] = useState('works'); // 'works', 'projections', 'approvals', or 'simulation'
+  const [viewMode, setViewMode] = useState('works'); // 'works', 'projections', 'approvals', 'harvests', 'spraying' or 'simulation'
   const [activeTab, setActiveTab] = useState('agricultural'); // 'agricultural' or 'livestock'
 
   // Obtener selectedFirmId y selectedPremiseId del localStorage
@@ -52,7 +54,7 @@ export default function WorkManager() {
 
   // Load works based on viewMode
   useEffect(() => {
-    if (viewMode !== 'approvals') {
+    if (viewMode !== 'approvals' && viewMode !== 'harvests' && viewMode !== 'spraying') {
       fetchWorks();
     }
   }, [activeTab, viewMode]);
@@ -274,13 +276,17 @@ export default function WorkManager() {
       <div className="flex flex-col md:flex-row md:items-center justify-between gap-4 mb-6">
         <div>
           <h1 className="text-2xl font-bold text-slate-900">
-            {viewMode === 'works' ? 'Gestión de Trabajos' : viewMode === 'projections' ? 'Gestión de Proyecciones' : 'Aprobación de Trabajos'}
+            {viewMode === 'works' ? 'Gestión de Trabajos' : viewMode === 'projections' ? 'Gestión de Proyecciones' : viewMode === 'harvests' ? 'Cosechas' : viewMode === 'spraying' ? 'Aplicaciones Fitosanitarias' : 'Aprobación de Trabajos'}
           </h1>
           <p className="text-slate-500">
             {viewMode === 'works'
               ? 'Registro y control de actividades realizadas'
               : viewMode === 'projections'
               ? 'Planificación de actividades futuras'
+              : viewMode === 'harvests'
+              ? 'Cosechas, mapas de rendimiento y margen real por lote'
+              : viewMode === 'spraying'
+              ? 'Registro de aplicaciones con condiciones meteorológicas, reingreso, carencia y zonas de resguardo'
               : 'Aprueba o rechaza trabajos pendientes'}
           </p>
         </div>
@@ -329,6 +335,30 @@ export default function WorkManager() {
                 <Badge className="ml-1 bg-red-500 text-white">{pendingCount}</Badge>
               )}
             </button>
+            <button
+              data-id="work-manager-tab-harvests"
+              onClick={() => setViewMode('harvests')}
+              className={`px-3 py-1.5 rounded-md text-sm font-medium transition-all flex items-center gap-2 ${
+                viewMode === 'harvests'
+                  ? 'bg-white text-slate-900 shadow-sm'
+                  : 'text-slate-500 hover:text-slate-700'
+              }`}
+            >
+              <Wheat size={16} />
+              <span>Cosechas</span>
+            </button>
+            <button
+              data-id="work-manager-tab-spraying"
+              onClick={() => setViewMode('spraying')}
+              className={`px-3 py-1.5 rounded-md text-sm font-medium transition-all flex items-center gap-2 ${
+                viewMode === 'spraying'
+                  ? 'bg-white text-slate-900 shadow-sm'
+                  : 'text-slate-500 hover:text-slate-700'
+              }`}
+            >
+              <SprayCan size={16} />
+              <span>Aplicaciones</span>
+            </button>
             <button
               data-id="work-manager-tab-simulation"
               onClick={() => setViewMode('simulation')}
@@ -342,7 +372,7 @@ export default function WorkManager() {
               <span>Simulación</span>
             </button>
           </div>
-          {viewMode !== 'approvals' && viewMode !== 'simulation' && (
+          {viewMode !== 'approvals' && viewMode !== 'simulation' && viewMode !== 'harvests' && viewMode !== 'spraying' && (
             <div className="flex gap-2">
               <button
                 data-id="work-manager-btn-new-work"
@@ -398,6 +428,27 @@ export default function WorkManager() {
                     <Download size={20} />
                     <span>Exportar</span>
                   </button>
+                  <button
+                    data-id="work-manager-btn-export-lot-costs"
+                    onClick={async () => {
+                      try {
+                        const premiseId = localStorage.getItem('selectedPremiseId');
+                        if (!premiseId) {
+                          toast.error('Selecciona un predio primero');
+                          return;
+                        }
+                        // Los costos de lotes divididos o unidos se atribuyen a sus sucesores actuales
+                        await exportarCostosPorLoteXLSX(premiseId, { porLinaje: true });
+                        toast.success('✓ Costos por lote exportados a Excel');
+                      } catch (err) {
+                        toast.error('Error: ' + err.message);
+                      }
+                    }}
+                    className="flex items-center gap-2 px-4 py-2 bg-white border border-slate-300 text-slate-700 rounded-lg hover:bg-slate-50 transition-colors shadow-sm"
+                  >
+                    <Download size={20} />
+                    <span>Costos por Lote</span>
+                  </button>
                 </>
               )}
             </div>
@@ -405,7 +456,7 @@ export default function WorkManager() {
         </div>
       </div>
 
-      {/* Main Content - show approvals, simulation, or works/projections */}
+      {/* Main Content - show approvals, harvests, spraying, simulation, or works/projections */}
       {viewMode === 'approvals' ? (
         <WorkApprovals
           selectedPremiseId={null}
@@ -414,6 +465,16 @@ export default function WorkManager() {
             fetchWorks();
           }}
         />
+      ) : viewMode === 'harvests' ? (
+        <HarvestManager
+          selectedFirmId={selectedFirmId}
+          selectedPremiseId={selectedPremiseId}
+        />
+      ) : viewMode === 'spraying' ? (
+        <SprayRecordManager
+          selectedFirmId={selectedFirmId}
+          selectedPremiseId={selectedPremiseId}
+        />
       ) : viewMode === 'simulation' ? (
         <SimulationDashboard
           selectedFirmId={selectedFirmId}
@@ -11,7 +11,9 @@ import {
     Baby,
     ArrowRightLeft,
     Loader2,
-    Edit
+    Edit,
+    GitBranch,
+    Award
 } from 'lucide-react';
 import {
     Dialog,
@@ -22,7 +24,12 @@ import {
 import { Card, CardContent, CardHeader, CardTitle } from '../ui/card';
 import { Badge } from '../ui/badge';
 import { Button } from '../ui/button';
+import { Tabs, TabsContent, TabsList, TabsTrigger } from '../ui/tabs';
 import { getAnimalEvents } from '../../services/livestock';
+import { obtenerDesempenoAnimal } from '../../services/genealogy';
+import PedigreeTree from './PedigreeTree';
+
+const formatKg = (valor) => (valor === null || valor === undefined ? '-' : `${valor} kg`);
 
 const EVENT_CONFIG = {
     'BIRTH': { icon: Baby, color: 'text-emerald-600', bg: 'bg-emerald-50', label: 'Nacimiento' },
@@ -36,13 +43,24 @@ export default function AnimalDetailModal({ animal, open, onOpenChange, onEditCl
     const [events, setEvents] = useState([]);
     const [loading, setLoading] = useState(false);
     const [adpv, setAdpv] = useState(null);
+    const [desempeno, setDesempeno] = useState(null);
 
     useEffect(() => {
         if (open && animal?.id) {
             loadHistory();
+            loadDesempeno();
         }
     }, [open, animal?.id]);
 
+    async function loadDesempeno() {
+        try {
+            setDesempeno(await obtenerDesempenoAnimal(animal));
+        } catch (error) {
+            console.error('Error loading animal performance:', error);
+            setDesempeno(null);
+        }
+    }
+
     async function loadHistory() {
         setLoading(true);
         try {
@@ -170,57 +188,139 @@ export default function AnimalDetailModal({ animal, open, onOpenChange, onEditCl
                             </div>
                         </div>
 
-                        {/* Historial / Timeline */}
-                        <div className="md:col-span-2 space-y-4">
-                            <h3 className="text-sm font-bold text-slate-700 flex items-center gap-2">
-                                <History size={16} /> Línea de Tiempo del Animal
-                            </h3>
+                        {/* Historial / Genealogía / Desempeño */}
+                        <Tabs defaultValue="timeline" className="md:col-span-2 space-y-4">
+                            <TabsList>
+                                <TabsTrigger value="timeline" className="gap-1"><History size={14} /> Historial</TabsTrigger>
+                                <TabsTrigger value="pedigree" className="gap-1"><GitBranch size={14} /> Genealogía</TabsTrigger>
+                                <TabsTrigger value="performance" className="gap-1"><Award size={14} /> Desempeño</TabsTrigger>
+                            </TabsList>
 
-                            {loading ? (
-                                <div className="flex justify-center py-10">
-                                    <Loader2 className="animate-spin text-emerald-600" />
-                                </div>
-                            ) : events.length > 0 ? (
-                                <div className="space-y-4 relative before:absolute before:inset-0 before:left-[19px] before:w-0.5 before:bg-slate-100">
-                                    {events.map((event) => {
-                                        const config = EVENT_CONFIG[event.event_type] || { icon: Activity, color: 'text-slate-400', bg: 'bg-slate-50', label: 'Evento' };
-                                        const Icon = config.icon;
-
-                                        return (
-                                            <div key={event.id} className="relative pl-12">
-                                                <div className={`absolute left-0 p-2 rounded-full border-2 border-white shadow-sm z-10 ${config.bg}`}>
-                                                    <Icon className={config.color} size={14} />
-                                                </div>
-                                                <div className="bg-white p-3 rounded-xl border border-slate-100 shadow-sm">
-                                                    <div className="flex justify-between items-start">
-                                                        <p className="text-xs font-bold text-slate-900">{config.label}</p>
-                                                        <span className="text-[10px] text-slate-400 font-medium">
-                                                            {new Date(event.event_date).toLocaleDateString()}
-                                                        </span>
+                            <TabsContent value="timeline" className="space-y-4">
+                                {loading ? (
+                                    <div className="flex justify-center py-10">
+                                        <Loader2 className="animate-spin text-emerald-600" />
+                                    </div>
+                                ) : events.length > 0 ? (
+                                    <div className="space-y-4 relative before:absolute before:inset-0 before:left-[19px] before:w-0.5 before:bg-slate-100">
+                                        {events.map((event) => {
+                                            const config = EVENT_CONFIG[event.event_type] || { icon: Activity, color: 'text-slate-400', bg: 'bg-slate-50', label: 'Evento' };
+                                            const Icon = config.icon;
+
+                                            return (
+                                                <div key={event.id} className="relative pl-12">
+                                                    <div className={`absolute left-0 p-2 rounded-full border-2 border-white shadow-sm z-10 ${config.bg}`}>
+                                                        <Icon className={config.color} size={14} />
                                                     </div>
-                                                    <div className="mt-1">
-                                                        {event.event_type === 'WEIGHING' && (
-                                                            <p className="text-sm font-bold text-emerald-600">{event.qty_kg} kg</p>
-                                                        )}
-                                                        {event.event_type === 'MOVE_INTERNAL' && (
-                                                            <p className="text-xs text-slate-600">Traslado al lote <span className="font-bold">{event.to_lote?.name}</span></p>
-                                                        )}
-                                                        {event.event_type === 'CATEGORY_CHANGE' && (
-                                                            <p className="text-xs text-slate-600">Cambio a <span className="font-bold">{event.category_to?.name}</span></p>
-                                                        )}
-                                                        {event.notes && <p className="text-xs text-slate-400 italic mt-1 leading-relaxed">"{event.notes}"</p>}
+                                                    <div className="bg-white p-3 rounded-xl border border-slate-100 shadow-sm">
+                                                        <div className="flex justify-between items-start">
+                                                            <p className="text-xs font-bold text-slate-900">{config.label}</p>
+                                                            <span className="text-[10px] text-slate-400 font-medium">
+                                                                {new Date(event.event_date).toLocaleDateString()}
+                                                            </span>
+                                                        </div>
+                                                        <div className="mt-1">
+                                                            {event.event_type === 'WEIGHING' && (
+                                                                <p className="text-sm font-bold text-emerald-600">{event.qty_kg} kg</p>
+                                                            )}
+                                                            {event.event_type === 'MOVE_INTERNAL' && (
+                                                                <p className="text-xs text-slate-600">Traslado al lote <span className="font-bold">{event.to_lote?.name}</span></p>
+                                                            )}
+                                                            {event.event_type === 'CATEGORY_CHANGE' && (
+                                                                <p className="text-xs text-slate-600">Cambio a <span className="font-bold">{event.category_to?.name}</span></p>
+                                                            )}
+                                                            {event.notes && <p className="text-xs text-slate-400 italic mt-1 leading-relaxed">"{event.notes}"</p>}
+                                                        </div>
                                                     </div>
                                                 </div>
+                                            );
+                                        })}
+                                    </div>
+                                ) : (
+                                    <div className="text-center py-10 bg-slate-50 rounded-xl border border-dashed text-slate-400 text-xs">
+                                        No hay registros históricos para este animal.
+                                    </div>
+                                )}
+                            </TabsContent>
+
+                            <TabsContent value="pedigree" className="space-y-4">
+                                <PedigreeTree animalId={animal.id} />
+                                {desempeno?.crias.length > 0 && (
+                                    <div>
+                                        <h4 className="text-xs font-black text-slate-400 uppercase tracking-widest border-b pb-2 mb-2">
+                                            Crías ({desempeno.crias.length})
+                                        </h4>
+                                        <table className="w-full text-xs text-left">
+                                            <thead className="text-slate-500">
+                                                <tr>
+                                                    <th className="py-1">Caravana</th>
+                                                    <th className="py-1">Nacimiento</th>
+                                                    <th className="py-1">Sexo</th>
+                                                    <th className="py-1 text-right">Destete 205 d</th>
+                                                </tr>
+                                            </thead>
+                                            <tbody className="divide-y divide-slate-100">
+                                                {desempeno.crias.map(({ animal: cria, indices }) => (
+                                                    <tr key={cria.id}>
+                                                        <td className="py-1 font-bold">{cria.visual_tag || cria.rfid_tag || 'S/N'}</td>
+                                                        <td className="py-1">{cria.birth_date ? new Date(cria.birth_date).toLocaleDateString() : '-'}</td>
+                                                        <td className="py-1">{cria.sex === 'M' ? 'Macho' : 'Hembra'}</td>
+                                                        <td className="py-1 text-right">{formatKg(indices.peso_destete_205)}</td>
+                                                    </tr>
+                                                ))}
+                                            </tbody>
+                                        </table>
+                                    </div>
+                                )}
+                            </TabsContent>
+
+                            <TabsContent value="performance">
+                                {!desempeno ? (
+                                    <div className="flex justify-center py-10">
+                                        <Loader2 className="animate-spin text-emerald-600" />
+                                    </div>
+                                ) : (
+                                    <div className="grid grid-cols-2 md:grid-cols-3 gap-3">
+                                        {[
+                                            { label: 'Peso al nacer', valor: formatKg(desempeno.indices.peso_nacer) },
+                                            {
+                                                label: 'Destete ajustado 205 d',
+                                                valor: formatKg(desempeno.indices.peso_destete_205),
+                                                nota: desempeno.indices.peso_destete ? `${desempeno.indices.peso_destete} kg a los ${desempeno.indices.edad_destete_dias} d` : null
+                                            },
+                                            {
+                                                label: 'Año ajustado 365 d',
+                                                valor: formatKg(desempeno.indices.peso_anio_365),
+                                                nota: desempeno.indices.peso_anio ? `${desempeno.indices.peso_anio} kg a los ${desempeno.indices.edad_anio_dias} d` : null
+                                            },
+                                            {
+                                                label: 'Ganancia diaria',
+                                                valor: desempeno.indices.adpv_total !== null ? `${desempeno.indices.adpv_total} kg/d` : '-',
+                                                nota: desempeno.indices.adpv_ultimo !== null ? `Último período: ${desempeno.indices.adpv_ultimo} kg/d` : null
+                                            },
+                                            ...(animal.sex !== 'M' ? [
+                                                {
+                                                    label: 'Intervalo entre partos',
+                                                    valor: desempeno.indices.intervalo_entre_partos !== null ? `${desempeno.indices.intervalo_entre_partos} d` : '-',
+                                                    nota: `${desempeno.indices.partos} parto(s)`
+                                                },
+                                                {
+                                                    label: 'Destete promedio crías',
+                                                    valor: formatKg(desempeno.promedio_destete_crias),
+                                                    nota: desempeno.indices.edad_primer_parto_meses ? `1er parto a los ${desempeno.indices.edad_primer_parto_meses} meses` : null
+                                                }
+                                            ] : [])
+                                        ].map(card => (
+                                            <div key={card.label} className="p-3 bg-slate-50 rounded-xl">
+                                                <p className="text-[10px] text-slate-400 uppercase font-bold">{card.label}</p>
+                                                <p className="text-lg font-black text-slate-700">{card.valor}</p>
+                                                {card.nota && <p className="text-[10px] text-slate-500">{card.nota}</p>}
                                             </div>
-                                        );
-                                    })}
-                                </div>
-                            ) : (
-                                <div className="text-center py-10 bg-slate-50 rounded-xl border border-dashed text-slate-400 text-xs">
-                                    No hay registros históricos para este animal.
-                                </div>
-                            )}
-                        </div>
+                                        ))}
+                                    </div>
+                                )}
+                            </TabsContent>
+                        </Tabs>
                     </div>
                 </div>
             </DialogContent>
@@ -32,6 +32,7 @@ export default function AnimalForm({
     categories = [],
     herds = [],
     lots = [],
+    animals = [],
     onSuccess,
     mode = 'create',
     animal = null
@@ -50,6 +51,9 @@ export default function AnimalForm({
         current_lot_id: '',
         herd_id: '',
         origin_premise_id: selectedPremiseId || '',
+        dam_id: '',
+        sire_id: '',
+        sire_name: '',
         notes: ''
     });
 
@@ -73,6 +77,9 @@ export default function AnimalForm({
                 current_lot_id: animal.current_lot_id || '',
                 herd_id: animal.herd_id || '',
                 origin_premise_id: animal.origin_premise_id || selectedPremiseId || '',
+                dam_id: animal.dam_id || '',
+                sire_id: animal.sire_id || '',
+                sire_name: animal.sire_name || '',
                 notes: animal.notes || ''
             });
         } else if (open && mode === 'create') {
@@ -102,6 +109,11 @@ export default function AnimalForm({
         );
     }, [herds, formData.species]);
 
+    // Posibles padres: misma especie, excluyendo al propio animal
+    const candidatosPadres = useMemo(() => {
+        return animals.filter(a => a.species === formData.species && a.id !== animal?.id);
+    }, [animals, formData.species, animal?.id]);
+
     const handleSubmit = async (e) => {
         e.preventDefault();
 
@@ -146,6 +158,9 @@ export default function AnimalForm({
                 current_category_id: formData.current_category_id,
                 current_lot_id: formData.current_lot_id || null,
                 origin_premise_id: formData.origin_premise_id || selectedPremiseId,
+                dam_id: formData.dam_id || null,
+                sire_id: formData.sire_id || null,
+                sire_name: formData.sire_id ? null : formData.sire_name || null,
                 notes: formData.notes || null,
                 herd_id: formData.herd_id || null
             };
@@ -190,6 +205,9 @@ export default function AnimalForm({
             current_lot_id: '',
             herd_id: '',
             origin_premise_id: selectedPremiseId || '',
+            dam_id: '',
+            sire_id: '',
+            sire_name: '',
             notes: ''
         });
     };
@@ -307,6 +325,48 @@ export default function AnimalForm({
                         </div>
                     </div>
 
+                    {/* Sección: Genealogía */}
+                    <div className="p-4 bg-slate-50 rounded-xl space-y-4">
+                        <h4 className="text-xs font-black text-slate-400 uppercase tracking-widest">Genealogía</h4>
+                        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                            <div className="space-y-2">
+                                <label className="text-xs font-bold text-slate-600">Madre</label>
+                                <select
+                                    className="w-full px-3 py-2 bg-white border rounded-lg outline-none text-xs"
+                                    value={formData.dam_id}
+                                    onChange={(e) => setFormData({...formData, dam_id: e.target.value})}
+                                >
+                                    <option value="">Sin registro</option>
+                                    {candidatosPadres.filter(a => a.sex === 'F').map(a => (
+                                        <option key={a.id} value={a.id}>{a.visual_tag || a.rfid_tag}</option>
+                                    ))}
+                                </select>
+                            </div>
+                            <div className="space-y-2">
+                                <label className="text-xs font-bold text-slate-600">Padre</label>
+                                <select
+                                    className="w-full px-3 py-2 bg-white border rounded-lg outline-none text-xs"
+                                    value={formData.sire_id}
+                                    onChange={(e) => setFormData({...formData, sire_id: e.target.value})}
+                                >
+                                    <option value="">Externo / sin registro</option>
+                                    {candidatosPadres.filter(a => a.sex === 'M').map(a => (
+                                        <option key={a.id} value={a.id}>{a.visual_tag || a.rfid_tag}</option>
+                                    ))}
+                                </select>
+                                {!formData.sire_id && (
+                                    <input
+                                        type="text"
+                                        placeholder="Toro externo / semen (nombre o registro)"
+                                        className="w-full px-3 py-2 bg-white border rounded-lg outline-none text-xs"
+                                        value={formData.sire_name}
+                                        onChange={(e) => setFormData({...formData, sire_name: e.target.value})}
+                                    />
+                                )}
+                            </div>
+                        </div>
+                    </div>
+
                     {/* Sección: Ubicación y Categoría */}
                     <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
                         <div className="space-y-2">
@@ -0,0 +1,299 @@
+import React, { useState, useEffect } from 'react';
+import {
+    FileSignature,
+    FileText,
+    Download,
+    Loader2,
+    AlertTriangle,
+    XCircle,
+    CheckCircle2,
+    RefreshCcw
+} from 'lucide-react';
+import { Button } from '../ui/button';
+import { Card, CardContent } from '../ui/card';
+import { Badge } from '../ui/badge';
+import { toast } from 'sonner';
+import { useAuth } from '../../contexts/AuthContext';
+import {
+    TENENCIAS,
+    generarDeclaracionDicose,
+    generarArchivoMgap,
+    exportarDeclaracionPdf,
+    registrarDeclaracion,
+    obtenerDeclaraciones,
+    marcarDeclaracionPresentada
+} from '../../services/dicoseDeclaration';
+
+const formatDate = (fecha) => (fecha ? new Date(String(fecha).split('T')[0] + 'T00:00:00').toLocaleDateString('es-UY') : '-');
+
+// La declaración se presenta sobre las existencias al 30/06; antes de julio se declara el año anterior
+const anioSugerido = () => {
+    const ahora = new Date();
+    return ahora.getMonth() >= 6 ? ahora.getFullYear() : ahora.getFullYear() - 1;
+};
+
+/**
+ * Declaración jurada anual DICOSE: existencias al 30 de junio, uso del suelo y titular,
+ * validada contra el saldo de las planillas de contralor cerradas
+ */
+export default function DicoseDeclaration({ premiseId }) {
+    const { user } = useAuth();
+    const [anio, setAnio] = useState(anioSugerido());
+    const [declaracion, setDeclaracion] = useState(null);
+    const [historial, setHistorial] = useState([]);
+    const [generando, setGenerando] = useState(false);
+    const [guardando, setGuardando] = useState(false);
+
+    useEffect(() => {
+        setDeclaracion(null);
+        if (premiseId) loadHistorial();
+    }, [premiseId]);
+
+    async function loadHistorial() {
+        try {
+            setHistorial(await obtenerDeclaraciones(premiseId));
+        } catch (error) {
+            console.error('Error loading DICOSE declarations:', error);
+        }
+    }
+
+    const handleGenerar = async () => {
+        setGenerando(true);
+        try {
+            setDeclaracion(await generarDeclaracionDicose(premiseId, anio));
+        } catch (error) {
+            toast.error(error.message || 'Error al armar la declaración jurada');
+        } finally {
+            setGenerando(false);
+        }
+    };
+
+    const handleArchivoMgap = async () => {
+        setGuardando(true);
+        try {
+            const archivo = generarArchivoMgap(declaracion);
+            await registrarDeclaracion(declaracion, archivo.nombreArchivo, user?.id || null);
+
+            const blob = new Blob([archivo.contenido], { type: 'text/plain;charset=utf-8' });
+            const url = window.URL.createObjectURL(blob);
+            const a = document.createElement('a');
+            a.href = url;
+            a.download = archivo.nombreArchivo;
+            a.click();
+            window.URL.revokeObjectURL(url);
+
+            toast.success('Archivo para MGAP generado');
+            loadHistorial();
+        } catch (error) {
+            toast.error(error.message || 'Error al generar el archivo para MGAP');
+        } finally {
+            setGuardando(false);
+        }
+    };
+
+    const handlePresentada = async (id) => {
+        try {
+            await marcarDeclaracionPresentada(id);
+            toast.success('Declaración marcada como presentada');
+            loadHistorial();
+        } catch (error) {
+            toast.error(error.message || 'Error al actualizar la declaración');
+        }
+    };
+
+    if (!premiseId) return null;
+
+    const errores = declaracion?.validaciones.filter(v => v.nivel === 'ERROR') || [];
+    const avisos = declaracion?.validaciones.filter(v => v.nivel === 'AVISO') || [];
+    const anioActual = new Date().getFullYear();
+
+    return (
+        <Card className="border-slate-200 shadow-sm">
+            <CardContent className="p-4 space-y-4">
+                <div className="flex flex-wrap items-center justify-between gap-3">
+                    <div className="flex items-center gap-2">
+                        <FileSignature className="text-green-600" size={20} />
+                        <h3 className="font-bold text-slate-900">Declaración Jurada anual</h3>
+                    </div>
+                    <div className="flex items-end gap-2">
+                        <div>
+                            <label className="text-xs font-medium text-slate-600 block mb-1">Existencias al 30/06 de</label>
+                            <select
+                                value={anio}
+                                onChange={(e) => { setAnio(parseInt(e.target.value)); setDeclaracion(null); }}
+                                className="h-9 px-3 border border-slate-200 rounded-md text-sm"
+                            >
+                                {[0, 1, 2, 3].map(i => (
+                                    <option key={i} value={anioActual - i}>{anioActual - i}</option>
+                                ))}
+                            </select>
+                        </div>
+                        <Button variant="outline" onClick={handleGenerar} disabled={generando} className="gap-2">
+                            {generando ? <Loader2 size={16} className="animate-spin" /> : <RefreshCcw size={16} />}
+                            Armar declaración
+                        </Button>
+                    </div>
+                </div>
+
+                {declaracion && (
+                    <div className="space-y-4">
+                        {declaracion.validaciones.length === 0 ? (
+                            <div className="p-3 bg-emerald-50 border border-emerald-200 rounded-lg">
+                                <p className="text-xs text-emerald-800 flex items-center gap-1">
+                                    <CheckCircle2 size={12} /> Las existencias coinciden con el saldo de las planillas de contralor
+                                </p>
+                            </div>
+                        ) : (
+                            <div className="space-y-2">
+                                {errores.length > 0 && (
+                                    <div className="p-3 bg-red-50 border border-red-200 rounded-lg space-y-1">
+                                        {errores.map((v, i) => (
+                                            <p key={i} className="text-xs text-red-800 flex items-start gap-1">
+                                                <XCircle size={12} className="mt-0.5 shrink-0" /> {v.mensaje}
+                                            </p>
+                                        ))}
+                                    </div>
+                                )}
+                                {avisos.length > 0 && (
+                                    <div className="p-3 bg-amber-50 border border-amber-200 rounded-lg space-y-1">
+                                        {avisos.map((v, i) => (
+                                            <p key={i} className="text-xs text-amber-800 flex items-start gap-1">
+                                                <AlertTriangle size={12} className="mt-0.5 shrink-0" /> {v.mensaje}
+                                            </p>
+                                        ))}
+                                    </div>
+                                )}
+                            </div>
+                        )}
+
+                        <div className="grid grid-cols-2 md:grid-cols-4 gap-3 text-sm">
+                            <div className="p-3 bg-slate-50 rounded-lg">
+                                <p className="text-xs text-slate-500 uppercase font-bold">DICOSE</p>
+                                <p className="font-bold text-slate-800">{declaracion.predio.dicose_number || '-'}</p>
+                            </div>
+                            <div className="p-3 bg-slate-50 rounded-lg">
+                                <p className="text-xs text-slate-500 uppercase font-bold">Titular</p>
+                                <p className="font-bold text-slate-800 truncate">{declaracion.titular.nombre || '-'}</p>
+                                <p className="text-xs text-slate-500">{declaracion.titular.documento}</p>
+                            </div>
+                            <div className="p-3 bg-slate-50 rounded-lg">
+                                <p className="text-xs text-slate-500 uppercase font-bold">Tenencia</p>
+                                <p className="font-bold text-slate-800">{TENENCIAS[declaracion.titular.tenencia] || '-'}</p>
+                            </div>
+                            <div className="p-3 bg-slate-50 rounded-lg">
+                                <p className="text-xs text-slate-500 uppercase font-bold">Ubicación</p>
+                                <p className="font-bold text-slate-800">{declaracion.predio.departamento || '-'}</p>
+                                <p className="text-xs text-slate-500">Sección {declaracion.predio.seccion_policial || '-'}</p>
+                            </div>
+                        </div>
+
+                        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                            <div>
+                                <p className="text-xs font-bold text-slate-500 uppercase mb-2">Uso del suelo</p>
+                                <table className="w-full text-sm text-left">
+                                    <thead className="bg-slate-50 border-b border-slate-200">
+                                        <tr>
+                                            <th className="px-3 py-2 font-bold text-slate-700">Rubro</th>
+                                            <th className="px-3 py-2 font-bold text-slate-700 text-right">Lotes</th>
+                                            <th className="px-3 py-2 font-bold text-slate-700 text-right">Hectáreas</th>
+                                        </tr>
+                                    </thead>
+                                    <tbody className="divide-y divide-slate-100">
+                                        {declaracion.superficies.map(s => (
+                                            <tr key={s.codigo}>
+                                                <td className="px-3 py-2"><span className="font-mono text-xs text-slate-400 mr-2">{s.codigo}</span>{s.nombre}</td>
+                                                <td className="px-3 py-2 text-right">{s.lotes}</td>
+                                                <td className="px-3 py-2 text-right">{s.hectareas.toLocaleString('es-UY')}</td>
+                                            </tr>
+                                        ))}
+                                        <tr className="font-bold">
+                                            <td className="px-3 py-2">Total</td>
+                                            <td className="px-3 py-2" />
+                                            <td className="px-3 py-2 text-right">{declaracion.superficie_lotes.toLocaleString('es-UY')}</td>
+                                        </tr>
+                                    </tbody>
+                                </table>
+                            </div>
+                            <div>
+                                <p className="text-xs font-bold text-slate-500 uppercase mb-2">Existencias por categoría</p>
+                                {declaracion.existencias.length === 0 ? (
+                                    <p className="text-sm text-slate-400 italic py-4">Sin animales al {formatDate(declaracion.fecha_referencia)}</p>
+                                ) : (
+                                    <table className="w-full text-sm text-left">
+                                        <thead className="bg-slate-50 border-b border-slate-200">
+                                            <tr>
+                                                <th className="px-3 py-2 font-bold text-slate-700">Especie</th>
+                                                <th className="px-3 py-2 font-bold text-slate-700">Categoría</th>
+                                                <th className="px-3 py-2 font-bold text-slate-700 text-right">Cabezas</th>
+                                            </tr>
+                                        </thead>
+                                        <tbody className="divide-y divide-slate-100">
+                                            {declaracion.existencias.map(e => {
+                                                const conDiferencia = errores.some(v => v.category_id === e.category_id);
+                                                return (
+                                                    <tr key={`${e.especie}-${e.category_id}`} className={conDiferencia ? 'bg-red-50' : ''}>
+                                                        <td className="px-3 py-2"><Badge variant="outline">{e.especie}</Badge></td>
+                                                        <td className="px-3 py-2">{e.categoria}</td>
+                                                        <td className="px-3 py-2 text-right font-bold">{e.cabezas}</td>
+                                                    </tr>
+                                                );
+                                            })}
+                                        </tbody>
+                                    </table>
+                                )}
+                            </div>
+                        </div>
+
+                        <div className="flex justify-end gap-2">
+                            <Button variant="outline" className="gap-2" onClick={() => exportarDeclaracionPdf(declaracion)}>
+                                <FileText size={16} /> PDF para firma
+                            </Button>
+                            <Button
+                                onClick={handleArchivoMgap}
+                                disabled={guardando || errores.length > 0}
+                                className="gap-2 bg-emerald-600 hover:bg-emerald-700"
+                            >
+                                {guardando ? <Loader2 size={16} className="animate-spin" /> : <Download size={16} />}
+                                Archivo MGAP
+                            </Button>
+                        </div>
+                    </div>
+                )}
+
+                {historial.length > 0 && (
+                    <div>
+                        <p className="text-xs font-bold text-slate-500 uppercase mb-2">Declaraciones generadas</p>
+                        <table className="w-full text-sm text-left">
+                            <thead className="bg-slate-50 border-b border-slate-200">
+                                <tr>
+                                    <th className="px-3 py-2 font-bold text-slate-700">Ejercicio</th>
+                                    <th className="px-3 py-2 font-bold text-slate-700">Generada</th>
+                                    <th className="px-3 py-2 font-bold text-slate-700">Archivo</th>
+                                    <th className="px-3 py-2 font-bold text-slate-700 text-right">Estado</th>
+                                </tr>
+                            </thead>
+                            <tbody className="divide-y divide-slate-100">
+                                {historial.map(d => (
+                                    <tr key={d.id}>
+                                        <td className="px-3 py-2">{formatDate(d.reference_date)}</td>
+                                        <td className="px-3 py-2">{formatDate(d.created_at)}</td>
+                                        <td className="px-3 py-2 text-xs font-mono text-slate-500">{d.file_name}</td>
+                                        <td className="px-3 py-2 text-right">
+                                            {d.status === 'SUBMITTED' ? (
+                                                <Badge className="bg-green-100 text-green-700">Presentada</Badge>
+                                            ) : (
+                                                <Button variant="ghost" size="sm" onClick={() => handlePresentada(d.id)}>
+                                                    Marcar presentada
+                                                </Button>
+                                            )}
+                                        </td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </div>
+                )}
+            </CardContent>
+        </Card>
+    );
+}
@@ -45,6 +45,7 @@ import { getDicoseSheets, getDicoseEntries, closeContralSheet, createCorrectiveE
 import jsPDF from 'jspdf';
 import autoTable from 'jspdf-autotable';
 import * as XLSX from 'xlsx';
+import DicoseDeclaration from './DicoseDeclaration';
 
 const SHEET_TYPES = [
     { id: 'A', label: 'Tipo A', description: 'Vacunos propios en el establecimiento' },
@@ -1236,6 +1237,9 @@ export default function DicoseManager({ premiseId, categories = [] }) {
                 </Card>
             )}
 
+            {/* SECCIÓN: DECLARACIÓN JURADA ANUAL */}
+            <DicoseDeclaration premiseId={selectedPremiseId} />
+
             <div className="bg-slate-100 p-4 rounded-xl border border-slate-200 flex items-start gap-3">
                 <AlertCircle className="text-slate-400 w-5 h-5 flex-shrink-0" />
                 <p className="text-xs text-slate-500 leading-relaxed">
@@ -0,0 +1,522 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import {
+    Wheat,
+    Plus,
+    Loader2,
+    Trash2,
+    ClipboardList,
+    XCircle
+} from 'lucide-react';
+import { Button } from '../ui/button';
+import { Card, CardContent } from '../ui/card';
+import {
+    Dialog,
+    DialogContent,
+    DialogHeader,
+    DialogTitle,
+    DialogFooter,
+} from '../ui/dialog';
+import { toast } from 'sonner';
+import {
+    obtenerIngredientesDisponibles,
+    obtenerRaciones,
+    crearRacion,
+    desactivarRacion,
+    calcularEntrega,
+    registrarAlimentacion,
+    obtenerRegistrosAlimentacion,
+    obtenerIndicadoresAlimentacion
+} from '../../services/feeding';
+import { hoy, sumarDias } from '../../lib/fechas';
+
+const formatDate = (fecha) => (fecha ? new Date(String(fecha).split('T')[0] + 'T00:00:00').toLocaleDateString('es-UY') : '-');
+const haceDias = (dias) => sumarDias(hoy(), -dias);
+const valor = (v, sufijo = '') => (v === null || v === undefined ? '-' : `${v.toLocaleString('es-UY')}${sufijo}`);
+
+const INGREDIENTE_VACIO = { input_id: '', dm_share_percent: '', dry_matter_percent: '' };
+const RACION_VACIA = { name: '', target_kg_dm_per_head: '', notes: '' };
+const REGISTRO_VACIO = { herd_id: '', ration_id: '', feed_date: '', heads: '', kg_dm_per_head: '', notes: '' };
+
+/**
+ * Alimentación de encierres y suplementación: raciones, entregas diarias por rodeo
+ * (descuentan stock) e indicadores de consumo, costo por kg ganado y conversión
+ */
+export default function FeedingManager({ selectedFirmId, selectedPremiseId, herds = [] }) {
+    const [raciones, setRaciones] = useState([]);
+    const [ingredientesDisponibles, setIngredientesDisponibles] = useState([]);
+    const [registros, setRegistros] = useState([]);
+    const [indicadores, setIndicadores] = useState([]);
+    const [periodo, setPeriodo] = useState({ desde: haceDias(30), hasta: hoy() });
+    const [loading, setLoading] = useState(false);
+    const [saving, setSaving] = useState(false);
+
+    const [showRacion, setShowRacion] = useState(false);
+    const [racion, setRacion] = useState(RACION_VACIA);
+    const [ingredientes, setIngredientes] = useState([INGREDIENTE_VACIO]);
+
+    const [showRegistro, setShowRegistro] = useState(false);
+    const [registro, setRegistro] = useState(REGISTRO_VACIO);
+
+    useEffect(() => {
+        if (!selectedFirmId) return;
+        loadRaciones();
+        obtenerIngredientesDisponibles(selectedFirmId)
+            .then(setIngredientesDisponibles)
+            .catch(error => console.error('Error loading feed inputs:', error));
+    }, [selectedFirmId]);
+
+    useEffect(() => {
+        if (selectedPremiseId) loadData();
+    }, [selectedPremiseId, periodo.desde, periodo.hasta]);
+
+    async function loadRaciones() {
+        try {
+            setRaciones(await obtenerRaciones(selectedFirmId));
+        } catch (error) {
+            console.error('Error loading rations:', error);
+        }
+    }
+
+    async function loadData() {
+        setLoading(true);
+        try {
+            const [registrosData, indicadoresData] = await Promise.all([
+                obtenerRegistrosAlimentacion(selectedPremiseId, periodo),
+                obtenerIndicadoresAlimentacion(selectedPremiseId, periodo)
+            ]);
+            setRegistros(registrosData);
+            setIndicadores(indicadoresData);
+        } catch (error) {
+            console.error('Error loading feeding data:', error);
+            toast.error('Error al cargar los datos de alimentación');
+        } finally {
+            setLoading(false);
+        }
+    }
+
+    const racionSeleccionada = raciones.find(r => r.id === registro.ration_id);
+
+    // Vista previa de lo que se descuenta de cada ingrediente
+    const entrega = useMemo(() => {
+        const kgMs = parseFloat(registro.kg_dm_per_head) * parseInt(registro.heads);
+        if (!racionSeleccionada || !(kgMs > 0)) return { items: [], error: null };
+        try {
+            return { items: calcularEntrega(racionSeleccionada, kgMs), error: null };
+        } catch (error) {
+            return { items: [], error: error.message };
+        }
+    }, [racionSeleccionada, registro.kg_dm_per_head, registro.heads]);
+
+    const sumaParticipacion = ingredientes.reduce((sum, i) => sum + (parseFloat(i.dm_share_percent) || 0), 0);
+
+    const actualizarIngrediente = (indice, campo, valorCampo) => {
+        setIngredientes(ingredientes.map((ing, i) => (i === indice ? { ...ing, [campo]: valorCampo } : ing)));
+    };
+
+    const handleCrearRacion = async () => {
+        setSaving(true);
+        try {
+            await crearRacion({ ...racion, firm_id: selectedFirmId, premise_id: selectedPremiseId }, ingredientes, null);
+            toast.success('Ración creada');
+            setShowRacion(false);
+            setRacion(RACION_VACIA);
+            setIngredientes([INGREDIENTE_VACIO]);
+            loadRaciones();
+        } catch (error) {
+            toast.error(error.message || 'Error al crear la ración');
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    const handleDesactivar = async (r) => {
+        if (!window.confirm(`¿Dar de baja la ración "${r.name}"?`)) return;
+        try {
+            await desactivarRacion(r.id);
+            toast.success('Ración dada de baja');
+            loadRaciones();
+        } catch (error) {
+            toast.error('Error al dar de baja la ración');
+        }
+    };
+
+    const abrirRegistro = () => {
+        setRegistro({ ...REGISTRO_VACIO, feed_date: hoy() });
+        setShowRegistro(true);
+    };
+
+    const handleRegistrar = async () => {
+        setSaving(true);
+        try {
+            const creado = await registrarAlimentacion(
+                { ...registro, firm_id: selectedFirmId, premise_id: selectedPremiseId },
+                null
+            );
+            toast.success(`Alimentación registrada: ${creado.total_kg_as_fed} kg tal cual descontados del stock`);
+            setShowRegistro(false);
+            loadData();
+            loadRaciones();
+        } catch (error) {
+            toast.error(error.message || 'Error al registrar la alimentación');
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    return (
+        <div className="space-y-6">
+            {/* Indicadores por rodeo */}
+            <Card className="border-slate-200 shadow-sm">
+                <CardContent className="p-4 space-y-4">
+                    <div className="flex flex-wrap items-center justify-between gap-3">
+                        <div className="flex items-center gap-2">
+                            <Wheat className="text-amber-600" size={20} />
+                            <h3 className="font-bold text-slate-900">Alimentación y conversión</h3>
+                        </div>
+                        <div className="flex flex-wrap items-center gap-2">
+                            <input
+                                type="date"
+                                value={periodo.desde}
+                                onChange={(e) => setPeriodo({ ...periodo, desde: e.target.value })}
+                                className="h-9 px-3 border border-slate-200 rounded-md text-sm"
+                            />
+                            <input
+                                type="date"
+                                value={periodo.hasta}
+                                onChange={(e) => setPeriodo({ ...periodo, hasta: e.target.value })}
+                                className="h-9 px-3 border border-slate-200 rounded-md text-sm"
+                            />
+                            <Button onClick={abrirRegistro} className="gap-2 bg-emerald-600 hover:bg-emerald-700" disabled={raciones.length === 0}>
+                                <Plus size={16} /> Registrar entrega
+                            </Button>
+                        </div>
+                    </div>
+
+                    {loading ? (
+                        <div className="flex items-center justify-center py-10">
+                            <Loader2 className="animate-spin text-emerald-600 w-8 h-8" />
+                        </div>
+                    ) : indicadores.length === 0 ? (
+                        <p className="text-sm text-slate-400 italic text-center py-8">
+                            Sin entregas de alimento en el período
+                        </p>
+                    ) : (
+                        <div className="overflow-x-auto">
+                            <table className="w-full text-sm text-left">
+                                <thead className="bg-slate-50 border-b border-slate-200">
+                                    <tr>
+                                        <th className="px-3 py-2 font-bold text-slate-700">Rodeo</th>
+                                        <th className="px-3 py-2 font-bold text-slate-700 text-right">Días</th>
+                                        <th className="px-3 py-2 font-bold text-slate-700 text-right">Cab. prom.</th>
+                                        <th className="px-3 py-2 font-bold text-slate-700 text-right">kg MS total</th>
+                                        <th className="px-3 py-2 font-bold text-slate-700 text-right">kg MS/cab/día</th>
+                                        <th className="px-3 py-2 font-bold text-slate-700 text-right">Costo total</th>
+                                        <th className="px-3 py-2 font-bold text-slate-700 text-right">kg ganados</th>
+                                        <th className="px-3 py-2 font-bold text-slate-700 text-right">$/kg ganado</th>
+                                        <th className="px-3 py-2 font-bold text-slate-700 text-right">Conversión</th>
+                                    </tr>
+                                </thead>
+                                <tbody className="divide-y divide-slate-100">
+                                    {indicadores.map(ind => (
+                                        <tr key={ind.herd_id}>
+                                            <td className="px-3 py-2 font-medium">{ind.herd?.name || '-'}</td>
+                                            <td className="px-3 py-2 text-right">{ind.dias}</td>
+                                            <td className="px-3 py-2 text-right">{valor(ind.cabezas_promedio)}</td>
+                                            <td className="px-3 py-2 text-right">{valor(ind.kg_ms_total)}</td>
+                                            <td className="px-3 py-2 text-right font-bold">{valor(ind.consumo_ms_cabeza_dia)}</td>
+                                            <td className="px-3 py-2 text-right">{valor(ind.costo_total)}</td>
+                                            <td className="px-3 py-2 text-right">
+                                                {valor(ind.kg_ganados)}
+                                                {ind.pesaje_desde && (
+                                                    <span className="block text-[10px] text-slate-400">
+                                                        {ind.animales_pesados} anim. · {formatDate(ind.pesaje_desde)} - {formatDate(ind.pesaje_hasta)}
+                                                    </span>
+                                                )}
+                                            </td>
+                                            <td className="px-3 py-2 text-right font-bold">{valor(ind.costo_kg_ganado)}</td>
+                                            <td className="px-3 py-2 text-right font-bold">{ind.conversion ? `${ind.conversion}:1` : '-'}</td>
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
+                            <p className="text-[11px] text-slate-400 mt-2">
+                                Costo por kg ganado y conversión (kg MS / kg ganado) se calculan con lo entregado entre el primer y el último pesaje aprobado del rodeo en el período.
+                            </p>
+                        </div>
+                    )}
+                </CardContent>
+            </Card>
+
+            <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+                {/* Raciones */}
+                <Card className="border-slate-200 shadow-sm">
+                    <CardContent className="p-4 space-y-3">
+                        <div className="flex items-center justify-between">
+                            <h3 className="font-bold text-slate-900">Raciones</h3>
+                            <Button variant="outline" size="sm" className="gap-1" onClick={() => setShowRacion(true)}>
+                                <Plus size={14} /> Nueva ración
+                            </Button>
+                        </div>
+                        {raciones.length === 0 ? (
+                            <p className="text-sm text-slate-400 italic text-center py-6">Sin raciones cargadas</p>
+                        ) : (
+                            raciones.map(r => (
+                                <div key={r.id} className="p-3 border border-slate-100 rounded-lg">
+                                    <div className="flex items-center justify-between">
+                                        <p className="font-medium text-slate-800">
+                                            {r.name}
+                                            {r.target_kg_dm_per_head && (
+                                                <span className="text-xs text-slate-400"> · objetivo {r.target_kg_dm_per_head} kg MS/cab</span>
+                                            )}
+                                        </p>
+                                        <Button variant="ghost" size="sm" className="text-slate-400 hover:text-red-600" onClick={() => handleDesactivar(r)}>
+                                            <XCircle size={14} />
+                                        </Button>
+                                    </div>
+                                    <div className="flex flex-wrap gap-2 mt-1">
+                                        {(r.ingredients || []).map(ing => (
+                                            <span key={ing.id} className="text-xs px-2 py-0.5 rounded bg-amber-50 text-amber-800">
+                                                {ing.input?.name} {ing.dm_share_percent}% · MS {ing.dry_matter_percent}%
+                                            </span>
+                                        ))}
+                                    </div>
+                                </div>
+                            ))
+                        )}
+                    </CardContent>
+                </Card>
+
+                {/* Últimas entregas */}
+                <Card className="border-slate-200 shadow-sm">
+                    <CardContent className="p-4 space-y-3">
+                        <div className="flex items-center gap-2">
+                            <ClipboardList className="text-slate-500" size={18} />
+                            <h3 className="font-bold text-slate-900">Entregas del período</h3>
+                        </div>
+                        {registros.length === 0 ? (
+                            <p className="text-sm text-slate-400 italic text-center py-6">Sin entregas registradas</p>
+                        ) : (
+                            <div className="max-h-80 overflow-y-auto">
+                                <table className="w-full text-xs text-left">
+                                    <thead className="bg-slate-50 border-b border-slate-200">
+                                        <tr>
+                                            <th className="px-2 py-2 font-bold text-slate-700">Fecha</th>
+                                            <th className="px-2 py-2 font-bold text-slate-700">Rodeo</th>
+                                            <th className="px-2 py-2 font-bold text-slate-700">Ración</th>
+                                            <th className="px-2 py-2 font-bold text-slate-700 text-right">Cab.</th>
+                                            <th className="px-2 py-2 font-bold text-slate-700 text-right">kg MS</th>
+                                            <th className="px-2 py-2 font-bold text-slate-700 text-right">Costo</th>
+                                        </tr>
+                                    </thead>
+                                    <tbody className="divide-y divide-slate-100">
+                                        {registros.map(r => (
+                                            <tr key={r.id}>
+                                                <td className="px-2 py-1.5">{formatDate(r.feed_date)}</td>
+                                                <td className="px-2 py-1.5">{r.herd?.name}</td>
+                                                <td className="px-2 py-1.5">{r.ration?.name}</td>
+                                                <td className="px-2 py-1.5 text-right">{r.heads}</td>
+                                                <td className="px-2 py-1.5 text-right">{valor(parseFloat(r.total_kg_dm))}</td>
+                                                <td className="px-2 py-1.5 text-right">{valor(parseFloat(r.total_cost))}</td>
+                                            </tr>
+                                        ))}
+                                    </tbody>
+                                </table>
+                            </div>
+                        )}
+                    </CardContent>
+                </Card>
+            </div>
+
+            {/* Dialog: nueva ración */}
+            <Dialog open={showRacion} onOpenChange={setShowRacion}>
+                <DialogContent className="max-w-2xl">
+                    <DialogHeader>
+                        <DialogTitle>Nueva Ración</DialogTitle>
+                    </DialogHeader>
+                    <div className="grid grid-cols-2 gap-3">
+                        <div className="space-y-1">
+                            <label className="text-xs font-bold text-slate-500 uppercase">Nombre</label>
+                            <input
+                                type="text"
+                                placeholder="Ej: Terminación maíz + silo"
+                                value={racion.name}
+                                onChange={(e) => setRacion({ ...racion, name: e.target.value })}
+                                className="w-full px-3 py-2 border rounded-lg"
+                            />
+                        </div>
+                        <div className="space-y-1">
+                            <label className="text-xs font-bold text-slate-500 uppercase">Objetivo kg MS / cab / día</label>
+                            <input
+                                type="number"
+                                step="0.1"
+                                min="0"
+                                value={racion.target_kg_dm_per_head}
+                                onChange={(e) => setRacion({ ...racion, target_kg_dm_per_head: e.target.value })}
+                                className="w-full px-3 py-2 border rounded-lg"
+                            />
+                        </div>
+                    </div>
+
+                    <div className="space-y-2">
+                        <div className="grid grid-cols-12 gap-2 text-xs font-bold text-slate-500 uppercase">
+                            <span className="col-span-6">Ingrediente</span>
+                            <span className="col-span-3">% en base seca</span>
+                            <span className="col-span-2">% MS</span>
+                        </div>
+                        {ingredientes.map((ing, i) => (
+                            <div key={i} className="grid grid-cols-12 gap-2">
+                                <select
+                                    value={ing.input_id}
+                                    onChange={(e) => actualizarIngrediente(i, 'input_id', e.target.value)}
+                                    className="col-span-6 px-3 py-2 border rounded-lg bg-white text-sm"
+                                >
+                                    <option value="">Seleccionar insumo...</option>
+                                    {ingredientesDisponibles.map(p => (
+                                        <option key={p.id} value={p.id}>{p.name} ({p.current_stock} {p.unit})</option>
+                                    ))}
+                                </select>
+                                <input
+                                    type="number"
+                                    step="0.1"
+                                    min="0"
+                                    max="100"
+                                    value={ing.dm_share_percent}
+                                    onChange={(e) => actualizarIngrediente(i, 'dm_share_percent', e.target.value)}
+                                    className="col-span-3 px-3 py-2 border rounded-lg text-sm"
+                                />
+                                <input
+                                    type="number"
+                                    step="0.1"
+                                    min="0"
+                                    max="100"
+                                    value={ing.dry_matter_percent}
+                                    onChange={(e) => actualizarIngrediente(i, 'dry_matter_percent', e.target.value)}
+                                    className="col-span-2 px-3 py-2 border rounded-lg text-sm"
+                                />
+                                <Button
+                                    variant="ghost"
+                                    size="sm"
+                                    className="col-span-1 text-slate-400 hover:text-red-600"
+                                    onClick={() => setIngredientes(ingredientes.filter((_, j) => j !== i))}
+                                    disabled={ingredientes.length === 1}
+                                >
+                                    <Trash2 size={14} />
+                                </Button>
+                            </div>
+                        ))}
+                        <div className="flex items-center justify-between">
+                            <Button variant="outline" size="sm" className="gap-1" onClick={() => setIngredientes([...ingredientes, INGREDIENTE_VACIO])}>
+                                <Plus size={14} /> Ingrediente
+                            </Button>
+                            <span className={`text-xs font-bold ${Math.abs(sumaParticipacion - 100) > 0.5 ? 'text-red-600' : 'text-emerald-600'}`}>
+                                Total base seca: {Math.round(sumaParticipacion * 10) / 10}%
+                            </span>
+                        </div>
+                        {ingredientesDisponibles.length === 0 && (
+                            <p className="text-xs text-amber-600">
+                                No hay insumos de categoría "Alimento / Ración" u "Otro" en el inventario.
+                            </p>
+                        )}
+                    </div>
+                    <DialogFooter>
+                        <Button variant="outline" onClick={() => setShowRacion(false)}>Cancelar</Button>
+                        <Button onClick={handleCrearRacion} disabled={saving} className="bg-emerald-600 hover:bg-emerald-700">
+                            {saving && <Loader2 className="animate-spin w-4 h-4 mr-2" />}
+                            Guardar ración
+                        </Button>
+                    </DialogFooter>
+                </DialogContent>
+            </Dialog>
+
+            {/* Dialog: registrar entrega */}
+            <Dialog open={showRegistro} onOpenChange={setShowRegistro}>
+                <DialogContent className="max-w-lg">
+                    <DialogHeader>
+                        <DialogTitle>Registrar Entrega de Alimento</DialogTitle>
+                    </DialogHeader>
+                    <div className="grid grid-cols-2 gap-3">
+                        <div className="space-y-1">
+                            <label className="text-xs font-bold text-slate-500 uppercase">Rodeo</label>
+                            <select
+                                value={registro.herd_id}
+                                onChange={(e) => {
+                                    const herd = herds.find(h => h.id === e.target.value);
+                                    setRegistro({ ...registro, herd_id: e.target.value, heads: herd?.animal_count || registro.heads });
+                                }}
+                                className="w-full px-3 py-2 border rounded-lg bg-white"
+                            >
+                                <option value="">Seleccionar...</option>
+                                {herds.map(h => <option key={h.id} value={h.id}>{h.name}</option>)}
+                            </select>
+                        </div>
+                        <div className="space-y-1">
+                            <label className="text-xs font-bold text-slate-500 uppercase">Ración</label>
+                            <select
+                                value={registro.ration_id}
+                                onChange={(e) => {
+                                    const r = raciones.find(x => x.id === e.target.value);
+                                    setRegistro({ ...registro, ration_id: e.target.value, kg_dm_per_head: r?.target_kg_dm_per_head || registro.kg_dm_per_head });
+                                }}
+                                className="w-full px-3 py-2 border rounded-lg bg-white"
+                            >
+                                <option value="">Seleccionar...</option>
+                                {raciones.map(r => <option key={r.id} value={r.id}>{r.name}</option>)}
+                            </select>
+                        </div>
+                        <div className="space-y-1">
+                            <label className="text-xs font-bold text-slate-500 uppercase">Fecha</label>
+                            <input
+                                type="date"
+                                value={registro.feed_date}
+                                onChange={(e) => setRegistro({ ...registro, feed_date: e.target.value })}
+                                className="w-full px-3 py-2 border rounded-lg"
+                            />
+                        </div>
+                        <div className="space-y-1">
+                            <label className="text-xs font-bold text-slate-500 uppercase">Cabezas</label>
+                            <input
+                                type="number"
+                                min="1"
+                                value={registro.heads}
+                                onChange={(e) => setRegistro({ ...registro, heads: e.target.value })}
+                                className="w-full px-3 py-2 border rounded-lg"
+                            />
+                        </div>
+                        <div className="space-y-1 col-span-2">
+                            <label className="text-xs font-bold text-slate-500 uppercase">kg MS por cabeza</label>
+                            <input
+                                type="number"
+                                step="0.1"
+                                min="0"
+                                value={registro.kg_dm_per_head}
+                                onChange={(e) => setRegistro({ ...registro, kg_dm_per_head: e.target.value })}
+                                className="w-full px-3 py-2 border rounded-lg"
+                            />
+                        </div>
+                    </div>
+
+                    {entrega.error && <p className="text-xs text-red-600">{entrega.error}</p>}
+                    {entrega.items.length > 0 && (
+                        <div className="p-3 bg-amber-50 rounded-lg text-xs space-y-1">
+                            <p className="font-bold text-amber-800 uppercase">Se descuenta del stock</p>
+                            {entrega.items.map(item => (
+                                <div key={item.input_id} className="flex justify-between text-amber-900">
+                                    <span>{item.nombre}</span>
+                                    <span>{item.kg_tal_cual} kg tal cual ({item.cantidad} {item.unidad}) · ${valor(item.costo)}</span>
+                                </div>
+                            ))}
+                        </div>
+                    )}
+
+                    <DialogFooter>
+                        <Button variant="outline" onClick={() => setShowRegistro(false)}>Cancelar</Button>
+                        <Button onClick={handleRegistrar} disabled={saving || !!entrega.error} className="bg-emerald-600 hover:bg-emerald-700">
+                            {saving && <Loader2 className="animate-spin w-4 h-4 mr-2" />}
+                            Registrar
+                        </Button>
+                    </DialogFooter>
+                </DialogContent>
+            </Dialog>
+        </div>
+    );
+}
@@ -0,0 +1,462 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import {
+    CalendarRange,
+    Plus,
+    Loader2,
+    ArrowRight,
+    Send,
+    XCircle,
+    Sparkles
+} from 'lucide-react';
+import { Button } from '../ui/button';
+import { Card, CardContent } from '../ui/card';
+import { Badge } from '../ui/badge';
+import {
+    Dialog,
+    DialogContent,
+    DialogHeader,
+    DialogTitle,
+    DialogFooter,
+} from '../ui/dialog';
+import { toast } from 'sonner';
+import {
+    ESTADOS_MOVIMIENTO_PLAN,
+    DIAS_DESCANSO_MINIMO,
+    obtenerPlanPastoreo,
+    calcularDescansoLotes,
+    sugerirProximosMovimientos,
+    crearMovimientoPlanificado,
+    cancelarMovimientoPlanificado,
+    convertirMovimientoEnEvento
+} from '../../services/grazingPlan';
+import { hoy, sumarDias, diasEntre } from '../../lib/fechas';
+
+const formatDate = (fecha) => (fecha ? new Date(String(fecha).split('T')[0] + 'T00:00:00').toLocaleDateString('es-UY') : '-');
+
+const COLORES_RODEO = ['bg-emerald-500', 'bg-blue-500', 'bg-amber-500', 'bg-purple-500', 'bg-pink-500', 'bg-cyan-500', 'bg-orange-500', 'bg-lime-600'];
+const BORDES_RODEO = ['border-emerald-500', 'border-blue-500', 'border-amber-500', 'border-purple-500', 'border-pink-500', 'border-cyan-500', 'border-orange-500', 'border-lime-600'];
+
+const VENTANAS = [
+    { dias: 30, label: '± 1 mes' },
+    { dias: 60, label: '± 2 meses' },
+    { dias: 90, label: '± 3 meses' }
+];
+
+const MOVIMIENTO_VACIO = { herd_id: '', to_lot_id: '', planned_date: '', planned_days: '', notes: '' };
+
+/**
+ * Planificador de pastoreo: ocupación de lotes por rodeo en el tiempo (real y planificada),
+ * sugerencias de próximo movimiento y conversión a MOVE_INTERNAL pendiente
+ */
+export default function GrazingPlanner({ selectedFirmId, selectedPremiseId }) {
+    const [plan, setPlan] = useState({ rodeos: [], lotes: [], segmentos: [], planificados: [] });
+    const [sugerencias, setSugerencias] = useState([]);
+    const [ventana, setVentana] = useState(60);
+    const [diasDescanso, setDiasDescanso] = useState(DIAS_DESCANSO_MINIMO);
+    const [loading, setLoading] = useState(false);
+    const [loadingSugerencias, setLoadingSugerencias] = useState(false);
+    const [saving, setSaving] = useState(false);
+    const [showNuevo, setShowNuevo] = useState(false);
+    const [nuevo, setNuevo] = useState(MOVIMIENTO_VACIO);
+
+    useEffect(() => {
+        if (selectedPremiseId) loadPlan();
+    }, [selectedPremiseId]);
+
+    async function loadPlan() {
+        setLoading(true);
+        try {
+            setPlan(await obtenerPlanPastoreo(selectedPremiseId));
+        } catch (error) {
+            console.error('Error loading grazing plan:', error);
+            toast.error('Error al cargar el plan de pastoreo');
+        } finally {
+            setLoading(false);
+        }
+    }
+
+    async function loadSugerencias() {
+        setLoadingSugerencias(true);
+        try {
+            setSugerencias(await sugerirProximosMovimientos(selectedPremiseId, { diasDescanso: parseInt(diasDescanso) || 0 }));
+        } catch (error) {
+            console.error('Error loading grazing suggestions:', error);
+            toast.error('Error al calcular sugerencias de movimiento');
+        } finally {
+            setLoadingSugerencias(false);
+        }
+    }
+
+    const fechaHoy = hoy();
+    const inicio = sumarDias(fechaHoy, -ventana);
+    const totalDias = ventana * 2;
+
+    const colorRodeo = useMemo(() => {
+        return plan.rodeos.reduce((acc, r, i) => {
+            acc[r.id] = i % COLORES_RODEO.length;
+            return acc;
+        }, {});
+    }, [plan.rodeos]);
+
+    const descanso = useMemo(() => calcularDescansoLotes(plan), [plan]);
+
+    // Posición porcentual de un segmento dentro de la ventana visible
+    const posicion = (desde, hasta) => {
+        const d = Math.max(0, diasEntre(inicio, desde || inicio));
+        const h = Math.min(totalDias, diasEntre(inicio, hasta));
+        if (h <= 0 || d >= totalDias || h <= d) return null;
+        return { left: `${(d / totalDias) * 100}%`, width: `${((h - d) / totalDias) * 100}%` };
+    };
+
+    const marcasMes = useMemo(() => {
+        const marcas = [];
+        for (let i = 0; i <= totalDias; i++) {
+            const fecha = sumarDias(inicio, i);
+            if (fecha.endsWith('-01')) marcas.push({ fecha, left: `${(i / totalDias) * 100}%` });
+        }
+        return marcas;
+    }, [inicio, totalDias]);
+
+    const guardarMovimiento = async (movimiento) => {
+        const rodeo = plan.rodeos.find(r => r.id === movimiento.herd_id);
+        return crearMovimientoPlanificado({
+            ...movimiento,
+            firm_id: selectedFirmId,
+            premise_id: selectedPremiseId,
+            from_lot_id: rodeo?.lote_actual_id || null
+        });
+    };
+
+    const handleCrear = async () => {
+        setSaving(true);
+        try {
+            await guardarMovimiento(nuevo);
+            toast.success('Movimiento planificado');
+            setShowNuevo(false);
+            setNuevo(MOVIMIENTO_VACIO);
+            loadPlan();
+        } catch (error) {
+            toast.error(error.message || 'Error al planificar el movimiento');
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    const handlePlanificarSugerencia = async (s) => {
+        try {
+            await guardarMovimiento({
+                herd_id: s.rodeo.id,
+                to_lot_id: s.destino.loteId,
+                planned_date: s.fecha_sugerida,
+                planned_days: s.destino.dias_pastoreo_estimados || '',
+                notes: s.motivo
+            });
+            toast.success(`Movimiento de ${s.rodeo.name} a ${s.destino.loteNombre} planificado`);
+            setSugerencias(sugerencias.filter(x => x.rodeo.id !== s.rodeo.id));
+            loadPlan();
+        } catch (error) {
+            toast.error(error.message || 'Error al planificar el movimiento');
+        }
+    };
+
+    const handleConvertir = async (mov) => {
+        const fecha = mov.planned_date < fechaHoy ? fechaHoy : mov.planned_date;
+        if (!window.confirm(`¿Registrar el traslado de ${mov.herd?.name} a ${mov.to_lot?.name} (${formatDate(fecha)}) como evento pendiente de aprobación?`)) return;
+        try {
+            await convertirMovimientoEnEvento(mov, fecha);
+            toast.success('Traslado enviado a aprobación');
+            loadPlan();
+        } catch (error) {
+            toast.error(error.message || 'Error al generar el traslado');
+        }
+    };
+
+    const handleCancelar = async (mov) => {
+        if (!window.confirm('¿Cancelar el movimiento planificado?')) return;
+        try {
+            await cancelarMovimientoPlanificado(mov.id);
+            toast.success('Movimiento cancelado');
+            loadPlan();
+        } catch (error) {
+            toast.error('Error al cancelar el movimiento');
+        }
+    };
+
+    // Primero los lotes con ocupación, luego los libres
+    const lotesVisibles = [...plan.lotes].sort((a, b) => {
+        const ocupA = plan.segmentos.some(s => s.lot_id === a.id) ? 0 : 1;
+        const ocupB = plan.segmentos.some(s => s.lot_id === b.id) ? 0 : 1;
+        return ocupA - ocupB;
+    });
+    const posHoy = `${(ventana / totalDias) * 100}%`;
+
+    return (
+        <div className="space-y-6">
+            <Card className="border-slate-200 shadow-sm">
+                <CardContent className="p-4 space-y-4">
+                    <div className="flex flex-wrap items-center justify-between gap-3">
+                        <div className="flex items-center gap-2">
+                            <CalendarRange className="text-emerald-600" size={20} />
+                            <h3 className="font-bold text-slate-900">Plan de Pastoreo</h3>
+                        </div>
+                        <div className="flex gap-2">
+                            <select
+                                value={ventana}
+                                onChange={(e) => setVentana(parseInt(e.target.value))}
+                                className="h-9 px-3 border border-slate-200 rounded-md text-sm"
+                            >
+                                {VENTANAS.map(v => <option key={v.dias} value={v.dias}>{v.label}</option>)}
+                            </select>
+                            <Button onClick={() => setShowNuevo(true)} className="gap-2 bg-emerald-600 hover:bg-emerald-700">
+                                <Plus size={16} /> Planificar
+                            </Button>
+                        </div>
+                    </div>
+
+                    {loading ? (
+                        <div className="flex items-center justify-center py-10">
+                            <Loader2 className="animate-spin text-emerald-600 w-8 h-8" />
+                        </div>
+                    ) : lotesVisibles.length === 0 ? (
+                        <p className="text-sm text-slate-400 italic text-center py-8">
+                            El predio no tiene lotes cargados
+                        </p>
+                    ) : (
+                        <div className="space-y-1">
+                            {/* Escala de meses */}
+                            <div className="flex">
+                                <div className="w-40 shrink-0" />
+                                <div className="relative flex-1 h-5 text-[10px] text-slate-400">
+                                    {marcasMes.map(m => (
+                                        <span key={m.fecha} className="absolute -translate-x-1/2" style={{ left: m.left }}>
+                                            {new Date(`${m.fecha}T00:00:00`).toLocaleDateString('es-UY', { month: 'short', year: '2-digit' })}
+                                        </span>
+                                    ))}
+                                </div>
+                            </div>
+
+                            {lotesVisibles.map(lote => {
+                                const d = descanso[lote.id];
+                                return (
+                                    <div key={lote.id} className="flex items-center">
+                                        <div className="w-40 shrink-0 pr-2">
+                                            <p className="text-xs font-bold text-slate-700 truncate">{lote.name}</p>
+                                            <p className="text-[10px] text-slate-400">
+                                                {d?.ocupado ? 'Ocupado' : d?.dias_descanso !== null && d?.dias_descanso !== undefined ? `${d.dias_descanso} días de descanso` : 'Sin ocupación previa'}
+                                            </p>
+                                        </div>
+                                        <div className="relative flex-1 h-8 bg-slate-50 rounded">
+                                            {marcasMes.map(m => (
+                                                <div key={m.fecha} className="absolute top-0 bottom-0 border-l border-slate-200" style={{ left: m.left }} />
+                                            ))}
+                                            {plan.segmentos.filter(s => s.lot_id === lote.id).map((s, i) => {
+                                                const pos = posicion(s.desde, s.hasta);
+                                                if (!pos) return null;
+                                                const c = colorRodeo[s.herd_id] ?? 0;
+                                                const rodeo = plan.rodeos.find(r => r.id === s.herd_id);
+                                                const estilo = s.tipo === 'REAL'
+                                                    ? `${COLORES_RODEO[c]} text-white ${s.pendiente ? 'opacity-60' : ''}`
+                                                    : `bg-white border-2 border-dashed ${BORDES_RODEO[c]} text-slate-700 ${s.tipo === 'PROYECTADO' ? 'opacity-60' : ''}`;
+                                                return (
+                                                    <div
+                                                        key={`${s.herd_id}-${i}`}
+                                                        className={`absolute top-1 bottom-1 rounded px-1 text-[10px] font-bold truncate ${estilo}`}
+                                                        style={pos}
+                                                        title={`${rodeo?.name || 'Rodeo'} · ${formatDate(s.desde)} - ${formatDate(s.hasta)}${s.pendiente ? ' (pendiente de aprobación)' : ''}${s.tipo !== 'REAL' ? ` (${s.tipo.toLowerCase()})` : ''}`}
+                                                    >
+                                                        {rodeo?.name}
+                                                    </div>
+                                                );
+                                            })}
+                                            <div className="absolute top-0 bottom-0 border-l-2 border-red-400" style={{ left: posHoy }} />
+                                        </div>
+                                    </div>
+                                );
+                            })}
+
+                            <div className="flex flex-wrap gap-4 pt-3 text-[10px] text-slate-500">
+                                {plan.rodeos.map(r => (
+                                    <span key={r.id} className="flex items-center gap-1">
+                                        <span className={`w-3 h-3 rounded ${COLORES_RODEO[colorRodeo[r.id]]}`} /> {r.name} ({r.cabezas} cab)
+                                    </span>
+                                ))}
+                                <span className="flex items-center gap-1"><span className="w-3 h-3 rounded bg-slate-400" /> Real</span>
+                                <span className="flex items-center gap-1"><span className="w-3 h-3 rounded bg-slate-400 opacity-60" /> Pendiente de aprobación</span>
+                                <span className="flex items-center gap-1"><span className="w-3 h-3 rounded border-2 border-dashed border-slate-400" /> Planificado</span>
+                                <span className="flex items-center gap-1"><span className="w-0.5 h-3 bg-red-400" /> Hoy</span>
+                            </div>
+                        </div>
+                    )}
+                </CardContent>
+            </Card>
+
+            <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+                {/* Sugerencias */}
+                <Card className="border-slate-200 shadow-sm">
+                    <CardContent className="p-4 space-y-3">
+                        <div className="flex flex-wrap items-center justify-between gap-2">
+                            <div className="flex items-center gap-2">
+                                <Sparkles className="text-amber-500" size={18} />
+                                <h3 className="font-bold text-slate-900">Próximos movimientos sugeridos</h3>
+                            </div>
+                            <div className="flex items-center gap-2">
+                                <label className="text-xs text-slate-500">Descanso mín.</label>
+                                <input
+                                    type="number"
+                                    min="0"
+                                    value={diasDescanso}
+                                    onChange={(e) => setDiasDescanso(e.target.value)}
+                                    className="w-16 h-8 px-2 border border-slate-200 rounded-md text-sm"
+                                />
+                                <Button variant="outline" size="sm" onClick={loadSugerencias} disabled={loadingSugerencias}>
+                                    {loadingSugerencias ? <Loader2 className="animate-spin w-4 h-4" /> : 'Calcular'}
+                                </Button>
+                            </div>
+                        </div>
+                        {sugerencias.length === 0 ? (
+                            <p className="text-sm text-slate-400 italic text-center py-6">
+                                Calcule las sugerencias a partir de la altura de pastura monitoreada
+                            </p>
+                        ) : (
+                            sugerencias.map(s => (
+                                <div key={s.rodeo.id} className="p-3 border border-slate-100 rounded-lg space-y-1">
+                                    <div className="flex items-center justify-between gap-2">
+                                        <p className="text-sm font-bold text-slate-800 flex items-center gap-1">
+                                            {s.rodeo.name}: {s.lote_actual?.name || '-'}
+                                            {s.destino && (
+                                                <>
+                                                    <ArrowRight size={14} className="text-slate-400" /> {s.destino.loteNombre}
+                                                </>
+                                            )}
+                                        </p>
+                                        {s.destino && (
+                                            <Button size="sm" variant="outline" onClick={() => handlePlanificarSugerencia(s)}>
+                                                Planificar
+                                            </Button>
+                                        )}
+                                    </div>
+                                    {s.fecha_sugerida && (
+                                        <p className="text-xs text-slate-600">Mover el {formatDate(s.fecha_sugerida)}</p>
+                                    )}
+                                    {s.destino && (
+                                        <p className="text-xs text-slate-500">
+                                            Destino: {s.destino.alturaActual} cm, {s.destino.forrajeDisponibleKgMS?.toLocaleString('es-UY')} kg MS
+                                            {s.destino.dias_descanso !== null && ` · ${s.destino.dias_descanso} días de descanso`}
+                                            {s.destino.dias_pastoreo_estimados !== null && ` · alcanza ~${s.destino.dias_pastoreo_estimados} días`}
+                                        </p>
+                                    )}
+                                    <p className="text-[11px] text-slate-400">{s.motivo}</p>
+                                </div>
+                            ))
+                        )}
+                    </CardContent>
+                </Card>
+
+                {/* Movimientos planificados */}
+                <Card className="border-slate-200 shadow-sm">
+                    <CardContent className="p-4 space-y-3">
+                        <h3 className="font-bold text-slate-900">Movimientos planificados</h3>
+                        {plan.planificados.length === 0 ? (
+                            <p className="text-sm text-slate-400 italic text-center py-6">Sin movimientos planificados</p>
+                        ) : (
+                            plan.planificados.map(mov => (
+                                <div key={mov.id} className={`p-3 border rounded-lg flex items-center justify-between gap-2 ${mov.planned_date < fechaHoy ? 'border-red-200 bg-red-50/50' : 'border-slate-100'}`}>
+                                    <div>
+                                        <p className="text-sm font-bold text-slate-800 flex items-center gap-1">
+                                            {mov.herd?.name}: {mov.from_lot?.name || '-'} <ArrowRight size={14} className="text-slate-400" /> {mov.to_lot?.name}
+                                        </p>
+                                        <p className="text-xs text-slate-500">
+                                            {formatDate(mov.planned_date)}
+                                            {mov.planned_days && ` · ${mov.planned_days} días`}
+                                        </p>
+                                        <Badge variant="outline" className="text-[10px] mt-1">{ESTADOS_MOVIMIENTO_PLAN[mov.status]}</Badge>
+                                    </div>
+                                    <div className="flex items-center whitespace-nowrap">
+                                        <Button variant="outline" size="sm" className="gap-1" onClick={() => handleConvertir(mov)}>
+                                            <Send size={14} /> Registrar traslado
+                                        </Button>
+                                        <Button variant="ghost" size="sm" className="text-slate-400 hover:text-red-600" onClick={() => handleCancelar(mov)}>
+                                            <XCircle size={14} />
+                                        </Button>
+                                    </div>
+                                </div>
+                            ))
+                        )}
+                    </CardContent>
+                </Card>
+            </div>
+
+            {/* Dialog: planificar movimiento */}
+            <Dialog open={showNuevo} onOpenChange={setShowNuevo}>
+                <DialogContent className="max-w-lg">
+                    <DialogHeader>
+                        <DialogTitle>Planificar Movimiento</DialogTitle>
+                    </DialogHeader>
+                    <div className="grid grid-cols-2 gap-3">
+                        <div className="space-y-1">
+                            <label className="text-xs font-bold text-slate-500 uppercase">Rodeo</label>
+                            <select
+                                value={nuevo.herd_id}
+                                onChange={(e) => setNuevo({ ...nuevo, herd_id: e.target.value })}
+                                className="w-full px-3 py-2 border rounded-lg bg-white"
+                            >
+                                <option value="">Seleccionar...</option>
+                                {plan.rodeos.map(r => <option key={r.id} value={r.id}>{r.name}</option>)}
+                            </select>
+                        </div>
+                        <div className="space-y-1">
+                            <label className="text-xs font-bold text-slate-500 uppercase">Lote destino</label>
+                            <select
+                                value={nuevo.to_lot_id}
+                                onChange={(e) => setNuevo({ ...nuevo, to_lot_id: e.target.value })}
+                                className="w-full px-3 py-2 border rounded-lg bg-white"
+                            >
+                                <option value="">Seleccionar...</option>
+                                {plan.lotes.map(l => (
+                                    <option key={l.id} value={l.id}>
+                                        {l.name}{descanso[l.id]?.ocupado ? ' (ocupado)' : descanso[l.id]?.dias_descanso !== null && descanso[l.id]?.dias_descanso !== undefined ? ` (${descanso[l.id].dias_descanso} d descanso)` : ''}
+                                    </option>
+                                ))}
+                            </select>
+                        </div>
+                        <div className="space-y-1">
+                            <label className="text-xs font-bold text-slate-500 uppercase">Fecha</label>
+                            <input
+                                type="date"
+                                value={nuevo.planned_date}
+                                onChange={(e) => setNuevo({ ...nuevo, planned_date: e.target.value })}
+                                className="w-full px-3 py-2 border rounded-lg"
+                            />
+                        </div>
+                        <div className="space-y-1">
+                            <label className="text-xs font-bold text-slate-500 uppercase">Días de ocupación</label>
+                            <input
+                                type="number"
+                                min="1"
+                                value={nuevo.planned_days}
+                                onChange={(e) => setNuevo({ ...nuevo, planned_days: e.target.value })}
+                                className="w-full px-3 py-2 border rounded-lg"
+                            />
+                        </div>
+                        <div className="space-y-1 col-span-2">
+                            <label className="text-xs font-bold text-slate-500 uppercase">Notas</label>
+                            <input
+                                type="text"
+                                value={nuevo.notes}
+                                onChange={(e) => setNuevo({ ...nuevo, notes: e.target.value })}
+                                className="w-full px-3 py-2 border rounded-lg"
+                            />
+                        </div>
+                    </div>
+                    <DialogFooter>
+                        <Button variant="outline" onClick={() => setShowNuevo(false)}>Cancelar</Button>
+                        <Button onClick={handleCrear} disabled={saving} className="bg-emerald-600 hover:bg-emerald-700">
+                            {saving && <Loader2 className="animate-spin w-4 h-4 mr-2" />}
+                            Planificar
+                        </Button>
+                    </DialogFooter>
+                </DialogContent>
+            </Dialog>
+        </div>
+    );
+}
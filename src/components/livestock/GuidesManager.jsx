@@ -0,0 +1,670 @@
+import React, { useState, useEffect } from 'react';
+import {
+    Truck,
+    Plus,
+    Trash2,
+    Printer,
+    Link2,
+    Unlink,
+    Ban,
+    Loader2,
+    AlertTriangle
+} from 'lucide-react';
+import { Button } from '../ui/button';
+import { Card, CardContent } from '../ui/card';
+import { Badge } from '../ui/badge';
+import {
+    Dialog,
+    DialogContent,
+    DialogHeader,
+    DialogTitle,
+    DialogDescription,
+    DialogFooter,
+} from '../ui/dialog';
+import { toast } from 'sonner';
+import { supabase } from '../../lib/supabase';
+import { useAuth } from '../../contexts/AuthContext';
+import {
+    DIRECCIONES_GUIA,
+    ESTADOS_GUIA,
+    obtenerGuias,
+    crearGuia,
+    anularGuia,
+    obtenerEventosVinculables,
+    vincularEvento,
+    desvincularEvento,
+    obtenerRemitosVinculables,
+    vincularRemito,
+    obtenerEventosSinGuia,
+    imprimirGuia
+} from '../../services/livestockGuides';
+import { hoy } from '../../lib/fechas';
+
+const formatDate = (fecha) => (fecha ? new Date(String(fecha).split('T')[0] + 'T00:00:00').toLocaleDateString('es-UY') : '-');
+
+const ITEM_VACIO = { category_id: '', cabezas: '' };
+
+const GUIA_VACIA = {
+    direction: 'OUT',
+    guide_series: '',
+    guide_number: '',
+    issue_date: hoy(),
+    species: 'BOVINO',
+    origin_dicose_number: '',
+    origin_name: '',
+    destination_dicose_number: '',
+    destination_name: '',
+    transport_company: '',
+    driver_name: '',
+    driver_document: '',
+    vehicle_plate: '',
+    trailer_plate: '',
+    notes: ''
+};
+
+const MOTIVOS_SIN_GUIA = {
+    SIN_GUIA: { label: 'Sin guía', className: 'bg-red-100 text-red-700' },
+    GUIA_NO_REGISTRADA: { label: 'Guía no registrada', className: 'bg-amber-100 text-amber-700' }
+};
+
+const describirEvento = (e) =>
+    `${e.event_type} · ${formatDate(e.event_date)} · ${e.qty_heads || 1} cab. · ${e.herd?.name || e.animal?.visual_tag || e.animal?.rfid_tag || '-'}`;
+
+/**
+ * Guías de propiedad y tránsito del predio: alta de guías emitidas y recibidas,
+ * vínculo con eventos y remitos, eventos sin guía e impresión para el camión
+ */
+export default function GuidesManager({ premiseId, categories = [] }) {
+    const { user } = useAuth();
+    const [premise, setPremise] = useState(null);
+    const [guias, setGuias] = useState([]);
+    const [sinGuia, setSinGuia] = useState([]);
+    const [filtroDireccion, setFiltroDireccion] = useState('');
+    const [loading, setLoading] = useState(false);
+    const [saving, setSaving] = useState(false);
+
+    const [showNueva, setShowNueva] = useState(false);
+    const [form, setForm] = useState(GUIA_VACIA);
+    const [items, setItems] = useState([ITEM_VACIO]);
+
+    const [guiaVinculos, setGuiaVinculos] = useState(null);
+    const [vinculables, setVinculables] = useState([]);
+    const [remitos, setRemitos] = useState([]);
+
+    const [guiaAnular, setGuiaAnular] = useState(null);
+    const [motivoAnulacion, setMotivoAnulacion] = useState('');
+
+    useEffect(() => {
+        if (premiseId) loadData();
+    }, [premiseId, filtroDireccion]);
+
+    async function loadData() {
+        setLoading(true);
+        try {
+            const [{ data: premiseData, error }, guiasData, sinGuiaData] = await Promise.all([
+                supabase.from('premises').select('id, firm_id, name, dicose_number').eq('id', premiseId).single(),
+                obtenerGuias(premiseId, { direccion: filtroDireccion || null }),
+                obtenerEventosSinGuia(premiseId)
+            ]);
+            if (error) throw error;
+            setPremise(premiseData);
+            setGuias(guiasData);
+            setSinGuia(sinGuiaData);
+            return guiasData;
+        } catch (error) {
+            console.error('Error loading livestock guides:', error);
+            toast.error('Error al cargar las guías del predio');
+            return [];
+        } finally {
+            setLoading(false);
+        }
+    }
+
+    const abrirNueva = () => {
+        setForm({
+            ...GUIA_VACIA,
+            issue_date: hoy(),
+            origin_dicose_number: premise?.dicose_number || '',
+            origin_name: premise?.name || ''
+        });
+        setItems([ITEM_VACIO]);
+        setShowNueva(true);
+    };
+
+    // El predio queda como origen en las guías emitidas y como destino en las recibidas
+    const cambiarDireccion = (direction) => {
+        const propio = { dicose: premise?.dicose_number || '', nombre: premise?.name || '' };
+        setForm({
+            ...form,
+            direction,
+            origin_dicose_number: direction === 'OUT' ? propio.dicose : '',
+            origin_name: direction === 'OUT' ? propio.nombre : '',
+            destination_dicose_number: direction === 'IN' ? propio.dicose : '',
+            destination_name: direction === 'IN' ? propio.nombre : ''
+        });
+    };
+
+    const actualizarItem = (index, campo, valor) => {
+        setItems(items.map((item, i) => (i === index ? { ...item, [campo]: valor } : item)));
+    };
+
+    const handleCrear = async () => {
+        setSaving(true);
+        try {
+            await crearGuia({
+                ...form,
+                firm_id: premise.firm_id,
+                premise_id: premiseId,
+                items: items.map(i => ({
+                    ...i,
+                    categoria: categories.find(c => c.id === i.category_id)?.name || ''
+                }))
+            }, user?.id || null);
+            toast.success('Guía registrada');
+            setShowNueva(false);
+            loadData();
+        } catch (error) {
+            toast.error(error.message || 'Error al registrar la guía');
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    const abrirVinculos = async (guia) => {
+        setGuiaVinculos(guia);
+        try {
+            const [eventos, remitosData] = await Promise.all([
+                obtenerEventosVinculables(guia),
+                guia.direction === 'OUT' ? obtenerRemitosVinculables(guia.firm_id) : Promise.resolve([])
+            ]);
+            setVinculables(eventos);
+            setRemitos(remitosData);
+        } catch (error) {
+            toast.error(error.message || 'Error al cargar eventos para vincular');
+        }
+    };
+
+    // Recarga la lista y mantiene abierta la guía con sus vínculos actualizados
+    const refrescarVinculos = async (guiaId) => {
+        const actualizadas = await loadData();
+        const guia = actualizadas.find(g => g.id === guiaId);
+        if (guia) await abrirVinculos(guia);
+    };
+
+    const handleVincular = async (evento) => {
+        setSaving(true);
+        try {
+            await vincularEvento(guiaVinculos, evento, user?.id || null);
+            toast.success('Evento vinculado a la guía');
+            await refrescarVinculos(guiaVinculos.id);
+        } catch (error) {
+            toast.error(error.message || 'Error al vincular el evento');
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    const handleDesvincular = async (evento) => {
+        setSaving(true);
+        try {
+            await desvincularEvento(guiaVinculos, evento, user?.id || null);
+            toast.success('Guía quitada del evento');
+            await refrescarVinculos(guiaVinculos.id);
+        } catch (error) {
+            toast.error(error.message || 'Error al desvincular el evento');
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    const handleRemito = async (remittanceId) => {
+        try {
+            const actualizada = await vincularRemito(guiaVinculos, remittanceId, user?.id || null);
+            setGuiaVinculos({ ...guiaVinculos, ...actualizada });
+            toast.success(remittanceId ? 'Remito asociado a la guía' : 'Remito quitado de la guía');
+            loadData();
+        } catch (error) {
+            toast.error(error.message || 'Error al asociar el remito');
+        }
+    };
+
+    const handleAnular = async () => {
+        setSaving(true);
+        try {
+            await anularGuia(guiaAnular, motivoAnulacion, user?.id || null);
+            toast.success('Guía anulada');
+            setGuiaAnular(null);
+            setMotivoAnulacion('');
+            loadData();
+        } catch (error) {
+            toast.error(error.message || 'Error al anular la guía');
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    if (!premiseId) {
+        return (
+            <p className="text-sm text-slate-400 italic text-center py-8">
+                Seleccione un predio para gestionar guías
+            </p>
+        );
+    }
+
+    const categoriasEspecie = categories.filter(c => !c.species || c.species === form.species);
+
+    return (
+        <div className="space-y-6">
+            <Card className="border-slate-200 shadow-sm">
+                <CardContent className="p-4 space-y-4">
+                    <div className="flex flex-wrap items-center justify-between gap-3">
+                        <div className="flex items-center gap-2">
+                            <Truck className="text-blue-600" size={20} />
+                            <h3 className="font-bold text-slate-900">Guías de propiedad y tránsito</h3>
+                        </div>
+                        <div className="flex items-center gap-2">
+                            <select
+                                value={filtroDireccion}
+                                onChange={(e) => setFiltroDireccion(e.target.value)}
+                                className="h-9 px-3 border border-slate-200 rounded-md text-sm"
+                            >
+                                <option value="">Todas</option>
+                                {Object.entries(DIRECCIONES_GUIA).map(([valor, label]) => (
+                                    <option key={valor} value={valor}>{label}</option>
+                                ))}
+                            </select>
+                            <Button onClick={abrirNueva} disabled={!premise} className="gap-2 bg-blue-600 hover:bg-blue-700">
+                                <Plus size={16} /> Nueva guía
+                            </Button>
+                        </div>
+                    </div>
+
+                    {loading ? (
+                        <div className="flex justify-center py-8">
+                            <Loader2 className="animate-spin text-slate-400" />
+                        </div>
+                    ) : guias.length === 0 ? (
+                        <p className="text-sm text-slate-400 italic text-center py-6">No hay guías registradas para el predio</p>
+                    ) : (
+                        <div className="overflow-x-auto">
+                            <table className="w-full text-sm text-left">
+                                <thead className="bg-slate-50 border-b border-slate-200">
+                                    <tr>
+                                        <th className="px-3 py-2 font-bold text-slate-700">Guía</th>
+                                        <th className="px-3 py-2 font-bold text-slate-700">Fecha</th>
+                                        <th className="px-3 py-2 font-bold text-slate-700">Sentido</th>
+                                        <th className="px-3 py-2 font-bold text-slate-700">Origen → Destino</th>
+                                        <th className="px-3 py-2 font-bold text-slate-700 text-right">Cabezas</th>
+                                        <th className="px-3 py-2 font-bold text-slate-700">Remito</th>
+                                        <th className="px-3 py-2 font-bold text-slate-700">Estado</th>
+                                        <th className="px-3 py-2" />
+                                    </tr>
+                                </thead>
+                                <tbody className="divide-y divide-slate-100">
+                                    {guias.map(g => (
+                                        <tr key={g.id} className={g.status === 'CANCELLED' ? 'opacity-60' : ''}>
+                                            <td className="px-3 py-2 font-mono font-bold">{g.guide_series}-{g.guide_number}</td>
+                                            <td className="px-3 py-2">{formatDate(g.issue_date)}</td>
+                                            <td className="px-3 py-2">
+                                                <Badge variant="outline">{g.direction === 'OUT' ? 'Salida' : 'Entrada'}</Badge>
+                                            </td>
+                                            <td className="px-3 py-2 text-xs">
+                                                <span className="font-mono">{g.origin_dicose_number}</span> → <span className="font-mono">{g.destination_dicose_number}</span>
+                                                <p className="text-slate-400">{g.direction === 'OUT' ? g.destination_name : g.origin_name}</p>
+                                            </td>
+                                            <td className="px-3 py-2 text-right">
+                                                <span className={g.cabezas_vinculadas !== g.total_heads ? 'text-amber-600 font-bold' : ''}>
+                                                    {g.cabezas_vinculadas}
+                                                </span>
+                                                <span className="text-slate-400"> / {g.total_heads}</span>
+                                            </td>
+                                            <td className="px-3 py-2 text-xs">{g.remito?.remittance_number || '-'}</td>
+                                            <td className="px-3 py-2">
+                                                <Badge className={g.status === 'CANCELLED' ? 'bg-red-100 text-red-700' : 'bg-green-100 text-green-700'}>
+                                                    {ESTADOS_GUIA[g.status] || g.status}
+                                                </Badge>
+                                            </td>
+                                            <td className="px-3 py-2">
+                                                <div className="flex justify-end gap-1">
+                                                    <Button variant="ghost" size="sm" title="Imprimir para el camión" onClick={() => imprimirGuia(g)}>
+                                                        <Printer size={14} />
+                                                    </Button>
+                                                    {g.status === 'VALID' && (
+                                                        <>
+                                                            <Button variant="ghost" size="sm" title="Eventos y remito" onClick={() => abrirVinculos(g)}>
+                                                                <Link2 size={14} />
+                                                            </Button>
+                                                            <Button
+                                                                variant="ghost"
+                                                                size="sm"
+                                                                title="Anular"
+                                                                className="text-red-600 hover:text-red-700 hover:bg-red-50"
+                                                                onClick={() => { setGuiaAnular(g); setMotivoAnulacion(''); }}
+                                                            >
+                                                                <Ban size={14} />
+                                                            </Button>
+                                                        </>
+                                                    )}
+                                                </div>
+                                            </td>
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
+                        </div>
+                    )}
+                </CardContent>
+            </Card>
+
+            {/* Eventos que viajaron sin guía registrada */}
+            <Card className="border-slate-200 shadow-sm">
+                <CardContent className="p-4 space-y-4">
+                    <div className="flex items-center gap-2">
+                        <AlertTriangle className="text-amber-600" size={20} />
+                        <h3 className="font-bold text-slate-900">Eventos sin guía</h3>
+                        {sinGuia.length > 0 && <Badge className="bg-amber-100 text-amber-700">{sinGuia.length}</Badge>}
+                    </div>
+                    {sinGuia.length === 0 ? (
+                        <p className="text-sm text-slate-400 italic text-center py-4">
+                            Todos los ingresos y egresos del predio tienen una guía registrada
+                        </p>
+                    ) : (
+                        <table className="w-full text-sm text-left">
+                            <thead className="bg-slate-50 border-b border-slate-200">
+                                <tr>
+                                    <th className="px-3 py-2 font-bold text-slate-700">Fecha</th>
+                                    <th className="px-3 py-2 font-bold text-slate-700">Evento</th>
+                                    <th className="px-3 py-2 font-bold text-slate-700">Rodeo / Animal</th>
+                                    <th className="px-3 py-2 font-bold text-slate-700 text-right">Cabezas</th>
+                                    <th className="px-3 py-2 font-bold text-slate-700">Guía</th>
+                                    <th className="px-3 py-2 font-bold text-slate-700">Problema</th>
+                                </tr>
+                            </thead>
+                            <tbody className="divide-y divide-slate-100">
+                                {sinGuia.map(e => (
+                                    <tr key={e.id}>
+                                        <td className="px-3 py-2">{formatDate(e.event_date)}</td>
+                                        <td className="px-3 py-2">
+                                            {e.event_type}
+                                            {e.status === 'PENDING' && <span className="ml-1 text-xs text-slate-400">(pendiente)</span>}
+                                        </td>
+                                        <td className="px-3 py-2">{e.herd?.name || e.animal?.visual_tag || e.animal?.rfid_tag || '-'}</td>
+                                        <td className="px-3 py-2 text-right">{e.qty_heads || 1}</td>
+                                        <td className="px-3 py-2 font-mono text-xs">
+                                            {e.guide_series && e.guide_number ? `${e.guide_series}-${e.guide_number}` : '-'}
+                                        </td>
+                                        <td className="px-3 py-2">
+                                            <Badge className={MOTIVOS_SIN_GUIA[e.motivo].className}>{MOTIVOS_SIN_GUIA[e.motivo].label}</Badge>
+                                        </td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    )}
+                </CardContent>
+            </Card>
+
+            {/* Dialog: nueva guía */}
+            <Dialog open={showNueva} onOpenChange={setShowNueva}>
+                <DialogContent className="max-w-2xl max-h-[90vh] overflow-y-auto">
+                    <DialogHeader>
+                        <DialogTitle>Nueva Guía</DialogTitle>
+                    </DialogHeader>
+                    <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+                        <div className="space-y-1">
+                            <label className="text-xs font-bold text-slate-500 uppercase">Sentido</label>
+                            <select
+                                value={form.direction}
+                                onChange={(e) => cambiarDireccion(e.target.value)}
+                                className="w-full px-3 py-2 border rounded-lg bg-white text-sm"
+                            >
+                                {Object.entries(DIRECCIONES_GUIA).map(([valor, label]) => (
+                                    <option key={valor} value={valor}>{label}</option>
+                                ))}
+                            </select>
+                        </div>
+                        <div className="space-y-1">
+                            <label className="text-xs font-bold text-slate-500 uppercase">Serie</label>
+                            <input
+                                type="text"
+                                value={form.guide_series}
+                                onChange={(e) => setForm({ ...form, guide_series: e.target.value.toUpperCase() })}
+                                className="w-full px-3 py-2 border rounded-lg"
+                                placeholder="Ej: A"
+                            />
+                        </div>
+                        <div className="space-y-1">
+                            <label className="text-xs font-bold text-slate-500 uppercase">Número</label>
+                            <input
+                                type="text"
+                                value={form.guide_number}
+                                onChange={(e) => setForm({ ...form, guide_number: e.target.value })}
+                                className="w-full px-3 py-2 border rounded-lg"
+                            />
+                        </div>
+                        <div className="space-y-1">
+                            <label className="text-xs font-bold text-slate-500 uppercase">Fecha</label>
+                            <input
+                                type="date"
+                                value={form.issue_date}
+                                onChange={(e) => setForm({ ...form, issue_date: e.target.value })}
+                                className="w-full px-3 py-2 border rounded-lg"
+                            />
+                        </div>
+                    </div>
+
+                    <div className="grid grid-cols-2 gap-3">
+                        <div className="space-y-1">
+                            <label className="text-xs font-bold text-slate-500 uppercase">DICOSE origen</label>
+                            <input
+                                type="text"
+                                value={form.origin_dicose_number}
+                                onChange={(e) => setForm({ ...form, origin_dicose_number: e.target.value })}
+                                className="w-full px-3 py-2 border rounded-lg"
+                            />
+                            <input
+                                type="text"
+                                placeholder="Establecimiento / titular"
+                                value={form.origin_name}
+                                onChange={(e) => setForm({ ...form, origin_name: e.target.value })}
+                                className="w-full px-3 py-2 border rounded-lg text-sm"
+                            />
+                        </div>
+                        <div className="space-y-1">
+                            <label className="text-xs font-bold text-slate-500 uppercase">DICOSE destino</label>
+                            <input
+                                type="text"
+                                value={form.destination_dicose_number}
+                                onChange={(e) => setForm({ ...form, destination_dicose_number: e.target.value })}
+                                className="w-full px-3 py-2 border rounded-lg"
+                            />
+                            <input
+                                type="text"
+                                placeholder="Establecimiento / titular / frigorífico"
+                                value={form.destination_name}
+                                onChange={(e) => setForm({ ...form, destination_name: e.target.value })}
+                                className="w-full px-3 py-2 border rounded-lg text-sm"
+                            />
+                        </div>
+                    </div>
+
+                    <div className="space-y-2">
+                        <div className="flex items-center gap-3">
+                            <label className="text-xs font-bold text-slate-500 uppercase">Especie</label>
+                            <select
+                                value={form.species}
+                                onChange={(e) => { setForm({ ...form, species: e.target.value }); setItems([ITEM_VACIO]); }}
+                                className="px-3 py-1.5 border rounded-lg bg-white text-sm"
+                            >
+                                <option value="BOVINO">Bovino</option>
+                                <option value="OVINO">Ovino</option>
+                            </select>
+                        </div>
+                        {items.map((item, i) => (
+                            <div key={i} className="grid grid-cols-12 gap-2">
+                                <select
+                                    value={item.category_id}
+                                    onChange={(e) => actualizarItem(i, 'category_id', e.target.value)}
+                                    className="col-span-8 px-3 py-2 border rounded-lg bg-white text-sm"
+                                >
+                                    <option value="">Categoría...</option>
+                                    {categoriasEspecie.map(c => (
+                                        <option key={c.id} value={c.id}>{c.name}</option>
+                                    ))}
+                                </select>
+                                <input
+                                    type="number"
+                                    min="1"
+                                    placeholder="Cabezas"
+                                    value={item.cabezas}
+                                    onChange={(e) => actualizarItem(i, 'cabezas', e.target.value)}
+                                    className="col-span-3 px-3 py-2 border rounded-lg text-sm"
+                                />
+                                <Button
+                                    variant="ghost"
+                                    size="sm"
+                                    className="col-span-1 text-slate-400 hover:text-red-600"
+                                    onClick={() => setItems(items.filter((_, j) => j !== i))}
+                                    disabled={items.length === 1}
+                                >
+                                    <Trash2 size={14} />
+                                </Button>
+                            </div>
+                        ))}
+                        <Button variant="outline" size="sm" className="gap-1" onClick={() => setItems([...items, ITEM_VACIO])}>
+                            <Plus size={14} /> Categoría
+                        </Button>
+                    </div>
+
+                    <div className="grid grid-cols-2 md:grid-cols-3 gap-3">
+                        <div className="space-y-1">
+                            <label className="text-xs font-bold text-slate-500 uppercase">Empresa transporte</label>
+                            <input type="text" value={form.transport_company} onChange={(e) => setForm({ ...form, transport_company: e.target.value })} className="w-full px-3 py-2 border rounded-lg" />
+                        </div>
+                        <div className="space-y-1">
+                            <label className="text-xs font-bold text-slate-500 uppercase">Conductor</label>
+                            <input type="text" value={form.driver_name} onChange={(e) => setForm({ ...form, driver_name: e.target.value })} className="w-full px-3 py-2 border rounded-lg" />
+                        </div>
+                        <div className="space-y-1">
+                            <label className="text-xs font-bold text-slate-500 uppercase">CI conductor</label>
+                            <input type="text" value={form.driver_document} onChange={(e) => setForm({ ...form, driver_document: e.target.value })} className="w-full px-3 py-2 border rounded-lg" />
+                        </div>
+                        <div className="space-y-1">
+                            <label className="text-xs font-bold text-slate-500 uppercase">Matrícula camión</label>
+                            <input type="text" value={form.vehicle_plate} onChange={(e) => setForm({ ...form, vehicle_plate: e.target.value.toUpperCase() })} className="w-full px-3 py-2 border rounded-lg" />
+                        </div>
+                        <div className="space-y-1">
+                            <label className="text-xs font-bold text-slate-500 uppercase">Matrícula zorra</label>
+                            <input type="text" value={form.trailer_plate} onChange={(e) => setForm({ ...form, trailer_plate: e.target.value.toUpperCase() })} className="w-full px-3 py-2 border rounded-lg" />
+                        </div>
+                    </div>
+
+                    <div className="space-y-1">
+                        <label className="text-xs font-bold text-slate-500 uppercase">Observaciones</label>
+                        <textarea
+                            value={form.notes}
+                            onChange={(e) => setForm({ ...form, notes: e.target.value })}
+                            className="w-full px-3 py-2 border rounded-lg text-sm h-16"
+                        />
+                    </div>
+
+                    <DialogFooter>
+                        <Button variant="outline" onClick={() => setShowNueva(false)}>Cancelar</Button>
+                        <Button onClick={handleCrear} disabled={saving} className="bg-blue-600 hover:bg-blue-700">
+                            {saving && <Loader2 className="animate-spin w-4 h-4 mr-2" />}
+                            Registrar guía
+                        </Button>
+                    </DialogFooter>
+                </DialogContent>
+            </Dialog>
+
+            {/* Dialog: eventos y remito de la guía */}
+            <Dialog open={!!guiaVinculos} onOpenChange={(open) => !open && setGuiaVinculos(null)}>
+                <DialogContent className="max-w-2xl max-h-[90vh] overflow-y-auto">
+                    <DialogHeader>
+                        <DialogTitle>Guía {guiaVinculos?.guide_series}-{guiaVinculos?.guide_number}</DialogTitle>
+                        <DialogDescription>
+                            {guiaVinculos?.cabezas_vinculadas} de {guiaVinculos?.total_heads} cabezas amparadas por eventos
+                        </DialogDescription>
+                    </DialogHeader>
+
+                    {guiaVinculos?.direction === 'OUT' && (
+                        <div className="space-y-1">
+                            <label className="text-xs font-bold text-slate-500 uppercase">Remito de venta</label>
+                            <select
+                                value={guiaVinculos.sale_remittance_id || ''}
+                                onChange={(e) => handleRemito(e.target.value || null)}
+                                className="w-full px-3 py-2 border rounded-lg bg-white text-sm"
+                            >
+                                <option value="">Sin remito</option>
+                                {remitos.map(r => (
+                                    <option key={r.id} value={r.id}>
+                                        {r.remittance_number} · {formatDate(r.remittance_date)} · {r.sale?.client_name || '-'}
+                                    </option>
+                                ))}
+                            </select>
+                        </div>
+                    )}
+
+                    <div className="space-y-2">
+                        <p className="text-xs font-bold text-slate-500 uppercase">Eventos vinculados</p>
+                        {(guiaVinculos?.eventos || []).length === 0 ? (
+                            <p className="text-sm text-slate-400 italic">Ninguno</p>
+                        ) : (
+                            guiaVinculos.eventos.map(e => (
+                                <div key={e.id} className="flex items-center justify-between p-2 bg-slate-50 rounded-lg text-sm">
+                                    <span>{describirEvento(e)}</span>
+                                    {e.status === 'PENDING' ? (
+                                        <Button variant="ghost" size="sm" disabled={saving} onClick={() => handleDesvincular(e)} title="Quitar guía">
+                                            <Unlink size={14} />
+                                        </Button>
+                                    ) : (
+                                        <Badge variant="outline">Aprobado</Badge>
+                                    )}
+                                </div>
+                            ))
+                        )}
+                    </div>
+
+                    <div className="space-y-2">
+                        <p className="text-xs font-bold text-slate-500 uppercase">Eventos sin guía para vincular</p>
+                        {vinculables.length === 0 ? (
+                            <p className="text-sm text-slate-400 italic">No hay eventos de {guiaVinculos?.direction === 'OUT' ? 'egreso' : 'ingreso'} sin guía</p>
+                        ) : (
+                            vinculables.map(e => (
+                                <div key={e.id} className="flex items-center justify-between p-2 border border-slate-200 rounded-lg text-sm">
+                                    <span>{describirEvento(e)}</span>
+                                    <Button variant="outline" size="sm" disabled={saving} onClick={() => handleVincular(e)} className="gap-1">
+                                        <Link2 size={14} /> Vincular
+                                    </Button>
+                                </div>
+                            ))
+                        )}
+                    </div>
+                </DialogContent>
+            </Dialog>
+
+            {/* Dialog: anular guía */}
+            <Dialog open={!!guiaAnular} onOpenChange={(open) => !open && setGuiaAnular(null)}>
+                <DialogContent className="max-w-md">
+                    <DialogHeader>
+                        <DialogTitle>Anular guía {guiaAnular?.guide_series}-{guiaAnular?.guide_number}</DialogTitle>
+                        <DialogDescription>La guía quedará registrada como anulada y no podrá vincularse a eventos.</DialogDescription>
+                    </DialogHeader>
+                    <textarea
+                        className="w-full px-3 py-2 border border-slate-300 rounded-lg text-sm h-20 focus:outline-none focus:ring-2 focus:ring-red-500"
+                        placeholder="Motivo de anulación..."
+                        value={motivoAnulacion}
+                        onChange={(e) => setMotivoAnulacion(e.target.value)}
+                    />
+                    <DialogFooter>
+                        <Button variant="outline" onClick={() => setGuiaAnular(null)}>Cancelar</Button>
+                        <Button onClick={handleAnular} disabled={saving || !motivoAnulacion.trim()} className="bg-red-600 hover:bg-red-700">
+                            Anular guía
+                        </Button>
+                    </DialogFooter>
+                </DialogContent>
+            </Dialog>
+        </div>
+    );
+}
@@ -0,0 +1,468 @@
+import React, { useState, useEffect } from 'react';
+import {
+    Syringe,
+    Plus,
+    Loader2,
+    CheckCircle2,
+    XCircle,
+    ShieldAlert
+} from 'lucide-react';
+import { Button } from '../ui/button';
+import { Card, CardContent } from '../ui/card';
+import { Badge } from '../ui/badge';
+import {
+    Dialog,
+    DialogContent,
+    DialogHeader,
+    DialogTitle,
+    DialogFooter,
+} from '../ui/dialog';
+import { toast } from 'sonner';
+import { obtenerInsumosPorCategoria } from '../../services/inputs';
+import {
+    TIPOS_TRATAMIENTO,
+    ESTADOS_TAREA_SANITARIA,
+    CATEGORIA_VETERINARIA,
+    obtenerPlanSanitario,
+    crearTareasPlan,
+    cancelarTareaPlan,
+    aplicarTareaPlan,
+    obtenerAnimalesEnCarencia
+} from '../../services/healthPlan';
+import { hoy } from '../../lib/fechas';
+
+const formatDate = (fecha) => (fecha ? new Date(String(fecha).split('T')[0] + 'T00:00:00').toLocaleDateString('es-UY') : '-');
+
+const ESTADO_COLORES = {
+    PENDING: 'bg-yellow-100 text-yellow-700',
+    APPLIED: 'bg-blue-100 text-blue-700',
+    DONE: 'bg-green-100 text-green-700',
+    CANCELLED: 'bg-slate-100 text-slate-500'
+};
+
+const TAREA_VACIA = {
+    treatment_type: 'VACUNACION',
+    name: '',
+    herd_id: '',
+    category_id: '',
+    input_id: '',
+    dose_per_head: '',
+    scheduled_date: '',
+    veces: 1,
+    cadaDias: '',
+    notes: ''
+};
+
+/**
+ * Plan sanitario por rodeo / categoría: tareas programadas, aplicación como
+ * HEALTH_TREATMENT (a aprobar) y animales dentro del período de retiro
+ */
+export default function HealthPlanManager({ selectedFirmId, selectedPremiseId, herds = [], categories = [] }) {
+    const [tareas, setTareas] = useState([]);
+    const [enCarencia, setEnCarencia] = useState([]);
+    const [productos, setProductos] = useState([]);
+    const [loading, setLoading] = useState(false);
+    const [filtroEstado, setFiltroEstado] = useState('ACTIVE');
+    const [showNueva, setShowNueva] = useState(false);
+    const [nueva, setNueva] = useState(TAREA_VACIA);
+    const [aplicando, setAplicando] = useState(null);
+    const [aplicacion, setAplicacion] = useState({ fecha: hoy(), veterinary_professional: '', notes: '' });
+    const [saving, setSaving] = useState(false);
+
+    useEffect(() => {
+        if (selectedPremiseId) loadData();
+    }, [selectedPremiseId]);
+
+    useEffect(() => {
+        if (!selectedFirmId) return;
+        obtenerInsumosPorCategoria(selectedFirmId, CATEGORIA_VETERINARIA)
+            .then(({ data }) => setProductos(data))
+            .catch(error => console.error('Error loading veterinary products:', error));
+    }, [selectedFirmId]);
+
+    async function loadData() {
+        setLoading(true);
+        try {
+            const [tareasData, carenciaData] = await Promise.all([
+                obtenerPlanSanitario(selectedPremiseId),
+                obtenerAnimalesEnCarencia(selectedPremiseId)
+            ]);
+            setTareas(tareasData);
+            setEnCarencia(carenciaData);
+        } catch (error) {
+            console.error('Error loading health plan:', error);
+            toast.error('Error al cargar el plan sanitario');
+        } finally {
+            setLoading(false);
+        }
+    }
+
+    const handleCrear = async () => {
+        setSaving(true);
+        try {
+            const creadas = await crearTareasPlan(
+                { ...nueva, firm_id: selectedFirmId, premise_id: selectedPremiseId },
+                { veces: nueva.veces, cadaDias: nueva.cadaDias },
+                null
+            );
+            toast.success(`${creadas.length} tarea(s) programada(s)`);
+            setShowNueva(false);
+            setNueva(TAREA_VACIA);
+            loadData();
+        } catch (error) {
+            toast.error(error.message || 'Error al programar la tarea');
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    const handleAplicar = async () => {
+        setSaving(true);
+        try {
+            const eventos = await aplicarTareaPlan(aplicando, aplicacion);
+            toast.success(`Tratamiento registrado (${eventos.length} evento/s) y enviado a aprobación`);
+            setAplicando(null);
+            loadData();
+        } catch (error) {
+            toast.error(error.message || 'Error al registrar la aplicación');
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    const handleCancelar = async (tarea) => {
+        if (!window.confirm(`¿Cancelar "${tarea.name}"?`)) return;
+        try {
+            await cancelarTareaPlan(tarea.id);
+            toast.success('Tarea cancelada');
+            loadData();
+        } catch (error) {
+            toast.error('Error al cancelar la tarea');
+        }
+    };
+
+    const hoyStr = hoy();
+    const vencidas = tareas.filter(t => t.status === 'PENDING' && t.scheduled_date < hoyStr);
+    const proximas = tareas.filter(t => t.status === 'PENDING' && t.scheduled_date >= hoyStr);
+    const tareasVisibles = tareas.filter(t => {
+        if (filtroEstado === 'ACTIVE') return ['PENDING', 'APPLIED'].includes(t.status);
+        if (filtroEstado === 'ALL') return true;
+        return t.status === filtroEstado;
+    });
+    const productoNueva = productos.find(p => p.id === nueva.input_id);
+
+    return (
+        <div className="space-y-6">
+            <Card className="border-slate-200 shadow-sm">
+                <CardContent className="p-4 space-y-4">
+                    <div className="flex items-center justify-between">
+                        <div className="flex items-center gap-2">
+                            <Syringe className="text-red-600" size={20} />
+                            <h3 className="font-bold text-slate-900">Plan Sanitario</h3>
+                        </div>
+                        <div className="flex gap-2">
+                            <select
+                                value={filtroEstado}
+                                onChange={(e) => setFiltroEstado(e.target.value)}
+                                className="h-9 px-3 border border-slate-200 rounded-md text-sm"
+                            >
+                                <option value="ACTIVE">Pendientes y aplicadas</option>
+                                <option value="DONE">Realizadas</option>
+                                <option value="CANCELLED">Canceladas</option>
+                                <option value="ALL">Todas</option>
+                            </select>
+                            <Button onClick={() => setShowNueva(true)} className="gap-2 bg-emerald-600 hover:bg-emerald-700">
+                                <Plus size={16} /> Programar
+                            </Button>
+                        </div>
+                    </div>
+
+                    <div className="grid grid-cols-3 gap-3">
+                        <div className="p-3 bg-red-50 rounded-lg">
+                            <p className="text-xs text-red-600 uppercase font-bold">Vencidas</p>
+                            <p className="text-xl font-black text-red-700">{vencidas.length}</p>
+                        </div>
+                        <div className="p-3 bg-yellow-50 rounded-lg">
+                            <p className="text-xs text-yellow-600 uppercase font-bold">Próximas</p>
+                            <p className="text-xl font-black text-yellow-700">{proximas.length}</p>
+                        </div>
+                        <div className="p-3 bg-orange-50 rounded-lg">
+                            <p className="text-xs text-orange-600 uppercase font-bold">Animales en carencia</p>
+                            <p className="text-xl font-black text-orange-700">{enCarencia.length}</p>
+                        </div>
+                    </div>
+
+                    {loading ? (
+                        <div className="flex items-center justify-center py-10">
+                            <Loader2 className="animate-spin text-emerald-600 w-8 h-8" />
+                        </div>
+                    ) : tareasVisibles.length === 0 ? (
+                        <p className="text-sm text-slate-400 italic text-center py-8">
+                            Sin tareas sanitarias en este estado
+                        </p>
+                    ) : (
+                        <table className="w-full text-sm text-left">
+                            <thead className="bg-slate-50 border-b border-slate-200">
+                                <tr>
+                                    <th className="px-3 py-2 font-bold text-slate-700">Fecha</th>
+                                    <th className="px-3 py-2 font-bold text-slate-700">Tarea</th>
+                                    <th className="px-3 py-2 font-bold text-slate-700">Rodeo / Categoría</th>
+                                    <th className="px-3 py-2 font-bold text-slate-700">Producto</th>
+                                    <th className="px-3 py-2 font-bold text-slate-700">Estado</th>
+                                    <th className="px-3 py-2"></th>
+                                </tr>
+                            </thead>
+                            <tbody className="divide-y divide-slate-100">
+                                {tareasVisibles.map(t => (
+                                    <tr key={t.id} className={t.status === 'PENDING' && t.scheduled_date < hoyStr ? 'bg-red-50/50' : ''}>
+                                        <td className="px-3 py-2">{formatDate(t.scheduled_date)}</td>
+                                        <td className="px-3 py-2">
+                                            <p className="font-medium">{t.name}</p>
+                                            <p className="text-xs text-slate-500">{TIPOS_TRATAMIENTO[t.treatment_type]}</p>
+                                        </td>
+                                        <td className="px-3 py-2 text-slate-600">
+                                            {[t.herd?.name, t.category?.name].filter(Boolean).join(' / ')}
+                                        </td>
+                                        <td className="px-3 py-2 text-slate-600">
+                                            {t.input ? (
+                                                <>
+                                                    {t.input.name}
+                                                    {t.dose_per_head && <span className="text-xs text-slate-400"> · {t.dose_per_head} {t.input.unit}/cab</span>}
+                                                    {t.input.withdrawal_days_meat > 0 && (
+                                                        <span className="block text-[10px] text-red-600">Retiro {t.input.withdrawal_days_meat} días</span>
+                                                    )}
+                                                </>
+                                            ) : '-'}
+                                        </td>
+                                        <td className="px-3 py-2">
+                                            <Badge className={`text-xs ${ESTADO_COLORES[t.status]}`}>
+                                                {ESTADOS_TAREA_SANITARIA[t.status]}
+                                            </Badge>
+                                        </td>
+                                        <td className="px-3 py-2 text-right whitespace-nowrap">
+                                            {t.status === 'PENDING' && (
+                                                <>
+                                                    <Button
+                                                        variant="outline"
+                                                        size="sm"
+                                                        className="gap-1"
+                                                        onClick={() => {
+                                                            setAplicando(t);
+                                                            setAplicacion({ fecha: hoy(), veterinary_professional: '', notes: '' });
+                                                        }}
+                                                    >
+                                                        <CheckCircle2 size={14} /> Aplicar
+                                                    </Button>
+                                                    <Button variant="ghost" size="sm" className="text-slate-400 hover:text-red-600" onClick={() => handleCancelar(t)}>
+                                                        <XCircle size={14} />
+                                                    </Button>
+                                                </>
+                                            )}
+                                        </td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    )}
+                </CardContent>
+            </Card>
+
+            {/* Animales en carencia */}
+            {enCarencia.length > 0 && (
+                <Card className="border-orange-200 shadow-sm">
+                    <CardContent className="p-4">
+                        <div className="flex items-center gap-2 mb-3">
+                            <ShieldAlert className="text-orange-600" size={20} />
+                            <h3 className="font-bold text-slate-900">Animales en período de retiro</h3>
+                            <span className="text-xs text-slate-500">No aptos para venta ni faena</span>
+                        </div>
+                        <div className="flex flex-wrap gap-2">
+                            {enCarencia.map(a => (
+                                <Badge key={a.id} variant="outline" className="text-xs border-orange-200 text-orange-700">
+                                    {a.visual_tag || a.rfid_tag || 'S/N'}
+                                    {a.current_category?.name ? ` · ${a.current_category.name}` : ''} · hasta {formatDate(a.withdraw_until)}
+                                </Badge>
+                            ))}
+                        </div>
+                    </CardContent>
+                </Card>
+            )}
+
+            {/* Dialog: nueva tarea */}
+            <Dialog open={showNueva} onOpenChange={setShowNueva}>
+                <DialogContent className="max-w-lg">
+                    <DialogHeader>
+                        <DialogTitle>Programar Tarea Sanitaria</DialogTitle>
+                    </DialogHeader>
+                    <div className="grid grid-cols-2 gap-3">
+                        <div className="space-y-1">
+                            <label className="text-xs font-bold text-slate-500 uppercase">Tipo</label>
+                            <select
+                                value={nueva.treatment_type}
+                                onChange={(e) => setNueva({ ...nueva, treatment_type: e.target.value })}
+                                className="w-full px-3 py-2 border rounded-lg bg-white"
+                            >
+                                {Object.entries(TIPOS_TRATAMIENTO).map(([clave, label]) => (
+                                    <option key={clave} value={clave}>{label}</option>
+                                ))}
+                            </select>
+                        </div>
+                        <div className="space-y-1">
+                            <label className="text-xs font-bold text-slate-500 uppercase">Nombre</label>
+                            <input
+                                type="text"
+                                placeholder="Ej: Aftosa, Carbunco"
+                                value={nueva.name}
+                                onChange={(e) => setNueva({ ...nueva, name: e.target.value })}
+                                className="w-full px-3 py-2 border rounded-lg"
+                            />
+                        </div>
+                        <div className="space-y-1">
+                            <label className="text-xs font-bold text-slate-500 uppercase">Rodeo</label>
+                            <select
+                                value={nueva.herd_id}
+                                onChange={(e) => setNueva({ ...nueva, herd_id: e.target.value })}
+                                className="w-full px-3 py-2 border rounded-lg bg-white"
+                            >
+                                <option value="">Todos los rodeos</option>
+                                {herds.map(h => <option key={h.id} value={h.id}>{h.name}</option>)}
+                            </select>
+                        </div>
+                        <div className="space-y-1">
+                            <label className="text-xs font-bold text-slate-500 uppercase">Categoría</label>
+                            <select
+                                value={nueva.category_id}
+                                onChange={(e) => setNueva({ ...nueva, category_id: e.target.value })}
+                                className="w-full px-3 py-2 border rounded-lg bg-white"
+                            >
+                                <option value="">Todas las categorías</option>
+                                {categories.map(c => <option key={c.id} value={c.id}>{c.name}</option>)}
+                            </select>
+                        </div>
+                        <div className="space-y-1">
+                            <label className="text-xs font-bold text-slate-500 uppercase">Producto</label>
+                            <select
+                                value={nueva.input_id}
+                                onChange={(e) => setNueva({ ...nueva, input_id: e.target.value })}
+                                className="w-full px-3 py-2 border rounded-lg bg-white"
+                            >
+                                <option value="">Sin producto de stock</option>
+                                {productos.map(p => <option key={p.id} value={p.id}>{p.name}</option>)}
+                            </select>
+                        </div>
+                        <div className="space-y-1">
+                            <label className="text-xs font-bold text-slate-500 uppercase">
+                                Dosis por cabeza {productoNueva ? `(${productoNueva.unit})` : ''}
+                            </label>
+                            <input
+                                type="number"
+                                step="0.001"
+                                min="0"
+                                value={nueva.dose_per_head}
+                                onChange={(e) => setNueva({ ...nueva, dose_per_head: e.target.value })}
+                                className="w-full px-3 py-2 border rounded-lg"
+                                disabled={!nueva.input_id}
+                            />
+                        </div>
+                        <div className="space-y-1">
+                            <label className="text-xs font-bold text-slate-500 uppercase">Fecha</label>
+                            <input
+                                type="date"
+                                value={nueva.scheduled_date}
+                                onChange={(e) => setNueva({ ...nueva, scheduled_date: e.target.value })}
+                                className="w-full px-3 py-2 border rounded-lg"
+                            />
+                        </div>
+                        <div className="grid grid-cols-2 gap-2">
+                            <div className="space-y-1">
+                                <label className="text-xs font-bold text-slate-500 uppercase">Aplicaciones</label>
+                                <input
+                                    type="number"
+                                    min="1"
+                                    value={nueva.veces}
+                                    onChange={(e) => setNueva({ ...nueva, veces: e.target.value })}
+                                    className="w-full px-3 py-2 border rounded-lg"
+                                />
+                            </div>
+                            <div className="space-y-1">
+                                <label className="text-xs font-bold text-slate-500 uppercase">Cada (días)</label>
+                                <input
+                                    type="number"
+                                    min="1"
+                                    value={nueva.cadaDias}
+                                    onChange={(e) => setNueva({ ...nueva, cadaDias: e.target.value })}
+                                    className="w-full px-3 py-2 border rounded-lg"
+                                    disabled={parseInt(nueva.veces) <= 1}
+                                />
+                            </div>
+                        </div>
+                    </div>
+                    {productoNueva?.withdrawal_days_meat > 0 && (
+                        <p className="text-xs text-red-600">
+                            {productoNueva.name}: retiro de {productoNueva.withdrawal_days_meat} días para carne desde cada aplicación.
+                        </p>
+                    )}
+                    <DialogFooter>
+                        <Button variant="outline" onClick={() => setShowNueva(false)}>Cancelar</Button>
+                        <Button onClick={handleCrear} disabled={saving} className="bg-emerald-600 hover:bg-emerald-700">
+                            {saving ? <Loader2 size={16} className="animate-spin" /> : 'Programar'}
+                        </Button>
+                    </DialogFooter>
+                </DialogContent>
+            </Dialog>
+
+            {/* Dialog: aplicar tarea */}
+            <Dialog open={!!aplicando} onOpenChange={(open) => !open && setAplicando(null)}>
+                <DialogContent className="max-w-md">
+                    <DialogHeader>
+                        <DialogTitle>Registrar Aplicación</DialogTitle>
+                    </DialogHeader>
+                    {aplicando && (
+                        <div className="space-y-3">
+                            <p className="text-sm text-slate-600">
+                                {aplicando.name} - {[aplicando.herd?.name, aplicando.category?.name].filter(Boolean).join(' / ')}
+                            </p>
+                            <div className="space-y-1">
+                                <label className="text-xs font-bold text-slate-500 uppercase">Fecha de aplicación</label>
+                                <input
+                                    type="date"
+                                    max={hoy()}
+                                    value={aplicacion.fecha}
+                                    onChange={(e) => setAplicacion({ ...aplicacion, fecha: e.target.value })}
+                                    className="w-full px-3 py-2 border rounded-lg"
+                                />
+                            </div>
+                            <div className="space-y-1">
+                                <label className="text-xs font-bold text-slate-500 uppercase">Profesional responsable</label>
+                                <input
+                                    type="text"
+                                    value={aplicacion.veterinary_professional}
+                                    onChange={(e) => setAplicacion({ ...aplicacion, veterinary_professional: e.target.value })}
+                                    className="w-full px-3 py-2 border rounded-lg"
+                                />
+                            </div>
+                            <div className="space-y-1">
+                                <label className="text-xs font-bold text-slate-500 uppercase">Notas</label>
+                                <input
+                                    type="text"
+                                    value={aplicacion.notes}
+                                    onChange={(e) => setAplicacion({ ...aplicacion, notes: e.target.value })}
+                                    className="w-full px-3 py-2 border rounded-lg"
+                                />
+                            </div>
+                            <p className="text-xs text-slate-400">
+                                Se crea un evento de Sanidad pendiente de aprobación. Al aprobarlo se descuenta el producto del stock y se fija el retiro de los animales tratados.
+                            </p>
+                        </div>
+                    )}
+                    <DialogFooter>
+                        <Button variant="outline" onClick={() => setAplicando(null)}>Cancelar</Button>
+                        <Button onClick={handleAplicar} disabled={saving || !aplicacion.fecha} className="bg-emerald-600 hover:bg-emerald-700">
+                            {saving ? <Loader2 size={16} className="animate-spin" /> : 'Registrar'}
+                        </Button>
+                    </DialogFooter>
+                </DialogContent>
+            </Dialog>
+        </div>
+    );
+}
@@ -12,7 +12,8 @@ import {
     Calendar,
     Fingerprint,
     Download,
-    MapPin
+    MapPin,
+    Upload
 } from 'lucide-react';
 import * as XLSX from 'xlsx';
 import jsPDF from 'jspdf';
@@ -22,6 +23,8 @@ import { Card, CardContent } from '../ui/card';
 import { Badge } from '../ui/badge';
 import { toast } from 'sonner';
 import { getHerdAnimals, removeAnimalFromHerd, getHerdWeightSummary, getHerdLastEvent } from '../../services/livestock';
+import ScaleSessionImport from './ScaleSessionImport';
+import ScaleSessionPanel from './ScaleSessionPanel';
 
 const EVENT_LABELS = {
     'MOVE_INTERNAL': 'Traslado Interno',
@@ -59,6 +62,8 @@ export default function HerdDetailView({ herd, onBack, onAddAnimal, onViewAnimal
     const [searchTerm, setSearchTerm] = useState('');
     const [weightSummary, setWeightSummary] = useState(null);
     const [lastEvent, setLastEvent] = useState(null);
+    const [showScaleImport, setShowScaleImport] = useState(false);
+    const [sessionsKey, setSessionsKey] = useState(0);
 
     useEffect(() => {
         if (herd?.id) {
@@ -321,6 +326,15 @@ export default function HerdDetailView({ herd, onBack, onAddAnimal, onViewAnimal
                     >
                         <Download size={16} /> PDF
                     </Button>
+                    <Button
+                        onClick={() => setShowScaleImport(true)}
+                        variant="outline"
+                        className="gap-2"
+                        disabled={members.length === 0}
+                        title="Importar sesión de la balanza electrónica"
+                    >
+                        <Upload size={16} /> Importar Balanza
+                    </Button>
                     <Button
                         onClick={onAddAnimal}
                         className="flex-1 md:flex-none gap-2 bg-emerald-600 hover:bg-emerald-700"
@@ -387,6 +401,14 @@ export default function HerdDetailView({ herd, onBack, onAddAnimal, onViewAnimal
                 </Card>
             </div>
 
+            {/* Sesiones de balanza */}
+            <ScaleSessionPanel
+                herd={herd}
+                members={members}
+                reloadKey={sessionsKey}
+                onChange={loadMembers}
+            />
+
             {/* Buscador */}
             <div className="relative">
                 <Search className="absolute left-3 top-1/2 -translate-y-1/2 text-slate-400 w-4 h-4" />
@@ -555,6 +577,18 @@ export default function HerdDetailView({ herd, onBack, onAddAnimal, onViewAnimal
                     )}
                 </div>
             </Card>
+
+            {showScaleImport && (
+                <ScaleSessionImport
+                    herd={herd}
+                    members={members}
+                    onClose={() => setShowScaleImport(false)}
+                    onSuccess={() => {
+                        setSessionsKey(k => k + 1);
+                        loadMembers();
+                    }}
+                />
+            )}
         </div>
     );
 }
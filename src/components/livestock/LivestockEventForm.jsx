@@ -29,7 +29,9 @@ import {
     DialogFooter,
 } from '../ui/dialog';
 import { toast } from 'sonner';
-import { registerLivestockEvent, registerBulkWeighingEvent } from '../../services/livestock';
+import { ejecutarOEncolar } from '../../services/offlineSync';
+import { obtenerInsumosPorCategoria } from '../../services/inputs';
+import { CATEGORIA_VETERINARIA, EVENTOS_BLOQUEADOS_POR_CARENCIA } from '../../services/healthPlan';
 
 const EVENT_TYPES = [
     { id: 'MOVE_INTERNAL', label: 'Traslado Interno', icon: ArrowRightLeft, color: 'text-blue-600', bg: 'bg-blue-50' },
@@ -73,6 +75,7 @@ export default function LivestockEventForm({
     const [loading, setLoading] = useState(false);
     const [eventType, setEventType] = useState(defaultType);
     const [scope, setScope] = useState('HERD'); // 'ANIMAL' o 'HERD'
+    const [veterinaryProducts, setVeterinaryProducts] = useState([]);
     
     const [formData, setFormData] = useState({
         event_date: new Date().toISOString().split('T')[0],
@@ -92,6 +95,7 @@ export default function LivestockEventForm({
         // Campos SANIDAD
         product_id: '',
         dose: '',
+        dose_per_head: '',
         veterinary_professional: '',
         weighing_method: ''
     });
@@ -100,6 +104,26 @@ export default function LivestockEventForm({
         if (defaultType) setEventType(defaultType);
     }, [defaultType, open]);
 
+    // Productos veterinarios del inventario (stock y días de retiro)
+    useEffect(() => {
+        if (!open || eventType !== 'HEALTH_TREATMENT' || !selectedFirmId) return;
+        obtenerInsumosPorCategoria(selectedFirmId, CATEGORIA_VETERINARIA)
+            .then(({ data }) => setVeterinaryProducts(data))
+            .catch(error => console.error('Error loading veterinary products:', error));
+    }, [open, eventType, selectedFirmId]);
+
+    const selectedProduct = veterinaryProducts.find(p => p.id === formData.product_id);
+
+    const handleProductChange = (productId) => {
+        const product = veterinaryProducts.find(p => p.id === productId);
+        setFormData({
+            ...formData,
+            product_id: productId,
+            // Días de retiro del producto como mínimo sugerido
+            withdraw_days: product?.withdrawal_days_meat ?? formData.withdraw_days
+        });
+    };
+
     const validateEventData = () => {
         const errors = [];
 
@@ -157,15 +181,21 @@ export default function LivestockEventForm({
 
         // VALIDACIÓN #8: Datos sanitarios completos para HEALTH_TREATMENT
         if (eventType === 'HEALTH_TREATMENT') {
-            if (!formData.product_id || formData.product_id === 'manual') {
+            if (!formData.product_id || formData.product_id === 'MANUAL') {
                 if (!formData.dose) {
                     errors.push('Dosis es obligatoria para tratamiento sanitario');
                 }
+            } else if (!formData.dose_per_head || parseFloat(formData.dose_per_head) <= 0) {
+                errors.push('Dosis por cabeza es obligatoria para descontar el producto del stock');
+            }
+            if (selectedProduct?.withdrawal_days_meat && parseInt(formData.withdraw_days || 0) < selectedProduct.withdrawal_days_meat) {
+                errors.push(`El retiro no puede ser menor a ${selectedProduct.withdrawal_days_meat} días (indicado por el producto)`);
             }
         }
 
-        // VALIDACIÓN SANITARIA EXISTENTE: Bloquear venta si tiene retiro activo
-        if (eventType === 'SALE' && scope === 'ANIMAL') {
+        // VALIDACIÓN SANITARIA: Bloquear venta/faena si tiene retiro activo
+        // (para rodeos se verifica en el servicio contra los integrantes)
+        if (EVENTOS_BLOQUEADOS_POR_CARENCIA.includes(eventType) && scope === 'ANIMAL') {
             const selectedAnimal = animals.find(a => a.id === formData.animal_id);
             if (selectedAnimal?.withdraw_until) {
                 const today = new Date();
@@ -234,7 +264,8 @@ export default function LivestockEventForm({
                     // Campos operacionales
                     withdraw_days: formData.withdraw_days ? parseInt(formData.withdraw_days) : null,
                     product_id: formData.product_id || null,
-                    dose: formData.dose || null,
+                    dose: formData.dose || (selectedProduct && formData.dose_per_head ? `${formData.dose_per_head} ${selectedProduct.unit}` : null),
+                    dose_per_head: selectedProduct && formData.dose_per_head ? parseFloat(formData.dose_per_head) : null,
                     veterinary_professional: formData.veterinary_professional || null,
                     weighing_method: formData.weighing_method || null,
                     from_predio_name: formData.from_predio_name || null,
@@ -254,6 +285,12 @@ export default function LivestockEventForm({
                 }
             };
 
+            // Etiquetas legibles para el panel de sincronización offline
+            const eventTypeLabel = EVENT_TYPES.find(t => t.id === eventType)?.label || eventType;
+            const herdLabel = herds.find(h => h.id === formData.herd_id)?.name || 'Rodeo';
+            const selectedAnimalForLabel = animals.find(a => a.id === formData.animal_id);
+            const animalLabel = selectedAnimalForLabel?.visual_tag || selectedAnimalForLabel?.rfid_tag || 'Animal';
+
             // ✅ NUEVA LÓGICA: Pesaje masivo (HERD) genera evento POR CADA ANIMAL
             if (scope === 'HERD' && eventType === 'WEIGHING') {
                 // Preparar datos sin scope ni animal_id/herd_id (será set por registerBulkWeighingEvent)
@@ -261,12 +298,32 @@ export default function LivestockEventForm({
                 delete bulkEventData.animal_id;  // Será asignado por cada animal
                 delete bulkEventData.scope;      // No necesario en eventos individuales
 
-                await registerBulkWeighingEvent(formData.herd_id, bulkEventData);
-                toast.success(`✅ Pesaje masivo registrado: ${eventData.qty_kg} kg para cada animal del rodeo`);
+                const { encolado } = await ejecutarOEncolar({
+                    operacion: 'funcion',
+                    funcion: 'registrarPesajeMasivo',
+                    args: { herdId: formData.herd_id, eventData: bulkEventData },
+                    descripcion: `Pesaje masivo ${herdLabel}: ${eventData.qty_kg} kg (${formData.event_date})`,
+                    contexto: { firmId: selectedFirmId, premiseId: selectedPremiseId }
+                });
+                if (encolado) {
+                    toast.info('Sin conexión: el pesaje quedó guardado y se enviará al reconectar');
+                } else {
+                    toast.success(`✅ Pesaje masivo registrado: ${eventData.qty_kg} kg para cada animal del rodeo`);
+                }
             } else {
                 // Evento normal (individual)
-                await registerLivestockEvent(eventData);
-                toast.success('Evento registrado y enviado a aprobación');
+                const { encolado } = await ejecutarOEncolar({
+                    operacion: 'funcion',
+                    funcion: 'registrarEventoGanadero',
+                    args: { eventData },
+                    descripcion: `${eventTypeLabel} - ${scope === 'ANIMAL' ? animalLabel : herdLabel} (${formData.event_date})`,
+                    contexto: { firmId: selectedFirmId, premiseId: selectedPremiseId }
+                });
+                if (encolado) {
+                    toast.info('Sin conexión: el evento quedó guardado y se enviará al reconectar');
+                } else {
+                    toast.success('Evento registrado y enviado a aprobación');
+                }
             }
 
             if (onSuccess) onSuccess();
@@ -274,7 +331,7 @@ export default function LivestockEventForm({
             resetForm();
         } catch (error) {
             console.error('Error registering event:', error);
-            toast.error('Error al registrar el evento');
+            toast.error(error.message?.startsWith('BLOQUEO SANITARIO') ? error.message : 'Error al registrar el evento');
         } finally {
             setLoading(false);
         }
@@ -298,6 +355,7 @@ export default function LivestockEventForm({
             to_predio_name: '',
             product_id: '',
             dose: '',
+            dose_per_head: '',
             veterinary_professional: '',
             weighing_method: ''
         });
@@ -527,29 +585,55 @@ export default function LivestockEventForm({
                                         <select
                                             className="w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-emerald-500 outline-none bg-white"
                                             value={formData.product_id}
-                                            onChange={(e) => setFormData({...formData, product_id: e.target.value})}
+                                            onChange={(e) => handleProductChange(e.target.value)}
                                             required
                                         >
                                             <option value="">Seleccionar producto...</option>
+                                            {veterinaryProducts.map(p => (
+                                                <option key={p.id} value={p.id}>
+                                                    {p.name} ({p.current_stock || 0} {p.unit}{p.withdrawal_days_meat ? ` - retiro ${p.withdrawal_days_meat} d` : ''})
+                                                </option>
+                                            ))}
                                             <option value="MANUAL">Registro Manual (sin stock)</option>
                                         </select>
-                                        <p className="text-[9px] text-slate-400 italic">Productos veterinarios desde inventario de stock.</p>
+                                        <p className="text-[9px] text-slate-400 italic">Productos veterinarios desde inventario de stock. Se descuenta al aprobar el evento.</p>
                                     </div>
 
+                                    {/* Dosis por cabeza (descuento de stock) */}
+                                    {selectedProduct && (
+                                        <div className="space-y-1">
+                                            <label className="text-xs font-bold text-slate-500 uppercase flex items-center gap-1">
+                                                Dosis por Cabeza ({selectedProduct.unit}) <span className="text-red-500">*</span>
+                                            </label>
+                                            <input
+                                                type="number"
+                                                step="0.001"
+                                                min="0"
+                                                placeholder="Ej: 5"
+                                                className="w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-emerald-500 outline-none bg-white"
+                                                value={formData.dose_per_head}
+                                                onChange={(e) => setFormData({...formData, dose_per_head: e.target.value})}
+                                                required
+                                            />
+                                        </div>
+                                    )}
+
                                     {/* Dosis */}
-                                    <div className="space-y-1">
-                                        <label className="text-xs font-bold text-slate-500 uppercase flex items-center gap-1">
-                                            Dosis Aplicada <span className="text-red-500">*</span>
-                                        </label>
-                                        <input
-                                            type="text"
-                                            placeholder="Ej: 5ml, 2cc, 1 comprimido"
-                                            className="w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-emerald-500 outline-none bg-white"
-                                            value={formData.dose}
-                                            onChange={(e) => setFormData({...formData, dose: e.target.value})}
-                                            required
-                                        />
-                                    </div>
+                                    {!selectedProduct && (
+                                        <div className="space-y-1">
+                                            <label className="text-xs font-bold text-slate-500 uppercase flex items-center gap-1">
+                                                Dosis Aplicada <span className="text-red-500">*</span>
+                                            </label>
+                                            <input
+                                                type="text"
+                                                placeholder="Ej: 5ml, 2cc, 1 comprimido"
+                                                className="w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-emerald-500 outline-none bg-white"
+                                                value={formData.dose}
+                                                onChange={(e) => setFormData({...formData, dose: e.target.value})}
+                                                required
+                                            />
+                                        </div>
+                                    )}
 
                                     {/* Profesional */}
                                     <div className="space-y-1">
@@ -0,0 +1,101 @@
+import React, { useState, useEffect } from 'react';
+import { Loader2, GitBranch } from 'lucide-react';
+import { obtenerPedigri } from '../../services/genealogy';
+
+const GENERACIONES = 3;
+
+function TarjetaAnimal({ animal, rol, externo, onSelect }) {
+    if (!animal && !externo) {
+        return (
+            <div className="w-36 px-3 py-2 rounded-lg border border-dashed border-slate-200 text-[10px] text-slate-300 italic">
+                {rol}: sin registro
+            </div>
+        );
+    }
+
+    if (externo) {
+        return (
+            <div className="w-36 px-3 py-2 rounded-lg border border-slate-200 bg-slate-50">
+                <p className="text-[9px] uppercase font-bold text-slate-400">{rol} · externo</p>
+                <p className="text-xs font-bold text-slate-700 truncate">{externo}</p>
+            </div>
+        );
+    }
+
+    const colores = animal.sex === 'M' ? 'border-blue-200 bg-blue-50' : 'border-pink-200 bg-pink-50';
+    return (
+        <button
+            type="button"
+            onClick={() => onSelect && onSelect(animal)}
+            className={`w-36 px-3 py-2 rounded-lg border text-left hover:shadow-sm transition-shadow ${colores}`}
+        >
+            <p className="text-[9px] uppercase font-bold text-slate-400">{rol}</p>
+            <p className="text-xs font-bold text-slate-800 truncate">{animal.visual_tag || animal.rfid_tag || 'S/N'}</p>
+            <p className="text-[10px] text-slate-500 truncate">
+                {animal.breed || '-'}{animal.birth_date ? ` · ${new Date(animal.birth_date).getFullYear()}` : ''}
+            </p>
+        </button>
+    );
+}
+
+function Nodo({ nodo, rol, nivel, externo, onSelect }) {
+    return (
+        <div className="flex items-center gap-3">
+            <TarjetaAnimal animal={nodo?.animal} rol={rol} externo={!nodo ? externo : null} onSelect={onSelect} />
+            {nivel < GENERACIONES && nodo && (
+                <div className="flex flex-col gap-2 border-l border-slate-200 pl-3">
+                    <Nodo nodo={nodo.padre} rol="Padre" nivel={nivel + 1} externo={nodo.padre_externo} onSelect={onSelect} />
+                    <Nodo nodo={nodo.madre} rol="Madre" nivel={nivel + 1} onSelect={onSelect} />
+                </div>
+            )}
+        </div>
+    );
+}
+
+/**
+ * Árbol genealógico ascendente (animal, padres, abuelos y bisabuelos)
+ */
+export default function PedigreeTree({ animalId, onSelectAnimal }) {
+    const [arbol, setArbol] = useState(null);
+    const [loading, setLoading] = useState(false);
+
+    useEffect(() => {
+        if (animalId) loadPedigri();
+    }, [animalId]);
+
+    async function loadPedigri() {
+        setLoading(true);
+        try {
+            setArbol(await obtenerPedigri(animalId, GENERACIONES));
+        } catch (error) {
+            console.error('Error loading pedigree:', error);
+        } finally {
+            setLoading(false);
+        }
+    }
+
+    if (loading) {
+        return (
+            <div className="flex justify-center py-10">
+                <Loader2 className="animate-spin text-emerald-600" />
+            </div>
+        );
+    }
+
+    if (!arbol) return null;
+
+    const sinPadres = !arbol.madre && !arbol.padre && !arbol.padre_externo;
+
+    return (
+        <div className="space-y-3">
+            <div className="overflow-x-auto pb-2">
+                <Nodo nodo={arbol} rol="Animal" nivel={0} onSelect={onSelectAnimal} />
+            </div>
+            {sinPadres && (
+                <p className="text-xs text-slate-400 flex items-center gap-1">
+                    <GitBranch size={12} /> Sin madre ni padre registrados. Se cargan desde Editar o al registrar la parición.
+                </p>
+            )}
+        </div>
+    );
+}
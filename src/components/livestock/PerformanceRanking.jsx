@@ -0,0 +1,162 @@
+import React, { useState, useEffect } from 'react';
+import { Award, Download, Loader2, RefreshCw } from 'lucide-react';
+import { Button } from '../ui/button';
+import { Card, CardContent } from '../ui/card';
+import { toast } from 'sonner';
+import {
+    MODOS_RANKING,
+    obtenerRankingDesempeno,
+    exportarRankingDesempeno
+} from '../../services/genealogy';
+
+const valor = (v, sufijo = '') => (v === null || v === undefined ? '-' : `${v}${sufijo}`);
+
+function Indice({ ratio }) {
+    if (ratio === null || ratio === undefined) return <span className="text-slate-300">-</span>;
+    const color = ratio >= 105 ? 'text-green-700 bg-green-50' : ratio < 95 ? 'text-red-700 bg-red-50' : 'text-slate-600 bg-slate-50';
+    return <span className={`px-1.5 py-0.5 rounded text-[10px] font-bold ${color}`}>{ratio}</span>;
+}
+
+/**
+ * Ranking de desempeño por predio / rodeo: reposición por pesos ajustados
+ * y vientres por el destete de sus crías e intervalo entre partos
+ */
+export default function PerformanceRanking({ selectedPremiseId, herds = [], onSelectAnimal }) {
+    const [modo, setModo] = useState('REPOSICION');
+    const [herdId, setHerdId] = useState('');
+    const [filas, setFilas] = useState([]);
+    const [loading, setLoading] = useState(false);
+
+    useEffect(() => {
+        if (selectedPremiseId) loadRanking();
+    }, [selectedPremiseId, modo, herdId]);
+
+    async function loadRanking() {
+        setLoading(true);
+        try {
+            setFilas(await obtenerRankingDesempeno(selectedPremiseId, { modo, herdId: herdId || null }));
+        } catch (error) {
+            console.error('Error loading performance ranking:', error);
+            toast.error('Error al calcular el ranking de desempeño');
+        } finally {
+            setLoading(false);
+        }
+    }
+
+    const handleExport = () => {
+        if (filas.length === 0) {
+            toast.info('No hay animales para exportar');
+            return;
+        }
+        exportarRankingDesempeno(filas, modo);
+    };
+
+    const esVientres = modo === 'VIENTRES';
+
+    return (
+        <div className="space-y-4">
+            <div className="flex flex-wrap items-center justify-between gap-3">
+                <div className="flex items-center gap-2">
+                    <Award className="text-amber-600" size={20} />
+                    <div>
+                        <h3 className="font-bold text-slate-800">Ranking de desempeño</h3>
+                        <p className="text-xs text-slate-500">Índice 100 = promedio del grupo (mismo sexo). Verde ≥ 105, rojo &lt; 95.</p>
+                    </div>
+                </div>
+                <div className="flex flex-wrap items-center gap-2">
+                    <select
+                        className="px-3 py-2 bg-white border rounded-lg text-xs outline-none"
+                        value={modo}
+                        onChange={(e) => setModo(e.target.value)}
+                    >
+                        {Object.entries(MODOS_RANKING).map(([key, label]) => (
+                            <option key={key} value={key}>{label}</option>
+                        ))}
+                    </select>
+                    <select
+                        className="px-3 py-2 bg-white border rounded-lg text-xs outline-none"
+                        value={herdId}
+                        onChange={(e) => setHerdId(e.target.value)}
+                    >
+                        <option value="">Todo el predio</option>
+                        {herds.map(h => (
+                            <option key={h.id} value={h.id}>{h.name}</option>
+                        ))}
+                    </select>
+                    <Button variant="outline" size="sm" onClick={loadRanking} disabled={loading}>
+                        <RefreshCw size={14} className="mr-1" /> Recalcular
+                    </Button>
+                    <Button variant="outline" size="sm" onClick={handleExport} disabled={loading}>
+                        <Download size={14} className="mr-1" /> Excel
+                    </Button>
+                </div>
+            </div>
+
+            <Card className="border-none shadow-sm">
+                <CardContent className="p-0">
+                    {loading ? (
+                        <div className="flex justify-center py-16">
+                            <Loader2 className="animate-spin text-emerald-600" />
+                        </div>
+                    ) : filas.length === 0 ? (
+                        <p className="text-center text-sm text-slate-400 py-16">
+                            No hay animales con datos para este filtro
+                        </p>
+                    ) : (
+                        <div className="overflow-x-auto">
+                            <table className="w-full text-xs">
+                                <thead className="bg-slate-50 text-slate-500 uppercase text-[10px]">
+                                    <tr>
+                                        <th className="px-3 py-2 text-left">#</th>
+                                        <th className="px-3 py-2 text-left">Caravana</th>
+                                        <th className="px-3 py-2 text-left">Categoría</th>
+                                        <th className="px-3 py-2 text-right">Nacer</th>
+                                        <th className="px-3 py-2 text-right">Destete 205</th>
+                                        <th className="px-3 py-2 text-center">Índ.</th>
+                                        <th className="px-3 py-2 text-right">Año 365</th>
+                                        <th className="px-3 py-2 text-center">Índ.</th>
+                                        <th className="px-3 py-2 text-right">ADPV</th>
+                                        <th className="px-3 py-2 text-right">Partos</th>
+                                        <th className="px-3 py-2 text-right">IEP (días)</th>
+                                        <th className="px-3 py-2 text-right">Destete crías</th>
+                                        <th className="px-3 py-2 text-center">Índ.</th>
+                                    </tr>
+                                </thead>
+                                <tbody className="divide-y divide-slate-100">
+                                    {filas.map((f, i) => {
+                                        // Vacas con intervalo entre partos mayor a 15 meses o crías por debajo del promedio: candidatas a descarte
+                                        const descarte = esVientres && ((f.indices.intervalo_entre_partos || 0) > 456 || (f.ratio_crias !== null && f.ratio_crias < 90));
+                                        return (
+                                            <tr
+                                                key={f.animal.id}
+                                                className={`hover:bg-slate-50 cursor-pointer ${descarte ? 'bg-red-50/40' : ''}`}
+                                                onClick={() => onSelectAnimal && onSelectAnimal(f.animal)}
+                                            >
+                                                <td className="px-3 py-2 text-slate-400">{i + 1}</td>
+                                                <td className="px-3 py-2 font-bold text-slate-800">
+                                                    {f.animal.visual_tag || f.animal.rfid_tag || 'S/N'}
+                                                    {descarte && <span className="ml-2 text-[9px] text-red-600 font-bold uppercase">Descarte</span>}
+                                                </td>
+                                                <td className="px-3 py-2 text-slate-500">{f.animal.current_category?.name || '-'}</td>
+                                                <td className="px-3 py-2 text-right">{valor(f.indices.peso_nacer)}</td>
+                                                <td className="px-3 py-2 text-right">{valor(f.indices.peso_destete_205)}</td>
+                                                <td className="px-3 py-2 text-center"><Indice ratio={f.ratio_destete} /></td>
+                                                <td className="px-3 py-2 text-right">{valor(f.indices.peso_anio_365)}</td>
+                                                <td className="px-3 py-2 text-center"><Indice ratio={f.ratio_anio} /></td>
+                                                <td className="px-3 py-2 text-right">{valor(f.indices.adpv_total)}</td>
+                                                <td className="px-3 py-2 text-right">{f.indices.partos}</td>
+                                                <td className="px-3 py-2 text-right">{valor(f.indices.intervalo_entre_partos)}</td>
+                                                <td className="px-3 py-2 text-right">{valor(f.promedio_destete_crias)}</td>
+                                                <td className="px-3 py-2 text-center"><Indice ratio={f.ratio_crias} /></td>
+                                            </tr>
+                                        );
+                                    })}
+                                </tbody>
+                            </table>
+                        </div>
+                    )}
+                </CardContent>
+            </Card>
+        </div>
+    );
+}
@@ -0,0 +1,506 @@
+import React, { useState, useEffect } from 'react';
+import {
+    HeartPulse,
+    Plus,
+    Baby,
+    Stethoscope,
+    Milk,
+    Loader2,
+    Trash2,
+    Lock
+} from 'lucide-react';
+import { Button } from '../ui/button';
+import { Card, CardContent } from '../ui/card';
+import { Badge } from '../ui/badge';
+import { Tabs, TabsContent, TabsList, TabsTrigger } from '../ui/tabs';
+import {
+    Dialog,
+    DialogContent,
+    DialogHeader,
+    DialogTitle,
+    DialogFooter,
+} from '../ui/dialog';
+import { toast } from 'sonner';
+import { getHerdAnimals } from '../../services/livestock';
+import {
+    TIPOS_SERVICIO,
+    METODOS_DIAGNOSTICO,
+    RESULTADOS_DIAGNOSTICO,
+    FACILIDAD_PARTO,
+    obtenerIndicesPorRodeo,
+    obtenerEventosReproductivos,
+    calcularIndicesReproductivos,
+    crearTemporada,
+    cerrarTemporada,
+    eliminarEventoReproductivo
+} from '../../services/reproduction';
+import ReproductiveEventForm from './ReproductiveEventForm';
+
+const formatDate = (fecha) => (fecha ? new Date(fecha + 'T00:00:00').toLocaleDateString('es-UY') : '-');
+const formatTasa = (valor) => (valor === null || valor === undefined ? '-' : `${valor}%`);
+
+/**
+ * Manejo reproductivo de los rodeos de cría: temporadas de entore,
+ * servicios, diagnósticos de gestación, pariciones, destete e índices
+ */
+export default function ReproductionManager({ selectedFirmId, selectedPremiseId, herds = [], animals = [], categories = [] }) {
+    const [resumen, setResumen] = useState([]);
+    const [loading, setLoading] = useState(false);
+    const [temporada, setTemporada] = useState(null);
+    const [eventos, setEventos] = useState([]);
+    const [members, setMembers] = useState([]);
+    const [loadingDetalle, setLoadingDetalle] = useState(false);
+    const [formTipo, setFormTipo] = useState(null);
+    const [showNueva, setShowNueva] = useState(false);
+    const [nueva, setNueva] = useState({ herd_id: '', name: '', start_date: '', end_date: '', females_exposed: '', notes: '' });
+
+    useEffect(() => {
+        if (selectedPremiseId) loadResumen();
+    }, [selectedPremiseId]);
+
+    async function loadResumen() {
+        setLoading(true);
+        try {
+            const data = await obtenerIndicesPorRodeo(selectedPremiseId);
+            setResumen(data);
+            if (temporada) {
+                setTemporada(data.find(r => r.temporada.id === temporada.id)?.temporada || null);
+            }
+        } catch (error) {
+            console.error('Error loading breeding seasons:', error);
+            toast.error('Error al cargar temporadas de entore');
+        } finally {
+            setLoading(false);
+        }
+    }
+
+    async function loadDetalle(t) {
+        setLoadingDetalle(true);
+        try {
+            const [eventosData, membersData] = await Promise.all([
+                obtenerEventosReproductivos(t.id),
+                getHerdAnimals(t.herd_id)
+            ]);
+            setEventos(eventosData);
+            setMembers(membersData);
+        } catch (error) {
+            console.error('Error loading season detail:', error);
+            toast.error('Error al cargar registros de la temporada');
+        } finally {
+            setLoadingDetalle(false);
+        }
+    }
+
+    useEffect(() => {
+        if (temporada?.id) loadDetalle(temporada);
+    }, [temporada?.id]);
+
+    const handleCrearTemporada = async () => {
+        if (!nueva.herd_id || !nueva.name || !nueva.start_date) {
+            toast.error('Rodeo, nombre y fecha de inicio son obligatorios');
+            return;
+        }
+        try {
+            const creada = await crearTemporada(
+                { ...nueva, firm_id: selectedFirmId, premise_id: selectedPremiseId },
+                localStorage.getItem('currentUser') || null
+            );
+            toast.success('Temporada de entore creada');
+            setShowNueva(false);
+            setNueva({ herd_id: '', name: '', start_date: '', end_date: '', females_exposed: '', notes: '' });
+            await loadResumen();
+            setTemporada(creada);
+        } catch (error) {
+            toast.error(error.message || 'Error al crear la temporada');
+        }
+    };
+
+    const handleCerrar = async () => {
+        if (!window.confirm(`¿Cerrar la temporada "${temporada.name}"? No se podrán agregar registros.`)) return;
+        try {
+            setTemporada(await cerrarTemporada(temporada.id));
+            toast.success('Temporada cerrada');
+            loadResumen();
+        } catch (error) {
+            toast.error('Error al cerrar la temporada');
+        }
+    };
+
+    const handleEliminar = async (evento) => {
+        if (!window.confirm('¿Eliminar este registro reproductivo?')) return;
+        try {
+            await eliminarEventoReproductivo(evento.id);
+            toast.success('Registro eliminado');
+            loadDetalle(temporada);
+            loadResumen();
+        } catch (error) {
+            toast.error('Error al eliminar el registro');
+        }
+    };
+
+    const handleRegistrado = () => {
+        loadDetalle(temporada);
+        loadResumen();
+    };
+
+    const indices = temporada ? calcularIndicesReproductivos(temporada, eventos) : null;
+    const abierta = temporada?.status === 'ACTIVE';
+    const etiqueta = (a) => a?.visual_tag || a?.rfid_tag || 'S/N';
+    const porTipo = (tipo) => eventos.filter(e => e.event_type === tipo);
+
+    const accionEliminar = (evento) => abierta && (
+        <Button variant="ghost" size="sm" className="text-slate-400 hover:text-red-600" onClick={() => handleEliminar(evento)}>
+            <Trash2 size={14} />
+        </Button>
+    );
+
+    return (
+        <div className="space-y-6">
+            {/* Resumen por rodeo y temporada */}
+            <Card className="border-slate-200 shadow-sm">
+                <CardContent className="p-4">
+                    <div className="flex items-center justify-between mb-4">
+                        <div className="flex items-center gap-2">
+                            <HeartPulse className="text-pink-600" size={20} />
+                            <h3 className="font-bold text-slate-900">Temporadas de Entore</h3>
+                        </div>
+                        <Button onClick={() => setShowNueva(true)} className="gap-2 bg-emerald-600 hover:bg-emerald-700" disabled={herds.length === 0}>
+                            <Plus size={16} /> Nueva Temporada
+                        </Button>
+                    </div>
+
+                    {loading ? (
+                        <div className="flex items-center justify-center py-10">
+                            <Loader2 className="animate-spin text-emerald-600 w-8 h-8" />
+                        </div>
+                    ) : resumen.length === 0 ? (
+                        <p className="text-sm text-slate-400 italic text-center py-8">
+                            Sin temporadas de entore registradas
+                        </p>
+                    ) : (
+                        <table className="w-full text-sm text-left">
+                            <thead className="bg-slate-50 border-b border-slate-200">
+                                <tr>
+                                    <th className="px-3 py-2 font-bold text-slate-700">Rodeo</th>
+                                    <th className="px-3 py-2 font-bold text-slate-700">Temporada</th>
+                                    <th className="px-3 py-2 font-bold text-slate-700">Entore</th>
+                                    <th className="px-3 py-2 font-bold text-slate-700 text-right">Entoradas</th>
+                                    <th className="px-3 py-2 font-bold text-slate-700 text-right">% Preñez</th>
+                                    <th className="px-3 py-2 font-bold text-slate-700 text-right">% Parición</th>
+                                    <th className="px-3 py-2 font-bold text-slate-700 text-right">% Destete</th>
+                                    <th className="px-3 py-2 font-bold text-slate-700">Estado</th>
+                                </tr>
+                            </thead>
+                            <tbody className="divide-y divide-slate-100">
+                                {resumen.map(({ temporada: t, indices: ind }) => (
+                                    <tr
+                                        key={t.id}
+                                        onClick={() => setTemporada(t)}
+                                        className={`cursor-pointer hover:bg-slate-50 ${temporada?.id === t.id ? 'bg-emerald-50' : ''}`}
+                                    >
+                                        <td className="px-3 py-2 font-medium">{t.herd?.name}</td>
+                                        <td className="px-3 py-2">{t.name}</td>
+                                        <td className="px-3 py-2 text-slate-500">{formatDate(t.start_date)} - {formatDate(t.end_date)}</td>
+                                        <td className="px-3 py-2 text-right">{ind.entoradas}</td>
+                                        <td className="px-3 py-2 text-right font-bold text-pink-600">{formatTasa(ind.tasas.prenez)}</td>
+                                        <td className="px-3 py-2 text-right font-bold text-emerald-600">{formatTasa(ind.tasas.paricion)}</td>
+                                        <td className="px-3 py-2 text-right font-bold text-blue-600">{formatTasa(ind.tasas.destete)}</td>
+                                        <td className="px-3 py-2">
+                                            <Badge variant="outline" className="text-xs">
+                                                {t.status === 'ACTIVE' ? 'Abierta' : 'Cerrada'}
+                                            </Badge>
+                                        </td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    )}
+                </CardContent>
+            </Card>
+
+            {/* Detalle de la temporada */}
+            {temporada && indices && (
+                <Card className="border-slate-200 shadow-sm">
+                    <CardContent className="p-4 space-y-4">
+                        <div className="flex flex-col md:flex-row md:items-center justify-between gap-3">
+                            <div>
+                                <h3 className="font-bold text-slate-900 text-lg">{temporada.herd?.name} - {temporada.name}</h3>
+                                <p className="text-xs text-slate-500">
+                                    Entore {formatDate(temporada.start_date)} al {formatDate(temporada.end_date)}
+                                </p>
+                            </div>
+                            <div className="flex gap-2 flex-wrap">
+                                {abierta && (
+                                    <>
+                                        <Button variant="outline" size="sm" className="gap-1" onClick={() => setFormTipo('SERVICE')}>
+                                            <HeartPulse size={14} /> Servicio
+                                        </Button>
+                                        <Button variant="outline" size="sm" className="gap-1" onClick={() => setFormTipo('PREGNANCY_CHECK')}>
+                                            <Stethoscope size={14} /> Diagnóstico
+                                        </Button>
+                                        <Button variant="outline" size="sm" className="gap-1" onClick={() => setFormTipo('CALVING')}>
+                                            <Baby size={14} /> Parto
+                                        </Button>
+                                        <Button variant="outline" size="sm" className="gap-1" onClick={() => setFormTipo('WEANING')}>
+                                            <Milk size={14} /> Destete
+                                        </Button>
+                                        <Button variant="ghost" size="sm" className="gap-1 text-slate-500" onClick={handleCerrar}>
+                                            <Lock size={14} /> Cerrar
+                                        </Button>
+                                    </>
+                                )}
+                            </div>
+                        </div>
+
+                        {/* Índices */}
+                        <div className="grid grid-cols-2 md:grid-cols-5 gap-3">
+                            <div className="p-3 bg-slate-50 rounded-lg">
+                                <p className="text-xs text-slate-500 uppercase font-bold">Entoradas</p>
+                                <p className="text-xl font-black text-slate-700">{indices.entoradas}</p>
+                                <p className="text-[10px] text-slate-400">{indices.servidas} con servicio registrado</p>
+                            </div>
+                            <div className="p-3 bg-pink-50 rounded-lg">
+                                <p className="text-xs text-slate-500 uppercase font-bold">Preñez</p>
+                                <p className="text-xl font-black text-pink-600">{formatTasa(indices.tasas.prenez)}</p>
+                                <p className="text-[10px] text-slate-400">{indices.prenadas} preñadas / {indices.vacias} vacías</p>
+                            </div>
+                            <div className="p-3 bg-emerald-50 rounded-lg">
+                                <p className="text-xs text-slate-500 uppercase font-bold">Parición</p>
+                                <p className="text-xl font-black text-emerald-600">{formatTasa(indices.tasas.paricion)}</p>
+                                <p className="text-[10px] text-slate-400">{indices.paridas} paridas, {indices.nacidos_vivos} vivos</p>
+                            </div>
+                            <div className="p-3 bg-blue-50 rounded-lg">
+                                <p className="text-xs text-slate-500 uppercase font-bold">Destete</p>
+                                <p className="text-xl font-black text-blue-600">{formatTasa(indices.tasas.destete)}</p>
+                                <p className="text-[10px] text-slate-400">{indices.destetados} destetados</p>
+                            </div>
+                            <div className="p-3 bg-slate-50 rounded-lg">
+                                <p className="text-xs text-slate-500 uppercase font-bold">Kg destetados / vaca</p>
+                                <p className="text-xl font-black text-slate-700">{indices.tasas.kg_destetados_por_vaca ?? '-'}</p>
+                                <p className="text-[10px] text-slate-400">
+                                    Peso medio {indices.peso_destete_promedio ?? '-'} kg
+                                </p>
+                            </div>
+                        </div>
+
+                        {indices.prenadas > 0 && (
+                            <div className="flex gap-2 items-center text-xs text-slate-500">
+                                <span className="font-bold uppercase">Concepción:</span>
+                                {indices.tercios.map(t => (
+                                    <Badge key={t.nombre} variant="outline" className="text-xs">
+                                        {t.nombre}: {t.cantidad}
+                                    </Badge>
+                                ))}
+                                {indices.tasas.perdida_prenez_parto !== null && (
+                                    <span className="ml-2">Pérdidas preñez-parto: {formatTasa(indices.tasas.perdida_prenez_parto)}</span>
+                                )}
+                            </div>
+                        )}
+
+                        {loadingDetalle ? (
+                            <div className="flex items-center justify-center py-10">
+                                <Loader2 className="animate-spin text-emerald-600 w-8 h-8" />
+                            </div>
+                        ) : (
+                            <Tabs defaultValue="servicios">
+                                <TabsList>
+                                    <TabsTrigger value="servicios">Servicios ({porTipo('SERVICE').length})</TabsTrigger>
+                                    <TabsTrigger value="diagnosticos">Diagnósticos ({porTipo('PREGNANCY_CHECK').length})</TabsTrigger>
+                                    <TabsTrigger value="partos">Partos ({porTipo('CALVING').length})</TabsTrigger>
+                                    <TabsTrigger value="destetes">Destetes ({porTipo('WEANING').length})</TabsTrigger>
+                                </TabsList>
+
+                                <TabsContent value="servicios">
+                                    <table className="w-full text-sm text-left">
+                                        <thead className="bg-slate-50 border-b">
+                                            <tr>
+                                                <th className="px-3 py-2">Fecha</th>
+                                                <th className="px-3 py-2">Hembra</th>
+                                                <th className="px-3 py-2">Tipo</th>
+                                                <th className="px-3 py-2">Toro / Pajuela</th>
+                                                <th className="px-3 py-2">Inseminador</th>
+                                                <th className="px-3 py-2"></th>
+                                            </tr>
+                                        </thead>
+                                        <tbody className="divide-y">
+                                            {porTipo('SERVICE').map(e => (
+                                                <tr key={e.id}>
+                                                    <td className="px-3 py-2">{formatDate(e.event_date)}</td>
+                                                    <td className="px-3 py-2 font-medium">{etiqueta(e.animal)}</td>
+                                                    <td className="px-3 py-2">{TIPOS_SERVICIO[e.service_type]}</td>
+                                                    <td className="px-3 py-2">
+                                                        {[e.sire ? etiqueta(e.sire) : null, e.sire_name, e.semen_straw].filter(Boolean).join(' - ') || '-'}
+                                                    </td>
+                                                    <td className="px-3 py-2 text-slate-500">{e.technician || '-'}</td>
+                                                    <td className="px-3 py-2 text-right">{accionEliminar(e)}</td>
+                                                </tr>
+                                            ))}
+                                        </tbody>
+                                    </table>
+                                </TabsContent>
+
+                                <TabsContent value="diagnosticos">
+                                    <table className="w-full text-sm text-left">
+                                        <thead className="bg-slate-50 border-b">
+                                            <tr>
+                                                <th className="px-3 py-2">Fecha</th>
+                                                <th className="px-3 py-2">Hembra</th>
+                                                <th className="px-3 py-2">Método</th>
+                                                <th className="px-3 py-2">Resultado</th>
+                                                <th className="px-3 py-2 text-right">Días</th>
+                                                <th className="px-3 py-2">Parto probable</th>
+                                                <th className="px-3 py-2"></th>
+                                            </tr>
+                                        </thead>
+                                        <tbody className="divide-y">
+                                            {porTipo('PREGNANCY_CHECK').map(e => (
+                                                <tr key={e.id}>
+                                                    <td className="px-3 py-2">{formatDate(e.event_date)}</td>
+                                                    <td className="px-3 py-2 font-medium">{etiqueta(e.animal)}</td>
+                                                    <td className="px-3 py-2">{METODOS_DIAGNOSTICO[e.diagnosis_method]}</td>
+                                                    <td className="px-3 py-2">
+                                                        <Badge className={`border-none ${e.diagnosis_result === 'PRENADA' ? 'bg-pink-100 text-pink-700' : 'bg-slate-100 text-slate-600'}`}>
+                                                            {RESULTADOS_DIAGNOSTICO[e.diagnosis_result]}
+                                                        </Badge>
+                                                    </td>
+                                                    <td className="px-3 py-2 text-right">{e.gestation_days ?? '-'}</td>
+                                                    <td className="px-3 py-2">{formatDate(e.expected_calving_date)}</td>
+                                                    <td className="px-3 py-2 text-right">{accionEliminar(e)}</td>
+                                                </tr>
+                                            ))}
+                                        </tbody>
+                                    </table>
+                                </TabsContent>
+
+                                <TabsContent value="partos">
+                                    <table className="w-full text-sm text-left">
+                                        <thead className="bg-slate-50 border-b">
+                                            <tr>
+                                                <th className="px-3 py-2">Fecha</th>
+                                                <th className="px-3 py-2">Madre</th>
+                                                <th className="px-3 py-2">Padre</th>
+                                                <th className="px-3 py-2">Ternero</th>
+                                                <th className="px-3 py-2">Parto</th>
+                                                <th className="px-3 py-2 text-right">Peso (kg)</th>
+                                                <th className="px-3 py-2"></th>
+                                            </tr>
+                                        </thead>
+                                        <tbody className="divide-y">
+                                            {porTipo('CALVING').map(e => (
+                                                <tr key={e.id}>
+                                                    <td className="px-3 py-2">{formatDate(e.event_date)}</td>
+                                                    <td className="px-3 py-2 font-medium">{etiqueta(e.animal)}</td>
+                                                    <td className="px-3 py-2">{e.sire ? etiqueta(e.sire) : e.sire_name || '-'}</td>
+                                                    <td className="px-3 py-2">
+                                                        {e.calf_alive
+                                                            ? `${e.calf ? etiqueta(e.calf) : 'Sin caravana'} ${e.calf_sex === 'M' ? '♂' : e.calf_sex === 'F' ? '♀' : ''}`
+                                                            : <span className="text-red-600">Muerto</span>}
+                                                    </td>
+                                                    <td className="px-3 py-2">{FACILIDAD_PARTO[e.calving_ease] || '-'}</td>
+                                                    <td className="px-3 py-2 text-right">{e.weight_kg ?? '-'}</td>
+                                                    <td className="px-3 py-2 text-right">{accionEliminar(e)}</td>
+                                                </tr>
+                                            ))}
+                                        </tbody>
+                                    </table>
+                                </TabsContent>
+
+                                <TabsContent value="destetes">
+                                    <table className="w-full text-sm text-left">
+                                        <thead className="bg-slate-50 border-b">
+                                            <tr>
+                                                <th className="px-3 py-2">Fecha</th>
+                                                <th className="px-3 py-2">Madre</th>
+                                                <th className="px-3 py-2">Ternero</th>
+                                                <th className="px-3 py-2 text-right">Peso (kg)</th>
+                                                <th className="px-3 py-2"></th>
+                                            </tr>
+                                        </thead>
+                                        <tbody className="divide-y">
+                                            {porTipo('WEANING').map(e => (
+                                                <tr key={e.id}>
+                                                    <td className="px-3 py-2">{formatDate(e.event_date)}</td>
+                                                    <td className="px-3 py-2 font-medium">{etiqueta(e.animal)}</td>
+                                                    <td className="px-3 py-2">{e.calf ? etiqueta(e.calf) : '-'}</td>
+                                                    <td className="px-3 py-2 text-right">{e.weight_kg ?? '-'}</td>
+                                                    <td className="px-3 py-2 text-right">{accionEliminar(e)}</td>
+                                                </tr>
+                                            ))}
+                                        </tbody>
+                                    </table>
+                                </TabsContent>
+                            </Tabs>
+                        )}
+                    </CardContent>
+                </Card>
+            )}
+
+            {/* Modal: Nueva temporada */}
+            <Dialog open={showNueva} onOpenChange={setShowNueva}>
+                <DialogContent className="max-w-md">
+                    <DialogHeader>
+                        <DialogTitle className="text-xl font-bold flex items-center gap-2">
+                            <HeartPulse className="text-pink-600" /> Nueva Temporada de Entore
+                        </DialogTitle>
+                    </DialogHeader>
+                    <div className="space-y-3">
+                        <select
+                            className="w-full px-3 py-2 border rounded-lg text-sm"
+                            value={nueva.herd_id}
+                            onChange={(e) => setNueva({ ...nueva, herd_id: e.target.value })}
+                        >
+                            <option value="">Selecciona rodeo...</option>
+                            {herds.map(h => <option key={h.id} value={h.id}>{h.name}</option>)}
+                        </select>
+                        <input
+                            type="text"
+                            placeholder="Nombre (ej. Entore 2026-2027)"
+                            className="w-full px-3 py-2 border rounded-lg text-sm"
+                            value={nueva.name}
+                            onChange={(e) => setNueva({ ...nueva, name: e.target.value })}
+                        />
+                        <div className="grid grid-cols-2 gap-3">
+                            <label className="text-xs font-bold text-slate-500 uppercase space-y-1">
+                                Inicio
+                                <input type="date" className="w-full px-3 py-2 border rounded-lg text-sm" value={nueva.start_date} onChange={(e) => setNueva({ ...nueva, start_date: e.target.value })} />
+                            </label>
+                            <label className="text-xs font-bold text-slate-500 uppercase space-y-1">
+                                Fin
+                                <input type="date" className="w-full px-3 py-2 border rounded-lg text-sm" value={nueva.end_date} onChange={(e) => setNueva({ ...nueva, end_date: e.target.value })} />
+                            </label>
+                        </div>
+                        <label className="text-xs font-bold text-slate-500 uppercase space-y-1 block">
+                            Vientres entorados
+                            <input
+                                type="number"
+                                min="0"
+                                placeholder="Si se deja vacío se cuentan las hembras con servicio"
+                                className="w-full px-3 py-2 border rounded-lg text-sm normal-case font-normal"
+                                value={nueva.females_exposed}
+                                onChange={(e) => setNueva({ ...nueva, females_exposed: e.target.value })}
+                            />
+                        </label>
+                    </div>
+                    <DialogFooter>
+                        <Button variant="outline" onClick={() => setShowNueva(false)}>Cancelar</Button>
+                        <Button className="bg-emerald-600 hover:bg-emerald-700" onClick={handleCrearTemporada}>Crear</Button>
+                    </DialogFooter>
+                </DialogContent>
+            </Dialog>
+
+            {temporada && (
+                <ReproductiveEventForm
+                    open={!!formTipo}
+                    onOpenChange={(open) => !open && setFormTipo(null)}
+                    tipo={formTipo}
+                    temporada={temporada}
+                    members={members}
+                    animals={animals}
+                    eventos={eventos}
+                    categories={categories}
+                    onSuccess={handleRegistrado}
+                />
+            )}
+        </div>
+    );
+}
@@ -0,0 +1,434 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { HeartPulse, Calendar, Save } from 'lucide-react';
+import { Button } from '../ui/button';
+import {
+    Dialog,
+    DialogContent,
+    DialogHeader,
+    DialogTitle,
+    DialogFooter,
+} from '../ui/dialog';
+import { toast } from 'sonner';
+import {
+    TIPOS_SERVICIO,
+    METODOS_DIAGNOSTICO,
+    RESULTADOS_DIAGNOSTICO,
+    FACILIDAD_PARTO,
+    registrarServicio,
+    registrarDiagnosticos,
+    registrarParto,
+    registrarDestete
+} from '../../services/reproduction';
+import { hoy } from '../../lib/fechas';
+
+const TITULOS = {
+    SERVICE: 'Registrar Servicio',
+    PREGNANCY_CHECK: 'Diagnóstico de Gestación',
+    CALVING: 'Registrar Parto',
+    WEANING: 'Registrar Destete'
+};
+
+/**
+ * Formulario de registros reproductivos de una temporada de entore
+ * (servicio, diagnóstico de gestación, parto y destete)
+ */
+export default function ReproductiveEventForm({
+    open,
+    onOpenChange,
+    tipo,
+    temporada,
+    members = [],
+    animals = [],
+    eventos = [],
+    categories = [],
+    onSuccess
+}) {
+    const [loading, setLoading] = useState(false);
+    const [formData, setFormData] = useState({});
+    const [seleccion, setSeleccion] = useState({});
+
+    const hembras = members.filter(m => m.sex === 'F');
+    const toros = animals.filter(a => a.sex === 'M');
+
+    // Último servicio de cada hembra (para proponer el padre en el parto)
+    const ultimoServicio = useMemo(() => {
+        const mapa = new Map();
+        eventos.filter(e => e.event_type === 'SERVICE').forEach(e => mapa.set(e.animal_id, e));
+        return mapa;
+    }, [eventos]);
+
+    // Partos con ternero vivo aún no destetado
+    const pendientesDestete = useMemo(() => {
+        const destetados = new Set(eventos.filter(e => e.event_type === 'WEANING').map(e => e.calf_id || `dam:${e.animal_id}`));
+        return eventos.filter(e =>
+            e.event_type === 'CALVING' && e.calf_alive &&
+            !destetados.has(e.calf_id || `dam:${e.animal_id}`)
+        );
+    }, [eventos]);
+
+    const servidas = useMemo(
+        () => hembras.filter(h => ultimoServicio.has(h.id)),
+        [hembras, ultimoServicio]
+    );
+
+    useEffect(() => {
+        if (!open) return;
+        setFormData({
+            event_date: hoy(),
+            service_type: 'NATURAL',
+            service_end_date: temporada?.end_date || '',
+            sire_id: '',
+            sire_name: '',
+            semen_straw: '',
+            technician: '',
+            diagnosis_method: 'TACTO',
+            dam_id: '',
+            calf_sex: '',
+            weight_kg: '',
+            calving_ease: 'NORMAL',
+            calf_alive: true,
+            calf_visual_tag: '',
+            calf_category_id: '',
+            notes: ''
+        });
+        setSeleccion({});
+    }, [open, tipo, temporada?.id]);
+
+    const set = (campo, valor) => setFormData(prev => ({ ...prev, [campo]: valor }));
+    const setFila = (id, campo, valor) => setSeleccion(prev => ({ ...prev, [id]: { ...prev[id], [campo]: valor } }));
+
+    const handleDamChange = (damId) => {
+        const servicio = ultimoServicio.get(damId);
+        setFormData(prev => ({
+            ...prev,
+            dam_id: damId,
+            sire_id: servicio?.sire_id || '',
+            sire_name: servicio?.sire_name || ''
+        }));
+    };
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        if (!formData.event_date) {
+            toast.error('La fecha es obligatoria');
+            return;
+        }
+
+        const userId = localStorage.getItem('currentUser') || null;
+        setLoading(true);
+        try {
+            if (tipo === 'SERVICE') {
+                const animalIds = Object.keys(seleccion).filter(id => seleccion[id]?.checked);
+                await registrarServicio(temporada, { ...formData, animalIds }, userId);
+                toast.success(`Servicio registrado para ${animalIds.length} hembra(s)`);
+            } else if (tipo === 'PREGNANCY_CHECK') {
+                const diagnosticos = Object.entries(seleccion)
+                    .filter(([, fila]) => fila?.result)
+                    .map(([animalId, fila]) => ({ animalId, result: fila.result, gestation_days: fila.gestation_days }));
+                await registrarDiagnosticos(temporada, { ...formData, diagnosticos }, userId);
+                toast.success(`${diagnosticos.length} diagnóstico(s) registrados`);
+            } else if (tipo === 'CALVING') {
+                const dam = members.find(m => m.id === formData.dam_id);
+                await registrarParto(temporada, { ...formData, dam }, userId);
+                toast.success(formData.calf_alive
+                    ? 'Parto registrado. El nacimiento quedó pendiente de aprobación'
+                    : 'Parto registrado');
+            } else if (tipo === 'WEANING') {
+                const terneros = pendientesDestete
+                    .filter(p => seleccion[p.id]?.checked)
+                    .map(p => ({ damId: p.animal_id, calfId: p.calf_id, weight_kg: seleccion[p.id]?.weight_kg }));
+                await registrarDestete(temporada, { ...formData, terneros }, userId);
+                toast.success(`Destete registrado: ${terneros.length} ternero(s)`);
+            }
+
+            if (onSuccess) onSuccess();
+            onOpenChange(false);
+        } catch (error) {
+            console.error('Error registering reproductive event:', error);
+            toast.error(error.message || 'Error al registrar');
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const inputClass = 'w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-emerald-500 outline-none bg-white text-sm';
+    const labelClass = 'text-xs font-bold text-slate-500 uppercase';
+
+    const etiqueta = (a) => a?.visual_tag || a?.rfid_tag || 'S/N';
+
+    return (
+        <Dialog open={open} onOpenChange={onOpenChange}>
+            <DialogContent className="max-w-3xl">
+                <DialogHeader>
+                    <DialogTitle className="text-xl font-bold flex items-center gap-2">
+                        <HeartPulse className="text-pink-600" />
+                        {TITULOS[tipo]} - {temporada?.name}
+                    </DialogTitle>
+                </DialogHeader>
+
+                <form onSubmit={handleSubmit} className="space-y-4 pt-2 max-h-[70vh] overflow-y-auto">
+                    <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                        <div className="space-y-1">
+                            <label className={labelClass}>Fecha</label>
+                            <div className="relative">
+                                <Calendar className="absolute left-3 top-1/2 -translate-y-1/2 text-slate-400 w-4 h-4" />
+                                <input
+                                    type="date"
+                                    className={`${inputClass} pl-10`}
+                                    value={formData.event_date || ''}
+                                    onChange={(e) => set('event_date', e.target.value)}
+                                />
+                            </div>
+                        </div>
+
+                        {tipo === 'SERVICE' && (
+                            <div className="space-y-1">
+                                <label className={labelClass}>Tipo de servicio</label>
+                                <select className={inputClass} value={formData.service_type} onChange={(e) => set('service_type', e.target.value)}>
+                                    {Object.entries(TIPOS_SERVICIO).map(([id, label]) => (
+                                        <option key={id} value={id}>{label}</option>
+                                    ))}
+                                </select>
+                            </div>
+                        )}
+
+                        {tipo === 'SERVICE' && formData.service_type === 'NATURAL' && (
+                            <div className="space-y-1">
+                                <label className={labelClass}>Retiro de toros</label>
+                                <input type="date" className={inputClass} value={formData.service_end_date || ''} onChange={(e) => set('service_end_date', e.target.value)} />
+                            </div>
+                        )}
+
+                        {tipo === 'PREGNANCY_CHECK' && (
+                            <div className="space-y-1">
+                                <label className={labelClass}>Método</label>
+                                <select className={inputClass} value={formData.diagnosis_method} onChange={(e) => set('diagnosis_method', e.target.value)}>
+                                    {Object.entries(METODOS_DIAGNOSTICO).map(([id, label]) => (
+                                        <option key={id} value={id}>{label}</option>
+                                    ))}
+                                </select>
+                            </div>
+                        )}
+
+                        {(tipo === 'SERVICE' && formData.service_type !== 'NATURAL' || tipo === 'PREGNANCY_CHECK') && (
+                            <div className="space-y-1">
+                                <label className={labelClass}>{tipo === 'SERVICE' ? 'Inseminador' : 'Veterinario'}</label>
+                                <input type="text" className={inputClass} value={formData.technician || ''} onChange={(e) => set('technician', e.target.value)} />
+                            </div>
+                        )}
+                    </div>
+
+                    {/* Padre: toro propio o pajuela */}
+                    {(tipo === 'SERVICE' || tipo === 'CALVING') && (
+                        <div className="grid grid-cols-1 md:grid-cols-3 gap-4 p-4 bg-slate-50 rounded-xl border border-slate-100">
+                            {tipo === 'CALVING' && (
+                                <div className="space-y-1">
+                                    <label className={labelClass}>Madre</label>
+                                    <select className={inputClass} value={formData.dam_id} onChange={(e) => handleDamChange(e.target.value)} required>
+                                        <option value="">Selecciona...</option>
+                                        {hembras.map(h => (
+                                            <option key={h.id} value={h.id}>{etiqueta(h)}</option>
+                                        ))}
+                                    </select>
+                                </div>
+                            )}
+                            <div className="space-y-1">
+                                <label className={labelClass}>Toro</label>
+                                <select className={inputClass} value={formData.sire_id} onChange={(e) => set('sire_id', e.target.value)}>
+                                    <option value="">{tipo === 'SERVICE' && formData.service_type !== 'NATURAL' ? 'Semen externo' : 'Sin identificar'}</option>
+                                    {toros.map(t => (
+                                        <option key={t.id} value={t.id}>{etiqueta(t)} {t.breed ? `(${t.breed})` : ''}</option>
+                                    ))}
+                                </select>
+                            </div>
+                            <div className="space-y-1">
+                                <label className={labelClass}>Nombre / HBU del padre</label>
+                                <input type="text" className={inputClass} value={formData.sire_name || ''} onChange={(e) => set('sire_name', e.target.value)} />
+                            </div>
+                            {tipo === 'SERVICE' && formData.service_type !== 'NATURAL' && (
+                                <div className="space-y-1">
+                                    <label className={labelClass}>Pajuela (código)</label>
+                                    <input type="text" className={inputClass} value={formData.semen_straw || ''} onChange={(e) => set('semen_straw', e.target.value)} />
+                                </div>
+                            )}
+                        </div>
+                    )}
+
+                    {/* Hembras servidas */}
+                    {tipo === 'SERVICE' && (
+                        <div className="border rounded-xl divide-y max-h-64 overflow-y-auto">
+                            {hembras.length === 0 && (
+                                <p className="p-4 text-sm text-slate-400 italic">El rodeo no tiene hembras activas</p>
+                            )}
+                            {hembras.map(h => (
+                                <label key={h.id} className="flex items-center gap-3 px-4 py-2 text-sm cursor-pointer hover:bg-slate-50">
+                                    <input
+                                        type="checkbox"
+                                        checked={!!seleccion[h.id]?.checked}
+                                        onChange={(e) => setFila(h.id, 'checked', e.target.checked)}
+                                    />
+                                    <span className="font-medium">{etiqueta(h)}</span>
+                                    <span className="text-xs text-slate-400">{h.current_category?.name}</span>
+                                    {ultimoServicio.has(h.id) && (
+                                        <span className="text-xs text-pink-600 ml-auto">Ya servida</span>
+                                    )}
+                                </label>
+                            ))}
+                        </div>
+                    )}
+
+                    {/* Diagnóstico por hembra servida */}
+                    {tipo === 'PREGNANCY_CHECK' && (
+                        <table className="w-full text-sm text-left border rounded-xl">
+                            <thead className="bg-slate-50 border-b">
+                                <tr>
+                                    <th className="px-3 py-2 font-bold text-slate-700">Hembra</th>
+                                    <th className="px-3 py-2 font-bold text-slate-700">Resultado</th>
+                                    <th className="px-3 py-2 font-bold text-slate-700">Días de gestación</th>
+                                </tr>
+                            </thead>
+                            <tbody className="divide-y">
+                                {(servidas.length > 0 ? servidas : hembras).map(h => (
+                                    <tr key={h.id}>
+                                        <td className="px-3 py-2 font-medium">{etiqueta(h)}</td>
+                                        <td className="px-3 py-2">
+                                            <select
+                                                className="border rounded px-2 py-1 text-xs"
+                                                value={seleccion[h.id]?.result || ''}
+                                                onChange={(e) => setFila(h.id, 'result', e.target.value)}
+                                            >
+                                                <option value="">Sin diagnosticar</option>
+                                                {Object.entries(RESULTADOS_DIAGNOSTICO).map(([id, label]) => (
+                                                    <option key={id} value={id}>{label}</option>
+                                                ))}
+                                            </select>
+                                        </td>
+                                        <td className="px-3 py-2">
+                                            <input
+                                                type="number"
+                                                min="0"
+                                                max="290"
+                                                className="border rounded px-2 py-1 text-xs w-24"
+                                                disabled={seleccion[h.id]?.result !== 'PRENADA'}
+                                                value={seleccion[h.id]?.gestation_days || ''}
+                                                onChange={(e) => setFila(h.id, 'gestation_days', e.target.value)}
+                                            />
+                                        </td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    )}
+
+                    {/* Datos del parto y el ternero */}
+                    {tipo === 'CALVING' && (
+                        <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                            <div className="space-y-1">
+                                <label className={labelClass}>Facilidad de parto</label>
+                                <select className={inputClass} value={formData.calving_ease} onChange={(e) => set('calving_ease', e.target.value)}>
+                                    {Object.entries(FACILIDAD_PARTO).map(([id, label]) => (
+                                        <option key={id} value={id}>{label}</option>
+                                    ))}
+                                </select>
+                            </div>
+                            <div className="space-y-1">
+                                <label className={labelClass}>Sexo del ternero</label>
+                                <select className={inputClass} value={formData.calf_sex} onChange={(e) => set('calf_sex', e.target.value)}>
+                                    <option value="">-</option>
+                                    <option value="M">Macho</option>
+                                    <option value="F">Hembra</option>
+                                </select>
+                            </div>
+                            <div className="space-y-1">
+                                <label className={labelClass}>Peso al nacer (kg)</label>
+                                <input type="number" step="0.1" className={inputClass} value={formData.weight_kg} onChange={(e) => set('weight_kg', e.target.value)} />
+                            </div>
+                            <label className="flex items-center gap-2 text-sm font-medium text-slate-700">
+                                <input type="checkbox" checked={formData.calf_alive} onChange={(e) => set('calf_alive', e.target.checked)} />
+                                Ternero vivo
+                            </label>
+                            {formData.calf_alive && (
+                                <>
+                                    <div className="space-y-1">
+                                        <label className={labelClass}>Caravana del ternero</label>
+                                        <input type="text" className={inputClass} value={formData.calf_visual_tag} onChange={(e) => set('calf_visual_tag', e.target.value)} placeholder="Opcional: da de alta al animal" />
+                                    </div>
+                                    <div className="space-y-1">
+                                        <label className={labelClass}>Categoría</label>
+                                        <select className={inputClass} value={formData.calf_category_id} onChange={(e) => set('calf_category_id', e.target.value)}>
+                                            <option value="">Selecciona...</option>
+                                            {categories.map(c => (
+                                                <option key={c.id} value={c.id}>{c.name}</option>
+                                            ))}
+                                        </select>
+                                    </div>
+                                </>
+                            )}
+                        </div>
+                    )}
+
+                    {/* Terneros a destetar */}
+                    {tipo === 'WEANING' && (
+                        <table className="w-full text-sm text-left border rounded-xl">
+                            <thead className="bg-slate-50 border-b">
+                                <tr>
+                                    <th className="px-3 py-2 font-bold text-slate-700"></th>
+                                    <th className="px-3 py-2 font-bold text-slate-700">Madre</th>
+                                    <th className="px-3 py-2 font-bold text-slate-700">Ternero</th>
+                                    <th className="px-3 py-2 font-bold text-slate-700">Nacimiento</th>
+                                    <th className="px-3 py-2 font-bold text-slate-700">Peso destete (kg)</th>
+                                </tr>
+                            </thead>
+                            <tbody className="divide-y">
+                                {pendientesDestete.length === 0 && (
+                                    <tr>
+                                        <td colSpan="5" className="px-3 py-6 text-center text-slate-400 italic">
+                                            No hay terneros vivos pendientes de destete en la temporada
+                                        </td>
+                                    </tr>
+                                )}
+                                {pendientesDestete.map(p => (
+                                    <tr key={p.id}>
+                                        <td className="px-3 py-2">
+                                            <input
+                                                type="checkbox"
+                                                checked={!!seleccion[p.id]?.checked}
+                                                onChange={(e) => setFila(p.id, 'checked', e.target.checked)}
+                                            />
+                                        </td>
+                                        <td className="px-3 py-2">{etiqueta(p.animal)}</td>
+                                        <td className="px-3 py-2">{p.calf ? etiqueta(p.calf) : <span className="text-slate-400">Sin caravana</span>}</td>
+                                        <td className="px-3 py-2 text-slate-500">{new Date(p.event_date + 'T00:00:00').toLocaleDateString('es-UY')}</td>
+                                        <td className="px-3 py-2">
+                                            <input
+                                                type="number"
+                                                step="0.1"
+                                                className="border rounded px-2 py-1 text-xs w-24"
+                                                value={seleccion[p.id]?.weight_kg || ''}
+                                                onChange={(e) => setFila(p.id, 'weight_kg', e.target.value)}
+                                            />
+                                        </td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    )}
+
+                    <div className="space-y-1">
+                        <label className={labelClass}>Observaciones</label>
+                        <textarea className={inputClass} rows={2} value={formData.notes || ''} onChange={(e) => set('notes', e.target.value)} />
+                    </div>
+
+                    <DialogFooter>
+                        <Button type="button" variant="outline" onClick={() => onOpenChange(false)} disabled={loading}>
+                            Cancelar
+                        </Button>
+                        <Button type="submit" disabled={loading} className="bg-emerald-600 hover:bg-emerald-700 gap-2">
+                            <Save size={16} /> {loading ? 'Guardando...' : 'Guardar'}
+                        </Button>
+                    </DialogFooter>
+                </form>
+            </DialogContent>
+        </Dialog>
+    );
+}
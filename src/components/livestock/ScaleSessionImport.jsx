@@ -0,0 +1,232 @@
+import React, { useState, useMemo } from 'react';
+import { Upload, X, Loader2, Scale, AlertTriangle, CheckCircle } from 'lucide-react';
+import { Button } from '../ui/button';
+import { Badge } from '../ui/badge';
+import { toast } from 'sonner';
+import {
+    parsearArchivoBalanza,
+    emparejarLecturas,
+    registrarSesionPesaje
+} from '../../services/scaleSessions';
+
+/**
+ * Importa la sesión exportada por el cabezal de la balanza (Tru-Test / Gallagher)
+ * y crea un pesaje individual por cada animal del rodeo identificado
+ */
+export default function ScaleSessionImport({ herd, members, onClose, onSuccess }) {
+    const [archivo, setArchivo] = useState(null);
+    const [resultado, setResultado] = useState(null);
+    const [fecha, setFecha] = useState(new Date().toISOString().split('T')[0]);
+    const [submitting, setSubmitting] = useState(false);
+
+    const emparejamiento = useMemo(
+        () => (resultado ? emparejarLecturas(resultado.lecturas, members) : null),
+        [resultado, members]
+    );
+
+    const handleFile = async (e) => {
+        const file = e.target.files?.[0];
+        if (!file) return;
+
+        try {
+            const texto = await file.text();
+            const parseado = parsearArchivoBalanza(texto, file.name);
+            setArchivo(file.name);
+            setResultado(parseado);
+
+            // La fecha de la sesión sale del archivo si el cabezal la exporta
+            const fechaArchivo = parseado.lecturas.find(l => l.fecha)?.fecha;
+            if (fechaArchivo) setFecha(fechaArchivo);
+
+            if (parseado.lecturas.length === 0) {
+                toast.error(parseado.errores[0] || 'El archivo no tiene lecturas válidas');
+            }
+        } catch (error) {
+            console.error('Error reading scale file:', error);
+            toast.error('No se pudo leer el archivo de la balanza');
+        }
+    };
+
+    const handleSubmit = async () => {
+        setSubmitting(true);
+        try {
+            const { eventos } = await registrarSesionPesaje({
+                herd,
+                fecha,
+                nombreArchivo: archivo,
+                formato: resultado.formato,
+                lecturas: resultado.lecturas,
+                emparejadas: emparejamiento.emparejadas,
+                sinEmparejar: emparejamiento.sinEmparejar,
+                userId: localStorage.getItem('currentUser') || null
+            });
+            toast.success(`Sesión importada: ${eventos.length} pesaje(s) enviados a aprobación`);
+            if (emparejamiento.sinEmparejar.length > 0) {
+                toast.warning(`${emparejamiento.sinEmparejar.length} lectura(s) sin emparejar para resolver`);
+            }
+            if (onSuccess) onSuccess();
+            onClose();
+        } catch (error) {
+            console.error('Error importing scale session:', error);
+            toast.error('Error al importar la sesión: ' + error.message);
+        } finally {
+            setSubmitting(false);
+        }
+    };
+
+    const pesos = emparejamiento?.emparejadas.map(e => e.lectura.peso) || [];
+    const promedio = pesos.length > 0 ? pesos.reduce((s, p) => s + p, 0) / pesos.length : 0;
+
+    return (
+        <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50 p-4">
+            <div className="bg-white rounded-2xl shadow-2xl w-full max-w-3xl max-h-[90vh] flex flex-col">
+                {/* Header */}
+                <div className="p-6 border-b border-slate-200 flex items-center justify-between">
+                    <div>
+                        <h2 className="text-2xl font-bold text-slate-900 flex items-center gap-2">
+                            <Scale className="text-emerald-600" /> Importar Sesión de Balanza
+                        </h2>
+                        <p className="text-sm text-slate-500 mt-1">
+                            Rodeo: {herd?.name} • Archivo CSV o XML exportado por Tru-Test / Gallagher
+                        </p>
+                    </div>
+                    <button
+                        onClick={onClose}
+                        className="p-2 hover:bg-slate-100 rounded-full transition-colors"
+                    >
+                        <X size={20} className="text-slate-400" />
+                    </button>
+                </div>
+
+                <div className="flex-1 overflow-y-auto p-6 space-y-4">
+                    <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                        <label className="flex flex-col gap-1 text-sm font-medium text-slate-700">
+                            Archivo de sesión
+                            <input
+                                type="file"
+                                accept=".csv,.txt,.xml"
+                                onChange={handleFile}
+                                className="text-sm border border-slate-200 rounded-lg p-2"
+                            />
+                        </label>
+                        <label className="flex flex-col gap-1 text-sm font-medium text-slate-700">
+                            Fecha de la sesión
+                            <input
+                                type="date"
+                                value={fecha}
+                                onChange={(e) => setFecha(e.target.value)}
+                                className="border border-slate-200 rounded-lg p-2 text-sm"
+                            />
+                        </label>
+                    </div>
+
+                    {emparejamiento && (
+                        <>
+                            <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+                                <div className="p-3 bg-slate-50 rounded-lg">
+                                    <p className="text-xs text-slate-500 uppercase font-bold">Lecturas</p>
+                                    <p className="text-xl font-black text-slate-700">{resultado.lecturas.length}</p>
+                                </div>
+                                <div className="p-3 bg-emerald-50 rounded-lg">
+                                    <p className="text-xs text-slate-500 uppercase font-bold">Emparejadas</p>
+                                    <p className="text-xl font-black text-emerald-600">{emparejamiento.emparejadas.length}</p>
+                                </div>
+                                <div className="p-3 bg-amber-50 rounded-lg">
+                                    <p className="text-xs text-slate-500 uppercase font-bold">Sin emparejar</p>
+                                    <p className="text-xl font-black text-amber-600">{emparejamiento.sinEmparejar.length}</p>
+                                </div>
+                                <div className="p-3 bg-slate-50 rounded-lg">
+                                    <p className="text-xs text-slate-500 uppercase font-bold">Peso Promedio</p>
+                                    <p className="text-xl font-black text-slate-700">{promedio.toFixed(1)} kg</p>
+                                </div>
+                            </div>
+
+                            {(resultado.errores.length > 0 || emparejamiento.repetidas.length > 0) && (
+                                <div className="p-3 bg-amber-50 border border-amber-200 rounded text-xs text-amber-800 space-y-1">
+                                    {emparejamiento.repetidas.length > 0 && (
+                                        <p className="flex items-center gap-1">
+                                            <AlertTriangle size={12} />
+                                            {emparejamiento.repetidas.length} animal(es) leídos más de una vez: se toma la última lectura
+                                        </p>
+                                    )}
+                                    {resultado.errores.slice(0, 5).map((err, idx) => (
+                                        <p key={idx}>{err}</p>
+                                    ))}
+                                    {resultado.errores.length > 5 && (
+                                        <p>... y {resultado.errores.length - 5} línea(s) más descartadas</p>
+                                    )}
+                                </div>
+                            )}
+
+                            <table className="w-full text-sm text-left">
+                                <thead className="bg-slate-50 border-b border-slate-200">
+                                    <tr>
+                                        <th className="px-3 py-2 font-bold text-slate-700">RFID</th>
+                                        <th className="px-3 py-2 font-bold text-slate-700">Caravana</th>
+                                        <th className="px-3 py-2 font-bold text-slate-700 text-right">Peso (kg)</th>
+                                        <th className="px-3 py-2 font-bold text-slate-700">Animal</th>
+                                    </tr>
+                                </thead>
+                                <tbody className="divide-y divide-slate-100">
+                                    {emparejamiento.sinEmparejar.map((lectura) => (
+                                        <tr key={`s-${lectura.linea}`} className="bg-amber-50/50">
+                                            <td className="px-3 py-2 font-mono text-xs">{lectura.rfid || '-'}</td>
+                                            <td className="px-3 py-2">{lectura.visual || '-'}</td>
+                                            <td className="px-3 py-2 text-right">{lectura.peso}</td>
+                                            <td className="px-3 py-2">
+                                                <Badge variant="outline" className="text-amber-700 border-amber-300 text-xs">
+                                                    Sin emparejar
+                                                </Badge>
+                                            </td>
+                                        </tr>
+                                    ))}
+                                    {emparejamiento.emparejadas.map(({ lectura, animal }) => (
+                                        <tr key={`e-${lectura.linea}`}>
+                                            <td className="px-3 py-2 font-mono text-xs">{lectura.rfid || '-'}</td>
+                                            <td className="px-3 py-2">{lectura.visual || '-'}</td>
+                                            <td className="px-3 py-2 text-right">{lectura.peso}</td>
+                                            <td className="px-3 py-2">
+                                                <span className="flex items-center gap-1 text-emerald-700 text-xs font-medium">
+                                                    <CheckCircle size={12} /> {animal.visual_tag || animal.rfid_tag}
+                                                </span>
+                                            </td>
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
+                        </>
+                    )}
+                </div>
+
+                {/* Footer */}
+                <div className="p-6 border-t border-slate-200 flex gap-3">
+                    <Button
+                        variant="outline"
+                        onClick={onClose}
+                        disabled={submitting}
+                        className="flex-1"
+                    >
+                        Cancelar
+                    </Button>
+                    <Button
+                        onClick={handleSubmit}
+                        disabled={submitting || !fecha || !emparejamiento || emparejamiento.emparejadas.length === 0}
+                        className="flex-1 bg-emerald-600 hover:bg-emerald-700 gap-2"
+                    >
+                        {submitting ? (
+                            <>
+                                <Loader2 className="animate-spin" size={16} />
+                                Importando...
+                            </>
+                        ) : (
+                            <>
+                                <Upload size={16} />
+                                Registrar {emparejamiento?.emparejadas.length || 0} pesaje(s)
+                            </>
+                        )}
+                    </Button>
+                </div>
+            </div>
+        </div>
+    );
+}
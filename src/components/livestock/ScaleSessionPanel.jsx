@@ -0,0 +1,283 @@
+import React, { useState, useEffect } from 'react';
+import { BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer } from 'recharts';
+import { Scale, Loader2, AlertTriangle, Check, Trash2 } from 'lucide-react';
+import { Button } from '../ui/button';
+import { Card, CardContent } from '../ui/card';
+import { Badge } from '../ui/badge';
+import { toast } from 'sonner';
+import {
+    obtenerSesionesPesaje,
+    obtenerDetalleSesion,
+    resolverLecturaPendiente,
+    descartarLecturaPendiente
+} from '../../services/scaleSessions';
+
+const STATUS_LABELS = {
+    'PENDING': 'Pendiente',
+    'APPROVED': 'Aprobado',
+    'REJECTED': 'Rechazado'
+};
+
+/**
+ * Sesiones de balanza del rodeo: distribución de pesos, ganancia diaria por animal
+ * y resolución de lecturas que no se pudieron emparejar
+ */
+export default function ScaleSessionPanel({ herd, members, reloadKey, onChange }) {
+    const [sesiones, setSesiones] = useState([]);
+    const [sesionId, setSesionId] = useState('');
+    const [detalle, setDetalle] = useState(null);
+    const [loading, setLoading] = useState(false);
+    const [asignaciones, setAsignaciones] = useState({});
+    const [resolviendo, setResolviendo] = useState(null);
+
+    const sesion = sesiones.find(s => s.id === sesionId) || null;
+
+    useEffect(() => {
+        if (herd?.id) loadSesiones();
+    }, [herd?.id, reloadKey]);
+
+    useEffect(() => {
+        if (sesion) loadDetalle(sesion);
+        else setDetalle(null);
+    }, [sesionId, sesion?.matched_count]);
+
+    async function loadSesiones() {
+        try {
+            const data = await obtenerSesionesPesaje(herd.id);
+            setSesiones(data);
+            setSesionId(prev => (data.some(s => s.id === prev) ? prev : data[0]?.id || ''));
+        } catch (error) {
+            console.error('Error loading weighing sessions:', error);
+            toast.error('Error al cargar sesiones de balanza');
+        }
+    }
+
+    async function loadDetalle(s) {
+        setLoading(true);
+        try {
+            setDetalle(await obtenerDetalleSesion(s));
+        } catch (error) {
+            toast.error('Error al cargar el detalle de la sesión');
+        } finally {
+            setLoading(false);
+        }
+    }
+
+    const actualizarSesion = (actualizada) => {
+        setSesiones(prev => prev.map(s => (s.id === actualizada.id ? actualizada : s)));
+    };
+
+    const handleResolver = async (lectura) => {
+        const animal = members.find(m => m.id === asignaciones[lectura.linea]);
+        if (!animal) {
+            toast.error('Selecciona el animal al que corresponde la lectura');
+            return;
+        }
+        setResolviendo(lectura.linea);
+        try {
+            actualizarSesion(await resolverLecturaPendiente({ sesion, lectura, animal }));
+            toast.success(`Pesaje de ${lectura.peso} kg asignado a ${animal.visual_tag || animal.rfid_tag}`);
+            if (onChange) onChange();
+        } catch (error) {
+            toast.error('Error al asignar la lectura: ' + error.message);
+        } finally {
+            setResolviendo(null);
+        }
+    };
+
+    const handleDescartar = async (lectura) => {
+        if (!window.confirm(`¿Descartar la lectura ${lectura.rfid || lectura.visual} (${lectura.peso} kg)?`)) return;
+        setResolviendo(lectura.linea);
+        try {
+            actualizarSesion(await descartarLecturaPendiente(sesion, lectura));
+            toast.success('Lectura descartada');
+        } catch (error) {
+            toast.error('Error al descartar la lectura');
+        } finally {
+            setResolviendo(null);
+        }
+    };
+
+    if (sesiones.length === 0) return null;
+
+    // Animales del rodeo que todavía no tienen pesada en esta sesión
+    const pesados = new Set((detalle?.animales || []).map(a => a.animal_id));
+    const sinPesar = members.filter(m => !pesados.has(m.id));
+    const pendientes = sesion?.unmatched || [];
+
+    return (
+        <Card className="border-slate-200 shadow-sm">
+            <CardContent className="p-4 space-y-4">
+                <div className="flex flex-col md:flex-row md:items-center justify-between gap-3">
+                    <div className="flex items-center gap-2">
+                        <Scale size={18} className="text-emerald-600" />
+                        <h3 className="font-bold text-slate-900">Sesión de Balanza</h3>
+                        {pendientes.length > 0 && (
+                            <Badge className="bg-amber-100 text-amber-700 border-none">
+                                {pendientes.length} sin emparejar
+                            </Badge>
+                        )}
+                    </div>
+                    <select
+                        value={sesionId}
+                        onChange={(e) => setSesionId(e.target.value)}
+                        className="border border-slate-200 rounded-lg px-3 py-2 text-sm"
+                    >
+                        {sesiones.map(s => (
+                            <option key={s.id} value={s.id}>
+                                {new Date(s.session_date + 'T00:00:00').toLocaleDateString('es-UY')} - {s.source_file || 'Sin archivo'} ({s.matched_count})
+                            </option>
+                        ))}
+                    </select>
+                </div>
+
+                {loading || !detalle ? (
+                    <div className="flex items-center justify-center py-10">
+                        <Loader2 className="animate-spin text-emerald-600 w-8 h-8" />
+                    </div>
+                ) : (
+                    <>
+                        <div className="grid grid-cols-2 md:grid-cols-5 gap-3">
+                            <div className="p-3 bg-slate-50 rounded-lg">
+                                <p className="text-xs text-slate-500 uppercase font-bold">Pesados</p>
+                                <p className="text-lg font-black text-slate-700">{detalle.resumen.animales}</p>
+                            </div>
+                            <div className="p-3 bg-emerald-50 rounded-lg">
+                                <p className="text-xs text-slate-500 uppercase font-bold">Promedio</p>
+                                <p className="text-lg font-black text-emerald-600">{detalle.resumen.peso_promedio} kg</p>
+                            </div>
+                            <div className="p-3 bg-slate-50 rounded-lg">
+                                <p className="text-xs text-slate-500 uppercase font-bold">Mín / Máx</p>
+                                <p className="text-lg font-black text-slate-700">
+                                    {detalle.resumen.peso_minimo} / {detalle.resumen.peso_maximo}
+                                </p>
+                            </div>
+                            <div className="p-3 bg-slate-50 rounded-lg">
+                                <p className="text-xs text-slate-500 uppercase font-bold">Desvío</p>
+                                <p className="text-lg font-black text-slate-700">{detalle.resumen.desvio} kg</p>
+                            </div>
+                            <div className="p-3 bg-blue-50 rounded-lg">
+                                <p className="text-xs text-slate-500 uppercase font-bold">GDP Promedio</p>
+                                <p className="text-lg font-black text-blue-600">
+                                    {detalle.resumen.ganancia_promedio !== null
+                                        ? `${detalle.resumen.ganancia_promedio.toFixed(3)} kg/día`
+                                        : '-'}
+                                </p>
+                            </div>
+                        </div>
+
+                        <div className="grid grid-cols-1 lg:grid-cols-2 gap-4">
+                            {/* Distribución de pesos */}
+                            <div>
+                                <p className="text-xs text-slate-500 font-bold uppercase mb-2">Distribución de pesos (kg)</p>
+                                <ResponsiveContainer width="100%" height={240}>
+                                    <BarChart data={detalle.distribucion}>
+                                        <CartesianGrid strokeDasharray="3 3" stroke="#e2e8f0" />
+                                        <XAxis dataKey="rango" stroke="#94a3b8" style={{ fontSize: '11px' }} />
+                                        <YAxis allowDecimals={false} stroke="#94a3b8" style={{ fontSize: '11px' }} />
+                                        <Tooltip formatter={(value) => [`${value} animal(es)`, 'Cantidad']} />
+                                        <Bar dataKey="cantidad" fill="#10b981" radius={[4, 4, 0, 0]} />
+                                    </BarChart>
+                                </ResponsiveContainer>
+                            </div>
+
+                            {/* Ganancia diaria por animal */}
+                            <div className="max-h-64 overflow-y-auto">
+                                <table className="w-full text-sm text-left">
+                                    <thead className="bg-slate-50 border-b border-slate-200 sticky top-0">
+                                        <tr>
+                                            <th className="px-3 py-2 font-bold text-slate-700">Caravana</th>
+                                            <th className="px-3 py-2 font-bold text-slate-700 text-right">Peso</th>
+                                            <th className="px-3 py-2 font-bold text-slate-700 text-right">Anterior</th>
+                                            <th className="px-3 py-2 font-bold text-slate-700 text-right">Días</th>
+                                            <th className="px-3 py-2 font-bold text-slate-700 text-right">GDP (kg/día)</th>
+                                            <th className="px-3 py-2 font-bold text-slate-700">Estado</th>
+                                        </tr>
+                                    </thead>
+                                    <tbody className="divide-y divide-slate-100">
+                                        {detalle.animales.map(a => (
+                                            <tr key={a.event_id}>
+                                                <td className="px-3 py-2 font-medium">{a.visual_tag || a.rfid_tag || 'S/N'}</td>
+                                                <td className="px-3 py-2 text-right">{a.peso}</td>
+                                                <td className="px-3 py-2 text-right text-slate-500">{a.peso_anterior ?? '-'}</td>
+                                                <td className="px-3 py-2 text-right text-slate-500">{a.dias ?? '-'}</td>
+                                                <td className={`px-3 py-2 text-right font-bold ${
+                                                    a.ganancia_diaria === null ? 'text-slate-400'
+                                                        : a.ganancia_diaria < 0 ? 'text-red-600' : 'text-emerald-600'
+                                                }`}>
+                                                    {a.ganancia_diaria !== null ? a.ganancia_diaria.toFixed(3) : '-'}
+                                                </td>
+                                                <td className="px-3 py-2">
+                                                    <Badge variant="outline" className="text-[10px]">
+                                                        {STATUS_LABELS[a.status] || a.status}
+                                                    </Badge>
+                                                </td>
+                                            </tr>
+                                        ))}
+                                    </tbody>
+                                </table>
+                            </div>
+                        </div>
+                    </>
+                )}
+
+                {/* Lecturas sin emparejar */}
+                {pendientes.length > 0 && (
+                    <div className="border border-amber-200 rounded-lg">
+                        <div className="px-3 py-2 bg-amber-50 text-amber-800 text-sm font-bold flex items-center gap-2">
+                            <AlertTriangle size={14} />
+                            Lecturas sin emparejar: asigna cada una a un animal del rodeo o descártala
+                        </div>
+                        <table className="w-full text-sm text-left">
+                            <tbody className="divide-y divide-slate-100">
+                                {pendientes.map(lectura => (
+                                    <tr key={lectura.linea}>
+                                        <td className="px-3 py-2 font-mono text-xs">{lectura.rfid || '-'}</td>
+                                        <td className="px-3 py-2">{lectura.visual || '-'}</td>
+                                        <td className="px-3 py-2 text-right font-bold">{lectura.peso} kg</td>
+                                        <td className="px-3 py-2">
+                                            <select
+                                                value={asignaciones[lectura.linea] || ''}
+                                                onChange={(e) => setAsignaciones(prev => ({ ...prev, [lectura.linea]: e.target.value }))}
+                                                className="border border-slate-200 rounded px-2 py-1 text-xs w-full"
+                                            >
+                                                <option value="">Selecciona animal...</option>
+                                                {sinPesar.map(m => (
+                                                    <option key={m.id} value={m.id}>
+                                                        {m.visual_tag || 'S/N'} {m.rfid_tag ? `(${m.rfid_tag})` : ''}
+                                                    </option>
+                                                ))}
+                                            </select>
+                                        </td>
+                                        <td className="px-3 py-2 text-right whitespace-nowrap space-x-1">
+                                            <Button
+                                                size="sm"
+                                                variant="ghost"
+                                                className="text-emerald-600"
+                                                disabled={resolviendo === lectura.linea}
+                                                onClick={() => handleResolver(lectura)}
+                                                title="Asignar al animal (guarda el identificador en su ficha)"
+                                            >
+                                                <Check size={14} />
+                                            </Button>
+                                            <Button
+                                                size="sm"
+                                                variant="ghost"
+                                                className="text-slate-400 hover:text-red-600"
+                                                disabled={resolviendo === lectura.linea}
+                                                onClick={() => handleDescartar(lectura)}
+                                                title="Descartar lectura"
+                                            >
+                                                <Trash2 size={14} />
+                                            </Button>
+                                        </td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </div>
+                )}
+            </CardContent>
+        </Card>
+    );
+}
@@ -0,0 +1,487 @@
+import React, { useState, useEffect } from 'react';
+import {
+    Factory,
+    Upload,
+    Download,
+    Loader2,
+    AlertTriangle,
+    CheckCircle2
+} from 'lucide-react';
+import { Button } from '../ui/button';
+import { Card, CardContent } from '../ui/card';
+import { Badge } from '../ui/badge';
+import {
+    Dialog,
+    DialogContent,
+    DialogHeader,
+    DialogTitle,
+    DialogDescription,
+    DialogFooter,
+} from '../ui/dialog';
+import { toast } from 'sonner';
+import { useAuth } from '../../contexts/AuthContext';
+import {
+    ORIGENES_PESO_VIVO,
+    DEDUCCIONES_LIQUIDACION,
+    parsearLiquidacion,
+    obtenerEventosFaenaPendientes,
+    emparejarLiquidacion,
+    registrarLiquidacion,
+    obtenerLiquidaciones,
+    obtenerRendimientoFaena,
+    exportarRendimientoFaena
+} from '../../services/slaughterSettlements';
+import { hoy } from '../../lib/fechas';
+
+const formatDate = (fecha) => (fecha ? new Date(String(fecha).split('T')[0] + 'T00:00:00').toLocaleDateString('es-UY') : '-');
+const formatNumber = (valor, decimales = 0) =>
+    valor === null || valor === undefined ? '-' : Number(valor).toLocaleString('es-UY', { maximumFractionDigits: decimales });
+
+const CABECERA_VACIA = {
+    plant_name: '',
+    settlement_number: '',
+    settlement_date: hoy(),
+    currency: 'USD',
+    freight_amount: '',
+    fees_amount: '',
+    taxes_amount: '',
+    file_name: ''
+};
+
+function TablaRendimiento({ titulo, grupos }) {
+    return (
+        <div>
+            <p className="text-xs font-bold text-slate-500 uppercase mb-2">{titulo}</p>
+            <table className="w-full text-sm text-left">
+                <thead className="bg-slate-50 border-b border-slate-200">
+                    <tr>
+                        <th className="px-3 py-2 font-bold text-slate-700">Nombre</th>
+                        <th className="px-3 py-2 font-bold text-slate-700 text-right">Cab.</th>
+                        <th className="px-3 py-2 font-bold text-slate-700 text-right">Carcasa prom.</th>
+                        <th className="px-3 py-2 font-bold text-slate-700 text-right">Rend. %</th>
+                        <th className="px-3 py-2 font-bold text-slate-700 text-right">Precio kg</th>
+                        <th className="px-3 py-2 font-bold text-slate-700">Tipificación</th>
+                    </tr>
+                </thead>
+                <tbody className="divide-y divide-slate-100">
+                    {grupos.map(g => (
+                        <tr key={g.id}>
+                            <td className="px-3 py-2 font-medium">{g.nombre}</td>
+                            <td className="px-3 py-2 text-right">{g.cabezas}</td>
+                            <td className="px-3 py-2 text-right">{formatNumber(g.carcasa_promedio, 1)} kg</td>
+                            <td className="px-3 py-2 text-right font-bold">{g.rendimiento !== null ? `${formatNumber(g.rendimiento, 1)}%` : '-'}</td>
+                            <td className="px-3 py-2 text-right">{formatNumber(g.precio_kg, 3)}</td>
+                            <td className="px-3 py-2 text-xs text-slate-500">
+                                {Object.entries(g.tipificaciones).map(([grado, cant]) => `${grado}: ${cant}`).join(' · ') || '-'}
+                            </td>
+                        </tr>
+                    ))}
+                </tbody>
+            </table>
+        </div>
+    );
+}
+
+/**
+ * Liquidaciones de frigorífico: importación y emparejamiento con eventos FAENA,
+ * ingreso generado y rendimiento de faena por rodeo y lote de origen
+ */
+export default function SlaughterSettlements({ premiseId }) {
+    const { user } = useAuth();
+    const [liquidaciones, setLiquidaciones] = useState([]);
+    const [rendimiento, setRendimiento] = useState({ porRodeo: [], porLote: [], total: null });
+    const [loading, setLoading] = useState(false);
+
+    const [showImportar, setShowImportar] = useState(false);
+    const [eventosFaena, setEventosFaena] = useState([]);
+    const [eventId, setEventId] = useState('');
+    const [filas, setFilas] = useState([]);
+    const [cabecera, setCabecera] = useState(CABECERA_VACIA);
+    const [emparejamiento, setEmparejamiento] = useState(null);
+    const [procesando, setProcesando] = useState(false);
+
+    useEffect(() => {
+        if (premiseId) loadData();
+    }, [premiseId]);
+
+    async function loadData() {
+        setLoading(true);
+        try {
+            const [liquidacionesData, rendimientoData] = await Promise.all([
+                obtenerLiquidaciones(premiseId),
+                obtenerRendimientoFaena(premiseId)
+            ]);
+            setLiquidaciones(liquidacionesData);
+            setRendimiento(rendimientoData);
+        } catch (error) {
+            console.error('Error loading slaughter settlements:', error);
+            toast.error('Error al cargar las liquidaciones de frigorífico');
+        } finally {
+            setLoading(false);
+        }
+    }
+
+    const abrirImportar = async () => {
+        setEventId('');
+        setFilas([]);
+        setCabecera({ ...CABECERA_VACIA, settlement_date: hoy() });
+        setEmparejamiento(null);
+        setShowImportar(true);
+        try {
+            setEventosFaena(await obtenerEventosFaenaPendientes(premiseId));
+        } catch (error) {
+            toast.error(error.message || 'Error al cargar los eventos FAENA');
+        }
+    };
+
+    const handleArchivo = async (e) => {
+        const file = e.target.files?.[0];
+        e.target.value = '';
+        if (!file) return;
+
+        try {
+            const esExcel = /\.xlsx?$/i.test(file.name);
+            const contenido = esExcel ? await file.arrayBuffer() : await file.text();
+            const resultado = parsearLiquidacion(contenido, file.name);
+            if (resultado.errores.length > 0) {
+                toast.error(resultado.errores[0]);
+                return;
+            }
+            setFilas(resultado.filas);
+            setEmparejamiento(null);
+            setCabecera({
+                ...cabecera,
+                file_name: file.name,
+                settlement_number: resultado.numero || cabecera.settlement_number,
+                settlement_date: resultado.fecha || cabecera.settlement_date
+            });
+        } catch (error) {
+            console.error('Error reading slaughter settlement:', error);
+            toast.error('Error al leer la liquidación');
+        }
+    };
+
+    const handleEmparejar = async () => {
+        setProcesando(true);
+        try {
+            setEmparejamiento(await emparejarLiquidacion(premiseId, eventId, filas));
+        } catch (error) {
+            toast.error(error.message || 'Error al emparejar la liquidación');
+        } finally {
+            setProcesando(false);
+        }
+    };
+
+    const handleRegistrar = async () => {
+        setProcesando(true);
+        try {
+            await registrarLiquidacion(emparejamiento, cabecera, user?.id || null);
+            toast.success('Liquidación importada y ingreso generado');
+            setShowImportar(false);
+            loadData();
+        } catch (error) {
+            toast.error(error.message || 'Error al registrar la liquidación');
+        } finally {
+            setProcesando(false);
+        }
+    };
+
+    if (!premiseId) {
+        return (
+            <p className="text-sm text-slate-400 italic text-center py-8">
+                Seleccione un predio para ver las liquidaciones de frigorífico
+            </p>
+        );
+    }
+
+    const deducciones = Object.keys(DEDUCCIONES_LIQUIDACION)
+        .reduce((sum, campo) => sum + (parseFloat(cabecera[campo]) || 0), 0);
+    const neto = emparejamiento ? emparejamiento.resumen.importe_bruto - deducciones : 0;
+
+    return (
+        <div className="space-y-6">
+            <Card className="border-slate-200 shadow-sm">
+                <CardContent className="p-4 space-y-4">
+                    <div className="flex items-center justify-between">
+                        <div className="flex items-center gap-2">
+                            <Factory className="text-red-600" size={20} />
+                            <h3 className="font-bold text-slate-900">Liquidaciones de frigorífico</h3>
+                        </div>
+                        <Button onClick={abrirImportar} className="gap-2 bg-slate-900 hover:bg-slate-800">
+                            <Upload size={16} /> Importar liquidación
+                        </Button>
+                    </div>
+
+                    {loading ? (
+                        <div className="flex justify-center py-8">
+                            <Loader2 className="animate-spin text-slate-400" />
+                        </div>
+                    ) : liquidaciones.length === 0 ? (
+                        <p className="text-sm text-slate-400 italic text-center py-6">
+                            Importe la liquidación del frigorífico (CSV extraído del PDF o Excel) para completar los eventos FAENA
+                        </p>
+                    ) : (
+                        <table className="w-full text-sm text-left">
+                            <thead className="bg-slate-50 border-b border-slate-200">
+                                <tr>
+                                    <th className="px-3 py-2 font-bold text-slate-700">Fecha</th>
+                                    <th className="px-3 py-2 font-bold text-slate-700">Frigorífico</th>
+                                    <th className="px-3 py-2 font-bold text-slate-700">Liquidación</th>
+                                    <th className="px-3 py-2 font-bold text-slate-700">Faena</th>
+                                    <th className="px-3 py-2 font-bold text-slate-700 text-right">Cab.</th>
+                                    <th className="px-3 py-2 font-bold text-slate-700 text-right">Kg carcasa</th>
+                                    <th className="px-3 py-2 font-bold text-slate-700 text-right">Rend. %</th>
+                                    <th className="px-3 py-2 font-bold text-slate-700 text-right">Neto</th>
+                                </tr>
+                            </thead>
+                            <tbody className="divide-y divide-slate-100">
+                                {liquidaciones.map(l => (
+                                    <tr key={l.id}>
+                                        <td className="px-3 py-2">{formatDate(l.settlement_date)}</td>
+                                        <td className="px-3 py-2">{l.plant_name}</td>
+                                        <td className="px-3 py-2 font-mono text-xs">{l.settlement_number}</td>
+                                        <td className="px-3 py-2 text-xs text-slate-500">
+                                            {formatDate(l.event?.event_date)} · {l.event?.herd?.name || '-'}
+                                        </td>
+                                        <td className="px-3 py-2 text-right">
+                                            {l.total_heads}
+                                            {l.matched_heads < l.total_heads && (
+                                                <span className="text-xs text-amber-600"> ({l.matched_heads} id.)</span>
+                                            )}
+                                        </td>
+                                        <td className="px-3 py-2 text-right">{formatNumber(l.total_hot_carcass_kg, 1)}</td>
+                                        <td className="px-3 py-2 text-right">{l.dressing_percent ? `${formatNumber(l.dressing_percent, 1)}%` : '-'}</td>
+                                        <td className="px-3 py-2 text-right font-bold">{l.currency} {formatNumber(l.net_amount, 2)}</td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    )}
+                </CardContent>
+            </Card>
+
+            {rendimiento.total && (
+                <Card className="border-slate-200 shadow-sm">
+                    <CardContent className="p-4 space-y-4">
+                        <div className="flex items-center justify-between">
+                            <h3 className="font-bold text-slate-900">Rendimiento de faena</h3>
+                            <Button variant="outline" size="sm" className="gap-1" onClick={() => exportarRendimientoFaena(rendimiento)}>
+                                <Download size={14} /> Excel
+                            </Button>
+                        </div>
+                        <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+                            <div className="p-3 bg-slate-50 rounded-lg">
+                                <p className="text-xs text-slate-500 uppercase font-bold">Cabezas</p>
+                                <p className="text-xl font-black text-slate-700">{rendimiento.total.cabezas}</p>
+                            </div>
+                            <div className="p-3 bg-slate-50 rounded-lg">
+                                <p className="text-xs text-slate-500 uppercase font-bold">Carcasa promedio</p>
+                                <p className="text-xl font-black text-slate-700">{formatNumber(rendimiento.total.carcasa_promedio, 1)} kg</p>
+                            </div>
+                            <div className="p-3 bg-emerald-50 rounded-lg">
+                                <p className="text-xs text-emerald-600 uppercase font-bold">Rendimiento</p>
+                                <p className="text-xl font-black text-emerald-700">
+                                    {rendimiento.total.rendimiento !== null ? `${formatNumber(rendimiento.total.rendimiento, 1)}%` : '-'}
+                                </p>
+                            </div>
+                            <div className="p-3 bg-slate-50 rounded-lg">
+                                <p className="text-xs text-slate-500 uppercase font-bold">Precio kg carcasa</p>
+                                <p className="text-xl font-black text-slate-700">{formatNumber(rendimiento.total.precio_kg, 3)}</p>
+                            </div>
+                        </div>
+                        <div className="grid grid-cols-1 lg:grid-cols-2 gap-4">
+                            <TablaRendimiento titulo="Por rodeo" grupos={rendimiento.porRodeo} />
+                            <TablaRendimiento titulo="Por lote de origen" grupos={rendimiento.porLote} />
+                        </div>
+                    </CardContent>
+                </Card>
+            )}
+
+            {/* Dialog: importar liquidación */}
+            <Dialog open={showImportar} onOpenChange={setShowImportar}>
+                <DialogContent className="max-w-3xl max-h-[90vh] overflow-y-auto">
+                    <DialogHeader>
+                        <DialogTitle>Importar Liquidación de Frigorífico</DialogTitle>
+                        <DialogDescription>
+                            Los renglones se emparejan con los animales por caravana (electrónica o visual)
+                        </DialogDescription>
+                    </DialogHeader>
+
+                    <div className="grid grid-cols-2 gap-3">
+                        <div className="space-y-1 col-span-2">
+                            <label className="text-xs font-bold text-slate-500 uppercase">Evento FAENA</label>
+                            <select
+                                value={eventId}
+                                onChange={(e) => { setEventId(e.target.value); setEmparejamiento(null); }}
+                                className="w-full px-3 py-2 border rounded-lg bg-white text-sm"
+                            >
+                                <option value="">Seleccionar evento...</option>
+                                {eventosFaena.map(e => (
+                                    <option key={e.id} value={e.id}>
+                                        {formatDate(e.event_date)} · {e.herd?.name || e.animal?.visual_tag || e.animal?.rfid_tag || '-'} · {e.qty_heads || 1} cab.
+                                        {e.status === 'PENDING' ? ' (pendiente)' : ''}
+                                    </option>
+                                ))}
+                            </select>
+                        </div>
+                        <div className="space-y-1">
+                            <label className="text-xs font-bold text-slate-500 uppercase">Frigorífico</label>
+                            <input
+                                type="text"
+                                list="frigorificos-usados"
+                                value={cabecera.plant_name}
+                                onChange={(e) => setCabecera({ ...cabecera, plant_name: e.target.value })}
+                                className="w-full px-3 py-2 border rounded-lg"
+                            />
+                            <datalist id="frigorificos-usados">
+                                {[...new Set(liquidaciones.map(l => l.plant_name))].map(nombre => (
+                                    <option key={nombre} value={nombre} />
+                                ))}
+                            </datalist>
+                        </div>
+                        <div className="space-y-1">
+                            <label className="text-xs font-bold text-slate-500 uppercase">Archivo</label>
+                            <label className="flex items-center gap-2 px-3 py-2 border rounded-lg text-sm cursor-pointer hover:bg-slate-50">
+                                <Upload size={14} />
+                                <span className="truncate">{cabecera.file_name || 'CSV o Excel...'}</span>
+                                <input type="file" accept=".csv,.txt,.xls,.xlsx" className="hidden" onChange={handleArchivo} />
+                            </label>
+                        </div>
+                        <div className="space-y-1">
+                            <label className="text-xs font-bold text-slate-500 uppercase">N° liquidación</label>
+                            <input
+                                type="text"
+                                value={cabecera.settlement_number}
+                                onChange={(e) => setCabecera({ ...cabecera, settlement_number: e.target.value })}
+                                className="w-full px-3 py-2 border rounded-lg"
+                            />
+                        </div>
+                        <div className="space-y-1">
+                            <label className="text-xs font-bold text-slate-500 uppercase">Fecha</label>
+                            <input
+                                type="date"
+                                value={cabecera.settlement_date}
+                                onChange={(e) => setCabecera({ ...cabecera, settlement_date: e.target.value })}
+                                className="w-full px-3 py-2 border rounded-lg"
+                            />
+                        </div>
+                        <div className="space-y-1">
+                            <label className="text-xs font-bold text-slate-500 uppercase">Moneda</label>
+                            <select
+                                value={cabecera.currency}
+                                onChange={(e) => setCabecera({ ...cabecera, currency: e.target.value })}
+                                className="w-full px-3 py-2 border rounded-lg bg-white text-sm"
+                            >
+                                <option value="USD">USD</option>
+                                <option value="UYU">UYU</option>
+                            </select>
+                        </div>
+                        {Object.entries(DEDUCCIONES_LIQUIDACION).map(([campo, concepto]) => (
+                            <div key={campo} className="space-y-1">
+                                <label className="text-xs font-bold text-slate-500 uppercase">{concepto}</label>
+                                <input
+                                    type="number"
+                                    step="0.01"
+                                    min="0"
+                                    value={cabecera[campo]}
+                                    onChange={(e) => setCabecera({ ...cabecera, [campo]: e.target.value })}
+                                    className="w-full px-3 py-2 border rounded-lg"
+                                />
+                            </div>
+                        ))}
+                    </div>
+
+                    {filas.length > 0 && !emparejamiento && (
+                        <div className="flex items-center justify-between p-3 bg-slate-50 rounded-lg text-sm">
+                            <span>{filas.length} renglón(es) leídos de la liquidación</span>
+                            <Button variant="outline" size="sm" onClick={handleEmparejar} disabled={!eventId || procesando}>
+                                {procesando && <Loader2 className="animate-spin w-4 h-4 mr-2" />}
+                                Emparejar con el evento
+                            </Button>
+                        </div>
+                    )}
+
+                    {emparejamiento && (
+                        <div className="space-y-3">
+                            {emparejamiento.advertencias.length > 0 ? (
+                                <div className="p-3 bg-amber-50 border border-amber-200 rounded-lg space-y-1">
+                                    {emparejamiento.advertencias.map((adv, i) => (
+                                        <p key={i} className="text-xs text-amber-800 flex items-start gap-1">
+                                            <AlertTriangle size={12} className="mt-0.5 shrink-0" /> {adv}
+                                        </p>
+                                    ))}
+                                </div>
+                            ) : (
+                                <p className="text-xs text-emerald-700 flex items-center gap-1">
+                                    <CheckCircle2 size={12} /> Todos los renglones se identificaron en el rodeo del evento
+                                </p>
+                            )}
+
+                            <div className="max-h-64 overflow-auto border border-slate-200 rounded-lg">
+                                <table className="w-full text-xs text-left">
+                                    <thead className="bg-slate-50 border-b border-slate-200 sticky top-0">
+                                        <tr>
+                                            <th className="px-3 py-2 font-bold text-slate-700">Caravana</th>
+                                            <th className="px-3 py-2 font-bold text-slate-700 text-right">Kg vivo</th>
+                                            <th className="px-3 py-2 font-bold text-slate-700 text-right">Kg carcasa</th>
+                                            <th className="px-3 py-2 font-bold text-slate-700 text-right">Rend. %</th>
+                                            <th className="px-3 py-2 font-bold text-slate-700">Tipif.</th>
+                                            <th className="px-3 py-2 font-bold text-slate-700 text-right">Importe</th>
+                                        </tr>
+                                    </thead>
+                                    <tbody className="divide-y divide-slate-100">
+                                        {emparejamiento.lineas.map((l, i) => (
+                                            <tr key={i} className={!l.animal_id ? 'bg-amber-50' : ''}>
+                                                <td className="px-3 py-1.5 font-mono">
+                                                    {l.animal?.visual_tag || l.tag || '-'}
+                                                    {!l.animal_id && <Badge variant="outline" className="ml-1 text-[10px]">Sin animal</Badge>}
+                                                </td>
+                                                <td className="px-3 py-1.5 text-right" title={ORIGENES_PESO_VIVO[l.live_kg_source] || ''}>
+                                                    {formatNumber(l.live_kg, 1)}
+                                                    {l.live_kg_source && l.live_kg_source !== 'LIQUIDACION' && <span className="text-slate-400">*</span>}
+                                                </td>
+                                                <td className="px-3 py-1.5 text-right">{formatNumber(l.hot_carcass_kg, 1)}</td>
+                                                <td className="px-3 py-1.5 text-right">{formatNumber(l.dressing_percent, 1)}</td>
+                                                <td className="px-3 py-1.5">{l.grade || '-'}</td>
+                                                <td className="px-3 py-1.5 text-right">{formatNumber(l.amount, 2)}</td>
+                                            </tr>
+                                        ))}
+                                    </tbody>
+                                </table>
+                            </div>
+                            <p className="text-xs text-slate-400">* Peso vivo estimado (último pesaje o promedio del evento) cuando la liquidación no lo trae</p>
+                            <p className="text-xs text-slate-400">El ingreso se registra por el neto que deposita la planta; el bruto y las deducciones quedan en la liquidación</p>
+
+                            <div className="grid grid-cols-2 md:grid-cols-4 gap-3 text-sm">
+                                <div className="p-3 bg-slate-50 rounded-lg">
+                                    <p className="text-xs text-slate-500 uppercase font-bold">Identificados</p>
+                                    <p className="font-bold">{emparejamiento.resumen.emparejadas} / {emparejamiento.resumen.cabezas}</p>
+                                </div>
+                                <div className="p-3 bg-slate-50 rounded-lg">
+                                    <p className="text-xs text-slate-500 uppercase font-bold">Kg carcasa</p>
+                                    <p className="font-bold">{formatNumber(emparejamiento.resumen.kg_carcasa, 1)}</p>
+                                </div>
+                                <div className="p-3 bg-slate-50 rounded-lg">
+                                    <p className="text-xs text-slate-500 uppercase font-bold">Rendimiento</p>
+                                    <p className="font-bold">{emparejamiento.resumen.rendimiento ? `${formatNumber(emparejamiento.resumen.rendimiento, 1)}%` : '-'}</p>
+                                </div>
+                                <div className="p-3 bg-emerald-50 rounded-lg">
+                                    <p className="text-xs text-emerald-600 uppercase font-bold">Neto a cobrar</p>
+                                    <p className="font-bold text-emerald-700">{cabecera.currency} {formatNumber(neto, 2)}</p>
+                                </div>
+                            </div>
+                        </div>
+                    )}
+
+                    <DialogFooter>
+                        <Button variant="outline" onClick={() => setShowImportar(false)}>Cancelar</Button>
+                        <Button onClick={handleRegistrar} disabled={!emparejamiento || procesando} className="bg-emerald-600 hover:bg-emerald-700">
+                            {procesando && <Loader2 className="animate-spin w-4 h-4 mr-2" />}
+                            Importar y generar ingreso
+                        </Button>
+                    </DialogFooter>
+                </DialogContent>
+            </Dialog>
+        </div>
+    );
+}
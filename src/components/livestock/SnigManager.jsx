@@ -0,0 +1,393 @@
+import React, { useState, useEffect } from 'react';
+import {
+    FileText,
+    Download,
+    Upload,
+    Loader2,
+    AlertTriangle,
+    CheckCircle2,
+    RefreshCcw
+} from 'lucide-react';
+import { Button } from '../ui/button';
+import { Card, CardContent } from '../ui/card';
+import { Badge } from '../ui/badge';
+import { toast } from 'sonner';
+import { supabase } from '../../lib/supabase';
+import { useAuth } from '../../contexts/AuthContext';
+import {
+    TIPOS_REPORTE_SNIG,
+    DIFERENCIAS_SNIG,
+    prepararArchivoSnig,
+    registrarArchivoSnig,
+    obtenerArchivosSnig,
+    parsearExistenciasSnig,
+    conciliarExistenciasSnig,
+    exportarDiferenciasSnig
+} from '../../services/snig';
+
+const formatDate = (fecha) => (fecha ? new Date(String(fecha).split('T')[0] + 'T00:00:00').toLocaleDateString('es-UY') : '-');
+
+const COLORES_DIFERENCIA = {
+    SOLO_SNIG: 'bg-blue-100 text-blue-700',
+    BAJA_NO_INFORMADA: 'bg-red-100 text-red-700',
+    SOLO_SISTEMA: 'bg-orange-100 text-orange-700',
+    SEXO_DISTINTO: 'bg-amber-100 text-amber-700',
+    NACIMIENTO_DISTINTO: 'bg-amber-100 text-amber-700'
+};
+
+/**
+ * Archivos de carga SNIG (caravaneo, movimientos, muertes y faena)
+ * y conciliación del reporte de existencias SNIG contra los animales del predio
+ */
+export default function SnigManager({ premiseId }) {
+    const { user } = useAuth();
+    const [premise, setPremise] = useState(null);
+    const [historial, setHistorial] = useState([]);
+    const [tipo, setTipo] = useState('IDENTIFICACION');
+    const [desde, setDesde] = useState('');
+    const [hasta, setHasta] = useState(new Date().toISOString().split('T')[0]);
+    const [archivo, setArchivo] = useState(null);
+    const [preparando, setPreparando] = useState(false);
+    const [guardando, setGuardando] = useState(false);
+    const [conciliacion, setConciliacion] = useState(null);
+    const [conciliando, setConciliando] = useState(false);
+    const [filtroDiferencia, setFiltroDiferencia] = useState('ALL');
+
+    useEffect(() => {
+        if (premiseId) loadData();
+        setArchivo(null);
+        setConciliacion(null);
+    }, [premiseId]);
+
+    async function loadData() {
+        try {
+            const [{ data: premiseData, error }, historialData] = await Promise.all([
+                supabase.from('premises').select('id, firm_id, name, dicose_number').eq('id', premiseId).single(),
+                obtenerArchivosSnig(premiseId)
+            ]);
+            if (error) throw error;
+            setPremise(premiseData);
+            setHistorial(historialData);
+        } catch (error) {
+            console.error('Error loading SNIG data:', error);
+            toast.error('Error al cargar datos SNIG del predio');
+        }
+    }
+
+    const handlePreparar = async () => {
+        if (!premise) return;
+        setPreparando(true);
+        try {
+            const resultado = await prepararArchivoSnig(premise, tipo, desde || null, hasta || null);
+            setArchivo(resultado);
+            if (resultado.filas.length === 0) {
+                toast.info('No hay registros pendientes de informar');
+            }
+        } catch (error) {
+            toast.error(error.message || 'Error al preparar el archivo SNIG');
+        } finally {
+            setPreparando(false);
+        }
+    };
+
+    const handleGenerar = async () => {
+        setGuardando(true);
+        try {
+            await registrarArchivoSnig(premise, archivo, user?.id || null);
+
+            const blob = new Blob([archivo.contenido], { type: 'text/plain;charset=utf-8' });
+            const url = window.URL.createObjectURL(blob);
+            const a = document.createElement('a');
+            a.href = url;
+            a.download = archivo.nombreArchivo;
+            a.click();
+            window.URL.revokeObjectURL(url);
+
+            toast.success(`Archivo SNIG generado con ${archivo.filas.length} registro(s)`);
+            setArchivo(null);
+            setHistorial(await obtenerArchivosSnig(premiseId));
+        } catch (error) {
+            toast.error('Error al generar el archivo SNIG');
+        } finally {
+            setGuardando(false);
+        }
+    };
+
+    const handleImportarExistencias = async (e) => {
+        const file = e.target.files?.[0];
+        e.target.value = '';
+        if (!file) return;
+
+        setConciliando(true);
+        try {
+            const esExcel = /\.xlsx?$/i.test(file.name);
+            const contenido = esExcel ? await file.arrayBuffer() : await file.text();
+            const { filas, errores } = parsearExistenciasSnig(contenido, file.name);
+            if (errores.length > 0) {
+                toast.error(errores[0]);
+                return;
+            }
+            setConciliacion(await conciliarExistenciasSnig(premiseId, filas));
+            setFiltroDiferencia('ALL');
+        } catch (error) {
+            console.error('Error importing SNIG stock report:', error);
+            toast.error('Error al leer el reporte de existencias SNIG');
+        } finally {
+            setConciliando(false);
+        }
+    };
+
+    if (!premiseId) {
+        return (
+            <p className="text-sm text-slate-400 italic text-center py-8">
+                Seleccione un predio para trabajar con SNIG
+            </p>
+        );
+    }
+
+    const diferenciasVisibles = (conciliacion?.diferencias || []).filter(
+        d => filtroDiferencia === 'ALL' || d.tipo === filtroDiferencia
+    );
+
+    return (
+        <div className="space-y-6">
+            {/* Generación de archivos */}
+            <Card className="border-slate-200 shadow-sm">
+                <CardContent className="p-4 space-y-4">
+                    <div className="flex items-center justify-between">
+                        <div className="flex items-center gap-2">
+                            <FileText className="text-blue-600" size={20} />
+                            <h3 className="font-bold text-slate-900">Archivos para SNIG</h3>
+                        </div>
+                        <span className="text-xs text-slate-500">
+                            DICOSE {premise?.dicose_number || 'sin cargar'}
+                        </span>
+                    </div>
+
+                    <div className="flex flex-wrap items-end gap-3">
+                        <div>
+                            <label className="text-xs font-medium text-slate-600 block mb-1">Tipo</label>
+                            <select
+                                value={tipo}
+                                onChange={(e) => { setTipo(e.target.value); setArchivo(null); }}
+                                className="h-9 px-3 border border-slate-200 rounded-md text-sm"
+                            >
+                                {Object.entries(TIPOS_REPORTE_SNIG).map(([clave, config]) => (
+                                    <option key={clave} value={clave}>{config.nombre}</option>
+                                ))}
+                            </select>
+                        </div>
+                        {tipo !== 'IDENTIFICACION' && (
+                            <>
+                                <div>
+                                    <label className="text-xs font-medium text-slate-600 block mb-1">Desde</label>
+                                    <input type="date" value={desde} onChange={(e) => setDesde(e.target.value)} className="h-9 px-3 border border-slate-200 rounded-md text-sm" />
+                                </div>
+                                <div>
+                                    <label className="text-xs font-medium text-slate-600 block mb-1">Hasta</label>
+                                    <input type="date" value={hasta} onChange={(e) => setHasta(e.target.value)} className="h-9 px-3 border border-slate-200 rounded-md text-sm" />
+                                </div>
+                            </>
+                        )}
+                        <Button variant="outline" onClick={handlePreparar} disabled={preparando} className="gap-2">
+                            {preparando ? <Loader2 size={16} className="animate-spin" /> : <RefreshCcw size={16} />}
+                            Ver pendientes
+                        </Button>
+                    </div>
+                    <p className="text-xs text-slate-400">
+                        {tipo === 'IDENTIFICACION'
+                            ? 'Animales activos con caravana electrónica que todavía no se informaron.'
+                            : 'Eventos aprobados del período que todavía no se informaron. Cada caravana del evento genera una línea.'}
+                    </p>
+
+                    {archivo && (
+                        <div className="space-y-3">
+                            {archivo.bloqueados.length > 0 && (
+                                <div className="p-3 bg-red-50 border border-red-200 rounded-lg space-y-1">
+                                    <p className="text-xs font-bold text-red-800">
+                                        {archivo.bloqueados.length} evento(s) de rodeo fuera del archivo (no se marcan como informados)
+                                    </p>
+                                    {archivo.bloqueados.map((b) => (
+                                        <p key={b.event_id} className="text-xs text-red-700 flex items-start gap-1">
+                                            <AlertTriangle size={12} className="mt-0.5 shrink-0" /> {b.motivo}
+                                        </p>
+                                    ))}
+                                </div>
+                            )}
+                            {archivo.advertencias.length > 0 && (
+                                <div className="p-3 bg-amber-50 border border-amber-200 rounded-lg space-y-1">
+                                    {archivo.advertencias.map((adv, i) => (
+                                        <p key={i} className="text-xs text-amber-800 flex items-start gap-1">
+                                            <AlertTriangle size={12} className="mt-0.5 shrink-0" /> {adv}
+                                        </p>
+                                    ))}
+                                </div>
+                            )}
+
+                            {archivo.filas.length > 0 && (
+                                <>
+                                    <div className="max-h-72 overflow-auto border border-slate-200 rounded-lg">
+                                        <table className="w-full text-xs text-left">
+                                            <thead className="bg-slate-50 border-b border-slate-200 sticky top-0">
+                                                <tr>
+                                                    {archivo.columnas.map(col => (
+                                                        <th key={col} className="px-3 py-2 font-bold text-slate-700">{col}</th>
+                                                    ))}
+                                                </tr>
+                                            </thead>
+                                            <tbody className="divide-y divide-slate-100">
+                                                {archivo.filas.map((fila, i) => (
+                                                    <tr key={i}>
+                                                        {fila.valores.map((valor, j) => (
+                                                            <td key={j} className="px-3 py-1.5 font-mono">{valor || '-'}</td>
+                                                        ))}
+                                                    </tr>
+                                                ))}
+                                            </tbody>
+                                        </table>
+                                    </div>
+                                    <div className="flex justify-end">
+                                        <Button onClick={handleGenerar} disabled={guardando} className="gap-2 bg-emerald-600 hover:bg-emerald-700">
+                                            {guardando ? <Loader2 size={16} className="animate-spin" /> : <Download size={16} />}
+                                            Generar archivo ({archivo.filas.length})
+                                        </Button>
+                                    </div>
+                                </>
+                            )}
+                        </div>
+                    )}
+
+                    {historial.length > 0 && (
+                        <div>
+                            <p className="text-xs font-bold text-slate-500 uppercase mb-2">Archivos generados</p>
+                            <table className="w-full text-sm text-left">
+                                <thead className="bg-slate-50 border-b border-slate-200">
+                                    <tr>
+                                        <th className="px-3 py-2 font-bold text-slate-700">Fecha</th>
+                                        <th className="px-3 py-2 font-bold text-slate-700">Tipo</th>
+                                        <th className="px-3 py-2 font-bold text-slate-700">Período</th>
+                                        <th className="px-3 py-2 font-bold text-slate-700">Archivo</th>
+                                        <th className="px-3 py-2 font-bold text-slate-700 text-right">Registros</th>
+                                    </tr>
+                                </thead>
+                                <tbody className="divide-y divide-slate-100">
+                                    {historial.map(r => (
+                                        <tr key={r.id}>
+                                            <td className="px-3 py-2">{formatDate(r.created_at)}</td>
+                                            <td className="px-3 py-2">{TIPOS_REPORTE_SNIG[r.report_type]?.nombre || r.report_type}</td>
+                                            <td className="px-3 py-2 text-slate-500">
+                                                {r.period_from || r.period_to ? `${formatDate(r.period_from)} - ${formatDate(r.period_to)}` : '-'}
+                                            </td>
+                                            <td className="px-3 py-2 text-xs font-mono text-slate-500">{r.file_name}</td>
+                                            <td className="px-3 py-2 text-right">{r.record_count}</td>
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
+                        </div>
+                    )}
+                </CardContent>
+            </Card>
+
+            {/* Conciliación de existencias */}
+            <Card className="border-slate-200 shadow-sm">
+                <CardContent className="p-4 space-y-4">
+                    <div className="flex items-center justify-between">
+                        <div className="flex items-center gap-2">
+                            <CheckCircle2 className="text-emerald-600" size={20} />
+                            <h3 className="font-bold text-slate-900">Conciliación con existencias SNIG</h3>
+                        </div>
+                        <div className="flex gap-2">
+                            {conciliacion?.diferencias.length > 0 && (
+                                <Button variant="outline" size="sm" className="gap-1" onClick={() => exportarDiferenciasSnig(conciliacion, premise)}>
+                                    <Download size={14} /> Exportar diferencias
+                                </Button>
+                            )}
+                            <label className="inline-flex items-center gap-1 px-3 h-9 rounded-md text-sm bg-slate-900 text-white cursor-pointer hover:bg-slate-800">
+                                {conciliando ? <Loader2 size={14} className="animate-spin" /> : <Upload size={14} />}
+                                Importar reporte
+                                <input type="file" accept=".csv,.txt,.xls,.xlsx" className="hidden" onChange={handleImportarExistencias} disabled={conciliando} />
+                            </label>
+                        </div>
+                    </div>
+
+                    {!conciliacion ? (
+                        <p className="text-sm text-slate-400 italic text-center py-6">
+                            Importe el reporte de existencias descargado de SNIG (CSV o Excel) para compararlo con los animales del predio
+                        </p>
+                    ) : (
+                        <>
+                            <div className="grid grid-cols-2 md:grid-cols-5 gap-3">
+                                <div className="p-3 bg-slate-50 rounded-lg">
+                                    <p className="text-xs text-slate-500 uppercase font-bold">En SNIG</p>
+                                    <p className="text-xl font-black text-slate-700">{conciliacion.resumen.en_snig}</p>
+                                </div>
+                                <div className="p-3 bg-slate-50 rounded-lg">
+                                    <p className="text-xs text-slate-500 uppercase font-bold">Activos sistema</p>
+                                    <p className="text-xl font-black text-slate-700">{conciliacion.resumen.activos_sistema}</p>
+                                </div>
+                                <div className="p-3 bg-emerald-50 rounded-lg">
+                                    <p className="text-xs text-emerald-600 uppercase font-bold">Coinciden</p>
+                                    <p className="text-xl font-black text-emerald-700">{conciliacion.resumen.coinciden}</p>
+                                </div>
+                                <div className="p-3 bg-red-50 rounded-lg">
+                                    <p className="text-xs text-red-600 uppercase font-bold">Diferencias</p>
+                                    <p className="text-xl font-black text-red-700">{conciliacion.resumen.diferencias}</p>
+                                </div>
+                                <div className="p-3 bg-orange-50 rounded-lg">
+                                    <p className="text-xs text-orange-600 uppercase font-bold">Sin caravana</p>
+                                    <p className="text-xl font-black text-orange-700">{conciliacion.resumen.sin_caravana}</p>
+                                </div>
+                            </div>
+
+                            {conciliacion.diferencias.length > 0 && (
+                                <>
+                                    <div className="flex flex-wrap gap-2">
+                                        <Button size="sm" variant={filtroDiferencia === 'ALL' ? 'default' : 'outline'} onClick={() => setFiltroDiferencia('ALL')}>
+                                            Todas ({conciliacion.diferencias.length})
+                                        </Button>
+                                        {Object.keys(DIFERENCIAS_SNIG).map(clave => {
+                                            const cantidad = conciliacion.diferencias.filter(d => d.tipo === clave).length;
+                                            if (cantidad === 0) return null;
+                                            return (
+                                                <Button key={clave} size="sm" variant={filtroDiferencia === clave ? 'default' : 'outline'} onClick={() => setFiltroDiferencia(clave)}>
+                                                    {clave.replace(/_/g, ' ').toLowerCase()} ({cantidad})
+                                                </Button>
+                                            );
+                                        })}
+                                    </div>
+                                    <div className="max-h-96 overflow-auto border border-slate-200 rounded-lg">
+                                        <table className="w-full text-sm text-left">
+                                            <thead className="bg-slate-50 border-b border-slate-200 sticky top-0">
+                                                <tr>
+                                                    <th className="px-3 py-2 font-bold text-slate-700">Dispositivo</th>
+                                                    <th className="px-3 py-2 font-bold text-slate-700">Caravana visual</th>
+                                                    <th className="px-3 py-2 font-bold text-slate-700">Diferencia</th>
+                                                    <th className="px-3 py-2 font-bold text-slate-700">Detalle</th>
+                                                </tr>
+                                            </thead>
+                                            <tbody className="divide-y divide-slate-100">
+                                                {diferenciasVisibles.map((d, i) => (
+                                                    <tr key={`${d.tipo}-${d.dispositivo}-${i}`}>
+                                                        <td className="px-3 py-2 font-mono text-xs">{d.dispositivo}</td>
+                                                        <td className="px-3 py-2">{d.animal?.visual_tag || '-'}</td>
+                                                        <td className="px-3 py-2">
+                                                            <Badge className={`text-xs ${COLORES_DIFERENCIA[d.tipo]}`}>
+                                                                {DIFERENCIAS_SNIG[d.tipo]}
+                                                            </Badge>
+                                                        </td>
+                                                        <td className="px-3 py-2 text-xs text-slate-500">{d.detalle || '-'}</td>
+                                                    </tr>
+                                                ))}
+                                            </tbody>
+                                        </table>
+                                    </div>
+                                </>
+                            )}
+                        </>
+                    )}
+                </CardContent>
+            </Card>
+        </div>
+    );
+}
@@ -0,0 +1,56 @@
+import { useState } from 'react';
+import {
+  DropdownMenu,
+  DropdownMenuContent,
+  DropdownMenuItem,
+  DropdownMenuLabel,
+  DropdownMenuSeparator,
+  DropdownMenuTrigger
+} from '../ui/dropdown-menu';
+import { Download, Loader } from 'lucide-react';
+import { toast } from 'sonner';
+import { FORMATOS_EXPORTACION, exportarLotesPredio } from '../../services/lotExport';
+
+/**
+ * Menú para exportar los polígonos de los lotes del predio (GeoJSON, KML, Shapefile)
+ * @component
+ */
+export function LotExportMenu({ premiseId, premiseName = 'predio', className = '' }) {
+  const [isExporting, setIsExporting] = useState(false);
+
+  const handleExport = async (formato) => {
+    setIsExporting(true);
+    try {
+      const total = await exportarLotesPredio(premiseId, formato, premiseName);
+      toast.success(`${total} lote(s) exportado(s) en ${FORMATOS_EXPORTACION[formato].label}`);
+    } catch (error) {
+      toast.error(error.message || 'Error al exportar lotes');
+    } finally {
+      setIsExporting(false);
+    }
+  };
+
+  return (
+    <DropdownMenu>
+      <DropdownMenuTrigger asChild>
+        <button
+          type="button"
+          disabled={!premiseId || isExporting}
+          className={`flex items-center gap-2 px-4 py-2 bg-white border border-slate-300 text-slate-700 rounded-lg hover:bg-slate-50 transition-colors disabled:opacity-50 ${className}`}
+        >
+          {isExporting ? <Loader className="w-4 h-4 animate-spin" /> : <Download className="w-4 h-4" />}
+          Exportar Lotes
+        </button>
+      </DropdownMenuTrigger>
+      <DropdownMenuContent align="end">
+        <DropdownMenuLabel>Formato de exportación</DropdownMenuLabel>
+        <DropdownMenuSeparator />
+        {Object.entries(FORMATOS_EXPORTACION).map(([formato, config]) => (
+          <DropdownMenuItem key={formato} onSelect={() => handleExport(formato)}>
+            {config.label}
+          </DropdownMenuItem>
+        ))}
+      </DropdownMenuContent>
+    </DropdownMenu>
+  );
+}
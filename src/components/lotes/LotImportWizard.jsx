@@ -0,0 +1,298 @@
+import { useState, useMemo } from 'react';
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogHeader,
+  DialogTitle
+} from '../ui/dialog';
+import { Button } from '../ui/button';
+import { Badge } from '../ui/badge';
+import { FileUp, AlertTriangle, CheckCircle2, Loader, Upload } from 'lucide-react';
+import { toast } from 'sonner';
+import { MapaLotes } from '../mapas/MapaLotes';
+import {
+  FORMATOS_IMPORTACION,
+  parsearArchivoLimites,
+  extraerPoligonos,
+  validarCandidatos,
+  construirLoteDesdeCandidato
+} from '../../services/lotImport';
+import { aGeometriaGeoJSON } from '../../services/geospatial';
+
+/**
+ * Wizard de importación masiva de lotes desde KML, KMZ, Shapefile o GeoJSON
+ * Paso 1: seleccionar archivo · Paso 2: revisar polígonos en el mapa · Paso 3: crear lotes
+ * @component
+ */
+export function LotImportWizard({
+  isOpen = false,
+  firmId,
+  premiseId,
+  existingLots = [],
+  onCreateLot,
+  onClose = () => {},
+  onImported = () => {}
+}) {
+  const [step, setStep] = useState('upload');
+  const [fileName, setFileName] = useState('');
+  const [candidates, setCandidates] = useState([]);
+  const [selectedKeys, setSelectedKeys] = useState(new Set());
+  const [landUse, setLandUse] = useState('');
+  const [isParsing, setIsParsing] = useState(false);
+  const [isImporting, setIsImporting] = useState(false);
+  const [previewLot, setPreviewLot] = useState(null);
+
+  const validated = useMemo(
+    () => validarCandidatos(candidates, existingLots),
+    [candidates, existingLots]
+  );
+
+  const selectedValid = validated.filter((c) => c.valido && selectedKeys.has(c.key));
+
+  // Adaptar candidatos + lotes existentes al formato que espera MapaLotes
+  const previewLotes = useMemo(() => {
+    const existentes = existingLots
+      .map((lote) => ({
+        id: lote.id,
+        nombre: lote.name,
+        superficie_total: lote.area_hectares,
+        uso_suelo: 'otro',
+        poligono: aGeometriaGeoJSON(lote.polygon_data)
+      }))
+      .filter((lote) => lote.poligono);
+
+    const nuevos = validated.map((c) => ({
+      id: c.key,
+      nombre: c.nombre,
+      superficie_total: c.area_hectares,
+      uso_suelo: 'pradera',
+      poligono: c.geometry
+    }));
+
+    return [...existentes, ...nuevos];
+  }, [existingLots, validated]);
+
+  const alertasPorLote = useMemo(() => {
+    const alertas = {};
+    validated.forEach((c) => {
+      if (!c.valido) alertas[c.key] = c.errores.map((titulo) => ({ titulo }));
+    });
+    return alertas;
+  }, [validated]);
+
+  const handleFile = async (file) => {
+    if (!file) return;
+
+    setIsParsing(true);
+    try {
+      const featureCollection = await parsearArchivoLimites(file);
+      const extraidos = extraerPoligonos(featureCollection);
+
+      if (extraidos.length === 0) {
+        toast.error('El archivo no contiene polígonos');
+        return;
+      }
+
+      const validos = validarCandidatos(extraidos, existingLots)
+        .filter((c) => c.valido)
+        .map((c) => c.key);
+
+      setFileName(file.name);
+      setCandidates(extraidos);
+      setSelectedKeys(new Set(validos));
+      setStep('review');
+    } catch (error) {
+      console.error('Error leyendo archivo de límites:', error);
+      toast.error(error.message || 'No se pudo leer el archivo');
+    } finally {
+      setIsParsing(false);
+    }
+  };
+
+  const updateName = (key, nombre) => {
+    setCandidates((prev) => prev.map((c) => (c.key === key ? { ...c, nombre } : c)));
+  };
+
+  const toggleSelected = (key) => {
+    setSelectedKeys((prev) => {
+      const next = new Set(prev);
+      if (next.has(key)) next.delete(key);
+      else next.add(key);
+      return next;
+    });
+  };
+
+  const handleImport = async () => {
+    if (selectedValid.length === 0) {
+      toast.error('No hay polígonos válidos seleccionados');
+      return;
+    }
+
+    setIsImporting(true);
+    const creados = [];
+    const fallidos = [];
+
+    for (const candidato of selectedValid) {
+      try {
+        const lote = await onCreateLot(
+          construirLoteDesdeCandidato(candidato, { firmId, premiseId, landUse })
+        );
+        creados.push(lote);
+      } catch (error) {
+        console.error(`Error creando lote ${candidato.nombre}:`, error);
+        fallidos.push(candidato.nombre);
+      }
+    }
+
+    setIsImporting(false);
+
+    if (creados.length > 0) {
+      toast.success(`${creados.length} lote(s) importado(s) desde ${fileName}`);
+      onImported(creados, fileName);
+    }
+    if (fallidos.length > 0) {
+      toast.error(`No se pudieron crear: ${fallidos.join(', ')}`);
+      return;
+    }
+
+    handleClose();
+  };
+
+  const handleClose = () => {
+    setStep('upload');
+    setFileName('');
+    setCandidates([]);
+    setSelectedKeys(new Set());
+    setLandUse('');
+    setPreviewLot(null);
+    onClose();
+  };
+
+  const totalHa = selectedValid.reduce((sum, c) => sum + (c.area_hectares || 0), 0);
+
+  return (
+    <Dialog open={isOpen} onOpenChange={(open) => !open && !isImporting && handleClose()}>
+      <DialogContent className="max-w-5xl max-h-[90vh] overflow-y-auto">
+        <DialogHeader>
+          <DialogTitle className="flex items-center gap-2">
+            <FileUp className="w-5 h-5 text-emerald-600" />
+            Importar Límites de Lotes
+          </DialogTitle>
+          <DialogDescription>
+            {step === 'upload'
+              ? 'Sube el archivo recibido del agrimensor o exportado desde Google Earth'
+              : `Revisa los polígonos de ${fileName} antes de crear los lotes`}
+          </DialogDescription>
+        </DialogHeader>
+
+        {step === 'upload' && (
+          <div className="space-y-4">
+            <label className="flex flex-col items-center justify-center gap-3 p-10 border-2 border-dashed border-slate-300 rounded-xl cursor-pointer hover:border-emerald-400 hover:bg-emerald-50/40 transition-colors">
+              {isParsing ? (
+                <Loader className="w-8 h-8 text-emerald-600 animate-spin" />
+              ) : (
+                <Upload className="w-8 h-8 text-slate-400" />
+              )}
+              <span className="text-sm font-medium text-slate-700">
+                {isParsing ? 'Leyendo archivo...' : 'Haz clic para seleccionar un archivo'}
+              </span>
+              <input
+                type="file"
+                className="hidden"
+                accept=".kml,.kmz,.zip,.geojson,.json"
+                disabled={isParsing}
+                onChange={(e) => handleFile(e.target.files[0])}
+              />
+            </label>
+            <div className="grid grid-cols-2 gap-2 text-xs text-slate-500">
+              {Object.values(FORMATOS_IMPORTACION).map((formato) => (
+                <div key={formato.label} className="flex items-center gap-2">
+                  <CheckCircle2 className="w-3 h-3 text-emerald-500" />
+                  {formato.label} ({formato.extensiones.map((ext) => `.${ext}`).join(', ')})
+                </div>
+              ))}
+            </div>
+          </div>
+        )}
+
+        {step === 'review' && (
+          <div className="space-y-4">
+            <MapaLotes
+              lotes={previewLotes}
+              selectedLote={previewLot}
+              alertasPorLote={alertasPorLote}
+              onSelectLote={setPreviewLot}
+            />
+
+            <div className="flex items-center gap-3">
+              <label className="text-sm font-medium text-slate-700">Uso de suelo para los nuevos lotes:</label>
+              <select
+                value={landUse}
+                onChange={(e) => setLandUse(e.target.value)}
+                className="px-3 py-1.5 border border-slate-300 rounded-lg text-sm bg-white"
+              >
+                <option value="">Sin asignar</option>
+                <option value="Pradera">Pradera</option>
+                <option value="Cultivo">Cultivo</option>
+                <option value="Campo natural">Campo natural</option>
+                <option value="Barbecho">Barbecho</option>
+              </select>
+            </div>
+
+            <div className="border border-slate-200 rounded-lg divide-y divide-slate-100">
+              {validated.map((c) => (
+                <div key={c.key} className={`flex items-start gap-3 p-3 ${c.valido ? '' : 'bg-red-50/60'}`}>
+                  <input
+                    type="checkbox"
+                    className="mt-2 w-4 h-4 text-emerald-600 border-slate-300 rounded"
+                    checked={c.valido && selectedKeys.has(c.key)}
+                    disabled={!c.valido}
+                    onChange={() => toggleSelected(c.key)}
+                  />
+                  <div className="flex-1 space-y-1">
+                    <input
+                      type="text"
+                      value={c.nombre}
+                      onChange={(e) => updateName(c.key, e.target.value)}
+                      onFocus={() => setPreviewLot(previewLotes.find((l) => l.id === c.key))}
+                      className="w-full px-2 py-1 border border-slate-300 rounded text-sm"
+                    />
+                    {c.errores.map((error) => (
+                      <p key={error} className="text-xs text-red-600 flex items-center gap-1">
+                        <AlertTriangle className="w-3 h-3" /> {error}
+                      </p>
+                    ))}
+                    {c.advertencias.map((advertencia) => (
+                      <p key={advertencia} className="text-xs text-amber-600">{advertencia}</p>
+                    ))}
+                  </div>
+                  <Badge variant="outline" className="mt-1">{c.area_hectares} ha</Badge>
+                </div>
+              ))}
+            </div>
+
+            <div className="flex items-center justify-between pt-2">
+              <p className="text-sm text-slate-600">
+                {selectedValid.length} de {validated.length} polígono(s) · {totalHa.toFixed(2)} ha
+              </p>
+              <div className="flex gap-2">
+                <Button variant="outline" onClick={() => setStep('upload')} disabled={isImporting}>
+                  Otro archivo
+                </Button>
+                <Button
+                  onClick={handleImport}
+                  disabled={isImporting || selectedValid.length === 0}
+                  className="bg-emerald-600 hover:bg-emerald-700"
+                >
+                  {isImporting && <Loader className="w-4 h-4 mr-2 animate-spin" />}
+                  {isImporting ? 'Creando lotes...' : `Crear ${selectedValid.length} lote(s)`}
+                </Button>
+              </div>
+            </div>
+          </div>
+        )}
+      </DialogContent>
+    </Dialog>
+  );
+}
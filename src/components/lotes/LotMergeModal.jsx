@@ -0,0 +1,208 @@
+import { useState, useMemo, useEffect } from 'react';
+import { MapContainer, TileLayer, Polygon, useMap } from 'react-leaflet';
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogHeader,
+  DialogTitle
+} from '../ui/dialog';
+import { Button } from '../ui/button';
+import { Badge } from '../ui/badge';
+import { Combine, Loader } from 'lucide-react';
+import { toast } from 'sonner';
+import {
+  aPosicionesLeaflet,
+  obtenerLimitesLeaflet,
+  unirPoligonos,
+  calcularSuperficie,
+  describirGeometria
+} from '../../services/geospatial';
+import { unirLotes } from '../../services/lotGenealogy';
+
+function FitLotes({ polygons }) {
+  const map = useMap();
+  useEffect(() => {
+    const bounds = obtenerLimitesLeaflet(polygons);
+    if (bounds) {
+      setTimeout(() => {
+        map.invalidateSize();
+        map.fitBounds(bounds, { padding: [30, 30] });
+      }, 200);
+    }
+  }, [polygons.length, map]);
+  return null;
+}
+
+/**
+ * Modal para unir lotes del predio (ej: se retiró un alambrado divisorio).
+ * Crea el lote resultante y registra la genealogía con cada lote de origen.
+ * @component
+ */
+export function LotMergeModal({ lots = [], isOpen = false, userId = null, onClose = () => {}, onMerge = () => {} }) {
+  const [selectedIds, setSelectedIds] = useState(new Set());
+  const [name, setName] = useState('');
+  const [notes, setNotes] = useState('');
+  const [isSaving, setIsSaving] = useState(false);
+
+  useEffect(() => {
+    if (isOpen) {
+      setSelectedIds(new Set());
+      setName('');
+      setNotes('');
+    }
+  }, [isOpen]);
+
+  const selectedLots = lots.filter((lot) => selectedIds.has(lot.id));
+  const lotsWithPolygon = lots.filter((lot) => lot.polygon_data);
+
+  const mergedPolygon = useMemo(() => {
+    const polygons = selectedLots.map((lot) => lot.polygon_data).filter(Boolean);
+    return polygons.length === selectedLots.length && polygons.length >= 2 ? unirPoligonos(polygons) : null;
+  }, [selectedIds, lots]);
+
+  const mergedParts = mergedPolygon ? describirGeometria(mergedPolygon).partes : 0;
+
+  const toggleLot = (lotId) => {
+    setSelectedIds((prev) => {
+      const next = new Set(prev);
+      if (next.has(lotId)) next.delete(lotId);
+      else next.add(lotId);
+      return next;
+    });
+  };
+
+  const handleMerge = async () => {
+    setIsSaving(true);
+    try {
+      const successor = await unirLotes({
+        lotes: selectedLots,
+        nombre: name,
+        polygonData: mergedPolygon,
+        userId,
+        notas: notes
+      });
+      toast.success(`Lote "${successor.name}" creado a partir de ${selectedLots.length} lotes`);
+      onMerge(selectedLots, successor);
+      onClose();
+    } catch (error) {
+      toast.error(error.message || 'Error al unir los lotes');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <Dialog open={isOpen} onOpenChange={(open) => !open && !isSaving && onClose()}>
+      <DialogContent className="max-w-4xl max-h-[90vh] overflow-y-auto">
+        <DialogHeader>
+          <DialogTitle className="flex items-center gap-2">
+            <Combine className="w-5 h-5 text-emerald-600" />
+            Unir Lotes
+          </DialogTitle>
+          <DialogDescription>
+            Selecciona los lotes a unir. Los lotes originales quedan inactivos con su historial,
+            vinculados al lote nuevo.
+          </DialogDescription>
+        </DialogHeader>
+
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          <div className="border border-slate-200 rounded-lg divide-y divide-slate-100 max-h-[360px] overflow-y-auto">
+            {lots.map((lot) => (
+              <label key={lot.id} className="flex items-center gap-3 p-3 cursor-pointer hover:bg-slate-50">
+                <input
+                  type="checkbox"
+                  className="w-4 h-4 text-emerald-600 border-slate-300 rounded"
+                  checked={selectedIds.has(lot.id)}
+                  onChange={() => toggleLot(lot.id)}
+                />
+                <span className="flex-1 text-sm text-slate-700">{lot.name}</span>
+                <Badge variant="outline">{lot.area_hectares} ha</Badge>
+              </label>
+            ))}
+          </div>
+
+          <div className="h-[360px] rounded-lg overflow-hidden border border-slate-200 relative z-0">
+            <MapContainer center={[-31.7, -55.9]} zoom={12} style={{ height: '100%', width: '100%' }}>
+              <TileLayer
+                attribution='Tiles &copy; Esri'
+                url="https://server.arcgisonline.com/ArcGIS/rest/services/World_Imagery/MapServer/tile/{z}/{y}/{x}"
+              />
+              <FitLotes polygons={lotsWithPolygon.map((lot) => lot.polygon_data)} />
+              {lotsWithPolygon.map((lot) => (
+                <Polygon
+                  key={lot.id}
+                  positions={aPosicionesLeaflet(lot.polygon_data)}
+                  eventHandlers={{ click: () => toggleLot(lot.id) }}
+                  pathOptions={{
+                    color: selectedIds.has(lot.id) ? '#f97316' : '#ffffff',
+                    fillColor: selectedIds.has(lot.id) ? '#f97316' : '#10b981',
+                    fillOpacity: selectedIds.has(lot.id) ? 0.2 : 0.1,
+                    weight: selectedIds.has(lot.id) ? 2 : 1
+                  }}
+                />
+              ))}
+              {mergedPolygon && (
+                <Polygon
+                  positions={aPosicionesLeaflet(mergedPolygon)}
+                  pathOptions={{ color: '#059669', fillColor: '#10b981', fillOpacity: 0.5, weight: 3 }}
+                />
+              )}
+            </MapContainer>
+          </div>
+        </div>
+
+        {mergedParts > 1 && (
+          <p className="text-xs text-amber-600">
+            Los lotes seleccionados no son contiguos: el lote resultante tendrá {mergedParts} partes separadas.
+          </p>
+        )}
+
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          <div>
+            <label className="block text-sm font-medium text-slate-700 mb-1">Nombre del lote resultante *</label>
+            <input
+              type="text"
+              value={name}
+              onChange={(e) => setName(e.target.value)}
+              placeholder={selectedLots.map((lot) => lot.name).join(' + ') || 'Ej: Potrero Grande'}
+              className="w-full px-3 py-2 border border-slate-300 rounded-lg text-sm"
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-slate-700 mb-1">Motivo (opcional)</label>
+            <input
+              type="text"
+              value={notes}
+              onChange={(e) => setNotes(e.target.value)}
+              placeholder="Ej: Se retiró el alambrado divisorio"
+              className="w-full px-3 py-2 border border-slate-300 rounded-lg text-sm"
+            />
+          </div>
+        </div>
+
+        <div className="flex items-center justify-between pt-2">
+          <p className="text-sm text-slate-600">
+            {selectedLots.length} lote(s) ·{' '}
+            {mergedPolygon
+              ? `${calcularSuperficie(mergedPolygon)} ha`
+              : `${selectedLots.reduce((sum, lot) => sum + (parseFloat(lot.area_hectares) || 0), 0).toFixed(2)} ha`}
+          </p>
+          <div className="flex gap-2">
+            <Button variant="outline" onClick={onClose} disabled={isSaving}>
+              Cancelar
+            </Button>
+            <Button
+              onClick={handleMerge}
+              disabled={isSaving || selectedLots.length < 2 || !name.trim()}
+              className="bg-emerald-600 hover:bg-emerald-700"
+            >
+              {isSaving && <Loader className="w-4 h-4 mr-2 animate-spin" />}
+              {isSaving ? 'Uniendo...' : `Unir ${selectedLots.length} lotes`}
+            </Button>
+          </div>
+        </div>
+      </DialogContent>
+    </Dialog>
+  );
+}
@@ -0,0 +1,237 @@
+import { useState, useMemo, useEffect } from 'react';
+import { MapContainer, TileLayer, Polygon, Polyline, CircleMarker, useMap, useMapEvents } from 'react-leaflet';
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogHeader,
+  DialogTitle
+} from '../ui/dialog';
+import { Button } from '../ui/button';
+import { Badge } from '../ui/badge';
+import { Scissors, Undo, Loader } from 'lucide-react';
+import { toast } from 'sonner';
+import {
+  aPosicionesLeaflet,
+  obtenerLimitesLeaflet,
+  dividirPoligonoPorLinea,
+  calcularSuperficie
+} from '../../services/geospatial';
+import { dividirLote } from '../../services/lotGenealogy';
+
+const COLORES_PIEZAS = ['#2563eb', '#f97316', '#a855f7', '#eab308', '#ec4899', '#14b8a6'];
+const LETRAS = 'ABCDEFGHIJ';
+
+function FitLote({ polygonData }) {
+  const map = useMap();
+  useEffect(() => {
+    const bounds = obtenerLimitesLeaflet([polygonData]);
+    if (bounds) {
+      setTimeout(() => {
+        map.invalidateSize();
+        map.fitBounds(bounds, { padding: [30, 30] });
+      }, 200);
+    }
+  }, [polygonData, map]);
+  return null;
+}
+
+function CutLineEvents({ onAddPoint }) {
+  useMapEvents({
+    click(e) {
+      onAddPoint([e.latlng.lat, e.latlng.lng]);
+    }
+  });
+  return null;
+}
+
+/**
+ * Modal para dividir un lote con una línea de corte (alambrado nuevo).
+ * Crea los lotes sucesores y registra la genealogía; el historial queda en el lote original.
+ * @component
+ */
+export function LotSplitModal({ lot, isOpen = false, userId = null, onClose = () => {}, onSplit = () => {} }) {
+  const [cutLine, setCutLine] = useState([]);
+  const [names, setNames] = useState([]);
+  const [herdTarget, setHerdTarget] = useState(0);
+  const [notes, setNotes] = useState('');
+  const [isSaving, setIsSaving] = useState(false);
+
+  useEffect(() => {
+    if (isOpen) {
+      setCutLine([]);
+      setNames([]);
+      setHerdTarget(0);
+      setNotes('');
+    }
+  }, [isOpen, lot?.id]);
+
+  const pieces = useMemo(
+    () => (lot?.polygon_data && cutLine.length >= 2 ? dividirPoligonoPorLinea(lot.polygon_data, cutLine) : []),
+    [lot?.polygon_data, cutLine]
+  );
+
+  const getName = (idx) => names[idx] ?? `${lot?.name || 'Lote'} ${LETRAS[idx] || idx + 1}`;
+
+  const updateName = (idx, value) => {
+    setNames((prev) => {
+      const next = [...prev];
+      next[idx] = value;
+      return next;
+    });
+  };
+
+  const handleSplit = async () => {
+    if (pieces.length < 2) {
+      toast.error('La línea de corte debe atravesar el lote de lado a lado');
+      return;
+    }
+
+    setIsSaving(true);
+    try {
+      const successors = await dividirLote({
+        lote: lot,
+        piezas: pieces.map((polygonData, idx) => ({ nombre: getName(idx), polygon_data: polygonData })),
+        indiceDestinoHacienda: herdTarget,
+        userId,
+        notas: notes
+      });
+      toast.success(`Lote "${lot.name}" dividido en ${successors.length} lotes`);
+      onSplit(lot, successors);
+      onClose();
+    } catch (error) {
+      toast.error(error.message || 'Error al dividir el lote');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  if (!lot) return null;
+
+  return (
+    <Dialog open={isOpen} onOpenChange={(open) => !open && !isSaving && onClose()}>
+      <DialogContent className="max-w-4xl max-h-[90vh] overflow-y-auto">
+        <DialogHeader>
+          <DialogTitle className="flex items-center gap-2">
+            <Scissors className="w-5 h-5 text-emerald-600" />
+            Dividir Lote: {lot.name}
+          </DialogTitle>
+          <DialogDescription>
+            Haz clic en el mapa para trazar la línea del nuevo alambrado atravesando el lote.
+            El historial del lote original se conserva y queda vinculado a los lotes nuevos.
+          </DialogDescription>
+        </DialogHeader>
+
+        <div className="h-[380px] rounded-lg overflow-hidden border border-slate-200 relative z-0">
+          <MapContainer center={[-31.7, -55.9]} zoom={13} style={{ height: '100%', width: '100%' }}>
+            <TileLayer
+              attribution='Tiles &copy; Esri'
+              url="https://server.arcgisonline.com/ArcGIS/rest/services/World_Imagery/MapServer/tile/{z}/{y}/{x}"
+            />
+            <FitLote polygonData={lot.polygon_data} />
+            <CutLineEvents onAddPoint={(point) => setCutLine((prev) => [...prev, point])} />
+
+            {pieces.length < 2 ? (
+              <Polygon
+                positions={aPosicionesLeaflet(lot.polygon_data)}
+                pathOptions={{ color: '#059669', fillColor: '#10b981', fillOpacity: 0.3, weight: 2 }}
+              />
+            ) : (
+              pieces.map((piece, idx) => (
+                <Polygon
+                  key={idx}
+                  positions={aPosicionesLeaflet(piece)}
+                  pathOptions={{
+                    color: COLORES_PIEZAS[idx % COLORES_PIEZAS.length],
+                    fillColor: COLORES_PIEZAS[idx % COLORES_PIEZAS.length],
+                    fillOpacity: 0.4,
+                    weight: 2
+                  }}
+                />
+              ))
+            )}
+
+            {cutLine.length > 0 && (
+              <Polyline positions={cutLine} pathOptions={{ color: '#dc2626', weight: 3, dashArray: '6, 6' }} />
+            )}
+            {cutLine.map((point, idx) => (
+              <CircleMarker key={idx} center={point} radius={4} pathOptions={{ color: '#dc2626', fillOpacity: 1 }} />
+            ))}
+          </MapContainer>
+        </div>
+
+        <div className="flex items-center justify-between">
+          <p className="text-sm text-slate-600">
+            {cutLine.length < 2
+              ? 'Marca al menos 2 puntos, empezando y terminando fuera del lote'
+              : pieces.length < 2
+                ? 'La línea todavía no corta el lote en dos'
+                : `${pieces.length} lotes resultantes`}
+          </p>
+          <Button
+            variant="outline"
+            size="sm"
+            onClick={() => setCutLine((prev) => prev.slice(0, -1))}
+            disabled={cutLine.length === 0 || isSaving}
+          >
+            <Undo className="w-4 h-4 mr-1" /> Deshacer punto
+          </Button>
+        </div>
+
+        {pieces.length >= 2 && (
+          <div className="border border-slate-200 rounded-lg divide-y divide-slate-100">
+            {pieces.map((piece, idx) => (
+              <div key={idx} className="flex items-center gap-3 p-3">
+                <div
+                  className="w-3 h-3 rounded-sm flex-shrink-0"
+                  style={{ backgroundColor: COLORES_PIEZAS[idx % COLORES_PIEZAS.length] }}
+                />
+                <input
+                  type="text"
+                  value={getName(idx)}
+                  onChange={(e) => updateName(idx, e.target.value)}
+                  className="flex-1 px-2 py-1 border border-slate-300 rounded text-sm"
+                />
+                <Badge variant="outline">{calcularSuperficie(piece)} ha</Badge>
+                <label className="flex items-center gap-1 text-xs text-slate-600 whitespace-nowrap">
+                  <input
+                    type="radio"
+                    name="herd-target"
+                    checked={herdTarget === idx}
+                    onChange={() => setHerdTarget(idx)}
+                  />
+                  Recibe rodeos
+                </label>
+              </div>
+            ))}
+          </div>
+        )}
+
+        <div>
+          <label className="block text-sm font-medium text-slate-700 mb-1">Motivo (opcional)</label>
+          <input
+            type="text"
+            value={notes}
+            onChange={(e) => setNotes(e.target.value)}
+            placeholder="Ej: Alambrado eléctrico nuevo"
+            className="w-full px-3 py-2 border border-slate-300 rounded-lg text-sm"
+          />
+        </div>
+
+        <div className="flex justify-end gap-2 pt-2">
+          <Button variant="outline" onClick={onClose} disabled={isSaving}>
+            Cancelar
+          </Button>
+          <Button
+            onClick={handleSplit}
+            disabled={isSaving || pieces.length < 2}
+            className="bg-emerald-600 hover:bg-emerald-700"
+          >
+            {isSaving && <Loader className="w-4 h-4 mr-2 animate-spin" />}
+            {isSaving ? 'Dividiendo...' : 'Dividir Lote'}
+          </Button>
+        </div>
+      </DialogContent>
+    </Dialog>
+  );
+}
@@ -33,6 +33,7 @@ import {
 } from 'lucide-react';
 import { supabase } from '@/lib/supabase';
 import { obtenerHistorialNDVI } from '@/services/ndviStatistics';
+import { aPosicionesLeaflet, obtenerLimitesLeaflet } from '@/services/geospatial';
 import { MiniAudioPlayer } from '../ui/MiniAudioPlayer';
 import '@/lib/leafletConfig';
 
@@ -45,21 +46,13 @@ function FitBoundsDetail({ lote }) {
         if (!lote) return;
 
         try {
-            let positions = [];
-            // Manejar formato de array simple o GeoJSON
-            if (Array.isArray(lote.polygon_data)) {
-                positions = lote.polygon_data;
-            } else if (lote.polygon_data?.coordinates?.[0]) {
-                positions = lote.polygon_data.coordinates[0].map(c => [c[1], c[0]]);
-            } else if (typeof lote.polygon_data === 'string') {
-                const parsed = JSON.parse(lote.polygon_data);
-                positions = Array.isArray(parsed) ? parsed : (parsed.coordinates?.[0]?.map(c => [c[1], c[0]]) || []);
-            }
+            // Bounding box de todas las partes (array Leaflet o GeoJSON, con huecos o multiparte)
+            const bounds = obtenerLimitesLeaflet([lote.polygon_data]);
 
-            if (positions.length >= 2) {
+            if (bounds) {
                 setTimeout(() => {
                     map.invalidateSize();
-                    map.fitBounds(positions, { padding: [40, 40], maxZoom: 16 });
+                    map.fitBounds(bounds, { padding: [40, 40], maxZoom: 16 });
                 }, 300);
             }
         } catch (err) {
@@ -108,12 +101,20 @@ export function LoteDetailModal({
         // ... (rest of loadAllHistory remains same)
         setLoadingHistory(true);
         try {
-            const ndviData = await obtenerHistorialNDVI(lote.id, supabase);
-            setHistoryNDVI(ndviData.map(d => ({
-                fecha: new Date(d.date).toLocaleDateString('es-ES', { day: '2-digit', month: 'short' }),
-                ndvi: parseFloat(d.mean_ndvi),
-                nubes: d.cloud_coverage_percent,
-                originalDate: d.date
+            // Incluye el NDVI de los lotes de origen si este lote surgió de una división/unión
+            const ndviData = await obtenerHistorialNDVI(lote.id, supabase, { incluirLinaje: true });
+            const porFecha = {};
+            ndviData.forEach(d => {
+                if (!porFecha[d.date]) porFecha[d.date] = { valores: [], nubes: d.cloud_coverage_percent, heredado: true };
+                porFecha[d.date].valores.push(parseFloat(d.mean_ndvi));
+                if (!d.heredado) porFecha[d.date].heredado = false;
+            });
+            setHistoryNDVI(Object.entries(porFecha).map(([date, d]) => ({
+                fecha: new Date(date).toLocaleDateString('es-ES', { day: '2-digit', month: 'short' }),
+                ndvi: d.valores.reduce((sum, v) => sum + v, 0) / d.valores.length,
+                nubes: d.nubes,
+                heredado: d.heredado,
+                originalDate: date
             })));
 
             // 2. Audit Logs
@@ -160,17 +161,7 @@ export function LoteDetailModal({
     // Helper para obtener posiciones del polígono de forma segura
     const getPolyPositions = () => {
         if (!lote?.polygon_data) return [];
-        try {
-            if (Array.isArray(lote.polygon_data)) return lote.polygon_data;
-            if (lote.polygon_data?.coordinates?.[0]) return lote.polygon_data.coordinates[0].map(c => [c[1], c[0]]);
-            if (typeof lote.polygon_data === 'string') {
-                const parsed = JSON.parse(lote.polygon_data);
-                return Array.isArray(parsed) ? parsed : (parsed.coordinates?.[0]?.map(c => [c[1], c[0]]) || []);
-            }
-        } catch (e) {
-            return [];
-        }
-        return [];
+        return aPosicionesLeaflet(lote.polygon_data);
     };
 
     if (!lote) return null;
@@ -371,6 +362,9 @@ export function LoteDetailModal({
                                             <CardTitle className="text-lg font-bold text-slate-800">Tendencia de Salud Vegetal</CardTitle>
                                             <Badge className="bg-emerald-100 text-emerald-700 border-emerald-200">Datos Sentinel-2</Badge>
                                         </div>
+                                        {historyNDVI.some(d => d.heredado) && (
+                                            <p className="text-xs text-slate-500 mt-1">Incluye el historial de los lotes de los que proviene este lote.</p>
+                                        )}
                                     </CardHeader>
                                     <CardContent className="px-0 h-[450px]">
                                         {historyNDVI.length > 0 ? (
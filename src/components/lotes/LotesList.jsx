@@ -12,6 +12,7 @@ import {
   SelectValue,
 } from '@/components/ui/select';
 import { COLORES_USO_SUELO, USOS_SUELO, CATEGORIAS_GANADERAS } from '@/types/lotes.types';
+import { LotExportMenu } from './LotExportMenu';
 
 /**
  * Componente que renderiza una lista de lotes en forma de cards
@@ -21,6 +22,8 @@ import { COLORES_USO_SUELO, USOS_SUELO, CATEGORIAS_GANADERAS } from '@/types/lot
  * @param {Function} props.onSelectLote - Callback cuando se selecciona un lote
  * @param {Function} props.onViewDetail - Callback para ver detalle de lote
  * @param {boolean} props.loading - Estado de carga
+ * @param {string} props.premiseId - ID del predio (para exportar la geometría)
+ * @param {string} props.premiseName - Nombre del predio
  */
 export function LotesList({
   lotes = [],
@@ -28,6 +31,8 @@ export function LotesList({
   onSelectLote = () => {},
   onViewDetail = () => {},
   loading = false,
+  premiseId = null,
+  premiseName = 'predio',
 }) {
   const [selectedLoteId, setSelectedLoteId] = useState(null);
   const [searchTerm, setSearchTerm] = useState('');
@@ -113,10 +118,13 @@ export function LotesList({
         <h2 className="text-xl font-semibold">
           Lotes ({filteredLotes.length})
         </h2>
-        <Button onClick={onNuevoLote} size="sm" className="gap-2">
-          <Plus className="h-4 w-4" />
-          Nuevo Lote
-        </Button>
+        <div className="flex items-center gap-2">
+          <LotExportMenu premiseId={premiseId} premiseName={premiseName} className="text-sm py-1.5" />
+          <Button onClick={onNuevoLote} size="sm" className="gap-2">
+            <Plus className="h-4 w-4" />
+            Nuevo Lote
+          </Button>
+        </div>
       </div>
 
       {/* Búsqueda */}
@@ -0,0 +1,321 @@
+import { useState, useEffect, useMemo } from 'react';
+import { Button } from '../ui/button';
+import { Badge } from '../ui/badge';
+import { AlertTriangle, Info, Loader, RefreshCw, Sprout, X } from 'lucide-react';
+import { toast } from 'sonner';
+import { COLORES_CULTIVO } from '../../lib/mapLayers.config';
+import {
+  CULTIVOS_ROTACION,
+  TIPOS_CULTIVO_ROTACION,
+  ESTACIONES,
+  obtenerRotacionesPredio,
+  guardarRotacion,
+  moverRotacion,
+  eliminarRotacion,
+  sincronizarRotacionDesdeCosechas,
+  evaluarRotacionPredio,
+  temporadaDeFecha,
+  etiquetaTemporada
+} from '../../services/cropRotation';
+
+const ANIOS_HISTORIA = 3;
+const ANIOS_PLAN = 4;
+
+const COLORES_TIPO = {
+  COBERTURA: '#A5D6A7',
+  VERDEO: '#81C784',
+  PRADERA: COLORES_CULTIVO['Pastura'],
+  BARBECHO: '#BCAAA4'
+};
+
+function colorCultivo(crop) {
+  const tipo = CULTIVOS_ROTACION[crop]?.tipo;
+  return COLORES_CULTIVO[crop] || COLORES_TIPO[tipo] || '#E0E0E0';
+}
+
+function ordenTemporada(seasonYear, season) {
+  return seasonYear * 2 + (season === 'VERANO' ? 1 : 0);
+}
+
+/**
+ * Planificador plurianual de rotación del predio.
+ * Filas = lotes, columnas = invierno / verano de cada campaña. Los cultivos se arrastran desde
+ * la paleta a una temporada, o de una temporada planificada a otra del mismo lote.
+ * @component
+ */
+export function RotationPlanner({ firmId, premiseId, lots = [], userId = null, onClose = () => {} }) {
+  const [rotaciones, setRotaciones] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [sincronizando, setSincronizando] = useState(false);
+  const [guardandoCelda, setGuardandoCelda] = useState(null);
+  const [celdaDestacada, setCeldaDestacada] = useState(null);
+
+  const actual = temporadaDeFecha(new Date().toISOString().split('T')[0]);
+  const anioInicial = actual.season_year - ANIOS_HISTORIA;
+  const anios = Array.from({ length: ANIOS_HISTORIA + ANIOS_PLAN + 1 }, (_, i) => anioInicial + i);
+
+  useEffect(() => {
+    if (premiseId) loadRotaciones();
+  }, [premiseId]);
+
+  async function loadRotaciones() {
+    setLoading(true);
+    try {
+      // Se cargan años previos a la grilla para que las reglas vean la ventana completa
+      const data = await obtenerRotacionesPredio(premiseId, { desde: anioInicial - 4 });
+      setRotaciones(data);
+    } catch (err) {
+      toast.error('Error cargando rotación: ' + err.message);
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  const evaluacion = useMemo(() => evaluarRotacionPredio(rotaciones), [rotaciones]);
+
+  const celdaDe = (lotId, seasonYear, season) =>
+    rotaciones.find((r) => r.lot_id === lotId && r.season_year === seasonYear && r.season === season);
+
+  const advertenciasCelda = (lotId, seasonYear, season) =>
+    (evaluacion[lotId]?.advertencias || []).filter((a) => a.season_year === seasonYear && a.season === season);
+
+  async function handleDrop(e, lot, seasonYear, season) {
+    e.preventDefault();
+    setCeldaDestacada(null);
+
+    let arrastre;
+    try {
+      arrastre = JSON.parse(e.dataTransfer.getData('text/plain'));
+    } catch {
+      return;
+    }
+
+    const claveCelda = `${lot.id}:${seasonYear}:${season}`;
+    setGuardandoCelda(claveCelda);
+    try {
+      if (arrastre.tipo === 'celda') {
+        const rotacion = rotaciones.find((r) => r.id === arrastre.id);
+        if (!rotacion || rotacion.lot_id !== lot.id) {
+          toast.error('Solo se puede mover dentro del mismo lote');
+          return;
+        }
+        await moverRotacion(rotacion, { season_year: seasonYear, season }, rotaciones.filter((r) => r.lot_id === lot.id));
+      } else {
+        const pasada = ordenTemporada(seasonYear, season) < ordenTemporada(actual.season_year, actual.season);
+        await guardarRotacion({
+          firm_id: firmId,
+          premise_id: premiseId,
+          lot_id: lot.id,
+          season_year: seasonYear,
+          season,
+          crop: arrastre.crop,
+          status: pasada ? 'REALIZADO' : 'PLANIFICADO'
+        }, userId);
+      }
+      await loadRotaciones();
+    } catch (err) {
+      toast.error(err.message);
+    } finally {
+      setGuardandoCelda(null);
+    }
+  }
+
+  async function handleRemove(rotacion) {
+    try {
+      await eliminarRotacion(rotacion, userId);
+      setRotaciones((prev) => prev.filter((r) => r.id !== rotacion.id));
+    } catch (err) {
+      toast.error(err.message);
+    }
+  }
+
+  async function handleSincronizar() {
+    setSincronizando(true);
+    try {
+      const cantidad = await sincronizarRotacionDesdeCosechas(premiseId, userId);
+      toast.success(cantidad > 0
+        ? `✓ ${cantidad} temporada(s) completadas desde las cosechas`
+        : 'No hay cosechas registradas en el predio');
+      await loadRotaciones();
+    } catch (err) {
+      toast.error(err.message);
+    } finally {
+      setSincronizando(false);
+    }
+  }
+
+  const todasAdvertencias = lots.flatMap((lot) =>
+    (evaluacion[lot.id]?.advertencias || [])
+      .filter((a) => a.season_year >= anioInicial)
+      .map((a) => ({ ...a, lote: lot.name }))
+  );
+
+  return (
+    <div className="space-y-4">
+      <div className="bg-white p-4 rounded-xl shadow-sm border border-slate-200 flex justify-between items-center">
+        <div>
+          <h3 className="font-bold text-slate-800 flex items-center gap-2">
+            <Sprout className="w-5 h-5 text-emerald-600" /> Rotación de Cultivos
+          </h3>
+          <p className="text-sm text-slate-500">
+            Arrastre un cultivo a la temporada de cada lote. Las temporadas pasadas se registran como realizadas.
+          </p>
+        </div>
+        <div className="flex gap-2">
+          <Button variant="outline" onClick={handleSincronizar} disabled={sincronizando}>
+            {sincronizando ? <Loader className="w-4 h-4 mr-1 animate-spin" /> : <RefreshCw className="w-4 h-4 mr-1" />}
+            Completar desde cosechas
+          </Button>
+          <button
+            onClick={onClose}
+            className="px-4 py-2 text-slate-700 bg-slate-100 hover:bg-slate-200 rounded-lg transition-colors"
+          >
+            Volver a la Lista
+          </button>
+        </div>
+      </div>
+
+      {/* Paleta de cultivos */}
+      <div className="bg-white p-3 rounded-xl shadow-sm border border-slate-200 space-y-2">
+        {Object.entries(TIPOS_CULTIVO_ROTACION).map(([tipo, label]) => (
+          <div key={tipo} className="flex flex-wrap items-center gap-2">
+            <span className="text-xs font-semibold text-slate-500 uppercase w-40">{label}</span>
+            {Object.entries(CULTIVOS_ROTACION)
+              .filter(([, config]) => config.tipo === tipo)
+              .map(([crop, config]) => (
+                <span
+                  key={crop}
+                  draggable
+                  onDragStart={(e) => e.dataTransfer.setData('text/plain', JSON.stringify({ tipo: 'cultivo', crop }))}
+                  className="px-2 py-1 rounded-md text-xs font-medium text-slate-900 cursor-grab border border-black/10"
+                  style={{ backgroundColor: colorCultivo(crop) }}
+                  title={config.estacion ? `Cultivo de ${ESTACIONES[config.estacion].toLowerCase()}` : 'Cualquier estación'}
+                >
+                  {crop}
+                </span>
+              ))}
+          </div>
+        ))}
+      </div>
+
+      {loading ? (
+        <div className="flex justify-center p-12">
+          <Loader className="animate-spin text-emerald-600" size={32} />
+        </div>
+      ) : (
+        <div className="bg-white rounded-xl shadow-sm border border-slate-200 overflow-x-auto">
+          <table className="text-xs border-collapse">
+            <thead>
+              <tr className="bg-slate-50">
+                <th rowSpan={2} className="sticky left-0 bg-slate-50 px-3 py-2 text-left font-semibold text-slate-600 border-b border-r border-slate-200 min-w-[160px]">
+                  Lote
+                </th>
+                {anios.map((anio) => (
+                  <th
+                    key={anio}
+                    colSpan={2}
+                    className={`px-2 py-1 text-center font-semibold border-b border-r border-slate-200 ${anio === actual.season_year ? 'bg-emerald-50 text-emerald-800' : 'text-slate-600'}`}
+                  >
+                    {anio}/{String(anio + 1).slice(-2)}
+                  </th>
+                ))}
+              </tr>
+              <tr className="bg-slate-50">
+                {anios.flatMap((anio) => ['INVIERNO', 'VERANO'].map((season) => (
+                  <th key={`${anio}-${season}`} className="px-2 py-1 text-center font-normal text-slate-500 border-b border-r border-slate-200 min-w-[88px]">
+                    {ESTACIONES[season]}
+                  </th>
+                )))}
+              </tr>
+            </thead>
+            <tbody>
+              {lots.map((lot) => {
+                const sostenibilidad = evaluacion[lot.id]?.sostenibilidad;
+                return (
+                  <tr key={lot.id}>
+                    <td className="sticky left-0 bg-white px-3 py-2 border-b border-r border-slate-200">
+                      <p className="font-medium text-slate-800">{lot.name}</p>
+                      <p className="text-slate-400">
+                        {parseFloat(lot.area_hectares || 0).toFixed(1)} ha
+                        {sostenibilidad && ` · índice ${Math.round(sostenibilidad.sustainability_score)}`}
+                      </p>
+                    </td>
+                    {anios.flatMap((anio) => ['INVIERNO', 'VERANO'].map((season) => {
+                      const clave = `${lot.id}:${anio}:${season}`;
+                      const rotacion = celdaDe(lot.id, anio, season);
+                      const advertencias = advertenciasCelda(lot.id, anio, season);
+                      const hayWarning = advertencias.some((a) => a.severidad === 'warning');
+
+                      return (
+                        <td
+                          key={clave}
+                          onDragOver={(e) => {
+                            e.preventDefault();
+                            setCeldaDestacada(clave);
+                          }}
+                          onDragLeave={() => setCeldaDestacada(null)}
+                          onDrop={(e) => handleDrop(e, lot, anio, season)}
+                          className={`relative p-1 h-12 border-b border-r border-slate-200 align-middle ${celdaDestacada === clave ? 'bg-emerald-100' : anio === actual.season_year && season === actual.season ? 'bg-emerald-50/50' : ''}`}
+                        >
+                          {guardandoCelda === clave ? (
+                            <Loader className="w-4 h-4 mx-auto animate-spin text-slate-400" />
+                          ) : rotacion && (
+                            <div
+                              draggable={rotacion.status !== 'REALIZADO'}
+                              onDragStart={(e) => e.dataTransfer.setData('text/plain', JSON.stringify({ tipo: 'celda', id: rotacion.id }))}
+                              className={`group flex items-center justify-between gap-1 px-1.5 py-1 rounded text-slate-900 ${rotacion.status === 'REALIZADO' ? 'border border-black/10' : 'border-2 border-dashed border-slate-500/50 cursor-grab'}`}
+                              style={{ backgroundColor: colorCultivo(rotacion.crop) }}
+                              title={`${rotacion.crop} · ${etiquetaTemporada(anio, season)} · ${rotacion.status === 'REALIZADO' ? 'Realizado' : 'Planificado'}${rotacion.source === 'COSECHA' ? ' (cosecha)' : ''}`}
+                            >
+                              <span className="truncate font-medium">
+                                {rotacion.crop}
+                                {rotacion.pasture_age_years && ` ${rotacion.pasture_age_years}°`}
+                              </span>
+                              <button
+                                onClick={() => handleRemove(rotacion)}
+                                className="opacity-0 group-hover:opacity-100 text-slate-700 hover:text-red-600"
+                                title="Quitar"
+                              >
+                                <X size={12} />
+                              </button>
+                            </div>
+                          )}
+                          {advertencias.length > 0 && (
+                            <span
+                              className={`absolute top-0 right-0 w-2.5 h-2.5 rounded-full ${hayWarning ? 'bg-red-500' : 'bg-blue-400'}`}
+                              title={advertencias.map((a) => a.mensaje).join('\n')}
+                            />
+                          )}
+                        </td>
+                      );
+                    }))}
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {/* Advertencias de rotación */}
+      {!loading && todasAdvertencias.length > 0 && (
+        <div className="bg-white p-4 rounded-xl shadow-sm border border-slate-200">
+          <h4 className="font-semibold text-slate-800 mb-2">Advertencias de rotación ({todasAdvertencias.length})</h4>
+          <ul className="space-y-1 text-sm">
+            {todasAdvertencias.map((a, i) => (
+              <li key={i} className="flex items-start gap-2">
+                {a.severidad === 'warning'
+                  ? <AlertTriangle className="w-4 h-4 text-red-500 mt-0.5 shrink-0" />
+                  : <Info className="w-4 h-4 text-blue-500 mt-0.5 shrink-0" />}
+                <span>
+                  <Badge variant="outline" className="mr-2">{a.lote}</Badge>
+                  {a.mensaje}
+                </span>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -13,6 +13,7 @@ import {
 } from '@/components/ui/dropdown-menu';
 import { Layers } from 'lucide-react';
 import { BASE_LAYERS, OVERLAY_LAYERS } from '@/lib/mapLayers.config';
+import { PARAMETROS_SUELO, PARAMETROS_SUPERFICIE } from '@/services/soilSampling';
 
 /**
  * Control avanzado de capas para mapas
@@ -21,18 +22,22 @@ import { BASE_LAYERS, OVERLAY_LAYERS } from '@/lib/mapLayers.config';
  * @param {Object} props
  * @param {'osm'|'satellite'|'terrain'|'ndvi'} props.baseLayer - Capa base activa
  * @param {Function} props.onBaseLayerChange - Callback cuando cambia capa base
- * @param {Object} props.overlays - {cultivo: boolean, pastura: boolean}
+ * @param {Object} props.overlays - {cultivo: boolean, pastura: boolean, rendimiento: boolean, suelo: boolean, sensibles: boolean}
  * @param {Function} props.onOverlayToggle - Callback (overlayId, enabled)
  * @param {string} props.ndviDate - Fecha seleccionada para NDVI (si aplica)
  * @param {Function} props.onNDVIDateChange - Callback para cambio de fecha NDVI
+ * @param {'P'|'K'|'pH'|'MO'} props.soilParameter - Parámetro del overlay de suelo
+ * @param {Function} props.onSoilParameterChange - Callback para cambio de parámetro de suelo
  */
 export function AdvancedLayerControl({
   baseLayer = 'osm',
   onBaseLayerChange = () => {},
-  overlays = { cultivo: false, pastura: false },
+  overlays = { cultivo: false, pastura: false, rendimiento: false },
   onOverlayToggle = () => {},
   ndviDate = null,
   onNDVIDateChange = () => {},
+  soilParameter = 'P',
+  onSoilParameterChange = () => {},
 }) {
   const [isOpen, setIsOpen] = useState(false);
 
@@ -102,7 +107,8 @@ export function AdvancedLayerControl({
           OVERLAYS
         </DropdownMenuLabel>
 
-        {Object.values(OVERLAY_LAYERS).map((overlay) => (
+        {/* Solo los overlays que el mapa contenedor soporta (los que trae en su estado) */}
+        {Object.values(OVERLAY_LAYERS).filter((overlay) => overlay.id in overlays).map((overlay) => (
           <DropdownMenuCheckboxItem
             key={overlay.id}
             checked={overlays[overlay.id] || false}
@@ -112,6 +118,27 @@ export function AdvancedLayerControl({
             <span className="flex-1">{overlay.label}</span>
           </DropdownMenuCheckboxItem>
         ))}
+
+        {/* SELECTOR DE PARÁMETRO PARA EL MAPA DE SUELO */}
+        {overlays.suelo && (
+          <div className="px-2 py-2">
+            <Label htmlFor="soil-parameter" className="text-xs">
+              Parámetro de suelo
+            </Label>
+            <select
+              id="soil-parameter"
+              value={soilParameter}
+              onChange={(e) => onSoilParameterChange(e.target.value)}
+              className="w-full mt-1 px-2 py-1 text-sm border rounded"
+            >
+              {PARAMETROS_SUPERFICIE.map((parametro) => (
+                <option key={parametro} value={parametro}>
+                  {PARAMETROS_SUELO[parametro].etiqueta}
+                </option>
+              ))}
+            </select>
+          </div>
+        )}
       </DropdownMenuContent>
     </DropdownMenu>
   );
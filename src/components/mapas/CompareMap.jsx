@@ -5,6 +5,7 @@ import 'leaflet-side-by-side';
 import { Card } from '@/components/ui/card';
 import { Badge } from '@/components/ui/badge';
 import { Calendar } from 'lucide-react';
+import { aPosicionesLeaflet, obtenerLimitesLeaflet } from '@/services/geospatial';
 
 // Fix iconos de Leaflet
 import icon from 'leaflet/dist/images/marker-icon.png';
@@ -126,12 +127,10 @@ export function CompareMap({
         if (!lot.polygon_data) return;
         
         try {
-            // El dato viene como string JSON o como array directo
-            const positions = typeof lot.polygon_data === 'string' 
-                ? JSON.parse(lot.polygon_data) 
-                : lot.polygon_data;
+            // String JSON, array Leaflet o GeoJSON (con huecos / multiparte)
+            const positions = aPosicionesLeaflet(lot.polygon_data);
 
-            if (Array.isArray(positions) && positions.length >= 3) {
+            if (positions.length > 0) {
                 const poly = L.polygon(positions, {
                     color: '#ffffff',
                     weight: 2,
@@ -162,22 +161,9 @@ export function CompareMap({
     }
 
     // --- AUTO-ZOOM ---
-    const allPoints = [];
-    lots.forEach(lot => {
-        if (!lot.polygon_data) return;
-        try {
-            const positions = typeof lot.polygon_data === 'string' 
-                ? JSON.parse(lot.polygon_data) 
-                : lot.polygon_data;
-            
-            if (Array.isArray(positions) && positions.length > 0) {
-                allPoints.push(...positions);
-            }
-        } catch(e) {}
-    });
+    const bounds = obtenerLimitesLeaflet(lots.map(lot => lot.polygon_data));
 
-    if (allPoints.length > 0) {
-        const bounds = L.latLngBounds(allPoints);
+    if (bounds) {
         map.fitBounds(bounds, { padding: [50, 50] });
     } else {
         map.setView(center, zoom);
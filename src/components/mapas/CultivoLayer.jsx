@@ -1,5 +1,6 @@
 import { Polygon, Popup } from 'react-leaflet';
 import { COLORES_CULTIVO } from '@/lib/mapLayers.config';
+import { aPosicionesLeaflet } from '@/services/geospatial';
 
 /**
  * Componente overlay que renderiza los lotes coloreados según cultivo_actual
@@ -15,24 +16,14 @@ export function CultivoLayer({ lotes, visible }) {
   }
 
   /**
-   * Convierte coordenadas GeoJSON [lng, lat] a Leaflet [lat, lng]
+   * Convierte coordenadas GeoJSON [lng, lat] a Leaflet [lat, lng] (con huecos y partes)
    */
-  const convertCoordinates = (poligono) => {
-    if (!poligono || !poligono.coordinates || !Array.isArray(poligono.coordinates[0])) {
-      return [];
-    }
-
-    return poligono.coordinates[0].map((coord) => [coord[1], coord[0]]);
-  };
+  const convertCoordinates = (poligono) => aPosicionesLeaflet(poligono);
 
   return lotes.map((lote) => {
     // Validar que el lote tiene polígono válido
-    if (!lote.poligono || !lote.poligono.coordinates) {
-      return null;
-    }
-
     const posiciones = convertCoordinates(lote.poligono);
-    if (posiciones.length < 3) {
+    if (posiciones.length === 0) {
       return null;
     }
 
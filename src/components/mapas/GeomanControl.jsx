@@ -44,7 +44,7 @@ export function GeomanControl({
       drawText: false,
       editMode: enableEdit,
       dragMode: false,
-      cutPolygon: false,
+      cutPolygon: enableEdit, // Recortar huecos (lagunas, montes) en el lote
       removalMode: true,
       rotateMode: false,
     });
@@ -73,6 +73,13 @@ export function GeomanControl({
       });
     };
 
+    // Event: Recortar hueco. Geoman reemplaza la capa original por una nueva con el hueco
+    const handleCut = (e) => {
+      currentLayerRef.current = e.layer;
+      const geoJSON = e.layer.toGeoJSON();
+      onPolygonEdited(geoJSON.geometry);
+    };
+
     // Event: Eliminar polígono
     const handleRemove = (e) => {
       // Siempre reportar eliminación (Geoman solo emite pm:remove para capas nuestras)
@@ -83,6 +90,7 @@ export function GeomanControl({
     // Registrar eventos
     map.on('pm:create', handleCreate);
     map.on('pm:edit', handleEdit);
+    map.on('pm:cut', handleCut);
     map.on('pm:remove', handleRemove);
 
     // Cleanup al desmontar
@@ -90,6 +98,7 @@ export function GeomanControl({
       map.pm.removeControls();
       map.off('pm:create', handleCreate);
       map.off('pm:edit', handleEdit);
+      map.off('pm:cut', handleCut);
       map.off('pm:remove', handleRemove);
 
       if (currentLayerRef.current && map.hasLayer(currentLayerRef.current)) {
@@ -3,11 +3,16 @@ import { MapContainer, TileLayer, Polygon, Popup, useMap } from 'react-leaflet';
 import L from 'leaflet';
 import { Card, CardContent } from '@/components/ui/card';
 import { AlertCircle } from 'lucide-react';
-import { COLORES_USO_SUELO } from '@/types/lotes.types';
 import { AdvancedLayerControl } from './AdvancedLayerControl';
 import { CultivoLayer } from './CultivoLayer';
 import { PasturaLayer } from './PasturaLayer';
-import { BASE_LAYERS } from '@/lib/mapLayers.config';
+import { RendimientoLayer } from './RendimientoLayer';
+import { SueloLayer } from './SueloLayer';
+import { ZonasSensiblesLayer } from './ZonasSensiblesLayer';
+import { BASE_LAYERS, COLORES_USO_SUELO } from '@/lib/mapLayers.config';
+import { aPosicionesLeaflet, obtenerLimitesLeaflet } from '@/services/geospatial';
+import { obtenerUltimoMapaRendimiento } from '@/services/harvests';
+import { obtenerSuperficieSueloLote } from '@/services/soilSampling';
 import '@/lib/leafletConfig';
 
 /**
@@ -18,20 +23,14 @@ function ZoomToSelected({ lote }) {
   const map = useMap();
 
   useEffect(() => {
-    if (!lote || !lote.poligono?.coordinates || !Array.isArray(lote.poligono.coordinates[0])) {
+    if (!lote || !lote.poligono) {
       return;
     }
 
     const timer = setTimeout(() => {
       try {
-        const coords = lote.poligono.coordinates[0];
-        // Validar que tenemos coordenadas válidas
-        const validCoords = coords.filter(
-          (c) => Array.isArray(c) && c.length === 2 && !isNaN(c[0]) && !isNaN(c[1])
-        );
-
-        if (validCoords.length >= 2) {
-          const bounds = validCoords.map((coord) => [coord[1], coord[0]]); // [lat, lng]
+        const bounds = obtenerLimitesLeaflet([lote.poligono]);
+        if (bounds) {
           map.fitBounds(bounds, {
             padding: [80, 80],
             maxZoom: 16,
@@ -118,6 +117,7 @@ function NDVIWMSLayer({ ndviDate }) {
  * @param {Object} props.predioUbicacion - Ubicación del predio para centrar el mapa
  * @param {Object} props.alertasPorLote - Alertas agrupadas por lote_id: { loteId: [alertas] }
  * @param {Function} props.onSelectLote - Callback cuando se selecciona un lote
+ * @param {Array} props.zonasSensibles - Zonas sensibles del predio para el overlay de resguardos
  */
 export function MapaLotes({
   lotes = [],
@@ -125,22 +125,72 @@ export function MapaLotes({
   predioUbicacion = null,
   alertasPorLote = {},
   onSelectLote = () => {},
+  zonasSensibles = [],
 }) {
   const mapRef = useRef(null);
   const [baseLayer, setBaseLayer] = useState('osm');
-  const [overlays, setOverlays] = useState({ cultivo: false, pastura: false });
+  const [overlays, setOverlays] = useState({ cultivo: false, pastura: false, rendimiento: false, suelo: false, sensibles: false });
   const [ndviDate, setNdviDate] = useState(null);
+  const [mapaRendimiento, setMapaRendimiento] = useState(null);
+  const [cargandoRendimiento, setCargandoRendimiento] = useState(false);
+  const [parametroSuelo, setParametroSuelo] = useState('P');
+  const [superficieSuelo, setSuperficieSuelo] = useState(null);
+  const [cargandoSuelo, setCargandoSuelo] = useState(false);
 
-  const getColorUsoSuelo = (valor) => {
-    return COLORES_USO_SUELO[valor] || '#6b7280';
-  };
+  // Cargar el último mapa de rendimiento del lote seleccionado al activar el overlay
+  useEffect(() => {
+    if (!overlays.rendimiento || !selectedLote?.id) {
+      setMapaRendimiento(null);
+      return;
+    }
 
-  const convertirCoordenadasGeoJSON = (poligono) => {
-    if (!poligono || !poligono.coordinates) return [];
+    let cancelado = false;
+    setCargandoRendimiento(true);
+    obtenerUltimoMapaRendimiento(selectedLote.id)
+      .then((mapa) => {
+        if (!cancelado) setMapaRendimiento(mapa);
+      })
+      .catch((err) => {
+        console.warn('Error cargando mapa de rendimiento:', err);
+        if (!cancelado) setMapaRendimiento(null);
+      })
+      .finally(() => {
+        if (!cancelado) setCargandoRendimiento(false);
+      });
 
-    // GeoJSON usa [lng, lat], pero Leaflet usa [lat, lng]
-    const anillo = poligono.coordinates[0];
-    return anillo.map((coord) => [coord[1], coord[0]]);
+    return () => {
+      cancelado = true;
+    };
+  }, [overlays.rendimiento, selectedLote?.id]);
+
+  // Superficie interpolada del último muestreo de suelo del lote seleccionado
+  useEffect(() => {
+    if (!overlays.suelo || !selectedLote?.id) {
+      setSuperficieSuelo(null);
+      return;
+    }
+
+    let cancelado = false;
+    setCargandoSuelo(true);
+    obtenerSuperficieSueloLote(selectedLote, parametroSuelo)
+      .then((superficie) => {
+        if (!cancelado) setSuperficieSuelo(superficie);
+      })
+      .catch((err) => {
+        console.warn('Error cargando mapa de suelo:', err);
+        if (!cancelado) setSuperficieSuelo(null);
+      })
+      .finally(() => {
+        if (!cancelado) setCargandoSuelo(false);
+      });
+
+    return () => {
+      cancelado = true;
+    };
+  }, [overlays.suelo, selectedLote?.id, parametroSuelo]);
+
+  const getColorUsoSuelo = (valor) => {
+    return COLORES_USO_SUELO[valor] || '#6b7280';
   };
 
   // Calcular los límites del mapa basado en todos los lotes o ubicación del predio
@@ -155,30 +205,16 @@ export function MapaLotes({
       return [[-34.9211, -56.1845], [-34.8811, -56.1445]]; // Región de Uruguay
     }
 
-    // Calcular bounds de todos los lotes
-    let minLat = 90,
-      maxLat = -90,
-      minLng = 180,
-      maxLng = -180;
-
-    lotes.forEach((lote) => {
-      if (lote.poligono && lote.poligono.coordinates) {
-        const coords = lote.poligono.coordinates[0];
-        coords.forEach((coord) => {
-          const [lng, lat] = coord;
-          minLat = Math.min(minLat, lat);
-          maxLat = Math.max(maxLat, lat);
-          minLng = Math.min(minLng, lng);
-          maxLng = Math.max(maxLng, lng);
-        });
-      }
-    });
+    // Calcular bounds de todos los lotes (incluye todas las partes de lotes multiparte)
+    const limites = obtenerLimitesLeaflet(lotes.map((lote) => lote.poligono));
 
-    if (minLat === 90) {
+    if (!limites) {
       // Si no se encontraron coordenadas válidas, usar región por defecto
       return [[-34.9011, -56.1645], [-34.8011, -56.0645]];
     }
 
+    const [[minLat, minLng], [maxLat, maxLng]] = limites;
+
     // Agregar padding del 10% alrededor
     const latPad = (maxLat - minLat) * 0.1;
     const lngPad = (maxLng - minLng) * 0.1;
@@ -244,6 +280,8 @@ export function MapaLotes({
                 }}
                 ndviDate={ndviDate}
                 onNDVIDateChange={setNdviDate}
+                soilParameter={parametroSuelo}
+                onSoilParameterChange={setParametroSuelo}
               />
 
               {/* Overlays de cultivo y pastura */}
@@ -255,12 +293,9 @@ export function MapaLotes({
 
               {/* Renderizar polígonos de lotes */}
               {lotes.map((lote) => {
-                if (!lote.poligono || !lote.poligono.coordinates) {
-                  return null;
-                }
-
-                const coordenadas = convertirCoordenadasGeoJSON(lote.poligono);
-                if (coordenadas.length < 3) {
+                // Posiciones Leaflet con huecos y partes
+                const coordenadas = aPosicionesLeaflet(lote.poligono);
+                if (coordenadas.length === 0) {
                   return null;
                 }
 
@@ -334,6 +369,24 @@ export function MapaLotes({
                   </Polygon>
                 );
               })}
+
+              {/* Mapa de rendimiento del monitor de cosecha (sobre los polígonos) */}
+              <RendimientoLayer
+                mapa={mapaRendimiento}
+                visible={overlays.rendimiento}
+                loading={cargandoRendimiento}
+              />
+
+              {/* Superficie interpolada de nutrientes del muestreo de suelo */}
+              <SueloLayer
+                superficie={superficieSuelo}
+                parametro={parametroSuelo}
+                visible={overlays.suelo}
+                loading={cargandoSuelo}
+              />
+
+              {/* Cursos de agua, escuelas y viviendas con su distancia de resguardo */}
+              <ZonasSensiblesLayer zonas={zonasSensibles} visible={overlays.sensibles} />
             </MapContainer>
           )}
         </CardContent>
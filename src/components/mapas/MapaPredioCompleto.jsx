@@ -5,6 +5,8 @@ import { Badge } from '@/components/ui/badge';
 import { Progress } from '@/components/ui/progress';
 import { AlertCircle } from 'lucide-react';
 import { usePredioCoverage } from '@/hooks/usePredioCoverage';
+import { LotExportMenu } from '@/components/lotes/LotExportMenu';
+import { aPosicionesLeaflet, obtenerLimitesLeaflet } from '@/services/geospatial';
 import '@/lib/leafletConfig';
 
 /**
@@ -30,34 +32,10 @@ function FitAllBounds({ lotes, predio }) {
           return;
         }
 
-        // Calcular bounds de todos los lotes
-        let minLat = 90,
-          maxLat = -90,
-          minLng = 180,
-          maxLng = -180;
-        let foundCoords = false;
+        // Calcular bounds de todos los lotes (todas las partes)
+        const bounds = obtenerLimitesLeaflet(lotes.map((lote) => lote.poligono));
 
-        lotes.forEach((lote) => {
-          if (lote.poligono?.coordinates && Array.isArray(lote.poligono.coordinates[0])) {
-            const coords = lote.poligono.coordinates[0];
-            coords.forEach((coord) => {
-              if (Array.isArray(coord) && coord.length === 2 && !isNaN(coord[0]) && !isNaN(coord[1])) {
-                const [lng, lat] = coord;
-                minLat = Math.min(minLat, lat);
-                maxLat = Math.max(maxLat, lat);
-                minLng = Math.min(minLng, lng);
-                maxLng = Math.max(maxLng, lng);
-                foundCoords = true;
-              }
-            });
-          }
-        });
-
-        if (foundCoords && minLat !== 90) {
-          const bounds = [
-            [minLat, minLng],
-            [maxLat, maxLng],
-          ];
+        if (bounds) {
           map.fitBounds(bounds, { padding: [50, 50], maxZoom: 16 });
         } else if (predio?.ubicacion && Array.isArray(predio.ubicacion) && predio.ubicacion.length === 2) {
           // Fallback a ubicación del predio
@@ -117,10 +95,7 @@ export function MapaPredioCompleto({
   }, [predio?.id, isValidPredioUbicacion, defaultCenter]);
 
   // Convertir coordenadas GeoJSON a Leaflet
-  const convertCoordinates = (polygon) => {
-    if (!polygon || !polygon.coordinates) return [];
-    return polygon.coordinates[0].map((coord) => [coord[1], coord[0]]);
-  };
+  const convertCoordinates = (polygon) => aPosicionesLeaflet(polygon);
 
   // Obtener color para el lote
   const getColorLote = (lote) => {
@@ -142,8 +117,9 @@ export function MapaPredioCompleto({
     <div className="space-y-4">
       {/* Panel de Ocupación del Predio */}
       <Card className={coverage.excedido ? 'border-destructive' : ''}>
-        <CardHeader>
+        <CardHeader className="flex flex-row items-center justify-between space-y-0">
           <CardTitle className="text-lg">Ocupación del Predio</CardTitle>
+          <LotExportMenu premiseId={predio.id} premiseName={predio.nombre} />
         </CardHeader>
         <CardContent className="space-y-4">
           <div className="grid grid-cols-3 gap-4">
@@ -229,12 +205,8 @@ export function MapaPredioCompleto({
 
               {/* Renderizar todos los lotes */}
               {lotes.map((lote) => {
-                if (!lote.poligono || !lote.poligono.coordinates) {
-                  return null;
-                }
-
                 const coords = convertCoordinates(lote.poligono);
-                if (coords.length < 3) {
+                if (coords.length === 0) {
                   return null;
                 }
 
@@ -1,6 +1,7 @@
 import { Polygon, Popup } from 'react-leaflet';
 import { getColorByHeight } from '@/lib/mapLayers.config';
 import { Badge } from '@/components/ui/badge';
+import { aPosicionesLeaflet } from '@/services/geospatial';
 
 /**
  * Componente overlay que renderiza los lotes coloreados según altura de pastura
@@ -16,15 +17,9 @@ export function PasturaLayer({ lotes, visible }) {
   }
 
   /**
-   * Convierte coordenadas GeoJSON [lng, lat] a Leaflet [lat, lng]
+   * Convierte coordenadas GeoJSON [lng, lat] a Leaflet [lat, lng] (con huecos y partes)
    */
-  const convertCoordinates = (poligono) => {
-    if (!poligono || !poligono.coordinates || !Array.isArray(poligono.coordinates[0])) {
-      return [];
-    }
-
-    return poligono.coordinates[0].map((coord) => [coord[1], coord[0]]);
-  };
+  const convertCoordinates = (poligono) => aPosicionesLeaflet(poligono);
 
   /**
    * Obtiene label de estado según altura de pastura
@@ -40,12 +35,8 @@ export function PasturaLayer({ lotes, visible }) {
 
   return lotes.map((lote) => {
     // Validar que el lote tiene polígono válido
-    if (!lote.poligono || !lote.poligono.coordinates) {
-      return null;
-    }
-
     const posiciones = convertCoordinates(lote.poligono);
-    if (posiciones.length < 3) {
+    if (posiciones.length === 0) {
       return null;
     }
 
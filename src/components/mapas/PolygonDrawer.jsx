@@ -7,7 +7,14 @@ import { Badge } from '@/components/ui/badge';
 import { Trash2, AlertCircle, Info } from 'lucide-react';
 import { GeomanControl } from './GeomanControl';
 import { LayerControl } from './LayerControl';
-import { calcularSuperficie, validarPoligono } from '@/services/geospatial';
+import {
+  calcularSuperficie,
+  validarPoligono,
+  aPosicionesLeaflet,
+  obtenerLimitesLeaflet,
+  calcularCentroide,
+  contarVertices,
+} from '@/services/geospatial';
 import '@/lib/leafletConfig';
 
 /**
@@ -71,22 +78,13 @@ function FitBounds({ polygon, center }) {
           mapCRSNull: map?._crs === null,
         });
 
-        if (polygon && polygon.coordinates && Array.isArray(polygon.coordinates[0]) && polygon.coordinates[0].length > 0) {
-          // Validar que tenemos coordenadas válidas
-          const validCoords = polygon.coordinates[0].filter(
-            (c) => Array.isArray(c) && c.length === 2 && !isNaN(c[0]) && !isNaN(c[1])
-          );
-
-          if (validCoords.length >= 2) {
-            const bounds = validCoords.map((coord) => [coord[1], coord[0]]); // [lat, lng]
-            console.log('[FitBounds] Calling fitBounds with:', { bounds });
-            map.fitBounds(bounds, { padding: [50, 50], maxZoom: 16 });
-            console.log('[FitBounds] fitBounds completed successfully');
-          } else if (center && Array.isArray(center) && center.length === 2) {
-            console.log('[FitBounds] Calling setView with center:', center);
-            map.setView(center, 15);
-            console.log('[FitBounds] setView completed successfully');
-          }
+        // Límites de todas las partes del polígono (multipolígonos incluidos)
+        const limites = polygon ? obtenerLimitesLeaflet([polygon]) : null;
+
+        if (limites) {
+          console.log('[FitBounds] Calling fitBounds with:', { bounds: limites });
+          map.fitBounds(limites, { padding: [50, 50], maxZoom: 16 });
+          console.log('[FitBounds] fitBounds completed successfully');
         } else if (center && Array.isArray(center) && center.length === 2 && !isNaN(center[0]) && !isNaN(center[1])) {
           console.log('[FitBounds] Calling setView with center (else case):', center);
           map.setView(center, 15);
@@ -180,11 +178,10 @@ export function PolygonDrawer({
     setCurrentPolygon(geoJSONPolygon);
     onPolygonChange(geoJSONPolygon);
 
-    // Actualizar centro del mapa al primer punto del polígono
-    if (geoJSONPolygon?.coordinates?.[0]?.[0]) {
-      const firstCoord = geoJSONPolygon.coordinates[0][0];
-      const newCenter = [firstCoord[1], firstCoord[0]];
-      setMapCenter(newCenter);
+    // Actualizar centro del mapa al centroide del polígono
+    const centro = calcularCentroide(geoJSONPolygon);
+    if (centro) {
+      setMapCenter([centro.lat, centro.lng]);
     }
   };
 
@@ -193,9 +190,9 @@ export function PolygonDrawer({
     onPolygonChange(geoJSONPolygon);
 
     // Actualizar centro del mapa al editar
-    if (geoJSONPolygon?.coordinates?.[0]?.[0]) {
-      const firstCoord = geoJSONPolygon.coordinates[0][0];
-      setMapCenter([firstCoord[1], firstCoord[0]]);
+    const centro = calcularCentroide(geoJSONPolygon);
+    if (centro) {
+      setMapCenter([centro.lat, centro.lng]);
     }
   };
 
@@ -209,26 +206,8 @@ export function PolygonDrawer({
     onPolygonChange(null);
   };
 
-  // Convertir GeoJSON [lng, lat] a Leaflet [lat, lng]
-  const convertCoordinates = (polygon) => {
-    if (!polygon || !polygon.coordinates) return [];
-    return polygon.coordinates[0].map((coord) => [coord[1], coord[0]]);
-  };
-
-  // Calcular centro del mapa
-  const getMapCenter = () => {
-    if (
-      currentPolygon &&
-      currentPolygon.coordinates &&
-      currentPolygon.coordinates[0].length > 0
-    ) {
-      const firstCoord = currentPolygon.coordinates[0][0];
-      return [firstCoord[1], firstCoord[0]]; // [lat, lng]
-    }
-    // Usar predioUbicacion si existe, sino default de Uruguay
-    return predioUbicacion || [-34.9011, -56.1645];
-  };
-
+  // Convertir GeoJSON [lng, lat] a Leaflet [lat, lng], conservando huecos y partes
+  const convertCoordinates = (polygon) => aPosicionesLeaflet(polygon);
 
   return (
     <div className="space-y-4">
@@ -283,7 +262,7 @@ export function PolygonDrawer({
             Superficie: {superficie.toFixed(2)} ha
           </Badge>
           <Badge variant="outline" className="text-sm">
-            Puntos: {currentPolygon.coordinates[0].length - 1}
+            Puntos: {contarVertices(currentPolygon)}
           </Badge>
           {validation.isValid && (
             <Badge variant="outline" className="text-sm text-green-600">
@@ -337,12 +316,13 @@ export function PolygonDrawer({
 
             {/* Lotes existentes del predio (como contexto) */}
             {lotesExistentes.map((lote) => {
-              if (!lote.poligono || !lote.poligono.coordinates) return null;
+              const posiciones = convertCoordinates(lote.poligono);
+              if (posiciones.length === 0) return null;
 
               return (
                 <Polygon
                   key={lote.id}
-                  positions={convertCoordinates(lote.poligono)}
+                  positions={posiciones}
                   color="#94a3b8"
                   fillColor="#cbd5e1"
                   fillOpacity={0.2}
@@ -0,0 +1,76 @@
+import { useMemo } from 'react';
+import { CircleMarker } from 'react-leaflet';
+import L from 'leaflet';
+import { getColorByYield, getYieldLegend } from '@/lib/mapLayers.config';
+
+/**
+ * Componente overlay que renderiza el mapa de rendimiento del monitor de cosecha
+ * Cada celda de la grilla se dibuja como un punto coloreado por kg/ha relativo al propio mapa
+ *
+ * @param {Object} props
+ * @param {Object} props.mapa - Fila de harvest_yield_maps (points, min/max/mean, harvests)
+ * @param {boolean} props.visible - Si el overlay debe estar visible
+ * @param {boolean} props.loading - Si se está cargando el mapa del lote seleccionado
+ */
+export function RendimientoLayer({ mapa, visible, loading = false }) {
+  // Canvas en lugar de SVG: un lote de 100 ha tiene miles de celdas
+  const renderer = useMemo(() => L.canvas({ padding: 0.5 }), []);
+
+  if (!visible) {
+    return null;
+  }
+
+  const celdas = mapa?.points || [];
+  const minimo = parseFloat(mapa?.min_yield_kg_ha) || 0;
+  const maximo = parseFloat(mapa?.max_yield_kg_ha) || 0;
+
+  return (
+    <>
+      {celdas.map(([lat, lng, kgHa], i) => {
+        const color = getColorByYield(kgHa, minimo, maximo);
+        return (
+          <CircleMarker
+            key={`rendimiento-${mapa.id}-${i}`}
+            center={[lat, lng]}
+            radius={3}
+            pathOptions={{
+              renderer,
+              color,
+              fillColor: color,
+              fillOpacity: 0.9,
+              weight: 0
+            }}
+            interactive={false}
+          />
+        );
+      })}
+
+      {/* Leyenda */}
+      <div className="absolute bottom-2 left-2 z-[1000] bg-white/90 rounded-md shadow px-3 py-2 text-xs space-y-1">
+        {loading ? (
+          <p className="text-muted-foreground">Cargando mapa de rendimiento...</p>
+        ) : celdas.length === 0 ? (
+          <p className="text-muted-foreground">Seleccione un lote con mapa de rendimiento importado</p>
+        ) : (
+          <>
+            <p className="font-semibold">
+              {mapa.harvests?.crop} · {mapa.harvests?.harvest_date}
+            </p>
+            {getYieldLegend(minimo, maximo).map((clase) => (
+              <div key={clase.color} className="flex items-center gap-2">
+                <span className="inline-block w-3 h-3 rounded-full" style={{ backgroundColor: clase.color }} />
+                <span>{clase.rango}</span>
+              </div>
+            ))}
+            <p className="text-muted-foreground pt-1 border-t">
+              Media monitor: {Math.round(mapa.mean_yield_kg_ha).toLocaleString('es-UY')} kg/ha
+              {mapa.harvests?.yield_kg_ha && (
+                <> · Balanza: {Math.round(mapa.harvests.yield_kg_ha).toLocaleString('es-UY')} kg/ha</>
+              )}
+            </p>
+          </>
+        )}
+      </div>
+    </>
+  );
+}
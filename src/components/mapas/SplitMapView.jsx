@@ -9,6 +9,7 @@ import { AdvancedLayerControl } from './AdvancedLayerControl';
 import { CultivoLayer } from './CultivoLayer';
 import { PasturaLayer } from './PasturaLayer';
 import { BASE_LAYERS } from '@/lib/mapLayers.config';
+import { aPosicionesLeaflet } from '@/services/geospatial';
 
 /**
  * Componente que sincroniza dos MapContainers
@@ -140,11 +141,7 @@ function MapPanel({
     return COLORES_USO_SUELO[valor] || '#6b7280';
   };
 
-  const convertirCoordenadasGeoJSON = (poligono) => {
-    if (!poligono || !poligono.coordinates) return [];
-    const anillo = poligono.coordinates[0];
-    return anillo.map((coord) => [coord[1], coord[0]]);
-  };
+  const convertirCoordenadasGeoJSON = (poligono) => aPosicionesLeaflet(poligono);
 
   return (
     <div className="flex-1 space-y-2">
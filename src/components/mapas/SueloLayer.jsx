@@ -0,0 +1,92 @@
+import { useMemo } from 'react';
+import { Rectangle, CircleMarker, Tooltip } from 'react-leaflet';
+import L from 'leaflet';
+import { getColorBySoilValue, getSoilLegend } from '@/lib/mapLayers.config';
+import { SOIL_ALERTS_CONFIG } from '@/lib/soilAlerts.config';
+import { PARAMETROS_SUELO } from '@/services/soilSampling';
+
+/**
+ * Componente overlay que renderiza la superficie interpolada de un parámetro de suelo
+ * (P, K, pH o MO) a partir del último muestreo georreferenciado del lote
+ * Cada celda se dibuja como un rectángulo coloreado y los puntos muestreados van encima
+ *
+ * @param {Object} props
+ * @param {Object} props.superficie - Resultado de obtenerSuperficieSueloLote
+ * @param {string} props.parametro - Parámetro mostrado (clave de PARAMETROS_SUELO)
+ * @param {boolean} props.visible - Si el overlay debe estar visible
+ * @param {boolean} props.loading - Si se está calculando la superficie del lote seleccionado
+ */
+export function SueloLayer({ superficie, parametro, visible, loading = false }) {
+  // Canvas en lugar de SVG: la superficie puede tener miles de celdas
+  const renderer = useMemo(() => L.canvas({ padding: 0.5 }), []);
+
+  if (!visible) {
+    return null;
+  }
+
+  const config = PARAMETROS_SUELO[parametro];
+  const celdas = superficie?.celdas || [];
+  const minimo = superficie?.minimo ?? 0;
+  const maximo = superficie?.maximo ?? 0;
+  const medioLat = (superficie?.dy || 0) / 2;
+  const medioLng = (superficie?.dx || 0) / 2;
+  const rango = SOIL_ALERTS_CONFIG.rangosOptimos[parametro];
+
+  return (
+    <>
+      {celdas.map(([lat, lng, valor], i) => {
+        const color = getColorBySoilValue(valor, minimo, maximo);
+        return (
+          <Rectangle
+            key={`suelo-${superficie.plan.id}-${parametro}-${i}`}
+            bounds={[[lat - medioLat, lng - medioLng], [lat + medioLat, lng + medioLng]]}
+            pathOptions={{
+              renderer,
+              color,
+              fillColor: color,
+              fillOpacity: 0.8,
+              weight: 0
+            }}
+            interactive={false}
+          />
+        );
+      })}
+
+      {(superficie?.muestras || []).map(([lat, lng, valor], i) => (
+        <CircleMarker
+          key={`suelo-muestra-${superficie.plan.id}-${i}`}
+          center={[lat, lng]}
+          radius={4}
+          pathOptions={{ renderer, color: '#1f2937', fillColor: '#ffffff', fillOpacity: 1, weight: 2 }}
+        >
+          <Tooltip>{config.etiqueta}: {valor} {config.unidad}</Tooltip>
+        </CircleMarker>
+      ))}
+
+      {/* Leyenda */}
+      <div className="absolute bottom-2 left-2 z-[1000] bg-white/90 rounded-md shadow px-3 py-2 text-xs space-y-1">
+        {loading ? (
+          <p className="text-muted-foreground">Calculando mapa de {config.etiqueta.toLowerCase()}...</p>
+        ) : celdas.length === 0 ? (
+          <p className="text-muted-foreground">Seleccione un lote con muestreo de suelo con resultados de {parametro}</p>
+        ) : (
+          <>
+            <p className="font-semibold">
+              {config.etiqueta}{config.unidad && ` (${config.unidad})`} · {superficie.plan.name}
+            </p>
+            {getSoilLegend(minimo, maximo, config.decimales).map((clase) => (
+              <div key={clase.color} className="flex items-center gap-2">
+                <span className="inline-block w-3 h-3 rounded-sm" style={{ backgroundColor: clase.color }} />
+                <span>{clase.rango}</span>
+              </div>
+            ))}
+            <p className="text-muted-foreground pt-1 border-t">
+              Media: {superficie.media} · {superficie.muestras.length} muestras
+              {rango && <> · Óptimo: {rango.min}-{rango.max}</>}
+            </p>
+          </>
+        )}
+      </div>
+    </>
+  );
+}
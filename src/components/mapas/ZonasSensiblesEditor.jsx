@@ -0,0 +1,332 @@
+import { useCallback, useEffect, useState } from 'react';
+import { MapContainer, TileLayer, Polygon, Polyline, CircleMarker, useMap } from 'react-leaflet';
+import '@geoman-io/leaflet-geoman-free';
+import '@geoman-io/leaflet-geoman-free/dist/leaflet-geoman.css';
+import { toast } from 'sonner';
+import { Loader, Trash2, X, ShieldAlert } from 'lucide-react';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
+import { Button } from '@/components/ui/button';
+import { ZonasSensiblesLayer } from './ZonasSensiblesLayer';
+import { BASE_LAYERS } from '@/lib/mapLayers.config';
+import { aPosicionesLeaflet, obtenerLimitesLeaflet } from '@/services/geospatial';
+import {
+  TIPOS_ZONA_SENSIBLE,
+  crearZonaSensible,
+  actualizarZonaSensible,
+  eliminarZonaSensible
+} from '@/services/sprayRecords';
+import '@/lib/leafletConfig';
+
+// Tipo sugerido según lo que se dibujó; el usuario puede cambiarlo antes de guardar
+const TIPO_POR_GEOMETRIA = {
+  Point: 'VIVIENDA',
+  LineString: 'CURSO_AGUA',
+  Polygon: 'OTRO'
+};
+
+/**
+ * Controles de Geoman para dibujar una zona sensible: marcador (escuela, vivienda),
+ * línea (curso de agua) o polígono. La capa dibujada se quita del mapa al terminar
+ * y se reporta su geometría; la zona se muestra desde lo guardado
+ */
+function DibujoZonaControl({ onDibujada }) {
+  const map = useMap();
+
+  useEffect(() => {
+    if (!map) return;
+
+    map.pm.setLang('es');
+    map.pm.addControls({
+      position: 'topleft',
+      drawCircle: false,
+      drawCircleMarker: false,
+      drawPolyline: true,
+      drawRectangle: false,
+      drawMarker: true,
+      drawPolygon: true,
+      drawText: false,
+      editMode: false,
+      dragMode: false,
+      cutPolygon: false,
+      removalMode: false,
+      rotateMode: false,
+    });
+
+    const handleCreate = (e) => {
+      const geometry = e.layer.toGeoJSON().geometry;
+      map.removeLayer(e.layer);
+      onDibujada(geometry);
+    };
+
+    map.on('pm:create', handleCreate);
+
+    return () => {
+      map.pm.removeControls();
+      map.off('pm:create', handleCreate);
+    };
+  }, [map, onDibujada]);
+
+  return null;
+}
+
+function GeometriaPendiente({ geometry }) {
+  if (geometry.type === 'Point') {
+    const [lng, lat] = geometry.coordinates;
+    return <CircleMarker center={[lat, lng]} radius={7} pathOptions={{ color: '#111827', dashArray: '4 3' }} />;
+  }
+  if (geometry.type === 'LineString') {
+    return (
+      <Polyline
+        positions={geometry.coordinates.map(([lng, lat]) => [lat, lng])}
+        pathOptions={{ color: '#111827', dashArray: '4 3' }}
+      />
+    );
+  }
+  return <Polygon positions={aPosicionesLeaflet(geometry)} pathOptions={{ color: '#111827', dashArray: '4 3' }} />;
+}
+
+/**
+ * Editor de zonas sensibles del predio: se dibujan sobre el mapa de lotes y se les asigna
+ * tipo y distancia de resguardo. El registro de aplicaciones fitosanitarias controla que
+ * el lote a pulverizar no quede dentro de esas distancias
+ *
+ * @param {Object} props
+ * @param {string} props.firmId
+ * @param {string} props.premiseId
+ * @param {Array} props.lotes - Lotes del predio (con poligono)
+ * @param {Array} props.zonas - Zonas sensibles ya guardadas
+ * @param {Function} props.onChange - Se llama tras crear, modificar o eliminar una zona
+ * @param {Function} props.onClose
+ * @param {string} props.userId
+ */
+export function ZonasSensiblesEditor({ firmId, premiseId, lotes = [], zonas = [], onChange = () => {}, onClose, userId = null }) {
+  const [pendiente, setPendiente] = useState(null); // { geometry, area_type, name, buffer_m, notes }
+  const [guardando, setGuardando] = useState(false);
+  const [distancias, setDistancias] = useState({});
+
+  useEffect(() => {
+    setDistancias(Object.fromEntries(zonas.map((z) => [z.id, String(z.buffer_m)])));
+  }, [zonas]);
+
+  // Callback estable para no recrear los controles de Geoman en cada render
+  const handleDibujada = useCallback((geometry) => {
+    const tipo = TIPO_POR_GEOMETRIA[geometry.type] || 'OTRO';
+    setPendiente({
+      geometry,
+      area_type: tipo,
+      name: '',
+      buffer_m: String(TIPOS_ZONA_SENSIBLE[tipo].distancia_m),
+      notes: ''
+    });
+  }, []);
+
+  const limites = obtenerLimitesLeaflet([
+    ...lotes.map((lote) => lote.poligono),
+    ...zonas.filter((z) => z.geometry?.type === 'Polygon').map((z) => z.geometry)
+  ]);
+  const bounds = limites || [[-34.9211, -56.1845], [-34.8811, -56.1445]];
+
+  function handleTipoChange(areaType) {
+    const anterior = TIPOS_ZONA_SENSIBLE[pendiente.area_type];
+    setPendiente({
+      ...pendiente,
+      area_type: areaType,
+      // Solo se reemplaza la distancia si el usuario no la cambió
+      buffer_m: pendiente.buffer_m === String(anterior.distancia_m)
+        ? String(TIPOS_ZONA_SENSIBLE[areaType].distancia_m)
+        : pendiente.buffer_m
+    });
+  }
+
+  async function handleGuardar() {
+    setGuardando(true);
+    try {
+      await crearZonaSensible({ ...pendiente, firm_id: firmId, premise_id: premiseId }, userId);
+      toast.success('✓ Zona sensible guardada');
+      setPendiente(null);
+      onChange();
+    } catch (err) {
+      toast.error(err.message);
+    } finally {
+      setGuardando(false);
+    }
+  }
+
+  async function handleDistancia(zona) {
+    if (distancias[zona.id] === String(zona.buffer_m)) return;
+    try {
+      await actualizarZonaSensible(zona, { buffer_m: distancias[zona.id] }, userId);
+      toast.success(`Resguardo de ${zona.name} actualizado`);
+      onChange();
+    } catch (err) {
+      toast.error(err.message);
+      setDistancias({ ...distancias, [zona.id]: String(zona.buffer_m) });
+    }
+  }
+
+  async function handleEliminar(zona) {
+    if (!window.confirm(`¿Eliminar la zona sensible "${zona.name}"?`)) return;
+    try {
+      await eliminarZonaSensible(zona, userId);
+      toast.success('Zona sensible eliminada');
+      onChange();
+    } catch (err) {
+      toast.error(err.message);
+    }
+  }
+
+  return (
+    <Card>
+      <CardHeader className="flex flex-row items-start justify-between space-y-0">
+        <div>
+          <CardTitle className="text-lg flex items-center gap-2">
+            <ShieldAlert className="h-5 w-5 text-orange-600" />
+            Zonas Sensibles del Predio
+          </CardTitle>
+          <CardDescription>
+            Dibuje cursos de agua (línea), escuelas y viviendas (marcador) u otras áreas (polígono).
+            Las aplicaciones fitosanitarias advierten cuando el lote queda dentro de su distancia de resguardo.
+          </CardDescription>
+        </div>
+        {onClose && (
+          <Button variant="ghost" size="sm" onClick={onClose}>
+            <X className="h-4 w-4" />
+          </Button>
+        )}
+      </CardHeader>
+      <CardContent>
+        <div className="grid grid-cols-1 lg:grid-cols-5 gap-4">
+          <div className="lg:col-span-3">
+            <MapContainer
+              bounds={bounds}
+              boundsOptions={{ padding: [30, 30] }}
+              style={{ height: '480px', width: '100%' }}
+            >
+              <TileLayer
+                url={BASE_LAYERS.satellite.url}
+                attribution={BASE_LAYERS.satellite.attribution}
+                maxZoom={19}
+              />
+              {lotes.map((lote) => {
+                const posiciones = aPosicionesLeaflet(lote.poligono);
+                return posiciones.length > 0 ? (
+                  <Polygon
+                    key={lote.id}
+                    positions={posiciones}
+                    pathOptions={{ color: '#facc15', weight: 2, fillOpacity: 0.05 }}
+                    interactive={false}
+                  />
+                ) : null;
+              })}
+              <ZonasSensiblesLayer zonas={zonas} visible />
+              {pendiente && <GeometriaPendiente geometry={pendiente.geometry} />}
+              <DibujoZonaControl onDibujada={handleDibujada} />
+            </MapContainer>
+          </div>
+
+          <div className="lg:col-span-2 space-y-4">
+            {pendiente && (
+              <div data-id="sensitive-area-pending" className="border border-orange-200 bg-orange-50 rounded-lg p-3 space-y-3">
+                <p className="text-sm font-semibold text-slate-800">Nueva zona sensible</p>
+                <div className="grid grid-cols-2 gap-3">
+                  <div>
+                    <label className="block text-xs font-medium text-slate-600 mb-1">Tipo</label>
+                    <select
+                      value={pendiente.area_type}
+                      onChange={(e) => handleTipoChange(e.target.value)}
+                      className="w-full px-2 py-1.5 border border-slate-300 rounded-lg text-sm"
+                    >
+                      {Object.entries(TIPOS_ZONA_SENSIBLE).map(([valor, tipo]) => (
+                        <option key={valor} value={valor}>{tipo.etiqueta}</option>
+                      ))}
+                    </select>
+                  </div>
+                  <div>
+                    <label className="block text-xs font-medium text-slate-600 mb-1">Resguardo (m)</label>
+                    <input
+                      type="number"
+                      min="0"
+                      value={pendiente.buffer_m}
+                      onChange={(e) => setPendiente({ ...pendiente, buffer_m: e.target.value })}
+                      className="w-full px-2 py-1.5 border border-slate-300 rounded-lg text-sm"
+                    />
+                  </div>
+                  <div className="col-span-2">
+                    <label className="block text-xs font-medium text-slate-600 mb-1">Nombre</label>
+                    <input
+                      type="text"
+                      value={pendiente.name}
+                      onChange={(e) => setPendiente({ ...pendiente, name: e.target.value })}
+                      placeholder={TIPOS_ZONA_SENSIBLE[pendiente.area_type].etiqueta}
+                      className="w-full px-2 py-1.5 border border-slate-300 rounded-lg text-sm"
+                    />
+                  </div>
+                  <div className="col-span-2">
+                    <label className="block text-xs font-medium text-slate-600 mb-1">Notas</label>
+                    <input
+                      type="text"
+                      value={pendiente.notes}
+                      onChange={(e) => setPendiente({ ...pendiente, notes: e.target.value })}
+                      className="w-full px-2 py-1.5 border border-slate-300 rounded-lg text-sm"
+                    />
+                  </div>
+                </div>
+                <div className="flex justify-end gap-2">
+                  <Button variant="ghost" size="sm" onClick={() => setPendiente(null)} disabled={guardando}>
+                    Descartar
+                  </Button>
+                  <Button data-id="sensitive-area-btn-save" size="sm" onClick={handleGuardar} disabled={guardando}>
+                    {guardando ? <Loader className="w-4 h-4 mr-1 animate-spin" /> : null}
+                    Guardar zona
+                  </Button>
+                </div>
+              </div>
+            )}
+
+            {zonas.length === 0 && !pendiente ? (
+              <p className="text-sm text-slate-500 text-center py-8">
+                No hay zonas sensibles cargadas. Use las herramientas del mapa para dibujarlas.
+              </p>
+            ) : (
+              <div className="divide-y divide-slate-100 border border-slate-200 rounded-lg">
+                {zonas.map((zona) => {
+                  const tipo = TIPOS_ZONA_SENSIBLE[zona.area_type] || TIPOS_ZONA_SENSIBLE.OTRO;
+                  return (
+                    <div key={zona.id} className="flex items-center gap-3 px-3 py-2 text-sm">
+                      <span className="inline-block w-3 h-3 rounded-full shrink-0" style={{ backgroundColor: tipo.color }} />
+                      <div className="flex-1 min-w-0">
+                        <p className="font-medium truncate">{zona.name}</p>
+                        <p className="text-xs text-slate-500">{tipo.etiqueta}</p>
+                      </div>
+                      <div className="flex items-center gap-1">
+                        <input
+                          data-id={`sensitive-area-buffer-${zona.id}`}
+                          type="number"
+                          min="0"
+                          value={distancias[zona.id] ?? ''}
+                          onChange={(e) => setDistancias({ ...distancias, [zona.id]: e.target.value })}
+                          onBlur={() => handleDistancia(zona)}
+                          className="w-20 px-2 py-1 border border-slate-300 rounded text-sm text-right"
+                          title="Distancia de resguardo"
+                        />
+                        <span className="text-xs text-slate-500">m</span>
+                      </div>
+                      <button
+                        data-id={`sensitive-area-btn-delete-${zona.id}`}
+                        onClick={() => handleEliminar(zona)}
+                        className="p-1.5 text-red-600 hover:bg-red-50 rounded"
+                        title="Eliminar zona"
+                      >
+                        <Trash2 size={16} />
+                      </button>
+                    </div>
+                  );
+                })}
+              </div>
+            )}
+          </div>
+        </div>
+      </CardContent>
+    </Card>
+  );
+}
@@ -0,0 +1,99 @@
+import { Fragment, useMemo } from 'react';
+import { Circle, CircleMarker, Polygon, Polyline, Tooltip } from 'react-leaflet';
+import { buffer, feature } from '@turf/turf';
+import { aPosicionesLeaflet } from '@/services/geospatial';
+import { TIPOS_ZONA_SENSIBLE } from '@/services/sprayRecords';
+
+function lineaALeaflet(coordenadas) {
+  return coordenadas.map(([lng, lat]) => [lat, lng]);
+}
+
+/**
+ * Componente overlay que dibuja las zonas sensibles del predio (cursos de agua, escuelas,
+ * viviendas) y, en línea punteada, el área que cubre su distancia de resguardo
+ *
+ * @param {Object} props
+ * @param {Array} props.zonas - premise_sensitive_areas del predio
+ * @param {boolean} props.visible - Si el overlay debe estar visible
+ * @param {Array<string>} props.resaltadas - IDs de zonas a resaltar (p. ej. las que quedan dentro del resguardo de un lote)
+ */
+export function ZonasSensiblesLayer({ zonas = [], visible, resaltadas = [] }) {
+  // Los resguardos de líneas y polígonos se calculan una sola vez por lista de zonas
+  const resguardos = useMemo(() => {
+    const resultado = {};
+    zonas.forEach((zona) => {
+      if (!zona.geometry || zona.geometry.type === 'Point' || !(zona.buffer_m > 0)) return;
+      try {
+        const area = buffer(feature(zona.geometry), zona.buffer_m, { units: 'meters' });
+        resultado[zona.id] = aPosicionesLeaflet(area.geometry);
+      } catch (err) {
+        console.warn('No se pudo calcular el resguardo de la zona sensible:', err);
+      }
+    });
+    return resultado;
+  }, [zonas]);
+
+  if (!visible) {
+    return null;
+  }
+
+  return (
+    <>
+      {zonas.map((zona) => {
+        const tipo = TIPOS_ZONA_SENSIBLE[zona.area_type] || TIPOS_ZONA_SENSIBLE.OTRO;
+        const resaltada = resaltadas.includes(zona.id);
+        const estilo = { color: tipo.color, weight: resaltada ? 4 : 2 };
+        const estiloResguardo = {
+          color: tipo.color,
+          weight: 1,
+          dashArray: '6 4',
+          fillColor: tipo.color,
+          fillOpacity: resaltada ? 0.2 : 0.08
+        };
+        const etiqueta = (
+          <Tooltip>
+            {zona.name} · {tipo.etiqueta} · resguardo {zona.buffer_m} m
+          </Tooltip>
+        );
+
+        if (zona.geometry?.type === 'Point') {
+          const [lng, lat] = zona.geometry.coordinates;
+          return (
+            <Fragment key={`sensible-${zona.id}`}>
+              {zona.buffer_m > 0 && (
+                <Circle center={[lat, lng]} radius={zona.buffer_m} pathOptions={estiloResguardo} interactive={false} />
+              )}
+              <CircleMarker
+                center={[lat, lng]}
+                radius={6}
+                pathOptions={{ ...estilo, fillColor: tipo.color, fillOpacity: 0.9 }}
+              >
+                {etiqueta}
+              </CircleMarker>
+            </Fragment>
+          );
+        }
+
+        return (
+          <Fragment key={`sensible-${zona.id}`}>
+            {resguardos[zona.id] && (
+              <Polygon positions={resguardos[zona.id]} pathOptions={estiloResguardo} interactive={false} />
+            )}
+            {zona.geometry?.type === 'LineString' ? (
+              <Polyline positions={lineaALeaflet(zona.geometry.coordinates)} pathOptions={estilo}>
+                {etiqueta}
+              </Polyline>
+            ) : (
+              <Polygon
+                positions={aPosicionesLeaflet(zona.geometry)}
+                pathOptions={{ ...estilo, fillColor: tipo.color, fillOpacity: 0.3 }}
+              >
+                {etiqueta}
+              </Polygon>
+            )}
+          </Fragment>
+        );
+      })}
+    </>
+  );
+}
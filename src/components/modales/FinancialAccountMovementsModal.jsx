@@ -14,13 +14,16 @@ import {
   TableRow
 } from '../ui/table';
 import { Input } from '../ui/input';
+import { Tabs, TabsContent, TabsList, TabsTrigger } from '../ui/tabs';
 import { Button } from '../ui/button';
 import { useFinancialAccounts } from '../../hooks/useFinancialAccounts';
 import { Badge } from '../ui/badge';
 import { ArrowUp, ArrowDown } from 'lucide-react';
+import BankReconciliationPanel from '../BankReconciliationPanel';
 
 /**
  * Modal para visualizar movimientos (transacciones) de una cuenta financiera
+ * y conciliarlos contra el extracto bancario
  * @component
  */
 export function FinancialAccountMovementsModal({ isOpen, account, onClose }) {
@@ -83,7 +86,7 @@ export function FinancialAccountMovementsModal({ isOpen, account, onClose }) {
 
   return (
     <Dialog open={isOpen} onOpenChange={onClose}>
-      <DialogContent className="max-w-4xl max-h-[90vh] overflow-y-auto">
+      <DialogContent className="max-w-5xl max-h-[90vh] overflow-y-auto">
         <DialogHeader>
           <DialogTitle className="flex items-center gap-2">
             Movimientos - {account.name}
@@ -119,88 +122,101 @@ export function FinancialAccountMovementsModal({ isOpen, account, onClose }) {
             </Button>
           </div>
 
-          {/* Resumen */}
-          <div className="grid grid-cols-2 gap-4 p-4 bg-gray-50 rounded-lg border">
-            <div>
-              <p className="text-sm text-gray-600">Total Movimientos</p>
-              <p className="text-2xl font-bold">{totals.totalMovements}</p>
-            </div>
-            <div className="text-right">
-              <p className="text-sm text-gray-600">Monto Total</p>
-              <p className="text-2xl font-bold text-blue-600">
-                {account.currency} {totals.totalAmount.toLocaleString('es-UY', { maximumFractionDigits: 2 })}
-              </p>
-            </div>
-          </div>
+          <Tabs defaultValue="movements">
+            <TabsList>
+              <TabsTrigger value="movements">Movimientos</TabsTrigger>
+              <TabsTrigger value="reconciliation">Conciliación bancaria</TabsTrigger>
+            </TabsList>
 
-          {/* Tabla de movimientos */}
-          <div className="border rounded-lg overflow-hidden">
-            {loading ? (
-              <div className="p-8 text-center text-gray-500">
-                Cargando movimientos...
-              </div>
-            ) : movements.length === 0 ? (
-              <div className="p-8 text-center text-gray-500">
-                No hay movimientos para el período seleccionado
+            <TabsContent value="movements" className="space-y-4 mt-4">
+              {/* Resumen */}
+              <div className="grid grid-cols-2 gap-4 p-4 bg-gray-50 rounded-lg border">
+                <div>
+                  <p className="text-sm text-gray-600">Total Movimientos</p>
+                  <p className="text-2xl font-bold">{totals.totalMovements}</p>
+                </div>
+                <div className="text-right">
+                  <p className="text-sm text-gray-600">Monto Total</p>
+                  <p className="text-2xl font-bold text-blue-600">
+                    {account.currency} {totals.totalAmount.toLocaleString('es-UY', { maximumFractionDigits: 2 })}
+                  </p>
+                </div>
               </div>
-            ) : (
-              <Table>
-                <TableHeader>
-                  <TableRow className="bg-gray-50">
-                    <TableHead>Fecha</TableHead>
-                    <TableHead>Tipo</TableHead>
-                    <TableHead>Método</TableHead>
-                    <TableHead>Referencia</TableHead>
-                    <TableHead className="text-right">Monto</TableHead>
-                    <TableHead className="text-right">Balance Antes</TableHead>
-                    <TableHead className="text-right">Balance Después</TableHead>
-                  </TableRow>
-                </TableHeader>
-                <TableBody>
-                  {movements.map((movement) => {
-                    const isDebit = (movement.balance_before || 0) > (movement.balance_after || 0);
-                    return (
-                      <TableRow key={movement.id} className="hover:bg-gray-50">
-                        <TableCell className="font-medium">
-                          {new Date(movement.payment_date).toLocaleDateString('es-UY')}
-                        </TableCell>
-                        <TableCell>
-                          <div className="flex items-center gap-2">
-                            {isDebit ? (
-                              <>
-                                <ArrowUp size={16} className="text-red-500" />
-                                <span className="text-red-600">Salida</span>
-                              </>
-                            ) : (
-                              <>
-                                <ArrowDown size={16} className="text-green-500" />
-                                <span className="text-green-600">Entrada</span>
-                              </>
-                            )}
-                          </div>
-                        </TableCell>
-                        <TableCell className="text-sm">
-                          {getPaymentMethodLabel(movement.payment_method)}
-                        </TableCell>
-                        <TableCell className="text-sm font-mono">
-                          {movement.reference_number || '-'}
-                        </TableCell>
-                        <TableCell className={`text-right font-bold ${isDebit ? 'text-red-600' : 'text-green-600'}`}>
-                          {isDebit ? '-' : '+'}{account.currency} {(movement.amount_paid || 0).toLocaleString('es-UY', { maximumFractionDigits: 2 })}
-                        </TableCell>
-                        <TableCell className="text-right text-sm">
-                          {account.currency} {(movement.balance_before || 0).toLocaleString('es-UY', { maximumFractionDigits: 2 })}
-                        </TableCell>
-                        <TableCell className="text-right text-sm font-semibold">
-                          {account.currency} {(movement.balance_after || 0).toLocaleString('es-UY', { maximumFractionDigits: 2 })}
-                        </TableCell>
+
+              {/* Tabla de movimientos */}
+              <div className="border rounded-lg overflow-hidden">
+                {loading ? (
+                  <div className="p-8 text-center text-gray-500">
+                    Cargando movimientos...
+                  </div>
+                ) : movements.length === 0 ? (
+                  <div className="p-8 text-center text-gray-500">
+                    No hay movimientos para el período seleccionado
+                  </div>
+                ) : (
+                  <Table>
+                    <TableHeader>
+                      <TableRow className="bg-gray-50">
+                        <TableHead>Fecha</TableHead>
+                        <TableHead>Tipo</TableHead>
+                        <TableHead>Método</TableHead>
+                        <TableHead>Referencia</TableHead>
+                        <TableHead className="text-right">Monto</TableHead>
+                        <TableHead className="text-right">Balance Antes</TableHead>
+                        <TableHead className="text-right">Balance Después</TableHead>
                       </TableRow>
-                    );
-                  })}
-                </TableBody>
-              </Table>
-            )}
-          </div>
+                    </TableHeader>
+                    <TableBody>
+                      {movements.map((movement) => {
+                        const isDebit = (movement.balance_before || 0) > (movement.balance_after || 0);
+                        return (
+                          <TableRow key={movement.id} className="hover:bg-gray-50">
+                            <TableCell className="font-medium">
+                              {new Date(movement.payment_date).toLocaleDateString('es-UY')}
+                            </TableCell>
+                            <TableCell>
+                              <div className="flex items-center gap-2">
+                                {isDebit ? (
+                                  <>
+                                    <ArrowUp size={16} className="text-red-500" />
+                                    <span className="text-red-600">Salida</span>
+                                  </>
+                                ) : (
+                                  <>
+                                    <ArrowDown size={16} className="text-green-500" />
+                                    <span className="text-green-600">Entrada</span>
+                                  </>
+                                )}
+                              </div>
+                            </TableCell>
+                            <TableCell className="text-sm">
+                              {getPaymentMethodLabel(movement.payment_method)}
+                            </TableCell>
+                            <TableCell className="text-sm font-mono">
+                              {movement.reference_number || '-'}
+                            </TableCell>
+                            <TableCell className={`text-right font-bold ${isDebit ? 'text-red-600' : 'text-green-600'}`}>
+                              {isDebit ? '-' : '+'}{account.currency} {(movement.amount_paid || 0).toLocaleString('es-UY', { maximumFractionDigits: 2 })}
+                            </TableCell>
+                            <TableCell className="text-right text-sm">
+                              {account.currency} {(movement.balance_before || 0).toLocaleString('es-UY', { maximumFractionDigits: 2 })}
+                            </TableCell>
+                            <TableCell className="text-right text-sm font-semibold">
+                              {account.currency} {(movement.balance_after || 0).toLocaleString('es-UY', { maximumFractionDigits: 2 })}
+                            </TableCell>
+                          </TableRow>
+                        );
+                      })}
+                    </TableBody>
+                  </Table>
+                )}
+              </div>
+            </TabsContent>
+
+            <TabsContent value="reconciliation" className="mt-4">
+              <BankReconciliationPanel account={account} dateFrom={dateFrom} dateTo={dateTo} />
+            </TabsContent>
+          </Tabs>
 
           {/* Footer */}
           <div className="flex justify-end gap-2 pt-4 border-t">
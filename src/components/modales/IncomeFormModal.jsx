@@ -22,6 +22,7 @@ import { supabase } from '../../lib/supabase';
 import { useChartOfAccounts } from '../../hooks/useChartOfAccounts';
 import { parsePaymentTerms } from '../../services/paymentScheduler';
 import PaymentSchedulePreview from './PaymentSchedulePreview';
+import { LISTA_CATEGORIAS_INGRESO } from '../../lib/incomeCategories.config';
 
 /**
  * Modal para crear/editar ingresos financieros
@@ -79,7 +80,7 @@ export function IncomeFormModal({
   const [livestockWorks, setLivestockWorks] = useState([]);
   const [schedulePreview, setSchedulePreview] = useState([]);
 
-  const categories = ['Venta de ganado', 'Venta de granos', 'Servicios', 'Otros ingresos'];
+  const categories = LISTA_CATEGORIAS_INGRESO;
   const currencies = ['UYU', 'USD'];
   const units = ['Kilos', 'Toneladas', 'Litros', 'Cabezas', 'Horas', 'Unidades'];
   const transportMethods = ['Transporte propio', 'Transporte tercero', 'Retirado por cliente', 'Entrega a domicilio'];
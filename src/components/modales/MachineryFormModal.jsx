@@ -24,6 +24,8 @@ export default function MachineryFormModal({
     status: 'ACTIVE',
     purchase_date: '',
     purchase_value: '',
+    useful_life_years: '10',
+    residual_value: '',
     cost_per_hour: '',
     fuel_consumption_per_hour: '',
     license_plate: '',
@@ -102,6 +104,10 @@ export default function MachineryFormModal({
           year: formData.year,
           cost_per_hour: formData.cost_per_hour,
           fuel_consumption_per_hour: formData.fuel_consumption_per_hour,
+          purchase_date: formData.purchase_date,
+          purchase_value: formData.purchase_value,
+          useful_life_years: formData.useful_life_years,
+          residual_value: formData.residual_value,
           notes: formData.notes,
           currentUser
         });
@@ -234,6 +240,33 @@ export default function MachineryFormModal({
                 </div>
               </div>
 
+              <div className="grid grid-cols-2 gap-3">
+                <div>
+                  <label className="block text-sm font-medium mb-1">Vida Útil (años)</label>
+                  <Input
+                    type="number"
+                    name="useful_life_years"
+                    value={formData.useful_life_years ?? ''}
+                    onChange={handleChange}
+                    placeholder="10"
+                    min="1"
+                    step="1"
+                  />
+                </div>
+
+                <div>
+                  <label className="block text-sm font-medium mb-1">Valor Residual ($)</label>
+                  <Input
+                    type="number"
+                    name="residual_value"
+                    value={formData.residual_value ?? ''}
+                    onChange={handleChange}
+                    placeholder="0.00"
+                    step="0.01"
+                  />
+                </div>
+              </div>
+
               <div className="grid grid-cols-2 gap-3">
                 <div>
                   <label className="block text-sm font-medium mb-1">Horómetro Actual (horas)</label>
@@ -1,8 +1,9 @@
 import { useState, useEffect } from 'react';
-import { Plus, Trash2, Calendar, Ruler, Loader, BarChart3, Lock, Clock } from 'lucide-react';
+import { Plus, Trash2, Calendar, Ruler, Loader, BarChart3, Lock, Clock, CloudOff } from 'lucide-react';
 import { supabase } from '../../lib/supabase';
-import { crearRegistro } from '../../services/registros';
 import { useAuth } from '../../contexts/AuthContext';
+import { useOfflineSync } from '../../hooks/useOfflineSync';
+import { ejecutarOEncolar, consultarConCache, descartarOperacion } from '../../services/offlineSync';
 import { Button } from '../ui/button';
 import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '../ui/select';
 import PastureCharts from '../graficos/PastureCharts';
@@ -19,6 +20,7 @@ const getLocalDate = () => {
 
 export default function LivestockMonitoring({ firmId, premiseId }) {
   const { user } = useAuth();
+  const { pendientes } = useOfflineSync({ tabla: 'monitoreo_pasturas', premiseId });
   const [records, setRecords] = useState([]);
   const [lots, setLots] = useState([]);
   const [loading, setLoading] = useState(true);
@@ -54,14 +56,22 @@ export default function LivestockMonitoring({ firmId, premiseId }) {
     }
   }, [firmId, premiseId]);
 
+  // Recargar cuando la cola offline cambia (ej: se sincronizó)
+  useEffect(() => {
+    if (firmId) fetchRecords();
+  }, [pendientes.length]);
+
   const fetchLots = async () => {
     try {
-      const { data, error } = await supabase
-        .from('lots')
-        .select('id, name, remnant_height')
-        .eq('premise_id', premiseId);
-      if (error) throw error;
-      setLots(data || []);
+      const data = await consultarConCache(`lotes_remanente:${premiseId}`, async () => {
+        const { data, error } = await supabase
+          .from('lots')
+          .select('id, name, remnant_height')
+          .eq('premise_id', premiseId);
+        if (error) throw error;
+        return data || [];
+      });
+      setLots(data);
     } catch (error) {
       console.error('Error fetching lots:', error);
     }
@@ -70,22 +80,25 @@ export default function LivestockMonitoring({ firmId, premiseId }) {
   const fetchRecords = async () => {
     try {
       setLoading(true);
-      let query = supabase
-        .from('monitoreo_pasturas')
-        .select(`
-          *,
-          lots (name)
-        `)
-        .eq('firm_id', firmId)
-        .order('created_at', { ascending: false });
-
-      if (premiseId) {
-        query = query.eq('premise_id', premiseId);
-      }
+      const data = await consultarConCache(`monitoreo_pasturas:${firmId}:${premiseId || 'todos'}`, async () => {
+        let query = supabase
+          .from('monitoreo_pasturas')
+          .select(`
+            *,
+            lots (name)
+          `)
+          .eq('firm_id', firmId)
+          .order('created_at', { ascending: false });
 
-      const { data, error } = await query;
-      if (error) throw error;
-      setRecords(data || []);
+        if (premiseId) {
+          query = query.eq('premise_id', premiseId);
+        }
+
+        const { data, error } = await query;
+        if (error) throw error;
+        return data || [];
+      });
+      setRecords(data);
     } catch (error) {
       console.error('Error fetching livestock monitoring records:', error);
     } finally {
@@ -121,41 +134,47 @@ export default function LivestockMonitoring({ firmId, premiseId }) {
         }
       }
 
-      const { error } = await supabase.from('monitoreo_pasturas').insert([{
-        firm_id: firmId,
-        premise_id: premiseId,
-        lot_id: formData.lote_id || null,
-        fecha: formData.fecha,
-        hectareas: formData.hectareas ? parseFloat(formData.hectareas) : null,
-        cultivo_lugar1: formData.cultivo_lugar1 || null,
-        cultivo_lugar2: formData.cultivo_lugar2 || null,
-        cultivo_lugar3: formData.cultivo_lugar3 || null,
-        altura_lugar1_cm: formData.altura_lugar1_cm ? parseFloat(formData.altura_lugar1_cm) : null,
-        altura_lugar2_cm: formData.altura_lugar2_cm ? parseFloat(formData.altura_lugar2_cm) : null,
-        altura_lugar3_cm: formData.altura_lugar3_cm ? parseFloat(formData.altura_lugar3_cm) : null,
-        remanente_objetivo_cm: formData.remanente_objetivo_cm ? parseFloat(formData.remanente_objetivo_cm) : null,
-        usuario: user?.full_name || 'sistema'
-      }]);
-
-      if (error) throw error;
-
-      // Registrar auditoría para monitoreo ganadero
-      await crearRegistro({
-        firmId: firmId,
-        premiseId: premiseId,
-        lotId: formData.lote_id || null,
-        tipo: 'monitoreo',
-        descripcion: `Monitoreo ganadero registrado - Alturas: ${formData.altura_lugar1_cm || '-'}, ${formData.altura_lugar2_cm || '-'}, ${formData.altura_lugar3_cm || '-'} cm`,
-        moduloOrigen: 'livestock_monitoring',
-        usuario: user?.full_name || 'sistema',
-        metadata: {
+      const selectedLotName = lots.find(l => l.id === formData.lote_id)?.name;
+
+      // Sin señal queda en la cola del dispositivo junto con su auditoría
+      await ejecutarOEncolar({
+        operacion: 'insert',
+        tabla: 'monitoreo_pasturas',
+        datos: {
+          firm_id: firmId,
+          premise_id: premiseId,
+          lot_id: formData.lote_id || null,
+          fecha: formData.fecha,
           hectareas: formData.hectareas ? parseFloat(formData.hectareas) : null,
+          cultivo_lugar1: formData.cultivo_lugar1 || null,
+          cultivo_lugar2: formData.cultivo_lugar2 || null,
+          cultivo_lugar3: formData.cultivo_lugar3 || null,
           altura_lugar1_cm: formData.altura_lugar1_cm ? parseFloat(formData.altura_lugar1_cm) : null,
           altura_lugar2_cm: formData.altura_lugar2_cm ? parseFloat(formData.altura_lugar2_cm) : null,
           altura_lugar3_cm: formData.altura_lugar3_cm ? parseFloat(formData.altura_lugar3_cm) : null,
-          remanente_objetivo_cm: formData.remanente_objetivo_cm ? parseFloat(formData.remanente_objetivo_cm) : null
+          remanente_objetivo_cm: formData.remanente_objetivo_cm ? parseFloat(formData.remanente_objetivo_cm) : null,
+          usuario: user?.full_name || 'sistema',
+          created_at: new Date().toISOString()
+        },
+        descripcion: `Monitoreo de pastura ${formatDate(formData.fecha)}${selectedLotName ? ` - ${selectedLotName}` : ''}`,
+        contexto: { firmId, premiseId, loteNombre: selectedLotName || null },
+        auditoria: {
+          firmId: firmId,
+          premiseId: premiseId,
+          lotId: formData.lote_id || null,
+          tipo: 'monitoreo',
+          descripcion: `Monitoreo ganadero registrado - Alturas: ${formData.altura_lugar1_cm || '-'}, ${formData.altura_lugar2_cm || '-'}, ${formData.altura_lugar3_cm || '-'} cm`,
+          moduloOrigen: 'livestock_monitoring',
+          usuario: user?.full_name || 'sistema',
+          metadata: {
+            hectareas: formData.hectareas ? parseFloat(formData.hectareas) : null,
+            altura_lugar1_cm: formData.altura_lugar1_cm ? parseFloat(formData.altura_lugar1_cm) : null,
+            altura_lugar2_cm: formData.altura_lugar2_cm ? parseFloat(formData.altura_lugar2_cm) : null,
+            altura_lugar3_cm: formData.altura_lugar3_cm ? parseFloat(formData.altura_lugar3_cm) : null,
+            remanente_objetivo_cm: formData.remanente_objetivo_cm ? parseFloat(formData.remanente_objetivo_cm) : null
+          }
         }
-      }).catch(err => console.warn('Error registrando en auditoría:', err));
+      });
 
       setShowForm(false);
       setFormData({
@@ -181,6 +200,15 @@ export default function LivestockMonitoring({ firmId, premiseId }) {
 
   const handleDelete = async (id) => {
     try {
+      // Un registro que todavía no se sincronizó se descarta de la cola local
+      const pendiente = pendientes.find(item => item.operacion === 'insert' && item.datos.id === id);
+      if (pendiente) {
+        if (confirm('¿Descartar este registro pendiente de sincronizar?')) {
+          await descartarOperacion(pendiente.id);
+        }
+        return;
+      }
+
       // Fetch record to get details for audit and permission check
       const record = records.find(r => r.id === id);
 
@@ -201,12 +229,13 @@ export default function LivestockMonitoring({ firmId, premiseId }) {
 
       if (!confirm('¿Está seguro de eliminar este registro?')) return;
 
-      const { error } = await supabase.from('monitoreo_pasturas').delete().eq('id', id);
-      if (error) throw error;
-
-      // Registrar auditoría para eliminación de monitoreo ganadero
-      if (record) {
-        await crearRegistro({
+      await ejecutarOEncolar({
+        operacion: 'delete',
+        tabla: 'monitoreo_pasturas',
+        filtro: { id },
+        descripcion: `Eliminar monitoreo de pastura ${formatDate(record.fecha)}${record.lots?.name ? ` - ${record.lots.name}` : ''}`,
+        contexto: { firmId, premiseId },
+        auditoria: {
           firmId: firmId,
           premiseId: premiseId,
           lotId: record.lote_id || null,
@@ -221,8 +250,8 @@ export default function LivestockMonitoring({ firmId, premiseId }) {
             altura_lugar3_cm: record.altura_lugar3_cm,
             deleted: true
           }
-        }).catch(err => console.warn('Error registrando en auditoría:', err));
-      }
+        }
+      });
 
       fetchRecords();
     } catch (error) {
@@ -230,6 +259,16 @@ export default function LivestockMonitoring({ firmId, premiseId }) {
     }
   };
 
+  // Registros en cola: altas pendientes arriba, bajas pendientes ocultas
+  const pendingIds = new Set(pendientes.filter(item => item.operacion === 'insert').map(item => item.datos.id));
+  const deletedIds = new Set(pendientes.filter(item => item.operacion === 'delete').map(item => item.filtro.id));
+  const visibleRecords = [
+    ...pendientes
+      .filter(item => item.operacion === 'insert')
+      .map(item => ({ ...item.datos, lots: item.contexto?.loteNombre ? { name: item.contexto.loteNombre } : null })),
+    ...records.filter(record => !pendingIds.has(record.id) && !deletedIds.has(record.id))
+  ];
+
   return (
     <div className="space-y-6">
       <div className="flex justify-between items-center">
@@ -398,10 +437,10 @@ export default function LivestockMonitoring({ firmId, premiseId }) {
           <tbody className="divide-y divide-slate-100">
             {loading ? (
               <tr><td colSpan="5" className="px-4 py-8 text-center text-slate-500">Cargando...</td></tr>
-            ) : records.length === 0 ? (
+            ) : visibleRecords.length === 0 ? (
               <tr><td colSpan="5" className="px-4 py-8 text-center text-slate-500">No hay registros</td></tr>
             ) : (
-              records.map((record) => {
+              visibleRecords.map((record) => {
                 const userData = { name: user?.name || 'Anonymous' };
                 const canDelete = canDeleteMonitoringRecord(userData, record);
                 const timeRemaining = getTimeRemainingForEdit(record);
@@ -412,6 +451,12 @@ export default function LivestockMonitoring({ firmId, premiseId }) {
                     <td className="px-4 py-3 flex items-center gap-2">
                       <Calendar size={14} className="text-slate-400" />
                       {formatDate(record.fecha)}
+                      {pendingIds.has(record.id) && (
+                        <span className="ml-2 inline-flex items-center gap-1 text-xs text-amber-600">
+                          <CloudOff size={12} />
+                          Pendiente
+                        </span>
+                      )}
                       {!canDelete && (
                         <span className="ml-2 inline-flex items-center gap-1 text-xs text-slate-500">
                           <Lock size={12} />
@@ -12,6 +12,7 @@ import { Badge } from '../ui/badge';
 import { Button } from '../ui/button';
 import { Loader, AlertTriangle, CheckCircle, AlertCircle, RefreshCw } from 'lucide-react';
 import { supabase } from '../../lib/supabase';
+import { calcularCentroide } from '../../services/geospatial';
 import 'leaflet/dist/leaflet.css';
 
 export default function MonitoringMapOverlay({ premiseId }) {
@@ -127,12 +128,9 @@ export default function MonitoringMapOverlay({ premiseId }) {
       if (lotesData && lotesData.length > 0) {
         const primeraGeom = lotesData[0].polygon;
         if (primeraGeom) {
-          const geojson = typeof primeraGeom === 'string' ? JSON.parse(primeraGeom) : primeraGeom;
-          if (geojson.coordinates && geojson.coordinates[0]) {
-            const coords = geojson.coordinates[0];
-            const avgLat = coords.reduce((sum, c) => sum + c[1], 0) / coords.length;
-            const avgLng = coords.reduce((sum, c) => sum + c[0], 0) / coords.length;
-            setCenterCoords([avgLat, avgLng]);
+          const centroide = calcularCentroide(primeraGeom);
+          if (centroide) {
+            setCenterCoords([centroide.lat, centroide.lng]);
           }
         }
       }
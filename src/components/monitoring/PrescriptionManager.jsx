@@ -0,0 +1,921 @@
+/**
+ * PrescriptionManager.jsx
+ *
+ * Zonas de manejo y prescripciones de dosis variable (VRA)
+ * - Delimitar N zonas por lote con el historial NDVI y muestras de suelo georreferenciadas
+ * - Editar la dosis de semilla o fertilizante por zona
+ * - Exportar a Shapefile / ISO-XML para el controlador y vincular al trabajo que la aplica
+ */
+
+import React, { useState, useEffect, useMemo } from 'react';
+import { MapContainer, TileLayer, GeoJSON, Tooltip } from 'react-leaflet';
+import { toast } from 'sonner';
+import { Layers, Loader, Upload, Save, Trash2, Download, CheckCircle, Wand2, X, Pencil } from 'lucide-react';
+import { supabase } from '../../lib/supabase';
+import { useAuth } from '../../contexts/AuthContext';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '../ui/card';
+import { Button } from '../ui/button';
+import { Badge } from '../ui/badge';
+import { BASE_LAYERS } from '../../lib/mapLayers.config';
+import { aGeometriaGeoJSON, obtenerLimitesLeaflet } from '../../services/geospatial';
+import { obtenerTrabajosAgricolas } from '../../services/agriculturalWorks';
+import {
+  ZONAS_MIN,
+  ZONAS_MAX,
+  TAMANOS_CELDA,
+  crearGrillaLote,
+  obtenerImagenesNDVI,
+  parsearMuestrasSuelo,
+  delimitarZonas,
+  guardarMapaZonas,
+  obtenerMapasZonas,
+  eliminarMapaZonas
+} from '../../services/managementZones';
+import {
+  TIPOS_PRODUCTO_VRA,
+  UNIDADES_DOSIS,
+  ESTRATEGIAS_DOSIS,
+  ESTADOS_PRESCRIPCION,
+  FORMATOS_PRESCRIPCION,
+  sugerirDosisPorZona,
+  calcularTotalesPrescripcion,
+  obtenerDosisRecomendadas,
+  obtenerPrescripciones,
+  guardarPrescripcion,
+  marcarPrescripcionAplicada,
+  eliminarPrescripcion,
+  exportarPrescripcion
+} from '../../services/prescriptions';
+import {
+  PARAMETROS_SUELO,
+  obtenerUltimoMuestreoConResultados,
+  puntosAMuestras
+} from '../../services/soilSampling';
+import 'leaflet/dist/leaflet.css';
+
+const COLORES_ESTADO = {
+  BORRADOR: 'bg-slate-100 text-slate-700',
+  EXPORTADA: 'bg-blue-100 text-blue-700',
+  APLICADA: 'bg-green-100 text-green-700'
+};
+
+const formatearNumero = (valor, decimales = 0) =>
+  Number(valor || 0).toLocaleString('es-UY', { minimumFractionDigits: decimales, maximumFractionDigits: decimales });
+
+function nuevaPrescripcion(mapa) {
+  return {
+    zone_map_id: mapa.id,
+    product_type: 'FERTILIZANTE',
+    product_name: '',
+    input_id: '',
+    rate_unit: 'kg/ha',
+    base_rate: '',
+    estrategia: 'UNIFORME',
+    variacion: 20,
+    rates: (mapa.zones || []).map((z) => ({ zona: z.zona, dosis: '' })),
+    work_id: '',
+    notes: ''
+  };
+}
+
+function MapaZonas({ lote, zonas }) {
+  const limites = obtenerLimitesLeaflet([lote.polygon_data]);
+  if (!limites) return null;
+
+  // GeoJSON de react-leaflet no se actualiza con nuevos datos: la key fuerza el remontaje
+  const clave = zonas.map((z) => `${z.zona}:${z.area_ha}`).join('|');
+
+  return (
+    <div className="h-[380px] rounded-lg overflow-hidden border border-slate-200">
+      <MapContainer bounds={limites} style={{ height: '100%', width: '100%' }}>
+        <TileLayer url={BASE_LAYERS.satellite.url} attribution={BASE_LAYERS.satellite.attribution} />
+        {zonas.map((zona) => (
+          <GeoJSON
+            key={`${clave}-${zona.zona}`}
+            data={zona.geometry}
+            style={{ color: '#1e293b', weight: 1, fillColor: zona.color, fillOpacity: 0.65 }}
+          >
+            <Tooltip sticky>
+              Zona {zona.zona} · {zona.etiqueta} · {formatearNumero(zona.area_ha, 1)} ha
+            </Tooltip>
+          </GeoJSON>
+        ))}
+      </MapContainer>
+    </div>
+  );
+}
+
+export default function PrescriptionManager({ firmId, premiseId }) {
+  const { user } = useAuth();
+  const [lotes, setLotes] = useState([]);
+  const [loteId, setLoteId] = useState('');
+  const [predio, setPredio] = useState(null);
+  const [insumos, setInsumos] = useState([]);
+
+  // Delimitación
+  const [config, setConfig] = useState({ cantidadZonas: 3, tamanoCeldaM: 20, imagenesNDVI: 4 });
+  const [suelo, setSuelo] = useState({ archivo: null, muestras: [], variables: [], seleccionadas: [] });
+  const [delimitando, setDelimitando] = useState(false);
+  const [progreso, setProgreso] = useState('');
+  const [resultado, setResultado] = useState(null);
+  const [nombreMapa, setNombreMapa] = useState('');
+  const [guardandoMapa, setGuardandoMapa] = useState(false);
+
+  // Mapas guardados y prescripciones
+  const [mapas, setMapas] = useState([]);
+  const [mapaId, setMapaId] = useState('');
+  const [prescripciones, setPrescripciones] = useState([]);
+  const [trabajos, setTrabajos] = useState([]);
+  const [dosisRecomendadas, setDosisRecomendadas] = useState([]);
+  const [form, setForm] = useState(null);
+  const [guardando, setGuardando] = useState(false);
+  const [exportando, setExportando] = useState(null);
+
+  const lote = lotes.find((l) => l.id === loteId) || null;
+  const mapa = mapas.find((m) => m.id === mapaId) || null;
+  const zonasVisibles = resultado?.zonas || mapa?.zones || [];
+
+  useEffect(() => {
+    if (premiseId && firmId) loadBase();
+  }, [premiseId, firmId]);
+
+  useEffect(() => {
+    setResultado(null);
+    setForm(null);
+    if (loteId) loadLote(loteId);
+  }, [loteId]);
+
+  async function loadBase() {
+    try {
+      const [lotesRes, predioRes, insumosRes] = await Promise.all([
+        supabase
+          .from('lots')
+          .select('id, name, area_hectares, polygon_data, premise_id')
+          .eq('premise_id', premiseId)
+          .eq('status', true)
+          .order('name'),
+        supabase.from('premises').select('name, firms(name)').eq('id', premiseId).single(),
+        supabase
+          .from('inputs')
+          .select('id, name, category, unit')
+          .eq('firm_id', firmId)
+          .in('category', Object.values(TIPOS_PRODUCTO_VRA).map((t) => t.categoria))
+          .order('name')
+      ]);
+
+      if (lotesRes.error) throw lotesRes.error;
+      const conPoligono = (lotesRes.data || []).filter((l) => l.polygon_data);
+      setLotes(conPoligono);
+      setPredio(predioRes.data || null);
+      setInsumos(insumosRes.data || []);
+      if (conPoligono.length > 0) setLoteId(conPoligono[0].id);
+    } catch (error) {
+      console.error('Error cargando lotes:', error);
+      toast.error('Error cargando lotes');
+    }
+  }
+
+  async function loadLote(id) {
+    try {
+      const [mapasLote, prescripcionesLote, trabajosLote, recomendadas] = await Promise.all([
+        obtenerMapasZonas(id),
+        obtenerPrescripciones(id),
+        obtenerTrabajosAgricolas({ lotId: id }),
+        obtenerDosisRecomendadas(id).catch(() => [])
+      ]);
+      setMapas(mapasLote);
+      setMapaId(mapasLote[0]?.id || '');
+      setPrescripciones(prescripcionesLote);
+      setTrabajos(trabajosLote.data.filter((t) => t.status !== 'CANCELLED'));
+      setDosisRecomendadas(recomendadas);
+    } catch (error) {
+      toast.error('Error cargando datos del lote: ' + error.message);
+    }
+  }
+
+  async function handleArchivoSuelo(file) {
+    if (!file) return;
+    try {
+      const { muestras, variables, errores } = parsearMuestrasSuelo(await file.text());
+      if (muestras.length === 0) {
+        toast.error(errores[0] || 'El archivo no tiene muestras válidas');
+        return;
+      }
+      if (errores.length > 0) toast.warning(`${errores.length} fila(s) descartadas por coordenadas inválidas`);
+      setSuelo({ archivo: file.name, muestras, variables, seleccionadas: variables });
+    } catch (error) {
+      toast.error('Error leyendo el archivo: ' + error.message);
+    }
+  }
+
+  async function handleMuestreoGuardado() {
+    try {
+      const muestreo = await obtenerUltimoMuestreoConResultados(loteId);
+      if (!muestreo) {
+        toast.error('El lote no tiene muestreos de suelo con resultados');
+        return;
+      }
+      const muestras = puntosAMuestras(muestreo.puntos);
+      const variables = Object.keys(PARAMETROS_SUELO).filter((p) => muestras.some((m) => m.valores[p] !== undefined));
+      setSuelo({ archivo: `Muestreo: ${muestreo.plan.name}`, muestras, variables, seleccionadas: variables });
+    } catch (error) {
+      toast.error('Error cargando el muestreo: ' + error.message);
+    }
+  }
+
+  async function handleDelimitar() {
+    if (!lote) return;
+    setDelimitando(true);
+    setResultado(null);
+    try {
+      setProgreso('Preparando grilla del lote...');
+      const grilla = crearGrillaLote(lote.polygon_data, config.tamanoCeldaM);
+
+      let imagenes = [];
+      if (config.imagenesNDVI > 0) {
+        try {
+          imagenes = await obtenerImagenesNDVI(lote, grilla, {
+            cantidad: config.imagenesNDVI,
+            onProgress: (actual, total) => setProgreso(`Descargando imagen NDVI ${actual} de ${total}...`)
+          });
+        } catch (error) {
+          toast.warning('No se pudo obtener el historial NDVI: ' + error.message);
+        }
+      }
+
+      setProgreso('Agrupando celdas en zonas...');
+      // Deja pintar el progreso antes del cálculo
+      await new Promise((resolve) => setTimeout(resolve, 0));
+
+      const zonificacion = delimitarZonas({
+        grilla,
+        imagenes,
+        muestras: suelo.muestras,
+        variablesSuelo: suelo.seleccionadas,
+        cantidadZonas: config.cantidadZonas
+      });
+
+      setResultado(zonificacion);
+      setNombreMapa(`${zonificacion.zonas.length} zonas ${new Date().toISOString().split('T')[0]}`);
+      if (config.imagenesNDVI > 0 && zonificacion.fechasNDVI.length === 0) {
+        toast.warning('No hubo imágenes NDVI sin nubes: las zonas se basan solo en las muestras de suelo');
+      }
+    } catch (error) {
+      toast.error(error.message);
+    } finally {
+      setDelimitando(false);
+      setProgreso('');
+    }
+  }
+
+  async function handleGuardarMapa() {
+    setGuardandoMapa(true);
+    try {
+      const guardado = await guardarMapaZonas({
+        firmId,
+        lote,
+        resultado,
+        nombre: nombreMapa,
+        tamanoCeldaM: config.tamanoCeldaM,
+        cantidadMuestras: suelo.muestras.length
+      }, user?.id);
+      toast.success('✓ Mapa de zonas guardado');
+      setResultado(null);
+      setMapas((prev) => [guardado, ...prev]);
+      setMapaId(guardado.id);
+    } catch (error) {
+      toast.error(error.message);
+    } finally {
+      setGuardandoMapa(false);
+    }
+  }
+
+  async function handleEliminarMapa() {
+    if (!mapa) return;
+    const cantidad = prescripciones.filter((p) => p.zone_map_id === mapa.id).length;
+    const aviso = cantidad > 0 ? ` y sus ${cantidad} prescripción(es)` : '';
+    if (!window.confirm(`¿Eliminar el mapa de zonas "${mapa.name}"${aviso}?`)) return;
+    try {
+      await eliminarMapaZonas(mapa, user?.id);
+      toast.success('Mapa de zonas eliminado');
+      loadLote(loteId);
+    } catch (error) {
+      toast.error(error.message);
+    }
+  }
+
+  function handleSugerir() {
+    const dosis = sugerirDosisPorZona(mapa.zones, form.base_rate, form.estrategia, (parseFloat(form.variacion) || 0) / 100);
+    setForm({ ...form, rates: dosis });
+  }
+
+  function handleEditar(prescripcion) {
+    setMapaId(prescripcion.zone_map_id);
+    setResultado(null);
+    setForm({
+      ...prescripcion,
+      input_id: prescripcion.input_id || '',
+      work_id: prescripcion.work_id || '',
+      base_rate: prescripcion.base_rate ?? '',
+      notes: prescripcion.notes || '',
+      estrategia: 'UNIFORME',
+      variacion: 20
+    });
+  }
+
+  async function handleGuardarPrescripcion(e) {
+    e.preventDefault();
+    setGuardando(true);
+    try {
+      await guardarPrescripcion({
+        ...form,
+        firm_id: firmId,
+        premise_id: premiseId,
+        lot_id: loteId
+      }, mapa.zones, user?.id);
+      toast.success('✓ Prescripción guardada');
+      setForm(null);
+      setPrescripciones(await obtenerPrescripciones(loteId));
+    } catch (error) {
+      toast.error(error.message);
+    } finally {
+      setGuardando(false);
+    }
+  }
+
+  async function handleExportar(prescripcion, formato) {
+    setExportando(`${prescripcion.id}:${formato}`);
+    try {
+      await exportarPrescripcion({
+        prescripcion,
+        zonas: prescripcion.management_zone_maps?.zones || [],
+        lote: { ...lote, geometry: aGeometriaGeoJSON(lote.polygon_data) },
+        firma: predio?.firms?.name,
+        predio: predio?.name,
+        formato
+      }, user?.id);
+      toast.success(`✓ Prescripción exportada (${FORMATOS_PRESCRIPCION[formato].label})`);
+      setPrescripciones(await obtenerPrescripciones(loteId));
+    } catch (error) {
+      toast.error(error.message);
+    } finally {
+      setExportando(null);
+    }
+  }
+
+  async function handleAplicada(prescripcion) {
+    try {
+      await marcarPrescripcionAplicada(prescripcion, user?.id);
+      toast.success('Prescripción marcada como aplicada');
+      setPrescripciones(await obtenerPrescripciones(loteId));
+    } catch (error) {
+      toast.error(error.message);
+    }
+  }
+
+  async function handleEliminarPrescripcion(prescripcion) {
+    if (!window.confirm(`¿Eliminar la prescripción de ${prescripcion.product_name}?`)) return;
+    try {
+      await eliminarPrescripcion(prescripcion, user?.id);
+      setPrescripciones((prev) => prev.filter((p) => p.id !== prescripcion.id));
+    } catch (error) {
+      toast.error(error.message);
+    }
+  }
+
+  const totales = useMemo(
+    () => (form && mapa ? calcularTotalesPrescripcion(mapa.zones, form.rates) : null),
+    [form, mapa]
+  );
+
+  const variablesZonas = [...new Set(zonasVisibles.flatMap((z) => Object.keys(z.promedios || {})))];
+
+  if (lotes.length === 0) {
+    return (
+      <Card>
+        <CardContent className="p-8 text-center text-slate-500">
+          No hay lotes con polígono definido en el predio
+        </CardContent>
+      </Card>
+    );
+  }
+
+  return (
+    <div className="space-y-4">
+      {/* Lote */}
+      <Card>
+        <CardContent className="p-4 flex flex-wrap items-end gap-4">
+          <div className="flex-1 min-w-[200px]">
+            <label className="block text-sm font-medium text-slate-700 mb-1">Lote</label>
+            <select
+              value={loteId}
+              onChange={(e) => setLoteId(e.target.value)}
+              className="w-full px-3 py-2 border border-slate-300 rounded-lg focus:ring-2 focus:ring-blue-500 outline-none"
+            >
+              {lotes.map((l) => (
+                <option key={l.id} value={l.id}>{l.name} ({formatearNumero(l.area_hectares, 1)} ha)</option>
+              ))}
+            </select>
+          </div>
+          <div className="min-w-[220px]">
+            <label className="block text-sm font-medium text-slate-700 mb-1">Mapa de zonas</label>
+            <div className="flex gap-2">
+              <select
+                value={mapaId}
+                onChange={(e) => {
+                  setMapaId(e.target.value);
+                  setResultado(null);
+                  setForm(null);
+                }}
+                disabled={mapas.length === 0}
+                className="flex-1 px-3 py-2 border border-slate-300 rounded-lg focus:ring-2 focus:ring-blue-500 outline-none disabled:bg-slate-50"
+              >
+                {mapas.length === 0 && <option value="">Sin mapas guardados</option>}
+                {mapas.map((m) => (
+                  <option key={m.id} value={m.id}>{m.name}</option>
+                ))}
+              </select>
+              {mapa && (
+                <Button variant="outline" size="icon" onClick={handleEliminarMapa} title="Eliminar mapa de zonas">
+                  <Trash2 size={16} className="text-red-600" />
+                </Button>
+              )}
+            </div>
+          </div>
+        </CardContent>
+      </Card>
+
+      <div className="grid grid-cols-1 lg:grid-cols-3 gap-4">
+        {/* Delimitación */}
+        <Card>
+          <CardHeader>
+            <CardTitle className="flex items-center gap-2 text-base">
+              <Layers size={18} /> Delimitar zonas de manejo
+            </CardTitle>
+            <CardDescription>
+              Agrupa el lote según el NDVI relativo de las últimas campañas y las muestras de suelo
+            </CardDescription>
+          </CardHeader>
+          <CardContent className="space-y-3 text-sm">
+            <div className="grid grid-cols-2 gap-3">
+              <div>
+                <label className="block text-slate-700 mb-1">Zonas</label>
+                <select
+                  value={config.cantidadZonas}
+                  onChange={(e) => setConfig({ ...config, cantidadZonas: Number(e.target.value) })}
+                  className="w-full px-3 py-2 border border-slate-300 rounded-lg"
+                >
+                  {Array.from({ length: ZONAS_MAX - ZONAS_MIN + 1 }, (_, i) => ZONAS_MIN + i).map((n) => (
+                    <option key={n} value={n}>{n}</option>
+                  ))}
+                </select>
+              </div>
+              <div>
+                <label className="block text-slate-700 mb-1">Celda</label>
+                <select
+                  value={config.tamanoCeldaM}
+                  onChange={(e) => setConfig({ ...config, tamanoCeldaM: Number(e.target.value) })}
+                  className="w-full px-3 py-2 border border-slate-300 rounded-lg"
+                >
+                  {TAMANOS_CELDA.map((t) => (
+                    <option key={t} value={t}>{t} m</option>
+                  ))}
+                </select>
+              </div>
+            </div>
+            <div>
+              <label className="block text-slate-700 mb-1">Campañas de NDVI</label>
+              <select
+                value={config.imagenesNDVI}
+                onChange={(e) => setConfig({ ...config, imagenesNDVI: Number(e.target.value) })}
+                className="w-full px-3 py-2 border border-slate-300 rounded-lg"
+              >
+                <option value={0}>Sin NDVI (solo suelo)</option>
+                {[2, 3, 4, 5, 6].map((n) => (
+                  <option key={n} value={n}>Últimas {n}</option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label className="block text-slate-700 mb-1">Muestras de suelo georreferenciadas</label>
+              <label className="flex items-center gap-2 px-3 py-2 border border-dashed border-slate-300 rounded-lg cursor-pointer hover:bg-slate-50">
+                <Upload size={16} className="text-slate-500" />
+                <span className="truncate">{suelo.archivo || 'CSV con lat, lon, P, K, pH...'}</span>
+                <input
+                  type="file"
+                  accept=".csv,.txt"
+                  className="hidden"
+                  onChange={(e) => {
+                    handleArchivoSuelo(e.target.files[0]);
+                    e.target.value = '';
+                  }}
+                />
+              </label>
+              <button
+                onClick={handleMuestreoGuardado}
+                className="mt-1 text-xs text-blue-600 hover:underline"
+              >
+                Usar el último muestreo georreferenciado del lote
+              </button>
+              {suelo.variables.length > 0 && (
+                <div className="mt-2 flex flex-wrap gap-2 items-center">
+                  <span className="text-xs text-slate-500">{suelo.muestras.length} muestras ·</span>
+                  {suelo.variables.map((variable) => (
+                    <label key={variable} className="flex items-center gap-1 text-xs">
+                      <input
+                        type="checkbox"
+                        checked={suelo.seleccionadas.includes(variable)}
+                        onChange={(e) => setSuelo({
+                          ...suelo,
+                          seleccionadas: e.target.checked
+                            ? [...suelo.seleccionadas, variable]
+                            : suelo.seleccionadas.filter((v) => v !== variable)
+                        })}
+                      />
+                      {variable}
+                    </label>
+                  ))}
+                  <button
+                    onClick={() => setSuelo({ archivo: null, muestras: [], variables: [], seleccionadas: [] })}
+                    className="text-slate-400 hover:text-red-600"
+                    title="Quitar muestras"
+                  >
+                    <X size={14} />
+                  </button>
+                </div>
+              )}
+            </div>
+
+            <Button
+              className="w-full"
+              onClick={handleDelimitar}
+              disabled={delimitando || (config.imagenesNDVI === 0 && suelo.seleccionadas.length === 0)}
+            >
+              {delimitando ? <Loader className="animate-spin mr-2" size={16} /> : <Layers className="mr-2" size={16} />}
+              {delimitando ? progreso : 'Delimitar zonas'}
+            </Button>
+
+            {resultado && (
+              <div className="pt-3 border-t space-y-2">
+                <p className="text-xs text-slate-500">
+                  {resultado.fechasNDVI.length > 0 && `NDVI: ${resultado.fechasNDVI.join(', ')}. `}
+                  {resultado.variablesSuelo.length > 0 && `Suelo: ${resultado.variablesSuelo.join(', ')}.`}
+                </p>
+                <input
+                  value={nombreMapa}
+                  onChange={(e) => setNombreMapa(e.target.value)}
+                  placeholder="Nombre del mapa"
+                  className="w-full px-3 py-2 border border-slate-300 rounded-lg"
+                />
+                <div className="flex gap-2">
+                  <Button variant="outline" className="flex-1" onClick={() => setResultado(null)}>Descartar</Button>
+                  <Button className="flex-1" onClick={handleGuardarMapa} disabled={guardandoMapa}>
+                    {guardandoMapa ? <Loader className="animate-spin mr-2" size={16} /> : <Save className="mr-2" size={16} />}
+                    Guardar
+                  </Button>
+                </div>
+              </div>
+            )}
+          </CardContent>
+        </Card>
+
+        {/* Mapa y zonas */}
+        <Card className="lg:col-span-2">
+          <CardHeader>
+            <CardTitle className="text-base">
+              {resultado ? 'Vista previa (sin guardar)' : mapa ? mapa.name : 'Zonas de manejo'}
+            </CardTitle>
+          </CardHeader>
+          <CardContent className="space-y-3">
+            {lote && zonasVisibles.length > 0 ? (
+              <>
+                <MapaZonas lote={lote} zonas={zonasVisibles} />
+                <table className="w-full text-sm">
+                  <thead>
+                    <tr className="text-left text-slate-500 border-b">
+                      <th className="py-1">Zona</th>
+                      <th className="py-1 text-right">Superficie</th>
+                      {variablesZonas.map((v) => (
+                        <th key={v} className="py-1 text-right">{v === 'indice_ndvi' ? 'Índice NDVI' : v === 'ndvi' ? 'NDVI' : v}</th>
+                      ))}
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {zonasVisibles.map((z) => (
+                      <tr key={z.zona} className="border-b last:border-0">
+                        <td className="py-1">
+                          <span className="inline-block w-3 h-3 rounded-sm mr-2 align-middle" style={{ backgroundColor: z.color }} />
+                          {z.zona} · {z.etiqueta}
+                        </td>
+                        <td className="py-1 text-right">{formatearNumero(z.area_ha, 1)} ha</td>
+                        {variablesZonas.map((v) => (
+                          <td key={v} className="py-1 text-right">
+                            {z.promedios?.[v] != null ? formatearNumero(z.promedios[v], 2) : '-'}
+                          </td>
+                        ))}
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </>
+            ) : (
+              <p className="text-sm text-slate-500 py-12 text-center">
+                Delimite las zonas del lote o seleccione un mapa guardado
+              </p>
+            )}
+          </CardContent>
+        </Card>
+      </div>
+
+      {/* Prescripciones */}
+      <Card>
+        <CardHeader className="flex flex-row items-center justify-between">
+          <div>
+            <CardTitle className="text-base">Prescripciones</CardTitle>
+            <CardDescription>Dosis por zona para el controlador de la sembradora o fertilizadora</CardDescription>
+          </div>
+          <Button onClick={() => setForm(nuevaPrescripcion(mapa))} disabled={!mapa || !!resultado || !!form}>
+            <Wand2 className="mr-2" size={16} /> Nueva prescripción
+          </Button>
+        </CardHeader>
+        <CardContent className="space-y-4">
+          {form && mapa && (
+            <form onSubmit={handleGuardarPrescripcion} className="p-4 bg-slate-50 rounded-lg border border-slate-200 space-y-3 text-sm">
+              <div className="grid grid-cols-1 md:grid-cols-4 gap-3">
+                <div>
+                  <label className="block text-slate-700 mb-1">Tipo</label>
+                  <select
+                    value={form.product_type}
+                    onChange={(e) => setForm({ ...form, product_type: e.target.value, input_id: '', rate_unit: TIPOS_PRODUCTO_VRA[e.target.value].unidad })}
+                    className="w-full px-3 py-2 border border-slate-300 rounded-lg bg-white"
+                  >
+                    {Object.entries(TIPOS_PRODUCTO_VRA).map(([clave, tipo]) => (
+                      <option key={clave} value={clave}>{tipo.label}</option>
+                    ))}
+                  </select>
+                </div>
+                <div>
+                  <label className="block text-slate-700 mb-1">Insumo</label>
+                  <select
+                    value={form.input_id}
+                    onChange={(e) => {
+                      const insumo = insumos.find((i) => i.id === e.target.value);
+                      setForm({ ...form, input_id: e.target.value, product_name: insumo?.name || form.product_name });
+                    }}
+                    className="w-full px-3 py-2 border border-slate-300 rounded-lg bg-white"
+                  >
+                    <option value="">Otro (escribir)</option>
+                    {insumos
+                      .filter((i) => i.category === TIPOS_PRODUCTO_VRA[form.product_type].categoria)
+                      .map((i) => (
+                        <option key={i.id} value={i.id}>{i.name}</option>
+                      ))}
+                  </select>
+                </div>
+                <div>
+                  <label className="block text-slate-700 mb-1">Producto</label>
+                  <input
+                    required
+                    value={form.product_name}
+                    onChange={(e) => setForm({ ...form, product_name: e.target.value })}
+                    className="w-full px-3 py-2 border border-slate-300 rounded-lg"
+                  />
+                </div>
+                <div>
+                  <label className="block text-slate-700 mb-1">Unidad</label>
+                  <select
+                    value={form.rate_unit}
+                    onChange={(e) => setForm({ ...form, rate_unit: e.target.value })}
+                    className="w-full px-3 py-2 border border-slate-300 rounded-lg bg-white"
+                  >
+                    {Object.keys(UNIDADES_DOSIS).map((u) => (
+                      <option key={u} value={u}>{UNIDADES_DOSIS[u].label}</option>
+                    ))}
+                  </select>
+                </div>
+              </div>
+
+              {form.product_type === 'FERTILIZANTE' && dosisRecomendadas.length > 0 && (
+                <div className="flex flex-wrap items-center gap-2">
+                  <span className="text-xs text-slate-500">Recomendado por análisis de suelo:</span>
+                  {dosisRecomendadas.map((r) => (
+                    <button
+                      key={r.parametro}
+                      type="button"
+                      onClick={() => setForm({ ...form, product_name: r.fuente || form.product_name, base_rate: r.kg_ha, rate_unit: 'kg/ha' })}
+                      className="px-2 py-1 text-xs rounded-md bg-amber-100 text-amber-800 hover:bg-amber-200"
+                    >
+                      {r.parametro}: {r.fuente} {formatearNumero(r.kg_ha)} kg/ha
+                    </button>
+                  ))}
+                </div>
+              )}
+
+              <div className="grid grid-cols-1 md:grid-cols-4 gap-3 items-end">
+                <div>
+                  <label className="block text-slate-700 mb-1">Dosis base ({form.rate_unit})</label>
+                  <input
+                    type="number"
+                    min="0"
+                    step="any"
+                    value={form.base_rate}
+                    onChange={(e) => setForm({ ...form, base_rate: e.target.value })}
+                    className="w-full px-3 py-2 border border-slate-300 rounded-lg"
+                  />
+                </div>
+                <div>
+                  <label className="block text-slate-700 mb-1">Estrategia</label>
+                  <select
+                    value={form.estrategia}
+                    onChange={(e) => setForm({ ...form, estrategia: e.target.value })}
+                    className="w-full px-3 py-2 border border-slate-300 rounded-lg bg-white"
+                  >
+                    {Object.entries(ESTRATEGIAS_DOSIS).map(([clave, label]) => (
+                      <option key={clave} value={clave}>{label}</option>
+                    ))}
+                  </select>
+                </div>
+                <div>
+                  <label className="block text-slate-700 mb-1">Variación entre extremos (±%)</label>
+                  <input
+                    type="number"
+                    min="0"
+                    max="100"
+                    value={form.variacion}
+                    disabled={form.estrategia === 'UNIFORME'}
+                    onChange={(e) => setForm({ ...form, variacion: e.target.value })}
+                    className="w-full px-3 py-2 border border-slate-300 rounded-lg disabled:bg-slate-100"
+                  />
+                </div>
+                <Button type="button" variant="outline" onClick={handleSugerir} disabled={!(parseFloat(form.base_rate) > 0)}>
+                  <Wand2 className="mr-2" size={16} /> Sugerir dosis
+                </Button>
+              </div>
+
+              <table className="w-full bg-white rounded-lg border border-slate-200">
+                <thead>
+                  <tr className="text-left text-slate-500 border-b">
+                    <th className="px-3 py-2">Zona</th>
+                    <th className="px-3 py-2 text-right">Superficie</th>
+                    <th className="px-3 py-2 text-right">Dosis ({form.rate_unit})</th>
+                    <th className="px-3 py-2 text-right">Cantidad</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {mapa.zones.map((z) => {
+                    const fila = form.rates.find((r) => r.zona === z.zona) || { dosis: '' };
+                    return (
+                      <tr key={z.zona} className="border-b last:border-0">
+                        <td className="px-3 py-1">
+                          <span className="inline-block w-3 h-3 rounded-sm mr-2 align-middle" style={{ backgroundColor: z.color }} />
+                          {z.zona} · {z.etiqueta}
+                        </td>
+                        <td className="px-3 py-1 text-right">{formatearNumero(z.area_ha, 1)} ha</td>
+                        <td className="px-3 py-1 text-right">
+                          <input
+                            type="number"
+                            min="0"
+                            step="any"
+                            value={fila.dosis}
+                            onChange={(e) => setForm({
+                              ...form,
+                              rates: [...form.rates.filter((r) => r.zona !== z.zona), { zona: z.zona, dosis: e.target.value }]
+                                .sort((a, b) => a.zona - b.zona)
+                            })}
+                            className="w-28 px-2 py-1 border border-slate-300 rounded text-right"
+                          />
+                        </td>
+                        <td className="px-3 py-1 text-right text-slate-600">
+                          {formatearNumero((parseFloat(fila.dosis) || 0) * z.area_ha)} {form.rate_unit.split('/')[0]}
+                        </td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+                {totales && (
+                  <tfoot>
+                    <tr className="font-semibold border-t">
+                      <td className="px-3 py-2">Total</td>
+                      <td className="px-3 py-2 text-right">{formatearNumero(totales.superficie, 1)} ha</td>
+                      <td className="px-3 py-2 text-right">Media {formatearNumero(totales.dosisMedia, 1)}</td>
+                      <td className="px-3 py-2 text-right">{formatearNumero(totales.total)} {form.rate_unit.split('/')[0]}</td>
+                    </tr>
+                  </tfoot>
+                )}
+              </table>
+
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+                <div>
+                  <label className="block text-slate-700 mb-1">Trabajo agrícola que la aplica</label>
+                  <select
+                    value={form.work_id}
+                    onChange={(e) => setForm({ ...form, work_id: e.target.value })}
+                    className="w-full px-3 py-2 border border-slate-300 rounded-lg bg-white"
+                  >
+                    <option value="">Sin vincular</option>
+                    {trabajos.map((t) => (
+                      <option key={t.id} value={t.id}>{t.date} · {t.work_type} ({t.status})</option>
+                    ))}
+                  </select>
+                </div>
+                <div>
+                  <label className="block text-slate-700 mb-1">Notas</label>
+                  <input
+                    value={form.notes}
+                    onChange={(e) => setForm({ ...form, notes: e.target.value })}
+                    className="w-full px-3 py-2 border border-slate-300 rounded-lg"
+                  />
+                </div>
+              </div>
+
+              <div className="flex justify-end gap-2">
+                <Button type="button" variant="outline" onClick={() => setForm(null)}>Cancelar</Button>
+                <Button type="submit" disabled={guardando}>
+                  {guardando ? <Loader className="animate-spin mr-2" size={16} /> : <Save className="mr-2" size={16} />}
+                  Guardar prescripción
+                </Button>
+              </div>
+            </form>
+          )}
+
+          {prescripciones.length === 0 ? (
+            <p className="text-sm text-slate-500 text-center py-6">El lote no tiene prescripciones</p>
+          ) : (
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="text-left text-slate-500 border-b">
+                  <th className="py-2">Producto</th>
+                  <th className="py-2">Zonas</th>
+                  <th className="py-2 text-right">Dosis</th>
+                  <th className="py-2 text-right">Total</th>
+                  <th className="py-2">Trabajo</th>
+                  <th className="py-2">Estado</th>
+                  <th className="py-2 text-right">Acciones</th>
+                </tr>
+              </thead>
+              <tbody>
+                {prescripciones.map((p) => {
+                  const dosis = p.rates.map((r) => r.dosis);
+                  return (
+                    <tr key={p.id} className="border-b last:border-0">
+                      <td className="py-2">
+                        <p className="font-medium">{p.product_name}</p>
+                        <p className="text-xs text-slate-500">{TIPOS_PRODUCTO_VRA[p.product_type]?.label}</p>
+                      </td>
+                      <td className="py-2 text-slate-600">{p.management_zone_maps?.name}</td>
+                      <td className="py-2 text-right">
+                        {formatearNumero(Math.min(...dosis), 1)} - {formatearNumero(Math.max(...dosis), 1)} {p.rate_unit}
+                      </td>
+                      <td className="py-2 text-right">{formatearNumero(p.total_quantity)} {p.rate_unit.split('/')[0]}</td>
+                      <td className="py-2 text-slate-600">
+                        {p.agricultural_works ? `${p.agricultural_works.date} · ${p.agricultural_works.work_type}` : '-'}
+                      </td>
+                      <td className="py-2">
+                        <Badge className={COLORES_ESTADO[p.status]}>{ESTADOS_PRESCRIPCION[p.status]}</Badge>
+                        {p.last_export_format && (
+                          <p className="text-xs text-slate-400 mt-1">{FORMATOS_PRESCRIPCION[p.last_export_format]?.label}</p>
+                        )}
+                      </td>
+                      <td className="py-2">
+                        <div className="flex justify-end gap-1">
+                          {Object.entries(FORMATOS_PRESCRIPCION).map(([formato, config]) => (
+                            <Button
+                              key={formato}
+                              size="sm"
+                              variant="outline"
+                              onClick={() => handleExportar(p, formato)}
+                              disabled={!!exportando}
+                              title={`Exportar ${config.label}`}
+                            >
+                              {exportando === `${p.id}:${formato}`
+                                ? <Loader className="animate-spin" size={14} />
+                                : <Download size={14} />}
+                              <span className="ml-1">{formato === 'SHAPEFILE' ? 'SHP' : 'ISO'}</span>
+                            </Button>
+                          ))}
+                          {p.status !== 'APLICADA' && (
+                            <>
+                              <Button size="sm" variant="ghost" onClick={() => handleAplicada(p)} disabled={!p.work_id} title="Marcar como aplicada">
+                                <CheckCircle size={14} className="text-green-600" />
+                              </Button>
+                              <Button size="sm" variant="ghost" onClick={() => handleEditar(p)} disabled={!!form} title="Editar">
+                                <Pencil size={14} />
+                              </Button>
+                            </>
+                          )}
+                          <Button size="sm" variant="ghost" onClick={() => handleEliminarPrescripcion(p)} title="Eliminar">
+                            <Trash2 size={14} className="text-red-600" />
+                          </Button>
+                        </div>
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          )}
+        </CardContent>
+      </Card>
+    </div>
+  );
+}
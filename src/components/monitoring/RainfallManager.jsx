@@ -1,17 +1,19 @@
 import React, { useState, useEffect } from 'react';
-import { Plus, Trash2, Calendar, CloudRain, Eye, Loader, Save, X, BarChart3, Lock, Clock, AlertTriangle } from 'lucide-react';
+import { Plus, Trash2, Calendar, CloudRain, Eye, Loader, Save, X, BarChart3, Lock, Clock, AlertTriangle, CloudOff } from 'lucide-react';
 import RecordDetailModal from '../RecordDetailModal';
 import RainfallCharts from '../graficos/RainfallCharts';
 import { supabase } from '../../lib/supabase';
-import { crearRegistro } from '../../services/registros';
 import { useAuth } from '../../contexts/AuthContext';
 import { Button } from '../ui/button';
 import { canDeleteMonitoringRecord, getDeleteRestrictionMessage, formatTimeRemaining, getTimeRemainingForEdit } from '../../lib/permissions';
 import { useMonitoringTriggers } from '../../hooks/useMonitoringTriggers';
+import { useOfflineSync } from '../../hooks/useOfflineSync';
+import { ejecutarOEncolar, consultarConCache, descartarOperacion } from '../../services/offlineSync';
 
 export default function RainfallManager({ firmId, premiseId }) {
   const { user } = useAuth();
   const { triggerNuevaLluvia } = useMonitoringTriggers(firmId, premiseId);
+  const { pendientes } = useOfflineSync({ tabla: 'lluvias', premiseId });
   const [records, setRecords] = useState([]);
   const [loading, setLoading] = useState(true);
   const [submitting, setSubmitting] = useState(false);
@@ -56,9 +58,10 @@ export default function RainfallManager({ firmId, premiseId }) {
     }
   }, [premiseId]);
 
+  // Recargar también cuando la cola se vacía tras sincronizar
   useEffect(() => {
     if (firmId) fetchRecords();
-  }, [firmId, premiseId]);
+  }, [firmId, premiseId, pendientes.length]);
 
   const fetchActiveCampaign = async () => {
     try {
@@ -85,20 +88,20 @@ export default function RainfallManager({ firmId, premiseId }) {
         return;
       }
 
-      const { data, error } = await supabase
-        .from('campaigns')
-        .select('id, name, start_date, end_date, status')
-        .eq('firm_id', firmId)
-        .eq('status', 'ACTIVE')
-        .order('start_date', { ascending: false })
-        .limit(1)
-        .single();
-
-      if (error && error.code !== 'PGRST116') {
-        console.error('Error cargando campaña activa:', error);
-      }
+      const data = await consultarConCache(`campana_activa:${firmId}`, async () => {
+        const { data, error } = await supabase
+          .from('campaigns')
+          .select('id, name, start_date, end_date, status')
+          .eq('firm_id', firmId)
+          .eq('status', 'ACTIVE')
+          .order('start_date', { ascending: false })
+          .limit(1);
+
+        if (error) throw error;
+        return data || [];
+      });
 
-      setActiveCampaign(data || null);
+      setActiveCampaign(data[0] || null);
     } catch (error) {
       console.error('Error cargando campaña activa:', error);
     }
@@ -127,24 +130,27 @@ export default function RainfallManager({ firmId, premiseId }) {
       setLoading(true);
       console.log('Fetching rainfall records for firm:', firmId);
       
-      let query = supabase
-        .from('lluvias')
-        .select('id, firm_id, premise_id, fecha, mm, usuario, created_at')
-        .eq('firm_id', firmId)
-        .order('fecha', { ascending: false });
-
-      if (premiseId) {
-        query = query.eq('premise_id', premiseId);
-      }
+      const data = await consultarConCache(`lluvias:${firmId}:${premiseId || 'todos'}`, async () => {
+        let query = supabase
+          .from('lluvias')
+          .select('id, firm_id, premise_id, fecha, mm, usuario, created_at')
+          .eq('firm_id', firmId)
+          .order('fecha', { ascending: false });
+
+        if (premiseId) {
+          query = query.eq('premise_id', premiseId);
+        }
 
-      const { data, error } = await query;
-      
-      if (error) {
-        console.error('Supabase error fetching rainfall:', error);
-        throw error;
-      }
-      
-      setRecords(data || []);
+        const { data, error } = await query;
+
+        if (error) {
+          console.error('Supabase error fetching rainfall:', error);
+          throw error;
+        }
+        return data || [];
+      });
+
+      setRecords(data);
     } catch (error) {
       console.error('Error fetching rainfall records:', error);
     } finally {
@@ -172,35 +178,41 @@ export default function RainfallManager({ firmId, premiseId }) {
         return;
       }
 
-      const { error } = await supabase.from('lluvias').insert([{
-        firm_id: firmId,
-        premise_id: premiseId,
-        fecha: formData.fecha,
-        mm: parseFloat(formData.mm),
-        usuario: user?.full_name || 'sistema'
-      }]);
-
-      if (error) throw error;
-
-      // Registrar auditoría para lluvia
-      await crearRegistro({
-        firmId: firmId,
-        premiseId: premiseId,
-        lotId: null,
-        tipo: 'lluvia',
-        descripcion: `Registro de lluvia: ${formData.mm} mm`,
-        moduloOrigen: 'rainfall_manager',
-        usuario: user?.full_name || 'sistema',
-        metadata: {
+      // Sin señal queda en la cola del dispositivo junto con su auditoría
+      const { encolado } = await ejecutarOEncolar({
+        operacion: 'insert',
+        tabla: 'lluvias',
+        datos: {
+          firm_id: firmId,
+          premise_id: premiseId,
+          fecha: formData.fecha,
           mm: parseFloat(formData.mm),
-          fecha: formData.fecha
+          usuario: user?.full_name || 'sistema',
+          created_at: new Date().toISOString()
+        },
+        descripcion: `Lluvia ${formatDate(formData.fecha)}: ${formData.mm} mm`,
+        contexto: { firmId, premiseId },
+        auditoria: {
+          firmId: firmId,
+          premiseId: premiseId,
+          lotId: null,
+          tipo: 'lluvia',
+          descripcion: `Registro de lluvia: ${formData.mm} mm`,
+          moduloOrigen: 'rainfall_manager',
+          usuario: user?.full_name || 'sistema',
+          metadata: {
+            mm: parseFloat(formData.mm),
+            fecha: formData.fecha
+          }
         }
-      }).catch(err => console.warn('Error registrando en auditoría:', err));
+      });
 
       // Ejecutar trigger de integración (verificar impacto en proyecciones)
-      triggerNuevaLluvia(parseFloat(formData.mm)).catch(err =>
-        console.warn('Error ejecutando trigger de integración:', err)
-      );
+      if (!encolado) {
+        triggerNuevaLluvia(parseFloat(formData.mm)).catch(err =>
+          console.warn('Error ejecutando trigger de integración:', err)
+        );
+      }
 
       setShowForm(false);
       setFormData({ fecha: getLocalDate(), mm: '' });
@@ -215,6 +227,15 @@ export default function RainfallManager({ firmId, premiseId }) {
 
   const handleDelete = async (id) => {
     try {
+      // Un registro que todavía no se sincronizó se descarta de la cola local
+      const pendiente = pendientes.find(item => item.operacion === 'insert' && item.datos.id === id);
+      if (pendiente) {
+        if (confirm('¿Descartar este registro pendiente de sincronizar?')) {
+          await descartarOperacion(pendiente.id);
+        }
+        return;
+      }
+
       // Fetch record to get details for audit and permission check
       const record = records.find(r => r.id === id);
 
@@ -235,12 +256,13 @@ export default function RainfallManager({ firmId, premiseId }) {
 
       if (!confirm('¿Está seguro de eliminar este registro?')) return;
 
-      const { error } = await supabase.from('lluvias').delete().eq('id', id);
-      if (error) throw error;
-
-      // Registrar auditoría para eliminación de lluvia
-      if (record) {
-        await crearRegistro({
+      await ejecutarOEncolar({
+        operacion: 'delete',
+        tabla: 'lluvias',
+        filtro: { id },
+        descripcion: `Eliminar lluvia ${formatDate(record.fecha)}: ${record.mm} mm`,
+        contexto: { firmId, premiseId },
+        auditoria: {
           firmId: firmId,
           premiseId: premiseId,
           lotId: null,
@@ -253,8 +275,8 @@ export default function RainfallManager({ firmId, premiseId }) {
             fecha: record.fecha,
             deleted: true
           }
-        }).catch(err => console.warn('Error registrando en auditoría:', err));
-      }
+        }
+      });
 
       fetchRecords();
     } catch (error) {
@@ -262,6 +284,14 @@ export default function RainfallManager({ firmId, premiseId }) {
     }
   };
 
+  // Registros en cola: altas pendientes arriba, bajas pendientes ocultas
+  const pendingIds = new Set(pendientes.filter(item => item.operacion === 'insert').map(item => item.datos.id));
+  const deletedIds = new Set(pendientes.filter(item => item.operacion === 'delete').map(item => item.filtro.id));
+  const visibleRecords = [
+    ...pendientes.filter(item => item.operacion === 'insert').map(item => item.datos),
+    ...records.filter(record => !pendingIds.has(record.id) && !deletedIds.has(record.id))
+  ];
+
   return (
     <div className="space-y-6">
       <div className="flex justify-between items-center">
@@ -365,10 +395,10 @@ export default function RainfallManager({ firmId, premiseId }) {
                   Cargando...
                 </div>
               </td></tr>
-            ) : records.length === 0 ? (
+            ) : visibleRecords.length === 0 ? (
               <tr><td colSpan="4" className="px-4 py-8 text-center text-slate-500">No hay registros de lluvias</td></tr>
             ) : (
-              records.map((record) => {
+              visibleRecords.map((record) => {
                 const userData = { name: user?.name || 'Anonymous' };
                 const canDelete = canDeleteMonitoringRecord(userData, record);
                 const timeRemaining = getTimeRemainingForEdit(record);
@@ -379,6 +409,12 @@ export default function RainfallManager({ firmId, premiseId }) {
                     <td className="px-4 py-3 flex items-center gap-2">
                       <Calendar size={14} className="text-slate-400" />
                       {formatDate(record.fecha)}
+                      {pendingIds.has(record.id) && (
+                        <span className="ml-2 inline-flex items-center gap-1 text-xs text-amber-600">
+                          <CloudOff size={12} />
+                          Pendiente
+                        </span>
+                      )}
                       {!canDelete && (
                         <span className="ml-2 inline-flex items-center gap-1 text-xs text-slate-500">
                           <Lock size={12} />
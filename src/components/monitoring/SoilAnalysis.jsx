@@ -1,10 +1,11 @@
 import { useState, useEffect } from 'react';
-import { Plus, Trash2, Calendar, FlaskConical, Loader, BarChart3, Lock, Clock } from 'lucide-react';
+import { Plus, Trash2, Calendar, FlaskConical, Loader, BarChart3, Lock, Clock, MapPin } from 'lucide-react';
 import { supabase } from '../../lib/supabase';
 import { crearRegistro } from '../../services/registros';
 import { useAuth } from '../../contexts/AuthContext';
 import { Tabs, TabsContent, TabsList, TabsTrigger } from '../ui/tabs';
 import SoilCharts from '../graficos/SoilCharts';
+import SoilSampling from './SoilSampling';
 import { canDeleteMonitoringRecord, getDeleteRestrictionMessage, formatTimeRemaining, getTimeRemainingForEdit } from '../../lib/permissions';
 
 // Utility function defined outside component to avoid ReferenceError
@@ -237,6 +238,10 @@ export default function SoilAnalysis({ firmId, premiseId }) {
             <BarChart3 className="w-4 h-4" />
             Gráficos
           </TabsTrigger>
+          <TabsTrigger value="sampling" className="flex items-center gap-2">
+            <MapPin className="w-4 h-4" />
+            Muestreo georreferenciado
+          </TabsTrigger>
         </TabsList>
 
         <TabsContent value="form" className="space-y-6 mt-6">
@@ -464,6 +469,10 @@ export default function SoilAnalysis({ firmId, premiseId }) {
         <TabsContent value="charts" className="mt-6">
           <SoilCharts premiseId={premiseId} />
         </TabsContent>
+
+        <TabsContent value="sampling" className="mt-6">
+          <SoilSampling firmId={firmId} premiseId={premiseId} />
+        </TabsContent>
       </Tabs>
     </div>
   );
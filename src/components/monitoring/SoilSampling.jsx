@@ -0,0 +1,691 @@
+/**
+ * Muestreo de suelo georreferenciado por lote
+ * - Plan de muestreo en grilla regular o por zonas de manejo sobre el polígono del lote
+ * - Resultados de laboratorio por punto (carga manual o CSV del laboratorio)
+ * - Promedios por zona y verificación de alertas de suelo por zona
+ */
+
+import React, { useState, useEffect } from 'react';
+import { MapContainer, TileLayer, Polygon, GeoJSON, CircleMarker, Tooltip } from 'react-leaflet';
+import { toast } from 'sonner';
+import { MapPin, Loader, Upload, Save, Trash2, Grid3x3, Bell, CheckCircle, Pencil, X } from 'lucide-react';
+import { supabase } from '../../lib/supabase';
+import { useAuth } from '../../contexts/AuthContext';
+import { useSoilSampling } from '../../hooks/useSoilAnalysis';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '../ui/card';
+import { Button } from '../ui/button';
+import { Badge } from '../ui/badge';
+import { BASE_LAYERS, getColorBySoilValue } from '../../lib/mapLayers.config';
+import { aPosicionesLeaflet, obtenerLimitesLeaflet } from '../../services/geospatial';
+import { obtenerMapasZonas } from '../../services/managementZones';
+import {
+  METODOS_MUESTREO,
+  TAMANOS_GRILLA_MUESTREO,
+  ESTADOS_PLAN_MUESTREO,
+  PARAMETROS_SUELO,
+  generarPuntosGrilla,
+  generarPuntosPorZonas,
+  crearPlanMuestreo,
+  marcarPlanMuestreado,
+  eliminarPlanMuestreo,
+  guardarResultadosPuntos,
+  parsearResultadosLaboratorio,
+  asignarResultados,
+  valorPunto
+} from '../../services/soilSampling';
+import { verificarAlertasSueloPorZona } from '../../services/soilAlerts';
+import 'leaflet/dist/leaflet.css';
+
+const COLORES_ESTADO = {
+  PLANIFICADO: 'bg-slate-100 text-slate-700',
+  MUESTREADO: 'bg-blue-100 text-blue-700',
+  CON_RESULTADOS: 'bg-green-100 text-green-700'
+};
+
+const getLocalDate = () => {
+  const d = new Date();
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+};
+
+const formatearNumero = (valor, decimales = 0) =>
+  Number(valor || 0).toLocaleString('es-UY', { minimumFractionDigits: decimales, maximumFractionDigits: decimales });
+
+const formatearValor = (valor, parametro) =>
+  valor === null || valor === undefined ? '-' : formatearNumero(valor, PARAMETROS_SUELO[parametro].decimales);
+
+const nuevoPlan = () => ({
+  nombre: '',
+  metodo: 'GRILLA',
+  tamanoGrillaM: 100,
+  mapaZonasId: '',
+  puntosPorZona: 3,
+  fechaMuestreo: getLocalDate(),
+  profundidadCm: 20,
+  laboratorio: '',
+  notas: ''
+});
+
+function MapaMuestreo({ lote, zonas, puntos, parametro }) {
+  const limites = obtenerLimitesLeaflet([lote.polygon_data]);
+  if (!limites) return null;
+
+  const valores = puntos.map((p) => valorPunto(p, parametro)).filter((v) => v !== null);
+  const minimo = valores.length > 0 ? Math.min(...valores) : 0;
+  const maximo = valores.length > 0 ? Math.max(...valores) : 0;
+
+  // GeoJSON de react-leaflet no se actualiza con nuevos datos: la key fuerza el remontaje
+  const clave = zonas.map((z) => `${z.zona}:${z.area_ha}`).join('|');
+
+  return (
+    <div className="h-[380px] rounded-lg overflow-hidden border border-slate-200">
+      <MapContainer key={lote.id} bounds={limites} style={{ height: '100%', width: '100%' }}>
+        <TileLayer url={BASE_LAYERS.satellite.url} attribution={BASE_LAYERS.satellite.attribution} />
+        <Polygon positions={aPosicionesLeaflet(lote.polygon_data)} pathOptions={{ color: '#facc15', weight: 2, fillOpacity: 0 }} />
+        {zonas.map((zona) => (
+          <GeoJSON
+            key={`${clave}-${zona.zona}`}
+            data={zona.geometry}
+            style={{ color: '#1e293b', weight: 1, fillColor: zona.color || '#94a3b8', fillOpacity: 0.35 }}
+          />
+        ))}
+        {puntos.map((p) => {
+          const valor = valorPunto(p, parametro);
+          const color = valor === null ? '#ffffff' : getColorBySoilValue(valor, minimo, maximo);
+          return (
+            <CircleMarker
+              key={p.id || p.code}
+              center={[parseFloat(p.lat), parseFloat(p.lng)]}
+              radius={6}
+              pathOptions={{ color: '#1f2937', weight: 2, fillColor: color, fillOpacity: 1 }}
+            >
+              <Tooltip>
+                {p.code}{p.zone !== null && p.zone !== undefined && ` · Zona ${p.zone}`}
+                {valor !== null && ` · ${parametro} ${formatearValor(valor, parametro)} ${PARAMETROS_SUELO[parametro].unidad}`}
+              </Tooltip>
+            </CircleMarker>
+          );
+        })}
+      </MapContainer>
+    </div>
+  );
+}
+
+export default function SoilSampling({ firmId, premiseId }) {
+  const { user } = useAuth();
+  const [lotes, setLotes] = useState([]);
+  const [loteId, setLoteId] = useState('');
+  const [mapasZonas, setMapasZonas] = useState([]);
+  const {
+    planes,
+    plan,
+    puntos,
+    resumenZonas,
+    loading,
+    loadingPuntos,
+    setPlanId,
+    refetch,
+    refetchPuntos
+  } = useSoilSampling(loteId);
+
+  const [form, setForm] = useState(null);
+  const [vistaPrevia, setVistaPrevia] = useState([]);
+  const [guardandoPlan, setGuardandoPlan] = useState(false);
+  const [parametro, setParametro] = useState('P');
+  const [editando, setEditando] = useState(null);
+  const [guardandoResultados, setGuardandoResultados] = useState(false);
+  const [importando, setImportando] = useState(false);
+  const [verificando, setVerificando] = useState(false);
+
+  const lote = lotes.find((l) => l.id === loteId) || null;
+  const mapaZonasForm = mapasZonas.find((m) => m.id === form?.mapaZonasId) || null;
+  const zonasVisibles = form ? mapaZonasForm?.zones || [] : plan?.zones || [];
+  const puntosVisibles = form ? vistaPrevia : editando || puntos;
+
+  useEffect(() => {
+    if (premiseId && firmId) loadLotes();
+  }, [premiseId, firmId]);
+
+  useEffect(() => {
+    setForm(null);
+    setVistaPrevia([]);
+    setEditando(null);
+    if (loteId) {
+      obtenerMapasZonas(loteId)
+        .then(setMapasZonas)
+        .catch(() => setMapasZonas([]));
+    }
+  }, [loteId]);
+
+  async function loadLotes() {
+    try {
+      const { data, error } = await supabase
+        .from('lots')
+        .select('id, name, area_hectares, polygon_data, premise_id')
+        .eq('premise_id', premiseId)
+        .eq('status', true)
+        .order('name');
+
+      if (error) throw error;
+      const conPoligono = (data || []).filter((l) => l.polygon_data);
+      setLotes(conPoligono);
+      if (conPoligono.length > 0) setLoteId(conPoligono[0].id);
+    } catch (error) {
+      console.error('Error cargando lotes:', error);
+      toast.error('Error cargando lotes');
+    }
+  }
+
+  function handleGenerarPuntos() {
+    try {
+      const generados = form.metodo === 'ZONAS'
+        ? generarPuntosPorZonas(mapaZonasForm?.zones, Number(form.puntosPorZona))
+        : generarPuntosGrilla(lote.polygon_data, Number(form.tamanoGrillaM), mapaZonasForm?.zones || []);
+
+      if (generados.length === 0) {
+        toast.error('No se generaron puntos: revise el polígono del lote o el mapa de zonas');
+        return;
+      }
+      setVistaPrevia(generados);
+    } catch (error) {
+      toast.error(error.message);
+    }
+  }
+
+  async function handleGuardarPlan() {
+    try {
+      setGuardandoPlan(true);
+      const creado = await crearPlanMuestreo({
+        firmId,
+        lote,
+        nombre: form.nombre,
+        metodo: form.metodo,
+        tamanoGrillaM: Number(form.tamanoGrillaM),
+        mapaZonas: mapaZonasForm,
+        fechaMuestreo: form.fechaMuestreo,
+        profundidadCm: form.profundidadCm,
+        laboratorio: form.laboratorio,
+        notas: form.notas
+      }, vistaPrevia, user?.id);
+
+      toast.success(`✓ Plan de muestreo guardado con ${vistaPrevia.length} puntos`);
+      setForm(null);
+      setVistaPrevia([]);
+      await refetch();
+      setPlanId(creado.id);
+    } catch (error) {
+      toast.error(error.message);
+    } finally {
+      setGuardandoPlan(false);
+    }
+  }
+
+  async function handleEliminarPlan() {
+    if (!plan || !window.confirm(`¿Eliminar el plan de muestreo "${plan.name}" y sus resultados?`)) return;
+    try {
+      await eliminarPlanMuestreo(plan, user?.id);
+      toast.success('Plan de muestreo eliminado');
+      setEditando(null);
+      refetch();
+    } catch (error) {
+      toast.error(error.message);
+    }
+  }
+
+  async function handleMarcarMuestreado() {
+    try {
+      await marcarPlanMuestreado(plan, plan.sampling_date || getLocalDate());
+      toast.success('Plan marcado como muestreado');
+      refetch();
+    } catch (error) {
+      toast.error(error.message);
+    }
+  }
+
+  async function handleImportarCSV(file) {
+    if (!file || !plan) return;
+    try {
+      setImportando(true);
+      const { filas, parametros, errores } = parsearResultadosLaboratorio(await file.text());
+      if (filas.length === 0) {
+        toast.error(errores[0] || 'El archivo no tiene resultados válidos');
+        return;
+      }
+
+      const { puntos: conResultados, asignados, sinAsignar } = asignarResultados(puntos, filas);
+      if (asignados === 0) {
+        toast.error('Ninguna fila coincide con los puntos del plan (por código o a menos de 30 m)');
+        return;
+      }
+
+      await guardarResultadosPuntos(plan, conResultados, user?.id, 'csv');
+      toast.success(`✓ Resultados de ${parametros.join(', ')} cargados en ${asignados} punto(s)`);
+      const descartadas = errores.length + sinAsignar.length;
+      if (descartadas > 0) {
+        toast.warning(`${descartadas} fila(s) sin cargar. ${[...sinAsignar, ...errores][0]}`);
+      }
+      await refetch();
+      refetchPuntos();
+    } catch (error) {
+      toast.error('Error importando resultados: ' + error.message);
+    } finally {
+      setImportando(false);
+    }
+  }
+
+  async function handleGuardarResultados() {
+    try {
+      setGuardandoResultados(true);
+      await guardarResultadosPuntos(plan, editando, user?.id);
+      toast.success('✓ Resultados guardados');
+      setEditando(null);
+      await refetch();
+      refetchPuntos();
+    } catch (error) {
+      toast.error(error.message);
+    } finally {
+      setGuardandoResultados(false);
+    }
+  }
+
+  async function handleVerificarAlertas() {
+    try {
+      setVerificando(true);
+      const resultado = await verificarAlertasSueloPorZona(loteId, firmId);
+      if (!resultado) {
+        toast.info('El lote no tiene muestreos con resultados');
+        return;
+      }
+      const zonasConAlerta = resultado.detalles.zonas.filter((z) => z.reglas.length > 0).length;
+      toast.success(
+        resultado.totalAlertas > 0
+          ? `${resultado.totalAlertas} alerta(s) nueva(s) en ${zonasConAlerta} zona(s)`
+          : zonasConAlerta > 0
+            ? `${zonasConAlerta} zona(s) con déficit ya tienen alertas pendientes`
+            : 'Ninguna zona fuera de rango'
+      );
+    } catch (error) {
+      toast.error(error.message);
+    } finally {
+      setVerificando(false);
+    }
+  }
+
+  function actualizarValor(puntoId, columna, valor) {
+    setEditando(editando.map((p) => (p.id === puntoId ? { ...p, [columna]: valor } : p)));
+  }
+
+  if (lotes.length === 0) {
+    return (
+      <div className="p-8 text-center text-slate-500 bg-white border border-slate-200 rounded-lg">
+        No hay lotes con polígono en este predio. Dibuje el lote en el mapa para planificar muestreos.
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-4">
+      <Card>
+        <CardContent className="pt-6 flex flex-wrap gap-4 items-end">
+          <div className="min-w-[220px]">
+            <label className="block text-sm font-medium text-slate-700 mb-1">Lote</label>
+            <select
+              value={loteId}
+              onChange={(e) => setLoteId(e.target.value)}
+              className="w-full px-3 py-2 border border-slate-300 rounded-lg focus:ring-2 focus:ring-blue-500 outline-none"
+            >
+              {lotes.map((l) => (
+                <option key={l.id} value={l.id}>{l.name} ({formatearNumero(l.area_hectares, 1)} ha)</option>
+              ))}
+            </select>
+          </div>
+          <div className="min-w-[240px]">
+            <label className="block text-sm font-medium text-slate-700 mb-1">Plan de muestreo</label>
+            <div className="flex gap-2">
+              <select
+                value={plan?.id || ''}
+                onChange={(e) => {
+                  setPlanId(e.target.value);
+                  setEditando(null);
+                  setForm(null);
+                }}
+                disabled={planes.length === 0}
+                className="flex-1 px-3 py-2 border border-slate-300 rounded-lg focus:ring-2 focus:ring-blue-500 outline-none disabled:bg-slate-50"
+              >
+                {planes.length === 0 && <option value="">{loading ? 'Cargando...' : 'Sin planes'}</option>}
+                {planes.map((p) => (
+                  <option key={p.id} value={p.id}>{p.name}</option>
+                ))}
+              </select>
+              {plan && !form && (
+                <Button variant="outline" size="icon" onClick={handleEliminarPlan} title="Eliminar plan">
+                  <Trash2 size={16} className="text-red-600" />
+                </Button>
+              )}
+            </div>
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-slate-700 mb-1">Ver en el mapa</label>
+            <select
+              value={parametro}
+              onChange={(e) => setParametro(e.target.value)}
+              className="px-3 py-2 border border-slate-300 rounded-lg focus:ring-2 focus:ring-blue-500 outline-none"
+            >
+              {Object.entries(PARAMETROS_SUELO).map(([clave, config]) => (
+                <option key={clave} value={clave}>{config.etiqueta}</option>
+              ))}
+            </select>
+          </div>
+          <Button
+            className="ml-auto"
+            onClick={() => {
+              setForm(form ? null : nuevoPlan());
+              setVistaPrevia([]);
+              setEditando(null);
+            }}
+          >
+            <Grid3x3 className="mr-2" size={16} />
+            {form ? 'Cancelar plan' : 'Nuevo plan'}
+          </Button>
+        </CardContent>
+      </Card>
+
+      <div className="grid grid-cols-1 lg:grid-cols-3 gap-4">
+        {/* Nuevo plan o datos del plan seleccionado */}
+        <Card>
+          {form ? (
+            <>
+              <CardHeader>
+                <CardTitle className="flex items-center gap-2 text-base">
+                  <Grid3x3 size={18} /> Nuevo plan de muestreo
+                </CardTitle>
+                <CardDescription>Genere los puntos sobre el lote y revíselos en el mapa antes de guardar</CardDescription>
+              </CardHeader>
+              <CardContent className="space-y-3 text-sm">
+                <input
+                  value={form.nombre}
+                  onChange={(e) => setForm({ ...form, nombre: e.target.value })}
+                  placeholder="Nombre del plan (ej: Muestreo otoño 2026)"
+                  className="w-full px-3 py-2 border border-slate-300 rounded-lg"
+                />
+                <div>
+                  <label className="block text-slate-700 mb-1">Método</label>
+                  <select
+                    value={form.metodo}
+                    onChange={(e) => {
+                      setForm({ ...form, metodo: e.target.value });
+                      setVistaPrevia([]);
+                    }}
+                    className="w-full px-3 py-2 border border-slate-300 rounded-lg"
+                  >
+                    {Object.entries(METODOS_MUESTREO).map(([clave, etiqueta]) => (
+                      <option key={clave} value={clave}>{etiqueta}</option>
+                    ))}
+                  </select>
+                </div>
+                <div>
+                  <label className="block text-slate-700 mb-1">
+                    Mapa de zonas {form.metodo === 'GRILLA' && '(opcional, para agrupar los puntos)'}
+                  </label>
+                  <select
+                    value={form.mapaZonasId}
+                    onChange={(e) => {
+                      setForm({ ...form, mapaZonasId: e.target.value });
+                      setVistaPrevia([]);
+                    }}
+                    className="w-full px-3 py-2 border border-slate-300 rounded-lg"
+                  >
+                    <option value="">{mapasZonas.length === 0 ? 'Sin mapas de zonas' : 'Sin zonas'}</option>
+                    {mapasZonas.map((m) => (
+                      <option key={m.id} value={m.id}>{m.name} ({m.zone_count} zonas)</option>
+                    ))}
+                  </select>
+                </div>
+                {form.metodo === 'GRILLA' ? (
+                  <div>
+                    <label className="block text-slate-700 mb-1">Tamaño de grilla</label>
+                    <select
+                      value={form.tamanoGrillaM}
+                      onChange={(e) => {
+                        setForm({ ...form, tamanoGrillaM: Number(e.target.value) });
+                        setVistaPrevia([]);
+                      }}
+                      className="w-full px-3 py-2 border border-slate-300 rounded-lg"
+                    >
+                      {TAMANOS_GRILLA_MUESTREO.map((t) => (
+                        <option key={t} value={t}>{t} m (1 muestra cada {formatearNumero((t * t) / 10000, 2)} ha)</option>
+                      ))}
+                    </select>
+                  </div>
+                ) : (
+                  <div>
+                    <label className="block text-slate-700 mb-1">Puntos por zona</label>
+                    <input
+                      type="number"
+                      min="1"
+                      max="20"
+                      value={form.puntosPorZona}
+                      onChange={(e) => {
+                        setForm({ ...form, puntosPorZona: e.target.value });
+                        setVistaPrevia([]);
+                      }}
+                      className="w-full px-3 py-2 border border-slate-300 rounded-lg"
+                    />
+                  </div>
+                )}
+                <div className="grid grid-cols-2 gap-3">
+                  <div>
+                    <label className="block text-slate-700 mb-1">Fecha prevista</label>
+                    <input
+                      type="date"
+                      value={form.fechaMuestreo}
+                      onChange={(e) => setForm({ ...form, fechaMuestreo: e.target.value })}
+                      className="w-full px-3 py-2 border border-slate-300 rounded-lg"
+                    />
+                  </div>
+                  <div>
+                    <label className="block text-slate-700 mb-1">Profundidad (cm)</label>
+                    <input
+                      type="number"
+                      min="0"
+                      value={form.profundidadCm}
+                      onChange={(e) => setForm({ ...form, profundidadCm: e.target.value })}
+                      className="w-full px-3 py-2 border border-slate-300 rounded-lg"
+                    />
+                  </div>
+                </div>
+                <input
+                  value={form.laboratorio}
+                  onChange={(e) => setForm({ ...form, laboratorio: e.target.value })}
+                  placeholder="Laboratorio"
+                  className="w-full px-3 py-2 border border-slate-300 rounded-lg"
+                />
+
+                <Button
+                  variant="outline"
+                  className="w-full"
+                  onClick={handleGenerarPuntos}
+                  disabled={form.metodo === 'ZONAS' && !mapaZonasForm}
+                >
+                  <MapPin className="mr-2" size={16} />
+                  Generar puntos
+                </Button>
+                {vistaPrevia.length > 0 && (
+                  <Button className="w-full" onClick={handleGuardarPlan} disabled={guardandoPlan}>
+                    {guardandoPlan ? <Loader className="animate-spin mr-2" size={16} /> : <Save className="mr-2" size={16} />}
+                    Guardar plan ({vistaPrevia.length} puntos)
+                  </Button>
+                )}
+              </CardContent>
+            </>
+          ) : plan ? (
+            <>
+              <CardHeader>
+                <CardTitle className="flex items-center justify-between gap-2 text-base">
+                  {plan.name}
+                  <Badge className={COLORES_ESTADO[plan.status]}>{ESTADOS_PLAN_MUESTREO[plan.status]}</Badge>
+                </CardTitle>
+                <CardDescription>
+                  {METODOS_MUESTREO[plan.method]}
+                  {plan.grid_size_m && ` · ${plan.grid_size_m} m`}
+                  {` · ${puntos.length} puntos`}
+                  {plan.depth_cm && ` · 0-${plan.depth_cm} cm`}
+                  {plan.lab_name && ` · ${plan.lab_name}`}
+                </CardDescription>
+              </CardHeader>
+              <CardContent className="space-y-3 text-sm">
+                {plan.status === 'PLANIFICADO' && (
+                  <Button variant="outline" className="w-full" onClick={handleMarcarMuestreado}>
+                    <CheckCircle className="mr-2" size={16} />
+                    Marcar como muestreado
+                  </Button>
+                )}
+                <label className="flex items-center gap-2 px-3 py-2 border border-dashed border-slate-300 rounded-lg cursor-pointer hover:bg-slate-50">
+                  {importando ? <Loader className="animate-spin text-slate-500" size={16} /> : <Upload size={16} className="text-slate-500" />}
+                  <span className="truncate">CSV del laboratorio (código o lat/lon, P, K, pH, MO...)</span>
+                  <input
+                    type="file"
+                    accept=".csv,.txt"
+                    className="hidden"
+                    disabled={importando}
+                    onChange={(e) => {
+                      handleImportarCSV(e.target.files[0]);
+                      e.target.value = '';
+                    }}
+                  />
+                </label>
+                <Button
+                  variant="outline"
+                  className="w-full"
+                  onClick={() => setEditando(editando ? null : puntos.map((p) => ({ ...p })))}
+                >
+                  {editando ? <X className="mr-2" size={16} /> : <Pencil className="mr-2" size={16} />}
+                  {editando ? 'Cancelar carga manual' : 'Cargar resultados a mano'}
+                </Button>
+                <Button
+                  variant="outline"
+                  className="w-full"
+                  onClick={handleVerificarAlertas}
+                  disabled={verificando || plan.status !== 'CON_RESULTADOS'}
+                >
+                  {verificando ? <Loader className="animate-spin mr-2" size={16} /> : <Bell className="mr-2" size={16} />}
+                  Verificar alertas por zona
+                </Button>
+              </CardContent>
+            </>
+          ) : (
+            <CardContent className="pt-6 text-sm text-slate-500">
+              El lote no tiene planes de muestreo. Cree uno en grilla regular o por zonas de manejo.
+            </CardContent>
+          )}
+        </Card>
+
+        {/* Mapa de puntos */}
+        <Card className="lg:col-span-2">
+          <CardHeader>
+            <CardTitle className="text-base">
+              {form ? 'Vista previa (sin guardar)' : plan ? `Puntos de muestreo · ${PARAMETROS_SUELO[parametro].etiqueta}` : 'Lote'}
+            </CardTitle>
+          </CardHeader>
+          <CardContent>
+            {lote && <MapaMuestreo lote={lote} zonas={zonasVisibles} puntos={puntosVisibles} parametro={parametro} />}
+          </CardContent>
+        </Card>
+      </div>
+
+      {/* Promedios por zona */}
+      {!form && plan && resumenZonas.length > 0 && (
+        <Card>
+          <CardHeader>
+            <CardTitle className="text-base">Promedios por zona</CardTitle>
+            <CardDescription>Las alertas de suelo del lote se evalúan con estos promedios</CardDescription>
+          </CardHeader>
+          <CardContent className="overflow-x-auto">
+            <table className="w-full text-sm text-left">
+              <thead className="bg-slate-50 text-slate-600 font-medium border-b border-slate-200">
+                <tr>
+                  <th className="px-3 py-2">Zona</th>
+                  <th className="px-3 py-2 text-right">Puntos</th>
+                  {Object.entries(PARAMETROS_SUELO).map(([clave, config]) => (
+                    <th key={clave} className="px-3 py-2 text-right">{clave}{config.unidad && ` (${config.unidad})`}</th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-slate-100">
+                {resumenZonas.map((zona) => (
+                  <tr key={zona.zona ?? 'lote'}>
+                    <td className="px-3 py-2 font-medium">{zona.etiqueta}</td>
+                    <td className="px-3 py-2 text-right">{zona.puntos}</td>
+                    {Object.keys(PARAMETROS_SUELO).map((clave) => (
+                      <td key={clave} className="px-3 py-2 text-right">{formatearValor(zona.promedios[clave], clave)}</td>
+                    ))}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </CardContent>
+        </Card>
+      )}
+
+      {/* Resultados por punto */}
+      {!form && plan && (
+        <Card>
+          <CardHeader>
+            <CardTitle className="flex items-center justify-between text-base">
+              Resultados por punto
+              {editando && (
+                <Button size="sm" onClick={handleGuardarResultados} disabled={guardandoResultados}>
+                  {guardandoResultados ? <Loader className="animate-spin mr-2" size={16} /> : <Save className="mr-2" size={16} />}
+                  Guardar resultados
+                </Button>
+              )}
+            </CardTitle>
+          </CardHeader>
+          <CardContent className="overflow-x-auto">
+            {loadingPuntos ? (
+              <p className="text-sm text-slate-500">Cargando puntos...</p>
+            ) : (
+              <table className="w-full text-sm text-left">
+                <thead className="bg-slate-50 text-slate-600 font-medium border-b border-slate-200">
+                  <tr>
+                    <th className="px-3 py-2">Punto</th>
+                    <th className="px-3 py-2">Zona</th>
+                    <th className="px-3 py-2">Coordenadas</th>
+                    {Object.entries(PARAMETROS_SUELO).map(([clave, config]) => (
+                      <th key={clave} className="px-3 py-2 text-right">{clave}{config.unidad && ` (${config.unidad})`}</th>
+                    ))}
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-slate-100">
+                  {(editando || puntos).map((p) => (
+                    <tr key={p.id} className="hover:bg-slate-50">
+                      <td className="px-3 py-2 font-medium">{p.code}</td>
+                      <td className="px-3 py-2">{p.zone ?? '-'}</td>
+                      <td className="px-3 py-2 text-xs text-slate-500">
+                        {parseFloat(p.lat).toFixed(6)}, {parseFloat(p.lng).toFixed(6)}
+                      </td>
+                      {Object.entries(PARAMETROS_SUELO).map(([clave, config]) => (
+                        <td key={clave} className="px-3 py-2 text-right">
+                          {editando ? (
+                            <input
+                              type="number"
+                              step="any"
+                              value={p[config.columna] ?? ''}
+                              onChange={(e) => actualizarValor(p.id, config.columna, e.target.value)}
+                              className="w-20 px-2 py-1 border border-slate-300 rounded text-right"
+                            />
+                          ) : (
+                            formatearValor(valorPunto(p, clave), clave)
+                          )}
+                        </td>
+                      ))}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+          </CardContent>
+        </Card>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,314 @@
+import React, { useState, useEffect } from 'react';
+import { toast } from 'sonner';
+import { Loader, AlertCircle, Save, Scale } from 'lucide-react';
+import { useAuth } from '../../../contexts/AuthContext';
+import { generarBalanceComparativo, guardarCierreBalance } from '../../../services/balanceGeneralService';
+import { MONEDAS, MONEDA_BASE } from '../../../services/exchangeRates';
+
+// Filas del balance: [clave de variación, etiqueta, valor, tipo de fila]
+const FILAS = [
+  ['titulo', 'ACTIVO', null, 'titulo'],
+  ['titulo', 'Activo Corriente', null, 'subtitulo'],
+  ['disponibilidades', 'Disponibilidades', b => b.activo.corriente.disponibilidades, 'detalle'],
+  ['creditos_por_ventas', 'Créditos por Ventas', b => b.activo.corriente.creditos_por_ventas, 'detalle'],
+  ['hacienda', 'Hacienda', b => b.activo.corriente.hacienda, 'detalle'],
+  ['insumos', 'Insumos y Existencias', b => b.activo.corriente.insumos, 'detalle'],
+  ['activo_corriente', 'Total Activo Corriente', b => b.activo.corriente.total, 'subtotal'],
+  ['titulo', 'Activo No Corriente', null, 'subtitulo'],
+  ['maquinaria', 'Maquinaria (valor libros)', b => b.activo.no_corriente.maquinaria, 'detalle'],
+  ['activo_no_corriente', 'Total Activo No Corriente', b => b.activo.no_corriente.total, 'subtotal'],
+  ['activo', 'TOTAL ACTIVO', b => b.activo.total, 'total'],
+  ['titulo', 'PASIVO', null, 'titulo'],
+  ['deudas_comerciales', 'Deudas Comerciales', b => b.pasivo.corriente.deudas_comerciales, 'detalle'],
+  ['pasivo', 'TOTAL PASIVO', b => b.pasivo.total, 'total'],
+  ['patrimonio', 'PATRIMONIO', b => b.patrimonio.valor, 'total']
+];
+
+const ESTILOS_FILA = {
+  titulo: 'bg-slate-100 font-bold text-slate-900',
+  subtitulo: 'bg-slate-50 font-semibold text-slate-700',
+  detalle: 'hover:bg-slate-50 text-slate-600',
+  subtotal: 'bg-blue-50 font-semibold text-blue-900',
+  total: 'bg-blue-100 font-bold text-blue-900'
+};
+
+export default function BalanceGeneralReport({ firmId, periodo, onDataLoaded }) {
+  const { user } = useAuth();
+  const [balance, setBalance] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState(null);
+  const [moneda, setMoneda] = useState(MONEDA_BASE);
+
+  useEffect(() => {
+    if (firmId && periodo) {
+      loadData();
+    }
+  }, [firmId, periodo?.start, periodo?.end, moneda]);
+
+  async function loadData() {
+    try {
+      setIsLoading(true);
+      setError(null);
+
+      const datos = await generarBalanceComparativo(firmId, {
+        start: periodo?.start,
+        end: periodo?.end
+      }, { moneda });
+
+      setBalance(datos);
+      onDataLoaded?.(datos);
+    } catch (err) {
+      console.error('Error loading balance general:', err);
+      setError(err.message);
+    } finally {
+      setIsLoading(false);
+    }
+  }
+
+  async function handleGuardarCierre() {
+    try {
+      setIsSaving(true);
+      await guardarCierreBalance(firmId, balance.actual, user?.id);
+      toast.success(`Cierre al ${balance.actual.fecha_corte} guardado`);
+    } catch (err) {
+      console.error('Error saving balance snapshot:', err);
+      toast.error(err.message);
+    } finally {
+      setIsSaving(false);
+    }
+  }
+
+  if (isLoading) {
+    return (
+      <div className="flex items-center justify-center py-12 gap-2">
+        <Loader size={20} className="animate-spin text-blue-600" />
+        <p className="text-slate-600">Generando balance general...</p>
+      </div>
+    );
+  }
+
+  if (error) {
+    return (
+      <div className="bg-red-50 border border-red-200 rounded-lg p-4 flex items-center gap-3">
+        <AlertCircle size={20} className="text-red-600" />
+        <div>
+          <p className="font-semibold text-red-900">Error cargando reporte</p>
+          <p className="text-sm text-red-800">{error}</p>
+        </div>
+      </div>
+    );
+  }
+
+  if (!balance?.actual) {
+    return (
+      <div className="bg-yellow-50 border border-yellow-200 rounded-lg p-4 flex items-center gap-3">
+        <AlertCircle size={20} className="text-yellow-600" />
+        <p className="text-sm text-yellow-800">No hay datos disponibles</p>
+      </div>
+    );
+  }
+
+  const { actual, anterior, variaciones } = balance;
+  const simbolo = moneda === 'USD' ? 'US$' : '$';
+  const formatear = (valor) => `${simbolo}${Math.round(valor).toLocaleString('es-AR')}`;
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="flex items-start justify-between gap-4">
+        <div>
+          <h2 data-id="report-balance-general-title" className="text-2xl font-bold text-slate-800 mb-2">
+            Balance General
+          </h2>
+          <p className="text-slate-600">
+            Situación patrimonial al {actual.fecha_corte}
+            {anterior && ` comparada con el cierre al ${anterior.fecha_corte}`}
+          </p>
+        </div>
+        <div className="flex items-center gap-2">
+          <select
+            value={moneda}
+            onChange={(e) => setMoneda(e.target.value)}
+            className="px-3 py-2 border border-slate-300 rounded-lg text-sm"
+          >
+            {MONEDAS.map((m) => (
+              <option key={m} value={m}>{m}</option>
+            ))}
+          </select>
+          <button
+            onClick={handleGuardarCierre}
+            disabled={isSaving}
+            className="flex items-center gap-2 px-3 py-2 bg-slate-700 hover:bg-slate-800 disabled:bg-slate-300 text-white rounded-lg text-sm font-medium transition-colors"
+            title="Guardar este balance para usarlo como comparación en períodos futuros"
+          >
+            {isSaving ? <Loader size={16} className="animate-spin" /> : <Save size={16} />}
+            Guardar cierre
+          </button>
+        </div>
+      </div>
+
+      {balance.saldos_actuales && (
+        <div className="bg-yellow-50 border border-yellow-200 rounded-lg p-3 flex items-center gap-2">
+          <AlertCircle size={16} className="text-yellow-600" />
+          <p className="text-sm text-yellow-800">
+            No hay cierre guardado al {actual.fecha_corte}: disponibilidades, créditos y deudas muestran los saldos actuales
+          </p>
+        </div>
+      )}
+
+      {!anterior && periodo?.start && (
+        <div className="bg-slate-50 border border-slate-200 rounded-lg p-3 flex items-center gap-2">
+          <AlertCircle size={16} className="text-slate-500" />
+          <p className="text-sm text-slate-600">
+            Sin cierre guardado al {periodo.start} para comparar. Guarda el cierre de cada período para ver variaciones.
+          </p>
+        </div>
+      )}
+
+      {actual.documentos_sin_tipo_cambio > 0 && (
+        <div className="bg-yellow-50 border border-yellow-200 rounded-lg p-3 flex items-center gap-2">
+          <AlertCircle size={16} className="text-yellow-600" />
+          <p className="text-sm text-yellow-800">
+            {actual.documentos_sin_tipo_cambio} monto(s) sin tipo de cambio cargado se muestran en su moneda original
+          </p>
+        </div>
+      )}
+
+      {/* Resumen */}
+      <div className="grid grid-cols-3 gap-4">
+        <div className="bg-white border border-slate-200 rounded-lg p-4">
+          <p className="text-sm font-medium text-slate-600 mb-1">Activo Total</p>
+          <p className="text-2xl font-bold text-blue-700">{formatear(actual.activo.total)}</p>
+        </div>
+        <div className="bg-white border border-slate-200 rounded-lg p-4">
+          <p className="text-sm font-medium text-slate-600 mb-1">Pasivo Total</p>
+          <p className="text-2xl font-bold text-orange-700">{formatear(actual.pasivo.total)}</p>
+        </div>
+        <div className={`border rounded-lg p-4 ${actual.patrimonio.valor >= 0 ? 'bg-green-50 border-green-200' : 'bg-red-50 border-red-200'}`}>
+          <p className="text-sm font-medium text-slate-600 mb-1 flex items-center gap-1">
+            <Scale size={14} />
+            Patrimonio
+          </p>
+          <p className={`text-2xl font-bold ${actual.patrimonio.valor >= 0 ? 'text-green-700' : 'text-red-700'}`}>
+            {formatear(actual.patrimonio.valor)}
+          </p>
+        </div>
+      </div>
+
+      {/* Tabla del balance */}
+      <div className="bg-white border border-slate-200 rounded-lg overflow-hidden">
+        <div data-id="report-balance-table" className="overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead className="bg-slate-50 border-b border-slate-200">
+              <tr>
+                <th className="px-6 py-3 text-left font-semibold text-slate-700">Rubro</th>
+                <th className="px-6 py-3 text-right font-semibold text-slate-700">{actual.fecha_corte}</th>
+                {anterior && (
+                  <>
+                    <th className="px-6 py-3 text-right font-semibold text-slate-700">{anterior.fecha_corte}</th>
+                    <th className="px-6 py-3 text-right font-semibold text-slate-700">Variación</th>
+                  </>
+                )}
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-slate-200">
+              {FILAS.map(([clave, etiqueta, valor, tipo], idx) => {
+                if (!valor) {
+                  return (
+                    <tr key={idx} className={ESTILOS_FILA[tipo]}>
+                      <td colSpan={anterior ? 4 : 2} className="px-6 py-2">{etiqueta}</td>
+                    </tr>
+                  );
+                }
+
+                const cambio = variaciones[clave];
+                return (
+                  <tr key={idx} className={ESTILOS_FILA[tipo]}>
+                    <td className={`px-6 py-2 ${tipo === 'detalle' ? 'pl-10' : ''}`}>{etiqueta}</td>
+                    <td className="px-6 py-2 text-right">{formatear(valor(actual))}</td>
+                    {anterior && (
+                      <>
+                        <td className="px-6 py-2 text-right">{formatear(valor(anterior))}</td>
+                        <td className={`px-6 py-2 text-right ${cambio?.valor >= 0 ? 'text-green-700' : 'text-red-700'}`}>
+                          {cambio ? formatear(cambio.valor) : '-'}
+                          {cambio?.porcentaje !== null && cambio?.porcentaje !== undefined && (
+                            <span className="text-xs ml-1">({cambio.porcentaje.toFixed(1)}%)</span>
+                          )}
+                        </td>
+                      </>
+                    )}
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      </div>
+
+      {/* Detalle de composición */}
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-4">
+        <DetalleTabla
+          titulo="Cuentas Financieras"
+          filas={actual.detalle.cuentas_financieras.map(c => [`${c.nombre} (${c.moneda})`, c.saldo])}
+          formatear={formatear}
+        />
+        <DetalleTabla
+          titulo="Maquinaria"
+          filas={actual.detalle.maquinaria.map(m => [m.nombre, m.valor_libros])}
+          formatear={formatear}
+        />
+        <DetalleTabla
+          titulo="Créditos por Cliente"
+          filas={actual.detalle.clientes.map(c => [`${c.nombre} (${c.documentos})`, c.saldo])}
+          formatear={formatear}
+        />
+        <DetalleTabla
+          titulo="Deudas por Proveedor"
+          filas={actual.detalle.proveedores.map(p => [`${p.nombre} (${p.documentos})`, p.saldo])}
+          formatear={formatear}
+        />
+      </div>
+
+      {/* Period info */}
+      <div className="bg-slate-50 border border-slate-200 rounded-lg p-4 text-sm text-slate-600">
+        <p>
+          <strong>Insumos:</strong>{' '}
+          {actual.detalle.inventarios.insumos === 'valorizacion'
+            ? 'última valorización de insumos de cada predio'
+            : 'stock actual valorizado a costo unitario'}
+        </p>
+        <p className="mt-1">
+          <strong>Maquinaria:</strong> depreciación lineal según vida útil y valor residual de cada equipo
+        </p>
+        <p className="mt-1">
+          <strong>Generado:</strong> {new Date(actual.generado_en).toLocaleString('es-AR')}
+        </p>
+      </div>
+    </div>
+  );
+}
+
+function DetalleTabla({ titulo, filas, formatear }) {
+  return (
+    <div className="bg-white border border-slate-200 rounded-lg overflow-hidden">
+      <div className="px-4 py-3 border-b border-slate-200 bg-slate-50">
+        <h3 className="text-sm font-semibold text-slate-800">{titulo}</h3>
+      </div>
+      {filas.length === 0 ? (
+        <p className="px-4 py-3 text-sm text-slate-500">Sin registros</p>
+      ) : (
+        <table className="w-full text-sm">
+          <tbody className="divide-y divide-slate-100">
+            {filas.map(([nombre, monto], idx) => (
+              <tr key={idx}>
+                <td className="px-4 py-2 text-slate-600">{nombre}</td>
+                <td className="px-4 py-2 text-right text-slate-700">{formatear(monto)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+}
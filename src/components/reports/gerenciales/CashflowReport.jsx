@@ -2,6 +2,7 @@ import React, { useState, useEffect } from 'react';
 import { Loader, AlertCircle, TrendingUp } from 'lucide-react';
 import { LineChart, Line, BarChart, Bar, PieChart, Pie, Cell, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer } from 'recharts';
 import { generarCashflow, analizarTendencias, proyectarCashflow } from '../../../services/cashflowService';
+import { MONEDAS, MONEDA_BASE } from '../../../services/exchangeRates';
 
 const COLORS = ['#3b82f6', '#ef4444', '#10b981', '#f59e0b', '#8b5cf6', '#ec4899', '#14b8a6', '#f97316'];
 
@@ -11,12 +12,13 @@ export default function CashflowReport({ premiseId, periodo, onClose }) {
   const [proyecciones, setProyecciones] = useState(null);
   const [isLoading, setIsLoading] = useState(true);
   const [error, setError] = useState(null);
+  const [moneda, setMoneda] = useState(MONEDA_BASE);
 
   useEffect(() => {
     if (premiseId && periodo) {
       loadData();
     }
-  }, [premiseId, periodo]);
+  }, [premiseId, periodo, moneda]);
 
   async function loadData() {
     try {
@@ -26,7 +28,8 @@ export default function CashflowReport({ premiseId, periodo, onClose }) {
       const datos = await generarCashflow({
         premiseId,
         startDate: periodo?.start,
-        endDate: periodo?.end
+        endDate: periodo?.end,
+        moneda
       });
 
       setCashflow(datos);
@@ -82,43 +85,65 @@ export default function CashflowReport({ premiseId, periodo, onClose }) {
     porcentaje: (cat.monto / cashflow.resumen.total_egresos) * 100
   }));
 
+  const simbolo = moneda === 'USD' ? 'US$' : '$';
+
   return (
     <div className="space-y-6">
       {/* Header */}
-      <div>
-        <h2 data-id="report-cashflow-title" className="text-2xl font-bold text-slate-800 mb-2">
-          Análisis de Cashflow (Flujo de Caja)
-        </h2>
-        <p className="text-slate-600">Comparación de ingresos vs egresos e impacto en saldo</p>
+      <div className="flex items-start justify-between gap-4">
+        <div>
+          <h2 data-id="report-cashflow-title" className="text-2xl font-bold text-slate-800 mb-2">
+            Análisis de Cashflow (Flujo de Caja)
+          </h2>
+          <p className="text-slate-600">Comparación de ingresos vs egresos e impacto en saldo</p>
+        </div>
+        <select
+          value={moneda}
+          onChange={(e) => setMoneda(e.target.value)}
+          className="px-3 py-2 border border-slate-300 rounded-lg text-sm"
+        >
+          {MONEDAS.map((m) => (
+            <option key={m} value={m}>{m}</option>
+          ))}
+        </select>
       </div>
 
+      {cashflow.documentos_sin_tipo_cambio > 0 && (
+        <div className="bg-yellow-50 border border-yellow-200 rounded-lg p-3 flex items-center gap-2">
+          <AlertCircle size={16} className="text-yellow-600" />
+          <p className="text-sm text-yellow-800">
+            {cashflow.documentos_sin_tipo_cambio} monto(s) sin tipo de cambio cargado se muestran en su moneda original
+          </p>
+        </div>
+      )}
+
       {/* Resumen KPIs */}
       <div className="grid grid-cols-4 gap-4">
         <div className="bg-green-50 border border-green-200 rounded-lg p-4">
           <p className="text-sm font-medium text-green-600 mb-1">Total Ingresos</p>
           <p data-id="report-cashflow-total-ingresos" className="text-2xl font-bold text-green-900">
-            ${cashflow.resumen.total_ingresos.toLocaleString('es-AR')}
+            {simbolo}{cashflow.resumen.total_ingresos.toLocaleString('es-AR')}
           </p>
         </div>
 
         <div className="bg-red-50 border border-red-200 rounded-lg p-4">
           <p className="text-sm font-medium text-red-600 mb-1">Total Egresos</p>
           <p data-id="report-cashflow-total-egresos" className="text-2xl font-bold text-red-900">
-            ${cashflow.resumen.total_egresos.toLocaleString('es-AR')}
+            {simbolo}{cashflow.resumen.total_egresos.toLocaleString('es-AR')}
           </p>
         </div>
 
         <div className="bg-blue-50 border border-blue-200 rounded-lg p-4">
           <p className="text-sm font-medium text-blue-600 mb-1">Flujo Neto</p>
           <p className={`text-2xl font-bold ${cashflow.resumen.flujo_neto >= 0 ? 'text-blue-900' : 'text-red-900'}`}>
-            ${cashflow.resumen.flujo_neto.toLocaleString('es-AR')}
+            {simbolo}{cashflow.resumen.flujo_neto.toLocaleString('es-AR')}
           </p>
         </div>
 
         <div className="bg-purple-50 border border-purple-200 rounded-lg p-4">
           <p className="text-sm font-medium text-purple-600 mb-1">Saldo Final</p>
           <p className={`text-2xl font-bold ${cashflow.resumen.saldo_final >= 0 ? 'text-purple-900' : 'text-red-900'}`}>
-            ${cashflow.resumen.saldo_final.toLocaleString('es-AR')}
+            {simbolo}{cashflow.resumen.saldo_final.toLocaleString('es-AR')}
           </p>
         </div>
       </div>
@@ -175,10 +200,10 @@ export default function CashflowReport({ premiseId, periodo, onClose }) {
             <thead className="bg-slate-100 border-b border-slate-200">
               <tr>
                 <th className="px-6 py-3 text-left font-semibold text-slate-700">Mes</th>
-                <th className="px-6 py-3 text-right font-semibold text-slate-700">Ingresos ($)</th>
-                <th className="px-6 py-3 text-right font-semibold text-slate-700">Egresos ($)</th>
-                <th className="px-6 py-3 text-right font-semibold text-slate-700">Flujo Neto ($)</th>
-                <th className="px-6 py-3 text-right font-semibold text-slate-700">Saldo Acum. ($)</th>
+                <th className="px-6 py-3 text-right font-semibold text-slate-700">Ingresos ({moneda})</th>
+                <th className="px-6 py-3 text-right font-semibold text-slate-700">Egresos ({moneda})</th>
+                <th className="px-6 py-3 text-right font-semibold text-slate-700">Flujo Neto ({moneda})</th>
+                <th className="px-6 py-3 text-right font-semibold text-slate-700">Saldo Acum. ({moneda})</th>
               </tr>
             </thead>
             <tbody className="divide-y divide-slate-200">
@@ -189,16 +214,16 @@ export default function CashflowReport({ premiseId, periodo, onClose }) {
                   <tr key={mes.mes} className="hover:bg-slate-50">
                     <td className="px-6 py-3 font-medium text-slate-900">{mes.mes}</td>
                     <td className="px-6 py-3 text-right text-green-700">
-                      ${mes.ingresos.toLocaleString('es-AR')}
+                      {simbolo}{mes.ingresos.toLocaleString('es-AR')}
                     </td>
                     <td className="px-6 py-3 text-right text-red-700">
-                      ${mes.egresos.toLocaleString('es-AR')}
+                      {simbolo}{mes.egresos.toLocaleString('es-AR')}
                     </td>
                     <td className={`px-6 py-3 text-right font-semibold ${esPositivoNeto ? 'text-green-700' : 'text-red-700'}`}>
-                      ${mes.flujo_neto.toLocaleString('es-AR')}
+                      {simbolo}{mes.flujo_neto.toLocaleString('es-AR')}
                     </td>
                     <td className={`px-6 py-3 text-right font-semibold ${esPositivoAcum ? 'text-blue-700' : 'text-red-700'}`}>
-                      ${mes.saldo_acumulado.toLocaleString('es-AR')}
+                      {simbolo}{mes.saldo_acumulado.toLocaleString('es-AR')}
                     </td>
                   </tr>
                 );
@@ -228,7 +253,7 @@ export default function CashflowReport({ premiseId, periodo, onClose }) {
                 }}
                 formatter={(value) =>
                   typeof value === 'number'
-                    ? `$${value.toLocaleString('es-AR')}`
+                    ? `${simbolo}${value.toLocaleString('es-AR')}`
                     : value
                 }
               />
@@ -260,7 +285,7 @@ export default function CashflowReport({ premiseId, periodo, onClose }) {
                 }}
                 formatter={(value) =>
                   typeof value === 'number'
-                    ? `$${value.toLocaleString('es-AR')}`
+                    ? `${simbolo}${value.toLocaleString('es-AR')}`
                     : value
                 }
               />
@@ -297,7 +322,7 @@ export default function CashflowReport({ premiseId, periodo, onClose }) {
                 <thead className="bg-slate-100 border-b border-slate-200">
                   <tr>
                     <th className="px-6 py-3 text-left font-semibold text-slate-700">Categoría</th>
-                    <th className="px-6 py-3 text-right font-semibold text-slate-700">Monto ($)</th>
+                    <th className="px-6 py-3 text-right font-semibold text-slate-700">Monto ({moneda})</th>
                     <th className="px-6 py-3 text-right font-semibold text-slate-700">%</th>
                   </tr>
                 </thead>
@@ -308,7 +333,7 @@ export default function CashflowReport({ premiseId, periodo, onClose }) {
                         {cat.categoria.replace('_', ' ')}
                       </td>
                       <td className="px-6 py-3 text-right text-slate-600">
-                        ${cat.monto.toLocaleString('es-AR')}
+                        {simbolo}{cat.monto.toLocaleString('es-AR')}
                       </td>
                       <td className="px-6 py-3 text-right text-slate-600">
                         {cat.porcentaje.toFixed(1)}%
@@ -342,7 +367,7 @@ export default function CashflowReport({ premiseId, periodo, onClose }) {
                 <Tooltip
                   formatter={(value) =>
                     typeof value === 'number'
-                      ? `$${value.toLocaleString('es-AR')}`
+                      ? `${simbolo}${value.toLocaleString('es-AR')}`
                       : value
                   }
                 />
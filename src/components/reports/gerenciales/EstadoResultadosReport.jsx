@@ -1,17 +1,19 @@
 import React, { useState, useEffect } from 'react';
 import { Loader, AlertCircle, TrendingUp, TrendingDown } from 'lucide-react';
 import { generarEstadoResultados } from '../../../services/estadoResultadosService';
+import { MONEDAS, MONEDA_BASE } from '../../../services/exchangeRates';
 
 export default function EstadoResultadosReport({ premiseId, periodo, onClose }) {
   const [estado, setEstado] = useState(null);
   const [isLoading, setIsLoading] = useState(true);
   const [error, setError] = useState(null);
+  const [moneda, setMoneda] = useState(MONEDA_BASE);
 
   useEffect(() => {
     if (premiseId && periodo) {
       loadData();
     }
-  }, [premiseId, periodo]);
+  }, [premiseId, periodo, moneda]);
 
   async function loadData() {
     try {
@@ -21,7 +23,7 @@ export default function EstadoResultadosReport({ premiseId, periodo, onClose })
       const datos = await generarEstadoResultados(premiseId, {
         start: periodo?.start,
         end: periodo?.end
-      });
+      }, { moneda });
 
       setEstado(datos);
     } catch (err) {
@@ -63,17 +65,38 @@ export default function EstadoResultadosReport({ premiseId, periodo, onClose })
   }
 
   const esGanancia = estado.resultado_final.valor >= 0;
+  const simbolo = moneda === 'USD' ? 'US$' : '$';
 
   return (
     <div className="space-y-6">
       {/* Header */}
-      <div>
-        <h2 data-id="report-estado-resultados-title" className="text-2xl font-bold text-slate-800 mb-2">
-          Estado de Resultados (P&L)
-        </h2>
-        <p className="text-slate-600">Análisis de Ingresos, Gastos y Rentabilidad</p>
+      <div className="flex items-start justify-between gap-4">
+        <div>
+          <h2 data-id="report-estado-resultados-title" className="text-2xl font-bold text-slate-800 mb-2">
+            Estado de Resultados (P&L)
+          </h2>
+          <p className="text-slate-600">Análisis de Ingresos, Gastos y Rentabilidad</p>
+        </div>
+        <select
+          value={moneda}
+          onChange={(e) => setMoneda(e.target.value)}
+          className="px-3 py-2 border border-slate-300 rounded-lg text-sm"
+        >
+          {MONEDAS.map((m) => (
+            <option key={m} value={m}>{m}</option>
+          ))}
+        </select>
       </div>
 
+      {estado.documentos_sin_tipo_cambio > 0 && (
+        <div className="bg-yellow-50 border border-yellow-200 rounded-lg p-3 flex items-center gap-2">
+          <AlertCircle size={16} className="text-yellow-600" />
+          <p className="text-sm text-yellow-800">
+            {estado.documentos_sin_tipo_cambio} monto(s) sin tipo de cambio cargado se muestran en su moneda original
+          </p>
+        </div>
+      )}
+
       {/* Resultado Final Summary */}
       <div
         className={`border rounded-lg p-6 ${
@@ -91,7 +114,7 @@ export default function EstadoResultadosReport({ premiseId, periodo, onClose })
                 esGanancia ? 'text-green-900' : 'text-red-900'
               }`}
             >
-              ${estado.resultado_final.valor.toLocaleString('es-AR', { maximumFractionDigits: 0 })}
+              {simbolo}{estado.resultado_final.valor.toLocaleString('es-AR', { maximumFractionDigits: 0 })}
             </p>
             <p className={`text-sm ${esGanancia ? 'text-green-700' : 'text-red-700'}`}>
               {estado.resultado_final.estado} ({estado.resultado_final.porcentaje.toFixed(1)}%)
@@ -125,7 +148,7 @@ export default function EstadoResultadosReport({ premiseId, periodo, onClose })
               <tr className="hover:bg-slate-50">
                 <td className="px-6 py-2 text-slate-600">  Ventas Principales</td>
                 <td className="px-6 py-2 text-right text-slate-600">
-                  ${estado.ingresos.ventas_principales.toLocaleString('es-AR')}
+                  {simbolo}{estado.ingresos.ventas_principales.toLocaleString('es-AR')}
                 </td>
                 <td className="px-6 py-2 text-right text-slate-600">
                   {((estado.ingresos.ventas_principales / estado.ingresos.total_ingresos) * 100).toFixed(1)}%
@@ -134,7 +157,7 @@ export default function EstadoResultadosReport({ premiseId, periodo, onClose })
               <tr className="hover:bg-slate-50">
                 <td className="px-6 py-2 text-slate-600">  Otros Ingresos</td>
                 <td className="px-6 py-2 text-right text-slate-600">
-                  ${estado.ingresos.otros_ingresos.toLocaleString('es-AR')}
+                  {simbolo}{estado.ingresos.otros_ingresos.toLocaleString('es-AR')}
                 </td>
                 <td className="px-6 py-2 text-right text-slate-600">
                   {((estado.ingresos.otros_ingresos / estado.ingresos.total_ingresos) * 100).toFixed(1)}%
@@ -143,7 +166,7 @@ export default function EstadoResultadosReport({ premiseId, periodo, onClose })
               <tr data-id="report-pl-total-ingresos" className="bg-blue-100 font-semibold">
                 <td className="px-6 py-2 text-slate-900">TOTAL INGRESOS</td>
                 <td className="px-6 py-2 text-right text-blue-900">
-                  ${estado.ingresos.total_ingresos.toLocaleString('es-AR')}
+                  {simbolo}{estado.ingresos.total_ingresos.toLocaleString('es-AR')}
                 </td>
                 <td className="px-6 py-2 text-right text-blue-900">100%</td>
               </tr>
@@ -157,28 +180,28 @@ export default function EstadoResultadosReport({ premiseId, periodo, onClose })
               <tr className="hover:bg-slate-50">
                 <td className="px-6 py-2 text-slate-600">  Inventario Inicial</td>
                 <td className="px-6 py-2 text-right text-slate-600">
-                  ${estado.costo_ventas.inventario_inicial.toLocaleString('es-AR')}
+                  {simbolo}{estado.costo_ventas.inventario_inicial.toLocaleString('es-AR')}
                 </td>
                 <td className="px-6 py-2 text-right text-slate-600"></td>
               </tr>
               <tr className="hover:bg-slate-50">
                 <td className="px-6 py-2 text-slate-600">  (+) Compras</td>
                 <td className="px-6 py-2 text-right text-slate-600">
-                  ${estado.costo_ventas.compras.toLocaleString('es-AR')}
+                  {simbolo}{estado.costo_ventas.compras.toLocaleString('es-AR')}
                 </td>
                 <td className="px-6 py-2 text-right text-slate-600"></td>
               </tr>
               <tr className="hover:bg-slate-50">
                 <td className="px-6 py-2 text-slate-600">  (-) Inventario Final</td>
                 <td className="px-6 py-2 text-right text-slate-600">
-                  (${estado.costo_ventas.inventario_final.toLocaleString('es-AR')})
+                  ({simbolo}{estado.costo_ventas.inventario_final.toLocaleString('es-AR')})
                 </td>
                 <td className="px-6 py-2 text-right text-slate-600"></td>
               </tr>
               <tr data-id="report-pl-costo-ventas" className="bg-orange-100 font-semibold">
                 <td className="px-6 py-2 text-slate-900">COSTO DE VENTAS</td>
                 <td className="px-6 py-2 text-right text-orange-900">
-                  ${estado.costo_ventas.total_costo_ventas.toLocaleString('es-AR')}
+                  {simbolo}{estado.costo_ventas.total_costo_ventas.toLocaleString('es-AR')}
                 </td>
                 <td className="px-6 py-2 text-right text-orange-900">
                   {((estado.costo_ventas.total_costo_ventas / estado.ingresos.total_ingresos) * 100).toFixed(1)}%
@@ -189,7 +212,7 @@ export default function EstadoResultadosReport({ premiseId, periodo, onClose })
               <tr data-id="report-pl-margen-bruto" className="bg-green-100 font-bold">
                 <td className="px-6 py-3 text-slate-900">3. MARGEN BRUTO</td>
                 <td className="px-6 py-3 text-right text-green-900">
-                  ${estado.margen_bruto.valor.toLocaleString('es-AR')}
+                  {simbolo}{estado.margen_bruto.valor.toLocaleString('es-AR')}
                 </td>
                 <td className="px-6 py-3 text-right text-green-900">
                   {estado.margen_bruto.porcentaje.toFixed(1)}%
@@ -205,42 +228,42 @@ export default function EstadoResultadosReport({ premiseId, periodo, onClose })
               <tr className="hover:bg-slate-50">
                 <td className="px-6 py-2 text-slate-600">  Mano de Obra</td>
                 <td className="px-6 py-2 text-right text-slate-600">
-                  ${estado.gastos_operativos.mano_obra.toLocaleString('es-AR')}
+                  {simbolo}{estado.gastos_operativos.mano_obra.toLocaleString('es-AR')}
                 </td>
                 <td className="px-6 py-2 text-right text-slate-600"></td>
               </tr>
               <tr className="hover:bg-slate-50">
                 <td className="px-6 py-2 text-slate-600">  Combustibles</td>
                 <td className="px-6 py-2 text-right text-slate-600">
-                  ${estado.gastos_operativos.combustibles.toLocaleString('es-AR')}
+                  {simbolo}{estado.gastos_operativos.combustibles.toLocaleString('es-AR')}
                 </td>
                 <td className="px-6 py-2 text-right text-slate-600"></td>
               </tr>
               <tr className="hover:bg-slate-50">
                 <td className="px-6 py-2 text-slate-600">  Servicios</td>
                 <td className="px-6 py-2 text-right text-slate-600">
-                  ${estado.gastos_operativos.servicios.toLocaleString('es-AR')}
+                  {simbolo}{estado.gastos_operativos.servicios.toLocaleString('es-AR')}
                 </td>
                 <td className="px-6 py-2 text-right text-slate-600"></td>
               </tr>
               <tr className="hover:bg-slate-50">
                 <td className="px-6 py-2 text-slate-600">  Mantenimiento</td>
                 <td className="px-6 py-2 text-right text-slate-600">
-                  ${estado.gastos_operativos.mantenimiento.toLocaleString('es-AR')}
+                  {simbolo}{estado.gastos_operativos.mantenimiento.toLocaleString('es-AR')}
                 </td>
                 <td className="px-6 py-2 text-right text-slate-600"></td>
               </tr>
               <tr className="hover:bg-slate-50">
                 <td className="px-6 py-2 text-slate-600">  Otros Operativos</td>
                 <td className="px-6 py-2 text-right text-slate-600">
-                  ${estado.gastos_operativos.otros_operativos.toLocaleString('es-AR')}
+                  {simbolo}{estado.gastos_operativos.otros_operativos.toLocaleString('es-AR')}
                 </td>
                 <td className="px-6 py-2 text-right text-slate-600"></td>
               </tr>
               <tr className="bg-purple-100 font-semibold">
                 <td className="px-6 py-2 text-slate-900">TOTAL GASTOS OPERATIVOS</td>
                 <td className="px-6 py-2 text-right text-purple-900">
-                  ${estado.gastos_operativos.total_gastos_operativos.toLocaleString('es-AR')}
+                  {simbolo}{estado.gastos_operativos.total_gastos_operativos.toLocaleString('es-AR')}
                 </td>
                 <td className="px-6 py-2 text-right text-purple-900">
                   {((estado.gastos_operativos.total_gastos_operativos / estado.ingresos.total_ingresos) * 100).toFixed(1)}%
@@ -251,7 +274,7 @@ export default function EstadoResultadosReport({ premiseId, periodo, onClose })
               <tr data-id="report-pl-resultado-operativo" className="bg-yellow-100 font-bold">
                 <td className="px-6 py-3 text-slate-900">5. RESULTADO OPERATIVO</td>
                 <td className="px-6 py-3 text-right text-yellow-900">
-                  ${estado.resultado_operativo.valor.toLocaleString('es-AR')}
+                  {simbolo}{estado.resultado_operativo.valor.toLocaleString('es-AR')}
                 </td>
                 <td className="px-6 py-3 text-right text-yellow-900">
                   {estado.resultado_operativo.porcentaje.toFixed(1)}%
@@ -267,21 +290,28 @@ export default function EstadoResultadosReport({ premiseId, periodo, onClose })
               <tr className="hover:bg-slate-50">
                 <td className="px-6 py-2 text-slate-600">  Intereses</td>
                 <td className="px-6 py-2 text-right text-slate-600">
-                  ${estado.gastos_financieros.intereses.toLocaleString('es-AR')}
+                  {simbolo}{estado.gastos_financieros.intereses.toLocaleString('es-AR')}
                 </td>
                 <td className="px-6 py-2 text-right text-slate-600"></td>
               </tr>
               <tr className="hover:bg-slate-50">
                 <td className="px-6 py-2 text-slate-600">  Comisiones e Impuestos</td>
                 <td className="px-6 py-2 text-right text-slate-600">
-                  ${estado.gastos_financieros.comisiones.toLocaleString('es-AR')}
+                  {simbolo}{estado.gastos_financieros.comisiones.toLocaleString('es-AR')}
+                </td>
+                <td className="px-6 py-2 text-right text-slate-600"></td>
+              </tr>
+              <tr className="hover:bg-slate-50">
+                <td className="px-6 py-2 text-slate-600">  Diferencia de Cambio</td>
+                <td className="px-6 py-2 text-right text-slate-600">
+                  {simbolo}{(-(estado.gastos_financieros.diferencia_cambio || 0)).toLocaleString('es-AR')}
                 </td>
                 <td className="px-6 py-2 text-right text-slate-600"></td>
               </tr>
               <tr className="bg-red-100 font-semibold">
                 <td className="px-6 py-2 text-slate-900">TOTAL GASTOS FINANCIEROS</td>
                 <td className="px-6 py-2 text-right text-red-900">
-                  ${estado.gastos_financieros.total_gastos_financieros.toLocaleString('es-AR')}
+                  {simbolo}{estado.gastos_financieros.total_gastos_financieros.toLocaleString('es-AR')}
                 </td>
                 <td className="px-6 py-2 text-right text-red-900">
                   {((estado.gastos_financieros.total_gastos_financieros / estado.ingresos.total_ingresos) * 100).toFixed(1)}%
@@ -294,7 +324,7 @@ export default function EstadoResultadosReport({ premiseId, periodo, onClose })
                   7. RESULTADO FINAL
                 </td>
                 <td className={`px-6 py-3 text-right ${esGanancia ? 'text-green-900' : 'text-red-900'}`}>
-                  ${estado.resultado_final.valor.toLocaleString('es-AR')}
+                  {simbolo}{estado.resultado_final.valor.toLocaleString('es-AR')}
                 </td>
                 <td className={`px-6 py-3 text-right ${esGanancia ? 'text-green-900' : 'text-red-900'}`}>
                   {estado.resultado_final.porcentaje.toFixed(1)}%
@@ -0,0 +1,312 @@
+import { useState, useEffect, useRef } from 'react';
+import { Button } from '../ui/button';
+import { Input } from '../ui/input';
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow
+} from '../ui/table';
+import { Card, CardContent, CardHeader, CardTitle } from '../ui/card';
+import { Badge } from '../ui/badge';
+import { useExchangeRates } from '../../hooks/useExchangeRates';
+import { useAuth } from '../../contexts/AuthContext';
+import { AlertCircle, Plus, Trash2, Upload, Repeat } from 'lucide-react';
+import { hoy } from '../../lib/fechas';
+
+const formatTasa = (valor) =>
+  valor !== null && valor !== undefined
+    ? Number(valor).toLocaleString('es-UY', { minimumFractionDigits: 3, maximumFractionDigits: 4 })
+    : '-';
+
+/**
+ * Vista de Tipos de Cambio (UYU por USD)
+ * Carga manual, importación CSV del BCU y diferencias de cambio realizadas
+ * @component
+ */
+export function ExchangeRatesView({ firmId }) {
+  const { user } = useAuth();
+  const { rates, differences, loading, error, loadRates, saveRate, deleteRate, importCSV, loadDifferences } =
+    useExchangeRates();
+
+  const [form, setForm] = useState({ rate_date: hoy(), buy_rate: '', sell_rate: '' });
+  const [guardando, setGuardando] = useState(false);
+  const [importando, setImportando] = useState(false);
+  const fileInputRef = useRef(null);
+
+  useEffect(() => {
+    if (firmId) {
+      loadData();
+    }
+  }, [firmId]);
+
+  const loadData = async () => {
+    await Promise.all([loadRates(firmId), loadDifferences(firmId)]);
+  };
+
+  /**
+   * Guardar cotización manual (reemplaza la de la misma fecha)
+   */
+  const handleGuardar = async (e) => {
+    e.preventDefault();
+    setGuardando(true);
+    try {
+      await saveRate({
+        firm_id: firmId,
+        rate_date: form.rate_date,
+        rate: form.buy_rate || form.sell_rate,
+        buy_rate: form.buy_rate,
+        sell_rate: form.sell_rate,
+        source: 'manual',
+        created_by: user?.id || null
+      });
+      setForm({ rate_date: hoy(), buy_rate: '', sell_rate: '' });
+    } catch (err) {
+      // Error ya fue manejado por el hook
+    } finally {
+      setGuardando(false);
+    }
+  };
+
+  /**
+   * Importar CSV descargado del BCU
+   */
+  const handleArchivo = async (e) => {
+    const archivo = e.target.files?.[0];
+    e.target.value = '';
+    if (!archivo) return;
+
+    setImportando(true);
+    try {
+      const texto = await archivo.text();
+      await importCSV(firmId, texto, user?.id || null);
+      await loadRates(firmId);
+    } catch (err) {
+      // Error ya fue manejado por el hook
+    } finally {
+      setImportando(false);
+    }
+  };
+
+  const handleEliminar = async (id) => {
+    if (confirm('¿Eliminar este tipo de cambio? Los documentos ya emitidos conservan su tasa.')) {
+      try {
+        await deleteRate(id);
+      } catch (err) {
+        // Error ya fue manejado por el hook
+      }
+    }
+  };
+
+  const ultimo = rates[0];
+  const totalDiferencias = differences.reduce((sum, d) => sum + (Number(d.difference_uyu) || 0), 0);
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="flex justify-between items-center">
+        <div>
+          <h2 className="text-2xl font-bold text-slate-800">Tipos de Cambio</h2>
+          <p className="text-sm text-slate-600">
+            Cotización del dólar (UYU por USD) usada para sellar facturas, ingresos y órdenes de pago
+          </p>
+        </div>
+        <div>
+          <input
+            ref={fileInputRef}
+            type="file"
+            accept=".csv,.txt"
+            className="hidden"
+            onChange={handleArchivo}
+          />
+          <Button variant="outline" onClick={() => fileInputRef.current?.click()} disabled={importando}>
+            <Upload size={16} className="mr-2" />
+            {importando ? 'Importando...' : 'Importar CSV BCU'}
+          </Button>
+        </div>
+      </div>
+
+      {/* Resumen */}
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+        <Card className="border-l-4 border-l-blue-500">
+          <CardHeader className="pb-2">
+            <CardTitle className="text-sm font-medium text-slate-600">Último Tipo de Cambio</CardTitle>
+          </CardHeader>
+          <CardContent>
+            <div className="text-2xl font-bold text-blue-600">{ultimo ? formatTasa(ultimo.rate) : '-'}</div>
+            <p className="text-xs text-slate-500 mt-1">{ultimo ? ultimo.rate_date : 'Sin cotizaciones cargadas'}</p>
+          </CardContent>
+        </Card>
+
+        <Card className="border-l-4 border-l-purple-500">
+          <CardHeader className="pb-2">
+            <CardTitle className="text-sm font-medium text-slate-600">Cotizaciones</CardTitle>
+          </CardHeader>
+          <CardContent>
+            <div className="text-2xl font-bold text-purple-600">{rates.length}</div>
+            <p className="text-xs text-slate-500 mt-1">Fechas cargadas</p>
+          </CardContent>
+        </Card>
+
+        <Card className={`border-l-4 ${totalDiferencias >= 0 ? 'border-l-green-500' : 'border-l-red-500'}`}>
+          <CardHeader className="pb-2">
+            <CardTitle className="text-sm font-medium text-slate-600">Diferencia de Cambio Realizada</CardTitle>
+          </CardHeader>
+          <CardContent>
+            <div className={`text-2xl font-bold ${totalDiferencias >= 0 ? 'text-green-600' : 'text-red-600'}`}>
+              UYU {totalDiferencias.toLocaleString('es-UY', { maximumFractionDigits: 0 })}
+            </div>
+            <p className="text-xs text-slate-500 mt-1">
+              {totalDiferencias >= 0 ? 'Ganancia' : 'Pérdida'} en {differences.length} pago(s)/cobro(s)
+            </p>
+          </CardContent>
+        </Card>
+      </div>
+
+      {/* Carga manual */}
+      <form onSubmit={handleGuardar} className="bg-white p-4 rounded-lg border grid grid-cols-4 gap-3 items-end">
+        <div>
+          <label className="text-xs font-medium text-slate-600">Fecha</label>
+          <Input
+            type="date"
+            value={form.rate_date}
+            onChange={(e) => setForm({ ...form, rate_date: e.target.value })}
+            required
+          />
+        </div>
+        <div>
+          <label className="text-xs font-medium text-slate-600">Compra</label>
+          <Input
+            type="number"
+            step="0.0001"
+            min="0"
+            placeholder="Ej: 39.850"
+            value={form.buy_rate}
+            onChange={(e) => setForm({ ...form, buy_rate: e.target.value })}
+            required={!form.sell_rate}
+          />
+        </div>
+        <div>
+          <label className="text-xs font-medium text-slate-600">Venta</label>
+          <Input
+            type="number"
+            step="0.0001"
+            min="0"
+            placeholder="Opcional"
+            value={form.sell_rate}
+            onChange={(e) => setForm({ ...form, sell_rate: e.target.value })}
+          />
+        </div>
+        <Button type="submit" disabled={guardando} className="bg-blue-600 hover:bg-blue-700">
+          <Plus size={16} className="mr-2" />
+          {guardando ? 'Guardando...' : 'Guardar'}
+        </Button>
+      </form>
+
+      {/* Error */}
+      {error && (
+        <div className="flex items-center gap-2 p-4 bg-red-50 border border-red-200 rounded">
+          <AlertCircle size={20} className="text-red-500" />
+          <span className="text-red-700">{error}</span>
+        </div>
+      )}
+
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+        {/* Cotizaciones */}
+        <div className="bg-white rounded-lg border overflow-hidden">
+          <div className="px-4 py-3 border-b bg-slate-50">
+            <h3 className="font-semibold text-slate-800">Cotizaciones USD</h3>
+          </div>
+          {loading ? (
+            <p className="p-6 text-center text-sm text-slate-500">Cargando...</p>
+          ) : rates.length === 0 ? (
+            <p className="p-6 text-center text-sm text-slate-500">
+              No hay cotizaciones. Carga una manualmente o importa el CSV del BCU.
+            </p>
+          ) : (
+            <div className="max-h-96 overflow-y-auto">
+              <Table>
+                <TableHeader>
+                  <TableRow>
+                    <TableHead>Fecha</TableHead>
+                    <TableHead className="text-right">Compra</TableHead>
+                    <TableHead className="text-right">Venta</TableHead>
+                    <TableHead>Origen</TableHead>
+                    <TableHead />
+                  </TableRow>
+                </TableHeader>
+                <TableBody>
+                  {rates.map((rate) => (
+                    <TableRow key={rate.id}>
+                      <TableCell className="font-medium">{rate.rate_date}</TableCell>
+                      <TableCell className="text-right">{formatTasa(rate.buy_rate ?? rate.rate)}</TableCell>
+                      <TableCell className="text-right">{formatTasa(rate.sell_rate)}</TableCell>
+                      <TableCell>
+                        <Badge className={rate.source === 'bcu_csv' ? 'bg-blue-100 text-blue-800' : 'bg-gray-100 text-gray-800'}>
+                          {rate.source === 'bcu_csv' ? 'BCU' : 'Manual'}
+                        </Badge>
+                      </TableCell>
+                      <TableCell className="text-right">
+                        <Button size="sm" variant="ghost" onClick={() => handleEliminar(rate.id)}>
+                          <Trash2 size={14} className="text-red-500" />
+                        </Button>
+                      </TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            </div>
+          )}
+        </div>
+
+        {/* Diferencias de cambio */}
+        <div className="bg-white rounded-lg border overflow-hidden">
+          <div className="px-4 py-3 border-b bg-slate-50 flex items-center gap-2">
+            <Repeat size={16} className="text-slate-500" />
+            <h3 className="font-semibold text-slate-800">Diferencias de Cambio Realizadas</h3>
+          </div>
+          {differences.length === 0 ? (
+            <p className="p-6 text-center text-sm text-slate-500">
+              Sin diferencias registradas. Se generan al pagar o cobrar documentos en USD.
+            </p>
+          ) : (
+            <div className="max-h-96 overflow-y-auto">
+              <Table>
+                <TableHeader>
+                  <TableRow>
+                    <TableHead>Fecha</TableHead>
+                    <TableHead>Documento</TableHead>
+                    <TableHead className="text-right">Monto</TableHead>
+                    <TableHead className="text-right">TC doc / pago</TableHead>
+                    <TableHead className="text-right">Dif. UYU</TableHead>
+                  </TableRow>
+                </TableHeader>
+                <TableBody>
+                  {differences.map((d) => (
+                    <TableRow key={d.id}>
+                      <TableCell>{d.payment_date}</TableCell>
+                      <TableCell>{d.document_type === 'expense' ? 'Factura' : 'Ingreso'}</TableCell>
+                      <TableCell className="text-right">
+                        {d.currency} {Number(d.amount).toLocaleString('es-UY', { maximumFractionDigits: 2 })}
+                      </TableCell>
+                      <TableCell className="text-right text-xs">
+                        {formatTasa(d.document_rate)} / {formatTasa(d.payment_rate)}
+                      </TableCell>
+                      <TableCell
+                        className={`text-right font-semibold ${Number(d.difference_uyu) >= 0 ? 'text-green-600' : 'text-red-600'}`}
+                      >
+                        {Number(d.difference_uyu).toLocaleString('es-UY', { maximumFractionDigits: 0 })}
+                      </TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -214,7 +214,7 @@ export function FinancialAccountsListView({ firmId, onAccountUpdated }) {
 
       {/* Resumen de balances */}
       {summary && (
-        <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+        <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
           <Card className="border-l-4 border-l-green-500">
             <CardHeader className="pb-2">
               <CardTitle className="text-sm font-medium text-slate-600">Total UYU</CardTitle>
@@ -250,6 +250,26 @@ export function FinancialAccountsListView({ firmId, onAccountUpdated }) {
               <p className="text-xs text-slate-500 mt-1">Cuentas activas</p>
             </CardContent>
           </Card>
+
+          <Card className="border-l-4 border-l-amber-500">
+            <CardHeader className="pb-2">
+              <CardTitle className="text-sm font-medium text-slate-600">Total Consolidado</CardTitle>
+            </CardHeader>
+            <CardContent>
+              {summary.consolidado_uyu !== null && summary.consolidado_uyu !== undefined ? (
+                <>
+                  <div className="text-2xl font-bold text-amber-600">
+                    UYU {summary.consolidado_uyu.toLocaleString('es-UY', { maximumFractionDigits: 0 })}
+                  </div>
+                  <p className="text-xs text-slate-500 mt-1">
+                    USD {summary.consolidado_usd.toLocaleString('es-UY', { maximumFractionDigits: 2 })} · TC {summary.tipo_cambio}
+                  </p>
+                </>
+              ) : (
+                <p className="text-sm text-slate-500">Carga un tipo de cambio para consolidar</p>
+              )}
+            </CardContent>
+          </Card>
         </div>
       )}
 
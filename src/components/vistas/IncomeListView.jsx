@@ -22,6 +22,7 @@ import { IncomeFormModal } from '../modales/IncomeFormModal';
 import { Badge } from '../ui/badge';
 import { toast } from 'sonner';
 import { AlertCircle, Edit, Trash2, Eye, Plus, CheckCircle2 } from 'lucide-react';
+import { LISTA_CATEGORIAS_INGRESO } from '../../lib/incomeCategories.config';
 
 const statusBadgeColors = {
   DRAFT: 'bg-gray-200 text-gray-800',
@@ -60,7 +61,7 @@ export function IncomeListView({ firmId, onAdd = () => {} }) {
     dateTo: ''
   });
 
-  const categories = ['Venta de ganado', 'Venta de granos', 'Servicios', 'Otros ingresos'];
+  const categories = LISTA_CATEGORIAS_INGRESO;
   const statuses = ['DRAFT', 'CONFIRMED', 'COLLECTED_PARTIAL', 'COLLECTED', 'CANCELLED'];
 
   /**
@@ -0,0 +1,311 @@
+import { Fragment, useState, useEffect } from 'react';
+import { Button } from '../ui/button';
+import { Input } from '../ui/input';
+import { Tabs, TabsContent, TabsList, TabsTrigger } from '../ui/tabs';
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableFooter,
+  TableHead,
+  TableHeader,
+  TableRow
+} from '../ui/table';
+import { Badge } from '../ui/badge';
+import { useJournal } from '../../hooks/useJournal';
+import { useChartOfAccounts } from '../../hooks/useChartOfAccounts';
+import { AlertCircle, Download, BookOpen, CheckCircle2 } from 'lucide-react';
+import { hoy } from '../../lib/fechas';
+
+const ORIGEN_BADGES = {
+  expense: { label: 'Factura', className: 'bg-orange-100 text-orange-800' },
+  payment_order: { label: 'Pago', className: 'bg-red-100 text-red-800' },
+  income: { label: 'Cobro', className: 'bg-green-100 text-green-800' },
+  sale: { label: 'Venta', className: 'bg-blue-100 text-blue-800' },
+  manual: { label: 'Manual', className: 'bg-gray-100 text-gray-800' }
+};
+
+const inicioDeAnio = () => `${new Date().getFullYear()}-01-01`;
+const formatMonto = (valor) =>
+  valor ? Number(valor).toLocaleString('es-UY', { minimumFractionDigits: 2, maximumFractionDigits: 2 }) : '';
+
+/**
+ * Vista de Contabilidad: libro diario, libro mayor y balance de comprobación
+ * Importes en UYU generados por los asientos automáticos
+ * @component
+ */
+export function JournalView({ firmId }) {
+  const { entries, ledger, trialBalance, loading, error, loadEntries, loadLedger, loadTrialBalance, exportJournal } =
+    useJournal();
+  const { flatAccounts, loadAllAccounts } = useChartOfAccounts();
+
+  const [tab, setTab] = useState('diario');
+  const [filtros, setFiltros] = useState({ desde: inicioDeAnio(), hasta: hoy() });
+  const [cuentaMayor, setCuentaMayor] = useState('');
+
+  useEffect(() => {
+    if (firmId) {
+      loadAllAccounts(firmId);
+    }
+  }, [firmId, loadAllAccounts]);
+
+  useEffect(() => {
+    if (!firmId) return;
+    if (tab === 'diario') loadEntries(firmId, filtros);
+    if (tab === 'balance') loadTrialBalance(firmId, filtros);
+    if (tab === 'mayor' && cuentaMayor) loadLedger(firmId, cuentaMayor, filtros);
+  }, [firmId, tab, filtros, cuentaMayor]);
+
+  const imputables = flatAccounts.filter(a => a.allows_transactions);
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="flex justify-between items-center">
+        <div>
+          <h2 className="text-2xl font-bold text-slate-800">Contabilidad</h2>
+          <p className="text-sm text-slate-600">
+            Asientos generados desde facturas, pagos, cobros y ventas (importes en UYU)
+          </p>
+        </div>
+        {tab === 'diario' && (
+          <Button variant="outline" onClick={() => exportJournal(`libro_diario_${filtros.desde}_${filtros.hasta}.xlsx`)}>
+            <Download size={16} className="mr-2" />
+            Exportar Diario
+          </Button>
+        )}
+      </div>
+
+      {/* Período */}
+      <div className="bg-white p-4 rounded-lg border grid grid-cols-3 gap-3 items-end">
+        <div>
+          <label className="text-xs font-medium text-slate-600">Desde</label>
+          <Input
+            type="date"
+            value={filtros.desde}
+            onChange={(e) => setFiltros({ ...filtros, desde: e.target.value })}
+          />
+        </div>
+        <div>
+          <label className="text-xs font-medium text-slate-600">Hasta</label>
+          <Input
+            type="date"
+            value={filtros.hasta}
+            onChange={(e) => setFiltros({ ...filtros, hasta: e.target.value })}
+          />
+        </div>
+        {tab === 'mayor' && (
+          <div>
+            <label className="text-xs font-medium text-slate-600">Cuenta</label>
+            <select
+              value={cuentaMayor}
+              onChange={(e) => setCuentaMayor(e.target.value)}
+              className="w-full h-9 px-3 text-sm border border-slate-300 rounded-md"
+            >
+              <option value="">Selecciona una cuenta</option>
+              {imputables.map(account => (
+                <option key={account.id} value={account.id}>
+                  {account.code} - {account.name}
+                </option>
+              ))}
+            </select>
+          </div>
+        )}
+      </div>
+
+      {/* Error */}
+      {error && (
+        <div className="flex items-center gap-2 p-4 bg-red-50 border border-red-200 rounded">
+          <AlertCircle size={20} className="text-red-500" />
+          <span className="text-red-700">{error}</span>
+        </div>
+      )}
+
+      <Tabs value={tab} onValueChange={setTab}>
+        <TabsList>
+          <TabsTrigger value="diario">Libro Diario</TabsTrigger>
+          <TabsTrigger value="mayor">Libro Mayor</TabsTrigger>
+          <TabsTrigger value="balance">Balance de Comprobación</TabsTrigger>
+        </TabsList>
+
+        {/* Libro diario */}
+        <TabsContent value="diario" className="mt-4">
+          <div className="bg-white rounded-lg border overflow-hidden">
+            {loading ? (
+              <p className="p-6 text-center text-sm text-slate-500">Cargando...</p>
+            ) : entries.length === 0 ? (
+              <p className="p-6 text-center text-sm text-slate-500">
+                No hay asientos en el período. Se generan al aprobar facturas, ejecutar pagos, cobrar ingresos y confirmar ventas.
+              </p>
+            ) : (
+              <Table>
+                <TableHeader>
+                  <TableRow>
+                    <TableHead className="w-16">N°</TableHead>
+                    <TableHead>Fecha</TableHead>
+                    <TableHead>Cuenta</TableHead>
+                    <TableHead>Detalle</TableHead>
+                    <TableHead className="text-right">Debe</TableHead>
+                    <TableHead className="text-right">Haber</TableHead>
+                  </TableRow>
+                </TableHeader>
+                <TableBody>
+                  {entries.map((entry) => (
+                    <Fragment key={entry.id}>
+                      <TableRow className="bg-slate-50">
+                        <TableCell className="font-semibold">{entry.numero}</TableCell>
+                        <TableCell>{entry.entry_date}</TableCell>
+                        <TableCell colSpan={2}>
+                          <div className="flex items-center gap-2">
+                            <Badge className={ORIGEN_BADGES[entry.source_type]?.className}>
+                              {ORIGEN_BADGES[entry.source_type]?.label || entry.source_type}
+                            </Badge>
+                            <span className="font-medium text-slate-700">{entry.description}</span>
+                            {entry.currency !== 'UYU' && (
+                              <span className="text-xs text-slate-500">
+                                {entry.currency} TC {entry.exchange_rate}
+                              </span>
+                            )}
+                          </div>
+                        </TableCell>
+                        <TableCell />
+                        <TableCell />
+                      </TableRow>
+                      {entry.lines.map((line) => (
+                        <TableRow key={line.id}>
+                          <TableCell />
+                          <TableCell />
+                          <TableCell className={line.credit > 0 ? 'pl-10' : ''}>
+                            <span className="font-mono text-xs text-slate-500 mr-2">{line.account?.code}</span>
+                            {line.account?.name}
+                          </TableCell>
+                          <TableCell className="text-sm text-slate-600">{line.description}</TableCell>
+                          <TableCell className="text-right">{formatMonto(line.debit)}</TableCell>
+                          <TableCell className="text-right">{formatMonto(line.credit)}</TableCell>
+                        </TableRow>
+                      ))}
+                    </Fragment>
+                  ))}
+                </TableBody>
+              </Table>
+            )}
+          </div>
+        </TabsContent>
+
+        {/* Libro mayor */}
+        <TabsContent value="mayor" className="mt-4">
+          <div className="bg-white rounded-lg border overflow-hidden">
+            {!cuentaMayor ? (
+              <p className="p-6 text-center text-sm text-slate-500">Selecciona una cuenta para ver su mayor.</p>
+            ) : loading || !ledger ? (
+              <p className="p-6 text-center text-sm text-slate-500">Cargando...</p>
+            ) : (
+              <>
+                <div className="px-4 py-3 border-b bg-slate-50 flex items-center gap-2">
+                  <BookOpen size={16} className="text-slate-500" />
+                  <h3 className="font-semibold text-slate-800">
+                    {ledger.cuenta.code} - {ledger.cuenta.name}
+                  </h3>
+                  <span className="text-xs text-slate-500">Saldo {ledger.cuenta.balance_nature?.toLowerCase()}</span>
+                </div>
+                <Table>
+                  <TableHeader>
+                    <TableRow>
+                      <TableHead>Fecha</TableHead>
+                      <TableHead>Origen</TableHead>
+                      <TableHead>Detalle</TableHead>
+                      <TableHead className="text-right">Debe</TableHead>
+                      <TableHead className="text-right">Haber</TableHead>
+                      <TableHead className="text-right">Saldo</TableHead>
+                    </TableRow>
+                  </TableHeader>
+                  <TableBody>
+                    <TableRow className="bg-slate-50">
+                      <TableCell colSpan={5} className="font-medium">Saldo inicial</TableCell>
+                      <TableCell className="text-right font-medium">{formatMonto(ledger.saldoInicial) || '0,00'}</TableCell>
+                    </TableRow>
+                    {ledger.movimientos.map((mov, index) => (
+                      <TableRow key={`${mov.asiento_id}-${index}`}>
+                        <TableCell>{mov.fecha}</TableCell>
+                        <TableCell>{mov.origen}</TableCell>
+                        <TableCell className="text-sm text-slate-600">{mov.descripcion}</TableCell>
+                        <TableCell className="text-right">{formatMonto(mov.debe)}</TableCell>
+                        <TableCell className="text-right">{formatMonto(mov.haber)}</TableCell>
+                        <TableCell className={`text-right ${mov.saldo < 0 ? 'text-red-600' : ''}`}>
+                          {formatMonto(mov.saldo) || '0,00'}
+                        </TableCell>
+                      </TableRow>
+                    ))}
+                  </TableBody>
+                  <TableFooter>
+                    <TableRow>
+                      <TableCell colSpan={5} className="font-semibold">Saldo final</TableCell>
+                      <TableCell className="text-right font-semibold">{formatMonto(ledger.saldoFinal) || '0,00'}</TableCell>
+                    </TableRow>
+                  </TableFooter>
+                </Table>
+              </>
+            )}
+          </div>
+        </TabsContent>
+
+        {/* Balance de comprobación */}
+        <TabsContent value="balance" className="mt-4">
+          <div className="bg-white rounded-lg border overflow-hidden">
+            {loading || !trialBalance ? (
+              <p className="p-6 text-center text-sm text-slate-500">Cargando...</p>
+            ) : trialBalance.cuentas.length === 0 ? (
+              <p className="p-6 text-center text-sm text-slate-500">No hay movimientos en el período.</p>
+            ) : (
+              <>
+                <div className="px-4 py-3 border-b bg-slate-50 flex items-center gap-2">
+                  {trialBalance.balanceado ? (
+                    <CheckCircle2 size={16} className="text-green-600" />
+                  ) : (
+                    <AlertCircle size={16} className="text-red-600" />
+                  )}
+                  <span className="text-sm text-slate-700">
+                    {trialBalance.balanceado ? 'Sumas iguales al debe y al haber' : 'Las sumas no coinciden'}
+                  </span>
+                </div>
+                <Table>
+                  <TableHeader>
+                    <TableRow>
+                      <TableHead>Código</TableHead>
+                      <TableHead>Cuenta</TableHead>
+                      <TableHead className="text-right">Debe</TableHead>
+                      <TableHead className="text-right">Haber</TableHead>
+                      <TableHead className="text-right">Saldo Deudor</TableHead>
+                      <TableHead className="text-right">Saldo Acreedor</TableHead>
+                    </TableRow>
+                  </TableHeader>
+                  <TableBody>
+                    {trialBalance.cuentas.map((cuenta) => (
+                      <TableRow key={cuenta.id}>
+                        <TableCell className="font-mono">{cuenta.code}</TableCell>
+                        <TableCell>{cuenta.name}</TableCell>
+                        <TableCell className="text-right">{formatMonto(cuenta.debe)}</TableCell>
+                        <TableCell className="text-right">{formatMonto(cuenta.haber)}</TableCell>
+                        <TableCell className="text-right">{formatMonto(cuenta.saldo_deudor)}</TableCell>
+                        <TableCell className="text-right">{formatMonto(cuenta.saldo_acreedor)}</TableCell>
+                      </TableRow>
+                    ))}
+                  </TableBody>
+                  <TableFooter>
+                    <TableRow>
+                      <TableCell colSpan={2} className="font-semibold">Totales</TableCell>
+                      <TableCell className="text-right font-semibold">{formatMonto(trialBalance.totales.debe)}</TableCell>
+                      <TableCell className="text-right font-semibold">{formatMonto(trialBalance.totales.haber)}</TableCell>
+                      <TableCell className="text-right font-semibold">{formatMonto(trialBalance.totales.saldo_deudor)}</TableCell>
+                      <TableCell className="text-right font-semibold">{formatMonto(trialBalance.totales.saldo_acreedor)}</TableCell>
+                    </TableRow>
+                  </TableFooter>
+                </Table>
+              </>
+            )}
+          </div>
+        </TabsContent>
+      </Tabs>
+    </div>
+  );
+}
@@ -0,0 +1,570 @@
+import { useState, useEffect } from 'react';
+import { Button } from '../ui/button';
+import { Input } from '../ui/input';
+import { Tabs, TabsContent, TabsList, TabsTrigger } from '../ui/tabs';
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableFooter,
+  TableHead,
+  TableHeader,
+  TableRow
+} from '../ui/table';
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogHeader,
+  DialogTitle,
+  DialogFooter
+} from '../ui/dialog';
+import { Card, CardContent, CardHeader, CardTitle } from '../ui/card';
+import { Badge } from '../ui/badge';
+import { useTaxBooks } from '../../hooks/useTaxBooks';
+import { useAuth } from '../../contexts/AuthContext';
+import { REGIMENES, TIPOS_RETENCION } from '../../services/taxBooks';
+import { AlertCircle, Download, Plus, Trash2 } from 'lucide-react';
+
+const mesAnterior = () => {
+  const fecha = new Date();
+  fecha.setDate(1);
+  fecha.setMonth(fecha.getMonth() - 1);
+  return fecha.toISOString().slice(0, 7);
+};
+
+const formatMonto = (valor) =>
+  Number(valor || 0).toLocaleString('es-UY', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+
+const RETENCION_LABELS = {
+  IMEBA: 'IMEBA',
+  IMEBA_ADICIONAL: 'Adicionales IMEBA',
+  IRAE: 'IRAE'
+};
+
+/**
+ * Tabla de un libro de IVA (compras o ventas) discriminado por tasa
+ */
+function LibroTable({ libro, vacio }) {
+  if (libro.documentos.length === 0) {
+    return <p className="p-6 text-center text-sm text-slate-500">{vacio}</p>;
+  }
+
+  return (
+    <Table>
+      <TableHeader>
+        <TableRow>
+          <TableHead>Fecha</TableHead>
+          <TableHead>Comprobante</TableHead>
+          <TableHead>RUT</TableHead>
+          <TableHead>Razón social</TableHead>
+          <TableHead className="text-right">Neto 22%</TableHead>
+          <TableHead className="text-right">IVA 22%</TableHead>
+          <TableHead className="text-right">Neto 10%</TableHead>
+          <TableHead className="text-right">IVA 10%</TableHead>
+          <TableHead className="text-right">Exento</TableHead>
+          <TableHead className="text-right">Total UYU</TableHead>
+        </TableRow>
+      </TableHeader>
+      <TableBody>
+        {libro.documentos.map((doc) => (
+          <TableRow key={doc.id}>
+            <TableCell>{doc.fecha}</TableCell>
+            <TableCell className="font-mono text-xs">{doc.comprobante || '-'}</TableCell>
+            <TableCell className="font-mono text-xs">{doc.rut || '-'}</TableCell>
+            <TableCell>
+              {doc.nombre}
+              {doc.moneda !== 'UYU' && (
+                <span className="ml-2 text-xs text-slate-500">
+                  {doc.moneda} {formatMonto(doc.total_original)}
+                </span>
+              )}
+              {doc.sin_clasificar && (
+                <span className="block text-xs text-yellow-700">
+                  Varias tasas sin renglones: neto {formatMonto(doc.desglose.sin_clasificar.neto)} / IVA{' '}
+                  {formatMonto(doc.desglose.sin_clasificar.iva)} sin clasificar
+                </span>
+              )}
+            </TableCell>
+            <TableCell className="text-right">{formatMonto(doc.desglose.basica.neto)}</TableCell>
+            <TableCell className="text-right">{formatMonto(doc.desglose.basica.iva)}</TableCell>
+            <TableCell className="text-right">{formatMonto(doc.desglose.minima.neto)}</TableCell>
+            <TableCell className="text-right">{formatMonto(doc.desglose.minima.iva)}</TableCell>
+            <TableCell className="text-right">{formatMonto(doc.desglose.exento.neto)}</TableCell>
+            <TableCell className="text-right font-medium">{formatMonto(doc.desglose.total)}</TableCell>
+          </TableRow>
+        ))}
+      </TableBody>
+      <TableFooter>
+        <TableRow>
+          <TableCell colSpan={4} className="font-semibold">Totales</TableCell>
+          <TableCell className="text-right font-semibold">{formatMonto(libro.totales.basica.neto)}</TableCell>
+          <TableCell className="text-right font-semibold">{formatMonto(libro.totales.basica.iva)}</TableCell>
+          <TableCell className="text-right font-semibold">{formatMonto(libro.totales.minima.neto)}</TableCell>
+          <TableCell className="text-right font-semibold">{formatMonto(libro.totales.minima.iva)}</TableCell>
+          <TableCell className="text-right font-semibold">{formatMonto(libro.totales.exento.neto)}</TableCell>
+          <TableCell className="text-right font-semibold">{formatMonto(libro.totales.total)}</TableCell>
+        </TableRow>
+      </TableFooter>
+    </Table>
+  );
+}
+
+/**
+ * Vista de Impuestos: libros de IVA compras/ventas, retenciones de IMEBA/IRAE
+ * y configuración tributaria de la firma (importes en UYU)
+ * @component
+ */
+export function TaxBookView({ firmId }) {
+  const { user } = useAuth();
+  const {
+    books,
+    settings,
+    loading,
+    error,
+    loadBooks,
+    loadSettings,
+    saveSettings,
+    addWithholding,
+    removeWithholding,
+    exportBooks
+  } = useTaxBooks();
+
+  const [periodo, setPeriodo] = useState(mesAnterior());
+  const [configuracion, setConfiguracion] = useState(null);
+  const [ventaRetencion, setVentaRetencion] = useState(null);
+  const [formRetencion, setFormRetencion] = useState(null);
+  const [guardando, setGuardando] = useState(false);
+
+  useEffect(() => {
+    if (firmId) {
+      loadSettings(firmId);
+    }
+  }, [firmId, loadSettings]);
+
+  useEffect(() => {
+    if (firmId && periodo) {
+      loadBooks(firmId, periodo);
+    }
+  }, [firmId, periodo, loadBooks]);
+
+  useEffect(() => {
+    setConfiguracion(settings);
+  }, [settings]);
+
+  /**
+   * Abrir el formulario de resguardo con la retención estimada como sugerencia
+   */
+  const abrirRetencion = (venta) => {
+    const sugerida = venta.estimada ? venta.retenciones[0] : null;
+    setVentaRetencion(venta);
+    setFormRetencion({
+      tipo: sugerida?.tipo || TIPOS_RETENCION.IMEBA,
+      fecha: venta.fecha,
+      tasa: sugerida?.tasa ?? '',
+      monto: sugerida?.monto ?? '',
+      agente: venta.nombre || '',
+      resguardo: ''
+    });
+  };
+
+  const handleGuardarRetencion = async (e) => {
+    e.preventDefault();
+    setGuardando(true);
+    try {
+      await addWithholding({
+        firmId,
+        incomeId: ventaRetencion.id,
+        tipo: formRetencion.tipo,
+        fecha: formRetencion.fecha,
+        base: ventaRetencion.base,
+        tasa: formRetencion.tasa,
+        monto: formRetencion.monto,
+        agente: formRetencion.agente,
+        agenteRut: ventaRetencion.rut,
+        resguardo: formRetencion.resguardo,
+        userId: user?.id
+      });
+      setVentaRetencion(null);
+      await loadBooks(firmId, periodo);
+    } catch (err) {
+      console.error('Error saving withholding:', err);
+    } finally {
+      setGuardando(false);
+    }
+  };
+
+  const handleEliminarRetencion = async (id) => {
+    if (!window.confirm('¿Eliminar la retención registrada? La venta volverá a mostrar la estimación.')) {
+      return;
+    }
+
+    try {
+      await removeWithholding(id);
+      await loadBooks(firmId, periodo);
+    } catch (err) {
+      console.error('Error deleting withholding:', err);
+    }
+  };
+
+  const handleGuardarConfiguracion = async (e) => {
+    e.preventDefault();
+    setGuardando(true);
+    try {
+      await saveSettings(firmId, configuracion, user?.id);
+      await loadBooks(firmId, periodo);
+    } catch (err) {
+      console.error('Error saving tax settings:', err);
+    } finally {
+      setGuardando(false);
+    }
+  };
+
+  const sinTipoCambio = (books?.compras.sinTipoCambio || 0) + (books?.ventas.sinTipoCambio || 0);
+  const sinClasificar = (books?.compras.sinClasificar || 0) + (books?.ventas.sinClasificar || 0);
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="flex justify-between items-center">
+        <div>
+          <h2 className="text-2xl font-bold text-slate-800">Impuestos</h2>
+          <p className="text-sm text-slate-600">
+            Libros de IVA por tasa y retenciones de IMEBA / IRAE para la declaración mensual (importes en UYU)
+          </p>
+        </div>
+        <div className="flex items-end gap-3">
+          <div>
+            <label className="text-xs font-medium text-slate-600">Período</label>
+            <Input type="month" value={periodo} onChange={(e) => setPeriodo(e.target.value)} />
+          </div>
+          <Button variant="outline" onClick={exportBooks} disabled={!books || loading}>
+            <Download size={16} className="mr-2" />
+            Exportar para el contador
+          </Button>
+        </div>
+      </div>
+
+      {/* Error */}
+      {error && (
+        <div className="flex items-center gap-2 p-4 bg-red-50 border border-red-200 rounded">
+          <AlertCircle size={20} className="text-red-500" />
+          <span className="text-red-700">{error}</span>
+        </div>
+      )}
+
+      {sinTipoCambio > 0 && (
+        <div className="flex items-center gap-2 p-3 bg-yellow-50 border border-yellow-200 rounded">
+          <AlertCircle size={16} className="text-yellow-600" />
+          <span className="text-sm text-yellow-800">
+            {sinTipoCambio} monto(s) en moneda extranjera sin tipo de cambio se incluyen sin convertir
+          </span>
+        </div>
+      )}
+
+      {sinClasificar > 0 && (
+        <div className="flex items-center gap-2 p-3 bg-yellow-50 border border-yellow-200 rounded">
+          <AlertCircle size={16} className="text-yellow-600" />
+          <span className="text-sm text-yellow-800">
+            {sinClasificar} comprobante(s) con varias tasas de IVA y sin renglones no se pueden discriminar por tasa:
+            su IVA entra en la posición, pero hay que cargar los renglones para asignarlo a 22% / 10%
+          </span>
+        </div>
+      )}
+
+      {/* Posición de IVA */}
+      {books && (
+        <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
+          <Card>
+            <CardContent className="pt-6">
+              <p className="text-sm text-slate-600">IVA Ventas</p>
+              <p className="text-2xl font-bold text-slate-800">{formatMonto(books.posicion.iva_ventas)}</p>
+            </CardContent>
+          </Card>
+          <Card>
+            <CardContent className="pt-6">
+              <p className="text-sm text-slate-600">IVA Compras</p>
+              <p className="text-2xl font-bold text-slate-800">{formatMonto(books.posicion.iva_compras)}</p>
+            </CardContent>
+          </Card>
+          <Card>
+            <CardContent className="pt-6">
+              <p className="text-sm text-slate-600">{books.posicion.saldo >= 0 ? 'Saldo a pagar' : 'Saldo a favor'}</p>
+              <p className={`text-2xl font-bold ${books.posicion.saldo >= 0 ? 'text-red-600' : 'text-green-600'}`}>
+                {formatMonto(Math.abs(books.posicion.saldo))}
+              </p>
+            </CardContent>
+          </Card>
+          <Card>
+            <CardContent className="pt-6">
+              <p className="text-sm text-slate-600">Retenciones sufridas</p>
+              <p className="text-2xl font-bold text-slate-800">
+                {formatMonto(Object.values(books.retenciones.totales).reduce((sum, monto) => sum + monto, 0))}
+              </p>
+            </CardContent>
+          </Card>
+        </div>
+      )}
+
+      <Tabs defaultValue="ventas">
+        <TabsList>
+          <TabsTrigger value="ventas">Libro Ventas</TabsTrigger>
+          <TabsTrigger value="compras">Libro Compras</TabsTrigger>
+          <TabsTrigger value="retenciones">Retenciones</TabsTrigger>
+          <TabsTrigger value="configuracion">Configuración</TabsTrigger>
+        </TabsList>
+
+        <TabsContent value="ventas" className="mt-4">
+          <div className="bg-white rounded-lg border overflow-hidden">
+            {loading || !books ? (
+              <p className="p-6 text-center text-sm text-slate-500">Cargando...</p>
+            ) : (
+              <LibroTable libro={books.ventas} vacio="No hay ventas ni ingresos confirmados en el período." />
+            )}
+          </div>
+        </TabsContent>
+
+        <TabsContent value="compras" className="mt-4">
+          <div className="bg-white rounded-lg border overflow-hidden">
+            {loading || !books ? (
+              <p className="p-6 text-center text-sm text-slate-500">Cargando...</p>
+            ) : (
+              <LibroTable libro={books.compras} vacio="No hay facturas de compra en el período." />
+            )}
+          </div>
+        </TabsContent>
+
+        {/* Retenciones sobre ventas de ganado y granos */}
+        <TabsContent value="retenciones" className="mt-4">
+          <div className="bg-white rounded-lg border overflow-hidden">
+            {loading || !books ? (
+              <p className="p-6 text-center text-sm text-slate-500">Cargando...</p>
+            ) : books.retenciones.ventas.length === 0 ? (
+              <p className="p-6 text-center text-sm text-slate-500">
+                No hay ventas de ganado o granos en el período.
+              </p>
+            ) : (
+              <Table>
+                <TableHeader>
+                  <TableRow>
+                    <TableHead>Fecha</TableHead>
+                    <TableHead>Comprador</TableHead>
+                    <TableHead>Rubro</TableHead>
+                    <TableHead className="text-right">Monto imponible</TableHead>
+                    <TableHead>Retenciones</TableHead>
+                    <TableHead className="text-right">Total retenido</TableHead>
+                    <TableHead />
+                  </TableRow>
+                </TableHeader>
+                <TableBody>
+                  {books.retenciones.ventas.map((venta) => (
+                    <TableRow key={venta.id}>
+                      <TableCell>{venta.fecha}</TableCell>
+                      <TableCell>
+                        {venta.nombre}
+                        {venta.comprobante && (
+                          <span className="ml-2 font-mono text-xs text-slate-500">{venta.comprobante}</span>
+                        )}
+                      </TableCell>
+                      <TableCell className="capitalize">{venta.rubro}</TableCell>
+                      <TableCell className="text-right">{formatMonto(venta.base)}</TableCell>
+                      <TableCell>
+                        <div className="space-y-1">
+                          {venta.retenciones.map((r, index) => (
+                            <div key={r.id || index} className="flex items-center gap-2 text-sm">
+                              <span>
+                                {RETENCION_LABELS[r.tipo]} {r.tasa}%: {formatMonto(r.monto)}
+                              </span>
+                              {r.resguardo && (
+                                <span className="text-xs text-slate-500">Resg. {r.resguardo}</span>
+                              )}
+                              {r.id && (
+                                <button
+                                  onClick={() => handleEliminarRetencion(r.id)}
+                                  className="text-red-500 hover:text-red-700"
+                                  title="Eliminar retención"
+                                >
+                                  <Trash2 size={14} />
+                                </button>
+                              )}
+                            </div>
+                          ))}
+                        </div>
+                      </TableCell>
+                      <TableCell className="text-right font-medium">
+                        {formatMonto(venta.total)}
+                        {venta.estimada && (
+                          <Badge className="ml-2 bg-amber-100 text-amber-800">Estimada</Badge>
+                        )}
+                      </TableCell>
+                      <TableCell>
+                        <Button size="sm" variant="outline" onClick={() => abrirRetencion(venta)}>
+                          <Plus size={14} className="mr-1" />
+                          Resguardo
+                        </Button>
+                      </TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            )}
+          </div>
+        </TabsContent>
+
+        {/* Configuración tributaria */}
+        <TabsContent value="configuracion" className="mt-4">
+          <Card>
+            <CardHeader>
+              <CardTitle className="text-lg">Régimen y tasas de retención</CardTitle>
+            </CardHeader>
+            <CardContent>
+              {!configuracion ? (
+                <p className="text-sm text-slate-500">Cargando...</p>
+              ) : (
+                <form onSubmit={handleGuardarConfiguracion} className="grid grid-cols-1 md:grid-cols-3 gap-4 items-end">
+                  <div>
+                    <label className="text-xs font-medium text-slate-600">Régimen de renta</label>
+                    <select
+                      value={configuracion.income_tax_regime}
+                      onChange={(e) => setConfiguracion({ ...configuracion, income_tax_regime: e.target.value })}
+                      className="w-full h-9 px-3 text-sm border border-slate-300 rounded-md"
+                    >
+                      <option value={REGIMENES.IMEBA}>IMEBA</option>
+                      <option value={REGIMENES.IRAE}>IRAE</option>
+                    </select>
+                  </div>
+                  {configuracion.income_tax_regime === REGIMENES.IMEBA ? (
+                    <>
+                      <div>
+                        <label className="text-xs font-medium text-slate-600">IMEBA ganado %</label>
+                        <Input
+                          type="number"
+                          step="0.001"
+                          value={configuracion.imeba_livestock_rate}
+                          onChange={(e) => setConfiguracion({ ...configuracion, imeba_livestock_rate: e.target.value })}
+                        />
+                      </div>
+                      <div>
+                        <label className="text-xs font-medium text-slate-600">IMEBA granos %</label>
+                        <Input
+                          type="number"
+                          step="0.001"
+                          value={configuracion.imeba_grain_rate}
+                          onChange={(e) => setConfiguracion({ ...configuracion, imeba_grain_rate: e.target.value })}
+                        />
+                      </div>
+                      <div>
+                        <label className="text-xs font-medium text-slate-600">Adicionales IMEBA % (MEVIR, INIA, etc.)</label>
+                        <Input
+                          type="number"
+                          step="0.001"
+                          value={configuracion.imeba_additional_rate}
+                          onChange={(e) => setConfiguracion({ ...configuracion, imeba_additional_rate: e.target.value })}
+                        />
+                      </div>
+                    </>
+                  ) : (
+                    <div>
+                      <label className="text-xs font-medium text-slate-600">Retención IRAE %</label>
+                      <Input
+                        type="number"
+                        step="0.001"
+                        value={configuracion.irae_withholding_rate}
+                        onChange={(e) => setConfiguracion({ ...configuracion, irae_withholding_rate: e.target.value })}
+                      />
+                    </div>
+                  )}
+                  <div className="md:col-span-3 flex justify-between items-center">
+                    <p className="text-xs text-slate-500">
+                      Las tasas se usan para estimar retenciones de ventas sin resguardo. Confírmalas con tu contador.
+                    </p>
+                    <Button type="submit" disabled={guardando}>
+                      Guardar
+                    </Button>
+                  </div>
+                </form>
+              )}
+            </CardContent>
+          </Card>
+        </TabsContent>
+      </Tabs>
+
+      {/* Registrar resguardo */}
+      <Dialog open={!!ventaRetencion} onOpenChange={(open) => !open && setVentaRetencion(null)}>
+        <DialogContent>
+          <DialogHeader>
+            <DialogTitle>Registrar Retención</DialogTitle>
+            <DialogDescription>
+              {ventaRetencion?.nombre} - Monto imponible {formatMonto(ventaRetencion?.base)} UYU
+            </DialogDescription>
+          </DialogHeader>
+          {formRetencion && (
+            <form id="form-retencion" onSubmit={handleGuardarRetencion} className="grid grid-cols-2 gap-3">
+              <div>
+                <label className="text-xs font-medium text-slate-600">Impuesto</label>
+                <select
+                  value={formRetencion.tipo}
+                  onChange={(e) => setFormRetencion({ ...formRetencion, tipo: e.target.value })}
+                  className="w-full h-9 px-3 text-sm border border-slate-300 rounded-md"
+                >
+                  {Object.values(TIPOS_RETENCION).map((tipo) => (
+                    <option key={tipo} value={tipo}>{RETENCION_LABELS[tipo]}</option>
+                  ))}
+                </select>
+              </div>
+              <div>
+                <label className="text-xs font-medium text-slate-600">Fecha</label>
+                <Input
+                  type="date"
+                  value={formRetencion.fecha}
+                  onChange={(e) => setFormRetencion({ ...formRetencion, fecha: e.target.value })}
+                />
+              </div>
+              <div>
+                <label className="text-xs font-medium text-slate-600">Tasa %</label>
+                <Input
+                  type="number"
+                  step="0.001"
+                  value={formRetencion.tasa}
+                  onChange={(e) => setFormRetencion({ ...formRetencion, tasa: e.target.value })}
+                />
+              </div>
+              <div>
+                <label className="text-xs font-medium text-slate-600">Monto retenido (UYU)</label>
+                <Input
+                  type="number"
+                  step="0.01"
+                  value={formRetencion.monto}
+                  onChange={(e) => setFormRetencion({ ...formRetencion, monto: e.target.value })}
+                  required
+                />
+              </div>
+              <div>
+                <label className="text-xs font-medium text-slate-600">Agente de retención</label>
+                <Input
+                  value={formRetencion.agente}
+                  onChange={(e) => setFormRetencion({ ...formRetencion, agente: e.target.value })}
+                />
+              </div>
+              <div>
+                <label className="text-xs font-medium text-slate-600">N° de resguardo</label>
+                <Input
+                  value={formRetencion.resguardo}
+                  onChange={(e) => setFormRetencion({ ...formRetencion, resguardo: e.target.value })}
+                />
+              </div>
+            </form>
+          )}
+          <DialogFooter>
+            <Button variant="outline" onClick={() => setVentaRetencion(null)}>
+              Cancelar
+            </Button>
+            <Button type="submit" form="form-retencion" disabled={guardando}>
+              Registrar
+            </Button>
+          </DialogFooter>
+        </DialogContent>
+      </Dialog>
+    </div>
+  );
+}
@@ -66,6 +66,20 @@ export default function ActivityCalendar({ activeTab = 'agricultural' }) {
 
       if (worksError) throw worksError;
 
+      // Plan sanitario (solo ganadería)
+      let healthTasks = [];
+      if (activeTab !== 'agricultural') {
+        const { data, error: healthError } = await supabase
+          .from('health_plan_items')
+          .select('id, scheduled_date, name, treatment_type, status, herd:herd_id(name), category:category_id(name)')
+          .neq('status', 'CANCELLED')
+          .gte('scheduled_date', startDate)
+          .lte('scheduled_date', endDate);
+
+        if (healthError) throw healthError;
+        healthTasks = data || [];
+      }
+
       // Combinar actividades
       const combined = [];
 
@@ -95,6 +109,18 @@ export default function ActivityCalendar({ activeTab = 'agricultural' }) {
         });
       });
 
+      // Agregar tareas sanitarias
+      healthTasks.forEach(h => {
+        combined.push({
+          id: h.id,
+          date: h.scheduled_date,
+          type: 'health',
+          title: h.name,
+          status: h.status,
+          detail: [h.herd?.name, h.category?.name].filter(Boolean).join(' / ') || null
+        });
+      });
+
       setActivities(combined);
     } catch (err) {
       console.error('Error loading activities:', err);
@@ -124,6 +150,10 @@ export default function ActivityCalendar({ activeTab = 'agricultural' }) {
   function getActivityColor(activity) {
     if (activity.type === 'projection') {
       return 'bg-blue-100 border-l-4 border-blue-500';
+    } else if (activity.type === 'health') {
+      return activity.status === 'DONE'
+        ? 'bg-green-100 border-l-4 border-red-500'
+        : 'bg-red-50 border-l-4 border-red-500';
     } else {
       switch (activity.status) {
         case 'APPROVED':
@@ -162,6 +192,8 @@ export default function ActivityCalendar({ activeTab = 'agricultural' }) {
             >
               {activity.type === 'projection' ? (
                 <span className="font-medium">📅 {activity.title}</span>
+              ) : activity.type === 'health' ? (
+                <span className="font-medium">💉 {activity.title}</span>
               ) : (
                 <span className="font-medium">✓ {activity.title}</span>
               )}
@@ -230,7 +262,7 @@ export default function ActivityCalendar({ activeTab = 'agricultural' }) {
       </div>
 
       {/* Leyenda */}
-      <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+      <div className="grid grid-cols-2 md:grid-cols-5 gap-4">
         <div className="flex items-center gap-2">
           <div className="w-3 h-3 bg-blue-500 rounded-full"></div>
           <span className="text-sm text-slate-600">Proyección</span>
@@ -247,6 +279,12 @@ export default function ActivityCalendar({ activeTab = 'agricultural' }) {
           <div className="w-3 h-3 bg-red-500 rounded-full"></div>
           <span className="text-sm text-slate-600">Rechazado</span>
         </div>
+        {activeTab !== 'agricultural' && (
+          <div className="flex items-center gap-2">
+            <div className="w-3 h-3 bg-red-500 rounded-sm"></div>
+            <span className="text-sm text-slate-600">Plan sanitario</span>
+          </div>
+        )}
       </div>
 
       {/* Calendario */}
@@ -296,7 +334,7 @@ export default function ActivityCalendar({ activeTab = 'agricultural' }) {
                   <div className="flex-1">
                     <p className="font-semibold text-slate-900">{activity.title}</p>
                     <p className="text-xs text-slate-600 mt-1">
-                      {activity.type === 'projection' ? 'Proyección' : 'Trabajo Ejecutado'}
+                      {activity.type === 'projection' ? 'Proyección' : activity.type === 'health' ? 'Plan Sanitario' : 'Trabajo Ejecutado'}
                     </p>
                     {activity.detail && (
                       <p className="text-sm text-slate-700 mt-2 line-clamp-2">{activity.detail}</p>
@@ -304,9 +342,9 @@ export default function ActivityCalendar({ activeTab = 'agricultural' }) {
                   </div>
                   <div className="text-right">
                     <span className={`px-2 py-1 text-xs font-semibold rounded-full ${
-                      activity.status === 'COMPLETADA' || activity.status === 'CLOSED'
+                      activity.status === 'COMPLETADA' || activity.status === 'CLOSED' || activity.status === 'DONE'
                         ? 'bg-green-200 text-green-800'
-                        : activity.status === 'PENDIENTE' || activity.status === 'PENDING_APPROVAL'
+                        : activity.status === 'PENDIENTE' || activity.status === 'PENDING_APPROVAL' || activity.status === 'PENDING'
                         ? 'bg-yellow-200 text-yellow-800'
                         : activity.status === 'CANCELADA' || activity.status === 'REJECTED'
                         ? 'bg-red-200 text-red-800'
@@ -0,0 +1,688 @@
+/**
+ * MÓDULO 06: TRABAJOS Y PROYECCIONES
+ * Componente de cosechas por lote y campaña
+ *
+ * Funcionalidad:
+ * - Registrar cosechas (toneladas, humedad, merma, destino)
+ * - Importar el monitor de rendimiento de la cosechadora (CSV o Shapefile de puntos)
+ * - Margen real por lote y campaña con rendimiento real vs proyectado
+ */
+
+import React, { useState, useEffect } from 'react';
+import { supabase } from '../../lib/supabase';
+import { useAuth } from '../../contexts/AuthContext';
+import { Plus, Upload, Trash2, Loader, Wheat, Map as MapIcon, X } from 'lucide-react';
+import { toast } from 'sonner';
+import { Card, CardContent } from '../ui/card';
+import { Button } from '../ui/button';
+import { Badge } from '../ui/badge';
+import {
+  DESTINOS_COSECHA,
+  CULTIVOS_COSECHA,
+  calcularNetoCosecha,
+  obtenerCosechas,
+  crearCosecha,
+  eliminarCosecha,
+  parsearMonitorRendimiento,
+  procesarPuntosRendimiento,
+  registrarMapaRendimiento,
+  obtenerMargenesCosecha
+} from '../../services/harvests';
+import { MONEDAS } from '../../services/exchangeRates';
+import { hoy } from '../../lib/fechas';
+
+const FORM_INICIAL = {
+  lot_id: '',
+  campaign_id: '',
+  crop: 'Soja',
+  harvest_date: hoy(),
+  harvested_area_ha: '',
+  gross_tonnes: '',
+  moisture_percent: '',
+  dockage_percent: '',
+  destination: 'ACOPIO',
+  destination_detail: '',
+  price_per_tonne: '',
+  currency: 'USD',
+  notes: ''
+};
+
+const formatNumero = (valor, decimales = 0) =>
+  valor === null || valor === undefined || Number.isNaN(Number(valor))
+    ? '-'
+    : Number(valor).toLocaleString('es-UY', { minimumFractionDigits: decimales, maximumFractionDigits: decimales });
+
+export default function HarvestManager({ selectedFirmId, selectedPremiseId }) {
+  const { user } = useAuth();
+
+  const [cosechas, setCosechas] = useState([]);
+  const [margenes, setMargenes] = useState([]);
+  const [lots, setLots] = useState([]);
+  const [campaigns, setCampaigns] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [campaignFilter, setCampaignFilter] = useState('');
+  const [moneda, setMoneda] = useState('USD');
+
+  const [showForm, setShowForm] = useState(false);
+  const [formData, setFormData] = useState(FORM_INICIAL);
+  const [saving, setSaving] = useState(false);
+
+  const [importando, setImportando] = useState(null); // { cosecha, archivo, procesado, formato, unidad }
+  const [procesandoArchivo, setProcesandoArchivo] = useState(false);
+
+  useEffect(() => {
+    if (selectedPremiseId) {
+      loadCatalogos();
+    }
+  }, [selectedPremiseId]);
+
+  useEffect(() => {
+    if (selectedPremiseId) {
+      loadCosechas();
+    } else {
+      setLoading(false);
+    }
+  }, [selectedPremiseId, campaignFilter, moneda]);
+
+  async function loadCatalogos() {
+    try {
+      const [{ data: lotsData }, { data: campaignsData }] = await Promise.all([
+        supabase
+          .from('lots')
+          .select('id, name, area_hectares, polygon_data')
+          .eq('premise_id', selectedPremiseId)
+          .eq('status', true)
+          .order('name'),
+        supabase
+          .from('campaigns')
+          .select('id, name')
+          .eq('firm_id', selectedFirmId)
+          .order('name')
+      ]);
+      setLots(lotsData || []);
+      setCampaigns(campaignsData || []);
+    } catch (err) {
+      console.error('Error loading harvest catalogs:', err);
+    }
+  }
+
+  async function loadCosechas() {
+    setLoading(true);
+    try {
+      const filtros = { campaignId: campaignFilter || null };
+      const [data, margenesData] = await Promise.all([
+        obtenerCosechas(selectedPremiseId, filtros),
+        obtenerMargenesCosecha(selectedPremiseId, { ...filtros, moneda })
+      ]);
+      setCosechas(data);
+      setMargenes(margenesData);
+    } catch (err) {
+      toast.error('Error cargando cosechas: ' + err.message);
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  const neto = calcularNetoCosecha({
+    cultivo: formData.crop,
+    toneladasBrutas: formData.gross_tonnes,
+    humedad: formData.moisture_percent,
+    merma: formData.dockage_percent
+  });
+  const rendimientoForm = parseFloat(formData.harvested_area_ha) > 0
+    ? (neto.toneladasNetas * 1000) / parseFloat(formData.harvested_area_ha)
+    : null;
+
+  function handleLotChange(lotId) {
+    const lote = lots.find((l) => l.id === lotId);
+    setFormData({
+      ...formData,
+      lot_id: lotId,
+      harvested_area_ha: formData.harvested_area_ha || lote?.area_hectares || ''
+    });
+  }
+
+  async function handleSubmit(e) {
+    e.preventDefault();
+    setSaving(true);
+    try {
+      await crearCosecha({
+        ...formData,
+        firm_id: selectedFirmId,
+        premise_id: selectedPremiseId
+      }, user?.id);
+      toast.success('✓ Cosecha registrada');
+      setShowForm(false);
+      setFormData(FORM_INICIAL);
+      loadCosechas();
+    } catch (err) {
+      toast.error(err.message);
+    } finally {
+      setSaving(false);
+    }
+  }
+
+  async function handleDelete(cosecha) {
+    if (!window.confirm(`¿Eliminar la cosecha de ${cosecha.crop} del ${cosecha.harvest_date}? También se eliminan sus mapas de rendimiento.`)) {
+      return;
+    }
+    try {
+      await eliminarCosecha(cosecha, user?.id);
+      toast.success('Cosecha eliminada');
+      loadCosechas();
+    } catch (err) {
+      toast.error(err.message);
+    }
+  }
+
+  async function handleFileSelected(cosecha, file) {
+    if (!file) return;
+    setProcesandoArchivo(true);
+    try {
+      const resultado = await parsearMonitorRendimiento(file, cosecha.crop);
+      if (resultado.errores.length > 0) {
+        toast.error(resultado.errores.join('. '));
+        return;
+      }
+      const lote = lots.find((l) => l.id === cosecha.lot_id);
+      const procesado = procesarPuntosRendimiento(resultado.puntos, lote?.polygon_data || null);
+      setImportando({
+        cosecha,
+        archivo: file.name,
+        formato: resultado.formato,
+        unidad: resultado.unidad,
+        sinPoligono: !lote?.polygon_data,
+        procesado
+      });
+    } catch (err) {
+      toast.error(err.message);
+    } finally {
+      setProcesandoArchivo(false);
+    }
+  }
+
+  async function handleConfirmImport() {
+    setProcesandoArchivo(true);
+    try {
+      await registrarMapaRendimiento(
+        importando.cosecha,
+        importando.procesado,
+        { nombreArchivo: importando.archivo, formato: importando.formato },
+        user?.id
+      );
+      toast.success('✓ Mapa de rendimiento importado. Actívelo en Lotes y Mapas → Mapa de Rendimiento');
+      setImportando(null);
+      loadCosechas();
+    } catch (err) {
+      toast.error(err.message);
+    } finally {
+      setProcesandoArchivo(false);
+    }
+  }
+
+  if (!selectedPremiseId) {
+    return (
+      <div className="bg-white rounded-xl border border-slate-200 p-12 text-center text-slate-500">
+        Selecciona un predio para registrar cosechas
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-6">
+      {/* Filtros y acciones */}
+      <div className="flex flex-wrap items-end justify-between gap-3">
+        <div className="flex gap-3">
+          <div>
+            <label className="block text-xs font-medium text-slate-500 mb-1">Campaña</label>
+            <select
+              data-id="harvest-filter-campaign"
+              value={campaignFilter}
+              onChange={(e) => setCampaignFilter(e.target.value)}
+              className="px-3 py-2 border border-slate-300 rounded-lg text-sm"
+            >
+              <option value="">Todas</option>
+              {campaigns.map((c) => (
+                <option key={c.id} value={c.id}>{c.name}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className="block text-xs font-medium text-slate-500 mb-1">Moneda márgenes</label>
+            <select
+              data-id="harvest-filter-currency"
+              value={moneda}
+              onChange={(e) => setMoneda(e.target.value)}
+              className="px-3 py-2 border border-slate-300 rounded-lg text-sm"
+            >
+              {MONEDAS.map((m) => (
+                <option key={m} value={m}>{m}</option>
+              ))}
+            </select>
+          </div>
+        </div>
+        <button
+          data-id="harvest-btn-new"
+          onClick={() => setShowForm(true)}
+          className="flex items-center gap-2 px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700 transition-colors shadow-sm"
+        >
+          <Plus size={20} />
+          <span>Nueva Cosecha</span>
+        </button>
+      </div>
+
+      {loading ? (
+        <div className="flex justify-center p-12">
+          <Loader className="animate-spin text-green-600" size={32} />
+        </div>
+      ) : (
+        <>
+          {/* Cosechas registradas */}
+          <Card>
+            <CardContent className="p-0 overflow-x-auto">
+              {cosechas.length === 0 ? (
+                <div className="p-12 text-center text-slate-500">
+                  <Wheat className="mx-auto mb-2 text-slate-300" size={40} />
+                  No hay cosechas registradas
+                </div>
+              ) : (
+                <table className="w-full text-sm">
+                  <thead className="bg-slate-50 text-slate-600">
+                    <tr>
+                      <th className="px-4 py-3 text-left font-medium">Fecha</th>
+                      <th className="px-4 py-3 text-left font-medium">Lote</th>
+                      <th className="px-4 py-3 text-left font-medium">Campaña</th>
+                      <th className="px-4 py-3 text-left font-medium">Cultivo</th>
+                      <th className="px-4 py-3 text-right font-medium">Ha</th>
+                      <th className="px-4 py-3 text-right font-medium">t brutas</th>
+                      <th className="px-4 py-3 text-right font-medium">Hum. %</th>
+                      <th className="px-4 py-3 text-right font-medium">Merma %</th>
+                      <th className="px-4 py-3 text-right font-medium">t netas</th>
+                      <th className="px-4 py-3 text-right font-medium">kg/ha</th>
+                      <th className="px-4 py-3 text-left font-medium">Destino</th>
+                      <th className="px-4 py-3 text-left font-medium">Mapa</th>
+                      <th className="px-4 py-3"></th>
+                    </tr>
+                  </thead>
+                  <tbody className="divide-y divide-slate-100">
+                    {cosechas.map((c) => {
+                      const mapa = (c.harvest_yield_maps || [])[0];
+                      return (
+                        <tr key={c.id} className="hover:bg-slate-50">
+                          <td className="px-4 py-3">{c.harvest_date}</td>
+                          <td className="px-4 py-3 font-medium">{c.lots?.name}</td>
+                          <td className="px-4 py-3">{c.campaigns?.name || '-'}</td>
+                          <td className="px-4 py-3">{c.crop}</td>
+                          <td className="px-4 py-3 text-right">{formatNumero(c.harvested_area_ha, 1)}</td>
+                          <td className="px-4 py-3 text-right">{formatNumero(c.gross_tonnes, 2)}</td>
+                          <td className="px-4 py-3 text-right">{formatNumero(c.moisture_percent, 1)}</td>
+                          <td className="px-4 py-3 text-right">{formatNumero(c.dockage_percent, 1)}</td>
+                          <td className="px-4 py-3 text-right font-medium">{formatNumero(c.net_tonnes, 2)}</td>
+                          <td className="px-4 py-3 text-right font-medium">{formatNumero(c.yield_kg_ha)}</td>
+                          <td className="px-4 py-3">
+                            <Badge variant="outline">{DESTINOS_COSECHA[c.destination]}</Badge>
+                            {c.destination_detail && (
+                              <p className="text-xs text-slate-500 mt-1">{c.destination_detail}</p>
+                            )}
+                          </td>
+                          <td className="px-4 py-3">
+                            {mapa ? (
+                              <span className="flex items-center gap-1 text-emerald-700" title={`${mapa.raw_points} puntos, ${mapa.discarded_points} descartados`}>
+                                <MapIcon size={14} />
+                                {formatNumero(mapa.mean_yield_kg_ha)} kg/ha
+                              </span>
+                            ) : (
+                              <span className="text-slate-400">Sin mapa</span>
+                            )}
+                          </td>
+                          <td className="px-4 py-3">
+                            <div className="flex justify-end gap-1">
+                              <label
+                                data-id={`harvest-btn-import-map-${c.id}`}
+                                className="p-1.5 text-blue-600 hover:bg-blue-50 rounded cursor-pointer"
+                                title="Importar monitor de rendimiento (CSV o Shapefile .zip)"
+                              >
+                                <Upload size={16} />
+                                <input
+                                  type="file"
+                                  accept=".csv,.txt,.zip"
+                                  className="hidden"
+                                  disabled={procesandoArchivo}
+                                  onChange={(e) => {
+                                    handleFileSelected(c, e.target.files?.[0]);
+                                    e.target.value = '';
+                                  }}
+                                />
+                              </label>
+                              <button
+                                data-id={`harvest-btn-delete-${c.id}`}
+                                onClick={() => handleDelete(c)}
+                                className="p-1.5 text-red-600 hover:bg-red-50 rounded"
+                                title="Eliminar cosecha"
+                              >
+                                <Trash2 size={16} />
+                              </button>
+                            </div>
+                          </td>
+                        </tr>
+                      );
+                    })}
+                  </tbody>
+                </table>
+              )}
+            </CardContent>
+          </Card>
+
+          {/* Margen real por lote y campaña */}
+          {margenes.length > 0 && (
+            <Card>
+              <CardContent className="p-0 overflow-x-auto">
+                <div className="px-4 py-3 border-b border-slate-200">
+                  <h3 className="font-semibold text-slate-800">Margen real por lote y campaña ({moneda})</h3>
+                  <p className="text-xs text-slate-500">
+                    Ingresos: toneladas netas × precio de la cosecha. Costos: trabajos agrícolas aprobados o cerrados del lote y campaña.
+                  </p>
+                </div>
+                <table className="w-full text-sm">
+                  <thead className="bg-slate-50 text-slate-600">
+                    <tr>
+                      <th className="px-4 py-3 text-left font-medium">Lote</th>
+                      <th className="px-4 py-3 text-left font-medium">Campaña</th>
+                      <th className="px-4 py-3 text-left font-medium">Cultivo</th>
+                      <th className="px-4 py-3 text-right font-medium">Real kg/ha</th>
+                      <th className="px-4 py-3 text-right font-medium">Proyectado kg/ha</th>
+                      <th className="px-4 py-3 text-right font-medium">Brecha</th>
+                      <th className="px-4 py-3 text-right font-medium">Ingresos</th>
+                      <th className="px-4 py-3 text-right font-medium">Costos</th>
+                      <th className="px-4 py-3 text-right font-medium">Margen</th>
+                      <th className="px-4 py-3 text-right font-medium">Margen/ha</th>
+                      <th className="px-4 py-3 text-right font-medium">ROI</th>
+                    </tr>
+                  </thead>
+                  <tbody className="divide-y divide-slate-100">
+                    {margenes.map((m) => (
+                      <tr key={`${m.lot_id}-${m.campaign_id || m.fecha_cosecha}`} className="hover:bg-slate-50">
+                        <td className="px-4 py-3 font-medium">{m.lote}</td>
+                        <td className="px-4 py-3">{m.campania}</td>
+                        <td className="px-4 py-3">{m.cultivo}</td>
+                        <td className="px-4 py-3 text-right">{formatNumero(m.rendimiento_real_kg_ha)}</td>
+                        <td className="px-4 py-3 text-right">{formatNumero(m.rendimiento_proyectado_kg_ha)}</td>
+                        <td className={`px-4 py-3 text-right ${m.brecha_rendimiento_pct < 0 ? 'text-red-600' : 'text-emerald-600'}`}>
+                          {m.brecha_rendimiento_pct !== null ? `${m.brecha_rendimiento_pct > 0 ? '+' : ''}${m.brecha_rendimiento_pct}%` : '-'}
+                        </td>
+                        <td className="px-4 py-3 text-right">
+                          {formatNumero(m.ingresos)}
+                          {m.sin_precio && <span className="text-amber-600" title="Hay cosechas sin precio por tonelada"> *</span>}
+                        </td>
+                        <td className="px-4 py-3 text-right">{formatNumero(m.costos)}</td>
+                        <td className={`px-4 py-3 text-right font-semibold ${m.margen < 0 ? 'text-red-600' : 'text-slate-900'}`}>
+                          {formatNumero(m.margen)}
+                        </td>
+                        <td className="px-4 py-3 text-right">{formatNumero(m.eficiencia.margin_per_unit_area)}</td>
+                        <td className="px-4 py-3 text-right">{formatNumero(m.eficiencia.roi_percent, 1)}%</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </CardContent>
+            </Card>
+          )}
+        </>
+      )}
+
+      {/* Modal: Nueva cosecha */}
+      {showForm && (
+        <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50 p-4 overflow-y-auto">
+          <form
+            data-id="harvest-form-modal"
+            onSubmit={handleSubmit}
+            className="bg-white rounded-lg shadow-xl max-w-2xl w-full my-8"
+          >
+            <div className="p-6 border-b border-slate-200 flex items-center justify-between">
+              <div className="flex items-center gap-3">
+                <Wheat className="w-6 h-6 text-amber-500" />
+                <h3 className="text-lg font-bold text-slate-900">Registrar Cosecha</h3>
+              </div>
+              <button type="button" onClick={() => setShowForm(false)} className="text-slate-400 hover:text-slate-600">
+                <X size={20} />
+              </button>
+            </div>
+
+            <div className="p-6 grid grid-cols-2 gap-4">
+              <div>
+                <label className="block text-sm font-medium text-slate-700 mb-1">Lote *</label>
+                <select
+                  required
+                  value={formData.lot_id}
+                  onChange={(e) => handleLotChange(e.target.value)}
+                  className="w-full px-3 py-2 border border-slate-300 rounded-lg"
+                >
+                  <option value="">Seleccionar...</option>
+                  {lots.map((l) => (
+                    <option key={l.id} value={l.id}>{l.name}</option>
+                  ))}
+                </select>
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-slate-700 mb-1">Campaña</label>
+                <select
+                  value={formData.campaign_id}
+                  onChange={(e) => setFormData({ ...formData, campaign_id: e.target.value })}
+                  className="w-full px-3 py-2 border border-slate-300 rounded-lg"
+                >
+                  <option value="">Sin campaña</option>
+                  {campaigns.map((c) => (
+                    <option key={c.id} value={c.id}>{c.name}</option>
+                  ))}
+                </select>
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-slate-700 mb-1">Cultivo *</label>
+                <select
+                  value={formData.crop}
+                  onChange={(e) => setFormData({ ...formData, crop: e.target.value })}
+                  className="w-full px-3 py-2 border border-slate-300 rounded-lg"
+                >
+                  {Object.keys(CULTIVOS_COSECHA).map((cultivo) => (
+                    <option key={cultivo} value={cultivo}>{cultivo}</option>
+                  ))}
+                </select>
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-slate-700 mb-1">Fecha de cosecha *</label>
+                <input
+                  type="date"
+                  required
+                  value={formData.harvest_date}
+                  onChange={(e) => setFormData({ ...formData, harvest_date: e.target.value })}
+                  className="w-full px-3 py-2 border border-slate-300 rounded-lg"
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-slate-700 mb-1">Superficie cosechada (ha) *</label>
+                <input
+                  type="number"
+                  step="0.01"
+                  min="0"
+                  required
+                  value={formData.harvested_area_ha}
+                  onChange={(e) => setFormData({ ...formData, harvested_area_ha: e.target.value })}
+                  className="w-full px-3 py-2 border border-slate-300 rounded-lg"
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-slate-700 mb-1">Toneladas brutas (balanza) *</label>
+                <input
+                  type="number"
+                  step="0.001"
+                  min="0"
+                  required
+                  value={formData.gross_tonnes}
+                  onChange={(e) => setFormData({ ...formData, gross_tonnes: e.target.value })}
+                  className="w-full px-3 py-2 border border-slate-300 rounded-lg"
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-slate-700 mb-1">
+                  Humedad (%) {neto.humedadBase !== null && <span className="text-slate-400">· base {neto.humedadBase}%</span>}
+                </label>
+                <input
+                  type="number"
+                  step="0.1"
+                  min="0"
+                  max="99"
+                  value={formData.moisture_percent}
+                  onChange={(e) => setFormData({ ...formData, moisture_percent: e.target.value })}
+                  className="w-full px-3 py-2 border border-slate-300 rounded-lg"
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-slate-700 mb-1">Merma (%)</label>
+                <input
+                  type="number"
+                  step="0.1"
+                  min="0"
+                  max="99"
+                  value={formData.dockage_percent}
+                  onChange={(e) => setFormData({ ...formData, dockage_percent: e.target.value })}
+                  className="w-full px-3 py-2 border border-slate-300 rounded-lg"
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-slate-700 mb-1">Destino *</label>
+                <select
+                  value={formData.destination}
+                  onChange={(e) => setFormData({ ...formData, destination: e.target.value })}
+                  className="w-full px-3 py-2 border border-slate-300 rounded-lg"
+                >
+                  {Object.entries(DESTINOS_COSECHA).map(([valor, label]) => (
+                    <option key={valor} value={valor}>{label}</option>
+                  ))}
+                </select>
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-slate-700 mb-1">
+                  {formData.destination === 'SILO_BOLSA' ? 'Identificación del silo' : formData.destination === 'ACOPIO' ? 'Acopio / planta' : 'Comprador'}
+                </label>
+                <input
+                  type="text"
+                  value={formData.destination_detail}
+                  onChange={(e) => setFormData({ ...formData, destination_detail: e.target.value })}
+                  className="w-full px-3 py-2 border border-slate-300 rounded-lg"
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-slate-700 mb-1">Precio por tonelada</label>
+                <input
+                  type="number"
+                  step="0.01"
+                  min="0"
+                  value={formData.price_per_tonne}
+                  onChange={(e) => setFormData({ ...formData, price_per_tonne: e.target.value })}
+                  className="w-full px-3 py-2 border border-slate-300 rounded-lg"
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-slate-700 mb-1">Moneda</label>
+                <select
+                  value={formData.currency}
+                  onChange={(e) => setFormData({ ...formData, currency: e.target.value })}
+                  className="w-full px-3 py-2 border border-slate-300 rounded-lg"
+                >
+                  {MONEDAS.map((m) => (
+                    <option key={m} value={m}>{m}</option>
+                  ))}
+                </select>
+              </div>
+              <div className="col-span-2">
+                <label className="block text-sm font-medium text-slate-700 mb-1">Notas</label>
+                <textarea
+                  rows="2"
+                  value={formData.notes}
+                  onChange={(e) => setFormData({ ...formData, notes: e.target.value })}
+                  className="w-full px-3 py-2 border border-slate-300 rounded-lg resize-none"
+                />
+              </div>
+
+              <div className="col-span-2 grid grid-cols-3 gap-4 bg-amber-50 border border-amber-200 rounded-lg p-3 text-sm">
+                <div>
+                  <p className="text-xs text-slate-500">Factor humedad</p>
+                  <p className="font-semibold">{formatNumero(neto.factorHumedad, 4)}</p>
+                </div>
+                <div>
+                  <p className="text-xs text-slate-500">Toneladas netas</p>
+                  <p className="font-semibold">{formatNumero(neto.toneladasNetas, 3)} t</p>
+                </div>
+                <div>
+                  <p className="text-xs text-slate-500">Rendimiento</p>
+                  <p className="font-semibold">{formatNumero(rendimientoForm)} kg/ha</p>
+                </div>
+              </div>
+            </div>
+
+            <div className="p-4 border-t border-slate-200 flex justify-end gap-3">
+              <Button type="button" variant="ghost" onClick={() => setShowForm(false)} disabled={saving}>
+                Cancelar
+              </Button>
+              <Button data-id="harvest-form-btn-save" type="submit" disabled={saving}>
+                {saving ? <Loader className="w-4 h-4 mr-1 animate-spin" /> : null}
+                Registrar Cosecha
+              </Button>
+            </div>
+          </form>
+        </div>
+      )}
+
+      {/* Modal: Confirmar importación del monitor de rendimiento */}
+      {importando && (
+        <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50 p-4">
+          <div data-id="harvest-import-map-modal" className="bg-white rounded-lg shadow-xl max-w-md w-full">
+            <div className="p-6 border-b border-slate-200">
+              <div className="flex items-center gap-3">
+                <MapIcon className="w-6 h-6 text-blue-500" />
+                <h3 className="text-lg font-bold text-slate-900">Importar Mapa de Rendimiento</h3>
+              </div>
+              <p className="text-sm text-slate-500 mt-1">
+                {importando.archivo} · {importando.cosecha.lots?.name} · {importando.cosecha.crop}
+              </p>
+            </div>
+
+            <div className="p-6 space-y-2 text-sm">
+              <p><span className="text-slate-500">Unidad detectada:</span> {importando.unidad}</p>
+              <p><span className="text-slate-500">Puntos leídos:</span> {formatNumero(importando.procesado.crudos)}</p>
+              <p>
+                <span className="text-slate-500">Puntos descartados:</span> {formatNumero(importando.procesado.descartados)}
+                <span className="text-xs text-slate-400"> (sin rendimiento, fuera del lote o atípicos)</span>
+              </p>
+              <p><span className="text-slate-500">Celdas de {importando.procesado.tamanoCeldaM} m:</span> {formatNumero(importando.procesado.celdas.length)}</p>
+              <p>
+                <span className="text-slate-500">Rendimiento medio del monitor:</span> {formatNumero(importando.procesado.media)} kg/ha
+                <span className="text-slate-400"> · balanza {formatNumero(importando.cosecha.yield_kg_ha)} kg/ha</span>
+              </p>
+              {importando.sinPoligono && (
+                <p className="text-amber-600">El lote no tiene polígono: no se filtraron puntos fuera del lote.</p>
+              )}
+              {importando.procesado.celdas.length === 0 && (
+                <p className="text-red-600">No quedaron puntos válidos para el mapa.</p>
+              )}
+            </div>
+
+            <div className="p-4 border-t border-slate-200 flex justify-end gap-3">
+              <Button variant="ghost" onClick={() => setImportando(null)} disabled={procesandoArchivo}>
+                Cancelar
+              </Button>
+              <Button
+                data-id="harvest-import-map-btn-confirm"
+                onClick={handleConfirmImport}
+                disabled={procesandoArchivo || importando.procesado.celdas.length === 0}
+              >
+                {procesandoArchivo ? <Loader className="w-4 h-4 mr-1 animate-spin" /> : null}
+                Importar
+              </Button>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,894 @@
+/**
+ * MÓDULO 06: TRABAJOS Y PROYECCIONES
+ * Componente del registro de aplicaciones fitosanitarias
+ *
+ * Funcionalidad:
+ * - Registrar aplicaciones con aplicador, carnet, máquina, pico, caudal y condiciones meteorológicas
+ * - Reingreso y carencia calculados desde el producto (inputs)
+ * - Control de distancia del lote a cursos de agua, escuelas y viviendas dibujados en el mapa del predio
+ * - Exportar el registro para certificadoras
+ */
+
+import React, { useState, useEffect } from 'react';
+import { MapContainer, TileLayer, Polygon } from 'react-leaflet';
+import { bbox, featureCollection, feature } from '@turf/turf';
+import { supabase } from '../../lib/supabase';
+import { useAuth } from '../../contexts/AuthContext';
+import { Plus, Trash2, Loader, SprayCan, Download, AlertTriangle, X } from 'lucide-react';
+import { toast } from 'sonner';
+import { Card, CardContent } from '../ui/card';
+import { Button } from '../ui/button';
+import { Badge } from '../ui/badge';
+import { ZonasSensiblesLayer } from '../mapas/ZonasSensiblesLayer';
+import { BASE_LAYERS } from '../../lib/mapLayers.config';
+import { aGeometriaGeoJSON, aPosicionesLeaflet } from '../../services/geospatial';
+import { obtenerInsumosPorCategoria } from '../../services/inputs';
+import { obtenerMaquinaria } from '../../services/machinery';
+import {
+  TIPOS_ZONA_SENSIBLE,
+  DIRECCIONES_VIENTO,
+  LIMITES_CONDICIONES,
+  ADVERTENCIAS_CONDICIONES,
+  evaluarCondiciones,
+  calcularIntervalos,
+  verificarDistanciasSensibles,
+  obtenerZonasSensibles,
+  obtenerAplicaciones,
+  obtenerTrabajosFitosanitarios,
+  crearAplicacion,
+  eliminarAplicacion,
+  exportarRegistroAplicacionesXLSX
+} from '../../services/sprayRecords';
+import { hoy } from '../../lib/fechas';
+import '../../lib/leafletConfig';
+
+const UNIDADES_DOSIS = ['L/ha', 'cc/ha', 'kg/ha', 'g/ha'];
+
+const FORM_INICIAL = {
+  lot_id: '',
+  work_id: '',
+  input_id: '',
+  dose_per_ha: '',
+  dose_unit: 'L/ha',
+  treated_area_ha: '',
+  crop: '',
+  target_pest: '',
+  application_date: hoy(),
+  start_time: '',
+  end_time: '',
+  applicator_name: '',
+  applicator_licence: '',
+  machinery_id: '',
+  machine_description: '',
+  nozzle_type: '',
+  pressure_bar: '',
+  volume_l_ha: '',
+  wind_speed_kmh: '',
+  wind_direction: 'N',
+  temperature_c: '',
+  relative_humidity: '',
+  warnings_acknowledged: false,
+  notes: ''
+};
+
+const formatNumero = (valor, decimales = 0) =>
+  valor === null || valor === undefined || Number.isNaN(Number(valor))
+    ? '-'
+    : Number(valor).toLocaleString('es-UY', { minimumFractionDigits: decimales, maximumFractionDigits: decimales });
+
+const formatFechaHora = (iso) =>
+  iso ? new Date(iso).toLocaleString('es-UY', { dateStyle: 'short', timeStyle: 'short' }) : '-';
+
+// "L" → "L/ha" para precargar la unidad de dosis desde el insumo
+function unidadDosis(unidad) {
+  const candidata = `${unidad}/ha`;
+  return UNIDADES_DOSIS.includes(candidata) ? candidata : 'L/ha';
+}
+
+// Encuadre del mini mapa: el lote y las zonas sensibles que quedan dentro del resguardo
+function limitesControl(lote, zonas) {
+  const geometria = aGeometriaGeoJSON(lote?.polygon_data);
+  if (!geometria) return null;
+  const [minLng, minLat, maxLng, maxLat] = bbox(featureCollection([
+    feature(geometria),
+    ...zonas.map((zona) => feature(zona.geometry))
+  ]));
+  return [[minLat, minLng], [maxLat, maxLng]];
+}
+
+export default function SprayRecordManager({ selectedFirmId, selectedPremiseId }) {
+  const { user } = useAuth();
+
+  const [aplicaciones, setAplicaciones] = useState([]);
+  const [lots, setLots] = useState([]);
+  const [productos, setProductos] = useState([]);
+  const [maquinas, setMaquinas] = useState([]);
+  const [zonasSensibles, setZonasSensibles] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [filtros, setFiltros] = useState({ lotId: '', desde: '', hasta: '' });
+
+  const [showForm, setShowForm] = useState(false);
+  const [formData, setFormData] = useState(FORM_INICIAL);
+  const [trabajosLote, setTrabajosLote] = useState([]);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    if (selectedPremiseId) {
+      loadCatalogos();
+    }
+  }, [selectedPremiseId]);
+
+  useEffect(() => {
+    if (selectedPremiseId) {
+      loadAplicaciones();
+    } else {
+      setLoading(false);
+    }
+  }, [selectedPremiseId, filtros]);
+
+  async function loadCatalogos() {
+    try {
+      const [{ data: lotsData }, { data: productosData }, maquinasData, zonasData] = await Promise.all([
+        supabase
+          .from('lots')
+          .select('id, name, area_hectares, polygon_data')
+          .eq('premise_id', selectedPremiseId)
+          .eq('status', true)
+          .order('name'),
+        obtenerInsumosPorCategoria(selectedFirmId, 'phytosanitary'),
+        obtenerMaquinaria(selectedFirmId),
+        obtenerZonasSensibles(selectedPremiseId)
+      ]);
+      setLots(lotsData || []);
+      setProductos(productosData);
+      setMaquinas(maquinasData || []);
+      setZonasSensibles(zonasData);
+    } catch (err) {
+      console.error('Error loading spray record catalogs:', err);
+    }
+  }
+
+  async function loadAplicaciones() {
+    setLoading(true);
+    try {
+      const data = await obtenerAplicaciones(selectedPremiseId, {
+        lotId: filtros.lotId || null,
+        desde: filtros.desde || null,
+        hasta: filtros.hasta || null
+      });
+      setAplicaciones(data);
+    } catch (err) {
+      toast.error('Error cargando aplicaciones: ' + err.message);
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  const loteForm = lots.find((l) => l.id === formData.lot_id) || null;
+  const productoForm = productos.find((p) => p.id === formData.input_id) || null;
+  const intervalos = calcularIntervalos(productoForm, formData.application_date, formData.end_time);
+  const advertenciasCondiciones = evaluarCondiciones({
+    viento: formData.wind_speed_kmh,
+    temperatura: formData.temperature_c,
+    humedad: formData.relative_humidity
+  });
+  const advertenciasDistancia = loteForm
+    ? verificarDistanciasSensibles(loteForm.polygon_data, zonasSensibles, formData.wind_direction)
+    : [];
+  const hayAdvertencias = advertenciasCondiciones.length > 0 || advertenciasDistancia.length > 0;
+  const zonasAdvertidas = zonasSensibles.filter((z) => advertenciasDistancia.some((a) => a.area_id === z.id));
+  const limitesMapa = loteForm ? limitesControl(loteForm, zonasAdvertidas) : null;
+
+  async function handleLotChange(lotId) {
+    const lote = lots.find((l) => l.id === lotId);
+    setFormData({
+      ...formData,
+      lot_id: lotId,
+      work_id: '',
+      treated_area_ha: lote?.area_hectares || '',
+      warnings_acknowledged: false
+    });
+    setTrabajosLote([]);
+    if (!lotId) return;
+    try {
+      setTrabajosLote(await obtenerTrabajosFitosanitarios(lotId));
+    } catch (err) {
+      console.error('Error loading phytosanitary works:', err);
+    }
+  }
+
+  function handleWorkChange(workId) {
+    const trabajo = trabajosLote.find((t) => t.id === workId);
+    if (!trabajo) {
+      setFormData({ ...formData, work_id: '' });
+      return;
+    }
+    const insumo = trabajo.fitosanitarios[0];
+    const superficie = parseFloat(trabajo.hectares) || parseFloat(formData.treated_area_ha) || '';
+    const cantidad = parseFloat(insumo.quantity_applied || insumo.quantity_projected);
+    const dosis = insumo.dose_applied || insumo.dose_projected || (cantidad > 0 && superficie > 0 ? cantidad / superficie : '');
+    setFormData({
+      ...formData,
+      work_id: workId,
+      application_date: trabajo.date || formData.application_date,
+      treated_area_ha: superficie,
+      input_id: insumo.input_id,
+      dose_per_ha: dosis ? Math.round(dosis * 1000) / 1000 : '',
+      dose_unit: unidadDosis(insumo.unit || insumo.inputs?.unit)
+    });
+  }
+
+  function handleProductoChange(inputId) {
+    const producto = productos.find((p) => p.id === inputId);
+    setFormData({
+      ...formData,
+      input_id: inputId,
+      dose_unit: producto ? unidadDosis(producto.unit) : formData.dose_unit
+    });
+  }
+
+  async function handleSubmit(e) {
+    e.preventDefault();
+    setSaving(true);
+    try {
+      await crearAplicacion({
+        ...formData,
+        firm_id: selectedFirmId,
+        premise_id: selectedPremiseId
+      }, loteForm, user?.id);
+      toast.success('✓ Aplicación registrada');
+      setShowForm(false);
+      setFormData(FORM_INICIAL);
+      setTrabajosLote([]);
+      loadAplicaciones();
+    } catch (err) {
+      toast.error(err.message);
+    } finally {
+      setSaving(false);
+    }
+  }
+
+  async function handleDelete(aplicacion) {
+    if (!window.confirm(`¿Eliminar la aplicación de ${aplicacion.product_name} del ${aplicacion.application_date}?`)) {
+      return;
+    }
+    try {
+      await eliminarAplicacion(aplicacion, user?.id);
+      toast.success('Aplicación eliminada');
+      loadAplicaciones();
+    } catch (err) {
+      toast.error(err.message);
+    }
+  }
+
+  function handleExport() {
+    try {
+      exportarRegistroAplicacionesXLSX(aplicaciones);
+      toast.success('✓ Registro exportado');
+    } catch (err) {
+      toast.error('Error exportando: ' + err.message);
+    }
+  }
+
+  if (!selectedPremiseId) {
+    return (
+      <div className="bg-white rounded-xl border border-slate-200 p-12 text-center text-slate-500">
+        Selecciona un predio para registrar aplicaciones
+      </div>
+    );
+  }
+
+  const ahora = new Date();
+
+  return (
+    <div className="space-y-6">
+      {/* Filtros y acciones */}
+      <div className="flex flex-wrap items-end justify-between gap-3">
+        <div className="flex gap-3">
+          <div>
+            <label className="block text-xs font-medium text-slate-500 mb-1">Lote</label>
+            <select
+              data-id="spray-filter-lot"
+              value={filtros.lotId}
+              onChange={(e) => setFiltros({ ...filtros, lotId: e.target.value })}
+              className="px-3 py-2 border border-slate-300 rounded-lg text-sm"
+            >
+              <option value="">Todos</option>
+              {lots.map((l) => (
+                <option key={l.id} value={l.id}>{l.name}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className="block text-xs font-medium text-slate-500 mb-1">Desde</label>
+            <input
+              data-id="spray-filter-from"
+              type="date"
+              value={filtros.desde}
+              onChange={(e) => setFiltros({ ...filtros, desde: e.target.value })}
+              className="px-3 py-2 border border-slate-300 rounded-lg text-sm"
+            />
+          </div>
+          <div>
+            <label className="block text-xs font-medium text-slate-500 mb-1">Hasta</label>
+            <input
+              data-id="spray-filter-to"
+              type="date"
+              value={filtros.hasta}
+              onChange={(e) => setFiltros({ ...filtros, hasta: e.target.value })}
+              className="px-3 py-2 border border-slate-300 rounded-lg text-sm"
+            />
+          </div>
+        </div>
+        <div className="flex gap-2">
+          <button
+            data-id="spray-btn-export"
+            onClick={handleExport}
+            disabled={aplicaciones.length === 0}
+            className="flex items-center gap-2 px-4 py-2 bg-white border border-slate-300 text-slate-700 rounded-lg hover:bg-slate-50 transition-colors shadow-sm disabled:opacity-50"
+          >
+            <Download size={18} />
+            <span>Exportar Registro</span>
+          </button>
+          <button
+            data-id="spray-btn-new"
+            onClick={() => setShowForm(true)}
+            className="flex items-center gap-2 px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700 transition-colors shadow-sm"
+          >
+            <Plus size={20} />
+            <span>Nueva Aplicación</span>
+          </button>
+        </div>
+      </div>
+
+      {loading ? (
+        <div className="flex justify-center p-12">
+          <Loader className="animate-spin text-green-600" size={32} />
+        </div>
+      ) : (
+        <Card>
+          <CardContent className="p-0 overflow-x-auto">
+            {aplicaciones.length === 0 ? (
+              <div className="p-12 text-center text-slate-500">
+                <SprayCan className="mx-auto mb-2 text-slate-300" size={40} />
+                No hay aplicaciones registradas
+              </div>
+            ) : (
+              <table className="w-full text-sm">
+                <thead className="bg-slate-50 text-slate-600">
+                  <tr>
+                    <th className="px-4 py-3 text-left font-medium">Fecha</th>
+                    <th className="px-4 py-3 text-left font-medium">Lote</th>
+                    <th className="px-4 py-3 text-left font-medium">Producto</th>
+                    <th className="px-4 py-3 text-right font-medium">Ha</th>
+                    <th className="px-4 py-3 text-left font-medium">Aplicador</th>
+                    <th className="px-4 py-3 text-left font-medium">Equipo</th>
+                    <th className="px-4 py-3 text-left font-medium">Condiciones</th>
+                    <th className="px-4 py-3 text-left font-medium">Reingreso</th>
+                    <th className="px-4 py-3 text-left font-medium">Cosecha desde</th>
+                    <th className="px-4 py-3 text-left font-medium">Resguardo</th>
+                    <th className="px-4 py-3"></th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-slate-100">
+                  {aplicaciones.map((a) => {
+                    const reingresoVigente = a.reentry_until && new Date(a.reentry_until) > ahora;
+                    const carenciaVigente = a.harvest_allowed_from && a.harvest_allowed_from > hoy();
+                    const condiciones = a.condition_warnings || [];
+                    const resguardos = a.buffer_warnings || [];
+                    return (
+                      <tr key={a.id} className="hover:bg-slate-50 align-top">
+                        <td className="px-4 py-3">
+                          {a.application_date}
+                          {a.start_time && (
+                            <p className="text-xs text-slate-500">
+                              {a.start_time.slice(0, 5)}{a.end_time && ` - ${a.end_time.slice(0, 5)}`}
+                            </p>
+                          )}
+                        </td>
+                        <td className="px-4 py-3 font-medium">{a.lots?.name}</td>
+                        <td className="px-4 py-3">
+                          <p className="font-medium">{a.product_name}</p>
+                          <p className="text-xs text-slate-500">
+                            {formatNumero(a.dose_per_ha, 2)} {a.dose_unit}
+                            {a.target_pest && ` · ${a.target_pest}`}
+                          </p>
+                        </td>
+                        <td className="px-4 py-3 text-right">{formatNumero(a.treated_area_ha, 1)}</td>
+                        <td className="px-4 py-3">
+                          {a.applicator_name}
+                          <p className="text-xs text-slate-500">Carnet {a.applicator_licence}</p>
+                        </td>
+                        <td className="px-4 py-3">
+                          {a.machinery ? a.machinery.name : (a.machine_description || '-')}
+                          <p className="text-xs text-slate-500">
+                            {a.nozzle_type && `${a.nozzle_type} · `}{formatNumero(a.volume_l_ha)} L/ha
+                          </p>
+                        </td>
+                        <td className="px-4 py-3">
+                          <span className={condiciones.length > 0 ? 'text-amber-700' : ''}>
+                            {formatNumero(a.wind_speed_kmh, 1)} km/h {a.wind_direction}
+                          </span>
+                          <p className="text-xs text-slate-500">
+                            {formatNumero(a.temperature_c, 1)} °C · HR {formatNumero(a.relative_humidity)}%
+                          </p>
+                          {condiciones.length > 0 && (
+                            <p
+                              className="text-xs text-amber-700 flex items-center gap-1"
+                              title={condiciones.map((c) => ADVERTENCIAS_CONDICIONES[c] || c).join('\n')}
+                            >
+                              <AlertTriangle size={12} />
+                              {condiciones.length} fuera de rango
+                            </p>
+                          )}
+                        </td>
+                        <td className="px-4 py-3">
+                          {a.reentry_until ? (
+                            <span className={reingresoVigente ? 'text-red-600 font-medium' : 'text-slate-600'}>
+                              {formatFechaHora(a.reentry_until)}
+                            </span>
+                          ) : (
+                            <span className="text-slate-400">Sin dato</span>
+                          )}
+                        </td>
+                        <td className="px-4 py-3">
+                          {a.harvest_allowed_from ? (
+                            <span className={carenciaVigente ? 'text-red-600 font-medium' : 'text-slate-600'}>
+                              {a.harvest_allowed_from}
+                            </span>
+                          ) : (
+                            <span className="text-slate-400">Sin dato</span>
+                          )}
+                        </td>
+                        <td className="px-4 py-3">
+                          {resguardos.length === 0 ? (
+                            <Badge variant="outline" className="text-emerald-700 border-emerald-200">OK</Badge>
+                          ) : (
+                            resguardos.map((z) => (
+                              <Badge
+                                key={z.area_id}
+                                variant="outline"
+                                className="text-red-700 border-red-200 mr-1 mb-1"
+                                title={`${TIPOS_ZONA_SENSIBLE[z.area_type]?.etiqueta || z.area_type}: ${z.distance_m} m de ${z.buffer_m} m${z.downwind ? ' · a sotavento' : ''}`}
+                              >
+                                {z.name} {z.distance_m} m
+                              </Badge>
+                            ))
+                          )}
+                        </td>
+                        <td className="px-4 py-3">
+                          <div className="flex justify-end">
+                            <button
+                              data-id={`spray-btn-delete-${a.id}`}
+                              onClick={() => handleDelete(a)}
+                              className="p-1.5 text-red-600 hover:bg-red-50 rounded"
+                              title="Eliminar aplicación"
+                            >
+                              <Trash2 size={16} />
+                            </button>
+                          </div>
+                        </td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+            )}
+          </CardContent>
+        </Card>
+      )}
+
+      {/* Modal: Nueva aplicación */}
+      {showForm && (
+        <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50 p-4 overflow-y-auto">
+          <form
+            data-id="spray-form-modal"
+            onSubmit={handleSubmit}
+            className="bg-white rounded-lg shadow-xl max-w-3xl w-full my-8"
+          >
+            <div className="p-6 border-b border-slate-200 flex items-center justify-between">
+              <div className="flex items-center gap-3">
+                <SprayCan className="w-6 h-6 text-green-600" />
+                <h3 className="text-lg font-bold text-slate-900">Registrar Aplicación Fitosanitaria</h3>
+              </div>
+              <button type="button" onClick={() => setShowForm(false)} className="text-slate-400 hover:text-slate-600">
+                <X size={20} />
+              </button>
+            </div>
+
+            <div className="p-6 grid grid-cols-2 gap-4">
+              {/* Lote y producto */}
+              <div>
+                <label className="block text-sm font-medium text-slate-700 mb-1">Lote *</label>
+                <select
+                  required
+                  value={formData.lot_id}
+                  onChange={(e) => handleLotChange(e.target.value)}
+                  className="w-full px-3 py-2 border border-slate-300 rounded-lg"
+                >
+                  <option value="">Seleccionar...</option>
+                  {lots.map((l) => (
+                    <option key={l.id} value={l.id}>{l.name}</option>
+                  ))}
+                </select>
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-slate-700 mb-1">Trabajo agrícola</label>
+                <select
+                  value={formData.work_id}
+                  onChange={(e) => handleWorkChange(e.target.value)}
+                  disabled={trabajosLote.length === 0}
+                  className="w-full px-3 py-2 border border-slate-300 rounded-lg disabled:bg-slate-50"
+                >
+                  <option value="">{trabajosLote.length === 0 ? 'Sin trabajos con fitosanitarios' : 'Sin vincular'}</option>
+                  {trabajosLote.map((t) => (
+                    <option key={t.id} value={t.id}>
+                      {t.date} · {t.work_type} · {t.fitosanitarios.map((f) => f.inputs?.name).join(', ')}
+                    </option>
+                  ))}
+                </select>
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-slate-700 mb-1">Producto *</label>
+                <select
+                  required
+                  value={formData.input_id}
+                  onChange={(e) => handleProductoChange(e.target.value)}
+                  className="w-full px-3 py-2 border border-slate-300 rounded-lg"
+                >
+                  <option value="">Seleccionar...</option>
+                  {productos.map((p) => (
+                    <option key={p.id} value={p.id}>
+                      {p.name}{p.active_ingredient ? ` (${p.active_ingredient})` : ''}
+                    </option>
+                  ))}
+                </select>
+              </div>
+              <div className="grid grid-cols-2 gap-2">
+                <div>
+                  <label className="block text-sm font-medium text-slate-700 mb-1">Dosis *</label>
+                  <input
+                    type="number"
+                    step="0.001"
+                    min="0"
+                    required
+                    value={formData.dose_per_ha}
+                    onChange={(e) => setFormData({ ...formData, dose_per_ha: e.target.value })}
+                    className="w-full px-3 py-2 border border-slate-300 rounded-lg"
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-slate-700 mb-1">Unidad</label>
+                  <select
+                    value={formData.dose_unit}
+                    onChange={(e) => setFormData({ ...formData, dose_unit: e.target.value })}
+                    className="w-full px-3 py-2 border border-slate-300 rounded-lg"
+                  >
+                    {UNIDADES_DOSIS.map((u) => (
+                      <option key={u} value={u}>{u}</option>
+                    ))}
+                  </select>
+                </div>
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-slate-700 mb-1">Superficie tratada (ha) *</label>
+                <input
+                  type="number"
+                  step="0.01"
+                  min="0"
+                  required
+                  value={formData.treated_area_ha}
+                  onChange={(e) => setFormData({ ...formData, treated_area_ha: e.target.value })}
+                  className="w-full px-3 py-2 border border-slate-300 rounded-lg"
+                />
+              </div>
+              <div className="grid grid-cols-2 gap-2">
+                <div>
+                  <label className="block text-sm font-medium text-slate-700 mb-1">Cultivo</label>
+                  <input
+                    type="text"
+                    value={formData.crop}
+                    onChange={(e) => setFormData({ ...formData, crop: e.target.value })}
+                    className="w-full px-3 py-2 border border-slate-300 rounded-lg"
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-slate-700 mb-1">Plaga / objetivo</label>
+                  <input
+                    type="text"
+                    value={formData.target_pest}
+                    onChange={(e) => setFormData({ ...formData, target_pest: e.target.value })}
+                    className="w-full px-3 py-2 border border-slate-300 rounded-lg"
+                  />
+                </div>
+              </div>
+
+              {/* Fecha y horario */}
+              <div>
+                <label className="block text-sm font-medium text-slate-700 mb-1">Fecha de aplicación *</label>
+                <input
+                  type="date"
+                  required
+                  value={formData.application_date}
+                  onChange={(e) => setFormData({ ...formData, application_date: e.target.value })}
+                  className="w-full px-3 py-2 border border-slate-300 rounded-lg"
+                />
+              </div>
+              <div className="grid grid-cols-2 gap-2">
+                <div>
+                  <label className="block text-sm font-medium text-slate-700 mb-1">Hora inicio *</label>
+                  <input
+                    type="time"
+                    required
+                    value={formData.start_time}
+                    onChange={(e) => setFormData({ ...formData, start_time: e.target.value })}
+                    className="w-full px-3 py-2 border border-slate-300 rounded-lg"
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-slate-700 mb-1">Hora fin *</label>
+                  <input
+                    type="time"
+                    required
+                    value={formData.end_time}
+                    onChange={(e) => setFormData({ ...formData, end_time: e.target.value })}
+                    className="w-full px-3 py-2 border border-slate-300 rounded-lg"
+                  />
+                </div>
+              </div>
+
+              {/* Aplicador y equipo */}
+              <div>
+                <label className="block text-sm font-medium text-slate-700 mb-1">Aplicador *</label>
+                <input
+                  type="text"
+                  required
+                  value={formData.applicator_name}
+                  onChange={(e) => setFormData({ ...formData, applicator_name: e.target.value })}
+                  className="w-full px-3 py-2 border border-slate-300 rounded-lg"
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-slate-700 mb-1">Carnet de aplicador *</label>
+                <input
+                  type="text"
+                  required
+                  value={formData.applicator_licence}
+                  onChange={(e) => setFormData({ ...formData, applicator_licence: e.target.value })}
+                  className="w-full px-3 py-2 border border-slate-300 rounded-lg"
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-slate-700 mb-1">Máquina</label>
+                <select
+                  value={formData.machinery_id}
+                  onChange={(e) => setFormData({ ...formData, machinery_id: e.target.value })}
+                  className="w-full px-3 py-2 border border-slate-300 rounded-lg"
+                >
+                  <option value="">Otra / contratista</option>
+                  {maquinas.map((m) => (
+                    <option key={m.id} value={m.id}>{m.code} - {m.name}</option>
+                  ))}
+                </select>
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-slate-700 mb-1">
+                  {formData.machinery_id ? 'Detalle de la máquina' : 'Máquina / contratista'}
+                </label>
+                <input
+                  type="text"
+                  value={formData.machine_description}
+                  onChange={(e) => setFormData({ ...formData, machine_description: e.target.value })}
+                  placeholder="Ej: Pulverizadora autopropulsada 28 m"
+                  className="w-full px-3 py-2 border border-slate-300 rounded-lg"
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-slate-700 mb-1">Tipo de pico</label>
+                <input
+                  type="text"
+                  value={formData.nozzle_type}
+                  onChange={(e) => setFormData({ ...formData, nozzle_type: e.target.value })}
+                  placeholder="Ej: Abanico plano 11002, inducción de aire"
+                  className="w-full px-3 py-2 border border-slate-300 rounded-lg"
+                />
+              </div>
+              <div className="grid grid-cols-2 gap-2">
+                <div>
+                  <label className="block text-sm font-medium text-slate-700 mb-1">Presión (bar)</label>
+                  <input
+                    type="number"
+                    step="0.1"
+                    min="0"
+                    value={formData.pressure_bar}
+                    onChange={(e) => setFormData({ ...formData, pressure_bar: e.target.value })}
+                    className="w-full px-3 py-2 border border-slate-300 rounded-lg"
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-slate-700 mb-1">Volumen (L/ha) *</label>
+                  <input
+                    type="number"
+                    step="0.1"
+                    min="0"
+                    required
+                    value={formData.volume_l_ha}
+                    onChange={(e) => setFormData({ ...formData, volume_l_ha: e.target.value })}
+                    className="w-full px-3 py-2 border border-slate-300 rounded-lg"
+                  />
+                </div>
+              </div>
+
+              {/* Condiciones meteorológicas */}
+              <div className="col-span-2 grid grid-cols-4 gap-2">
+                <div>
+                  <label className="block text-sm font-medium text-slate-700 mb-1">Viento (km/h) *</label>
+                  <input
+                    type="number"
+                    step="0.1"
+                    min="0"
+                    required
+                    value={formData.wind_speed_kmh}
+                    onChange={(e) => setFormData({ ...formData, wind_speed_kmh: e.target.value, warnings_acknowledged: false })}
+                    className="w-full px-3 py-2 border border-slate-300 rounded-lg"
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-slate-700 mb-1">Viento desde *</label>
+                  <select
+                    value={formData.wind_direction}
+                    onChange={(e) => setFormData({ ...formData, wind_direction: e.target.value, warnings_acknowledged: false })}
+                    className="w-full px-3 py-2 border border-slate-300 rounded-lg"
+                  >
+                    {DIRECCIONES_VIENTO.map((d) => (
+                      <option key={d} value={d}>{d === 'CALMA' ? 'Calma' : d}</option>
+                    ))}
+                  </select>
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-slate-700 mb-1">Temperatura (°C) *</label>
+                  <input
+                    type="number"
+                    step="0.1"
+                    required
+                    value={formData.temperature_c}
+                    onChange={(e) => setFormData({ ...formData, temperature_c: e.target.value, warnings_acknowledged: false })}
+                    className="w-full px-3 py-2 border border-slate-300 rounded-lg"
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-slate-700 mb-1">Humedad (%) *</label>
+                  <input
+                    type="number"
+                    step="1"
+                    min="0"
+                    max="100"
+                    required
+                    value={formData.relative_humidity}
+                    onChange={(e) => setFormData({ ...formData, relative_humidity: e.target.value, warnings_acknowledged: false })}
+                    className="w-full px-3 py-2 border border-slate-300 rounded-lg"
+                  />
+                </div>
+                <p className="col-span-4 text-xs text-slate-500">
+                  Rango recomendado: viento entre {LIMITES_CONDICIONES.vientoMinKmh} y {LIMITES_CONDICIONES.vientoMaxKmh} km/h,
+                  temperatura hasta {LIMITES_CONDICIONES.temperaturaMax} °C y humedad relativa desde {LIMITES_CONDICIONES.humedadMin}%.
+                </p>
+              </div>
+
+              <div className="col-span-2">
+                <label className="block text-sm font-medium text-slate-700 mb-1">Notas</label>
+                <textarea
+                  rows="2"
+                  value={formData.notes}
+                  onChange={(e) => setFormData({ ...formData, notes: e.target.value })}
+                  className="w-full px-3 py-2 border border-slate-300 rounded-lg resize-none"
+                />
+              </div>
+
+              {/* Intervalos del producto */}
+              <div className="col-span-2 grid grid-cols-2 gap-4 bg-green-50 border border-green-200 rounded-lg p-3 text-sm">
+                <div>
+                  <p className="text-xs text-slate-500">
+                    Reingreso {intervalos.reentry_hours !== null ? `(${intervalos.reentry_hours} h)` : ''}
+                  </p>
+                  <p className="font-semibold">
+                    {intervalos.reentry_until
+                      ? `No ingresar hasta ${formatFechaHora(intervalos.reentry_until)}`
+                      : productoForm ? 'El producto no tiene tiempo de reingreso cargado' : '-'}
+                  </p>
+                </div>
+                <div>
+                  <p className="text-xs text-slate-500">
+                    Carencia {intervalos.preharvest_days !== null ? `(${intervalos.preharvest_days} días)` : ''}
+                  </p>
+                  <p className="font-semibold">
+                    {intervalos.harvest_allowed_from
+                      ? `Cosechar desde ${intervalos.harvest_allowed_from}`
+                      : productoForm ? 'El producto no tiene período de carencia cargado' : '-'}
+                  </p>
+                </div>
+              </div>
+
+              {/* Control de zonas sensibles */}
+              {loteForm && (
+                <div className="col-span-2 space-y-2">
+                  {zonasSensibles.length === 0 ? (
+                    <p className="text-xs text-slate-500">
+                      El predio no tiene zonas sensibles cargadas. Dibújelas en Lotes y Mapas → Zonas Sensibles.
+                    </p>
+                  ) : advertenciasDistancia.length === 0 ? (
+                    <p className="text-sm text-emerald-700">
+                      ✓ El lote está fuera de la distancia de resguardo de las {zonasSensibles.length} zonas sensibles del predio
+                    </p>
+                  ) : null}
+
+                  {limitesMapa && (
+                    <MapContainer
+                      key={`${loteForm.id}-${zonasAdvertidas.length}`}
+                      bounds={limitesMapa}
+                      boundsOptions={{ padding: [20, 20] }}
+                      style={{ height: '220px', width: '100%' }}
+                      className="rounded-lg"
+                    >
+                      <TileLayer url={BASE_LAYERS.satellite.url} attribution={BASE_LAYERS.satellite.attribution} />
+                      <Polygon
+                        positions={aPosicionesLeaflet(loteForm.polygon_data)}
+                        pathOptions={{ color: '#16a34a', weight: 2, fillOpacity: 0.2 }}
+                      />
+                      <ZonasSensiblesLayer
+                        zonas={zonasSensibles}
+                        visible
+                        resaltadas={zonasAdvertidas.map((z) => z.id)}
+                      />
+                    </MapContainer>
+                  )}
+                </div>
+              )}
+
+              {hayAdvertencias && (
+                <div className="col-span-2 bg-amber-50 border border-amber-300 rounded-lg p-3 text-sm space-y-1">
+                  <p className="font-semibold text-amber-800 flex items-center gap-2">
+                    <AlertTriangle size={16} />
+                    Advertencias
+                  </p>
+                  {advertenciasDistancia.map((z) => (
+                    <p key={z.area_id} className="text-amber-800">
+                      {TIPOS_ZONA_SENSIBLE[z.area_type]?.etiqueta} "{z.name}" a {z.distance_m} m del lote
+                      (resguardo {z.buffer_m} m){z.downwind ? ' · queda a sotavento' : ''}
+                    </p>
+                  ))}
+                  {advertenciasCondiciones.map((clave) => (
+                    <p key={clave} className="text-amber-800">{ADVERTENCIAS_CONDICIONES[clave]}</p>
+                  ))}
+                  <label className="flex items-center gap-2 pt-2 text-slate-700">
+                    <input
+                      data-id="spray-form-ack-warnings"
+                      type="checkbox"
+                      checked={formData.warnings_acknowledged}
+                      onChange={(e) => setFormData({ ...formData, warnings_acknowledged: e.target.checked })}
+                    />
+                    Aplicación realizada igualmente; las advertencias quedan en el registro
+                  </label>
+                </div>
+              )}
+            </div>
+
+            <div className="p-4 border-t border-slate-200 flex justify-end gap-3">
+              <Button type="button" variant="ghost" onClick={() => setShowForm(false)} disabled={saving}>
+                Cancelar
+              </Button>
+              <Button
+                data-id="spray-form-btn-save"
+                type="submit"
+                disabled={saving || (hayAdvertencias && !formData.warnings_acknowledged)}
+              >
+                {saving ? <Loader className="w-4 h-4 mr-1 animate-spin" /> : null}
+                Registrar Aplicación
+              </Button>
+            </div>
+          </form>
+        </div>
+      )}
+    </div>
+  );
+}
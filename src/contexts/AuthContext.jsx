@@ -1,6 +1,7 @@
 import React, { createContext, useContext, useState, useEffect } from 'react';
 import { supabase } from '../lib/supabase';
 import { toast } from 'sonner';
+import { consultarConCache, estaOnline, establecerUsuarioOffline, cerrarSesionOffline } from '../services/offlineSync';
 
 const AuthContext = createContext();
 
@@ -42,6 +43,7 @@ export function AuthProvider({ children }) {
               timeoutPromise
             ]);
           } else {
+            establecerUsuarioOffline(null);
             setUser(null);
             setUserFirms([]);
           }
@@ -69,7 +71,8 @@ export function AuthProvider({ children }) {
       setSession(authSession);
 
       // CRÍTICO: Establecer la sesión en el cliente Supabase para que incluya el JWT en las requests
-      if (authSession) {
+      // Sin conexión no se puede refrescar el token: se sigue con la sesión guardada
+      if (authSession && estaOnline()) {
         console.log('Setting session in Supabase client...');
         await supabase.auth.setSession({
           access_token: authSession.access_token,
@@ -93,44 +96,53 @@ export function AuthProvider({ children }) {
   // ============================================================================
   async function loadUserData(userId) {
     try {
-      // Cargar datos del usuario desde public.users
-      const { data: userData, error: userError } = await supabase
-        .from('users')
-        .select('*')
-        .eq('id', userId)
-        .single();
-
-      if (userError) {
-        console.error('Error loading user data:', userError);
-        throw userError;
-      }
+      // Cola y caché offline del usuario que inicia sesión
+      establecerUsuarioOffline(userId);
+
+      // Cargar datos del usuario desde public.users (cacheado para uso offline)
+      const userData = await consultarConCache(`usuario:${userId}`, async () => {
+        const { data, error: userError } = await supabase
+          .from('users')
+          .select('*')
+          .eq('id', userId)
+          .single();
+
+        if (userError) {
+          console.error('Error loading user data:', userError);
+          throw userError;
+        }
+        return data;
+      });
 
       // Cargar firmas accesibles para este usuario
-      const { data: firmAccess, error: firmError } = await supabase
-        .from('user_firm_access')
-        .select(`
-          firm_id,
-          role,
-          is_default,
-          firms:firm_id (
-            id,
-            name,
-            rut,
-            location,
-            currency,
-            management_currency,
-            taxpayer_profile,
-            business_units
-          )
-        `)
-        .eq('user_id', userId)
-        .is('revoked_at', null)
-        .order('is_default', { ascending: false });
-
-      if (firmError) {
-        console.error('Error loading firm access:', firmError);
-        throw firmError;
-      }
+      const firmAccess = await consultarConCache(`firmas_usuario:${userId}`, async () => {
+        const { data, error: firmError } = await supabase
+          .from('user_firm_access')
+          .select(`
+            firm_id,
+            role,
+            is_default,
+            firms:firm_id (
+              id,
+              name,
+              rut,
+              location,
+              currency,
+              management_currency,
+              taxpayer_profile,
+              business_units
+            )
+          `)
+          .eq('user_id', userId)
+          .is('revoked_at', null)
+          .order('is_default', { ascending: false });
+
+        if (firmError) {
+          console.error('Error loading firm access:', firmError);
+          throw firmError;
+        }
+        return data || [];
+      });
 
       setUser({
         ...userData,
@@ -140,6 +152,7 @@ export function AuthProvider({ children }) {
       setUserFirms(firmAccess || []);
 
       // Actualizar last_login_at
+      if (!estaOnline()) return;
       await supabase
         .from('users')
         .update({ last_login_at: new Date().toISOString() })
@@ -210,6 +223,9 @@ export function AuthProvider({ children }) {
       const { error } = await supabase.auth.signOut();
       if (error) throw error;
 
+      // Que el próximo usuario no vea la caché ni reenvíe la cola de este
+      await cerrarSesionOffline();
+
       setUser(null);
       setUserFirms([]);
       setSession(null);
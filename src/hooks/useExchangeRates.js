@@ -0,0 +1,130 @@
+import { useState, useCallback } from 'react';
+import { toast } from 'sonner';
+import {
+  obtenerTiposCambio,
+  guardarTipoCambio,
+  eliminarTipoCambio,
+  importarTiposCambioCSV,
+  obtenerDiferenciasCambio
+} from '../services/exchangeRates';
+
+/**
+ * Hook personalizado para gestionar tipos de cambio y diferencias de cambio
+ * @returns {Object} { rates, differences, loading, error, loadRates, saveRate, deleteRate, importCSV, loadDifferences }
+ */
+export function useExchangeRates() {
+  const [rates, setRates] = useState([]);
+  const [differences, setDifferences] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  /**
+   * Cargar cotizaciones de una firma
+   */
+  const loadRates = useCallback(async (firmId, filters = {}) => {
+    if (!firmId) {
+      setRates([]);
+      return;
+    }
+
+    setLoading(true);
+    setError(null);
+
+    try {
+      const { data, error: fetchError } = await obtenerTiposCambio(firmId, filters);
+      if (fetchError) throw fetchError;
+      setRates(data || []);
+    } catch (err) {
+      setError(err.message);
+      toast.error(`Error al cargar tipos de cambio: ${err.message}`);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  /**
+   * Crear o actualizar la cotización de una fecha
+   */
+  const saveRate = useCallback(async (rateData) => {
+    setError(null);
+    try {
+      const { data, error: saveError } = await guardarTipoCambio(rateData);
+      if (saveError) throw saveError;
+      setRates(prev =>
+        [data, ...prev.filter(r => r.id !== data.id)].sort((a, b) => b.rate_date.localeCompare(a.rate_date))
+      );
+      toast.success('Tipo de cambio guardado');
+      return data;
+    } catch (err) {
+      setError(err.message);
+      toast.error(`Error: ${err.message}`);
+      throw err;
+    }
+  }, []);
+
+  /**
+   * Eliminar cotización
+   */
+  const deleteRate = useCallback(async (id) => {
+    setError(null);
+    try {
+      const { error: deleteError } = await eliminarTipoCambio(id);
+      if (deleteError) throw deleteError;
+      setRates(prev => prev.filter(r => r.id !== id));
+      toast.success('Tipo de cambio eliminado');
+    } catch (err) {
+      setError(err.message);
+      toast.error(`Error: ${err.message}`);
+      throw err;
+    }
+  }, []);
+
+  /**
+   * Importar cotizaciones desde un CSV del BCU
+   */
+  const importCSV = useCallback(async (firmId, texto, userId) => {
+    setError(null);
+    try {
+      const { data, error: importError } = await importarTiposCambioCSV(firmId, texto, userId);
+      if (importError) throw importError;
+      toast.success(`${data.importados} cotización(es) importada(s)`);
+      if (data.errores.length > 0) {
+        toast.warning(`${data.errores.length} fila(s) omitida(s) por datos inválidos`);
+      }
+      return data;
+    } catch (err) {
+      setError(err.message);
+      toast.error(`Error al importar: ${err.message}`);
+      throw err;
+    }
+  }, []);
+
+  /**
+   * Cargar diferencias de cambio realizadas
+   */
+  const loadDifferences = useCallback(async (firmId, filters = {}) => {
+    setError(null);
+    try {
+      const { data, error: fetchError } = await obtenerDiferenciasCambio(firmId, filters);
+      if (fetchError) throw fetchError;
+      setDifferences(data || []);
+    } catch (err) {
+      setError(err.message);
+      toast.error(`Error al cargar diferencias de cambio: ${err.message}`);
+    }
+  }, []);
+
+  return {
+    // Estado
+    rates,
+    differences,
+    loading,
+    error,
+    // Métodos
+    loadRates,
+    saveRate,
+    deleteRate,
+    importCSV,
+    loadDifferences
+  };
+}
@@ -0,0 +1,185 @@
+import { useState, useCallback } from 'react';
+import { toast } from 'sonner';
+import {
+  obtenerAsientos,
+  obtenerLibroMayor,
+  obtenerBalanceComprobacion,
+  obtenerMapeos,
+  obtenerClavesMapeo,
+  guardarMapeo,
+  contabilizarPendientes,
+  exportarLibroDiario
+} from '../services/journal';
+
+/**
+ * Hook personalizado para el libro diario, mayor, balance de comprobación y mapeo de cuentas
+ * @returns {Object} { entries, ledger, trialBalance, mappings, mappingKeys, loading, error, ... }
+ */
+export function useJournal() {
+  const [entries, setEntries] = useState([]);
+  const [ledger, setLedger] = useState(null);
+  const [trialBalance, setTrialBalance] = useState(null);
+  const [mappings, setMappings] = useState([]);
+  const [mappingKeys, setMappingKeys] = useState({ categoriasGasto: [], categoriasIngreso: [], cuentasFinancieras: [] });
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  /**
+   * Cargar asientos del libro diario
+   */
+  const loadEntries = useCallback(async (firmId, filters = {}) => {
+    if (!firmId) {
+      setEntries([]);
+      return;
+    }
+
+    setLoading(true);
+    setError(null);
+    try {
+      const { data, error: fetchError } = await obtenerAsientos(firmId, filters);
+      if (fetchError) throw fetchError;
+      setEntries(data || []);
+    } catch (err) {
+      setError(err.message);
+      toast.error(`Error al cargar libro diario: ${err.message}`);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  /**
+   * Cargar libro mayor de una cuenta
+   */
+  const loadLedger = useCallback(async (firmId, accountId, filters = {}) => {
+    if (!firmId || !accountId) {
+      setLedger(null);
+      return;
+    }
+
+    setLoading(true);
+    setError(null);
+    try {
+      const { data, error: fetchError } = await obtenerLibroMayor(firmId, accountId, filters);
+      if (fetchError) throw fetchError;
+      setLedger(data);
+    } catch (err) {
+      setError(err.message);
+      toast.error(`Error al cargar libro mayor: ${err.message}`);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  /**
+   * Cargar balance de comprobación
+   */
+  const loadTrialBalance = useCallback(async (firmId, filters = {}) => {
+    if (!firmId) return;
+
+    setLoading(true);
+    setError(null);
+    try {
+      const { data, error: fetchError } = await obtenerBalanceComprobacion(firmId, filters);
+      if (fetchError) throw fetchError;
+      setTrialBalance(data);
+    } catch (err) {
+      setError(err.message);
+      toast.error(`Error al cargar balance de comprobación: ${err.message}`);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  /**
+   * Cargar mapeos y claves mapeables (categorías y cuentas financieras)
+   */
+  const loadMappings = useCallback(async (firmId) => {
+    if (!firmId) return;
+
+    setError(null);
+    try {
+      const [{ data, error: fetchError }, { data: claves, error: clavesError }] = await Promise.all([
+        obtenerMapeos(firmId),
+        obtenerClavesMapeo(firmId)
+      ]);
+      if (fetchError) throw fetchError;
+      if (clavesError) throw clavesError;
+      setMappings(data || []);
+      setMappingKeys(claves);
+    } catch (err) {
+      setError(err.message);
+      toast.error(`Error al cargar mapeo de cuentas: ${err.message}`);
+    }
+  }, []);
+
+  /**
+   * Asignar (o quitar) la cuenta contable de una clave
+   */
+  const saveMapping = useCallback(async ({ firmId, tipo, clave, accountId, userId }) => {
+    setError(null);
+    try {
+      const { data, error: saveError } = await guardarMapeo({ firmId, tipo, clave, accountId, userId });
+      if (saveError) throw saveError;
+      setMappings(prev => [
+        ...prev.filter(m => !(m.mapping_type === tipo && m.mapping_key === clave)),
+        ...(data ? [data] : [])
+      ]);
+      toast.success('Mapeo guardado');
+      return data;
+    } catch (err) {
+      setError(err.message);
+      toast.error(`Error: ${err.message}`);
+      throw err;
+    }
+  }, []);
+
+  /**
+   * Generar asientos de documentos que quedaron sin contabilizar
+   */
+  const postPending = useCallback(async (firmId, userId) => {
+    setError(null);
+    try {
+      const { data, error: postError } = await contabilizarPendientes(firmId, userId);
+      if (postError) throw postError;
+      toast.success(`${data.generados} asiento(s) generado(s)`);
+      if (data.errores.length > 0) {
+        toast.warning(data.errores.join('\n'));
+      }
+      return data;
+    } catch (err) {
+      setError(err.message);
+      toast.error(`Error al contabilizar: ${err.message}`);
+      throw err;
+    }
+  }, []);
+
+  /**
+   * Exportar el libro diario cargado a Excel
+   */
+  const exportJournal = useCallback((nombreArchivo) => {
+    if (entries.length === 0) {
+      toast.warning('No hay asientos para exportar');
+      return;
+    }
+    exportarLibroDiario(entries, nombreArchivo);
+  }, [entries]);
+
+  return {
+    // Estado
+    entries,
+    ledger,
+    trialBalance,
+    mappings,
+    mappingKeys,
+    loading,
+    error,
+    // Métodos
+    loadEntries,
+    loadLedger,
+    loadTrialBalance,
+    loadMappings,
+    saveMapping,
+    postPending,
+    exportJournal
+  };
+}
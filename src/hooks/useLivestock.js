@@ -5,6 +5,7 @@ import {
   getLivestockCategories, 
   getLivestockSummary 
 } from '../services/livestock';
+import { consultarConCache } from '../services/offlineSync';
 
 /**
  * Hook para gestionar el estado de ganadería en el predio seleccionado
@@ -25,10 +26,10 @@ export function useLivestock(premiseId) {
 
     try {
       const [animalsData, herdsData, catData, summaryData] = await Promise.all([
-        getAnimals(premiseId),
-        getHerds(premiseId),
-        getLivestockCategories(),
-        getLivestockSummary(premiseId)
+        consultarConCache(`animales:${premiseId}`, () => getAnimals(premiseId)),
+        consultarConCache(`rodeos:${premiseId}`, () => getHerds(premiseId)),
+        consultarConCache('categorias_ganado', () => getLivestockCategories()),
+        consultarConCache(`resumen_ganado:${premiseId}`, () => getLivestockSummary(premiseId))
       ]);
 
       setAnimals(animalsData);
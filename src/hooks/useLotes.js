@@ -5,6 +5,7 @@ import {
   actualizarLote,
   eliminarLote,
 } from '../services/lotes';
+import { consultarConCache } from '../services/offlineSync';
 
 /**
  * Hook personalizado para gestionar el estado de lotes
@@ -29,8 +30,11 @@ export function useLotes() {
     setError(null);
 
     try {
-      const result = await obtenerLotesPorPredio(predioId);
-      setLotes(result.data || []);
+      const data = await consultarConCache(`lotes_predio:${predioId}`, async () => {
+        const result = await obtenerLotesPorPredio(predioId);
+        return result.data || [];
+      });
+      setLotes(data);
     } catch (err) {
       setError(err.message || 'Error al cargar lotes');
       console.error('Error en loadLotes:', err);
@@ -0,0 +1,64 @@
+import { useState, useCallback, useEffect } from 'react';
+import {
+  EVENTO_CAMBIO_COLA,
+  ESTADOS_COLA,
+  obtenerOperacionesPendientes,
+  sincronizarCola,
+  reintentarOperacion,
+  resolverConflicto
+} from '../services/offlineSync';
+
+/**
+ * Hook para el estado de conexión y la cola de sincronización offline
+ * @param {Object} filtros - { tabla, premiseId } para listar solo parte de la cola
+ */
+export function useOfflineSync(filtros = {}) {
+  const [online, setOnline] = useState(typeof navigator === 'undefined' ? true : navigator.onLine);
+  const [pendientes, setPendientes] = useState([]);
+  const [sincronizando, setSincronizando] = useState(false);
+
+  const { tabla, premiseId } = filtros;
+
+  const loadPendientes = useCallback(async () => {
+    const items = await obtenerOperacionesPendientes({ tabla, premiseId });
+    setPendientes(items);
+  }, [tabla, premiseId]);
+
+  useEffect(() => {
+    loadPendientes();
+
+    const actualizarConexion = () => setOnline(navigator.onLine);
+    window.addEventListener(EVENTO_CAMBIO_COLA, loadPendientes);
+    window.addEventListener('online', actualizarConexion);
+    window.addEventListener('offline', actualizarConexion);
+
+    return () => {
+      window.removeEventListener(EVENTO_CAMBIO_COLA, loadPendientes);
+      window.removeEventListener('online', actualizarConexion);
+      window.removeEventListener('offline', actualizarConexion);
+    };
+  }, [loadPendientes]);
+
+  const sincronizar = useCallback(async () => {
+    setSincronizando(true);
+    try {
+      return await sincronizarCola();
+    } finally {
+      setSincronizando(false);
+    }
+  }, []);
+
+  const reintentar = useCallback((id) => reintentarOperacion(id), []);
+  const resolver = useCallback((id, resolucion) => resolverConflicto(id, resolucion), []);
+
+  return {
+    online,
+    pendientes,
+    conflictos: pendientes.filter((item) => item.estado === ESTADOS_COLA.CONFLICTO),
+    sincronizando,
+    sincronizar,
+    reintentar,
+    resolver,
+    refresh: loadPendientes
+  };
+}
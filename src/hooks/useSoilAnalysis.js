@@ -8,6 +8,7 @@
 import { useState, useEffect, useCallback } from 'react';
 import { supabase } from '../lib/supabase';
 import { differenceInDays } from 'date-fns';
+import { obtenerPlanesMuestreo, obtenerPuntosPlan, resumirPorZona } from '../services/soilSampling';
 
 /**
  * Hook para gestionar análisis de suelo de un lote
@@ -343,6 +344,89 @@ export function useSoilParameter(lotId, parametro) {
   };
 }
 
+/**
+ * Hook para los muestreos georreferenciados de un lote
+ * Carga los planes del lote y los puntos del plan seleccionado con sus promedios por zona
+ * @param {string} lotId - ID del lote
+ * @returns {Object} Planes, plan seleccionado, puntos y resumen por zona
+ */
+export function useSoilSampling(lotId) {
+  const [planes, setPlanes] = useState([]);
+  const [planId, setPlanId] = useState(null);
+  const [puntos, setPuntos] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [loadingPuntos, setLoadingPuntos] = useState(false);
+  const [error, setError] = useState(null);
+
+  const loadPlanes = useCallback(async () => {
+    if (!lotId) {
+      setPlanes([]);
+      setPlanId(null);
+      return;
+    }
+
+    try {
+      setLoading(true);
+      setError(null);
+      const data = await obtenerPlanesMuestreo(lotId);
+      setPlanes(data);
+      // Mantener el plan seleccionado si sigue existiendo; si no, el más reciente
+      setPlanId((actual) => (data.some((p) => p.id === actual) ? actual : data[0]?.id || null));
+    } catch (err) {
+      console.error('Error cargando planes de muestreo:', err);
+      setError(err.message || 'Error al cargar planes de muestreo');
+    } finally {
+      setLoading(false);
+    }
+  }, [lotId]);
+
+  const loadPuntos = useCallback(async () => {
+    if (!planId) {
+      setPuntos([]);
+      return;
+    }
+
+    try {
+      setLoadingPuntos(true);
+      setPuntos(await obtenerPuntosPlan(planId));
+    } catch (err) {
+      console.error('Error cargando puntos de muestreo:', err);
+      setError(err.message || 'Error al cargar puntos de muestreo');
+    } finally {
+      setLoadingPuntos(false);
+    }
+  }, [planId]);
+
+  useEffect(() => {
+    loadPlanes();
+  }, [loadPlanes]);
+
+  useEffect(() => {
+    loadPuntos();
+  }, [loadPuntos]);
+
+  const plan = planes.find((p) => p.id === planId) || null;
+  const resumenZonas = plan ? resumirPorZona(plan, puntos) : [];
+
+  return {
+    // Datos
+    planes,
+    plan,
+    puntos,
+    resumenZonas,
+
+    // Estado
+    loading,
+    loadingPuntos,
+    error,
+
+    // Funciones
+    setPlanId,
+    refetch: loadPlanes,
+    refetchPuntos: loadPuntos
+  };
+}
+
 // ============================================
 // FUNCIONES AUXILIARES
 // ============================================
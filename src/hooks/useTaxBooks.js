@@ -0,0 +1,137 @@
+import { useState, useCallback } from 'react';
+import { toast } from 'sonner';
+import {
+  obtenerLibrosIVA,
+  obtenerConfiguracionTributaria,
+  guardarConfiguracionTributaria,
+  registrarRetencion,
+  eliminarRetencion,
+  exportarLibrosIVA
+} from '../services/taxBooks';
+
+/**
+ * Hook personalizado para libros de IVA, retenciones y configuración tributaria
+ * @returns {Object} { books, settings, loading, error, ... }
+ */
+export function useTaxBooks() {
+  const [books, setBooks] = useState(null);
+  const [settings, setSettings] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  /**
+   * Cargar libros de compras, ventas y retenciones de un mes (YYYY-MM)
+   */
+  const loadBooks = useCallback(async (firmId, periodo) => {
+    if (!firmId || !periodo) {
+      setBooks(null);
+      return;
+    }
+
+    setLoading(true);
+    setError(null);
+    try {
+      const { data, error: fetchError } = await obtenerLibrosIVA(firmId, periodo);
+      if (fetchError) throw fetchError;
+      setBooks(data);
+    } catch (err) {
+      setError(err.message);
+      toast.error(`Error al cargar libros de IVA: ${err.message}`);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  /**
+   * Cargar régimen y tasas de retención de la firma
+   */
+  const loadSettings = useCallback(async (firmId) => {
+    if (!firmId) return;
+
+    try {
+      const { data, error: fetchError } = await obtenerConfiguracionTributaria(firmId);
+      if (fetchError) throw fetchError;
+      setSettings(data);
+    } catch (err) {
+      setError(err.message);
+      toast.error(`Error al cargar configuración tributaria: ${err.message}`);
+    }
+  }, []);
+
+  /**
+   * Guardar régimen y tasas de retención
+   */
+  const saveSettings = useCallback(async (firmId, configuracion, userId) => {
+    setError(null);
+    try {
+      const { data, error: saveError } = await guardarConfiguracionTributaria(firmId, configuracion, userId);
+      if (saveError) throw saveError;
+      setSettings(data);
+      toast.success('Configuración tributaria guardada');
+      return data;
+    } catch (err) {
+      setError(err.message);
+      toast.error(`Error: ${err.message}`);
+      throw err;
+    }
+  }, []);
+
+  /**
+   * Registrar una retención desde el resguardo del agente
+   */
+  const addWithholding = useCallback(async (retencion) => {
+    setError(null);
+    try {
+      const { data, error: saveError } = await registrarRetencion(retencion);
+      if (saveError) throw saveError;
+      toast.success('Retención registrada');
+      return data;
+    } catch (err) {
+      setError(err.message);
+      toast.error(`Error: ${err.message}`);
+      throw err;
+    }
+  }, []);
+
+  /**
+   * Eliminar una retención registrada
+   */
+  const removeWithholding = useCallback(async (id) => {
+    setError(null);
+    try {
+      const { error: deleteError } = await eliminarRetencion(id);
+      if (deleteError) throw deleteError;
+      toast.success('Retención eliminada');
+    } catch (err) {
+      setError(err.message);
+      toast.error(`Error: ${err.message}`);
+      throw err;
+    }
+  }, []);
+
+  /**
+   * Exportar los libros cargados a Excel para el contador
+   */
+  const exportBooks = useCallback(() => {
+    if (!books) {
+      toast.warning('No hay libros para exportar');
+      return;
+    }
+    exportarLibrosIVA(books);
+  }, [books]);
+
+  return {
+    // Estado
+    books,
+    settings,
+    loading,
+    error,
+    // Métodos
+    loadBooks,
+    loadSettings,
+    saveSettings,
+    addWithholding,
+    removeWithholding,
+    exportBooks
+  };
+}
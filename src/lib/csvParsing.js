@@ -0,0 +1,148 @@
+/**
+ * csvParsing.js
+ *
+ * Utilidades puras para leer planillas exportadas por bancos y organismos
+ * uruguayos (separador ;, decimales con coma, fechas dd/mm/aaaa)
+ * Sin dependencias de Supabase - funciones puras de JavaScript
+ */
+
+/**
+ * Separa el texto en líneas no vacías, quitando el BOM de Excel
+ * @param {string} texto
+ * @returns {string[]}
+ */
+export function leerLineas(texto) {
+  return String(texto || '')
+    .replace(/^\uFEFF/, '')
+    .split(/\r?\n/)
+    .filter((linea) => linea.trim());
+}
+
+/**
+ * Detecta el separador de una línea de encabezado (; tabulador o ,)
+ * @param {string} linea
+ * @returns {string}
+ */
+export function detectarSeparador(linea) {
+  const candidatos = [';', '\t', ','];
+  return candidatos.reduce((mejor, sep) =>
+    linea.split(sep).length > linea.split(mejor).length ? sep : mejor
+  );
+}
+
+/**
+ * Separa una línea CSV en campos respetando comillas
+ * @param {string} linea
+ * @param {string} separador
+ * @returns {string[]}
+ */
+export function separarCampos(linea, separador) {
+  const campos = [];
+  let actual = '';
+  let entreComillas = false;
+
+  for (const caracter of linea) {
+    if (caracter === '"') {
+      entreComillas = !entreComillas;
+    } else if (caracter === separador && !entreComillas) {
+      campos.push(actual.trim());
+      actual = '';
+    } else {
+      actual += caracter;
+    }
+  }
+  campos.push(actual.trim());
+  return campos;
+}
+
+/**
+ * Convierte un número con coma o punto decimal ("1.234,50", "1,234.50", "-39,8")
+ * @param {string|number} texto
+ * @returns {number|null}
+ */
+export function parsearNumero(texto) {
+  if (texto === undefined || texto === null || texto === '') return null;
+  if (typeof texto === 'number') return Number.isFinite(texto) ? texto : null;
+
+  let limpio = String(texto).replace(/[^\d.,-]/g, '');
+  if (!limpio) return null;
+
+  const ultimaComa = limpio.lastIndexOf(',');
+  const ultimoPunto = limpio.lastIndexOf('.');
+  if (ultimaComa > ultimoPunto) {
+    limpio = limpio.replace(/\./g, '').replace(',', '.');
+  } else {
+    limpio = limpio.replace(/,/g, '');
+  }
+
+  const numero = parseFloat(limpio);
+  return Number.isFinite(numero) ? numero : null;
+}
+
+/**
+ * Convierte una fecha dd/mm/aaaa, dd-mm-aa, aaaa-mm-dd o Date a YYYY-MM-DD
+ * @param {string|Date} texto
+ * @returns {string|null}
+ */
+export function parsearFecha(texto) {
+  if (texto instanceof Date) {
+    if (Number.isNaN(texto.getTime())) return null;
+    return `${texto.getFullYear()}-${String(texto.getMonth() + 1).padStart(2, '0')}-${String(texto.getDate()).padStart(2, '0')}`;
+  }
+
+  const valor = String(texto || '').trim();
+  let match = valor.match(/^(\d{4})-(\d{1,2})-(\d{1,2})/);
+  if (match) return `${match[1]}-${match[2].padStart(2, '0')}-${match[3].padStart(2, '0')}`;
+
+  match = valor.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{2,4})/);
+  if (match) {
+    const anio = match[3].length === 2 ? `20${match[3]}` : match[3];
+    return `${anio}-${match[2].padStart(2, '0')}-${match[1].padStart(2, '0')}`;
+  }
+  return null;
+}
+
+/**
+ * Minúsculas y sin tildes, para comparar encabezados
+ * @param {string} texto
+ * @returns {string}
+ */
+export function normalizarTexto(texto) {
+  return String(texto || '')
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .trim();
+}
+
+/**
+ * Identificador de caravana comparable: sin espacios, guiones ni puntos, en mayúsculas
+ * ("982 000.123-456" y "982000123456" son la misma caravana)
+ * @param {string|number} valor
+ * @returns {string}
+ */
+export function normalizarIdentificador(valor) {
+  return String(valor ?? '').replace(/[^0-9a-z]/gi, '').toUpperCase();
+}
+
+/**
+ * Índice de la columna cuyo encabezado coincide con alguna de las claves: primero exacta,
+ * después por prefijo (claves de 3 o más caracteres) y, con `contiene`, por inclusión de
+ * claves de 5 o más caracteres
+ * @param {string[]} encabezados - Encabezados normalizados con la misma función que las claves
+ * @param {string[]} claves
+ * @param {Object} opciones - { normalizar = normalizarTexto, prefijo = true, contiene = false }
+ * @returns {number} Índice, o -1 si ninguna columna coincide
+ */
+export function buscarColumna(encabezados, claves = [], { normalizar = normalizarTexto, prefijo = true, contiene = false } = {}) {
+  if (!claves || claves.length === 0) return -1;
+  const normalizadas = claves.map(normalizar);
+
+  const exacta = encabezados.findIndex((h) => normalizadas.includes(h));
+  if (exacta >= 0 || !prefijo) return exacta;
+
+  const porPrefijo = encabezados.findIndex((h) => h && normalizadas.some((clave) => clave.length >= 3 && h.startsWith(clave)));
+  if (porPrefijo >= 0 || !contiene) return porPrefijo;
+
+  return encabezados.findIndex((h) => h && normalizadas.some((clave) => clave.length >= 5 && h.includes(clave)));
+}
@@ -0,0 +1,47 @@
+/**
+ * fechas.js
+ *
+ * Utilidades puras para fechas YYYY-MM-DD que comparten los servicios
+ * Sin dependencias de Supabase - funciones puras de JavaScript
+ */
+
+/**
+ * Fecha de hoy (UTC) en formato YYYY-MM-DD
+ * @returns {string}
+ */
+export function hoy() {
+  return new Date().toISOString().split('T')[0];
+}
+
+/**
+ * Suma días a una fecha YYYY-MM-DD (al mediodía, para no correrse de día por el huso horario)
+ * @param {string} fecha - YYYY-MM-DD
+ * @param {number} dias - Puede ser negativo
+ * @returns {string} YYYY-MM-DD
+ */
+export function sumarDias(fecha, dias) {
+  const resultado = new Date(`${String(fecha).split('T')[0]}T12:00:00`);
+  resultado.setDate(resultado.getDate() + dias);
+  return resultado.toISOString().split('T')[0];
+}
+
+/**
+ * Días corridos entre dos fechas (YYYY-MM-DD o ISO; se ignora la hora)
+ * @param {string} desde
+ * @param {string} hasta
+ * @returns {number} Negativo si hasta es anterior a desde
+ */
+export function diasEntre(desde, hasta) {
+  return Math.round((new Date(`${String(hasta).split('T')[0]}T00:00:00`) - new Date(`${String(desde).split('T')[0]}T00:00:00`)) / 86400000);
+}
+
+/**
+ * Fecha YYYY-MM-DD (o ISO) en formato dd/mm/aaaa, como la piden MGAP, DICOSE y SNIG
+ * @param {string} fecha
+ * @returns {string} Cadena vacía si no hay fecha
+ */
+export function formatearFecha(fecha) {
+  if (!fecha) return '';
+  const [anio, mes, dia] = String(fecha).split('T')[0].split('-');
+  return `${dia}/${mes}/${anio}`;
+}
@@ -0,0 +1,16 @@
+/**
+ * incomeCategories.config.js
+ *
+ * Categorías de ingreso que ofrecen los formularios. Los servicios que filtran o
+ * mapean por categoría (retenciones, asientos, liquidaciones de faena) usan estas
+ * mismas constantes para que el texto guardado en income.category coincida.
+ */
+
+export const CATEGORIAS_INGRESO = {
+  VENTA_GANADO: 'Venta de ganado',
+  VENTA_GRANOS: 'Venta de granos',
+  SERVICIOS: 'Servicios',
+  OTROS: 'Otros ingresos'
+};
+
+export const LISTA_CATEGORIAS_INGRESO = Object.values(CATEGORIAS_INGRESO);
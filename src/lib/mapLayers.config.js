@@ -54,6 +54,27 @@ export const OVERLAY_LAYERS = {
     label: 'Índice de Altura',
     type: 'data-driven',
     source: 'altura_pastura_cm'
+  },
+
+  rendimiento: {
+    id: 'rendimiento',
+    label: 'Mapa de Rendimiento',
+    type: 'data-driven',
+    source: 'harvest_yield_maps'
+  },
+
+  suelo: {
+    id: 'suelo',
+    label: 'Mapa de Nutrientes (suelo)',
+    type: 'data-driven',
+    source: 'soil_sample_points'
+  },
+
+  sensibles: {
+    id: 'sensibles',
+    label: 'Zonas Sensibles (resguardo)',
+    type: 'data-driven',
+    source: 'premise_sensitive_areas'
   }
 };
 
@@ -123,6 +144,84 @@ export function getPasturaHeightLegend() {
   ];
 }
 
+/**
+ * Escala de rendimiento relativa al propio mapa (5 clases iguales entre mínimo y máximo)
+ * Rojo (bajo) → Naranja → Amarillo → Verde claro → Verde oscuro (alto)
+ */
+const COLORES_RENDIMIENTO = ['#D32F2F', '#FF9800', '#FFEB3B', '#8BC34A', '#2E7D32'];
+
+/**
+ * Función para obtener color según rendimiento de cosecha
+ * @param {number} kgHa - Rendimiento del punto en kg/ha
+ * @param {number} minimo - Rendimiento mínimo del mapa
+ * @param {number} maximo - Rendimiento máximo del mapa
+ * @returns {string} Color hex
+ */
+export function getColorByYield(kgHa, minimo, maximo) {
+  if (!kgHa) {
+    return '#E0E0E0'; // Gris: sin dato
+  }
+  if (!(maximo > minimo)) {
+    return COLORES_RENDIMIENTO[2];
+  }
+
+  const clase = Math.floor(((kgHa - minimo) / (maximo - minimo)) * COLORES_RENDIMIENTO.length);
+  return COLORES_RENDIMIENTO[Math.min(Math.max(clase, 0), COLORES_RENDIMIENTO.length - 1)];
+}
+
+/**
+ * Obtiene leyenda del mapa de rendimiento para mostrar en UI
+ * @returns {Array} Array con objetos {rango, color}
+ */
+export function getYieldLegend(minimo, maximo) {
+  const paso = (maximo - minimo) / COLORES_RENDIMIENTO.length;
+  return COLORES_RENDIMIENTO.map((color, i) => ({
+    rango: `${Math.round(minimo + paso * i).toLocaleString('es-UY')} - ${Math.round(minimo + paso * (i + 1)).toLocaleString('es-UY')} kg/ha`,
+    color
+  }));
+}
+
+/**
+ * Escala de nutrientes del suelo: 5 clases iguales entre el mínimo y el máximo medidos en el muestreo
+ * Marrón (bajo) → Ocre → Amarillo claro → Verde azulado → Azul (alto)
+ */
+const COLORES_SUELO = ['#8C510A', '#D8B365', '#F6E8C3', '#5AB4AC', '#01665E'];
+
+/**
+ * Función para obtener color de una celda de la superficie de suelo interpolada
+ * @param {number} valor - Valor interpolado del parámetro
+ * @param {number} minimo - Mínimo medido en el muestreo
+ * @param {number} maximo - Máximo medido en el muestreo
+ * @returns {string} Color hex
+ */
+export function getColorBySoilValue(valor, minimo, maximo) {
+  if (valor === null || valor === undefined || Number.isNaN(valor)) {
+    return '#E0E0E0'; // Gris: sin dato
+  }
+  if (!(maximo > minimo)) {
+    return COLORES_SUELO[2];
+  }
+
+  const clase = Math.floor(((valor - minimo) / (maximo - minimo)) * COLORES_SUELO.length);
+  return COLORES_SUELO[Math.min(Math.max(clase, 0), COLORES_SUELO.length - 1)];
+}
+
+/**
+ * Obtiene leyenda de la superficie de suelo para mostrar en UI
+ * @param {number} minimo
+ * @param {number} maximo
+ * @param {number} decimales - Decimales del parámetro (pH 2, K 0...)
+ * @returns {Array} Array con objetos {rango, color}
+ */
+export function getSoilLegend(minimo, maximo, decimales = 1) {
+  const paso = (maximo - minimo) / COLORES_SUELO.length;
+  const formato = (v) => v.toLocaleString('es-UY', { maximumFractionDigits: decimales });
+  return COLORES_SUELO.map((color, i) => ({
+    rango: `${formato(minimo + paso * i)} - ${formato(minimo + paso * (i + 1))}`,
+    color
+  }));
+}
+
 /**
  * Obtiene leyenda de cultivos para mostrar en UI
  * @returns {Array} Array con objetos {cultivo, color}
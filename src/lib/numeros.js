@@ -0,0 +1,36 @@
+/**
+ * numeros.js
+ *
+ * Utilidades puras de redondeo y promedios que comparten los servicios
+ * Sin dependencias de Supabase - funciones puras de JavaScript
+ */
+
+/**
+ * Importe redondeado a centésimos; vacío o no numérico cuenta como 0
+ * @param {number|string} valor
+ * @returns {number}
+ */
+export function redondearImporte(valor) {
+  return Math.round((parseFloat(valor) || 0) * 100) / 100;
+}
+
+/**
+ * Redondea a la cantidad de decimales indicada
+ * @param {number} valor
+ * @param {number} decimales
+ * @returns {number|null} null si el valor no es un número finito
+ */
+export function redondear(valor, decimales = 2) {
+  if (!Number.isFinite(valor)) return null;
+  const factor = 10 ** decimales;
+  return Math.round(valor * factor) / factor;
+}
+
+/**
+ * Promedio de los valores
+ * @param {number[]} valores
+ * @returns {number|null} null si la lista está vacía
+ */
+export function media(valores) {
+  return valores.length > 0 ? valores.reduce((s, v) => s + v, 0) / valores.length : null;
+}
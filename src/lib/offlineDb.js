@@ -0,0 +1,82 @@
+/**
+ * Acceso a IndexedDB para el modo offline
+ * - cola_sync: operaciones de escritura pendientes de enviar a Supabase
+ * - referencia: datos de consulta cacheados (lotes, rodeos, insumos, etc.)
+ */
+
+const DB_NOMBRE = 'favio-offline';
+const DB_VERSION = 1;
+
+export const STORE_COLA = 'cola_sync';
+export const STORE_REFERENCIA = 'referencia';
+
+let dbPromise = null;
+
+function promesaDeRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Abre (o crea) la base local. La conexión se reutiliza entre llamadas.
+ * @returns {Promise<IDBDatabase>}
+ */
+export function abrirDB() {
+  if (typeof indexedDB === 'undefined') {
+    return Promise.reject(new Error('IndexedDB no está disponible en este navegador'));
+  }
+
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NOMBRE, DB_VERSION);
+
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(STORE_COLA)) {
+          const cola = db.createObjectStore(STORE_COLA, { keyPath: 'id' });
+          cola.createIndex('creado_en', 'creado_en');
+        }
+        if (!db.objectStoreNames.contains(STORE_REFERENCIA)) {
+          db.createObjectStore(STORE_REFERENCIA, { keyPath: 'clave' });
+        }
+      };
+
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        dbPromise = null;
+        reject(request.error);
+      };
+    });
+  }
+
+  return dbPromise;
+}
+
+async function conStore(nombreStore, modo, accion) {
+  const db = await abrirDB();
+  const tx = db.transaction(nombreStore, modo);
+  const resultado = await promesaDeRequest(accion(tx.objectStore(nombreStore)));
+  return resultado;
+}
+
+export function obtenerTodos(nombreStore) {
+  return conStore(nombreStore, 'readonly', (store) => store.getAll());
+}
+
+export function obtener(nombreStore, clave) {
+  return conStore(nombreStore, 'readonly', (store) => store.get(clave));
+}
+
+export function guardar(nombreStore, valor) {
+  return conStore(nombreStore, 'readwrite', (store) => store.put(valor));
+}
+
+export function eliminar(nombreStore, clave) {
+  return conStore(nombreStore, 'readwrite', (store) => store.delete(clave));
+}
+
+export function vaciar(nombreStore) {
+  return conStore(nombreStore, 'readwrite', (store) => store.clear());
+}
@@ -10,6 +10,9 @@ export const SENTINEL_HUB_CONFIG = {
   // Statistical API (NDVI Statistics - FASE 5)
   STATISTICAL_API_URL: 'https://sh.dataspace.copernicus.eu/api/v1/statistics',
 
+  // Process API (raster NDVI por píxel para zonas de manejo)
+  PROCESS_API_URL: 'https://sh.dataspace.copernicus.eu/api/v1/process',
+
   // OAuth2 para autenticación
   OAUTH_TOKEN_URL: 'https://identity.dataspace.copernicus.eu/auth/realms/CDSE/protocol/openid-connect/token',
 
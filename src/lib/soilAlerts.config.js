@@ -266,6 +266,15 @@ export const SOIL_ALERTS_CONFIG = {
     resolverAlAplicar: true
   },
 
+  // Objetivos para evaluar los muestreos por zona cuando el lote no tiene un objetivo
+  // cargado en analisis_suelo para ese parámetro
+  objetivosPorDefecto: {
+    P: 20,
+    K: 200,
+    N: 30,
+    S: 15
+  },
+
   // Rangos óptimos por parámetro (para referencia)
   rangosOptimos: {
     P: { min: 15, max: 30, unidad: 'ppm' },
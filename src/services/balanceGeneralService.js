@@ -0,0 +1,397 @@
+/**
+ * MÓDULO 11: REPORTES
+ * balanceGeneralService.js
+ *
+ * Balance General (Estado de Situación Patrimonial)
+ * Complementa al Estado de Resultados con la foto de activos, pasivos y patrimonio
+ */
+
+import { supabase } from '../lib/supabase';
+import { obtenerCuentas } from './financialAccounts';
+import { obtenerCuentasPorCobrar } from './income';
+import { obtenerCuentasPorPagar } from './expenses';
+import { obtenerStockValorizado } from './inputs';
+import { crearConversorMoneda, MONEDA_BASE } from './exchangeRates';
+import { hoy } from '../lib/fechas';
+
+/**
+ * ESTRUCTURA DEL BALANCE
+ *
+ * ACTIVO CORRIENTE
+ *    - Disponibilidades (cuentas financieras)
+ *    - Créditos por ventas (cuentas por cobrar)
+ *    - Hacienda (última valorización ganadera)
+ *    - Insumos y existencias agrícolas (valorización agrícola o stock valorizado)
+ * ACTIVO NO CORRIENTE
+ *    - Maquinaria (valor libros con depreciación lineal)
+ * PASIVO CORRIENTE
+ *    - Deudas comerciales (cuentas por pagar)
+ * PATRIMONIO = Activo - Pasivo
+ *
+ * Los saldos en moneda extranjera se valúan al tipo de cambio de la fecha de corte.
+ * Cuentas financieras, créditos y deudas reflejan el saldo actual: para fechas
+ * pasadas se usa el cierre guardado más cercano (ver guardarCierreBalance).
+ */
+
+export async function generarBalanceGeneral(firmId, fecha = hoy(), opciones = {}) {
+  try {
+    const moneda = opciones.moneda || MONEDA_BASE;
+    const conversor = await crearConversorMoneda({ firmId, moneda, hasta: fecha });
+
+    // Los saldos se valúan al cierre, no al tipo de cambio sellado en cada documento
+    const alCierre = (monto, monedaDocumento) => conversor.convertir(monto, monedaDocumento || MONEDA_BASE, fecha);
+
+    const [disponibilidades, creditos, deudas, inventarios, maquinaria] = await Promise.all([
+      getDisponibilidades(firmId, alCierre),
+      getCreditosPorVentas(firmId, alCierre),
+      getDeudasComerciales(firmId, alCierre),
+      getInventarios(firmId, fecha, alCierre),
+      getMaquinaria(firmId, fecha, alCierre)
+    ]);
+
+    const totalCorriente =
+      disponibilidades.total + creditos.total + inventarios.hacienda + inventarios.insumos;
+    const totalNoCorriente = maquinaria.total;
+    const totalActivo = totalCorriente + totalNoCorriente;
+    const totalPasivo = deudas.total;
+
+    return {
+      fecha_corte: fecha,
+      generado_en: new Date().toISOString(),
+      moneda,
+      tipo_cambio: conversor.tasaAFecha(fecha),
+      documentos_sin_tipo_cambio: conversor.sinTipoCambio(),
+      activo: {
+        corriente: {
+          disponibilidades: disponibilidades.total,
+          creditos_por_ventas: creditos.total,
+          hacienda: inventarios.hacienda,
+          insumos: inventarios.insumos,
+          total: totalCorriente
+        },
+        no_corriente: {
+          maquinaria: maquinaria.total,
+          total: totalNoCorriente
+        },
+        total: totalActivo
+      },
+      pasivo: {
+        corriente: {
+          deudas_comerciales: deudas.total,
+          total: totalPasivo
+        },
+        total: totalPasivo
+      },
+      patrimonio: {
+        valor: totalActivo - totalPasivo
+      },
+      detalle: {
+        cuentas_financieras: disponibilidades.cuentas,
+        clientes: creditos.clientes,
+        proveedores: deudas.proveedores,
+        inventarios: inventarios.fuentes,
+        maquinaria: maquinaria.equipos
+      }
+    };
+  } catch (error) {
+    console.error('Error generating balance general:', error);
+    throw new Error(`Error generando balance general: ${error.message}`);
+  }
+}
+
+/**
+ * Disponibilidades: saldo de cada cuenta financiera activa
+ */
+async function getDisponibilidades(firmId, alCierre) {
+  const { data, error } = await obtenerCuentas(firmId);
+  if (error) throw error;
+
+  const cuentas = (data || []).map(cuenta => ({
+    nombre: cuenta.name,
+    tipo: cuenta.account_type,
+    moneda: cuenta.currency,
+    saldo_original: cuenta.current_balance || 0,
+    saldo: alCierre(cuenta.current_balance || 0, cuenta.currency)
+  }));
+
+  return {
+    cuentas,
+    total: cuentas.reduce((sum, c) => sum + c.saldo, 0)
+  };
+}
+
+/**
+ * Créditos por ventas: saldo pendiente de ingresos confirmados, agrupado por cliente
+ */
+async function getCreditosPorVentas(firmId, alCierre) {
+  const { data, error } = await obtenerCuentasPorCobrar(firmId);
+  if (error) throw error;
+
+  return agruparPorTercero(data, 'client_name', alCierre, 'clientes');
+}
+
+/**
+ * Deudas comerciales: saldo pendiente de facturas de compra, agrupado por proveedor
+ */
+async function getDeudasComerciales(firmId, alCierre) {
+  const { data, error } = await obtenerCuentasPorPagar(firmId);
+  if (error) throw error;
+
+  return agruparPorTercero(data, 'provider_name', alCierre, 'proveedores');
+}
+
+function agruparPorTercero(documentos, campoNombre, alCierre, clave) {
+  const porTercero = {};
+  let total = 0;
+
+  (documentos || []).forEach(doc => {
+    const nombre = doc[campoNombre] || 'Sin especificar';
+    const saldo = alCierre(doc.balance || 0, doc.currency);
+    if (!porTercero[nombre]) {
+      porTercero[nombre] = { nombre, documentos: 0, saldo: 0 };
+    }
+    porTercero[nombre].documentos++;
+    porTercero[nombre].saldo += saldo;
+    total += saldo;
+  });
+
+  return {
+    [clave]: Object.values(porTercero).sort((a, b) => b.saldo - a.saldo),
+    total
+  };
+}
+
+/**
+ * Inventarios: última valorización de cada predio a la fecha de corte.
+ * La valorización agrícola reemplaza al stock valorizado de insumos para no duplicarlo.
+ */
+async function getInventarios(firmId, fecha, alCierre) {
+  const { data: valorizaciones, error } = await supabase
+    .from('inventory_valuations')
+    .select('premise_id, valuation_date, valuation_method, livestock_total_heads, livestock_total_value, inputs_total_value')
+    .eq('firm_id', firmId)
+    .lte('valuation_date', fecha)
+    .order('valuation_date', { ascending: false });
+
+  if (error) throw error;
+
+  // Más reciente por predio, separando ganadera de agrícola
+  const ganaderas = {};
+  const agricolas = {};
+  (valorizaciones || []).forEach(v => {
+    if ((v.livestock_total_value || 0) > 0 && !ganaderas[v.premise_id]) ganaderas[v.premise_id] = v;
+    if ((v.inputs_total_value || 0) > 0 && !agricolas[v.premise_id]) agricolas[v.premise_id] = v;
+  });
+
+  const hacienda = Object.values(ganaderas).reduce(
+    (sum, v) => sum + alCierre(v.livestock_total_value, MONEDA_BASE), 0
+  );
+
+  let insumos = Object.values(agricolas).reduce(
+    (sum, v) => sum + alCierre(v.inputs_total_value, MONEDA_BASE), 0
+  );
+  let fuenteInsumos = 'valorizacion';
+
+  if (Object.keys(agricolas).length === 0) {
+    const stock = await obtenerStockValorizado(firmId);
+    insumos = alCierre(stock.total, MONEDA_BASE);
+    fuenteInsumos = 'stock_valorizado';
+  }
+
+  return {
+    hacienda,
+    insumos,
+    fuentes: {
+      hacienda_valorizaciones: Object.values(ganaderas).map(v => ({
+        premise_id: v.premise_id,
+        fecha: v.valuation_date,
+        metodo: v.valuation_method,
+        cabezas: v.livestock_total_heads
+      })),
+      insumos: fuenteInsumos
+    }
+  };
+}
+
+/**
+ * Valor libros de una máquina con depreciación lineal a la fecha de corte
+ * @param {Object} maquina - { purchase_value, purchase_date, useful_life_years, residual_value }
+ * @param {string} fecha - YYYY-MM-DD
+ * @returns {number}
+ */
+export function calcularValorLibros(maquina, fecha = hoy()) {
+  const valorCompra = parseFloat(maquina.purchase_value) || 0;
+  if (!valorCompra || !maquina.purchase_date || maquina.purchase_date > fecha) return 0;
+
+  const residual = Math.min(parseFloat(maquina.residual_value) || 0, valorCompra);
+  const vidaUtil = parseFloat(maquina.useful_life_years) || 10;
+  const anios = (new Date(fecha) - new Date(maquina.purchase_date)) / (365.25 * 24 * 60 * 60 * 1000);
+  const depreciacion = ((valorCompra - residual) / vidaUtil) * anios;
+
+  return Math.max(residual, valorCompra - depreciacion);
+}
+
+/**
+ * Maquinaria: valor libros de equipos activos comprados hasta la fecha de corte
+ */
+async function getMaquinaria(firmId, fecha, alCierre) {
+  const { data, error } = await supabase
+    .from('machinery')
+    .select('id, code, name, purchase_date, purchase_value, useful_life_years, residual_value')
+    .eq('firm_id', firmId)
+    .eq('status', 'ACTIVE');
+
+  if (error) throw error;
+
+  const equipos = (data || [])
+    .map(maquina => ({
+      nombre: `${maquina.code} - ${maquina.name}`,
+      fecha_compra: maquina.purchase_date,
+      valor_compra: parseFloat(maquina.purchase_value) || 0,
+      valor_libros: alCierre(calcularValorLibros(maquina, fecha), MONEDA_BASE)
+    }))
+    .filter(e => e.valor_libros > 0);
+
+  return {
+    equipos,
+    total: equipos.reduce((sum, e) => sum + e.valor_libros, 0)
+  };
+}
+
+// ============================================================================
+// CIERRES Y COMPARACIÓN
+// ============================================================================
+
+/**
+ * Guardar el balance como cierre (reemplaza el de la misma fecha y moneda)
+ */
+export async function guardarCierreBalance(firmId, balance, userId = null, notas = null) {
+  try {
+    const { data, error } = await supabase
+      .from('balance_sheet_snapshots')
+      .upsert(
+        [{
+          firm_id: firmId,
+          cut_date: balance.fecha_corte,
+          currency: balance.moneda,
+          total_assets: balance.activo.total,
+          total_liabilities: balance.pasivo.total,
+          equity: balance.patrimonio.valor,
+          data: balance,
+          notes: notas,
+          created_by: userId
+        }],
+        { onConflict: 'firm_id,cut_date,currency' }
+      )
+      .select()
+      .single();
+
+    if (error) throw error;
+    return data;
+  } catch (error) {
+    console.error('Error saving balance snapshot:', error);
+    throw new Error(`Error guardando cierre de balance: ${error.message}`);
+  }
+}
+
+/**
+ * Cierres guardados de la firma, más recientes primero
+ */
+export async function obtenerCierresBalance(firmId, moneda = MONEDA_BASE) {
+  try {
+    const { data, error } = await supabase
+      .from('balance_sheet_snapshots')
+      .select('id, cut_date, currency, total_assets, total_liabilities, equity, notes, created_at')
+      .eq('firm_id', firmId)
+      .eq('currency', moneda)
+      .order('cut_date', { ascending: false });
+
+    if (error) throw error;
+    return data || [];
+  } catch (error) {
+    console.error('Error fetching balance snapshots:', error);
+    throw new Error(`Error obteniendo cierres de balance: ${error.message}`);
+  }
+}
+
+/**
+ * Cierre guardado más reciente a una fecha (o null)
+ */
+async function getCierreAFecha(firmId, fecha, moneda) {
+  const { data, error } = await supabase
+    .from('balance_sheet_snapshots')
+    .select('data')
+    .eq('firm_id', firmId)
+    .eq('currency', moneda)
+    .lte('cut_date', fecha)
+    .order('cut_date', { ascending: false })
+    .limit(1);
+
+  if (error) throw error;
+  return data?.[0]?.data || null;
+}
+
+/**
+ * Variación entre dos montos
+ */
+function variacion(actual, anterior) {
+  if (anterior === null || anterior === undefined) return null;
+  return {
+    valor: actual - anterior,
+    porcentaje: anterior !== 0 ? ((actual - anterior) / Math.abs(anterior)) * 100 : null
+  };
+}
+
+/**
+ * Balance al cierre del período comparado con el inicio del período.
+ * - Cierre: si es hoy o posterior se calcula en vivo; si es pasado se usa el cierre
+ *   guardado a esa fecha (o el cálculo en vivo, marcado como saldos_actuales)
+ * - Comparación: cierre guardado al inicio del período (si existe)
+ * @param {string} firmId
+ * @param {Object} periodo - { start, end }
+ * @param {Object} opciones - { moneda }
+ * @returns {Promise<Object>} { actual, anterior, variaciones, saldos_actuales }
+ */
+export async function generarBalanceComparativo(firmId, periodo, opciones = {}) {
+  try {
+    const moneda = opciones.moneda || MONEDA_BASE;
+    const fechaCierre = periodo?.end && periodo.end < hoy() ? periodo.end : hoy();
+
+    let actual = null;
+    let saldosActuales = false;
+    if (fechaCierre < hoy()) {
+      const guardado = await getCierreAFecha(firmId, fechaCierre, moneda);
+      actual = guardado && guardado.fecha_corte === fechaCierre ? guardado : null;
+    }
+    if (!actual) {
+      actual = await generarBalanceGeneral(firmId, fechaCierre, { moneda });
+      saldosActuales = fechaCierre < hoy();
+    }
+
+    const anterior = periodo?.start ? await getCierreAFecha(firmId, periodo.start, moneda) : null;
+
+    const rubros = [
+      ['disponibilidades', b => b.activo.corriente.disponibilidades],
+      ['creditos_por_ventas', b => b.activo.corriente.creditos_por_ventas],
+      ['hacienda', b => b.activo.corriente.hacienda],
+      ['insumos', b => b.activo.corriente.insumos],
+      ['activo_corriente', b => b.activo.corriente.total],
+      ['maquinaria', b => b.activo.no_corriente.maquinaria],
+      ['activo_no_corriente', b => b.activo.no_corriente.total],
+      ['activo', b => b.activo.total],
+      ['deudas_comerciales', b => b.pasivo.corriente.deudas_comerciales],
+      ['pasivo', b => b.pasivo.total],
+      ['patrimonio', b => b.patrimonio.valor]
+    ];
+
+    const variaciones = {};
+    rubros.forEach(([clave, valor]) => {
+      variaciones[clave] = variacion(valor(actual), anterior ? valor(anterior) : null);
+    });
+
+    return { actual, anterior, variaciones, saldos_actuales: saldosActuales };
+  } catch (error) {
+    console.error('Error comparing balance general:', error);
+    throw new Error(`Error comparando balance general: ${error.message}`);
+  }
+}
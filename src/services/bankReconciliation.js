@@ -0,0 +1,929 @@
+/**
+ * Servicio de conciliación bancaria
+ * - Importación de extractos (CSV / OFX / Excel) con layouts por banco
+ * - Emparejamiento automático con órdenes de pago ejecutadas y cobros de ingresos
+ * - Cierre de período: bloquea las líneas y documentos conciliados
+ * Tablas: bank_statements, bank_statement_lines, bank_statement_layouts,
+ * bank_reconciliations (add_bank_reconciliation.sql)
+ */
+
+import * as XLSX from 'xlsx';
+import { supabase } from '../lib/supabase';
+import { crearRegistro } from './registros';
+import {
+  leerLineas,
+  detectarSeparador,
+  separarCampos,
+  parsearNumero,
+  parsearFecha,
+  normalizarTexto,
+  buscarColumna
+} from '../lib/csvParsing';
+import { sumarDias, diasEntre } from '../lib/fechas';
+
+export const ESTADOS_LINEA = {
+  PENDIENTE: 'unmatched',
+  CONCILIADA: 'matched',
+  IGNORADA: 'ignored'
+};
+
+export const TOLERANCIA_DIAS = 5;
+
+/**
+ * Layouts predefinidos. Cada columna lista los encabezados posibles (sin tildes, minúsculas).
+ * Si el banco separa débito y crédito se usan esas columnas; si no, "importe" con signo.
+ */
+export const LAYOUTS_BANCO = {
+  BROU: {
+    nombre: 'BROU',
+    columnas: {
+      fecha: ['fecha'],
+      descripcion: ['descripcion', 'concepto', 'asunto'],
+      referencia: ['documento', 'referencia', 'nro'],
+      debito: ['debito', 'debe'],
+      credito: ['credito', 'haber'],
+      saldo: ['saldo']
+    }
+  },
+  ITAU: {
+    nombre: 'Itaú',
+    columnas: {
+      fecha: ['fecha'],
+      descripcion: ['concepto', 'descripcion', 'detalle'],
+      referencia: ['referencia', 'comprobante'],
+      debito: ['debito', 'debitos'],
+      credito: ['credito', 'creditos'],
+      saldo: ['saldo']
+    }
+  },
+  SANTANDER: {
+    nombre: 'Santander',
+    columnas: {
+      fecha: ['fecha operacion', 'fecha'],
+      descripcion: ['descripcion', 'concepto'],
+      referencia: ['referencia', 'nro. operacion', 'numero'],
+      importe: ['importe', 'monto'],
+      saldo: ['saldo']
+    }
+  }
+};
+
+const FORMATOS = {
+  csv: 'csv',
+  txt: 'csv',
+  ofx: 'ofx',
+  qfx: 'ofx',
+  xls: 'excel',
+  xlsx: 'excel'
+};
+
+/**
+ * Formato del extracto según la extensión del archivo
+ * @param {string} nombreArchivo
+ * @returns {'csv'|'ofx'|'excel'|null}
+ */
+export function detectarFormatoArchivo(nombreArchivo) {
+  const extension = String(nombreArchivo || '').split('.').pop().toLowerCase();
+  return FORMATOS[extension] || null;
+}
+
+// ============================================================================
+// PARSEO DE EXTRACTOS
+// ============================================================================
+
+/**
+ * Convierte filas (arrays de celdas) de CSV o Excel en movimientos.
+ * La fila de encabezado se busca entre las primeras 30 (los bancos agregan un preámbulo).
+ */
+function filasAMovimientos(filas, layout) {
+  const { columnas } = layout;
+  const errores = [];
+
+  let indiceEncabezado = -1;
+  let indices = null;
+
+  for (let i = 0; i < Math.min(filas.length, 30); i++) {
+    const encabezados = filas[i].map(normalizarTexto);
+    const candidato = {
+      fecha: buscarColumna(encabezados, columnas.fecha, { contiene: true }),
+      descripcion: buscarColumna(encabezados, columnas.descripcion, { contiene: true }),
+      referencia: buscarColumna(encabezados, columnas.referencia, { contiene: true }),
+      debito: buscarColumna(encabezados, columnas.debito, { contiene: true }),
+      credito: buscarColumna(encabezados, columnas.credito, { contiene: true }),
+      importe: buscarColumna(encabezados, columnas.importe, { contiene: true }),
+      saldo: buscarColumna(encabezados, columnas.saldo, { contiene: true })
+    };
+    const tieneMonto = candidato.importe >= 0 || candidato.debito >= 0 || candidato.credito >= 0;
+    if (candidato.fecha >= 0 && tieneMonto) {
+      indiceEncabezado = i;
+      indices = candidato;
+      break;
+    }
+  }
+
+  if (!indices) {
+    return { lineas: [], errores: [`No se encontró el encabezado del layout ${layout.nombre}`] };
+  }
+
+  const celda = (fila, indice) => (indice >= 0 ? fila[indice] : null);
+  const lineas = [];
+
+  filas.slice(indiceEncabezado + 1).forEach((fila, idx) => {
+    if (fila.every((valor) => valor === '' || valor === null || valor === undefined)) return;
+
+    const fecha = parsearFecha(celda(fila, indices.fecha));
+    let monto = null;
+
+    if (indices.importe >= 0) {
+      monto = parsearNumero(celda(fila, indices.importe));
+    } else {
+      const debito = Math.abs(parsearNumero(celda(fila, indices.debito)) || 0);
+      const credito = Math.abs(parsearNumero(celda(fila, indices.credito)) || 0);
+      monto = debito || credito ? credito - debito : null;
+    }
+
+    // Filas de totales o saldo anterior (sin fecha) se descartan
+    if (!fecha) return;
+    if (monto === null || monto === 0) {
+      errores.push(`Fila ${indiceEncabezado + idx + 2}: importe inválido`);
+      return;
+    }
+
+    lineas.push({
+      fecha,
+      descripcion: String(celda(fila, indices.descripcion) ?? '').trim() || null,
+      referencia: String(celda(fila, indices.referencia) ?? '').trim() || null,
+      monto: Math.round(monto * 100) / 100,
+      saldo: parsearNumero(celda(fila, indices.saldo)),
+      idExterno: null
+    });
+  });
+
+  return { lineas, errores };
+}
+
+function parsearOFX(texto) {
+  const valorTag = (bloque, tag) => {
+    const match = bloque.match(new RegExp(`<${tag}>([^<\\r\\n]*)`, 'i'));
+    return match ? match[1].trim() : null;
+  };
+  const fechaOFX = (valor) =>
+    valor && /^\d{8}/.test(valor) ? `${valor.slice(0, 4)}-${valor.slice(4, 6)}-${valor.slice(6, 8)}` : null;
+
+  const errores = [];
+  const lineas = [];
+
+  String(texto || '')
+    .split(/<STMTTRN>/i)
+    .slice(1)
+    .forEach((bloque, idx) => {
+      const fecha = fechaOFX(valorTag(bloque, 'DTPOSTED'));
+      const monto = parsearNumero(valorTag(bloque, 'TRNAMT'));
+      if (!fecha || !monto) {
+        errores.push(`Transacción ${idx + 1}: fecha o importe inválido`);
+        return;
+      }
+      lineas.push({
+        fecha,
+        descripcion: [valorTag(bloque, 'NAME'), valorTag(bloque, 'MEMO')].filter(Boolean).join(' - ') || null,
+        referencia: valorTag(bloque, 'CHECKNUM') || valorTag(bloque, 'REFNUM'),
+        monto: Math.round(monto * 100) / 100,
+        saldo: null,
+        idExterno: valorTag(bloque, 'FITID')
+      });
+    });
+
+  const saldoFinal = parsearNumero(valorTag(String(texto || '').split(/<LEDGERBAL>/i)[1] || '', 'BALAMT'));
+  return { lineas, errores, saldoFinal };
+}
+
+/**
+ * Parsea un extracto bancario
+ * @param {string|ArrayBuffer} contenido - Texto (CSV/OFX) o ArrayBuffer (Excel)
+ * @param {'csv'|'ofx'|'excel'} formato
+ * @param {Object} layout - Layout de columnas (LAYOUTS_BANCO o personalizado); no se usa en OFX
+ * @returns {Object} { lineas: [{ fecha, descripcion, referencia, monto, saldo, idExterno }], errores, saldoFinal }
+ */
+export function parsearExtracto(contenido, formato, layout = LAYOUTS_BANCO.BROU) {
+  let resultado;
+
+  if (formato === 'ofx') {
+    resultado = parsearOFX(contenido);
+  } else if (formato === 'excel') {
+    const libro = XLSX.read(contenido, { type: 'array', cellDates: true });
+    const hoja = libro.Sheets[libro.SheetNames[0]];
+    const filas = XLSX.utils.sheet_to_json(hoja, { header: 1, raw: true, defval: '' });
+    resultado = filasAMovimientos(filas, layout);
+  } else if (formato === 'csv') {
+    const lineas = leerLineas(contenido);
+    const separador = layout.separador || detectarSeparador(lineas.find((l) => /fecha/i.test(l)) || lineas[0] || '');
+    resultado = filasAMovimientos(lineas.map((linea) => separarCampos(linea, separador)), layout);
+  } else {
+    return { lineas: [], errores: [`Formato de extracto no soportado: ${formato}`], saldoFinal: null };
+  }
+
+  // Los bancos que listan del más reciente al más antiguo se invierten antes de ordenar por
+  // fecha, para que los movimientos de un mismo día queden en el orden en que ocurrieron
+  const movimientos = resultado.lineas.length > 1 && resultado.lineas[0].fecha > resultado.lineas[resultado.lineas.length - 1].fecha
+    ? [...resultado.lineas].reverse()
+    : resultado.lineas;
+  const ordenadas = [...movimientos].sort((a, b) => a.fecha.localeCompare(b.fecha));
+  const conSaldo = [...ordenadas].reverse().find((l) => l.saldo !== null && l.saldo !== undefined);
+
+  return {
+    lineas: ordenadas,
+    errores: resultado.errores,
+    saldoFinal: resultado.saldoFinal ?? conSaldo?.saldo ?? null
+  };
+}
+
+/**
+ * Huella de una línea para no duplicarla al reimportar el mismo extracto.
+ * Dos movimientos idénticos el mismo día se distinguen por su orden de aparición.
+ */
+function calcularHuellas(lineas) {
+  const vistas = {};
+  return lineas.map((linea) => {
+    if (linea.idExterno) return `ofx:${linea.idExterno}`;
+    const base = [linea.fecha, linea.monto.toFixed(2), linea.referencia || '', normalizarTexto(linea.descripcion), linea.saldo ?? '']
+      .join('|');
+    vistas[base] = (vistas[base] || 0) + 1;
+    return vistas[base] > 1 ? `${base}#${vistas[base]}` : base;
+  });
+}
+
+// ============================================================================
+// LAYOUTS
+// ============================================================================
+
+/**
+ * Obtener layouts disponibles: predefinidos + personalizados de la firma
+ * @param {string} firmId - ID de la firma
+ * @returns {Promise<Object>} { data: [{ clave, nombre, columnas, personalizado }], error }
+ */
+export async function obtenerLayouts(firmId) {
+  const predefinidos = Object.entries(LAYOUTS_BANCO).map(([clave, layout]) => ({
+    clave,
+    ...layout,
+    personalizado: false
+  }));
+
+  try {
+    if (!firmId) return { data: predefinidos, error: null };
+
+    const { data, error } = await supabase
+      .from('bank_statement_layouts')
+      .select('*')
+      .eq('firm_id', firmId)
+      .order('name');
+
+    if (error) throw error;
+
+    const personalizados = (data || []).map((layout) => ({
+      clave: layout.id,
+      nombre: layout.name,
+      banco: layout.bank,
+      ...layout.config,
+      personalizado: true
+    }));
+
+    return { data: [...predefinidos, ...personalizados], error: null };
+  } catch (error) {
+    console.error('Error en obtenerLayouts:', error);
+    return { data: predefinidos, error };
+  }
+}
+
+/**
+ * Guardar un layout personalizado
+ * @param {string} firmId - ID de la firma
+ * @param {Object} layout - { nombre, banco, separador, columnas: { fecha: [], descripcion: [], ... } }
+ * @param {string} userId - Usuario
+ * @returns {Promise<Object>} { data, error }
+ */
+export async function guardarLayout(firmId, layout, userId = null) {
+  try {
+    if (!firmId) throw new Error('firmId es requerido');
+    if (!layout.nombre?.trim()) throw new Error('El nombre del layout es requerido');
+    if (!layout.columnas?.fecha?.length) throw new Error('Indica la columna de fecha');
+    if (!layout.columnas.importe?.length && !layout.columnas.debito?.length && !layout.columnas.credito?.length) {
+      throw new Error('Indica la columna de importe o las de débito/crédito');
+    }
+
+    const { data, error } = await supabase
+      .from('bank_statement_layouts')
+      .insert([{
+        firm_id: firmId,
+        name: layout.nombre.trim(),
+        bank: layout.banco || null,
+        config: { separador: layout.separador || null, columnas: layout.columnas },
+        created_by: userId
+      }])
+      .select()
+      .single();
+
+    if (error) throw error;
+    return { data, error: null };
+  } catch (error) {
+    console.error('Error en guardarLayout:', error);
+    return { data: null, error };
+  }
+}
+
+// ============================================================================
+// IMPORTACIÓN
+// ============================================================================
+
+/**
+ * Importar un extracto bancario a una cuenta
+ * @param {Object} params
+ * @param {Object} params.cuenta - Cuenta financiera (id, firm_id, name)
+ * @param {string} params.nombreArchivo
+ * @param {string|ArrayBuffer} params.contenido
+ * @param {Object} params.layout - Layout a aplicar (CSV/Excel)
+ * @param {string} params.userId
+ * @returns {Promise<Object>} { data: { extracto, importadas, duplicadas, errores }, error }
+ */
+export async function importarExtracto({ cuenta, nombreArchivo, contenido, layout, userId = null }) {
+  try {
+    if (!cuenta?.id) throw new Error('La cuenta es requerida');
+
+    const formato = detectarFormatoArchivo(nombreArchivo);
+    if (!formato) throw new Error('Formato no soportado. Usa CSV, OFX o Excel');
+
+    const { lineas, errores, saldoFinal } = parsearExtracto(contenido, formato, layout);
+    if (lineas.length === 0) {
+      throw new Error(errores[0] || 'El extracto no tiene movimientos');
+    }
+
+    // Líneas que ya están en la cuenta por una importación anterior del mismo período
+    const huellas = calcularHuellas(lineas);
+    const fechas = lineas.map((l) => l.fecha).sort();
+    const { data: existentes, error: errorExistentes } = await supabase
+      .from('bank_statement_lines')
+      .select('line_hash')
+      .eq('account_id', cuenta.id)
+      .gte('line_date', fechas[0])
+      .lte('line_date', fechas[fechas.length - 1]);
+
+    if (errorExistentes) throw errorExistentes;
+
+    const yaImportadas = new Set((existentes || []).map((l) => l.line_hash));
+    const nuevas = lineas
+      .map((linea, i) => ({ linea, huella: huellas[i], numero: i + 1 }))
+      .filter(({ huella }) => !yaImportadas.has(huella));
+
+    // Reimportar un extracto completo no deja una cabecera vacía
+    if (nuevas.length === 0) {
+      return { data: { extracto: null, importadas: 0, duplicadas: lineas.length, errores }, error: null };
+    }
+
+    const { data: extracto, error: errorExtracto } = await supabase
+      .from('bank_statements')
+      .insert([{
+        firm_id: cuenta.firm_id,
+        account_id: cuenta.id,
+        file_name: nombreArchivo,
+        file_format: formato,
+        layout: formato === 'ofx' ? null : layout?.nombre,
+        period_start: fechas[0],
+        period_end: fechas[fechas.length - 1],
+        closing_balance: saldoFinal,
+        imported_by: userId
+      }])
+      .select()
+      .single();
+
+    if (errorExtracto) throw errorExtracto;
+
+    const { data: insertadas, error: errorLineas } = await supabase
+      .from('bank_statement_lines')
+      .upsert(
+        nuevas.map(({ linea, huella, numero }) => ({
+          statement_id: extracto.id,
+          line_number: numero,
+          firm_id: cuenta.firm_id,
+          account_id: cuenta.id,
+          line_date: linea.fecha,
+          description: linea.descripcion,
+          reference: linea.referencia,
+          amount: linea.monto,
+          balance: linea.saldo,
+          line_hash: huella,
+          status: ESTADOS_LINEA.PENDIENTE
+        })),
+        { onConflict: 'account_id,line_hash', ignoreDuplicates: true }
+      )
+      .select('id');
+
+    if (errorLineas) throw errorLineas;
+
+    const importadas = insertadas?.length || 0;
+    await supabase.from('bank_statements').update({ lines_count: importadas }).eq('id', extracto.id);
+
+    await crearRegistro({
+      firmId: cuenta.firm_id,
+      tipo: 'extracto_bancario_importado',
+      descripcion: `Extracto ${nombreArchivo} importado en "${cuenta.name}" - ${importadas} movimiento(s)`,
+      moduloOrigen: 'modulo_08_finanzas',
+      usuario: userId || 'sistema',
+      referencia: extracto.id,
+      metadata: { account_id: cuenta.id, formato, importadas, duplicadas: lineas.length - importadas }
+    }).catch((err) => console.warn('Error registrando en auditoría:', err));
+
+    return {
+      data: { extracto, importadas, duplicadas: lineas.length - importadas, errores },
+      error: null
+    };
+  } catch (error) {
+    console.error('Error en importarExtracto:', error);
+    return { data: null, error };
+  }
+}
+
+/**
+ * Obtener líneas de extracto de una cuenta
+ * @param {string} cuentaId - ID de la cuenta
+ * @param {Object} filtros - { desde, hasta, estado }
+ * @returns {Promise<Object>} { data, error }
+ */
+export async function obtenerLineasExtracto(cuentaId, filtros = {}) {
+  try {
+    let query = supabase
+      .from('bank_statement_lines')
+      .select(`
+        *,
+        payment_order:payment_orders(id, order_number, beneficiary_name, amount, payment_date),
+        income:income(id, client_name, invoice_number, total_amount)
+      `)
+      .eq('account_id', cuentaId);
+
+    if (filtros.desde) query = query.gte('line_date', filtros.desde);
+    if (filtros.hasta) query = query.lte('line_date', filtros.hasta);
+    if (filtros.estado) query = query.eq('status', filtros.estado);
+
+    // Dentro de un mismo día, el último movimiento importado primero
+    const { data, error } = await query
+      .order('line_date', { ascending: false })
+      .order('created_at', { ascending: false })
+      .order('line_number', { ascending: false });
+
+    if (error) throw error;
+    return { data: data || [], error: null };
+  } catch (error) {
+    console.error('Error en obtenerLineasExtracto:', error);
+    return { data: [], error };
+  }
+}
+
+// ============================================================================
+// EMPAREJAMIENTO
+// ============================================================================
+
+function coincideReferencia(linea, candidato) {
+  const textoLinea = normalizarTexto(`${linea.description || ''} ${linea.reference || ''}`);
+  const refLinea = normalizarTexto(linea.reference);
+
+  return candidato.referencias.some((ref) => {
+    const normalizada = normalizarTexto(ref);
+    if (normalizada.length < 3) return false;
+    return textoLinea.includes(normalizada) || (refLinea.length >= 3 && normalizada.includes(refLinea));
+  });
+}
+
+/**
+ * Empareja líneas del extracto con movimientos contables.
+ * Requiere mismo importe y signo dentro de la tolerancia de días; el puntaje
+ * premia la cercanía de fecha y que la referencia aparezca en el extracto.
+ * Cada línea y cada movimiento se usan una sola vez (mejor puntaje primero).
+ * @param {Array} lineas - Líneas de extracto { id, line_date, amount, description, reference }
+ * @param {Array} candidatos - { clave, tipo, documentoId, fecha, monto, referencias[] }
+ * @param {Object} opciones - { toleranciaDias }
+ * @returns {Array} [{ lineaId, candidato, puntaje }]
+ */
+export function emparejarMovimientos(lineas, candidatos, opciones = {}) {
+  const toleranciaDias = opciones.toleranciaDias ?? TOLERANCIA_DIAS;
+  const pares = [];
+
+  lineas.forEach((linea) => {
+    candidatos.forEach((candidato) => {
+      if (!candidato.fecha) return;
+      if (Math.abs(Number(linea.amount) - candidato.monto) > 0.01) return;
+
+      const dias = Math.abs(diasEntre(linea.line_date, candidato.fecha));
+      if (dias > toleranciaDias) return;
+
+      const puntaje =
+        60 + Math.max(0, Math.round(30 - dias * 6)) + (coincideReferencia(linea, candidato) ? 10 : 0);
+      pares.push({ lineaId: linea.id, candidato, puntaje, dias });
+    });
+  });
+
+  pares.sort((a, b) => b.puntaje - a.puntaje || a.dias - b.dias);
+
+  const lineasUsadas = new Set();
+  const candidatosUsados = new Set();
+
+  return pares
+    .filter((par) => {
+      if (lineasUsadas.has(par.lineaId) || candidatosUsados.has(par.candidato.clave)) return false;
+      lineasUsadas.add(par.lineaId);
+      candidatosUsados.add(par.candidato.clave);
+      return true;
+    })
+    .map(({ lineaId, candidato, puntaje }) => ({ lineaId, candidato, puntaje }));
+}
+
+/**
+ * Movimientos contables de la cuenta que todavía no están conciliados:
+ * órdenes de pago ejecutadas (salidas) y cobros de ingresos (entradas, un candidato
+ * por renglón de income_payment_history para que cada cobro parcial tenga su línea)
+ * @param {string} cuentaId - ID de la cuenta
+ * @param {Object} filtros - { desde, hasta }
+ * @returns {Promise<Array>} Candidatos para emparejar
+ */
+export async function obtenerMovimientosPendientes(cuentaId, filtros = {}) {
+  const desde = filtros.desde ? sumarDias(filtros.desde, -TOLERANCIA_DIAS) : null;
+  const hasta = filtros.hasta ? sumarDias(filtros.hasta, TOLERANCIA_DIAS) : null;
+
+  // Documentos ya emparejados con alguna línea
+  const { data: usadas } = await supabase
+    .from('bank_statement_lines')
+    .select('payment_order_id, income_payment_id')
+    .eq('account_id', cuentaId)
+    .eq('status', ESTADOS_LINEA.CONCILIADA);
+
+  const ordenesUsadas = new Set((usadas || []).map((l) => l.payment_order_id).filter(Boolean));
+  const cobrosUsados = new Set((usadas || []).map((l) => l.income_payment_id).filter(Boolean));
+
+  let queryOrdenes = supabase
+    .from('payment_orders')
+    .select('id, order_number, reference_number, beneficiary_name, amount, payment_date')
+    .eq('account_id', cuentaId)
+    .eq('status', 'EXECUTED')
+    .is('bank_reconciliation_id', null);
+  if (desde) queryOrdenes = queryOrdenes.gte('payment_date', desde);
+  if (hasta) queryOrdenes = queryOrdenes.lte('payment_date', hasta);
+
+  let queryCobros = supabase
+    .from('income_payment_history')
+    .select('id, income_id, payment_date, amount_collected, reference_number, income:income_id(client_name, invoice_number)')
+    .eq('account_id', cuentaId)
+    .is('bank_reconciliation_id', null);
+  if (desde) queryCobros = queryCobros.gte('payment_date', desde);
+  if (hasta) queryCobros = queryCobros.lte('payment_date', hasta);
+
+  const [{ data: ordenes, error: errorOrdenes }, { data: cobros, error: errorCobros }] = await Promise.all([
+    queryOrdenes,
+    queryCobros
+  ]);
+
+  if (errorOrdenes) throw errorOrdenes;
+  if (errorCobros) throw errorCobros;
+
+  const candidatos = (ordenes || [])
+    .filter((orden) => !ordenesUsadas.has(orden.id))
+    .map((orden) => ({
+      clave: `payment_order:${orden.id}`,
+      tipo: 'payment_order',
+      documentoId: orden.id,
+      fecha: orden.payment_date,
+      monto: -Math.abs(Number(orden.amount) || 0),
+      descripcion: `OP #${orden.order_number} - ${orden.beneficiary_name || ''}`,
+      referencias: [orden.order_number, orden.reference_number].filter(Boolean).map(String)
+    }));
+
+  (cobros || [])
+    .filter((cobro) => !cobrosUsados.has(cobro.id))
+    .forEach((cobro) => {
+      candidatos.push({
+        clave: `income_payment:${cobro.id}`,
+        tipo: 'income',
+        documentoId: cobro.income_id,
+        cobroId: cobro.id,
+        fecha: cobro.payment_date,
+        monto: Math.abs(Number(cobro.amount_collected) || 0),
+        descripcion: `Cobro ${cobro.income?.client_name || ''} ${cobro.income?.invoice_number || ''}`.trim(),
+        referencias: [cobro.income?.invoice_number, cobro.reference_number].filter(Boolean).map(String)
+      });
+    });
+
+  return candidatos;
+}
+
+/**
+ * Concilia automáticamente las líneas pendientes de una cuenta
+ * @param {string} cuentaId - ID de la cuenta
+ * @param {Object} filtros - { desde, hasta }
+ * @param {string} userId - Usuario
+ * @returns {Promise<Object>} { data: { conciliadas, pendientes }, error }
+ */
+export async function conciliarAutomaticamente(cuentaId, filtros = {}, userId = null) {
+  try {
+    const { data: lineas, error: errorLineas } = await obtenerLineasExtracto(cuentaId, {
+      ...filtros,
+      estado: ESTADOS_LINEA.PENDIENTE
+    });
+    if (errorLineas) throw errorLineas;
+
+    const abiertas = lineas.filter((linea) => !linea.reconciliation_id);
+    if (abiertas.length === 0) return { data: { conciliadas: 0, pendientes: 0 }, error: null };
+
+    const candidatos = await obtenerMovimientosPendientes(cuentaId, filtros);
+    const pares = emparejarMovimientos(abiertas, candidatos);
+
+    for (const par of pares) {
+      const { error } = await supabase
+        .from('bank_statement_lines')
+        .update({
+          status: ESTADOS_LINEA.CONCILIADA,
+          payment_order_id: par.candidato.tipo === 'payment_order' ? par.candidato.documentoId : null,
+          income_id: par.candidato.tipo === 'income' ? par.candidato.documentoId : null,
+          income_payment_id: par.candidato.cobroId || null,
+          match_score: par.puntaje,
+          matched_by: userId,
+          matched_at: new Date().toISOString()
+        })
+        .eq('id', par.lineaId);
+
+      if (error) throw error;
+    }
+
+    return {
+      data: { conciliadas: pares.length, pendientes: abiertas.length - pares.length },
+      error: null
+    };
+  } catch (error) {
+    console.error('Error en conciliarAutomaticamente:', error);
+    return { data: null, error };
+  }
+}
+
+async function verificarLineaAbierta(lineaId) {
+  const { data: linea, error } = await supabase
+    .from('bank_statement_lines')
+    .select('id, reconciliation_id')
+    .eq('id', lineaId)
+    .single();
+
+  if (error) throw error;
+  if (linea.reconciliation_id) {
+    throw new Error('La línea pertenece a un período de conciliación cerrado');
+  }
+  return linea;
+}
+
+/**
+ * Conciliar manualmente una línea con un documento
+ * @param {string} lineaId - ID de la línea
+ * @param {Object} candidato - { tipo: 'payment_order'|'income', documentoId, cobroId }
+ * @param {string} userId - Usuario
+ * @returns {Promise<Object>} { data, error }
+ */
+export async function conciliarManual(lineaId, candidato, userId = null) {
+  try {
+    await verificarLineaAbierta(lineaId);
+
+    const { data, error } = await supabase
+      .from('bank_statement_lines')
+      .update({
+        status: ESTADOS_LINEA.CONCILIADA,
+        payment_order_id: candidato.tipo === 'payment_order' ? candidato.documentoId : null,
+        income_id: candidato.tipo === 'income' ? candidato.documentoId : null,
+        income_payment_id: candidato.cobroId || null,
+        match_score: null,
+        matched_by: userId,
+        matched_at: new Date().toISOString()
+      })
+      .eq('id', lineaId)
+      .select()
+      .single();
+
+    if (error) throw error;
+    return { data, error: null };
+  } catch (error) {
+    console.error('Error en conciliarManual:', error);
+    return { data: null, error };
+  }
+}
+
+/**
+ * Cambiar el estado de una línea: deshacer el emparejamiento o marcarla como ignorada
+ * (comisiones, impuestos bancarios y otros movimientos sin documento)
+ * @param {string} lineaId - ID de la línea
+ * @param {string} estado - ESTADOS_LINEA.PENDIENTE | ESTADOS_LINEA.IGNORADA
+ * @returns {Promise<Object>} { data, error }
+ */
+export async function cambiarEstadoLinea(lineaId, estado) {
+  try {
+    if (![ESTADOS_LINEA.PENDIENTE, ESTADOS_LINEA.IGNORADA].includes(estado)) {
+      throw new Error(`Estado inválido: ${estado}`);
+    }
+    await verificarLineaAbierta(lineaId);
+
+    const { data, error } = await supabase
+      .from('bank_statement_lines')
+      .update({
+        status: estado,
+        payment_order_id: null,
+        income_id: null,
+        income_payment_id: null,
+        match_score: null,
+        matched_by: null,
+        matched_at: null
+      })
+      .eq('id', lineaId)
+      .select()
+      .single();
+
+    if (error) throw error;
+    return { data, error: null };
+  } catch (error) {
+    console.error('Error en cambiarEstadoLinea:', error);
+    return { data: null, error };
+  }
+}
+
+// ============================================================================
+// CIERRE DE PERÍODO
+// ============================================================================
+
+/**
+ * Obtener cierres de conciliación de una cuenta
+ * @param {string} cuentaId - ID de la cuenta
+ * @returns {Promise<Object>} { data, error }
+ */
+export async function obtenerConciliaciones(cuentaId) {
+  try {
+    const { data, error } = await supabase
+      .from('bank_reconciliations')
+      .select('*')
+      .eq('account_id', cuentaId)
+      .order('period_end', { ascending: false });
+
+    if (error) throw error;
+    return { data: data || [], error: null };
+  } catch (error) {
+    console.error('Error en obtenerConciliaciones:', error);
+    return { data: [], error };
+  }
+}
+
+/**
+ * Saldo según libros al cierre del día: saldo inicial de la cuenta más los cobros
+ * y menos las órdenes de pago ejecutadas hasta esa fecha. No usa current_balance,
+ * que refleja también los movimientos posteriores al período.
+ * @param {string} cuentaId - ID de la cuenta
+ * @param {string} hasta - YYYY-MM-DD
+ * @returns {Promise<number>}
+ */
+async function calcularSaldoLibros(cuentaId, hasta) {
+  const [
+    { data: cuenta, error: errorCuenta },
+    { data: cobros, error: errorCobros },
+    { data: ordenes, error: errorOrdenes }
+  ] = await Promise.all([
+    supabase.from('financial_accounts').select('initial_balance').eq('id', cuentaId).single(),
+    supabase
+      .from('income_payment_history')
+      .select('amount_collected')
+      .eq('account_id', cuentaId)
+      .lte('payment_date', hasta),
+    supabase
+      .from('payment_orders')
+      .select('amount')
+      .eq('account_id', cuentaId)
+      .eq('status', 'EXECUTED')
+      .lte('payment_date', hasta)
+  ]);
+
+  if (errorCuenta) throw errorCuenta;
+  if (errorCobros) throw errorCobros;
+  if (errorOrdenes) throw errorOrdenes;
+
+  const entradas = (cobros || []).reduce((sum, c) => sum + (Number(c.amount_collected) || 0), 0);
+  const salidas = (ordenes || []).reduce((sum, o) => sum + (Number(o.amount) || 0), 0);
+  return Math.round(((Number(cuenta.initial_balance) || 0) + entradas - salidas) * 100) / 100;
+}
+
+/**
+ * Cerrar un período de conciliación. Las líneas conciliadas o ignoradas del período
+ * y sus órdenes de pago / cobros quedan bloqueados; las pendientes siguen abiertas.
+ * @param {Object} params
+ * @param {Object} params.cuenta - Cuenta financiera (id, firm_id, name)
+ * @param {string} params.desde - YYYY-MM-DD
+ * @param {string} params.hasta - YYYY-MM-DD
+ * @param {number} params.saldoExtracto - Saldo final según el banco (opcional)
+ * @param {string} params.notas
+ * @param {string} params.userId
+ * @returns {Promise<Object>} { data, error }
+ */
+export async function cerrarConciliacion({ cuenta, desde, hasta, saldoExtracto = null, notas = null, userId = null }) {
+  try {
+    if (!cuenta?.id) throw new Error('La cuenta es requerida');
+    if (!desde || !hasta || desde > hasta) throw new Error('Período inválido');
+
+    const { data: solapadas, error: errorSolapadas } = await supabase
+      .from('bank_reconciliations')
+      .select('id, period_start, period_end')
+      .eq('account_id', cuenta.id)
+      .lte('period_start', hasta)
+      .gte('period_end', desde);
+
+    if (errorSolapadas) throw errorSolapadas;
+    if (solapadas?.length > 0) {
+      throw new Error(
+        `El período se superpone con una conciliación cerrada (${solapadas[0].period_start} a ${solapadas[0].period_end})`
+      );
+    }
+
+    const { data: lineas, error: errorLineas } = await obtenerLineasExtracto(cuenta.id, { desde, hasta });
+    if (errorLineas) throw errorLineas;
+    if (lineas.length === 0) throw new Error('No hay líneas de extracto en el período');
+
+    const cerradas = lineas.filter((l) => l.status !== ESTADOS_LINEA.PENDIENTE);
+    const pendientes = lineas.length - cerradas.length;
+    // Las líneas vienen de la más reciente a la más antigua (fecha y secuencia de importación)
+    const conSaldo = lineas.find((l) => l.balance !== null && l.balance !== undefined);
+    const saldoBanco = saldoExtracto !== null && saldoExtracto !== '' ? Number(saldoExtracto) : conSaldo?.balance ?? null;
+    const saldoLibros = await calcularSaldoLibros(cuenta.id, hasta);
+
+    const { data: conciliacion, error: errorCierre } = await supabase
+      .from('bank_reconciliations')
+      .insert([{
+        firm_id: cuenta.firm_id,
+        account_id: cuenta.id,
+        period_start: desde,
+        period_end: hasta,
+        statement_balance: saldoBanco,
+        book_balance: saldoLibros,
+        difference: saldoBanco !== null ? Math.round((saldoBanco - saldoLibros) * 100) / 100 : null,
+        matched_count: cerradas.length,
+        unmatched_count: pendientes,
+        notes: notas,
+        closed_by: userId
+      }])
+      .select()
+      .single();
+
+    if (errorCierre) throw errorCierre;
+
+    if (cerradas.length > 0) {
+      const { error } = await supabase
+        .from('bank_statement_lines')
+        .update({ reconciliation_id: conciliacion.id })
+        .in('id', cerradas.map((l) => l.id));
+      if (error) throw error;
+    }
+
+    const ordenes = cerradas.map((l) => l.payment_order_id).filter(Boolean);
+    const ingresos = cerradas.map((l) => l.income_id).filter(Boolean);
+    const cobros = cerradas.map((l) => l.income_payment_id).filter(Boolean);
+
+    if (ordenes.length > 0) {
+      const { error } = await supabase
+        .from('payment_orders')
+        .update({ bank_reconciliation_id: conciliacion.id })
+        .in('id', ordenes);
+      if (error) throw error;
+    }
+
+    if (ingresos.length > 0) {
+      const { error } = await supabase
+        .from('income')
+        .update({ bank_reconciliation_id: conciliacion.id })
+        .in('id', ingresos);
+      if (error) throw error;
+    }
+
+    if (cobros.length > 0) {
+      const { error } = await supabase
+        .from('income_payment_history')
+        .update({ bank_reconciliation_id: conciliacion.id })
+        .in('id', cobros);
+      if (error) throw error;
+    }
+
+    await crearRegistro({
+      firmId: cuenta.firm_id,
+      tipo: 'conciliacion_bancaria_cerrada',
+      descripcion: `Conciliación de "${cuenta.name}" cerrada (${desde} a ${hasta}) - ${cerradas.length} conciliada(s), ${pendientes} pendiente(s)`,
+      moduloOrigen: 'modulo_08_finanzas',
+      usuario: userId || 'sistema',
+      referencia: conciliacion.id,
+      metadata: {
+        account_id: cuenta.id,
+        statement_balance: saldoBanco,
+        book_balance: saldoLibros,
+        payment_orders: ordenes.length,
+        income: ingresos.length,
+        income_payments: cobros.length
+      }
+    }).catch((err) => console.warn('Error registrando en auditoría:', err));
+
+    return { data: conciliacion, error: null };
+  } catch (error) {
+    console.error('Error en cerrarConciliacion:', error);
+    return { data: null, error };
+  }
+}
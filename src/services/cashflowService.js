@@ -7,23 +7,34 @@
  * - Flujo neto mensual
  * - Saldo acumulado
  * - Categorización de egresos
+ * - Presentación en UYU o USD (filtros.moneda)
  */
 
 import { supabase } from '../lib/supabase';
+import { crearConversorMoneda, MONEDA_BASE } from './exchangeRates';
 
 /**
  * Generar reporte de Cashflow
  * Analiza ingresos reales (collected) vs egresos realizados (executed)
+ * Los montos se convierten a filtros.moneda con el tipo de cambio de cada documento
  */
 export async function generarCashflow(filtros) {
   try {
-    const { premiseId, startDate, endDate, firmId } = filtros;
+    const { premiseId, startDate, endDate, firmId, moneda = MONEDA_BASE } = filtros;
+
+    const conversor = await crearConversorMoneda({ firmId, premiseId, moneda, hasta: endDate });
 
     // 1. Obtener egresos (órdenes de pago ejecutadas)
-    const egresos = await getEgresos(premiseId || firmId, startDate, endDate, 'premise');
+    const egresos = conversor.convertirDocumentos(
+      await getEgresos(premiseId || firmId, startDate, endDate, 'premise'),
+      'expense_date'
+    );
 
     // 2. Obtener ingresos (cobrados)
-    const ingresos = await getIngresos(premiseId || firmId, startDate, endDate, 'premise');
+    const ingresos = conversor.convertirDocumentos(
+      await getIngresos(premiseId || firmId, startDate, endDate, 'premise'),
+      'income_date'
+    );
 
     // 3. Agrupar por mes
     const cashflowMensual = agruparPorMes(ingresos, egresos);
@@ -45,6 +56,8 @@ export async function generarCashflow(filtros) {
         end: endDate
       },
       generado_en: new Date().toISOString(),
+      moneda,
+      documentos_sin_tipo_cambio: conversor.sinTipoCambio(),
       resumen: {
         total_ingresos: totalIngresos,
         total_egresos: totalEgresos,
@@ -0,0 +1,515 @@
+/**
+ * Rotación de cultivos por lote (tabla lot_rotations)
+ *
+ * Cada lote tiene una celda por año de campaña y estación (invierno / verano) con el cultivo,
+ * el cultivo de cobertura o la pradera y su edad. La historia (REALIZADO) se carga a mano o
+ * desde las cosechas registradas; el plan plurianual (PLANIFICADO) se arma en el planificador.
+ * Las reglas de rotación se evalúan sobre la secuencia completa y se muestran como advertencias,
+ * también antes de crear una proyección agrícola.
+ */
+
+import { supabase } from '../lib/supabase';
+import { registrarAuditoria } from './registros';
+import { normalizarTexto } from '../lib/csvParsing';
+import { analyzeRotationSustainability } from './simulation/agricultureSimulation';
+
+export const ESTACIONES = {
+  INVIERNO: 'Invierno',
+  VERANO: 'Verano'
+};
+
+export const TIPOS_CULTIVO_ROTACION = {
+  CULTIVO: 'Cultivo de grano',
+  COBERTURA: 'Cultivo de cobertura',
+  VERDEO: 'Verdeo',
+  PRADERA: 'Pradera',
+  BARBECHO: 'Barbecho'
+};
+
+// estacion null = puede ocupar cualquier estación
+export const CULTIVOS_ROTACION = {
+  'Soja': { estacion: 'VERANO', tipo: 'CULTIVO' },
+  'Maíz': { estacion: 'VERANO', tipo: 'CULTIVO' },
+  'Sorgo': { estacion: 'VERANO', tipo: 'CULTIVO' },
+  'Girasol': { estacion: 'VERANO', tipo: 'CULTIVO' },
+  'Arroz': { estacion: 'VERANO', tipo: 'CULTIVO' },
+  'Trigo': { estacion: 'INVIERNO', tipo: 'CULTIVO' },
+  'Cebada': { estacion: 'INVIERNO', tipo: 'CULTIVO' },
+  'Colza': { estacion: 'INVIERNO', tipo: 'CULTIVO' },
+  'Avena negra': { estacion: 'INVIERNO', tipo: 'COBERTURA' },
+  'Raigrás': { estacion: 'INVIERNO', tipo: 'COBERTURA' },
+  'Vicia': { estacion: 'INVIERNO', tipo: 'COBERTURA' },
+  'Verdeo de invierno': { estacion: 'INVIERNO', tipo: 'VERDEO' },
+  'Sorgo forrajero': { estacion: 'VERANO', tipo: 'VERDEO' },
+  'Pradera': { estacion: null, tipo: 'PRADERA' },
+  'Barbecho': { estacion: null, tipo: 'BARBECHO' }
+};
+
+/**
+ * Umbrales de las reglas de rotación
+ * - Soja en más de la mitad de los veranos de una ventana de 4 años
+ * - Fase de pradera entre 2 y 4 años
+ */
+export const REGLAS_ROTACION = {
+  ventanaSojaAnios: 4,
+  maxFrecuenciaSoja: 0.5,
+  minAniosPradera: 2,
+  maxAniosPradera: 4
+};
+
+const ORDEN_ESTACION = { INVIERNO: 0, VERANO: 1 };
+
+/**
+ * Lleva un nombre de cultivo libre ("maiz", "SOJA ") al nombre del catálogo
+ * @param {string} nombre
+ * @returns {string}
+ */
+export function normalizarCultivo(nombre) {
+  const buscado = normalizarTexto(nombre);
+  if (!buscado) return '';
+  const catalogo = Object.keys(CULTIVOS_ROTACION).find((cultivo) => normalizarTexto(cultivo) === buscado);
+  if (catalogo) return catalogo;
+  return capitalizar(String(nombre).trim());
+}
+
+/**
+ * Año de campaña y estación que corresponden a una fecha de siembra o cosecha.
+ * Los cultivos de verano de una campaña van de la siembra en primavera a la cosecha en otoño
+ * del año siguiente, por eso una fecha anterior a julio cae en la campaña del año anterior.
+ * @param {string} fecha - YYYY-MM-DD
+ * @param {string} cultivo
+ * @returns {Object} { season_year, season }
+ */
+export function temporadaDeFecha(fecha, cultivo) {
+  const [anio, mes] = String(fecha).split('-').map(Number);
+  let estacion = CULTIVOS_ROTACION[normalizarCultivo(cultivo)]?.estacion;
+  if (!estacion) {
+    estacion = mes >= 3 && mes <= 7 ? 'INVIERNO' : 'VERANO';
+  }
+
+  if (estacion === 'VERANO') {
+    return { season_year: mes >= 7 ? anio : anio - 1, season: 'VERANO' };
+  }
+  return { season_year: anio, season: 'INVIERNO' };
+}
+
+export function etiquetaTemporada(seasonYear, season) {
+  return season === 'VERANO'
+    ? `verano ${seasonYear}/${String(seasonYear + 1).slice(-2)}`
+    : `invierno ${seasonYear}`;
+}
+
+function capitalizar(texto) {
+  return texto.charAt(0).toUpperCase() + texto.slice(1);
+}
+
+function ordenTemporada(entrada) {
+  return entrada.season_year * 2 + ORDEN_ESTACION[entrada.season];
+}
+
+function tipoDe(cultivo) {
+  return CULTIVOS_ROTACION[normalizarCultivo(cultivo)]?.tipo || 'CULTIVO';
+}
+
+/**
+ * Evalúa las reglas de rotación sobre las celdas de un lote
+ * @param {Array} entradas - Filas de lot_rotations de un mismo lote
+ * @param {Object} reglas - Umbrales (por defecto REGLAS_ROTACION)
+ * @returns {Array} [{ regla, severidad: 'warning'|'info', mensaje, season_year, season }]
+ */
+export function validarRotacionLote(entradas, reglas = REGLAS_ROTACION) {
+  const advertencias = [];
+  const celdas = [...(entradas || [])]
+    .filter((e) => e.crop)
+    .map((e) => ({ ...e, crop: normalizarCultivo(e.crop) }))
+    .sort((a, b) => ordenTemporada(a) - ordenTemporada(b));
+
+  const celda = (anio, estacion) => celdas.find((c) => c.season_year === anio && c.season === estacion);
+
+  // 1. Mismo cultivo de grano en la misma estación dos años seguidos
+  celdas.forEach((actual) => {
+    if (tipoDe(actual.crop) !== 'CULTIVO') return;
+    const anterior = celda(actual.season_year - 1, actual.season);
+    if (anterior && anterior.crop === actual.crop) {
+      advertencias.push({
+        regla: 'MISMO_CULTIVO',
+        severidad: 'warning',
+        mensaje: `${actual.crop} sobre ${actual.crop.toLowerCase()}: se repite en ${etiquetaTemporada(anterior.season_year, anterior.season)} y ${etiquetaTemporada(actual.season_year, actual.season)}`,
+        season_year: actual.season_year,
+        season: actual.season
+      });
+    }
+  });
+
+  // 2. Frecuencia de soja en la ventana de veranos que termina en cada soja
+  celdas
+    .filter((c) => c.season === 'VERANO' && c.crop === 'Soja')
+    .forEach((actual) => {
+      const desde = actual.season_year - reglas.ventanaSojaAnios + 1;
+      const sojas = celdas.filter((c) =>
+        c.season === 'VERANO' && c.crop === 'Soja' && c.season_year >= desde && c.season_year <= actual.season_year
+      ).length;
+      if (sojas / reglas.ventanaSojaAnios > reglas.maxFrecuenciaSoja) {
+        advertencias.push({
+          regla: 'FRECUENCIA_SOJA',
+          severidad: 'warning',
+          mensaje: `Soja en ${sojas} de los últimos ${reglas.ventanaSojaAnios} veranos hasta ${etiquetaTemporada(actual.season_year, 'VERANO')} (máximo ${Math.round(reglas.maxFrecuenciaSoja * 100)}%)`,
+          season_year: actual.season_year,
+          season: 'VERANO'
+        });
+      }
+    });
+
+  // 3. Largo de la fase de pradera (años consecutivos con pradera en alguna estación)
+  const aniosPradera = [...new Set(celdas.filter((c) => tipoDe(c.crop) === 'PRADERA').map((c) => c.season_year))].sort((a, b) => a - b);
+  const fases = [];
+  aniosPradera.forEach((anio) => {
+    const fase = fases[fases.length - 1];
+    if (fase && anio === fase.hasta + 1) {
+      fase.hasta = anio;
+    } else {
+      fases.push({ desde: anio, hasta: anio });
+    }
+  });
+
+  fases.forEach((fase) => {
+    // La primera celda puede traer la edad de una pradera sembrada antes del historial cargado
+    const primera = celdas.find((c) => c.season_year === fase.desde && tipoDe(c.crop) === 'PRADERA');
+    const edadInicial = Math.max(parseInt(primera?.pasture_age_years, 10) || 1, 1);
+    const anios = edadInicial + (fase.hasta - fase.desde);
+    const siguiente = celdas.find((c) => c.season_year > fase.hasta && tipoDe(c.crop) !== 'PRADERA');
+
+    if (anios > reglas.maxAniosPradera) {
+      advertencias.push({
+        regla: 'FASE_PRADERA',
+        severidad: 'warning',
+        mensaje: `Pradera de ${anios} años en ${fase.hasta}: supera la fase recomendada de ${reglas.maxAniosPradera} años (pérdida de leguminosas y enmalezamiento)`,
+        season_year: fase.hasta,
+        season: primera?.season || 'INVIERNO'
+      });
+    } else if (siguiente && anios < reglas.minAniosPradera) {
+      advertencias.push({
+        regla: 'FASE_PRADERA',
+        severidad: 'warning',
+        mensaje: `Fase de pradera de ${anios} año(s) antes de ${siguiente.crop.toLowerCase()}: menor a los ${reglas.minAniosPradera} años necesarios para recuperar el suelo`,
+        season_year: siguiente.season_year,
+        season: siguiente.season
+      });
+    }
+  });
+
+  // 4. Invierno sin cultivo ni cobertura entre dos cultivos de verano
+  celdas
+    .filter((c) => c.season === 'VERANO' && tipoDe(c.crop) === 'CULTIVO')
+    .forEach((actual) => {
+      const anterior = celda(actual.season_year - 1, 'VERANO');
+      const invierno = celda(actual.season_year, 'INVIERNO');
+      if (anterior && tipoDe(anterior.crop) === 'CULTIVO' && (!invierno || tipoDe(invierno.crop) === 'BARBECHO')) {
+        advertencias.push({
+          regla: 'SUELO_DESNUDO',
+          severidad: 'info',
+          mensaje: `${capitalizar(etiquetaTemporada(actual.season_year, 'INVIERNO'))} sin cultivo ni cobertura entre ${anterior.crop.toLowerCase()} y ${actual.crop.toLowerCase()}`,
+          season_year: actual.season_year,
+          season: 'INVIERNO'
+        });
+      }
+    });
+
+  return advertencias;
+}
+
+/**
+ * Evalúa la rotación de todos los lotes de un predio
+ * @param {Array} entradas - Filas de lot_rotations del predio
+ * @returns {Object} { [lotId]: { advertencias, sostenibilidad } }
+ */
+export function evaluarRotacionPredio(entradas) {
+  const porLote = {};
+  (entradas || []).forEach((e) => {
+    porLote[e.lot_id] = porLote[e.lot_id] || [];
+    porLote[e.lot_id].push(e);
+  });
+
+  return Object.fromEntries(Object.entries(porLote).map(([lotId, celdas]) => {
+    const secuencia = [...celdas]
+      .filter((c) => tipoDe(c.crop) !== 'BARBECHO')
+      .sort((a, b) => ordenTemporada(a) - ordenTemporada(b))
+      .map((c) => normalizarCultivo(c.crop));
+
+    return [lotId, {
+      advertencias: validarRotacionLote(celdas),
+      sostenibilidad: secuencia.length >= 2 ? analyzeRotationSustainability(secuencia) : null
+    }];
+  }));
+}
+
+/**
+ * Obtiene las celdas de rotación de un predio
+ * @param {string} premiseId
+ * @param {Object} filtros - { desde, hasta } años de campaña
+ */
+export async function obtenerRotacionesPredio(premiseId, filtros = {}) {
+  try {
+    let query = supabase
+      .from('lot_rotations')
+      .select('*')
+      .eq('premise_id', premiseId)
+      .order('season_year', { ascending: true });
+
+    if (filtros.desde) query = query.gte('season_year', filtros.desde);
+    if (filtros.hasta) query = query.lte('season_year', filtros.hasta);
+
+    const { data, error } = await query;
+    if (error) throw error;
+    return data || [];
+  } catch (error) {
+    console.error('Error en obtenerRotacionesPredio:', error);
+    throw error;
+  }
+}
+
+/**
+ * Guarda (crea o reemplaza) la celda de un lote en una temporada
+ * @param {Object} entrada - firm_id, premise_id, lot_id, season_year, season, crop, status, campaign_id,
+ *   pasture_age_years, notes
+ * @param {string} userId
+ * @returns {Promise<Object>} Fila guardada
+ */
+export async function guardarRotacion(entrada, userId = null) {
+  try {
+    if (!entrada.lot_id || !entrada.season_year || !ESTACIONES[entrada.season]) {
+      throw new Error('Lote, año y estación son obligatorios');
+    }
+
+    const crop = normalizarCultivo(entrada.crop);
+    if (!crop) throw new Error('El cultivo es obligatorio');
+
+    const config = CULTIVOS_ROTACION[crop];
+    if (config?.estacion && config.estacion !== entrada.season) {
+      throw new Error(`${crop} es un cultivo de ${ESTACIONES[config.estacion].toLowerCase()}`);
+    }
+
+    // La edad de la pradera continúa la del año anterior si no se indica
+    let pastureAge = entrada.pasture_age_years ? parseInt(entrada.pasture_age_years, 10) : null;
+    if (config?.tipo === 'PRADERA' && !pastureAge) {
+      const { data: anterior } = await supabase
+        .from('lot_rotations')
+        .select('crop, pasture_age_years')
+        .eq('lot_id', entrada.lot_id)
+        .eq('season_year', entrada.season_year - 1)
+        .eq('crop', 'Pradera')
+        .limit(1)
+        .maybeSingle();
+      pastureAge = anterior ? (anterior.pasture_age_years || 1) + 1 : 1;
+    }
+
+    const { data, error } = await supabase
+      .from('lot_rotations')
+      .upsert({
+        firm_id: entrada.firm_id,
+        premise_id: entrada.premise_id,
+        lot_id: entrada.lot_id,
+        campaign_id: entrada.campaign_id || null,
+        season_year: entrada.season_year,
+        season: entrada.season,
+        crop,
+        is_cover_crop: config?.tipo === 'COBERTURA',
+        pasture_age_years: config?.tipo === 'PRADERA' ? pastureAge : null,
+        status: entrada.status || 'PLANIFICADO',
+        source: entrada.source || 'MANUAL',
+        harvest_id: entrada.harvest_id || null,
+        notes: entrada.notes || null,
+        created_by: userId,
+        updated_at: new Date().toISOString()
+      }, { onConflict: 'lot_id,season_year,season' })
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    registrarAuditoria(
+      'lotes',
+      data,
+      'rotacion_actualizada',
+      `Rotación: ${crop} en ${etiquetaTemporada(data.season_year, data.season)} (${data.status === 'REALIZADO' ? 'realizado' : 'planificado'})`,
+      data.id,
+      { lot_id: data.lot_id, season_year: data.season_year, season: data.season, crop, status: data.status },
+      userId
+    );
+
+    return data;
+  } catch (error) {
+    console.error('Error en guardarRotacion:', error);
+    throw error;
+  }
+}
+
+/**
+ * Mueve una celda planificada a otra temporada del mismo lote (arrastrar en el planificador)
+ * @param {Object} rotacion - Fila de lot_rotations
+ * @param {Object} destino - { season_year, season }
+ * @param {Array} celdasLote - Celdas actuales del lote, para detectar la celda ocupada
+ */
+export async function moverRotacion(rotacion, destino, celdasLote = []) {
+  try {
+    if (rotacion.status === 'REALIZADO') {
+      throw new Error('Las temporadas realizadas no se pueden mover');
+    }
+
+    const config = CULTIVOS_ROTACION[normalizarCultivo(rotacion.crop)];
+    if (config?.estacion && config.estacion !== destino.season) {
+      throw new Error(`${rotacion.crop} es un cultivo de ${ESTACIONES[config.estacion].toLowerCase()}`);
+    }
+
+    const ocupada = celdasLote.find((c) =>
+      c.id !== rotacion.id && c.season_year === destino.season_year && c.season === destino.season
+    );
+    if (ocupada) {
+      throw new Error(`${etiquetaTemporada(destino.season_year, destino.season)} ya tiene ${ocupada.crop}`);
+    }
+
+    const { data, error } = await supabase
+      .from('lot_rotations')
+      .update({
+        season_year: destino.season_year,
+        season: destino.season,
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', rotacion.id)
+      .select()
+      .single();
+
+    if (error) throw error;
+    return data;
+  } catch (error) {
+    console.error('Error en moverRotacion:', error);
+    throw error;
+  }
+}
+
+/**
+ * Quita una celda de la rotación
+ */
+export async function eliminarRotacion(rotacion, userId = null) {
+  try {
+    const { error } = await supabase
+      .from('lot_rotations')
+      .delete()
+      .eq('id', rotacion.id);
+
+    if (error) throw error;
+
+    registrarAuditoria(
+      'lotes',
+      rotacion,
+      'rotacion_eliminada',
+      `Rotación: se quitó ${rotacion.crop} de ${etiquetaTemporada(rotacion.season_year, rotacion.season)}`,
+      rotacion.id,
+      { lot_id: rotacion.lot_id, season_year: rotacion.season_year, season: rotacion.season, crop: rotacion.crop },
+      userId
+    );
+  } catch (error) {
+    console.error('Error en eliminarRotacion:', error);
+    throw error;
+  }
+}
+
+/**
+ * Completa la historia de rotación con las cosechas registradas del predio (REALIZADO)
+ * @param {string} premiseId
+ * @param {string} userId
+ * @returns {Promise<number>} Cantidad de temporadas actualizadas
+ */
+export async function sincronizarRotacionDesdeCosechas(premiseId, userId = null) {
+  try {
+    const { data: cosechas, error } = await supabase
+      .from('harvests')
+      .select('id, firm_id, premise_id, lot_id, campaign_id, crop, harvest_date')
+      .eq('premise_id', premiseId)
+      .order('harvest_date', { ascending: true });
+
+    if (error) throw error;
+    if (!cosechas || cosechas.length === 0) return 0;
+
+    // Una fila por lote y temporada (la última cosecha manda si hubo varias entregas)
+    const filas = new Map();
+    cosechas.forEach((c) => {
+      const temporada = temporadaDeFecha(c.harvest_date, c.crop);
+      filas.set(`${c.lot_id}:${temporada.season_year}:${temporada.season}`, {
+        firm_id: c.firm_id,
+        premise_id: c.premise_id,
+        lot_id: c.lot_id,
+        campaign_id: c.campaign_id,
+        season_year: temporada.season_year,
+        season: temporada.season,
+        crop: normalizarCultivo(c.crop),
+        is_cover_crop: false,
+        status: 'REALIZADO',
+        source: 'COSECHA',
+        harvest_id: c.id,
+        created_by: userId,
+        updated_at: new Date().toISOString()
+      });
+    });
+
+    const { error: upsertError } = await supabase
+      .from('lot_rotations')
+      .upsert([...filas.values()], { onConflict: 'lot_id,season_year,season' });
+
+    if (upsertError) throw upsertError;
+    return filas.size;
+  } catch (error) {
+    console.error('Error en sincronizarRotacionDesdeCosechas:', error);
+    throw error;
+  }
+}
+
+/**
+ * Advertencias de rotación que generaría una proyección agrícola sobre un lote.
+ * Solo devuelve las advertencias nuevas respecto del plan actual del lote.
+ * @param {Object} params
+ * @param {string} params.lotId
+ * @param {string} params.cultivo - Cultivo proyectado
+ * @param {string} params.fecha - Fecha tentativa (YYYY-MM-DD)
+ * @returns {Promise<Array>} [{ regla, severidad, mensaje }]
+ */
+export async function validarProyeccionContraRotacion({ lotId, cultivo, fecha }) {
+  try {
+    if (!lotId || !cultivo || !fecha) return [];
+
+    const { data: celdas, error } = await supabase
+      .from('lot_rotations')
+      .select('*')
+      .eq('lot_id', lotId);
+
+    if (error) throw error;
+
+    const crop = normalizarCultivo(cultivo);
+    const temporada = temporadaDeFecha(fecha, crop);
+    const actuales = celdas || [];
+    const existente = actuales.find((c) => c.season_year === temporada.season_year && c.season === temporada.season);
+
+    const conProyeccion = [
+      ...actuales.filter((c) => c !== existente),
+      { lot_id: lotId, ...temporada, crop }
+    ];
+
+    const clave = (a) => `${a.regla}:${a.season_year}:${a.season}:${a.mensaje}`;
+    const previas = new Set(validarRotacionLote(actuales).map(clave));
+    const nuevas = validarRotacionLote(conProyeccion).filter((a) => !previas.has(clave(a)));
+
+    if (existente && normalizarCultivo(existente.crop) !== crop) {
+      nuevas.unshift({
+        regla: 'PLAN_DISTINTO',
+        severidad: 'warning',
+        mensaje: `El plan de rotación tiene ${existente.crop} en ${etiquetaTemporada(temporada.season_year, temporada.season)} (${existente.status === 'REALIZADO' ? 'realizado' : 'planificado'})`,
+        ...temporada
+      });
+    }
+
+    return nuevas;
+  } catch (error) {
+    console.error('Error en validarProyeccionContraRotacion:', error);
+    throw error;
+  }
+}
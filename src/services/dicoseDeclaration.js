@@ -0,0 +1,525 @@
+/**
+ * Servicio de Declaración Jurada anual DICOSE (existencias al 30 de junio)
+ * - Existencias por especie y categoría desde animals y los ingresos / egresos de herd_events
+ * - Uso del suelo por tipo de lote (lots.land_use) y datos de titular y tenencia de premises
+ * - Validación contra el saldo de la planilla de contralor cerrada (tipo A vacunos, B ovinos)
+ * - PDF imprimible y archivo para la carga en MGAP
+ * Tablas: dicose_declarations, premises.department / police_section / tenure_type / owner_* (add_dicose_declarations.sql)
+ */
+
+import jsPDF from 'jspdf';
+import autoTable from 'jspdf-autotable';
+import { supabase } from '../lib/supabase';
+import { registrarAuditoria } from './registros';
+import { formatearFecha } from '../lib/fechas';
+
+export const SEPARADOR_MGAP = ';';
+
+export const TENENCIAS = {
+  PROPIETARIO: 'Propietario',
+  ARRENDATARIO: 'Arrendatario',
+  MEDIANERO: 'Medianero',
+  PASTOREO: 'Pastoreo',
+  OCUPANTE: 'Ocupante',
+  OTRO: 'Otro'
+};
+
+/**
+ * Rubros de superficie de la declaración y valores de lots.land_use que los componen
+ */
+export const USOS_SUELO_DICOSE = {
+  CAMPO_NATURAL: { codigo: '01', nombre: 'Campo natural', usos: ['campo natural'] },
+  PRADERA: { codigo: '02', nombre: 'Praderas artificiales', usos: ['pradera'] },
+  CULTIVO: { codigo: '03', nombre: 'Cultivos', usos: ['cultivo'] },
+  BARBECHO: { codigo: '04', nombre: 'Rastrojos y barbechos', usos: ['barbecho', 'rastrojo'] },
+  OTROS: { codigo: '09', nombre: 'Otros usos / sin asignar', usos: [] }
+};
+
+/**
+ * Planilla de contralor que respalda las existencias de cada especie
+ */
+export const PLANILLA_POR_ESPECIE = { BOVINO: 'A', OVINO: 'B' };
+
+const EVENTOS_INGRESO = ['PURCHASE', 'MOVE_EXTERNAL_IN', 'CONSIGNACION_IN', 'REMATE_IN'];
+const EVENTOS_EGRESO = ['SALE', 'MOVE_EXTERNAL_OUT', 'CONSIGNACION_OUT', 'REMATE_OUT', 'DEATH', 'LOST_WITH_HIDE', 'CONSUMPTION', 'FAENA'];
+const EVENTO_CAMBIO_CATEGORIA = 'CATEGORY_CHANGE';
+
+// Tolerancia entre la suma de lotes y la superficie del predio antes de avisar
+const TOLERANCIA_SUPERFICIE = 0.01;
+
+function rubroDeUso(landUse) {
+  const uso = (landUse || '').trim().toLowerCase();
+  const clave = Object.keys(USOS_SUELO_DICOSE).find((k) => USOS_SUELO_DICOSE[k].usos.includes(uso));
+  return clave || 'OTROS';
+}
+
+/**
+ * Ingresos, egresos y cambios de categoría aprobados por animal, consultados en tandas
+ * para no exceder el largo de la URL
+ */
+async function obtenerMovimientosAnimales(animalIds) {
+  const movimientos = [];
+  for (let i = 0; i < animalIds.length; i += 200) {
+    const { data, error } = await supabase
+      .from('herd_events')
+      .select('animal_id, event_type, event_date, category_from:category_from_id(id, name, code), category_to:category_to_id(id, name, code)')
+      .in('animal_id', animalIds.slice(i, i + 200))
+      .in('event_type', [...EVENTOS_INGRESO, ...EVENTOS_EGRESO, EVENTO_CAMBIO_CATEGORIA])
+      .eq('status', 'APPROVED');
+    if (error) throw error;
+    movimientos.push(...(data || []));
+  }
+  return movimientos;
+}
+
+/**
+ * Categoría de un animal a la fecha: destino del último cambio de categoría hasta esa fecha;
+ * si todos los cambios son posteriores, la de origen del primero; sin cambios, la actual
+ * @param {Object} animal - Con current_category
+ * @param {Array} cambios - CATEGORY_CHANGE del animal ordenados por fecha
+ * @param {string} fecha - YYYY-MM-DD
+ */
+function categoriaAFecha(animal, cambios, fecha) {
+  if (!cambios || cambios.length === 0) return animal.current_category;
+  const anteriores = cambios.filter((c) => c.fecha <= fecha);
+  if (anteriores.length > 0) return anteriores[anteriores.length - 1].category_to || animal.current_category;
+  return cambios[0].category_from || animal.current_category;
+}
+
+/**
+ * Existencias a la fecha de referencia: animales que habían ingresado (compra o nacimiento)
+ * y no habían egresado, en la categoría que tenían ese día según sus cambios de categoría.
+ */
+async function calcularExistencias(premiseId, fechaReferencia) {
+  const { data: animales, error } = await supabase
+    .from('animals')
+    .select('id, species, status, birth_date, created_at, current_category:current_category_id(id, name, code)')
+    .eq('premise_id', premiseId);
+
+  if (error) throw error;
+  if (!animales || animales.length === 0) return { existencias: [], sinCategoria: 0, bajasSinEvento: 0 };
+
+  const movimientos = await obtenerMovimientosAnimales(animales.map((a) => a.id));
+  const ingreso = {};
+  const egreso = {};
+  const cambios = {};
+  movimientos.forEach((m) => {
+    const fecha = String(m.event_date).split('T')[0];
+    if (m.event_type === EVENTO_CAMBIO_CATEGORIA) {
+      (cambios[m.animal_id] = cambios[m.animal_id] || []).push({ ...m, fecha });
+    } else if (EVENTOS_INGRESO.includes(m.event_type)) {
+      if (!ingreso[m.animal_id] || fecha < ingreso[m.animal_id]) ingreso[m.animal_id] = fecha;
+    } else if (!egreso[m.animal_id] || fecha < egreso[m.animal_id]) {
+      egreso[m.animal_id] = fecha;
+    }
+  });
+
+  Object.values(cambios).forEach((lista) => lista.sort((x, y) => x.fecha.localeCompare(y.fecha)));
+
+  const grupos = {};
+  let sinCategoria = 0;
+  let bajasSinEvento = 0;
+
+  animales.forEach((a) => {
+    const entrada = ingreso[a.id] || a.birth_date || String(a.created_at || '').split('T')[0];
+    if (!entrada || entrada > fechaReferencia) return;
+
+    if (a.status !== 'ACTIVE') {
+      if (!egreso[a.id]) {
+        bajasSinEvento += 1;
+        return;
+      }
+      if (egreso[a.id] <= fechaReferencia) return;
+    } else if (egreso[a.id] && egreso[a.id] <= fechaReferencia) {
+      return;
+    }
+
+    const categoria = categoriaAFecha(a, cambios[a.id], fechaReferencia);
+    if (!categoria) {
+      sinCategoria += 1;
+      return;
+    }
+
+    const clave = `${a.species}|${categoria.id}`;
+    if (!grupos[clave]) {
+      grupos[clave] = {
+        especie: a.species,
+        category_id: categoria.id,
+        categoria: categoria.name,
+        codigo: categoria.code || '',
+        cabezas: 0
+      };
+    }
+    grupos[clave].cabezas += 1;
+  });
+
+  const existencias = Object.values(grupos).sort((x, y) =>
+    x.especie.localeCompare(y.especie) || x.categoria.localeCompare(y.categoria)
+  );
+
+  return { existencias, sinCategoria, bajasSinEvento };
+}
+
+/**
+ * Saldo por categoría de la última planilla cerrada iniciada antes de la fecha de referencia:
+ * saldo final de la planilla anterior + entradas - salidas (igual que la planilla en DicoseManager)
+ */
+async function obtenerSaldoPlanilla(premiseId, sheetType, fechaReferencia) {
+  const { data: planilla, error } = await supabase
+    .from('contralor_sheets')
+    .select('id, sheet_type, period_start, period_end, status')
+    .eq('premise_id', premiseId)
+    .eq('sheet_type', sheetType)
+    .eq('status', 'CLOSED')
+    .lte('period_start', fechaReferencia)
+    .order('period_end', { ascending: false })
+    .limit(1)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!planilla) return null;
+
+  const { data: anterior, error: antError } = await supabase
+    .from('contralor_sheets')
+    .select('id')
+    .eq('premise_id', premiseId)
+    .eq('sheet_type', sheetType)
+    .eq('status', 'CLOSED')
+    .lt('period_end', planilla.period_start)
+    .order('period_end', { ascending: false })
+    .limit(1)
+    .maybeSingle();
+
+  if (antError) throw antError;
+
+  const [balancesRes, anterioresRes] = await Promise.all([
+    supabase
+      .from('contralor_balances')
+      .select('category_id, total_in_qty_heads, total_out_qty_heads, category:category_id(id, name, code)')
+      .eq('contralor_sheet_id', planilla.id),
+    anterior
+      ? supabase.from('contralor_balances').select('category_id, final_qty_heads').eq('contralor_sheet_id', anterior.id)
+      : Promise.resolve({ data: [], error: null })
+  ]);
+
+  if (balancesRes.error) throw balancesRes.error;
+  if (anterioresRes.error) throw anterioresRes.error;
+
+  const saldos = {};
+  (anterioresRes.data || []).forEach((b) => {
+    saldos[b.category_id] = { category_id: b.category_id, saldo: b.final_qty_heads || 0 };
+  });
+  (balancesRes.data || []).forEach((b) => {
+    if (!saldos[b.category_id]) saldos[b.category_id] = { category_id: b.category_id, saldo: 0 };
+    saldos[b.category_id].saldo += (b.total_in_qty_heads || 0) - (b.total_out_qty_heads || 0);
+    saldos[b.category_id].categoria = b.category?.name;
+  });
+
+  return { planilla, saldos: Object.values(saldos) };
+}
+
+/**
+ * Arma la declaración jurada del ejercicio que cierra el 30 de junio del año indicado
+ * @param {string} premiseId
+ * @param {number} anio - Año de la fecha de referencia (30/06/anio)
+ * @returns {Promise<Object>} { anio, fecha_referencia, predio, titular, superficies, existencias, planillas, validaciones }
+ */
+export async function generarDeclaracionDicose(premiseId, anio) {
+  try {
+    const fechaReferencia = `${anio}-06-30`;
+
+    const { data: predio, error: predioError } = await supabase
+      .from('premises')
+      .select('*, firm:firm_id(id, name, rut)')
+      .eq('id', premiseId)
+      .single();
+
+    if (predioError) throw predioError;
+
+    const { data: lotes, error: lotesError } = await supabase
+      .from('lots')
+      .select('id, name, area_hectares, land_use')
+      .eq('premise_id', premiseId);
+
+    if (lotesError) throw lotesError;
+
+    const superficies = Object.entries(USOS_SUELO_DICOSE).map(([clave, rubro]) => {
+      const delRubro = (lotes || []).filter((l) => rubroDeUso(l.land_use) === clave);
+      return {
+        clave,
+        codigo: rubro.codigo,
+        nombre: rubro.nombre,
+        lotes: delRubro.length,
+        hectareas: Math.round(delRubro.reduce((sum, l) => sum + (parseFloat(l.area_hectares) || 0), 0) * 100) / 100
+      };
+    }).filter((s) => s.lotes > 0);
+    const superficieLotes = superficies.reduce((sum, s) => sum + s.hectareas, 0);
+
+    const { existencias, sinCategoria, bajasSinEvento } = await calcularExistencias(premiseId, fechaReferencia);
+
+    const validaciones = [];
+    const planillas = [];
+
+    for (const [especie, sheetType] of Object.entries(PLANILLA_POR_ESPECIE)) {
+      const delaEspecie = existencias.filter((e) => e.especie === especie);
+      const saldo = await obtenerSaldoPlanilla(premiseId, sheetType, fechaReferencia);
+
+      if (!saldo) {
+        if (delaEspecie.length > 0) {
+          validaciones.push({
+            nivel: 'ERROR',
+            mensaje: `No hay planilla de contralor tipo ${sheetType} cerrada para ${especie.toLowerCase()}s. Cierre la planilla del ejercicio antes de declarar.`
+          });
+        }
+        continue;
+      }
+
+      planillas.push({ especie, sheet_type: sheetType, planilla: saldo.planilla, saldos: saldo.saldos });
+
+      if (saldo.planilla.period_end < fechaReferencia) {
+        validaciones.push({
+          nivel: 'AVISO',
+          mensaje: `La planilla tipo ${sheetType} cierra el ${formatearFecha(saldo.planilla.period_end)}: los movimientos hasta el ${formatearFecha(fechaReferencia)} no están en su saldo.`
+        });
+      }
+
+      const categorias = new Set([...delaEspecie.map((e) => e.category_id), ...saldo.saldos.map((s) => s.category_id)]);
+      categorias.forEach((categoryId) => {
+        const declarado = delaEspecie.find((e) => e.category_id === categoryId);
+        const enPlanilla = saldo.saldos.find((s) => s.category_id === categoryId);
+        const cabezas = declarado?.cabezas || 0;
+        const saldoPlanilla = enPlanilla?.saldo || 0;
+        if (cabezas !== saldoPlanilla) {
+          validaciones.push({
+            nivel: 'ERROR',
+            category_id: categoryId,
+            mensaje: `${declarado?.categoria || enPlanilla?.categoria || 'Categoría'} (${especie.toLowerCase()}): ${cabezas} cabezas en existencia y ${saldoPlanilla} en el saldo de la planilla ${sheetType}.`
+          });
+        }
+      });
+    }
+
+    if (!predio.dicose_number) {
+      validaciones.push({ nivel: 'ERROR', mensaje: 'El predio no tiene número de DICOSE.' });
+    }
+    if (!predio.tenure_type || !(predio.owner_name || predio.firm?.name)) {
+      validaciones.push({ nivel: 'AVISO', mensaje: 'Faltan datos de titular o tenencia del predio (editar en Mis Predios).' });
+    }
+    if (!predio.department || !predio.police_section) {
+      validaciones.push({ nivel: 'AVISO', mensaje: 'Faltan el departamento o la sección policial del predio.' });
+    }
+    if (predio.total_area && Math.abs(superficieLotes - predio.total_area) > predio.total_area * TOLERANCIA_SUPERFICIE) {
+      validaciones.push({
+        nivel: 'AVISO',
+        mensaje: `Los lotes suman ${superficieLotes} ha y la superficie del predio es ${predio.total_area} ha.`
+      });
+    }
+    if (sinCategoria > 0) {
+      validaciones.push({ nivel: 'AVISO', mensaje: `${sinCategoria} animal(es) sin categoría no se incluyen en la declaración.` });
+    }
+    if (bajasSinEvento > 0) {
+      validaciones.push({ nivel: 'AVISO', mensaje: `${bajasSinEvento} animal(es) dados de baja sin evento de egreso aprobado: no se puede saber si estaban al ${formatearFecha(fechaReferencia)}.` });
+    }
+
+    return {
+      anio,
+      fecha_referencia: fechaReferencia,
+      predio: {
+        id: predio.id,
+        firm_id: predio.firm_id,
+        nombre: predio.name,
+        dicose_number: predio.dicose_number,
+        departamento: predio.department || '',
+        seccion_policial: predio.police_section || '',
+        padrones: predio.padrones || [],
+        superficie_total: predio.total_area || superficieLotes
+      },
+      titular: {
+        nombre: predio.owner_name || predio.firm?.name || '',
+        documento: predio.owner_document || predio.firm?.rut || '',
+        tenencia: predio.tenure_type || ''
+      },
+      superficies,
+      superficie_lotes: Math.round(superficieLotes * 100) / 100,
+      existencias,
+      planillas,
+      validaciones
+    };
+  } catch (error) {
+    console.error('Error en generarDeclaracionDicose:', error);
+    throw error;
+  }
+}
+
+/**
+ * Archivo de carga para MGAP: un registro por línea, separado por ";"
+ * 01 cabecera (DICOSE, año, departamento, sección, tenencia, documento, titular, superficie)
+ * 02 superficie por rubro (código, hectáreas)
+ * 03 existencias (especie, código de categoría, cabezas)
+ * @returns {Object} { contenido, nombreArchivo }
+ */
+export function generarArchivoMgap(declaracion) {
+  if (declaracion.validaciones.some((v) => v.nivel === 'ERROR')) {
+    throw new Error('La declaración tiene errores de validación; corríjalos antes de generar el archivo');
+  }
+
+  const limpiar = (valor) => String(valor ?? '').replace(/[;\r\n]/g, ' ').trim();
+  const lineas = [
+    ['01', declaracion.predio.dicose_number, declaracion.anio, declaracion.predio.departamento, declaracion.predio.seccion_policial,
+      declaracion.titular.tenencia, declaracion.titular.documento, declaracion.titular.nombre, declaracion.predio.superficie_total],
+    ...declaracion.superficies.map((s) => ['02', s.codigo, s.hectareas]),
+    ...declaracion.existencias.map((e) => ['03', e.especie, e.codigo || e.categoria, e.cabezas])
+  ];
+
+  return {
+    contenido: lineas.map((l) => l.map(limpiar).join(SEPARADOR_MGAP)).join('\r\n') + '\r\n',
+    nombreArchivo: `DJ_DICOSE_${declaracion.predio.dicose_number}_${declaracion.anio}.txt`
+  };
+}
+
+/**
+ * PDF imprimible de la declaración jurada para firma
+ */
+export function exportarDeclaracionPdf(declaracion) {
+  const doc = new jsPDF('portrait', 'mm', 'a4');
+  const pageWidth = doc.internal.pageSize.getWidth();
+  const pageHeight = doc.internal.pageSize.getHeight();
+
+  doc.setFontSize(14);
+  doc.setFont('helvetica', 'bold');
+  doc.text('DECLARACIÓN JURADA ANUAL DICOSE', pageWidth / 2, 15, { align: 'center' });
+  doc.setFontSize(10);
+  doc.setFont('helvetica', 'normal');
+  doc.text(`Existencias al ${formatearFecha(declaracion.fecha_referencia)}`, pageWidth / 2, 21, { align: 'center' });
+
+  autoTable(doc, {
+    startY: 28,
+    body: [
+      ['N° DICOSE', declaracion.predio.dicose_number || '-', 'Establecimiento', declaracion.predio.nombre],
+      ['Departamento', declaracion.predio.departamento || '-', 'Sección policial', declaracion.predio.seccion_policial || '-'],
+      ['Titular', declaracion.titular.nombre || '-', 'Documento / RUT', declaracion.titular.documento || '-'],
+      ['Tenencia', TENENCIAS[declaracion.titular.tenencia] || '-', 'Padrones', declaracion.predio.padrones.join(', ') || '-']
+    ],
+    theme: 'grid',
+    styles: { fontSize: 9, cellPadding: 2 },
+    columnStyles: { 0: { fontStyle: 'bold', fillColor: [241, 245, 249] }, 2: { fontStyle: 'bold', fillColor: [241, 245, 249] } },
+    margin: 15
+  });
+
+  doc.setFont('helvetica', 'bold');
+  doc.text('USO DEL SUELO', 15, doc.lastAutoTable.finalY + 8);
+  autoTable(doc, {
+    startY: doc.lastAutoTable.finalY + 11,
+    head: [['Código', 'Rubro', 'Lotes', 'Hectáreas']],
+    body: [
+      ...declaracion.superficies.map((s) => [s.codigo, s.nombre, s.lotes, s.hectareas.toLocaleString('es-UY')]),
+      ['', 'TOTAL', '', declaracion.superficie_lotes.toLocaleString('es-UY')]
+    ],
+    theme: 'striped',
+    styles: { fontSize: 9, cellPadding: 2 },
+    headStyles: { fillColor: [76, 175, 80], textColor: [255, 255, 255], fontStyle: 'bold' },
+    margin: 15
+  });
+
+  doc.setFont('helvetica', 'bold');
+  doc.text('EXISTENCIAS POR ESPECIE Y CATEGORÍA', 15, doc.lastAutoTable.finalY + 8);
+  autoTable(doc, {
+    startY: doc.lastAutoTable.finalY + 11,
+    head: [['Especie', 'Código', 'Categoría', 'Cabezas']],
+    body: declaracion.existencias.map((e) => [e.especie, e.codigo || '-', e.categoria, e.cabezas]),
+    theme: 'striped',
+    styles: { fontSize: 9, cellPadding: 2 },
+    headStyles: { fillColor: [51, 122, 183], textColor: [255, 255, 255], fontStyle: 'bold' },
+    margin: 15
+  });
+
+  const errores = declaracion.validaciones.filter((v) => v.nivel === 'ERROR');
+  if (errores.length > 0) {
+    doc.setFontSize(9);
+    doc.setTextColor(200, 0, 0);
+    doc.text('BORRADOR: la declaración no concilia con la planilla de contralor.', 15, doc.lastAutoTable.finalY + 8);
+    doc.setTextColor(0, 0, 0);
+  }
+
+  doc.setFontSize(9);
+  doc.setFont('helvetica', 'normal');
+  doc.text('Declaro bajo juramento que los datos precedentes son exactos.', 15, pageHeight - 45);
+  doc.text('_____________________', 15, pageHeight - 30);
+  doc.text('Firma del titular', 15, pageHeight - 25);
+  doc.text(`Generado: ${new Date().toLocaleString('es-UY')}`, pageWidth - 15, pageHeight - 10, { align: 'right' });
+
+  doc.save(`DJ_DICOSE_${declaracion.predio.dicose_number || declaracion.predio.nombre}_${declaracion.anio}.pdf`);
+}
+
+/**
+ * Registra la declaración generada (historial y auditoría)
+ */
+export async function registrarDeclaracion(declaracion, nombreArchivo, userId = null) {
+  try {
+    const { data, error } = await supabase
+      .from('dicose_declarations')
+      .insert([{
+        firm_id: declaracion.predio.firm_id,
+        premise_id: declaracion.predio.id,
+        declaration_year: declaracion.anio,
+        reference_date: declaracion.fecha_referencia,
+        dicose_number: declaracion.predio.dicose_number,
+        data: {
+          titular: declaracion.titular,
+          superficies: declaracion.superficies,
+          existencias: declaracion.existencias
+        },
+        validation: declaracion.validaciones,
+        file_name: nombreArchivo,
+        created_by: userId
+      }])
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    registrarAuditoria(
+      'livestock_manager',
+      data,
+      'declaracion_dicose',
+      `Declaración jurada DICOSE ${declaracion.anio} generada (${declaracion.existencias.reduce((sum, e) => sum + e.cabezas, 0)} cabezas)`,
+      data.id,
+      { file_name: nombreArchivo },
+      userId
+    );
+
+    return data;
+  } catch (error) {
+    console.error('Error en registrarDeclaracion:', error);
+    throw error;
+  }
+}
+
+/**
+ * Declaraciones generadas para el predio
+ */
+export async function obtenerDeclaraciones(premiseId) {
+  const { data, error } = await supabase
+    .from('dicose_declarations')
+    .select('id, declaration_year, reference_date, status, file_name, created_at')
+    .eq('premise_id', premiseId)
+    .order('declaration_year', { ascending: false });
+
+  if (error) throw error;
+  return data || [];
+}
+
+/**
+ * Marca una declaración como presentada ante MGAP
+ */
+export async function marcarDeclaracionPresentada(declaracionId) {
+  const { data, error } = await supabase
+    .from('dicose_declarations')
+    .update({ status: 'SUBMITTED' })
+    .eq('id', declaracionId)
+    .select()
+    .single();
+
+  if (error) throw error;
+  return data;
+}
@@ -7,6 +7,7 @@
  */
 
 import { supabase } from '../lib/supabase';
+import { crearConversorMoneda, MONEDA_BASE } from './exchangeRates';
 
 /**
  * ESTRUCTURA P&L OBLIGATORIA (7 SECCIONES)
@@ -37,18 +38,25 @@ import { supabase } from '../lib/supabase';
  * 6. GASTOS FINANCIEROS
  *    - Intereses
  *    - Comisiones
+ *    - Pérdida (+ ganancia) por diferencia de cambio realizada
  *    = Total Gastos Financieros
  *
  * 7. RESULTADO FINAL = Resultado Operativo - Gastos Financieros
+ *
+ * Todos los montos se presentan en opciones.moneda (UYU por defecto),
+ * convertidos con el tipo de cambio sellado en cada documento.
  */
 
-export async function generarEstadoResultados(premiseId, periodo) {
+export async function generarEstadoResultados(premiseId, periodo, opciones = {}) {
   try {
+    const moneda = opciones.moneda || MONEDA_BASE;
+    const conversor = await crearConversorMoneda({ premiseId, moneda, hasta: periodo.end });
+
     // 1. INGRESOS
-    const ingresos = await getIngresos(premiseId, periodo);
+    const ingresos = await getIngresos(premiseId, periodo, conversor);
 
     // 2. COSTO DE VENTAS
-    const costoVentas = await getCostoVentas(premiseId, periodo);
+    const costoVentas = await getCostoVentas(premiseId, periodo, conversor);
 
     // 3. MARGEN BRUTO
     const margenBruto = ingresos.total_ingresos - costoVentas.total_costo_ventas;
@@ -57,7 +65,7 @@ export async function generarEstadoResultados(premiseId, periodo) {
       : 0;
 
     // 4. GASTOS OPERATIVOS
-    const gastosOperativos = await getGastosOperativos(premiseId, periodo);
+    const gastosOperativos = await getGastosOperativos(premiseId, periodo, conversor);
 
     // 5. RESULTADO OPERATIVO
     const resultadoOperativo = margenBruto - gastosOperativos.total_gastos_operativos;
@@ -66,7 +74,7 @@ export async function generarEstadoResultados(premiseId, periodo) {
       : 0;
 
     // 6. GASTOS FINANCIEROS
-    const gastosFinancieros = await getGastosFinancieros(premiseId, periodo);
+    const gastosFinancieros = await getGastosFinancieros(premiseId, periodo, conversor);
 
     // 7. RESULTADO FINAL
     const resultadoFinal = resultadoOperativo - gastosFinancieros.total_gastos_financieros;
@@ -77,6 +85,8 @@ export async function generarEstadoResultados(premiseId, periodo) {
     return {
       periodo,
       generado_en: new Date().toISOString(),
+      moneda,
+      documentos_sin_tipo_cambio: conversor.sinTipoCambio(),
       // Sección 1: Ingresos
       ingresos: {
         ventas_principales: ingresos.ventas_principales,
@@ -115,6 +125,7 @@ export async function generarEstadoResultados(premiseId, periodo) {
       gastos_financieros: {
         intereses: gastosFinancieros.intereses,
         comisiones: gastosFinancieros.comisiones,
+        diferencia_cambio: gastosFinancieros.diferencia_cambio,
         total_gastos_financieros: gastosFinancieros.total_gastos_financieros
       },
       // Sección 7: Resultado Final
@@ -133,7 +144,7 @@ export async function generarEstadoResultados(premiseId, periodo) {
 /**
  * Sección 1: INGRESOS
  */
-async function getIngresos(premiseId, periodo) {
+async function getIngresos(premiseId, periodo, conversor) {
   try {
     const { data, error } = await supabase
       .from('income')
@@ -145,7 +156,7 @@ async function getIngresos(premiseId, periodo) {
 
     if (error) throw error;
 
-    const items = data || [];
+    const items = conversor.convertirDocumentos(data, 'income_date');
 
     // Clasificar ingresos
     const ventasCategories = ['venta_granos', 'venta_carne', 'venta_ganado', 'venta_animales', 'venta_produccion'];
@@ -190,7 +201,7 @@ async function getIngresos(premiseId, periodo) {
  * Sección 2: COSTO DE VENTAS
  * Fórmula: Inventario Inicial + Compras - Inventario Final
  */
-async function getCostoVentas(premiseId, periodo) {
+async function getCostoVentas(premiseId, periodo, conversor) {
   try {
     // Inventario inicial
     const { data: invInicial } = await supabase
@@ -203,7 +214,7 @@ async function getCostoVentas(premiseId, periodo) {
       .limit(1)
       .single();
 
-    const inventario_inicial = invInicial?.total_valor || 0;
+    const inventario_inicial = conversor.convertir(invInicial?.total_valor || 0, MONEDA_BASE, periodo.start);
 
     // Compras
     const { data: compras } = await supabase
@@ -215,7 +226,7 @@ async function getCostoVentas(premiseId, periodo) {
       .in('category', ['compra_granos', 'compra_carne', 'compra_ganado', 'compra_animales', 'compra_insumos'])
       .eq('status', 'APPROVED');
 
-    const comprasTotal = (compras || []).reduce((sum, i) => sum + (i.amount || 0), 0);
+    const comprasTotal = conversor.convertirDocumentos(compras, 'expense_date').reduce((sum, i) => sum + (i.amount || 0), 0);
 
     // Inventario final
     const { data: invFinal } = await supabase
@@ -228,7 +239,7 @@ async function getCostoVentas(premiseId, periodo) {
       .limit(1)
       .single();
 
-    const inventario_final = invFinal?.total_valor || 0;
+    const inventario_final = conversor.convertir(invFinal?.total_valor || 0, MONEDA_BASE, periodo.end);
 
     // Costo de Ventas = Inv. Inicial + Compras - Inv. Final
     const total_costo_ventas = inventario_inicial + comprasTotal - inventario_final;
@@ -254,7 +265,7 @@ async function getCostoVentas(premiseId, periodo) {
 /**
  * Sección 4: GASTOS OPERATIVOS
  */
-async function getGastosOperativos(premiseId, periodo) {
+async function getGastosOperativos(premiseId, periodo, conversor) {
   try {
     const { data, error } = await supabase
       .from('expenses')
@@ -266,7 +277,7 @@ async function getGastosOperativos(premiseId, periodo) {
 
     if (error) throw error;
 
-    const items = data || [];
+    const items = conversor.convertirDocumentos(data, 'expense_date');
 
     // Categorías operativas
     const mano_obra = items
@@ -342,7 +353,7 @@ async function getGastosOperativos(premiseId, periodo) {
 /**
  * Sección 6: GASTOS FINANCIEROS
  */
-async function getGastosFinancieros(premiseId, periodo) {
+async function getGastosFinancieros(premiseId, periodo, conversor) {
   try {
     const { data, error } = await supabase
       .from('expenses')
@@ -355,7 +366,7 @@ async function getGastosFinancieros(premiseId, periodo) {
 
     if (error) throw error;
 
-    const items = data || [];
+    const items = conversor.convertirDocumentos(data, 'expense_date');
 
     const intereses = items
       .filter(i => ['intereses'].includes(i.category))
@@ -365,16 +376,31 @@ async function getGastosFinancieros(premiseId, periodo) {
       .filter(i => ['comisiones', 'impuestos'].includes(i.category))
       .reduce((sum, i) => sum + (i.amount || 0), 0);
 
+    // Diferencia de cambio realizada en pagos/cobros (positivo = ganancia)
+    const { data: diferencias } = await supabase
+      .from('fx_differences')
+      .select('payment_date, payment_rate, difference_uyu')
+      .eq('premise_id', premiseId)
+      .gte('payment_date', periodo.start)
+      .lte('payment_date', periodo.end);
+
+    const diferencia_cambio = (diferencias || []).reduce(
+      (sum, d) => sum + conversor.convertir(d.difference_uyu, MONEDA_BASE, d.payment_date, d.payment_rate),
+      0
+    );
+
     return {
       intereses,
       comisiones,
-      total_gastos_financieros: intereses + comisiones
+      diferencia_cambio,
+      total_gastos_financieros: intereses + comisiones - diferencia_cambio
     };
   } catch (error) {
     console.error('Error getting gastos financieros:', error);
     return {
       intereses: 0,
       comisiones: 0,
+      diferencia_cambio: 0,
       total_gastos_financieros: 0,
       error: error.message
     };
@@ -384,12 +410,12 @@ async function getGastosFinancieros(premiseId, periodo) {
 /**
  * Comparación de múltiples períodos
  */
-export async function compararEstadosResultados(premiseId, periodos) {
+export async function compararEstadosResultados(premiseId, periodos, opciones = {}) {
   try {
     const resultados = [];
 
     for (const periodo of periodos) {
-      const resultado = await generarEstadoResultados(premiseId, periodo);
+      const resultado = await generarEstadoResultados(premiseId, periodo, opciones);
       resultados.push(resultado);
     }
 
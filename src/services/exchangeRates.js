@@ -0,0 +1,483 @@
+/**
+ * Servicio de tipos de cambio (UYU/USD)
+ * - Cotizaciones diarias: carga manual e importación CSV del BCU
+ * - Sellado del tipo de cambio en cada documento financiero
+ * - Conversión de montos para presentar reportes en UYU o USD
+ * - Diferencias de cambio realizadas en pagos y cobros
+ * Tabla: exchange_rates / fx_differences (add_exchange_rates.sql)
+ */
+
+import { supabase } from '../lib/supabase';
+import { crearRegistro } from './registros';
+import {
+  leerLineas,
+  detectarSeparador,
+  separarCampos,
+  parsearNumero,
+  parsearFecha,
+  normalizarTexto,
+  buscarColumna
+} from '../lib/csvParsing';
+import { hoy } from '../lib/fechas';
+
+export const MONEDA_BASE = 'UYU';
+export const MONEDAS = ['UYU', 'USD'];
+
+/**
+ * Convierte un monto entre UYU y USD con un tipo de cambio (UYU por 1 USD)
+ * @param {number} monto
+ * @param {string} origen - Moneda del monto
+ * @param {string} destino - Moneda a presentar
+ * @param {number} tasa - UYU por USD
+ * @returns {number|null} Monto convertido, o null si falta la tasa
+ */
+export function convertirMonto(monto, origen, destino, tasa) {
+  const valor = parseFloat(monto) || 0;
+  const desde = origen || MONEDA_BASE;
+  const hacia = destino || MONEDA_BASE;
+  if (desde === hacia) return valor;
+  if (!tasa || tasa <= 0) return null;
+  if (desde === 'USD' && hacia === 'UYU') return valor * tasa;
+  if (desde === 'UYU' && hacia === 'USD') return valor / tasa;
+  return null;
+}
+
+/**
+ * Diferencia de cambio realizada al cancelar un documento en moneda extranjera.
+ * Positivo = ganancia, negativo = pérdida (en UYU).
+ * Una factura de compra que se paga a un tipo de cambio mayor genera pérdida;
+ * un ingreso que se cobra a un tipo de cambio mayor genera ganancia.
+ * @param {Object} params
+ * @param {number} params.monto - Monto cancelado en la moneda del documento
+ * @param {number} params.tasaDocumento - Tipo de cambio sellado en el documento
+ * @param {number} params.tasaPago - Tipo de cambio a la fecha de pago/cobro
+ * @param {'expense'|'income'} params.tipoDocumento
+ * @returns {number} Diferencia en UYU
+ */
+export function calcularDiferenciaCambio({ monto, tasaDocumento, tasaPago, tipoDocumento }) {
+  const diferencia = (parseFloat(monto) || 0) * ((parseFloat(tasaPago) || 0) - (parseFloat(tasaDocumento) || 0));
+  const signo = tipoDocumento === 'expense' ? -1 : 1;
+  return Math.round(diferencia * signo * 100) / 100;
+}
+
+// ============================================================================
+// COTIZACIONES
+// ============================================================================
+
+/**
+ * Obtener cotizaciones de la firma
+ * @param {string} firmId - ID de la firma
+ * @param {Object} filtros - { desde, hasta, moneda }
+ * @returns {Promise<Object>} { data, error }
+ */
+export async function obtenerTiposCambio(firmId, filtros = {}) {
+  try {
+    if (!firmId) throw new Error('firmId es requerido');
+
+    let query = supabase
+      .from('exchange_rates')
+      .select('*')
+      .eq('firm_id', firmId)
+      .eq('currency', filtros.moneda || 'USD');
+
+    if (filtros.desde) query = query.gte('rate_date', filtros.desde);
+    if (filtros.hasta) query = query.lte('rate_date', filtros.hasta);
+
+    const { data, error } = await query.order('rate_date', { ascending: false });
+
+    if (error) throw error;
+    return { data: data || [], error: null };
+  } catch (error) {
+    console.error('Error en obtenerTiposCambio:', error);
+    return { data: [], error };
+  }
+}
+
+/**
+ * Crear o actualizar la cotización de una fecha (una por firma/fecha/moneda)
+ * @param {Object} cotizacion - { firm_id, rate_date, currency, rate, buy_rate, sell_rate, source, created_by }
+ * @returns {Promise<Object>} { data, error }
+ */
+export async function guardarTipoCambio(cotizacion) {
+  try {
+    if (!cotizacion.firm_id) throw new Error('firm_id es requerido');
+    if (!cotizacion.rate_date) throw new Error('La fecha es requerida');
+
+    const tasa = parseFloat(cotizacion.rate ?? cotizacion.buy_rate);
+    if (!tasa || tasa <= 0) throw new Error('El tipo de cambio debe ser mayor a 0');
+
+    const { data, error } = await supabase
+      .from('exchange_rates')
+      .upsert(
+        [{
+          firm_id: cotizacion.firm_id,
+          rate_date: cotizacion.rate_date,
+          currency: cotizacion.currency || 'USD',
+          rate: tasa,
+          buy_rate: cotizacion.buy_rate ? parseFloat(cotizacion.buy_rate) : null,
+          sell_rate: cotizacion.sell_rate ? parseFloat(cotizacion.sell_rate) : null,
+          source: cotizacion.source || 'manual',
+          created_by: cotizacion.created_by || null
+        }],
+        { onConflict: 'firm_id,rate_date,currency' }
+      )
+      .select()
+      .single();
+
+    if (error) throw error;
+    return { data, error: null };
+  } catch (error) {
+    console.error('Error en guardarTipoCambio:', error);
+    return { data: null, error };
+  }
+}
+
+/**
+ * Eliminar una cotización
+ * @param {string} id - ID de la cotización
+ * @returns {Promise<Object>} { error }
+ */
+export async function eliminarTipoCambio(id) {
+  try {
+    const { error } = await supabase.from('exchange_rates').delete().eq('id', id);
+    if (error) throw error;
+    return { error: null };
+  } catch (error) {
+    console.error('Error en eliminarTipoCambio:', error);
+    return { error };
+  }
+}
+
+/**
+ * Tipo de cambio vigente a una fecha (última cotización igual o anterior)
+ * @param {string} firmId - ID de la firma
+ * @param {string} fecha - YYYY-MM-DD
+ * @param {string} moneda - Moneda extranjera (USD)
+ * @returns {Promise<number|null>}
+ */
+export async function obtenerTipoCambioAFecha(firmId, fecha = hoy(), moneda = 'USD') {
+  try {
+    if (!firmId) return null;
+
+    const { data, error } = await supabase
+      .from('exchange_rates')
+      .select('rate')
+      .eq('firm_id', firmId)
+      .eq('currency', moneda)
+      .lte('rate_date', fecha)
+      .order('rate_date', { ascending: false })
+      .limit(1);
+
+    if (error) throw error;
+    return data?.[0] ? parseFloat(data[0].rate) : null;
+  } catch (error) {
+    console.error('Error en obtenerTipoCambioAFecha:', error);
+    return null;
+  }
+}
+
+/**
+ * Tipo de cambio a sellar en un documento: el informado manualmente o el vigente a su fecha
+ * @param {string} firmId - ID de la firma
+ * @param {string} fecha - Fecha del documento
+ * @param {number} tasaManual - Tipo de cambio ingresado en el documento (opcional)
+ * @returns {Promise<number|null>}
+ */
+export async function sellarTipoCambio(firmId, fecha, tasaManual = null) {
+  const manual = parseFloat(tasaManual);
+  if (manual > 0) return manual;
+  return obtenerTipoCambioAFecha(firmId, fecha || hoy());
+}
+
+// ============================================================================
+// IMPORTACIÓN CSV (BCU)
+// ============================================================================
+
+/**
+ * Parsea un CSV de cotizaciones del BCU (o una planilla propia con Fecha/Compra/Venta).
+ * Reconoce separador ; , o tabulador y decimales con coma. Si el archivo trae varias
+ * monedas, toma las filas de dólar (prefiere "billete") y descarta el resto.
+ * @param {string} texto - Contenido del archivo
+ * @returns {Object} { filas: [{ rate_date, rate, buy_rate, sell_rate }], errores: string[] }
+ */
+export function parsearCSVTiposCambio(texto) {
+  const lineas = leerLineas(texto);
+
+  const errores = [];
+  if (lineas.length < 2) {
+    return { filas: [], errores: ['El archivo no tiene filas de cotizaciones'] };
+  }
+
+  const separador = detectarSeparador(lineas[0]);
+  const encabezados = separarCampos(lineas[0], separador).map(normalizarTexto);
+
+  const colFecha = buscarColumna(encabezados, ['fecha', 'date'], { contiene: true });
+  const colMoneda = buscarColumna(encabezados, ['moneda', 'currency', 'descripcion'], { contiene: true });
+  const colCompra = buscarColumna(encabezados, ['compra', 'comprador', 'tcc', 'buy'], { contiene: true });
+  const colVenta = buscarColumna(encabezados, ['venta', 'vendedor', 'tcv', 'sell'], { contiene: true });
+  const colTasa = buscarColumna(encabezados, ['tipo de cambio', 'cotizacion', 'valor', 'rate'], { contiene: true });
+
+  if (colFecha === -1 || (colCompra === -1 && colVenta === -1 && colTasa === -1)) {
+    return { filas: [], errores: ['No se encontraron las columnas de fecha y cotización'] };
+  }
+
+  const porFecha = new Map();
+
+  lineas.slice(1).forEach((linea, idx) => {
+    const campos = separarCampos(linea, separador);
+    const moneda = colMoneda >= 0 ? normalizarTexto(campos[colMoneda]) : '';
+
+    if (moneda && !/(dls|dolar|usd|u\$s|2225)/.test(moneda)) return;
+
+    const fecha = parsearFecha(campos[colFecha]);
+    const compra = colCompra >= 0 ? parsearNumero(campos[colCompra]) : null;
+    const venta = colVenta >= 0 ? parsearNumero(campos[colVenta]) : null;
+    const tasa = compra ?? (colTasa >= 0 ? parsearNumero(campos[colTasa]) : null) ?? venta;
+
+    if (!fecha || !tasa || tasa <= 0) {
+      errores.push(`Fila ${idx + 2}: fecha o cotización inválida`);
+      return;
+    }
+
+    const existente = porFecha.get(fecha);
+    const esBillete = moneda.includes('billete');
+    if (!existente || (esBillete && !existente.esBillete)) {
+      porFecha.set(fecha, { rate_date: fecha, rate: tasa, buy_rate: compra, sell_rate: venta, esBillete });
+    }
+  });
+
+  const filas = [...porFecha.values()]
+    .map(({ esBillete, ...fila }) => fila)
+    .sort((a, b) => a.rate_date.localeCompare(b.rate_date));
+
+  return { filas, errores };
+}
+
+/**
+ * Importa cotizaciones desde un CSV del BCU (reemplaza las de fechas ya cargadas)
+ * @param {string} firmId - ID de la firma
+ * @param {string} texto - Contenido CSV
+ * @param {string} userId - Usuario que importa
+ * @returns {Promise<Object>} { data: { importados, errores }, error }
+ */
+export async function importarTiposCambioCSV(firmId, texto, userId = null) {
+  try {
+    if (!firmId) throw new Error('firmId es requerido');
+
+    const { filas, errores } = parsearCSVTiposCambio(texto);
+    if (filas.length === 0) {
+      throw new Error(errores[0] || 'No se encontraron cotizaciones de dólar en el archivo');
+    }
+
+    const { error } = await supabase.from('exchange_rates').upsert(
+      filas.map((fila) => ({
+        ...fila,
+        firm_id: firmId,
+        currency: 'USD',
+        source: 'bcu_csv',
+        created_by: userId
+      })),
+      { onConflict: 'firm_id,rate_date,currency' }
+    );
+
+    if (error) throw error;
+
+    await crearRegistro({
+      firmId,
+      tipo: 'tipos_cambio_importados',
+      descripcion: `Importadas ${filas.length} cotizaciones USD (${filas[0].rate_date} a ${filas[filas.length - 1].rate_date})`,
+      moduloOrigen: 'modulo_08_finanzas',
+      usuario: userId || 'sistema',
+      metadata: { importados: filas.length, errores: errores.length }
+    }).catch((err) => console.warn('Error registrando en auditoría:', err));
+
+    return { data: { importados: filas.length, errores }, error: null };
+  } catch (error) {
+    console.error('Error en importarTiposCambioCSV:', error);
+    return { data: null, error };
+  }
+}
+
+// ============================================================================
+// CONVERSIÓN PARA REPORTES
+// ============================================================================
+
+/**
+ * Prepara un conversor con las cotizaciones de la firma hasta una fecha.
+ * Cada documento se convierte con el tipo de cambio sellado; si no lo tiene,
+ * con la cotización vigente a su fecha.
+ * @param {Object} opciones
+ * @param {string} opciones.firmId - ID de la firma (si falta se toma del predio)
+ * @param {string} opciones.premiseId - ID del predio
+ * @param {string} opciones.moneda - Moneda de presentación 'UYU' | 'USD'
+ * @param {string} opciones.hasta - Fecha límite de cotizaciones (YYYY-MM-DD)
+ * @returns {Promise<Object>} { moneda, tasaAFecha, convertir(monto, monedaDoc, fecha, tasaDoc), convertirDocumentos, sinTipoCambio }
+ */
+export async function crearConversorMoneda({ firmId = null, premiseId = null, moneda = MONEDA_BASE, hasta = hoy() } = {}) {
+  const monedaPresentacion = moneda || MONEDA_BASE;
+
+  if (!firmId && premiseId) {
+    const { data: predio } = await supabase
+      .from('premises')
+      .select('firm_id')
+      .eq('id', premiseId)
+      .maybeSingle();
+    firmId = predio?.firm_id || null;
+  }
+
+  let cotizaciones = [];
+
+  if (firmId) {
+    const { data, error } = await supabase
+      .from('exchange_rates')
+      .select('rate_date, rate')
+      .eq('firm_id', firmId)
+      .eq('currency', 'USD')
+      .lte('rate_date', hasta)
+      .order('rate_date', { ascending: true });
+
+    if (error) console.warn('No se pudieron cargar tipos de cambio:', error);
+    cotizaciones = (data || []).map((c) => ({ fecha: c.rate_date, tasa: parseFloat(c.rate) }));
+  }
+
+  let faltantes = 0;
+
+  const tasaAFecha = (fecha) => {
+    const dia = String(fecha || hasta).slice(0, 10);
+    let bajo = 0;
+    let alto = cotizaciones.length - 1;
+    let encontrada = null;
+    while (bajo <= alto) {
+      const medio = (bajo + alto) >> 1;
+      if (cotizaciones[medio].fecha <= dia) {
+        encontrada = cotizaciones[medio].tasa;
+        bajo = medio + 1;
+      } else {
+        alto = medio - 1;
+      }
+    }
+    return encontrada;
+  };
+
+  const convertir = (monto, monedaDocumento, fecha, tasaDocumento = null) => {
+    const tasa = parseFloat(tasaDocumento) > 0 ? parseFloat(tasaDocumento) : tasaAFecha(fecha);
+    const convertido = convertirMonto(monto, monedaDocumento, monedaPresentacion, tasa);
+    if (convertido === null) {
+      // Sin cotización: se informa el monto original para no ocultarlo del reporte
+      faltantes++;
+      return parseFloat(monto) || 0;
+    }
+    return convertido;
+  };
+
+  /**
+   * Convierte los campos de monto de una lista de documentos (expenses, income, ...)
+   * conservando el valor original en <campo>_original
+   */
+  const convertirDocumentos = (documentos, campoFecha, campos = ['amount']) =>
+    (documentos || []).map((doc) => {
+      const convertido = { ...doc };
+      campos.forEach((campo) => {
+        convertido[`${campo}_original`] = doc[campo];
+        convertido[campo] = convertir(doc[campo], doc.currency, doc[campoFecha], doc.exchange_rate);
+      });
+      return convertido;
+    });
+
+  return {
+    moneda: monedaPresentacion,
+    tasaAFecha,
+    convertir,
+    convertirDocumentos,
+    sinTipoCambio: () => faltantes
+  };
+}
+
+// ============================================================================
+// DIFERENCIAS DE CAMBIO
+// ============================================================================
+
+/**
+ * Registra la diferencia de cambio realizada al pagar/cobrar un documento en moneda extranjera.
+ * No hace nada si el documento está en UYU o no tiene tipo de cambio sellado.
+ * @param {Object} params
+ * @param {Object} params.documento - Fila de expenses o income (firm_id, premise_id, currency, exchange_rate)
+ * @param {'expense'|'income'} params.tipoDocumento
+ * @param {number} params.monto - Monto cancelado en la moneda del documento
+ * @param {string} params.fechaPago - YYYY-MM-DD
+ * @param {string} params.ordenPagoId - ID de la orden de pago (opcional)
+ * @param {string} params.userId
+ * @returns {Promise<Object|null>} Diferencia registrada
+ */
+export async function registrarDiferenciaCambio({
+  documento,
+  tipoDocumento,
+  monto,
+  fechaPago = hoy(),
+  ordenPagoId = null,
+  userId = null
+}) {
+  try {
+    if (!documento || !documento.currency || documento.currency === MONEDA_BASE) return null;
+
+    const tasaDocumento = parseFloat(documento.exchange_rate);
+    if (!tasaDocumento) return null;
+
+    const tasaPago = await obtenerTipoCambioAFecha(documento.firm_id, fechaPago, documento.currency);
+    if (!tasaPago) return null;
+
+    const diferencia = calcularDiferenciaCambio({ monto, tasaDocumento, tasaPago, tipoDocumento });
+    if (diferencia === 0) return null;
+
+    const { data, error } = await supabase
+      .from('fx_differences')
+      .insert([{
+        firm_id: documento.firm_id,
+        premise_id: documento.premise_id || null,
+        document_type: tipoDocumento,
+        document_id: documento.id,
+        payment_order_id: ordenPagoId,
+        payment_date: fechaPago,
+        currency: documento.currency,
+        amount: monto,
+        document_rate: tasaDocumento,
+        payment_rate: tasaPago,
+        difference_uyu: diferencia,
+        created_by: userId && /^[0-9a-f-]{36}$/i.test(userId) ? userId : null
+      }])
+      .select()
+      .single();
+
+    if (error) throw error;
+    return data;
+  } catch (error) {
+    // La diferencia de cambio no debe impedir el pago/cobro
+    console.error('Error en registrarDiferenciaCambio:', error);
+    return null;
+  }
+}
+
+/**
+ * Obtener diferencias de cambio realizadas
+ * @param {string} firmId - ID de la firma
+ * @param {Object} filtros - { desde, hasta, premiseId }
+ * @returns {Promise<Object>} { data, error }
+ */
+export async function obtenerDiferenciasCambio(firmId, filtros = {}) {
+  try {
+    let query = supabase.from('fx_differences').select('*');
+
+    if (firmId) query = query.eq('firm_id', firmId);
+    if (filtros.premiseId) query = query.eq('premise_id', filtros.premiseId);
+    if (filtros.desde) query = query.gte('payment_date', filtros.desde);
+    if (filtros.hasta) query = query.lte('payment_date', filtros.hasta);
+
+    const { data, error } = await query.order('payment_date', { ascending: false });
+
+    if (error) throw error;
+    return { data: data || [], error: null };
+  } catch (error) {
+    console.error('Error en obtenerDiferenciasCambio:', error);
+    return { data: [], error };
+  }
+}
@@ -1,6 +1,8 @@
 import { supabase } from "../lib/supabase";
 import { crearRegistro } from "./registros";
 import { validarFacturaCompra } from "../lib/validations/financeValidations";
+import { sellarTipoCambio } from "./exchangeRates";
+import { generarAsientoFactura } from "./journal";
 
 /**
  * Obtener todas las facturas de compra de una firma
@@ -129,6 +131,13 @@ export async function crearFactura(facturaData) {
     const paymentCondition =
       facturaData.payment_condition || (isContado ? "contado" : "credito");
 
+    // Tipo de cambio vigente a la fecha de la factura (UYU por USD)
+    const exchangeRate = await sellarTipoCambio(
+      facturaData.firm_id,
+      facturaData.invoice_date,
+      facturaData.exchange_rate
+    );
+
     // Preparar objeto - remover campos que no existen en la tabla
     const factura = {
       firm_id: facturaData.firm_id,
@@ -145,6 +154,7 @@ export async function crearFactura(facturaData) {
       category: facturaData.category,
       concept: facturaData.concept || null,
       currency: facturaData.currency,
+      exchange_rate: exchangeRate,
       amount: totalAmount, // Campo legacy requerido en tabla
       subtotal,
       iva_amount: ivaAmount,
@@ -386,7 +396,12 @@ export async function aprobarFactura(id, userId) {
 
     // En la nueva estructura, aprobar significa cambiar de pendiente a completada
     if (facturaActual.status === "pendiente") {
-      return cambiarEstadoFactura(id, "completada", userId);
+      const resultado = await cambiarEstadoFactura(id, "completada", userId);
+      if (resultado.error) return resultado;
+
+      // Asiento contable: si falta el mapeo de cuentas, la aprobación sigue adelante
+      await generarAsientoFactura(id, userId);
+      return resultado;
     } else if (facturaActual.status === "completada") {
       throw new Error("La factura ya está completada");
     } else {
@@ -0,0 +1,431 @@
+/**
+ * Servicio de alimentación: encierres (feedlot) y suplementación
+ * - Raciones con ingredientes de inputs, participación en base seca y % de materia seca
+ * - Registro diario por rodeo: descuenta cada ingrediente con registrarMovimiento
+ * - Indicadores por rodeo: consumo por cabeza, costo por kg ganado y conversión
+ *   usando los pesajes (WEIGHING) del rodeo
+ * Tablas: feed_rations, feed_ration_ingredients, feeding_records (add_feeding_rations.sql)
+ */
+
+import { supabase } from '../lib/supabase';
+import { registrarAuditoria } from './registros';
+import { registrarMovimiento } from './inputMovements';
+import { redondear } from '../lib/numeros';
+
+/**
+ * Categorías de inputs que pueden usarse como ingrediente (granos, silos, fardos, núcleos)
+ */
+export const CATEGORIAS_ALIMENTO = ['feed', 'other'];
+
+// Factor para pasar kg a la unidad de stock del insumo
+const KG_A_UNIDAD = { kg: 1, ton: 0.001, g: 1000 };
+
+// ============================================================================
+// RACIONES
+// ============================================================================
+
+/**
+ * Insumos de la firma utilizables como ingrediente
+ */
+export async function obtenerIngredientesDisponibles(firmId) {
+  const { data, error } = await supabase
+    .from('inputs')
+    .select('id, name, category, unit, current_stock, cost_per_unit, currency')
+    .eq('firm_id', firmId)
+    .in('category', CATEGORIAS_ALIMENTO)
+    .order('name', { ascending: true });
+
+  if (error) throw error;
+  return data || [];
+}
+
+/**
+ * Raciones de la firma con sus ingredientes
+ * @param {string} firmId
+ * @param {boolean} soloActivas
+ */
+export async function obtenerRaciones(firmId, soloActivas = true) {
+  let query = supabase
+    .from('feed_rations')
+    .select(`
+      *,
+      ingredients:feed_ration_ingredients(
+        id, input_id, dm_share_percent, dry_matter_percent,
+        input:input_id(id, name, unit, current_stock, cost_per_unit)
+      )
+    `)
+    .eq('firm_id', firmId);
+
+  if (soloActivas) query = query.eq('active', true);
+
+  const { data, error } = await query.order('name', { ascending: true });
+
+  if (error) throw error;
+  return data || [];
+}
+
+/**
+ * Crea una ración. La participación en base seca de los ingredientes debe sumar 100%
+ * @param {Object} racion - { firm_id, premise_id, name, target_kg_dm_per_head, notes }
+ * @param {Array} ingredientes - [{ input_id, dm_share_percent, dry_matter_percent }]
+ */
+export async function crearRacion(racion, ingredientes, userId = null) {
+  try {
+    if (!racion.name?.trim()) throw new Error('El nombre de la ración es obligatorio');
+
+    const validos = (ingredientes || []).filter((i) => i.input_id);
+    if (validos.length === 0) throw new Error('La ración debe tener al menos un ingrediente');
+    if (new Set(validos.map((i) => i.input_id)).size !== validos.length) {
+      throw new Error('Hay ingredientes repetidos en la ración');
+    }
+
+    validos.forEach((i) => {
+      const ms = parseFloat(i.dry_matter_percent);
+      const participacion = parseFloat(i.dm_share_percent);
+      if (!(ms > 0 && ms <= 100) || !(participacion > 0 && participacion <= 100)) {
+        throw new Error('La materia seca y la participación de cada ingrediente deben estar entre 0 y 100%');
+      }
+    });
+
+    const total = validos.reduce((sum, i) => sum + parseFloat(i.dm_share_percent), 0);
+    if (Math.abs(total - 100) > 0.5) {
+      throw new Error(`La participación en base seca suma ${redondear(total, 1)}%; debe sumar 100%`);
+    }
+
+    const { data: creada, error } = await supabase
+      .from('feed_rations')
+      .insert([{
+        firm_id: racion.firm_id,
+        premise_id: racion.premise_id || null,
+        name: racion.name.trim(),
+        target_kg_dm_per_head: racion.target_kg_dm_per_head ? parseFloat(racion.target_kg_dm_per_head) : null,
+        notes: racion.notes || null,
+        created_by: userId
+      }])
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    const { error: ingError } = await supabase
+      .from('feed_ration_ingredients')
+      .insert(validos.map((i) => ({
+        ration_id: creada.id,
+        input_id: i.input_id,
+        dm_share_percent: parseFloat(i.dm_share_percent),
+        dry_matter_percent: parseFloat(i.dry_matter_percent)
+      })));
+
+    if (ingError) {
+      await supabase.from('feed_rations').delete().eq('id', creada.id);
+      throw ingError;
+    }
+
+    registrarAuditoria(
+      'livestock_manager',
+      creada,
+      'racion_creada',
+      `Ración creada: ${creada.name} (${validos.length} ingredientes)`,
+      creada.id,
+      { ingredientes: validos },
+      userId
+    );
+
+    return creada;
+  } catch (error) {
+    console.error('Error en crearRacion:', error);
+    throw error;
+  }
+}
+
+/**
+ * Da de baja una ración (se conserva para los registros históricos)
+ */
+export async function desactivarRacion(rationId) {
+  const { data, error } = await supabase
+    .from('feed_rations')
+    .update({ active: false })
+    .eq('id', rationId)
+    .select()
+    .single();
+
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * Calcula lo que hay que entregar de cada ingrediente
+ * kg tal cual = kg MS del ingrediente / (% MS / 100); la cantidad se expresa en la unidad de stock del insumo
+ * @param {Object} racion - Ración con ingredients[].input
+ * @param {number} kgMsTotal - kg de materia seca a entregar al rodeo
+ * @returns {Array} [{ input_id, nombre, unidad, kg_ms, kg_tal_cual, cantidad, costo }]
+ */
+export function calcularEntrega(racion, kgMsTotal) {
+  return (racion?.ingredients || []).map((ing) => {
+    const insumo = ing.input || {};
+    const factor = KG_A_UNIDAD[insumo.unit];
+    if (factor === undefined) {
+      throw new Error(`El insumo ${insumo.name} está en "${insumo.unit}"; los ingredientes deben llevar stock en kg, t o g`);
+    }
+
+    const kgMs = kgMsTotal * (parseFloat(ing.dm_share_percent) / 100);
+    const kgTalCual = kgMs / (parseFloat(ing.dry_matter_percent) / 100);
+    const cantidad = kgTalCual * factor;
+
+    return {
+      input_id: ing.input_id,
+      nombre: insumo.name,
+      unidad: insumo.unit,
+      kg_ms: redondear(kgMs),
+      kg_tal_cual: redondear(kgTalCual),
+      cantidad: redondear(cantidad, 3),
+      costo: redondear(cantidad * (parseFloat(insumo.cost_per_unit) || 0))
+    };
+  });
+}
+
+// ============================================================================
+// REGISTRO DIARIO
+// ============================================================================
+
+/**
+ * Registra la alimentación de un día para un rodeo y descuenta los ingredientes del stock
+ * @param {Object} registro - { firm_id, premise_id, herd_id, ration_id, feed_date, heads, kg_dm_per_head, notes }
+ * @returns {Promise<Object>} Registro creado
+ */
+export async function registrarAlimentacion(registro, userId = null) {
+  try {
+    const cabezas = parseInt(registro.heads);
+    const kgMsCabeza = parseFloat(registro.kg_dm_per_head);
+    if (!registro.herd_id || !registro.ration_id || !registro.feed_date) {
+      throw new Error('Rodeo, ración y fecha son obligatorios');
+    }
+    if (!(cabezas > 0) || !(kgMsCabeza > 0)) {
+      throw new Error('Indique las cabezas y los kg de materia seca por cabeza');
+    }
+
+    const { data: racion, error: racionError } = await supabase
+      .from('feed_rations')
+      .select(`
+        id, name,
+        ingredients:feed_ration_ingredients(
+          input_id, dm_share_percent, dry_matter_percent,
+          input:input_id(id, name, unit, current_stock, cost_per_unit)
+        )
+      `)
+      .eq('id', registro.ration_id)
+      .single();
+
+    if (racionError) throw racionError;
+
+    const kgMsTotal = kgMsCabeza * cabezas;
+    const entrega = calcularEntrega(racion, kgMsTotal);
+
+    // Validar todo el stock antes de descontar para no dejar la entrega a medias
+    const faltantes = entrega.filter((item) => {
+      const ing = racion.ingredients.find((i) => i.input_id === item.input_id);
+      return (ing?.input?.current_stock || 0) < item.cantidad;
+    });
+    if (faltantes.length > 0) {
+      throw new Error(`Stock insuficiente: ${faltantes.map((f) => `${f.nombre} (${f.cantidad} ${f.unidad})`).join(', ')}`);
+    }
+
+    const items = [];
+    for (const item of entrega) {
+      if (!item.cantidad) continue;
+      const unitCost = item.cantidad > 0 ? item.costo / item.cantidad : null;
+      const movimiento = await registrarMovimiento({
+        input_id: item.input_id,
+        type: 'exit',
+        quantity: item.cantidad,
+        date: registro.feed_date,
+        description: `Alimentación ${racion.name}: ${cabezas} cab × ${kgMsCabeza} kg MS`,
+        firm_id: registro.firm_id,
+        premise_id: registro.premise_id,
+        created_by: userId,
+        document_reference: `FEEDING ${registro.herd_id} ${registro.feed_date}`,
+        unit_cost: unitCost
+      });
+      items.push({ ...item, movement_id: movimiento?.id || null });
+    }
+
+    const { data, error } = await supabase
+      .from('feeding_records')
+      .insert([{
+        firm_id: registro.firm_id,
+        premise_id: registro.premise_id,
+        herd_id: registro.herd_id,
+        ration_id: registro.ration_id,
+        feed_date: registro.feed_date,
+        heads: cabezas,
+        total_kg_dm: redondear(kgMsTotal),
+        total_kg_as_fed: redondear(items.reduce((sum, i) => sum + i.kg_tal_cual, 0)),
+        total_cost: redondear(items.reduce((sum, i) => sum + (i.costo || 0), 0)),
+        items,
+        notes: registro.notes || null,
+        created_by: userId
+      }])
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    registrarAuditoria(
+      'livestock_manager',
+      data,
+      'alimentacion_registrada',
+      `Alimentación ${racion.name}: ${cabezas} cabezas, ${data.total_kg_dm} kg MS`,
+      data.id,
+      { herd_id: data.herd_id, items },
+      userId
+    );
+
+    return data;
+  } catch (error) {
+    console.error('Error en registrarAlimentacion:', error);
+    throw error;
+  }
+}
+
+/**
+ * Registros de alimentación del predio
+ * @param {string} premiseId
+ * @param {Object} filtros - { herdId, desde, hasta }
+ */
+export async function obtenerRegistrosAlimentacion(premiseId, filtros = {}) {
+  let query = supabase
+    .from('feeding_records')
+    .select('*, herd:herd_id(id, name), ration:ration_id(id, name)')
+    .eq('premise_id', premiseId);
+
+  if (filtros.herdId) query = query.eq('herd_id', filtros.herdId);
+  if (filtros.desde) query = query.gte('feed_date', filtros.desde);
+  if (filtros.hasta) query = query.lte('feed_date', filtros.hasta);
+
+  const { data, error } = await query.order('feed_date', { ascending: false });
+
+  if (error) throw error;
+  return data || [];
+}
+
+// ============================================================================
+// INDICADORES
+// ============================================================================
+
+/**
+ * Kg ganados por el rodeo entre el primer y el último pesaje de cada animal en el período
+ * @returns {Promise<Object>} { kg_ganados, animales, desde, hasta }
+ */
+async function calcularGananciaRodeo(herdId, desde, hasta) {
+  const { data, error } = await supabase
+    .from('herd_events')
+    .select('animal_id, qty_kg, event_date')
+    .eq('herd_id', herdId)
+    .eq('event_type', 'WEIGHING')
+    .eq('status', 'APPROVED')
+    .gte('event_date', desde)
+    .lte('event_date', hasta)
+    .order('event_date', { ascending: true });
+
+  if (error) throw error;
+
+  const porAnimal = new Map();
+  (data || []).forEach((p) => {
+    if (!p.animal_id || !p.qty_kg) return;
+    if (!porAnimal.has(p.animal_id)) porAnimal.set(p.animal_id, []);
+    porAnimal.get(p.animal_id).push(p);
+  });
+
+  let kgGanados = 0;
+  let animales = 0;
+  let inicio = null;
+  let fin = null;
+  porAnimal.forEach((pesajes) => {
+    if (pesajes.length < 2) return;
+    const primero = pesajes[0];
+    const ultimo = pesajes[pesajes.length - 1];
+    if (primero.event_date === ultimo.event_date) return;
+    kgGanados += ultimo.qty_kg - primero.qty_kg;
+    animales += 1;
+    if (!inicio || primero.event_date < inicio) inicio = primero.event_date;
+    if (!fin || ultimo.event_date > fin) fin = ultimo.event_date;
+  });
+
+  return { kg_ganados: redondear(kgGanados, 1), animales, desde: inicio, hasta: fin };
+}
+
+/**
+ * Indicadores de alimentación por rodeo en un período
+ * - Consumo: kg MS / cabeza / día sobre todos los registros del período
+ * - Costo por kg ganado y conversión (kg MS / kg ganado): solo con lo entregado entre pesajes
+ * @param {string} premiseId
+ * @param {Object} periodo - { desde, hasta } (YYYY-MM-DD)
+ * @returns {Promise<Array>}
+ */
+export async function obtenerIndicadoresAlimentacion(premiseId, periodo) {
+  try {
+    const registros = await obtenerRegistrosAlimentacion(premiseId, periodo);
+
+    const porRodeo = new Map();
+    registros.forEach((r) => {
+      if (!porRodeo.has(r.herd_id)) porRodeo.set(r.herd_id, { herd: r.herd, registros: [] });
+      porRodeo.get(r.herd_id).registros.push(r);
+    });
+
+    const resultado = [];
+    for (const [herdId, { herd, registros: delRodeo }] of porRodeo) {
+      const cabezasDia = delRodeo.reduce((sum, r) => sum + r.heads, 0);
+      const kgMs = delRodeo.reduce((sum, r) => sum + parseFloat(r.total_kg_dm), 0);
+      const costo = delRodeo.reduce((sum, r) => sum + parseFloat(r.total_cost || 0), 0);
+
+      const ganancia = await calcularGananciaRodeo(herdId, periodo.desde, periodo.hasta);
+      const entrePesajes = ganancia.desde
+        ? delRodeo.filter((r) => r.feed_date >= ganancia.desde && r.feed_date < ganancia.hasta)
+        : [];
+      const kgMsEntrePesajes = entrePesajes.reduce((sum, r) => sum + parseFloat(r.total_kg_dm), 0);
+      const costoEntrePesajes = entrePesajes.reduce((sum, r) => sum + parseFloat(r.total_cost || 0), 0);
+      const conGanancia = ganancia.kg_ganados > 0 && kgMsEntrePesajes > 0;
+
+      resultado.push({
+        herd_id: herdId,
+        herd,
+        dias: new Set(delRodeo.map((r) => r.feed_date)).size,
+        cabezas_promedio: redondear(cabezasDia / delRodeo.length, 0),
+        kg_ms_total: redondear(kgMs, 0),
+        costo_total: redondear(costo),
+        consumo_ms_cabeza_dia: redondear(kgMs / cabezasDia),
+        costo_cabeza_dia: redondear(costo / cabezasDia),
+        kg_ganados: ganancia.kg_ganados,
+        animales_pesados: ganancia.animales,
+        pesaje_desde: ganancia.desde,
+        pesaje_hasta: ganancia.hasta,
+        costo_kg_ganado: conGanancia ? redondear(costoEntrePesajes / ganancia.kg_ganados) : null,
+        conversion: conGanancia ? redondear(kgMsEntrePesajes / ganancia.kg_ganados) : null
+      });
+    }
+
+    return resultado.sort((a, b) => (a.herd?.name || '').localeCompare(b.herd?.name || ''));
+  } catch (error) {
+    console.error('Error en obtenerIndicadoresAlimentacion:', error);
+    throw error;
+  }
+}
+
+/**
+ * Costo de la alimentación registrada por la firma en un período (para KPIs)
+ * @returns {Promise<Object>} { costo_total, registros }
+ */
+export async function obtenerCostoAlimentacionRegistrado(firmId, desde, hasta) {
+  const { data, error } = await supabase
+    .from('feeding_records')
+    .select('total_cost')
+    .eq('firm_id', firmId)
+    .gte('feed_date', desde)
+    .lte('feed_date', hasta);
+
+  if (error) throw error;
+  return {
+    costo_total: (data || []).reduce((sum, r) => sum + parseFloat(r.total_cost || 0), 0),
+    registros: (data || []).length
+  };
+}
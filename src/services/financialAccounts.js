@@ -1,5 +1,6 @@
 import { supabase } from '../lib/supabase';
 import { crearRegistro } from './registros';
+import { obtenerTipoCambioAFecha, convertirMonto } from './exchangeRates';
 
 /**
  * Obtener todas las cuentas financieras de una firma
@@ -343,6 +344,7 @@ export async function obtenerMovimientosCuenta(cuentaId, fechaInicio, fechaFin)
 
 /**
  * Obtener resumen de cuentas (balances totales)
+ * Incluye el total consolidado en UYU y USD al tipo de cambio del día
  * @param {string} firmId - ID de la firma
  * @returns {Promise<Object>} Resumen de balances
  */
@@ -381,6 +383,16 @@ export async function obtenerResumenCuentas(firmId) {
       }
     }
 
+    // Consolidado: sin cotización cargada queda en null
+    const tipoCambio = await obtenerTipoCambioAFecha(firmId);
+    resumen.tipo_cambio = tipoCambio;
+    resumen.consolidado_uyu = tipoCambio
+      ? resumen.total_uyu + convertirMonto(resumen.total_usd, 'USD', 'UYU', tipoCambio)
+      : null;
+    resumen.consolidado_usd = tipoCambio
+      ? resumen.total_usd + convertirMonto(resumen.total_uyu, 'UYU', 'USD', tipoCambio)
+      : null;
+
     return { data: resumen, error: null };
   } catch (error) {
     console.error('Error en obtenerResumenCuentas:', error);
@@ -0,0 +1,427 @@
+/**
+ * Servicio de genealogía y desempeño individual
+ * - Madre / padre en animals (dam_id, sire_id, sire_name) y árbol genealógico
+ * - Índices por animal a partir de herd_events: peso al nacer, peso al destete ajustado a 205 días,
+ *   peso al año ajustado a 365 días, ganancia diaria e intervalo entre partos
+ * - Ranking por rodeo para elegir vaquillonas de reposición y descartar vacas de baja producción
+ * Tablas: animals.dam_id / sire_id / sire_name (add_animal_genealogy.sql)
+ */
+
+import * as XLSX from 'xlsx';
+import { supabase } from '../lib/supabase';
+import { hoy, diasEntre } from '../lib/fechas';
+import { redondear, media } from '../lib/numeros';
+
+export const EDAD_DESTETE_AJUSTE = 205;
+export const EDAD_ANIO_AJUSTE = 365;
+
+/**
+ * Peso al nacer estándar cuando no hay registro (ajuste BIF)
+ */
+export const PESO_NACER_ESTANDAR_KG = { BOVINO: 35, OVINO: 4 };
+
+// Ventanas de edad (días) aceptadas para tomar un pesaje como destete o año
+const VENTANA_DESTETE = [150, 260];
+const VENTANA_ANIO = [300, 430];
+
+// Dos partos a menos de 60 días son el mismo parto registrado por dos vías
+const DIAS_MISMO_PARTO = 60;
+
+const CAMPOS_ANIMAL = 'id, visual_tag, rfid_tag, sex, species, breed, birth_date, status, dam_id, sire_id, sire_name, current_category:current_category_id(id, name)';
+
+function pesajeMasCercano(pesajes, nacimiento, objetivo, [minimo, maximo]) {
+  return pesajes
+    .map((p) => ({ ...p, edad: diasEntre(nacimiento, p.event_date) }))
+    .filter((p) => p.edad >= minimo && p.edad <= maximo)
+    .sort((a, b) => Math.abs(a.edad - objetivo) - Math.abs(b.edad - objetivo))[0] || null;
+}
+
+async function enLotes(ids, consulta, tamanio = 200) {
+  const resultado = [];
+  for (let i = 0; i < ids.length; i += tamanio) {
+    const { data, error } = await consulta(ids.slice(i, i + tamanio));
+    if (error) throw error;
+    resultado.push(...(data || []));
+  }
+  return resultado;
+}
+
+function obtenerPesajes(animalIds) {
+  return enLotes(animalIds, (lote) => supabase
+    .from('herd_events')
+    .select('id, animal_id, event_date, qty_kg, metadata')
+    .in('animal_id', lote)
+    .eq('event_type', 'WEIGHING')
+    .neq('status', 'REJECTED')
+    .not('qty_kg', 'is', null));
+}
+
+// ============================================================================
+// CÁLCULO DE ÍNDICES
+// ============================================================================
+
+/**
+ * Índices productivos de un animal
+ * @param {Object} animal - { id, birth_date, species }
+ * @param {Array} pesajes - WEIGHING del animal (event_date, qty_kg, metadata)
+ * @param {Object} extras - { pesoNacer, partos: ['YYYY-MM-DD'] }
+ * @returns {Object} Índices (null cuando falta el dato)
+ */
+export function calcularIndicesAnimal(animal, pesajes = [], extras = {}) {
+  const ordenados = [...pesajes]
+    .filter((p) => parseFloat(p.qty_kg) > 0)
+    .map((p) => ({ ...p, qty_kg: parseFloat(p.qty_kg) }))
+    .sort((a, b) => a.event_date.localeCompare(b.event_date));
+  const nacimiento = animal.birth_date ? String(animal.birth_date).split('T')[0] : null;
+
+  // Peso al nacer: registrado en la parición o pesaje en la primera semana de vida
+  let pesoNacer = extras.pesoNacer ? parseFloat(extras.pesoNacer) : null;
+  if (!pesoNacer && nacimiento) {
+    pesoNacer = ordenados.find((p) => diasEntre(nacimiento, p.event_date) <= 7)?.qty_kg || null;
+  }
+  const pesoNacerAjuste = pesoNacer || PESO_NACER_ESTANDAR_KG[animal.species] || PESO_NACER_ESTANDAR_KG.BOVINO;
+
+  // Destete: pesaje marcado en el destete o el más cercano a 205 días
+  let destete = null;
+  let destete205 = null;
+  if (nacimiento) {
+    const marcado = ordenados.find((p) => p.metadata?.weaning);
+    destete = marcado
+      ? { ...marcado, edad: diasEntre(nacimiento, marcado.event_date) }
+      : pesajeMasCercano(ordenados, nacimiento, EDAD_DESTETE_AJUSTE, VENTANA_DESTETE);
+    if (destete && destete.edad > 0) {
+      destete205 = pesoNacerAjuste + ((destete.qty_kg - pesoNacerAjuste) / destete.edad) * EDAD_DESTETE_AJUSTE;
+    }
+  }
+
+  // Año: ganancia posdestete proyectada a 160 días sobre el destete ajustado
+  let anio = null;
+  let anio365 = null;
+  if (nacimiento) {
+    anio = pesajeMasCercano(ordenados, nacimiento, EDAD_ANIO_AJUSTE, VENTANA_ANIO);
+    if (anio && destete && destete205 !== null && anio.edad > destete.edad) {
+      anio365 = destete205 + ((anio.qty_kg - destete.qty_kg) / (anio.edad - destete.edad)) * (EDAD_ANIO_AJUSTE - EDAD_DESTETE_AJUSTE);
+    } else if (anio && anio.edad > 0) {
+      anio365 = pesoNacerAjuste + ((anio.qty_kg - pesoNacerAjuste) / anio.edad) * EDAD_ANIO_AJUSTE;
+    }
+  }
+
+  // Ganancia diaria: desde el nacimiento (o primer pesaje) hasta el último pesaje
+  const ultimo = ordenados[ordenados.length - 1] || null;
+  let adpvTotal = null;
+  if (ultimo) {
+    const inicio = pesoNacer && nacimiento
+      ? { event_date: nacimiento, qty_kg: pesoNacer }
+      : ordenados[0];
+    const dias = diasEntre(inicio.event_date, ultimo.event_date);
+    if (dias > 0) adpvTotal = (ultimo.qty_kg - inicio.qty_kg) / dias;
+  }
+  let adpvUltimo = null;
+  if (ordenados.length >= 2) {
+    const anterior = ordenados[ordenados.length - 2];
+    const dias = diasEntre(anterior.event_date, ultimo.event_date);
+    if (dias > 0) adpvUltimo = (ultimo.qty_kg - anterior.qty_kg) / dias;
+  }
+
+  // Partos: fechas únicas; intervalo entre partos consecutivos
+  const partos = [...new Set((extras.partos || []).map((f) => String(f).split('T')[0]))]
+    .sort()
+    .filter((fecha, i, lista) => i === 0 || diasEntre(lista[i - 1], fecha) > DIAS_MISMO_PARTO);
+  const intervalos = partos.slice(1).map((fecha, i) => diasEntre(partos[i], fecha));
+
+  return {
+    peso_nacer: pesoNacer,
+    peso_destete: destete?.qty_kg ?? null,
+    edad_destete_dias: destete?.edad ?? null,
+    peso_destete_205: redondear(destete205, 1),
+    peso_anio: anio?.qty_kg ?? null,
+    edad_anio_dias: anio?.edad ?? null,
+    peso_anio_365: redondear(anio365, 1),
+    ultimo_peso: ultimo?.qty_kg ?? null,
+    fecha_ultimo_peso: ultimo?.event_date ?? null,
+    adpv_total: redondear(adpvTotal, 3),
+    adpv_ultimo: redondear(adpvUltimo, 3),
+    partos: partos.length,
+    fecha_ultimo_parto: partos[partos.length - 1] || null,
+    intervalo_entre_partos: intervalos.length > 0 ? Math.round(media(intervalos)) : null,
+    edad_primer_parto_meses: partos.length > 0 && nacimiento ? redondear(diasEntre(nacimiento, partos[0]) / 30.4, 1) : null
+  };
+}
+
+/**
+ * Índice relativo al promedio del grupo contemporáneo (100 = promedio)
+ */
+function asignarRatio(filas, campo, destino) {
+  const mediaGrupo = media(filas.map((f) => f.indices[campo]).filter(Number.isFinite));
+  filas.forEach((f) => {
+    f[destino] = mediaGrupo && f.indices[campo] !== null ? Math.round((f.indices[campo] / mediaGrupo) * 100) : null;
+  });
+}
+
+// ============================================================================
+// GENEALOGÍA
+// ============================================================================
+
+/**
+ * Árbol genealógico ascendente
+ * @param {string} animalId
+ * @param {number} generaciones - Niveles hacia arriba (el animal es el nivel 0)
+ * @returns {Promise<Object>} Nodo { animal, madre, padre, padre_externo } recursivo
+ */
+export async function obtenerPedigri(animalId, generaciones = 3) {
+  try {
+    const animales = new Map();
+    let pendientes = [animalId];
+
+    for (let nivel = 0; nivel <= generaciones && pendientes.length > 0; nivel++) {
+      const { data, error } = await supabase
+        .from('animals')
+        .select(CAMPOS_ANIMAL)
+        .in('id', pendientes);
+      if (error) throw error;
+
+      (data || []).forEach((a) => animales.set(a.id, a));
+      pendientes = nivel < generaciones
+        ? [...new Set((data || []).flatMap((a) => [a.dam_id, a.sire_id]).filter((id) => id && !animales.has(id)))]
+        : [];
+    }
+
+    const construir = (id, nivel) => {
+      const animal = animales.get(id);
+      if (!animal) return null;
+      return {
+        animal,
+        madre: nivel < generaciones && animal.dam_id ? construir(animal.dam_id, nivel + 1) : null,
+        padre: nivel < generaciones && animal.sire_id ? construir(animal.sire_id, nivel + 1) : null,
+        padre_externo: animal.sire_id ? null : animal.sire_name || null
+      };
+    };
+
+    return construir(animalId, 0);
+  } catch (error) {
+    console.error('Error en obtenerPedigri:', error);
+    throw error;
+  }
+}
+
+/**
+ * Actualiza madre y padre de un animal
+ * @param {string} animalId
+ * @param {Object} padres - { dam_id, sire_id, sire_name }
+ */
+export async function actualizarPadres(animalId, padres) {
+  if (padres.dam_id && padres.dam_id === animalId) throw new Error('Un animal no puede ser su propia madre');
+  if (padres.sire_id && padres.sire_id === animalId) throw new Error('Un animal no puede ser su propio padre');
+
+  const { data, error } = await supabase
+    .from('animals')
+    .update({
+      dam_id: padres.dam_id || null,
+      sire_id: padres.sire_id || null,
+      sire_name: padres.sire_id ? null : padres.sire_name || null
+    })
+    .eq('id', animalId)
+    .select()
+    .single();
+
+  if (error) throw error;
+  return data;
+}
+
+// ============================================================================
+// DESEMPEÑO INDIVIDUAL
+// ============================================================================
+
+/**
+ * Índices de un animal y de sus crías (para vacas: producción de terneros)
+ * @param {Object} animal - Debe incluir id, birth_date, species, premise_id
+ * @returns {Promise<Object>} { indices, crias: [{ animal, indices }], promedio_destete_crias }
+ */
+export async function obtenerDesempenoAnimal(animal) {
+  try {
+    const [{ data: crias, error: criasError }, { data: nacimientos, error: nacError }] = await Promise.all([
+      supabase
+        .from('animals')
+        .select(CAMPOS_ANIMAL)
+        .or(`dam_id.eq.${animal.id},sire_id.eq.${animal.id}`)
+        .order('birth_date', { ascending: true }),
+      supabase
+        .from('herd_events')
+        .select('event_date, qty_kg, metadata')
+        .eq('event_type', 'BIRTH')
+        .neq('status', 'REJECTED')
+        .or(`metadata->>calf_id.eq.${animal.id},metadata->>dam_id.eq.${animal.id}`)
+    ]);
+
+    if (criasError) throw criasError;
+    if (nacError) throw nacError;
+
+    const pesajes = await obtenerPesajes([animal.id, ...(crias || []).map((c) => c.id)]);
+    const pesajesDe = (id) => pesajes.filter((p) => p.animal_id === id);
+    const pesoNacerDe = (id) => (nacimientos || []).find((n) => n.metadata?.calf_id === id)?.qty_kg || null;
+
+    const partos = [
+      ...(nacimientos || []).filter((n) => n.metadata?.dam_id === animal.id).map((n) => n.event_date),
+      ...(crias || []).filter((c) => c.dam_id === animal.id && c.birth_date).map((c) => c.birth_date)
+    ];
+
+    const indices = calcularIndicesAnimal(animal, pesajesDe(animal.id), { pesoNacer: pesoNacerDe(animal.id), partos });
+    const criasConIndices = (crias || []).map((c) => ({
+      animal: c,
+      indices: calcularIndicesAnimal(c, pesajesDe(c.id), { pesoNacer: pesoNacerDe(c.id) })
+    }));
+
+    return {
+      indices,
+      crias: criasConIndices,
+      promedio_destete_crias: redondear(media(criasConIndices.map((c) => c.indices.peso_destete_205).filter(Number.isFinite)), 1)
+    };
+  } catch (error) {
+    console.error('Error en obtenerDesempenoAnimal:', error);
+    throw error;
+  }
+}
+
+/**
+ * Ranking de desempeño de los animales activos de un predio / rodeo
+ * - REPOSICION: hembras sin partos, ordenadas por destete 205 y año 365 relativos a su grupo
+ * - VIENTRES: hembras con partos, ordenadas por destete promedio de sus crías e intervalo entre partos
+ * @param {string} premiseId
+ * @param {Object} filtros - { herdId, modo: 'REPOSICION' | 'VIENTRES' | 'TODOS' }
+ * @returns {Promise<Array>} [{ animal, indices, promedio_destete_crias, ratio_destete, ratio_anio, ratio_crias }]
+ */
+export async function obtenerRankingDesempeno(premiseId, filtros = {}) {
+  try {
+    const modo = filtros.modo || 'TODOS';
+    let animales;
+
+    if (filtros.herdId) {
+      const { data, error } = await supabase
+        .from('herd_animals')
+        .select(`animal:animal_id(${CAMPOS_ANIMAL})`)
+        .eq('herd_id', filtros.herdId)
+        .is('end_date', null);
+      if (error) throw error;
+      animales = (data || []).map((m) => m.animal).filter((a) => a && a.status === 'ACTIVE');
+    } else {
+      const { data, error } = await supabase
+        .from('animals')
+        .select(CAMPOS_ANIMAL)
+        .eq('premise_id', premiseId)
+        .eq('status', 'ACTIVE');
+      if (error) throw error;
+      animales = data || [];
+    }
+
+    if (animales.length === 0) return [];
+
+    const ids = animales.map((a) => a.id);
+    const crias = await enLotes(ids, (lote) => supabase
+      .from('animals')
+      .select('id, dam_id, birth_date, species')
+      .in('dam_id', lote));
+
+    const { data: nacimientos, error: nacError } = await supabase
+      .from('herd_events')
+      .select('event_date, qty_kg, metadata')
+      .eq('premise_id', premiseId)
+      .eq('event_type', 'BIRTH')
+      .neq('status', 'REJECTED');
+    if (nacError) throw nacError;
+
+    const pesajes = await obtenerPesajes([...ids, ...crias.map((c) => c.id)]);
+    const pesajesPorAnimal = new Map();
+    pesajes.forEach((p) => {
+      if (!pesajesPorAnimal.has(p.animal_id)) pesajesPorAnimal.set(p.animal_id, []);
+      pesajesPorAnimal.get(p.animal_id).push(p);
+    });
+    const pesoNacerPorCria = new Map(
+      (nacimientos || []).filter((n) => n.metadata?.calf_id).map((n) => [n.metadata.calf_id, n.qty_kg])
+    );
+
+    const indicesCria = new Map(crias.map((c) => [
+      c.id,
+      calcularIndicesAnimal(c, pesajesPorAnimal.get(c.id), { pesoNacer: pesoNacerPorCria.get(c.id) })
+    ]));
+
+    let filas = animales.map((animal) => {
+      const susCrias = crias.filter((c) => c.dam_id === animal.id);
+      const partos = [
+        ...(nacimientos || []).filter((n) => n.metadata?.dam_id === animal.id).map((n) => n.event_date),
+        ...susCrias.filter((c) => c.birth_date).map((c) => c.birth_date)
+      ];
+      return {
+        animal,
+        indices: calcularIndicesAnimal(animal, pesajesPorAnimal.get(animal.id), {
+          pesoNacer: pesoNacerPorCria.get(animal.id),
+          partos
+        }),
+        crias: susCrias.length,
+        promedio_destete_crias: redondear(media(susCrias.map((c) => indicesCria.get(c.id)?.peso_destete_205).filter(Number.isFinite)), 1)
+      };
+    });
+
+    if (modo === 'REPOSICION') {
+      filas = filas.filter((f) => f.animal.sex === 'F' && f.indices.partos === 0);
+    } else if (modo === 'VIENTRES') {
+      filas = filas.filter((f) => f.animal.sex === 'F' && f.indices.partos > 0);
+    }
+
+    // Grupos contemporáneos por sexo para los índices relativos
+    ['M', 'F'].forEach((sexo) => {
+      const grupo = filas.filter((f) => f.animal.sex === sexo);
+      asignarRatio(grupo, 'peso_destete_205', 'ratio_destete');
+      asignarRatio(grupo, 'peso_anio_365', 'ratio_anio');
+    });
+    const mediaCrias = media(filas.map((f) => f.promedio_destete_crias).filter(Number.isFinite));
+    filas.forEach((f) => {
+      f.ratio_crias = mediaCrias && f.promedio_destete_crias !== null
+        ? Math.round((f.promedio_destete_crias / mediaCrias) * 100)
+        : null;
+    });
+
+    // Vientres: destete de sus crías, restando 1 punto cada 10 días de intervalo por encima de un año
+    const puntaje = (f) => (modo === 'VIENTRES'
+      ? (f.ratio_crias ?? 0) - (f.indices.intervalo_entre_partos ? (f.indices.intervalo_entre_partos - 365) / 10 : 0)
+      : (f.ratio_anio ?? f.ratio_destete ?? 0));
+
+    return filas.sort((a, b) => puntaje(b) - puntaje(a));
+  } catch (error) {
+    console.error('Error en obtenerRankingDesempeno:', error);
+    throw error;
+  }
+}
+
+export const MODOS_RANKING = {
+  REPOSICION: 'Reposición (vaquillonas)',
+  VIENTRES: 'Vientres (vacas con cría)',
+  TODOS: 'Todos los animales'
+};
+
+/**
+ * Exporta el ranking de desempeño a Excel
+ */
+export function exportarRankingDesempeno(filas, modo) {
+  const datos = filas.map((f, i) => ({
+    Puesto: i + 1,
+    Caravana: f.animal.visual_tag || f.animal.rfid_tag || '',
+    RFID: f.animal.rfid_tag || '',
+    Sexo: f.animal.sex,
+    Categoría: f.animal.current_category?.name || '',
+    'Peso nacer (kg)': f.indices.peso_nacer ?? '',
+    'Destete 205 (kg)': f.indices.peso_destete_205 ?? '',
+    'Índice destete': f.ratio_destete ?? '',
+    'Año 365 (kg)': f.indices.peso_anio_365 ?? '',
+    'Índice año': f.ratio_anio ?? '',
+    'ADPV (kg/día)': f.indices.adpv_total ?? '',
+    Partos: f.indices.partos,
+    'Intervalo entre partos (días)': f.indices.intervalo_entre_partos ?? '',
+    Crías: f.crias,
+    'Destete 205 crías (kg)': f.promedio_destete_crias ?? '',
+    'Índice crías': f.ratio_crias ?? ''
+  }));
+
+  const libro = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(libro, XLSX.utils.json_to_sheet(datos), 'Desempeño');
+  XLSX.writeFile(libro, `Ranking_${modo || 'TODOS'}_${hoy()}.xlsx`);
+}
@@ -1,17 +1,86 @@
 /**
  * Servicios geoespaciales usando Turf.js
+ *
+ * polygon_data de un lote admite dos formatos:
+ * - Array Leaflet [[Lat, Lng], ...] para lotes de un solo anillo (formato histórico de los editores)
+ * - Geometría GeoJSON Polygon (con huecos) o MultiPolygon en [Lng, Lat] para lotes con
+ *   lagunas, montes excluidos o parcelas separadas
  */
-import { area, centroid, intersect, booleanIntersects, booleanContains, featureCollection } from '@turf/turf';
+import {
+  area,
+  bbox,
+  centroid,
+  pointOnFeature,
+  intersect,
+  kinks,
+  booleanIntersects,
+  booleanContains,
+  booleanPointInPolygon,
+  featureCollection,
+  buffer,
+  difference,
+  union,
+  lineString
+} from '@turf/turf';
+
+/**
+ * Profundidad de anidamiento de un array de coordenadas
+ * 1 = [[Lat, Lng], ...] · 2 = [anillo, hueco, ...] · 3 = [[anillo, hueco], [anillo], ...]
+ */
+function profundidadCoordenadas(coords) {
+  let profundidad = 0;
+  let actual = coords;
+  while (Array.isArray(actual) && Array.isArray(actual[0])) {
+    profundidad++;
+    actual = actual[0];
+  }
+  return profundidad;
+}
+
+/**
+ * Cierra un anillo GeoJSON repitiendo el primer punto si hace falta
+ */
+function cerrarAnillo(anillo) {
+  const cerrado = anillo.map((p) => [p[0], p[1]]);
+  const first = cerrado[0];
+  const last = cerrado[cerrado.length - 1];
+  if (first[0] !== last[0] || first[1] !== last[1]) {
+    cerrado.push([first[0], first[1]]);
+  }
+  return cerrado;
+}
+
+/**
+ * Convierte un anillo Leaflet [[Lat, Lng], ...] a anillo GeoJSON cerrado [[Lng, Lat], ...]
+ */
+function anilloLeafletAGeoJSON(anillo) {
+  return cerrarAnillo(anillo.map((p) => [p[1], p[0]]));
+}
+
+/**
+ * Convierte un anillo GeoJSON a Leaflet, quitando el punto de cierre
+ */
+function anilloGeoJSONALeaflet(anillo) {
+  const puntos = anillo.map((c) => [c[1], c[0]]);
+  const first = puntos[0];
+  const last = puntos[puntos.length - 1];
+  if (puntos.length > 1 && first[0] === last[0] && first[1] === last[1]) {
+    puntos.pop();
+  }
+  return puntos;
+}
 
 /**
  * Convierte manualmente a un objeto GeoJSON Feature válido para Turf
- * Entrada esperada: String o Array de coordenadas Leaflet [[Lat, Lng], ...]
- * Salida: Feature<Polygon> con coordenadas [[Lng, Lat], ...]
+ * Entrada esperada: String, geometría/Feature GeoJSON o Array de coordenadas Leaflet
+ * ([[Lat, Lng], ...], con huecos [anillo, hueco, ...] o multiparte [[anillo, hueco], ...])
+ * Salida: Feature<Polygon|MultiPolygon> con coordenadas [[Lng, Lat], ...]
  */
 function toGeoJSONFeature(input) {
   try {
     let coords = input;
-    
+    if (!coords) return null;
+
     // 1. Parsear string
     if (typeof coords === 'string') {
       try {
@@ -23,30 +92,37 @@ function toGeoJSONFeature(input) {
 
     // 2. Si ya es Feature o Geometry, devolverlo
     if (coords.type === 'Feature') return coords;
-    if (coords.type === 'Polygon') return { type: 'Feature', properties: {}, geometry: coords };
+    if (coords.type === 'Polygon' || coords.type === 'MultiPolygon') {
+      return { type: 'Feature', properties: {}, geometry: coords };
+    }
 
-    // 3. Procesar Array de puntos [[Lat, Lng], ...]
+    // 3. Procesar Arrays Leaflet según profundidad
     if (Array.isArray(coords) && coords.length > 0) {
-      // Verificar profundidad. Si es [[Lat, Lng], ...], el primer elemento es un número.
-      if (Array.isArray(coords[0]) && typeof coords[0][0] === 'number') {
-        
-        // Invertir Lat/Lng a Lng/Lat
-        const ring = coords.map(p => [p[1], p[0]]);
-        
-        // Cerrar anillo
-        const first = ring[0];
-        const last = ring[ring.length - 1];
-        if (first[0] !== last[0] || first[1] !== last[1]) {
-          ring.push([first[0], first[1]]);
-        }
+      const profundidad = profundidadCoordenadas(coords);
+
+      if (profundidad === 1) {
+        return {
+          type: 'Feature',
+          properties: {},
+          geometry: { type: 'Polygon', coordinates: [anilloLeafletAGeoJSON(coords)] }
+        };
+      }
+
+      if (profundidad === 2) {
+        return {
+          type: 'Feature',
+          properties: {},
+          geometry: { type: 'Polygon', coordinates: coords.map(anilloLeafletAGeoJSON) }
+        };
+      }
 
-        // Estructura manual GeoJSON
+      if (profundidad === 3) {
         return {
           type: 'Feature',
           properties: {},
           geometry: {
-            type: 'Polygon',
-            coordinates: [ring] // Array de anillos (el primero es el exterior)
+            type: 'MultiPolygon',
+            coordinates: coords.map((parte) => parte.map(anilloLeafletAGeoJSON))
           }
         };
       }
@@ -58,6 +134,156 @@ function toGeoJSONFeature(input) {
   }
 }
 
+/**
+ * Convierte polygon_data (array Leaflet, string o GeoJSON) a geometría GeoJSON [lng, lat]
+ * @param {Array|string|Object} poligono - polygon_data del lote
+ * @returns {Object|null} Geometry GeoJSON o null si no es válido
+ */
+export function aGeometriaGeoJSON(poligono) {
+  const feature = toGeoJSONFeature(poligono);
+  return feature ? feature.geometry : null;
+}
+
+/**
+ * Descompone cualquier polígono en partes Leaflet: [[exterior, hueco, ...], ...]
+ * @param {Array|string|Object} poligono - polygon_data o geometría GeoJSON
+ * @returns {Array} Partes con anillos [[Lat, Lng], ...] sin punto de cierre
+ */
+export function aPartesLeaflet(poligono) {
+  const geometry = aGeometriaGeoJSON(poligono);
+  if (!geometry) return [];
+
+  const poligonos = geometry.type === 'MultiPolygon' ? geometry.coordinates : [geometry.coordinates];
+  return poligonos.map((anillos) => anillos.map(anilloGeoJSONALeaflet));
+}
+
+/**
+ * Posiciones para <Polygon positions> de react-leaflet, conservando huecos y partes
+ * @param {Array|string|Object} poligono - polygon_data o geometría GeoJSON
+ * @returns {Array} Posiciones Leaflet ([] si no es válido)
+ */
+export function aPosicionesLeaflet(poligono) {
+  const partes = aPartesLeaflet(poligono);
+  if (partes.length === 0) return [];
+  if (partes.length === 1) {
+    return partes[0].length === 1 ? partes[0][0] : partes[0];
+  }
+  return partes;
+}
+
+/**
+ * Cantidad de vértices de un polígono sumando todos los anillos (exteriores y huecos) de todas sus partes
+ * @param {Array|string|Object} poligono - polygon_data o geometría GeoJSON
+ * @returns {number}
+ */
+export function contarVertices(poligono) {
+  return aPartesLeaflet(poligono).reduce(
+    (total, anillos) => total + anillos.reduce((suma, anillo) => suma + anillo.length, 0),
+    0
+  );
+}
+
+/**
+ * Construye el polygon_data a guardar a partir de partes Leaflet.
+ * Un único anillo se guarda como array Leaflet (compatibilidad con el formato histórico);
+ * huecos o varias partes se guardan como geometría GeoJSON.
+ * @param {Array} partes - [[exterior, hueco, ...], ...] en [Lat, Lng]
+ * @returns {Array|Object|null} polygon_data
+ */
+export function desdePartesLeaflet(partes) {
+  const validas = (partes || [])
+    .map((anillos) => anillos.filter((anillo) => Array.isArray(anillo) && anillo.length >= 3))
+    .filter((anillos) => anillos.length > 0);
+
+  if (validas.length === 0) return null;
+  if (validas.length === 1 && validas[0].length === 1) return validas[0][0];
+
+  if (validas.length === 1) {
+    return { type: 'Polygon', coordinates: validas[0].map(anilloLeafletAGeoJSON) };
+  }
+
+  return {
+    type: 'MultiPolygon',
+    coordinates: validas.map((anillos) => anillos.map(anilloLeafletAGeoJSON))
+  };
+}
+
+/**
+ * Normaliza una geometría GeoJSON al formato de polygon_data
+ * @param {Object} geometry - Polygon o MultiPolygon GeoJSON
+ * @returns {Array|Object|null} polygon_data
+ */
+export function normalizarPoligonoLote(geometry) {
+  return desdePartesLeaflet(aPartesLeaflet(geometry));
+}
+
+/**
+ * Cuenta partes y huecos de un polígono
+ * @returns {Object} { partes, huecos }
+ */
+export function describirGeometria(poligono) {
+  const partes = aPartesLeaflet(poligono);
+  return {
+    partes: partes.length,
+    huecos: partes.reduce((sum, anillos) => sum + Math.max(anillos.length - 1, 0), 0)
+  };
+}
+
+/**
+ * Indica en qué parte cae un anillo (se usa para ubicar un hueco nuevo)
+ * @param {Array} anillo - Anillo Leaflet [[Lat, Lng], ...]
+ * @param {Array} partes - Partes Leaflet [[exterior, hueco, ...], ...]
+ * @returns {number} Índice de la parte que contiene el anillo, o -1
+ */
+export function ubicarAnilloEnPartes(anillo, partes) {
+  if (!anillo || anillo.length < 3) return -1;
+  const huecoGeo = { type: 'Polygon', coordinates: [anilloLeafletAGeoJSON(anillo)] };
+
+  return partes.findIndex((anillos) => {
+    const exterior = { type: 'Polygon', coordinates: [anilloLeafletAGeoJSON(anillos[0])] };
+    try {
+      return booleanContains(exterior, huecoGeo);
+    } catch (e) {
+      return false;
+    }
+  });
+}
+
+/**
+ * Valida la geometría de un lote
+ * @param {Array|string|Object} poligono - polygon_data o geometría GeoJSON
+ * @returns {Object} { isValid, error }
+ */
+export function validarPoligono(poligono) {
+  const feature = toGeoJSONFeature(poligono);
+  if (!feature) return { isValid: false, error: 'Debe dibujar el polígono del lote' };
+
+  const partes = aPartesLeaflet(feature.geometry);
+  for (const anillos of partes) {
+    if (anillos[0].length < 3) {
+      return { isValid: false, error: 'Cada parte debe tener al menos 3 puntos' };
+    }
+
+    const exterior = { type: 'Polygon', coordinates: [anilloLeafletAGeoJSON(anillos[0])] };
+    if (kinks(exterior).features.length > 0) {
+      return { isValid: false, error: 'El polígono no puede cruzarse sobre sí mismo' };
+    }
+
+    for (const hueco of anillos.slice(1)) {
+      const huecoGeo = { type: 'Polygon', coordinates: [anilloLeafletAGeoJSON(hueco)] };
+      if (!booleanContains(exterior, huecoGeo)) {
+        return { isValid: false, error: 'Los huecos deben quedar dentro del contorno del lote' };
+      }
+    }
+  }
+
+  if (calcularSuperficie(feature) <= 0) {
+    return { isValid: false, error: 'El polígono no tiene superficie' };
+  }
+
+  return { isValid: true, error: null };
+}
+
 export function verificarSolapamiento(nuevoPoligono, lotesExistentes, excluyendoId = null) {
   try {
     const poly1 = toGeoJSONFeature(nuevoPoligono);
@@ -72,24 +298,21 @@ export function verificarSolapamiento(nuevoPoligono, lotesExistentes, excluyendo
 
       try {
         const seTocan = booleanIntersects(poly1, poly2);
-        
+
         if (seTocan) {
+            // intersect resuelve huecos y multipartes: un lote dentro de la laguna de otro no se solapa
             const fc = featureCollection([poly1, poly2]);
             const interseccion = intersect(fc);
-            
+
             if (interseccion) {
                 const tipo = interseccion.geometry.type;
                 if (tipo === 'Polygon' || tipo === 'MultiPolygon') {
                     const areaInt = area(interseccion);
-                    if (areaInt > 1) { 
+                    if (areaInt > 1) {
                         return lote;
                     }
                 }
             }
-            
-            if (booleanContains(poly1, poly2) || booleanContains(poly2, poly1)) {
-                return lote;
-            }
         }
       } catch (err) {
         // Fallback or ignore specific geometry errors
@@ -101,6 +324,9 @@ export function verificarSolapamiento(nuevoPoligono, lotesExistentes, excluyendo
   }
 }
 
+/**
+ * Superficie productiva en hectáreas (descuenta huecos y suma todas las partes)
+ */
 export function calcularSuperficie(poligono) {
   try {
     const poly = toGeoJSONFeature(poligono);
@@ -110,13 +336,104 @@ export function calcularSuperficie(poligono) {
   } catch (e) { return 0; }
 }
 
+/**
+ * Centroide del lote. Si el centroide geométrico cae en un hueco o fuera de las
+ * partes (lotes en "U" o multiparte) se usa un punto garantizado dentro del lote
+ */
 export function calcularCentroide(poligono) {
   try {
     const poly = toGeoJSONFeature(poligono);
     if (!poly) return null;
-    const c = centroid(poly);
+    let c = centroid(poly);
+    if (!booleanPointInPolygon(c, poly)) {
+      c = pointOnFeature(poly);
+    }
     return { lat: c.geometry.coordinates[1], lng: c.geometry.coordinates[0] };
   } catch (e) { return null; }
 }
 
-export function obtenerBoundingBox(poligono) { return null; }
\ No newline at end of file
+/**
+ * Bounding box del lote en convención GeoJSON
+ * @returns {Array|null} [minLng, minLat, maxLng, maxLat]
+ */
+export function obtenerBoundingBox(poligono) {
+  try {
+    const poly = toGeoJSONFeature(poligono);
+    if (!poly) return null;
+    return bbox(poly);
+  } catch (e) { return null; }
+}
+
+/**
+ * Límites Leaflet que abarcan uno o varios polígonos (para fitBounds)
+ * @param {Array} poligonos - Lista de polygon_data / geometrías
+ * @returns {Array|null} [[minLat, minLng], [maxLat, maxLng]]
+ */
+export function obtenerLimitesLeaflet(poligonos) {
+  const cajas = (poligonos || []).map(obtenerBoundingBox).filter(Boolean);
+  if (cajas.length === 0) return null;
+
+  const [minLng, minLat, maxLng, maxLat] = cajas.reduce(
+    (acc, caja) => [
+      Math.min(acc[0], caja[0]),
+      Math.min(acc[1], caja[1]),
+      Math.max(acc[2], caja[2]),
+      Math.max(acc[3], caja[3])
+    ],
+    [Infinity, Infinity, -Infinity, -Infinity]
+  );
+
+  return [[minLat, minLng], [maxLat, maxLng]];
+}
+
+/**
+ * Divide un lote con una línea de corte (ej: alambrado nuevo).
+ * La línea se convierte en una franja de 10 cm que se resta al polígono; cada
+ * pieza resultante es un lote sucesor.
+ * @param {Array|string|Object} poligono - polygon_data del lote a dividir
+ * @param {Array} lineaCorte - Puntos Leaflet [[Lat, Lng], ...] que atraviesan el lote
+ * @returns {Array} polygon_data de cada pieza, ordenadas de mayor a menor superficie
+ */
+export function dividirPoligonoPorLinea(poligono, lineaCorte) {
+  const poly = toGeoJSONFeature(poligono);
+  if (!poly || !lineaCorte || lineaCorte.length < 2) return [];
+
+  try {
+    const linea = lineString(lineaCorte.map((p) => [p[1], p[0]]));
+    const franja = buffer(linea, 0.05, { units: 'meters' });
+    const resto = difference(featureCollection([poly, franja]));
+    if (!resto) return [];
+
+    return aPartesLeaflet(resto.geometry)
+      .map((anillos) => desdePartesLeaflet([anillos]))
+      .filter((pieza) => calcularSuperficie(pieza) > 0)
+      .sort((a, b) => calcularSuperficie(b) - calcularSuperficie(a));
+  } catch (e) {
+    console.error('Error dividiendo polígono:', e);
+    return [];
+  }
+}
+
+/**
+ * Une varios lotes en un único polígono. Si no son contiguos el resultado es multiparte
+ * @param {Array} poligonos - Lista de polygon_data
+ * @returns {Array|Object|null} polygon_data del lote unido
+ */
+export function unirPoligonos(poligonos) {
+  const features = (poligonos || []).map(toGeoJSONFeature).filter(Boolean);
+  if (features.length === 0) return null;
+  if (features.length === 1) return normalizarPoligonoLote(features[0].geometry);
+
+  try {
+    // Expandir y contraer 20 cm cierra las rendijas entre lotes dibujados a mano
+    // (y la franja de corte de dividirPoligonoPorLinea) sin alterar la superficie
+    const expandidos = features.map((f) => buffer(f, 0.2, { units: 'meters' }));
+    const unido = union(featureCollection(expandidos));
+    if (!unido) return null;
+    const contraido = buffer(unido, -0.2, { units: 'meters' });
+    return normalizarPoligonoLote((contraido || unido).geometry);
+  } catch (e) {
+    console.error('Error uniendo polígonos:', e);
+    return null;
+  }
+}
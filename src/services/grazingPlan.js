@@ -0,0 +1,444 @@
+/**
+ * Servicio de planificación de pastoreo
+ * - Ocupación real de lotes por rodeo a partir de eventos MOVE_INTERNAL
+ * - Movimientos planificados a futuro (grazing_plan_moves)
+ * - Sugerencia del próximo movimiento según la proyección de altura de pastura
+ *   (proyectarDiasHastaRemanente) y los días de descanso de cada lote
+ * - Conversión de un movimiento planificado en un MOVE_INTERNAL pendiente de aprobación
+ * Tablas: grazing_plan_moves (add_grazing_plan.sql)
+ */
+
+import { supabase } from '../lib/supabase';
+import { crearRegistro } from './registros';
+import {
+  proyectarDiasHastaRemanente,
+  compararLotesPorOferta,
+  calcularCargaRecomendada
+} from './livestockAnalytics';
+import { hoy, diasEntre, sumarDias } from '../lib/fechas';
+
+export const ESTADOS_MOVIMIENTO_PLAN = {
+  PLANNED: 'Planificado',
+  CONVERTED: 'Enviado a aprobación',
+  CANCELLED: 'Cancelado'
+};
+
+/**
+ * Días mínimos de descanso de un lote antes de volver a ocuparlo
+ */
+export const DIAS_DESCANSO_MINIMO = 30;
+
+// Consumo usado para estimar cuántos días alcanza el forraje del lote destino
+const CONSUMO_KG_MS_CABEZA = 10;
+
+// Estados de oferta forrajera que no se sugieren como destino
+const ESTADOS_OFERTA_DESCARTADOS = ['CRITICO', 'BAJO'];
+
+/**
+ * Rodeos activos del predio con su cantidad de cabezas
+ */
+async function obtenerRodeosPredio(premiseId) {
+  const { data: rodeos, error } = await supabase
+    .from('herds')
+    .select('id, name, species, current_lot_id')
+    .eq('premise_id', premiseId)
+    .eq('is_active', true)
+    .order('name', { ascending: true });
+
+  if (error) throw error;
+  if (!rodeos || rodeos.length === 0) return [];
+
+  const { data: integrantes, error: intError } = await supabase
+    .from('herd_animals')
+    .select('herd_id')
+    .in('herd_id', rodeos.map((r) => r.id))
+    .is('end_date', null);
+
+  if (intError) throw intError;
+
+  return rodeos.map((r) => ({
+    ...r,
+    cabezas: (integrantes || []).filter((i) => i.herd_id === r.id).length
+  }));
+}
+
+// ============================================================================
+// OCUPACIÓN Y PLAN
+// ============================================================================
+
+/**
+ * Movimientos planificados del predio
+ * @param {string} premiseId
+ * @param {Array<string>} estados - Estados a incluir (default: PLANNED y CONVERTED)
+ */
+export async function obtenerMovimientosPlanificados(premiseId, estados = ['PLANNED', 'CONVERTED']) {
+  const { data, error } = await supabase
+    .from('grazing_plan_moves')
+    .select('*, herd:herd_id(id, name, species), from_lot:from_lot_id(id, name), to_lot:to_lot_id(id, name)')
+    .eq('premise_id', premiseId)
+    .in('status', estados)
+    .order('planned_date', { ascending: true });
+
+  if (error) throw error;
+  return data || [];
+}
+
+/**
+ * Arma la línea de tiempo de ocupación de lotes por rodeo
+ * Segmentos:
+ * - REAL: desde cada MOVE_INTERNAL (aprobado o pendiente) hasta el siguiente o hasta hoy
+ * - PROYECTADO: permanencia en el lote actual hasta el primer movimiento planificado
+ * - PLANIFICADO: movimientos de grazing_plan_moves aún no convertidos
+ * @param {string} premiseId
+ * @returns {Promise<Object>} { rodeos, lotes, segmentos, planificados }
+ */
+export async function obtenerPlanPastoreo(premiseId) {
+  try {
+    const fechaHoy = hoy();
+
+    const [rodeos, lotesRes, movimientosRes, planificados] = await Promise.all([
+      obtenerRodeosPredio(premiseId),
+      supabase.from('lots').select('id, name, area_hectares, land_use').eq('premise_id', premiseId).order('name'),
+      supabase
+        .from('herd_events')
+        .select('id, herd_id, to_lote_id, event_date, status')
+        .eq('premise_id', premiseId)
+        .eq('event_type', 'MOVE_INTERNAL')
+        .eq('scope', 'HERD')
+        .neq('status', 'REJECTED')
+        .not('to_lote_id', 'is', null)
+        .order('event_date', { ascending: true }),
+      obtenerMovimientosPlanificados(premiseId, ['PLANNED'])
+    ]);
+
+    if (lotesRes.error) throw lotesRes.error;
+    if (movimientosRes.error) throw movimientosRes.error;
+
+    const movimientos = movimientosRes.data || [];
+    const segmentos = [];
+    const loteActual = {};
+
+    rodeos.forEach((rodeo) => {
+      const propios = movimientos.filter((m) => m.herd_id === rodeo.id);
+
+      if (propios.length === 0 && rodeo.current_lot_id) {
+        segmentos.push({ herd_id: rodeo.id, lot_id: rodeo.current_lot_id, desde: null, hasta: fechaHoy, tipo: 'REAL', abierto: true });
+      }
+
+      propios.forEach((m, i) => {
+        const siguiente = propios[i + 1];
+        segmentos.push({
+          herd_id: rodeo.id,
+          lot_id: m.to_lote_id,
+          desde: m.event_date,
+          hasta: siguiente ? siguiente.event_date : fechaHoy,
+          tipo: 'REAL',
+          pendiente: m.status === 'PENDING',
+          event_id: m.id,
+          abierto: !siguiente
+        });
+      });
+
+      const ultimo = segmentos.filter((s) => s.herd_id === rodeo.id && s.abierto).pop();
+      loteActual[rodeo.id] = ultimo?.lot_id || rodeo.current_lot_id || null;
+
+      const planesRodeo = planificados.filter((p) => p.herd_id === rodeo.id);
+      if (loteActual[rodeo.id] && planesRodeo.length > 0 && planesRodeo[0].planned_date > fechaHoy) {
+        segmentos.push({
+          herd_id: rodeo.id,
+          lot_id: loteActual[rodeo.id],
+          desde: fechaHoy,
+          hasta: planesRodeo[0].planned_date,
+          tipo: 'PROYECTADO'
+        });
+      }
+
+      planesRodeo.forEach((p, i) => {
+        const siguiente = planesRodeo[i + 1];
+        segmentos.push({
+          herd_id: rodeo.id,
+          lot_id: p.to_lot_id,
+          desde: p.planned_date,
+          hasta: siguiente?.planned_date || sumarDias(p.planned_date, p.planned_days || 7),
+          tipo: 'PLANIFICADO',
+          plan_id: p.id
+        });
+      });
+    });
+
+    return {
+      rodeos: rodeos.map((r) => ({ ...r, lote_actual_id: loteActual[r.id] })),
+      lotes: lotesRes.data || [],
+      segmentos,
+      planificados
+    };
+  } catch (error) {
+    console.error('Error en obtenerPlanPastoreo:', error);
+    throw error;
+  }
+}
+
+/**
+ * Días de descanso de cada lote según la línea de tiempo (null si nunca fue ocupado)
+ * @returns {Object} { [lotId]: { ocupado, dias_descanso, ultima_salida } }
+ */
+export function calcularDescansoLotes(plan) {
+  const fechaHoy = hoy();
+  const ocupados = new Set(plan.rodeos.map((r) => r.lote_actual_id).filter(Boolean));
+
+  return plan.lotes.reduce((acc, lote) => {
+    const salidas = plan.segmentos
+      .filter((s) => s.tipo === 'REAL' && s.lot_id === lote.id && !s.abierto)
+      .map((s) => s.hasta)
+      .sort();
+    const ultimaSalida = salidas[salidas.length - 1] || null;
+
+    acc[lote.id] = {
+      ocupado: ocupados.has(lote.id),
+      ultima_salida: ultimaSalida,
+      dias_descanso: ocupados.has(lote.id) || !ultimaSalida ? null : diasEntre(ultimaSalida, fechaHoy)
+    };
+    return acc;
+  }, {});
+}
+
+/**
+ * Sugiere el próximo movimiento de cada rodeo:
+ * - Fecha: cuando el lote actual llega al remanente objetivo (proyección de altura)
+ * - Destino: lote libre, con descanso suficiente y la mayor oferta forrajera
+ * @param {string} premiseId
+ * @param {Object} opciones - { diasDescanso }
+ * @returns {Promise<Array>}
+ */
+export async function sugerirProximosMovimientos(premiseId, opciones = {}) {
+  try {
+    const diasDescanso = opciones.diasDescanso ?? DIAS_DESCANSO_MINIMO;
+    const plan = await obtenerPlanPastoreo(premiseId);
+    const descanso = calcularDescansoLotes(plan);
+    const oferta = await compararLotesPorOferta(premiseId);
+
+    const destinosPlanificados = new Set(plan.planificados.map((p) => p.to_lot_id));
+    const conPlan = new Set(plan.planificados.map((p) => p.herd_id));
+
+    const candidatos = [];
+    for (const rodeo of plan.rodeos) {
+      if (!rodeo.lote_actual_id || conPlan.has(rodeo.id)) continue;
+
+      let proyeccion;
+      try {
+        proyeccion = await proyectarDiasHastaRemanente(rodeo.lote_actual_id);
+      } catch (error) {
+        proyeccion = { estado: 'SIN_DATOS', mensaje: 'No se pudo proyectar la pastura' };
+      }
+
+      let fechaSugerida = null;
+      if (proyeccion.diasHastaRemanente === 0) fechaSugerida = hoy();
+      else if (Number.isFinite(proyeccion.diasHastaRemanente)) fechaSugerida = proyeccion.fechaProyectada;
+
+      candidatos.push({ rodeo, proyeccion, fechaSugerida });
+    }
+
+    // Primero los rodeos más urgentes, que eligen destino antes
+    candidatos.sort((a, b) => (a.fechaSugerida || '9999').localeCompare(b.fechaSugerida || '9999'));
+
+    const asignados = new Set();
+    const sugerencias = [];
+    for (const { rodeo, proyeccion, fechaSugerida } of candidatos) {
+      const libres = oferta.filter((o) => {
+        const d = descanso[o.loteId];
+        return o.loteId !== rodeo.lote_actual_id
+          && !d?.ocupado
+          && !asignados.has(o.loteId)
+          && !destinosPlanificados.has(o.loteId)
+          && !ESTADOS_OFERTA_DESCARTADOS.includes(o.estado)
+          && (d?.dias_descanso === null || d?.dias_descanso === undefined || d.dias_descanso >= diasDescanso);
+      });
+
+      const destino = fechaSugerida ? libres[0] || null : null;
+      let diasPastoreo = null;
+      if (destino) {
+        asignados.add(destino.loteId);
+        try {
+          const carga = await calcularCargaRecomendada(destino.loteId, CONSUMO_KG_MS_CABEZA);
+          if (carga.forrajeUtilizableKgMS && rodeo.cabezas > 0) {
+            diasPastoreo = Math.floor(carga.forrajeUtilizableKgMS / (rodeo.cabezas * CONSUMO_KG_MS_CABEZA));
+          }
+        } catch (error) {
+          console.warn(`Error estimando carga del lote ${destino.loteNombre}:`, error);
+        }
+      }
+
+      let motivo;
+      if (!fechaSugerida) motivo = proyeccion.mensaje || 'Sin proyección de remanente';
+      else if (!destino) motivo = `Sin lotes libres con ${diasDescanso} días de descanso y oferta suficiente`;
+      else motivo = proyeccion.mensaje;
+
+      sugerencias.push({
+        rodeo,
+        lote_actual: plan.lotes.find((l) => l.id === rodeo.lote_actual_id) || null,
+        proyeccion,
+        fecha_sugerida: fechaSugerida,
+        destino: destino ? {
+          ...destino,
+          dias_descanso: descanso[destino.loteId]?.dias_descanso ?? null,
+          dias_pastoreo_estimados: diasPastoreo
+        } : null,
+        motivo
+      });
+    }
+
+    return sugerencias;
+  } catch (error) {
+    console.error('Error en sugerirProximosMovimientos:', error);
+    throw error;
+  }
+}
+
+// ============================================================================
+// MOVIMIENTOS PLANIFICADOS
+// ============================================================================
+
+/**
+ * Planifica un movimiento de rodeo a otro lote
+ * @param {Object} movimiento - { firm_id, premise_id, herd_id, from_lot_id, to_lot_id, planned_date, planned_days, notes }
+ */
+export async function crearMovimientoPlanificado(movimiento, userId = null) {
+  try {
+    if (!movimiento.herd_id || !movimiento.to_lot_id || !movimiento.planned_date) {
+      throw new Error('Rodeo, lote destino y fecha son obligatorios');
+    }
+    if (movimiento.from_lot_id && movimiento.from_lot_id === movimiento.to_lot_id) {
+      throw new Error('El lote destino debe ser distinto al lote actual');
+    }
+
+    const { data, error } = await supabase
+      .from('grazing_plan_moves')
+      .insert([{
+        firm_id: movimiento.firm_id,
+        premise_id: movimiento.premise_id,
+        herd_id: movimiento.herd_id,
+        from_lot_id: movimiento.from_lot_id || null,
+        to_lot_id: movimiento.to_lot_id,
+        planned_date: movimiento.planned_date,
+        planned_days: movimiento.planned_days ? parseInt(movimiento.planned_days) : null,
+        notes: movimiento.notes || null,
+        created_by: userId
+      }])
+      .select()
+      .single();
+
+    if (error) throw error;
+    return data;
+  } catch (error) {
+    console.error('Error en crearMovimientoPlanificado:', error);
+    throw error;
+  }
+}
+
+/**
+ * Cancela un movimiento planificado que aún no se convirtió en evento
+ */
+export async function cancelarMovimientoPlanificado(movimientoId) {
+  const { data, error } = await supabase
+    .from('grazing_plan_moves')
+    .update({ status: 'CANCELLED' })
+    .eq('id', movimientoId)
+    .eq('status', 'PLANNED')
+    .select()
+    .single();
+
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * Convierte un movimiento planificado en un MOVE_INTERNAL del rodeo pendiente de aprobación
+ * @param {Object} movimiento - grazing_plan_moves con herd
+ * @param {string} fecha - Fecha del evento (default: la planificada)
+ * @returns {Promise<Object>} Evento creado
+ */
+export async function convertirMovimientoEnEvento(movimiento, fecha = null, userId = null) {
+  try {
+    if (movimiento.status !== 'PLANNED') {
+      throw new Error('El movimiento ya fue convertido o cancelado');
+    }
+
+    const { count, error: countError } = await supabase
+      .from('herd_animals')
+      .select('id', { count: 'exact', head: true })
+      .eq('herd_id', movimiento.herd_id)
+      .is('end_date', null);
+
+    if (countError) throw countError;
+
+    const { data: evento, error } = await supabase
+      .from('herd_events')
+      .insert([{
+        firm_id: movimiento.firm_id,
+        premise_id: movimiento.premise_id,
+        event_type: 'MOVE_INTERNAL',
+        scope: 'HERD',
+        herd_id: movimiento.herd_id,
+        animal_id: null,
+        to_lote_id: movimiento.to_lot_id,
+        event_date: fecha || movimiento.planned_date,
+        species: movimiento.herd?.species || 'BOVINO',
+        qty_heads: count || null,
+        notes: movimiento.notes || `Pastoreo planificado: ${movimiento.to_lot?.name || 'lote destino'}`,
+        status: 'PENDING',
+        metadata: {
+          grazing_plan_move_id: movimiento.id,
+          from_lot_id: movimiento.from_lot_id || null,
+          planned_days: movimiento.planned_days || null,
+          audit: {
+            creation_source: 'GRAZING_PLANNER',
+            creator_name: localStorage.getItem('currentUser') || 'Sistema',
+            validation_status: 'PENDING_APPROVAL'
+          }
+        }
+      }])
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    const { error: planError } = await supabase
+      .from('grazing_plan_moves')
+      .update({ status: 'CONVERTED', event_id: evento.id })
+      .eq('id', movimiento.id);
+
+    if (planError) throw planError;
+
+    crearRegistro({
+      firmId: movimiento.firm_id,
+      premiseId: movimiento.premise_id,
+      tipo: 'movimiento_pastoreo',
+      descripcion: `Traslado planificado de ${movimiento.herd?.name || 'rodeo'} a ${movimiento.to_lot?.name || 'lote'} enviado a aprobación`,
+      moduloOrigen: 'livestock_manager',
+      usuario: userId || 'sistema',
+      referencia: evento.id,
+      metadata: { grazing_plan_move_id: movimiento.id }
+    }).catch((err) => console.warn('Error registrando en auditoría:', err));
+
+    return evento;
+  } catch (error) {
+    console.error('Error en convertirMovimientoEnEvento:', error);
+    throw error;
+  }
+}
+
+/**
+ * Si se rechaza el MOVE_INTERNAL generado desde el plan, el movimiento vuelve a quedar planificado
+ */
+export async function liberarMovimientoRechazado(evento) {
+  const movimientoId = evento.metadata?.grazing_plan_move_id;
+  if (!movimientoId) return;
+
+  const { error } = await supabase
+    .from('grazing_plan_moves')
+    .update({ status: 'PLANNED', event_id: null })
+    .eq('id', movimientoId)
+    .eq('status', 'CONVERTED');
+
+  if (error) throw error;
+}
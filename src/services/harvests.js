@@ -0,0 +1,661 @@
+/**
+ * Servicio de cosechas y mapas de rendimiento
+ * - Cosecha por lote y campaña: toneladas, humedad, merma y destino (silo bolsa, acopio, venta directa)
+ * - Corrección por humedad a la humedad base de comercialización de cada cultivo
+ * - Importación del monitor de rendimiento de la cosechadora (CSV o Shapefile de puntos),
+ *   limpieza de puntos y agregación en grilla para el mapa de rendimiento del lote
+ * - Rendimiento real para el margen por lote/campaña y la correlación con NDVI
+ * Tablas: harvests, harvest_yield_maps (add_harvests.sql)
+ */
+
+import shp from 'shpjs';
+import { booleanPointInPolygon, point } from '@turf/turf';
+import { supabase } from '../lib/supabase';
+import { registrarAuditoria } from './registros';
+import { crearConversorMoneda, MONEDA_BASE } from './exchangeRates';
+import { aGeometriaGeoJSON } from './geospatial';
+import { calculateAgriculturalEfficiency } from './simulation/agricultureSimulation';
+import {
+  leerLineas,
+  detectarSeparador,
+  separarCampos,
+  parsearNumero,
+  normalizarTexto,
+  buscarColumna
+} from '../lib/csvParsing';
+import { redondear } from '../lib/numeros';
+
+export const DESTINOS_COSECHA = {
+  SILO_BOLSA: 'Silo bolsa',
+  ACOPIO: 'Acopio / planta',
+  VENTA_DIRECTA: 'Venta directa'
+};
+
+/**
+ * Humedad base de comercialización (%) y peso del bushel (kg) por cultivo.
+ * El bushel solo se usa para convertir monitores configurados en bu/ac.
+ */
+export const CULTIVOS_COSECHA = {
+  'Soja': { humedad_base: 13, kg_bushel: 27.216 },
+  'Maíz': { humedad_base: 14.5, kg_bushel: 25.401 },
+  'Trigo': { humedad_base: 14, kg_bushel: 27.216 },
+  'Cebada': { humedad_base: 12.5, kg_bushel: 21.772 },
+  'Girasol': { humedad_base: 11, kg_bushel: 13.608 },
+  'Sorgo': { humedad_base: 15, kg_bushel: 25.401 },
+  'Arroz': { humedad_base: 13, kg_bushel: 20.412 },
+  'Colza': { humedad_base: 8, kg_bushel: 22.68 }
+};
+
+const HA_POR_ACRE = 2.47105;
+
+/**
+ * Encabezados con que los monitores (John Deere, Case, New Holland, Agleader) exportan cada dato.
+ * Los campos de un .dbf se cortan en 10 caracteres, por eso las variantes abreviadas.
+ */
+const COLUMNAS_MONITOR = {
+  lat: ['latitud', 'latitude', 'lat'],
+  lng: ['longitud', 'longitude', 'long', 'lon', 'lng'],
+  rendimiento: ['rendimiento seco', 'rend seco', 'rendimiento', 'rendimient', 'rinde', 'yld mass dry', 'yld mass d', 'yld vol dry', 'yld vol dr',
+    'dry yield', 'vryieldmas', 'yld mass wet', 'yld mass w', 'yield'],
+  humedad: ['humedad', 'moisture', 'moisture %', 'humidity', 'hum']
+};
+
+// "Yld_Mass(Dry)(tonne/ha)" → "yld mass dry tonne ha"
+function normalizarEncabezado(texto) {
+  return normalizarTexto(texto).replace(/[^a-z0-9%]+/g, ' ').trim();
+}
+
+/**
+ * Factor para llevar la columna de rendimiento a kg/ha según la unidad del encabezado.
+ * Sin unidad explícita se asume t/ha si los valores son chicos (mediana < 25) y kg/ha si no.
+ */
+function factorUnidad(encabezado, valores, cultivo) {
+  const texto = normalizarTexto(encabezado);
+  if (/bu\s*\/?\s*ac/.test(texto)) {
+    const kgBushel = CULTIVOS_COSECHA[cultivo]?.kg_bushel || 27.216;
+    return { factor: kgBushel * HA_POR_ACRE, unidad: 'bu/ac' };
+  }
+  if (/(t|tn|ton|tonne)\s*\/\s*ha/.test(texto)) return { factor: 1000, unidad: 't/ha' };
+  if (/qq\s*\/\s*ha/.test(texto)) return { factor: 100, unidad: 'qq/ha' };
+  if (/kg\s*\/\s*ha/.test(texto)) return { factor: 1, unidad: 'kg/ha' };
+
+  const ordenados = valores.filter((v) => v > 0).sort((a, b) => a - b);
+  const mediana = ordenados[Math.floor(ordenados.length / 2)] || 0;
+  return mediana > 0 && mediana < 25
+    ? { factor: 1000, unidad: 't/ha (supuesta)' }
+    : { factor: 1, unidad: 'kg/ha (supuesta)' };
+}
+
+/**
+ * Toneladas netas de una cosecha: descuenta la merma (zarandeo, cuerpos extraños) y
+ * corrige por humedad a la base del cultivo cuando el grano entra más húmedo
+ * @param {Object} params
+ * @param {string} params.cultivo
+ * @param {number} params.toneladasBrutas
+ * @param {number} params.humedad - % de humedad a la entrega
+ * @param {number} params.merma - % de merma
+ * @returns {Object} { humedadBase, factorHumedad, toneladasNetas }
+ */
+export function calcularNetoCosecha({ cultivo, toneladasBrutas, humedad, merma = 0 }) {
+  const brutas = parseFloat(toneladasBrutas) || 0;
+  const humedadBase = CULTIVOS_COSECHA[cultivo]?.humedad_base ?? null;
+  const humedadEntrega = parseFloat(humedad);
+
+  let factorHumedad = 1;
+  if (humedadBase !== null && Number.isFinite(humedadEntrega) && humedadEntrega > humedadBase) {
+    factorHumedad = (100 - humedadEntrega) / (100 - humedadBase);
+  }
+
+  const factorMerma = 1 - (parseFloat(merma) || 0) / 100;
+
+  return {
+    humedadBase,
+    factorHumedad: redondear(factorHumedad, 4),
+    toneladasNetas: redondear(brutas * factorMerma * factorHumedad, 3)
+  };
+}
+
+/**
+ * Obtiene las cosechas de un predio
+ * @param {string} premiseId
+ * @param {Object} filtros - { lotId, campaignId }
+ */
+export async function obtenerCosechas(premiseId, filtros = {}) {
+  try {
+    let query = supabase
+      .from('harvests')
+      .select('*, lots(name, area_hectares), campaigns(name), harvest_yield_maps(id, mean_yield_kg_ha, raw_points, discarded_points, created_at)')
+      .eq('premise_id', premiseId)
+      .order('harvest_date', { ascending: false });
+
+    if (filtros.lotId) query = query.eq('lot_id', filtros.lotId);
+    if (filtros.campaignId) query = query.eq('campaign_id', filtros.campaignId);
+
+    const { data, error } = await query;
+    if (error) throw error;
+    return data || [];
+  } catch (error) {
+    console.error('Error en obtenerCosechas:', error);
+    throw error;
+  }
+}
+
+/**
+ * Registra una cosecha calculando toneladas netas y rendimiento
+ * @param {Object} datos - firm_id, premise_id, lot_id, campaign_id, crop, harvest_date, harvested_area_ha,
+ *   gross_tonnes, moisture_percent, dockage_percent, destination, destination_detail, price_per_tonne, currency, notes
+ * @param {string} userId
+ * @returns {Promise<Object>} Cosecha creada
+ */
+export async function crearCosecha(datos, userId = null) {
+  try {
+    if (!datos.firm_id || !datos.premise_id || !datos.lot_id) {
+      throw new Error('Firma, Predio y Lote son obligatorios');
+    }
+    if (!datos.crop || !datos.harvest_date) {
+      throw new Error('Cultivo y fecha de cosecha son obligatorios');
+    }
+    if (!DESTINOS_COSECHA[datos.destination]) {
+      throw new Error('Destino de cosecha inválido');
+    }
+
+    const area = parseFloat(datos.harvested_area_ha);
+    const brutas = parseFloat(datos.gross_tonnes);
+    if (!(area > 0)) throw new Error('La superficie cosechada debe ser mayor a 0');
+    if (!(brutas > 0)) throw new Error('Las toneladas cosechadas deben ser mayores a 0');
+
+    const merma = parseFloat(datos.dockage_percent) || 0;
+    if (merma < 0 || merma >= 100) throw new Error('La merma debe estar entre 0 y 100%');
+
+    const humedad = datos.moisture_percent === '' || datos.moisture_percent === null || datos.moisture_percent === undefined
+      ? null
+      : parseFloat(datos.moisture_percent);
+    if (humedad !== null && (humedad < 0 || humedad >= 100)) {
+      throw new Error('La humedad debe estar entre 0 y 100%');
+    }
+
+    const { toneladasNetas } = calcularNetoCosecha({
+      cultivo: datos.crop,
+      toneladasBrutas: brutas,
+      humedad,
+      merma
+    });
+
+    const { data, error } = await supabase
+      .from('harvests')
+      .insert([{
+        firm_id: datos.firm_id,
+        premise_id: datos.premise_id,
+        lot_id: datos.lot_id,
+        campaign_id: datos.campaign_id || null,
+        crop: datos.crop,
+        harvest_date: datos.harvest_date,
+        harvested_area_ha: area,
+        gross_tonnes: brutas,
+        moisture_percent: humedad,
+        dockage_percent: merma,
+        net_tonnes: toneladasNetas,
+        yield_kg_ha: redondear((toneladasNetas * 1000) / area),
+        destination: datos.destination,
+        destination_detail: datos.destination_detail || null,
+        price_per_tonne: parseFloat(datos.price_per_tonne) || null,
+        currency: datos.currency || 'USD',
+        notes: datos.notes || null,
+        created_by: userId
+      }])
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    registrarAuditoria(
+      'work_manager',
+      data,
+      'cosecha_registrada',
+      `Cosecha de ${data.crop}: ${data.net_tonnes} t netas (${data.yield_kg_ha} kg/ha) - ${DESTINOS_COSECHA[data.destination]}`,
+      data.id,
+      {
+        harvest_id: data.id,
+        campaign_id: data.campaign_id,
+        gross_tonnes: data.gross_tonnes,
+        net_tonnes: data.net_tonnes,
+        yield_kg_ha: data.yield_kg_ha,
+        destination: data.destination
+      },
+      userId
+    );
+
+    return data;
+  } catch (error) {
+    console.error('Error en crearCosecha:', error);
+    throw error;
+  }
+}
+
+/**
+ * Elimina una cosecha y sus mapas de rendimiento
+ */
+export async function eliminarCosecha(cosecha, userId = null) {
+  try {
+    const { error } = await supabase
+      .from('harvests')
+      .delete()
+      .eq('id', cosecha.id);
+
+    if (error) throw error;
+
+    registrarAuditoria(
+      'work_manager',
+      cosecha,
+      'cosecha_eliminada',
+      `Cosecha de ${cosecha.crop} del ${cosecha.harvest_date} eliminada`,
+      cosecha.id,
+      { harvest_id: cosecha.id, net_tonnes: cosecha.net_tonnes },
+      userId
+    );
+  } catch (error) {
+    console.error('Error en eliminarCosecha:', error);
+    throw error;
+  }
+}
+
+// =============================================
+// MONITOR DE RENDIMIENTO
+// =============================================
+
+function parsearMonitorCSV(texto, cultivo) {
+  const lineas = leerLineas(texto);
+  if (lineas.length < 2) {
+    return { puntos: [], unidad: null, errores: ['El archivo no tiene datos'] };
+  }
+
+  const separador = detectarSeparador(lineas[0]);
+  const crudos = separarCampos(lineas[0], separador);
+  const encabezados = crudos.map(normalizarEncabezado);
+  const indices = Object.fromEntries(
+    Object.entries(COLUMNAS_MONITOR).map(([campo, claves]) => [campo, buscarColumna(encabezados, claves, { normalizar: normalizarEncabezado })])
+  );
+
+  // Algunos monitores exportan solo X / Y en grados
+  if (indices.lat < 0) indices.lat = encabezados.indexOf('y');
+  if (indices.lng < 0) indices.lng = encabezados.indexOf('x');
+
+  if (indices.lat < 0 || indices.lng < 0) {
+    return { puntos: [], unidad: null, errores: ['No se encontraron las columnas de latitud y longitud'] };
+  }
+  if (indices.rendimiento < 0) {
+    return { puntos: [], unidad: null, errores: ['No se encontró la columna de rendimiento'] };
+  }
+
+  const filas = lineas.slice(1).map((linea) => separarCampos(linea, separador));
+  const valores = filas.map((fila) => parsearNumero(fila[indices.rendimiento]) || 0);
+  const { factor, unidad } = factorUnidad(crudos[indices.rendimiento], valores, cultivo);
+
+  const puntos = filas.map((fila, i) => ({
+    lat: parsearNumero(fila[indices.lat]),
+    lng: parsearNumero(fila[indices.lng]),
+    rendimiento: valores[i] * factor,
+    humedad: indices.humedad >= 0 ? parsearNumero(fila[indices.humedad]) : null
+  }));
+
+  return { puntos, unidad, errores: [] };
+}
+
+async function parsearMonitorShapefile(buffer, cultivo) {
+  const resultado = await shp(buffer);
+  const capas = Array.isArray(resultado) ? resultado : [resultado];
+  const features = capas
+    .flatMap((capa) => capa.features || [])
+    .filter((f) => f.geometry && ['Point', 'MultiPoint'].includes(f.geometry.type));
+
+  if (features.length === 0) {
+    return { puntos: [], unidad: null, errores: ['El shapefile no contiene puntos'] };
+  }
+
+  const claves = Object.keys(features[0].properties || {});
+  const indice = buscarColumna(claves.map(normalizarEncabezado), COLUMNAS_MONITOR.rendimiento, { normalizar: normalizarEncabezado });
+  if (indice < 0) {
+    return { puntos: [], unidad: null, errores: ['No se encontró el atributo de rendimiento en el shapefile'] };
+  }
+  const claveRendimiento = claves[indice];
+  const indiceHumedad = buscarColumna(claves.map(normalizarEncabezado), COLUMNAS_MONITOR.humedad, { normalizar: normalizarEncabezado });
+  const claveHumedad = indiceHumedad >= 0 ? claves[indiceHumedad] : null;
+
+  const valores = features.map((f) => parsearNumero(f.properties[claveRendimiento]) || 0);
+  const { factor, unidad } = factorUnidad(claveRendimiento, valores, cultivo);
+
+  const puntos = features.flatMap((f, i) => {
+    const coordenadas = f.geometry.type === 'Point' ? [f.geometry.coordinates] : f.geometry.coordinates;
+    return coordenadas.map(([lng, lat]) => ({
+      lat,
+      lng,
+      rendimiento: valores[i] * factor,
+      humedad: claveHumedad ? parsearNumero(f.properties[claveHumedad]) : null
+    }));
+  });
+
+  return { puntos, unidad, errores: [] };
+}
+
+/**
+ * Lee la exportación del monitor de rendimiento de la cosechadora
+ * @param {File} file - CSV/TXT de puntos o Shapefile de puntos comprimido (.zip)
+ * @param {string} cultivo - Para convertir bu/ac a kg/ha
+ * @returns {Promise<Object>} { puntos: [{ lat, lng, rendimiento (kg/ha), humedad }], formato, unidad, errores }
+ */
+export async function parsearMonitorRendimiento(file, cultivo) {
+  try {
+    const extension = file?.name?.split('.').pop()?.toLowerCase();
+
+    if (extension === 'zip') {
+      const resultado = await parsearMonitorShapefile(await file.arrayBuffer(), cultivo);
+      return { ...resultado, formato: 'SHAPEFILE' };
+    }
+    if (['csv', 'txt'].includes(extension)) {
+      const resultado = parsearMonitorCSV(await file.text(), cultivo);
+      return { ...resultado, formato: 'CSV' };
+    }
+
+    throw new Error('Formato no soportado. Use CSV de puntos o Shapefile (.zip)');
+  } catch (error) {
+    console.error('Error en parsearMonitorRendimiento:', error);
+    throw error;
+  }
+}
+
+/**
+ * Limpia los puntos del monitor y los promedia en una grilla regular.
+ * Se descartan rendimientos nulos (cabecera levantada, giros), puntos fuera del lote y
+ * valores a más de 3 desvíos de la media (arranques y paradas de la cosechadora).
+ * @param {Array} puntos - [{ lat, lng, rendimiento }]
+ * @param {Array|Object} poligono - polygon_data del lote (opcional)
+ * @param {Object} opciones - { tamanoCeldaM }
+ * @returns {Object} { celdas: [[lat, lng, kg_ha]], crudos, descartados, media, minimo, maximo, tamanoCeldaM }
+ */
+export function procesarPuntosRendimiento(puntos, poligono = null, opciones = {}) {
+  const tamanoCeldaM = opciones.tamanoCeldaM || 20;
+  const geometria = poligono ? aGeometriaGeoJSON(poligono) : null;
+
+  let validos = (puntos || []).filter((p) =>
+    Number.isFinite(p.lat) && Number.isFinite(p.lng) &&
+    Math.abs(p.lat) <= 90 && Math.abs(p.lng) <= 180 &&
+    p.rendimiento > 0
+  );
+
+  if (geometria) {
+    validos = validos.filter((p) => booleanPointInPolygon(point([p.lng, p.lat]), geometria));
+  }
+
+  if (validos.length > 0) {
+    const media = validos.reduce((s, p) => s + p.rendimiento, 0) / validos.length;
+    const desvio = Math.sqrt(validos.reduce((s, p) => s + (p.rendimiento - media) ** 2, 0) / validos.length);
+    if (desvio > 0) {
+      validos = validos.filter((p) => Math.abs(p.rendimiento - media) <= 3 * desvio);
+    }
+  }
+
+  const crudos = (puntos || []).length;
+  if (validos.length === 0) {
+    return { celdas: [], crudos, descartados: crudos, media: null, minimo: null, maximo: null, tamanoCeldaM };
+  }
+
+  const latMedia = validos.reduce((s, p) => s + p.lat, 0) / validos.length;
+  const gradosLat = tamanoCeldaM / 111320;
+  const gradosLng = tamanoCeldaM / (111320 * Math.cos((latMedia * Math.PI) / 180));
+
+  const grilla = new Map();
+  validos.forEach((p) => {
+    const clave = `${Math.floor(p.lat / gradosLat)}:${Math.floor(p.lng / gradosLng)}`;
+    const celda = grilla.get(clave) || { lat: 0, lng: 0, rendimiento: 0, n: 0 };
+    celda.lat += p.lat;
+    celda.lng += p.lng;
+    celda.rendimiento += p.rendimiento;
+    celda.n += 1;
+    grilla.set(clave, celda);
+  });
+
+  const celdas = [...grilla.values()].map((c) => [
+    redondear(c.lat / c.n, 7),
+    redondear(c.lng / c.n, 7),
+    Math.round(c.rendimiento / c.n)
+  ]);
+  const rendimientos = celdas.map((c) => c[2]);
+
+  return {
+    celdas,
+    crudos,
+    descartados: crudos - validos.length,
+    media: Math.round(validos.reduce((s, p) => s + p.rendimiento, 0) / validos.length),
+    minimo: rendimientos.reduce((min, r) => Math.min(min, r), Infinity),
+    maximo: rendimientos.reduce((max, r) => Math.max(max, r), -Infinity),
+    tamanoCeldaM
+  };
+}
+
+/**
+ * Guarda el mapa de rendimiento procesado de una cosecha
+ * @param {Object} cosecha - Cosecha (id, lot_id, firm_id, premise_id)
+ * @param {Object} procesado - Resultado de procesarPuntosRendimiento
+ * @param {Object} origen - { nombreArchivo, formato }
+ * @param {string} userId
+ */
+export async function registrarMapaRendimiento(cosecha, procesado, origen, userId = null) {
+  try {
+    if (!procesado?.celdas?.length) {
+      throw new Error('El mapa de rendimiento no tiene puntos válidos dentro del lote');
+    }
+
+    const { data, error } = await supabase
+      .from('harvest_yield_maps')
+      .insert([{
+        harvest_id: cosecha.id,
+        lot_id: cosecha.lot_id,
+        file_name: origen?.nombreArchivo || null,
+        source_format: origen?.formato || 'CSV',
+        raw_points: procesado.crudos,
+        discarded_points: procesado.descartados,
+        cell_size_m: procesado.tamanoCeldaM,
+        points: procesado.celdas,
+        mean_yield_kg_ha: procesado.media,
+        min_yield_kg_ha: procesado.minimo,
+        max_yield_kg_ha: procesado.maximo,
+        created_by: userId
+      }])
+      .select('id, harvest_id, lot_id, mean_yield_kg_ha, raw_points, discarded_points, created_at')
+      .single();
+
+    if (error) throw error;
+
+    registrarAuditoria(
+      'work_manager',
+      cosecha,
+      'mapa_rendimiento_importado',
+      `Mapa de rendimiento importado: ${procesado.celdas.length} celdas, media ${procesado.media} kg/ha`,
+      cosecha.id,
+      { harvest_id: cosecha.id, yield_map_id: data.id, raw_points: procesado.crudos, discarded_points: procesado.descartados },
+      userId
+    );
+
+    return data;
+  } catch (error) {
+    console.error('Error en registrarMapaRendimiento:', error);
+    throw error;
+  }
+}
+
+/**
+ * Último mapa de rendimiento importado para un lote (con sus celdas)
+ * @param {string} lotId
+ * @returns {Promise<Object|null>}
+ */
+export async function obtenerUltimoMapaRendimiento(lotId) {
+  try {
+    const { data, error } = await supabase
+      .from('harvest_yield_maps')
+      .select('*, harvests(crop, harvest_date, yield_kg_ha)')
+      .eq('lot_id', lotId)
+      .order('created_at', { ascending: false })
+      .limit(1)
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  } catch (error) {
+    console.error('Error en obtenerUltimoMapaRendimiento:', error);
+    throw error;
+  }
+}
+
+// =============================================
+// RENDIMIENTO REAL Y MARGEN
+// =============================================
+
+/**
+ * Rendimientos reales de un lote, de la más reciente a la más antigua
+ * @param {string} lotId
+ * @param {number} limite
+ * @returns {Promise<Array>} [{ fecha, rendimiento_kg_ha, cultivo }]
+ */
+export async function obtenerRendimientosReales(lotId, limite = 10) {
+  try {
+    const { data, error } = await supabase
+      .from('harvests')
+      .select('harvest_date, yield_kg_ha, crop')
+      .eq('lot_id', lotId)
+      .order('harvest_date', { ascending: false })
+      .limit(limite);
+
+    if (error) throw error;
+
+    return (data || []).map((c) => ({
+      fecha: c.harvest_date,
+      rendimiento_kg_ha: parseFloat(c.yield_kg_ha),
+      cultivo: c.crop
+    }));
+  } catch (error) {
+    console.error('Error en obtenerRendimientosReales:', error);
+    throw error;
+  }
+}
+
+/**
+ * Margen real por lote y campaña: ingresos valorizados de la cosecha (toneladas netas × precio)
+ * contra los costos de los trabajos agrícolas aprobados o cerrados del mismo lote y campaña.
+ * Cosechas sin campaña toman los trabajos desde la cosecha anterior del lote.
+ * @param {string} premiseId
+ * @param {Object} opciones - { campaignId, moneda }
+ * @returns {Promise<Array>} Una fila por lote/campaña con rendimiento real vs proyectado y eficiencia
+ */
+export async function obtenerMargenesCosecha(premiseId, opciones = {}) {
+  try {
+    const cosechas = await obtenerCosechas(premiseId, { campaignId: opciones.campaignId });
+    if (cosechas.length === 0) return [];
+
+    const lotIds = [...new Set(cosechas.map((c) => c.lot_id))];
+
+    const [{ data: trabajos, error: errorTrabajos }, { data: proyecciones, error: errorProyecciones }] = await Promise.all([
+      supabase
+        .from('agricultural_works')
+        .select('lot_id, campaign_id, date, inputs_cost, machinery_cost, labor_cost, other_costs')
+        .in('lot_id', lotIds)
+        .in('status', ['APPROVED', 'CLOSED']),
+      supabase
+        .from('proyecciones_agricolas')
+        .select('lot_id, campaign_id, cultivo_proyectado, rendimiento_proyectado')
+        .in('lot_id', lotIds)
+    ]);
+
+    if (errorTrabajos) throw errorTrabajos;
+    if (errorProyecciones) throw errorProyecciones;
+
+    const conversor = await crearConversorMoneda({
+      firmId: cosechas[0].firm_id,
+      moneda: opciones.moneda || MONEDA_BASE
+    });
+
+    // Agrupar cosechas del mismo lote y campaña (varias entregas de un mismo cultivo)
+    const grupos = new Map();
+    cosechas.forEach((c) => {
+      const clave = `${c.lot_id}:${c.campaign_id || c.id}`;
+      const grupo = grupos.get(clave) || { lot_id: c.lot_id, campaign_id: c.campaign_id, cosechas: [] };
+      grupo.cosechas.push(c);
+      grupos.set(clave, grupo);
+    });
+
+    return [...grupos.values()].map((grupo) => {
+      const primera = grupo.cosechas[0];
+      const fechaCosecha = grupo.cosechas.reduce((max, c) => (c.harvest_date > max ? c.harvest_date : max), primera.harvest_date);
+
+      let trabajosGrupo;
+      if (grupo.campaign_id) {
+        trabajosGrupo = (trabajos || []).filter((t) => t.lot_id === grupo.lot_id && t.campaign_id === grupo.campaign_id);
+      } else {
+        const anterior = cosechas
+          .filter((c) => c.lot_id === grupo.lot_id && c.harvest_date < primera.harvest_date)
+          .reduce((max, c) => (!max || c.harvest_date > max ? c.harvest_date : max), null);
+        trabajosGrupo = (trabajos || []).filter((t) =>
+          t.lot_id === grupo.lot_id && !t.campaign_id &&
+          t.date <= fechaCosecha && (!anterior || t.date > anterior)
+        );
+      }
+
+      const costoTotal = trabajosGrupo.reduce((s, t) => s + conversor.convertir(
+        (parseFloat(t.inputs_cost) || 0) + (parseFloat(t.machinery_cost) || 0) +
+        (parseFloat(t.labor_cost) || 0) + (parseFloat(t.other_costs) || 0),
+        MONEDA_BASE,
+        t.date
+      ), 0);
+
+      const produccionKg = grupo.cosechas.reduce((s, c) => s + (parseFloat(c.net_tonnes) || 0) * 1000, 0);
+      const area = grupo.cosechas.reduce((s, c) => s + (parseFloat(c.harvested_area_ha) || 0), 0);
+      const ingresos = grupo.cosechas.reduce((s, c) => s + conversor.convertir(
+        (parseFloat(c.net_tonnes) || 0) * (parseFloat(c.price_per_tonne) || 0),
+        c.currency,
+        c.harvest_date
+      ), 0);
+      const margen = ingresos - costoTotal;
+
+      const proyeccionesGrupo = (proyecciones || []).filter((p) =>
+        p.lot_id === grupo.lot_id &&
+        (!grupo.campaign_id || p.campaign_id === grupo.campaign_id) &&
+        (!p.cultivo_proyectado || p.cultivo_proyectado === primera.crop) &&
+        parseFloat(p.rendimiento_proyectado) > 0
+      );
+      const rendimientoProyectado = proyeccionesGrupo.length > 0
+        ? proyeccionesGrupo.reduce((s, p) => s + parseFloat(p.rendimiento_proyectado), 0) / proyeccionesGrupo.length
+        : null;
+      const rendimientoReal = area > 0 ? produccionKg / area : 0;
+
+      return {
+        lot_id: grupo.lot_id,
+        lote: primera.lots?.name || '',
+        campaign_id: grupo.campaign_id,
+        campania: primera.campaigns?.name || 'Sin campaña',
+        cultivo: primera.crop,
+        fecha_cosecha: fechaCosecha,
+        moneda: conversor.moneda,
+        hectareas: redondear(area),
+        produccion_kg: Math.round(produccionKg),
+        rendimiento_real_kg_ha: Math.round(rendimientoReal),
+        rendimiento_proyectado_kg_ha: rendimientoProyectado !== null ? Math.round(rendimientoProyectado) : null,
+        brecha_rendimiento_pct: rendimientoProyectado
+          ? redondear(((rendimientoReal - rendimientoProyectado) / rendimientoProyectado) * 100, 1)
+          : null,
+        ingresos: redondear(ingresos),
+        costos: redondear(costoTotal),
+        margen: redondear(margen),
+        trabajos: trabajosGrupo.length,
+        sin_precio: grupo.cosechas.some((c) => !(parseFloat(c.price_per_tonne) > 0)),
+        eficiencia: calculateAgriculturalEfficiency({
+          total_cost: costoTotal,
+          revenue: ingresos,
+          margin: margen,
+          total_production_kg: produccionKg
+        }, area)
+      };
+    }).sort((a, b) => (a.fecha_cosecha < b.fecha_cosecha ? 1 : -1));
+  } catch (error) {
+    console.error('Error en obtenerMargenesCosecha:', error);
+    throw error;
+  }
+}
@@ -0,0 +1,419 @@
+/**
+ * Servicio de plan sanitario y tiempos de retiro (carencia)
+ * - Tareas programadas por rodeo / categoría: vacunaciones, dosificaciones y baños
+ * - Al aprobar un HEALTH_TREATMENT: descuenta el producto veterinario de inputs
+ *   y calcula animals.withdraw_until con los días de retiro para carne del producto
+ * - Bloqueo de ventas y faena de animales dentro del período de retiro
+ * Tablas: health_plan_items, inputs.withdrawal_days_meat (add_health_plan.sql)
+ */
+
+import { supabase } from '../lib/supabase';
+import { registrarAuditoria } from './registros';
+import { registrarMovimiento } from './inputMovements';
+import { hoy, sumarDias, formatearFecha } from '../lib/fechas';
+
+export const TIPOS_TRATAMIENTO = {
+  VACUNACION: 'Vacunación',
+  DOSIFICACION: 'Dosificación',
+  BANO: 'Baño',
+  OTRO: 'Otro'
+};
+
+export const ESTADOS_TAREA_SANITARIA = {
+  PENDING: 'Pendiente',
+  APPLIED: 'Aplicada (a aprobar)',
+  DONE: 'Realizada',
+  CANCELLED: 'Cancelada'
+};
+
+/**
+ * Categoría de inputs que lista productos veterinarios
+ */
+export const CATEGORIA_VETERINARIA = 'veterinary_med';
+
+/**
+ * Egresos con destino a consumo humano: no se permiten con animales en carencia
+ */
+export const EVENTOS_BLOQUEADOS_POR_CARENCIA = ['SALE', 'FAENA', 'REMATE_OUT', 'CONSUMPTION'];
+
+/**
+ * Animales activos del rodeo (integrantes vigentes)
+ */
+async function obtenerIntegrantesRodeo(herdId) {
+  const { data, error } = await supabase
+    .from('herd_animals')
+    .select('animal:animal_id(id, visual_tag, rfid_tag, status, current_category_id, withdraw_until)')
+    .eq('herd_id', herdId)
+    .is('end_date', null);
+
+  if (error) throw error;
+  return (data || []).map((m) => m.animal).filter((a) => a && a.status === 'ACTIVE');
+}
+
+// ============================================================================
+// PLAN SANITARIO
+// ============================================================================
+
+/**
+ * Tareas del plan sanitario del predio
+ * @param {string} premiseId
+ * @param {Object} filtros - { desde, hasta, herdId }
+ */
+export async function obtenerPlanSanitario(premiseId, filtros = {}) {
+  let query = supabase
+    .from('health_plan_items')
+    .select(`
+      *,
+      herd:herd_id(id, name, species),
+      category:category_id(id, name),
+      input:input_id(id, name, unit, current_stock, withdrawal_days_meat)
+    `)
+    .eq('premise_id', premiseId);
+
+  if (filtros.desde) query = query.gte('scheduled_date', filtros.desde);
+  if (filtros.hasta) query = query.lte('scheduled_date', filtros.hasta);
+  if (filtros.herdId) query = query.eq('herd_id', filtros.herdId);
+
+  const { data, error } = await query.order('scheduled_date', { ascending: true });
+
+  if (error) throw error;
+  return data || [];
+}
+
+/**
+ * Programa una tarea sanitaria, opcionalmente repetida (p.ej. refuerzo de vacuna o dosificación cada N días)
+ * @param {Object} tarea - { firm_id, premise_id, herd_id, category_id, treatment_type, name, input_id, dose_per_head, scheduled_date, notes }
+ * @param {Object} repeticion - { veces, cadaDias }
+ * @returns {Promise<Array>} Tareas creadas
+ */
+export async function crearTareasPlan(tarea, repeticion = {}, userId = null) {
+  try {
+    if (!tarea.herd_id && !tarea.category_id) {
+      throw new Error('Indique el rodeo o la categoría a tratar');
+    }
+    if (!tarea.name || !tarea.scheduled_date) {
+      throw new Error('El nombre y la fecha de la tarea son obligatorios');
+    }
+
+    const veces = Math.max(1, parseInt(repeticion.veces) || 1);
+    const cadaDias = parseInt(repeticion.cadaDias) || 0;
+    if (veces > 1 && cadaDias <= 0) {
+      throw new Error('Indique cada cuántos días se repite la tarea');
+    }
+
+    const filas = Array.from({ length: veces }, (_, i) => ({
+      firm_id: tarea.firm_id,
+      premise_id: tarea.premise_id,
+      herd_id: tarea.herd_id || null,
+      category_id: tarea.category_id || null,
+      treatment_type: tarea.treatment_type,
+      name: veces > 1 ? `${tarea.name} (${i + 1}/${veces})` : tarea.name,
+      input_id: tarea.input_id || null,
+      dose_per_head: tarea.dose_per_head ? parseFloat(tarea.dose_per_head) : null,
+      scheduled_date: sumarDias(tarea.scheduled_date, i * cadaDias),
+      notes: tarea.notes || null,
+      created_by: userId
+    }));
+
+    const { data, error } = await supabase
+      .from('health_plan_items')
+      .insert(filas)
+      .select();
+
+    if (error) throw error;
+
+    registrarAuditoria(
+      'livestock_manager',
+      tarea,
+      'plan_sanitario_programado',
+      `Plan sanitario: ${tarea.name} - ${veces} aplicación(es) desde ${formatearFecha(tarea.scheduled_date)}`,
+      data[0]?.id,
+      { treatment_type: tarea.treatment_type, herd_id: tarea.herd_id, category_id: tarea.category_id },
+      userId
+    );
+
+    return data;
+  } catch (error) {
+    console.error('Error en crearTareasPlan:', error);
+    throw error;
+  }
+}
+
+/**
+ * Cancela una tarea pendiente del plan
+ */
+export async function cancelarTareaPlan(tareaId) {
+  const { data, error } = await supabase
+    .from('health_plan_items')
+    .update({ status: 'CANCELLED' })
+    .eq('id', tareaId)
+    .eq('status', 'PENDING')
+    .select()
+    .single();
+
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * Animales que alcanza una tarea: integrantes del rodeo y/o animales activos de la categoría
+ */
+export async function obtenerAnimalesTarea(tarea) {
+  let animales;
+  if (tarea.herd_id) {
+    animales = await obtenerIntegrantesRodeo(tarea.herd_id);
+  } else {
+    const { data, error } = await supabase
+      .from('animals')
+      .select('id, visual_tag, rfid_tag, status, current_category_id, withdraw_until')
+      .eq('premise_id', tarea.premise_id)
+      .eq('status', 'ACTIVE');
+    if (error) throw error;
+    animales = data || [];
+  }
+
+  return tarea.category_id
+    ? animales.filter((a) => a.current_category_id === tarea.category_id)
+    : animales;
+}
+
+/**
+ * Registra la aplicación de una tarea del plan como HEALTH_TREATMENT pendiente de aprobación.
+ * Rodeo completo: un evento de rodeo. Con categoría: un evento por animal alcanzado.
+ * El stock y la carencia se aplican recién al aprobar (updateEventStatus).
+ * @param {Object} tarea - Tarea con input cargado (obtenerPlanSanitario)
+ * @param {Object} aplicacion - { fecha, veterinary_professional, notes }
+ * @returns {Promise<Array>} Eventos creados
+ */
+export async function aplicarTareaPlan(tarea, aplicacion, userId = null) {
+  try {
+    const animales = await obtenerAnimalesTarea(tarea);
+    if (animales.length === 0) throw new Error('La tarea no alcanza a ningún animal activo');
+
+    const dosis = parseFloat(tarea.dose_per_head) || 0;
+    if (tarea.input && dosis > 0) {
+      const requerido = dosis * animales.length;
+      if (parseFloat(tarea.input.current_stock || 0) < requerido) {
+        throw new Error(
+          `Stock insuficiente de ${tarea.input.name}: se necesitan ${requerido} ${tarea.input.unit} y hay ${tarea.input.current_stock || 0}`
+        );
+      }
+    }
+
+    const metadata = {
+      product_id: tarea.input_id || 'MANUAL',
+      dose: dosis > 0 ? `${dosis} ${tarea.input?.unit || ''}`.trim() : null,
+      dose_per_head: dosis || null,
+      withdraw_days: tarea.input?.withdrawal_days_meat ?? null,
+      treatment_type: tarea.treatment_type,
+      veterinary_professional: aplicacion.veterinary_professional || null,
+      health_plan_item_id: tarea.id,
+      audit: {
+        creation_source: 'HEALTH_PLAN',
+        creator_name: localStorage.getItem('currentUser') || 'Sistema',
+        validation_status: 'PENDING_APPROVAL'
+      }
+    };
+
+    const base = {
+      firm_id: tarea.firm_id,
+      premise_id: tarea.premise_id,
+      event_type: 'HEALTH_TREATMENT',
+      event_date: aplicacion.fecha,
+      species: tarea.herd?.species || 'BOVINO',
+      notes: aplicacion.notes || tarea.name,
+      status: 'PENDING',
+      metadata
+    };
+
+    const eventos = tarea.herd_id && !tarea.category_id
+      ? [{ ...base, scope: 'HERD', herd_id: tarea.herd_id, qty_heads: animales.length }]
+      : animales.map((a) => ({ ...base, scope: 'ANIMAL', animal_id: a.id, herd_id: null }));
+
+    const { data, error } = await supabase
+      .from('herd_events')
+      .insert(eventos)
+      .select();
+
+    if (error) throw error;
+
+    const { error: tareaError } = await supabase
+      .from('health_plan_items')
+      .update({ status: 'APPLIED', applied_date: aplicacion.fecha })
+      .eq('id', tarea.id);
+
+    if (tareaError) throw tareaError;
+
+    return data;
+  } catch (error) {
+    console.error('Error en aplicarTareaPlan:', error);
+    throw error;
+  }
+}
+
+// ============================================================================
+// APROBACIÓN DE TRATAMIENTOS Y CARENCIA
+// ============================================================================
+
+/**
+ * Efectos de aprobar un HEALTH_TREATMENT:
+ * 1. Salida de stock del producto (dosis por cabeza × cabezas tratadas)
+ * 2. withdraw_until = fecha + días de retiro (nunca acorta un retiro vigente)
+ * 3. Tarea del plan marcada como realizada
+ * @param {Object} evento - herd_event completo
+ * @returns {Promise<Object>} { animales, withdrawUntil, movimiento }
+ */
+export async function aplicarTratamientoSanitario(evento, userId = null) {
+  try {
+    const metadata = evento.metadata || {};
+    const animales = evento.animal_id
+      ? [{ id: evento.animal_id }]
+      : evento.herd_id ? await obtenerIntegrantesRodeo(evento.herd_id) : [];
+
+    let producto = null;
+    if (metadata.product_id && metadata.product_id !== 'MANUAL') {
+      const { data, error } = await supabase
+        .from('inputs')
+        .select('id, name, unit, withdrawal_days_meat')
+        .eq('id', metadata.product_id)
+        .maybeSingle();
+      if (error) throw error;
+      producto = data;
+    }
+
+    // 1. Consumo del producto veterinario
+    let movimiento = null;
+    const dosis = parseFloat(metadata.dose_per_head) || 0;
+    const cabezas = evento.animal_id ? 1 : (evento.qty_heads || animales.length);
+    if (producto && dosis > 0 && cabezas > 0) {
+      movimiento = await registrarMovimiento({
+        input_id: producto.id,
+        type: 'exit',
+        quantity: Math.round(dosis * cabezas * 1000) / 1000,
+        date: evento.event_date,
+        description: `Tratamiento sanitario: ${producto.name} - ${cabezas} cabeza(s) × ${dosis} ${producto.unit}`,
+        firm_id: evento.firm_id,
+        premise_id: evento.premise_id,
+        created_by: userId,
+        document_reference: `HEALTH_TREATMENT ${evento.id}`
+      });
+    }
+
+    // 2. Carencia: el mayor entre lo declarado en el evento y lo del producto
+    const diasRetiro = Math.max(
+      parseInt(metadata.withdraw_days) || 0,
+      parseInt(producto?.withdrawal_days_meat) || 0
+    );
+    let withdrawUntil = null;
+    if (diasRetiro > 0 && animales.length > 0) {
+      withdrawUntil = sumarDias(evento.event_date, diasRetiro);
+      const { error } = await supabase
+        .from('animals')
+        .update({ withdraw_until: withdrawUntil })
+        .in('id', animales.map((a) => a.id))
+        .or(`withdraw_until.is.null,withdraw_until.lt.${withdrawUntil}`);
+      if (error) throw error;
+    }
+
+    // 3. Tarea del plan
+    if (metadata.health_plan_item_id) {
+      const { error } = await supabase
+        .from('health_plan_items')
+        .update({ status: 'DONE' })
+        .eq('id', metadata.health_plan_item_id);
+      if (error) throw error;
+    }
+
+    if (movimiento || withdrawUntil) {
+      await supabase
+        .from('herd_events')
+        .update({
+          metadata: {
+            ...metadata,
+            input_movement_id: movimiento?.id || null,
+            withdraw_until: withdrawUntil
+          }
+        })
+        .eq('id', evento.id);
+    }
+
+    registrarAuditoria(
+      'livestock_manager',
+      evento,
+      'tratamiento_sanitario_aprobado',
+      `Tratamiento sanitario${producto ? ` con ${producto.name}` : ''} - ${cabezas} cabeza(s)` +
+        (withdrawUntil ? `, retiro hasta ${formatearFecha(withdrawUntil)}` : ''),
+      evento.id,
+      { input_id: producto?.id || null, dose_per_head: dosis || null, withdraw_days: diasRetiro, withdraw_until: withdrawUntil },
+      userId
+    );
+
+    return { animales: animales.length, withdrawUntil, movimiento };
+  } catch (error) {
+    console.error('Error en aplicarTratamientoSanitario:', error);
+    throw error;
+  }
+}
+
+/**
+ * Si se rechaza un tratamiento generado desde el plan, la tarea vuelve a pendiente
+ */
+export async function liberarTareaRechazada(evento) {
+  const tareaId = evento.metadata?.health_plan_item_id;
+  if (!tareaId) return;
+
+  const { error } = await supabase
+    .from('health_plan_items')
+    .update({ status: 'PENDING', applied_date: null })
+    .eq('id', tareaId)
+    .eq('status', 'APPLIED');
+
+  if (error) console.error('Error liberando tarea del plan sanitario:', error);
+}
+
+/**
+ * Lanza un error si el evento vende / faena animales dentro del período de retiro
+ * @param {Object} evento - { event_type, event_date, animal_id, herd_id }
+ */
+export async function verificarCarenciaSanitaria(evento) {
+  if (!EVENTOS_BLOQUEADOS_POR_CARENCIA.includes(evento.event_type)) return;
+
+  let animales = [];
+  if (evento.animal_id) {
+    const { data, error } = await supabase
+      .from('animals')
+      .select('id, visual_tag, rfid_tag, withdraw_until')
+      .eq('id', evento.animal_id);
+    if (error) throw error;
+    animales = data || [];
+  } else if (evento.herd_id) {
+    animales = await obtenerIntegrantesRodeo(evento.herd_id);
+  }
+
+  const fecha = String(evento.event_date || new Date().toISOString()).split('T')[0];
+  const enCarencia = animales.filter((a) => a.withdraw_until && String(a.withdraw_until).split('T')[0] > fecha);
+  if (enCarencia.length === 0) return;
+
+  const hasta = enCarencia.map((a) => String(a.withdraw_until).split('T')[0]).sort().pop();
+  const caravanas = enCarencia.slice(0, 5).map((a) => a.visual_tag || a.rfid_tag || 'S/N').join(', ');
+  throw new Error(
+    `BLOQUEO SANITARIO: ${enCarencia.length} animal(es) en período de retiro hasta el ${formatearFecha(hasta)}` +
+      ` (${caravanas}${enCarencia.length > 5 ? '...' : ''}). No aptos para venta ni faena.`
+  );
+}
+
+/**
+ * Animales activos del predio dentro del período de retiro
+ */
+export async function obtenerAnimalesEnCarencia(premiseId) {
+  const { data, error } = await supabase
+    .from('animals')
+    .select('id, visual_tag, rfid_tag, withdraw_until, current_category:current_category_id(name)')
+    .eq('premise_id', premiseId)
+    .eq('status', 'ACTIVE')
+    .gt('withdraw_until', hoy())
+    .order('withdraw_until', { ascending: false });
+
+  if (error) throw error;
+  return data || [];
+}
@@ -1,6 +1,8 @@
 import { supabase } from '../lib/supabase';
 import { crearRegistro } from './registros';
 import { validarIngreso } from '../lib/validations/financeValidations';
+import { sellarTipoCambio, registrarDiferenciaCambio } from './exchangeRates';
+import { generarAsientoCobro } from './journal';
 
 /**
  * Obtener todos los ingresos de una firma
@@ -86,11 +88,20 @@ export async function crearIngreso(ingresoData) {
     const totalAmount = subtotal + ivaAmount;
     const balance = totalAmount;
 
+    // Tipo de cambio vigente a la fecha del comprobante (UYU por USD)
+    const exchangeRate = await sellarTipoCambio(
+      ingresoData.firm_id,
+      ingresoData.invoice_date,
+      ingresoData.exchange_rate
+    );
+
     // Preparar objeto - solo con campos válidos de la tabla income
     const ingreso = {
       firm_id: ingresoData.firm_id,
       category: ingresoData.category,
       amount: totalAmount,  // Campo requerido en tabla original
+      currency: ingresoData.currency || 'UYU',
+      exchange_rate: exchangeRate,
       client_name: ingresoData.client_name,
       client_rut: ingresoData.client_rut,
       client_address: ingresoData.client_address,
@@ -202,6 +213,16 @@ export async function cambiarEstadoIngreso(id, nuevoEstado, userId, motivo = nul
     };
 
     if (nuevoEstado === 'CANCELLED') {
+      const { data: ingresoActual } = await supabase
+        .from('income')
+        .select('bank_reconciliation_id')
+        .eq('id', id)
+        .single();
+
+      if (ingresoActual?.bank_reconciliation_id) {
+        throw new Error('El ingreso está conciliado en un período bancario cerrado y no puede anularse');
+      }
+
       updates.cancelled_by = userId;
       updates.cancelled_at = new Date().toISOString();
       updates.cancellation_reason = motivo;
@@ -247,6 +268,46 @@ export async function confirmarIngreso(id, userId) {
   return cambiarEstadoIngreso(id, 'CONFIRMED', userId);
 }
 
+/**
+ * Registra un cobro en income_payment_history. Cada cobro (parcial o total)
+ * queda como renglón propio: de él salen el asiento contable y la conciliación bancaria
+ * @returns {Promise<Object>} Renglón creado
+ */
+async function registrarCobroEnHistorial({ ingreso, monto, saldoAnterior, metodoPago, referencia, accountId, notas, userId }) {
+  const { data, error } = await supabase
+    .from('income_payment_history')
+    .insert([{
+      income_id: ingreso.id,
+      payment_date: new Date().toISOString().split('T')[0],
+      amount_collected: monto,
+      payment_method: metodoPago,
+      reference_number: referencia || null,
+      balance_before: saldoAnterior,
+      balance_after: saldoAnterior - monto,
+      account_id: accountId || null,
+      created_by: userId,
+      notes: notas || null
+    }])
+    .select()
+    .single();
+
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * Cuenta financiera del ingreso, si account_id apunta a una (puede ser la imputación contable)
+ */
+async function cuentaFinancieraIngreso(ingreso) {
+  if (!ingreso.account_id) return null;
+  const { data } = await supabase
+    .from('financial_accounts')
+    .select('id')
+    .eq('id', ingreso.account_id)
+    .maybeSingle();
+  return data?.id || null;
+}
+
 /**
  * Marcar ingreso como cobrado
  * @param {string} id - ID del ingreso
@@ -258,6 +319,7 @@ export async function confirmarIngreso(id, userId) {
 export async function marcarComoCobrado(id, userId, metodoPago, referencia) {
   try {
     const { data: ingreso } = await obtenerIngresoPorId(id);
+    const montoPendiente = ingreso.balance ?? ingreso.total_amount;
 
     const updates = {
       status: 'COLLECTED',
@@ -282,6 +344,29 @@ export async function marcarComoCobrado(id, userId, metodoPago, referencia) {
 
     if (error) throw error;
 
+    await registrarDiferenciaCambio({
+      documento: ingreso,
+      tipoDocumento: 'income',
+      monto: montoPendiente,
+      userId
+    });
+
+    // Se registra el cobro del saldo pendiente; los cobros parciales previos ya tienen su asiento
+    if (montoPendiente > 0) {
+      const cobro = await registrarCobroEnHistorial({
+        ingreso,
+        monto: montoPendiente,
+        saldoAnterior: montoPendiente,
+        metodoPago,
+        referencia,
+        accountId: await cuentaFinancieraIngreso(ingreso),
+        userId
+      });
+
+      // Asiento contable (no bloquea el cobro si falta el mapeo de cuentas)
+      await generarAsientoCobro(cobro.id, userId);
+    }
+
     // Auditoría
     await crearRegistro({
       firmId: ingreso.firm_id,
@@ -427,23 +512,26 @@ export async function registrarCobroParcial(
 
     if (errorUpdate) throw errorUpdate;
 
-    // Registrar movimiento si hay cuenta financiera
-    if (accountId) {
-      await supabase
-        .from('income_payment_history')
-        .insert([{
-          income_id: incomeId,
-          payment_date: new Date().toISOString().split('T')[0],
-          amount_collected: collectionAmount,
-          payment_method: paymentMethod,
-          reference_number: referenceNumber || null,
-          balance_before: ingreso.balance,
-          balance_after: nuevoSaldo,
-          account_id: accountId,
-          created_by: userId,
-          notes: notes || null
-        }]);
-    }
+    await registrarDiferenciaCambio({
+      documento: ingreso,
+      tipoDocumento: 'income',
+      monto: collectionAmount,
+      userId
+    });
+
+    const cobro = await registrarCobroEnHistorial({
+      ingreso,
+      monto: collectionAmount,
+      saldoAnterior: ingreso.balance,
+      metodoPago: paymentMethod,
+      referencia: referenceNumber,
+      accountId,
+      notas: notes,
+      userId
+    });
+
+    // Asiento contable del cobro (no bloquea el cobro si falta el mapeo de cuentas)
+    await generarAsientoCobro(cobro.id, userId);
 
     // Auditoría
     await crearRegistro({
@@ -821,3 +821,115 @@ export async function obtenerMovimientosPendientes(firmId) {
     throw error;
   }
 }
+
+/**
+ * Registra un movimiento manual desde el formulario de stock:
+ * crea el movimiento, actualiza stock/costo promedio del insumo y,
+ * en transferencias, el ingreso en el insumo destino.
+ * Se usa tanto online como al reenviar la cola offline.
+ * @param {Object} formData - { input_id, type, quantity, date, description, unit_cost, lot_id, destination_input_id }
+ * @returns {Promise<Object>} { movimiento, insumo, cantidadRegistrada, nuevoStock }
+ */
+export async function registrarMovimientoManual(formData) {
+  try {
+    if (!formData?.input_id) throw new Error("input_id es requerido");
+
+    const { data: currentInput, error: fetchError } = await supabase
+      .from("inputs")
+      .select("*")
+      .eq("id", formData.input_id)
+      .single();
+
+    if (fetchError) throw fetchError;
+
+    let quantityToRecord = parseFloat(formData.quantity);
+    let newStock = currentInput.current_stock;
+    let newCost = currentInput.cost_per_unit;
+
+    if (formData.type === "entry") {
+      newStock += quantityToRecord;
+      if (newStock > 0) {
+        newCost =
+          (currentInput.current_stock * currentInput.cost_per_unit +
+            quantityToRecord * parseFloat(formData.unit_cost)) /
+          newStock;
+      }
+    } else if (formData.type === "exit" || formData.type === "transfer") {
+      newStock -= quantityToRecord;
+    } else if (formData.type === "adjustment") {
+      // En ajustes se ingresa el STOCK FINAL REAL; se registra la diferencia
+      quantityToRecord = parseFloat(formData.quantity) - currentInput.current_stock;
+      newStock = parseFloat(formData.quantity);
+    }
+
+    const { data: movimiento, error: moveError } = await supabase
+      .from("input_movements")
+      .insert([
+        {
+          // Id de cliente opcional: la cola offline lo usa para no duplicar reenvíos
+          ...(formData.id && { id: formData.id }),
+          input_id: formData.input_id,
+          type: formData.type,
+          quantity: quantityToRecord,
+          date: formData.date,
+          description: formData.description,
+          unit_cost: formData.type === "entry" ? parseFloat(formData.unit_cost) : null,
+          lot_id: formData.type === "exit" && formData.lot_id ? formData.lot_id : null,
+          destination_input_id:
+            formData.type === "transfer" ? formData.destination_input_id : null,
+        },
+      ])
+      .select()
+      .single();
+
+    if (moveError) throw moveError;
+
+    if (formData.type === "transfer" && formData.destination_input_id) {
+      const { data: destInput, error: destError } = await supabase
+        .from("inputs")
+        .select("*")
+        .eq("id", formData.destination_input_id)
+        .single();
+
+      if (destError) throw destError;
+
+      await supabase
+        .from("inputs")
+        .update({
+          current_stock: destInput.current_stock + parseFloat(formData.quantity),
+        })
+        .eq("id", destInput.id);
+
+      await supabase.from("input_movements").insert([
+        {
+          input_id: destInput.id,
+          type: "entry",
+          quantity: parseFloat(formData.quantity),
+          date: formData.date,
+          description: `Transferencia desde ${currentInput.name} (Origen)`,
+          unit_cost: currentInput.cost_per_unit,
+        },
+      ]);
+    }
+
+    const { error: updateError } = await supabase
+      .from("inputs")
+      .update({
+        current_stock: newStock,
+        cost_per_unit: newCost,
+      })
+      .eq("id", formData.input_id);
+
+    if (updateError) throw updateError;
+
+    return {
+      movimiento,
+      insumo: currentInput,
+      cantidadRegistrada: quantityToRecord,
+      nuevoStock: newStock,
+    };
+  } catch (error) {
+    console.error("Error en registrarMovimientoManual:", error);
+    throw error;
+  }
+}
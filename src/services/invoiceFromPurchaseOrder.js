@@ -8,12 +8,13 @@
 
 import { supabase } from '../lib/supabase';
 import { crearRegistro } from './registros';
+import { sellarTipoCambio } from './exchangeRates';
 
 /**
  * Crea la factura con inserts directos (fallback cuando la función RPC no existe en la BD).
  * Réplica la lógica de create_invoice_from_purchase_order.
  */
-async function createInvoiceWithInserts(purchaseOrder, { invoiceDate, invoiceNumber, paymentCondition }) {
+async function createInvoiceWithInserts(purchaseOrder, { invoiceDate, invoiceNumber, paymentCondition, exchangeRate }) {
   if (!['credito', 'contado'].includes(paymentCondition)) {
     throw new Error(`Condición de pago inválida: ${paymentCondition}. Debe ser "credito" o "contado"`);
   }
@@ -35,7 +36,8 @@ async function createInvoiceWithInserts(purchaseOrder, { invoiceDate, invoiceNum
     provider_email: po.supplier_email ?? null,
     category: 'Insumos',
     concept,
-    currency: 'UYU',
+    currency: po.currency || 'UYU',
+    exchange_rate: exchangeRate,
     amount: 0,
     status: 'pendiente',
     payment_condition: paymentCondition,
@@ -110,6 +112,7 @@ export async function createInvoiceFromPurchaseOrder(
     const paymentCondition = additionalData.payment_condition || 'credito';
     const invoiceDate = additionalData.invoice_date || new Date().toISOString().split('T')[0];
     const invoiceNumber = additionalData.invoice_number || null;
+    const exchangeRate = await sellarTipoCambio(purchaseOrder.firm_id, invoiceDate, additionalData.exchange_rate);
 
     // 3. Crear factura: intentar RPC; si no existe la función (PGRST202), crear con inserts
     let expenseId = null;
@@ -128,7 +131,7 @@ export async function createInvoiceFromPurchaseOrder(
         // Función no existe en la BD: crear factura con inserts directos
         expenseId = await createInvoiceWithInserts(
           purchaseOrder,
-          { invoiceDate, invoiceNumber, paymentCondition }
+          { invoiceDate, invoiceNumber, paymentCondition, exchangeRate }
         );
       } else {
         throw rpcError;
@@ -150,8 +153,15 @@ export async function createInvoiceFromPurchaseOrder(
     if (expenseError) throw expenseError;
 
     // 5. Actualizar datos adicionales si se proporcionaron
-    if (additionalData.invoice_number || additionalData.invoice_series || additionalData.notes) {
+    // (la función RPC no conoce moneda ni tipo de cambio: se completan aquí)
+    const faltaMoneda = (purchaseOrder.currency && expense.currency !== purchaseOrder.currency) ||
+      (exchangeRate && !expense.exchange_rate);
+    if (additionalData.invoice_number || additionalData.invoice_series || additionalData.notes || faltaMoneda) {
       const updates = {};
+      if (faltaMoneda) {
+        updates.currency = purchaseOrder.currency || expense.currency || 'UYU';
+        updates.exchange_rate = exchangeRate;
+      }
       if (additionalData.invoice_number) updates.invoice_number = additionalData.invoice_number;
       if (additionalData.invoice_series) updates.invoice_series = additionalData.invoice_series;
       if (additionalData.notes) updates.notes = additionalData.notes;
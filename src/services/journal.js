@@ -0,0 +1,1033 @@
+/**
+ * Servicio de contabilidad por partida doble
+ * - Asientos automáticos desde facturas aprobadas, órdenes de pago ejecutadas,
+ *   ingresos cobrados y ventas confirmadas
+ * - Mapeo configurable de categorías y cuentas financieras al plan de cuentas
+ * - Libro diario, libro mayor y balance de comprobación
+ * Tablas: account_mappings, journal_entries, journal_entry_lines (add_journal_entries.sql)
+ * Importes de los asientos en moneda base (UYU), convertidos con el tipo de cambio sellado
+ */
+
+import * as XLSX from 'xlsx';
+import { supabase } from '../lib/supabase';
+import { LISTA_CATEGORIAS_INGRESO } from '../lib/incomeCategories.config';
+import { crearRegistro } from './registros';
+import { MONEDA_BASE, convertirMonto, obtenerTipoCambioAFecha } from './exchangeRates';
+import { hoy } from '../lib/fechas';
+import { redondearImporte } from '../lib/numeros';
+
+export const TIPOS_ORIGEN = {
+  FACTURA: 'expense',
+  ORDEN_PAGO: 'payment_order',
+  INGRESO: 'income',
+  VENTA: 'sale',
+  MANUAL: 'manual'
+};
+
+export const TIPOS_MAPEO = {
+  SISTEMA: 'system',
+  CATEGORIA_GASTO: 'expense_category',
+  CATEGORIA_INGRESO: 'income_category',
+  CUENTA_FINANCIERA: 'financial_account'
+};
+
+/**
+ * Cuentas del sistema que deben mapearse para generar asientos
+ */
+export const CUENTAS_SISTEMA = [
+  { key: 'proveedores', label: 'Proveedores (cuentas por pagar)' },
+  { key: 'clientes', label: 'Deudores por ventas (cuentas por cobrar)' },
+  { key: 'iva_compras', label: 'IVA compras' },
+  { key: 'iva_ventas', label: 'IVA ventas' },
+  { key: 'ventas', label: 'Ventas' },
+  { key: 'gastos_generales', label: 'Gastos sin categoría mapeada' },
+  { key: 'ingresos_generales', label: 'Ingresos sin categoría mapeada' },
+  { key: 'caja', label: 'Caja / bancos sin cuenta mapeada' },
+  { key: 'diferencia_cambio_perdida', label: 'Pérdida por diferencia de cambio' },
+  { key: 'diferencia_cambio_ganancia', label: 'Ganancia por diferencia de cambio' }
+];
+
+// Categorías que ofrecen los formularios de facturas e ingresos; se suman las
+// categorías personalizadas que ya tengan documentos cargados
+const CATEGORIAS_GASTO_BASE = ['Insumos', 'Servicios', 'Mantenimiento', 'Impuestos', 'Otros gastos'];
+const CATEGORIAS_INGRESO_BASE = LISTA_CATEGORIAS_INGRESO;
+
+const ORIGEN_LABELS = {
+  expense: 'Factura',
+  payment_order: 'Orden de pago',
+  income: 'Cobro',
+  sale: 'Venta',
+  manual: 'Manual'
+};
+
+const esUUID = (valor) => /^[0-9a-f-]{36}$/i.test(valor || '');
+const componer = (...partes) => partes.filter(Boolean).join(' ');
+const numeroDocumento = (serie, numero) => [serie, numero].filter(Boolean).join('-');
+
+// ============================================================================
+// VALIDACIÓN
+// ============================================================================
+
+/**
+ * Verifica que un asiento esté balanceado (debe = haber) y que cada renglón
+ * tenga cuenta y un único importe positivo
+ * @param {Array} lineas - [{ account_id, debit, credit }]
+ * @returns {Object} { valido, totalDebe, totalHaber, diferencia, errores }
+ */
+export function validarAsiento(lineas = []) {
+  const errores = [];
+  let totalDebe = 0;
+  let totalHaber = 0;
+
+  if (lineas.length < 2) {
+    errores.push('El asiento debe tener al menos dos renglones');
+  }
+
+  lineas.forEach((linea, index) => {
+    const debe = redondearImporte(linea.debit);
+    const haber = redondearImporte(linea.credit);
+    if (!linea.account_id) errores.push(`Renglón ${index + 1}: falta la cuenta contable`);
+    if (debe < 0 || haber < 0) errores.push(`Renglón ${index + 1}: importes negativos`);
+    if (debe > 0 && haber > 0) errores.push(`Renglón ${index + 1}: tiene debe y haber a la vez`);
+    totalDebe += debe;
+    totalHaber += haber;
+  });
+
+  totalDebe = redondearImporte(totalDebe);
+  totalHaber = redondearImporte(totalHaber);
+  const diferencia = redondearImporte(totalDebe - totalHaber);
+
+  if (diferencia !== 0) {
+    errores.push(`Asiento desbalanceado: debe ${totalDebe} / haber ${totalHaber}`);
+  }
+
+  return { valido: errores.length === 0, totalDebe, totalHaber, diferencia, errores };
+}
+
+// ============================================================================
+// MAPEO DE CUENTAS
+// ============================================================================
+
+/**
+ * Obtener mapeos de la firma
+ * @param {string} firmId - ID de la firma
+ * @returns {Promise<Object>} { data, error }
+ */
+export async function obtenerMapeos(firmId) {
+  try {
+    const { data, error } = await supabase
+      .from('account_mappings')
+      .select('*, account:account_id(id, code, name)')
+      .eq('firm_id', firmId);
+
+    if (error) throw error;
+    return { data: data || [], error: null };
+  } catch (error) {
+    console.error('Error en obtenerMapeos:', error);
+    return { data: null, error };
+  }
+}
+
+/**
+ * Guardar (o quitar, si accountId es null) el mapeo de una clave a una cuenta contable
+ * @param {Object} params - { firmId, tipo, clave, accountId, userId }
+ * @returns {Promise<Object>} { data, error }
+ */
+export async function guardarMapeo({ firmId, tipo, clave, accountId, userId = null }) {
+  try {
+    if (!firmId || !tipo || !clave) throw new Error('Mapeo incompleto');
+
+    if (!accountId) {
+      const { error } = await supabase
+        .from('account_mappings')
+        .delete()
+        .eq('firm_id', firmId)
+        .eq('mapping_type', tipo)
+        .eq('mapping_key', clave);
+
+      if (error) throw error;
+      return { data: null, error: null };
+    }
+
+    const { data, error } = await supabase
+      .from('account_mappings')
+      .upsert(
+        [{
+          firm_id: firmId,
+          mapping_type: tipo,
+          mapping_key: clave,
+          account_id: accountId,
+          created_by: esUUID(userId) ? userId : null,
+          updated_at: new Date().toISOString()
+        }],
+        { onConflict: 'firm_id,mapping_type,mapping_key' }
+      )
+      .select()
+      .single();
+
+    if (error) throw error;
+    return { data, error: null };
+  } catch (error) {
+    console.error('Error en guardarMapeo:', error);
+    return { data: null, error };
+  }
+}
+
+/**
+ * Claves mapeables de la firma: categorías de gasto e ingreso y cuentas financieras
+ * @param {string} firmId - ID de la firma
+ * @returns {Promise<Object>} { data: { categoriasGasto, categoriasIngreso, cuentasFinancieras }, error }
+ */
+export async function obtenerClavesMapeo(firmId) {
+  try {
+    const [gastos, ingresos, cuentas] = await Promise.all([
+      supabase.from('expenses').select('category').eq('firm_id', firmId),
+      supabase.from('income').select('category').eq('firm_id', firmId),
+      supabase
+        .from('financial_accounts')
+        .select('id, name, currency, account_type')
+        .eq('firm_id', firmId)
+        .eq('is_active', true)
+        .order('name', { ascending: true })
+    ]);
+
+    for (const resultado of [gastos, ingresos, cuentas]) {
+      if (resultado.error) throw resultado.error;
+    }
+
+    const unicas = (base, filas) =>
+      [...new Set([...base, ...(filas || []).map((f) => f.category).filter(Boolean)])];
+
+    return {
+      data: {
+        categoriasGasto: unicas(CATEGORIAS_GASTO_BASE, gastos.data),
+        categoriasIngreso: unicas(CATEGORIAS_INGRESO_BASE, ingresos.data),
+        cuentasFinancieras: cuentas.data || []
+      },
+      error: null
+    };
+  } catch (error) {
+    console.error('Error en obtenerClavesMapeo:', error);
+    return { data: null, error };
+  }
+}
+
+/**
+ * Carga mapeos y plan de cuentas de la firma para resolver cuentas
+ */
+async function cargarContexto(firmId) {
+  const [{ data: mapeos, error: errorMapeos }, { data: cuentas, error: errorCuentas }] = await Promise.all([
+    supabase
+      .from('account_mappings')
+      .select('mapping_type, mapping_key, account_id')
+      .eq('firm_id', firmId),
+    supabase
+      .from('chart_of_accounts')
+      .select('id, code, name, allows_transactions, is_active')
+      .eq('firm_id', firmId)
+  ]);
+
+  if (errorMapeos) throw errorMapeos;
+  if (errorCuentas) throw errorCuentas;
+
+  return {
+    mapeos: new Map((mapeos || []).map((m) => [`${m.mapping_type}:${m.mapping_key}`, m.account_id])),
+    cuentas: new Map((cuentas || []).map((c) => [c.id, c]))
+  };
+}
+
+/**
+ * Resuelve la cuenta contable para una clave, con la cuenta del sistema como respaldo
+ */
+function resolverCuenta(ctx, tipo, clave, claveSistema = null) {
+  const directa = clave ? ctx.mapeos.get(`${tipo}:${clave}`) : null;
+  if (directa) return directa;
+
+  if (claveSistema) {
+    const sistema = ctx.mapeos.get(`${TIPOS_MAPEO.SISTEMA}:${claveSistema}`);
+    if (sistema) return sistema;
+  }
+
+  const etiqueta = CUENTAS_SISTEMA.find((c) => c.key === (claveSistema || clave))?.label || clave;
+  throw new Error(`Falta mapear "${etiqueta}" en el plan de cuentas`);
+}
+
+/**
+ * Los documentos guardan en account_id la imputación contable elegida en el formulario;
+ * si apunta a una cuenta imputable del plan, tiene prioridad sobre el mapeo por categoría
+ */
+function imputacionDocumento(ctx, documento) {
+  const cuenta = documento.account_id ? ctx.cuentas.get(documento.account_id) : null;
+  return cuenta && cuenta.allows_transactions ? cuenta.id : null;
+}
+
+/**
+ * Monto del documento en moneda base
+ */
+function aMonedaBase(monto, moneda, tasa) {
+  const convertido = convertirMonto(monto, moneda, MONEDA_BASE, parseFloat(tasa));
+  if (convertido === null) {
+    throw new Error(`Documento en ${moneda} sin tipo de cambio sellado`);
+  }
+  return redondearImporte(convertido);
+}
+
+/**
+ * Renglón de diferencia de cambio que cierra el asiento (importe = haber - debe)
+ */
+function lineaDiferenciaCambio(ctx, diferencia, costCenterId) {
+  const importe = redondearImporte(diferencia);
+  if (importe === 0) return null;
+  return importe > 0
+    ? {
+        account_id: resolverCuenta(ctx, TIPOS_MAPEO.SISTEMA, 'diferencia_cambio_perdida'),
+        description: 'Pérdida por diferencia de cambio',
+        debit: importe,
+        credit: 0,
+        cost_center_id: costCenterId
+      }
+    : {
+        account_id: resolverCuenta(ctx, TIPOS_MAPEO.SISTEMA, 'diferencia_cambio_ganancia'),
+        description: 'Ganancia por diferencia de cambio',
+        debit: 0,
+        credit: -importe,
+        cost_center_id: costCenterId
+      };
+}
+
+// ============================================================================
+// REGISTRO DE ASIENTOS
+// ============================================================================
+
+/**
+ * Asiento ya generado para un documento (si existe). Los cobros se identifican
+ * además por el renglón de income_payment_history (detalleId)
+ */
+async function obtenerAsientoOrigen(tipoOrigen, origenId, detalleId = null) {
+  let query = supabase
+    .from('journal_entries')
+    .select('*')
+    .eq('source_type', tipoOrigen)
+    .eq('source_id', origenId);
+
+  query = detalleId ? query.eq('source_detail_id', detalleId) : query.is('source_detail_id', null);
+
+  const { data, error } = await query.maybeSingle();
+
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * Valida e inserta cabecera y renglones. Los renglones en cero se descartan.
+ * La base de datos vuelve a verificar el balance al cerrar la transacción.
+ */
+async function registrarAsiento(cabecera, lineas, userId) {
+  const renglones = lineas
+    .filter(Boolean)
+    .map((l) => ({ ...l, debit: redondearImporte(l.debit), credit: redondearImporte(l.credit) }))
+    .filter((l) => l.debit > 0 || l.credit > 0);
+
+  const validacion = validarAsiento(renglones);
+  if (!validacion.valido) {
+    throw new Error(validacion.errores.join('. '));
+  }
+
+  const { data: asiento, error: errorAsiento } = await supabase
+    .from('journal_entries')
+    .insert([{
+      ...cabecera,
+      total_debit: validacion.totalDebe,
+      total_credit: validacion.totalHaber,
+      created_by: esUUID(userId) ? userId : null
+    }])
+    .select()
+    .single();
+
+  if (errorAsiento) throw errorAsiento;
+
+  const { error: errorLineas } = await supabase
+    .from('journal_entry_lines')
+    .insert(renglones.map((l) => ({ ...l, entry_id: asiento.id, firm_id: cabecera.firm_id })));
+
+  if (errorLineas) {
+    // No dejar cabeceras sin renglones
+    await supabase.from('journal_entries').delete().eq('id', asiento.id);
+    throw errorLineas;
+  }
+
+  await crearRegistro({
+    firmId: cabecera.firm_id,
+    premiseId: cabecera.premise_id || null,
+    tipo: 'asiento_generado',
+    descripcion: `Asiento ${ORIGEN_LABELS[cabecera.source_type] || ''}: ${cabecera.description}`,
+    moduloOrigen: 'modulo_08_finanzas',
+    usuario: userId || 'sistema',
+    referencia: asiento.id,
+    metadata: {
+      source_type: cabecera.source_type,
+      source_id: cabecera.source_id,
+      total: validacion.totalDebe
+    }
+  }).catch((err) => console.warn('Error registrando auditoría de asiento:', err));
+
+  return asiento;
+}
+
+/**
+ * Asiento de factura de compra aprobada:
+ * Debe gasto (por categoría) + IVA compras / Haber proveedores
+ * @param {string} facturaId - ID de la factura (expenses)
+ * @param {string} userId - ID del usuario
+ * @returns {Promise<Object>} { data, error }
+ */
+export async function generarAsientoFactura(facturaId, userId = null) {
+  try {
+    const existente = await obtenerAsientoOrigen(TIPOS_ORIGEN.FACTURA, facturaId);
+    if (existente) return { data: existente, error: null };
+
+    const { data: factura, error } = await supabase
+      .from('expenses')
+      .select('*')
+      .eq('id', facturaId)
+      .single();
+
+    if (error) throw error;
+
+    const ctx = await cargarContexto(factura.firm_id);
+    const total = parseFloat(factura.total_amount) || 0;
+    const iva = parseFloat(factura.iva_amount) || 0;
+    const neto = factura.subtotal != null ? parseFloat(factura.subtotal) : total - iva;
+
+    const debeGasto = aMonedaBase(neto, factura.currency, factura.exchange_rate);
+    const debeIva = aMonedaBase(iva, factura.currency, factura.exchange_rate);
+    const costCenterId = factura.cost_center_id || null;
+
+    const asiento = await registrarAsiento(
+      {
+        firm_id: factura.firm_id,
+        premise_id: factura.premise_id || null,
+        entry_date: factura.invoice_date || hoy(),
+        description: componer('Factura', numeroDocumento(factura.invoice_series, factura.invoice_number), factura.provider_name),
+        source_type: TIPOS_ORIGEN.FACTURA,
+        source_id: factura.id,
+        cost_center_id: costCenterId,
+        currency: factura.currency || MONEDA_BASE,
+        exchange_rate: factura.exchange_rate || null
+      },
+      [
+        {
+          account_id:
+            imputacionDocumento(ctx, factura) ||
+            resolverCuenta(ctx, TIPOS_MAPEO.CATEGORIA_GASTO, factura.category, 'gastos_generales'),
+          description: factura.concept || factura.category,
+          debit: debeGasto,
+          credit: 0,
+          cost_center_id: costCenterId
+        },
+        debeIva > 0 && {
+          account_id: resolverCuenta(ctx, TIPOS_MAPEO.SISTEMA, 'iva_compras'),
+          description: 'IVA compras',
+          debit: debeIva,
+          credit: 0
+        },
+        {
+          account_id: resolverCuenta(ctx, TIPOS_MAPEO.SISTEMA, 'proveedores'),
+          description: factura.provider_name,
+          debit: 0,
+          credit: redondearImporte(debeGasto + debeIva)
+        }
+      ],
+      userId
+    );
+
+    return { data: asiento, error: null };
+  } catch (error) {
+    console.error('Error en generarAsientoFactura:', error);
+    return { data: null, error };
+  }
+}
+
+/**
+ * Asiento de orden de pago ejecutada:
+ * Debe proveedores (al tipo de cambio de cada factura) / Haber banco (al de la orden),
+ * con la diferencia de cambio como renglón de cierre.
+ * Las facturas pagadas que aún no tenían asiento se contabilizan antes.
+ * @param {string} ordenId - ID de la orden de pago
+ * @param {Array} relaciones - [{ expense_id, amount_paid }] pagadas por la orden
+ * @param {string} userId - ID del usuario
+ * @returns {Promise<Object>} { data, error }
+ */
+export async function generarAsientoOrdenPago(ordenId, relaciones = [], userId = null) {
+  try {
+    const existente = await obtenerAsientoOrigen(TIPOS_ORIGEN.ORDEN_PAGO, ordenId);
+    if (existente) return { data: existente, error: null };
+
+    const { data: orden, error } = await supabase
+      .from('payment_orders')
+      .select('*')
+      .eq('id', ordenId)
+      .single();
+
+    if (error) throw error;
+
+    const ctx = await cargarContexto(orden.firm_id);
+    const cuentaProveedores = resolverCuenta(ctx, TIPOS_MAPEO.SISTEMA, 'proveedores');
+    const lineas = [];
+
+    for (const relacion of relaciones) {
+      const { data: factura, error: errorFactura } = await supabase
+        .from('expenses')
+        .select('id, currency, exchange_rate, provider_name, invoice_series, invoice_number')
+        .eq('id', relacion.expense_id)
+        .single();
+
+      if (errorFactura) throw errorFactura;
+
+      const { error: errorAsientoFactura } = await generarAsientoFactura(factura.id, userId);
+      if (errorAsientoFactura) throw errorAsientoFactura;
+
+      lineas.push({
+        account_id: cuentaProveedores,
+        description: componer(factura.provider_name, numeroDocumento(factura.invoice_series, factura.invoice_number)),
+        debit: aMonedaBase(relacion.amount_paid, factura.currency, factura.exchange_rate),
+        credit: 0
+      });
+    }
+
+    const haberBanco = aMonedaBase(orden.amount, orden.currency, orden.exchange_rate);
+    if (lineas.length === 0) {
+      lineas.push({
+        account_id: cuentaProveedores,
+        description: orden.beneficiary_name,
+        debit: haberBanco,
+        credit: 0
+      });
+    }
+
+    const totalDebe = lineas.reduce((sum, l) => sum + l.debit, 0);
+
+    const asiento = await registrarAsiento(
+      {
+        firm_id: orden.firm_id,
+        premise_id: orden.premise_id || null,
+        entry_date: orden.payment_date || hoy(),
+        description: `Orden de pago #${orden.order_number}${orden.beneficiary_name ? ` - ${orden.beneficiary_name}` : ''}`,
+        source_type: TIPOS_ORIGEN.ORDEN_PAGO,
+        source_id: orden.id,
+        currency: orden.currency || MONEDA_BASE,
+        exchange_rate: orden.exchange_rate || null
+      },
+      [
+        ...lineas,
+        lineaDiferenciaCambio(ctx, haberBanco - totalDebe, null),
+        {
+          account_id: resolverCuenta(ctx, TIPOS_MAPEO.CUENTA_FINANCIERA, orden.account_id, 'caja'),
+          description: orden.reference_number || `Orden #${orden.order_number}`,
+          debit: 0,
+          credit: haberBanco
+        }
+      ],
+      userId
+    );
+
+    return { data: asiento, error: null };
+  } catch (error) {
+    console.error('Error en generarAsientoOrdenPago:', error);
+    return { data: null, error };
+  }
+}
+
+/**
+ * Asiento de venta confirmada:
+ * Debe deudores por ventas / Haber ventas + IVA ventas
+ * @param {string} ventaId - ID de la venta
+ * @param {string} userId - ID del usuario
+ * @returns {Promise<Object>} { data, error }
+ */
+export async function generarAsientoVenta(ventaId, userId = null) {
+  try {
+    const existente = await obtenerAsientoOrigen(TIPOS_ORIGEN.VENTA, ventaId);
+    if (existente) return { data: existente, error: null };
+
+    const { data: venta, error } = await supabase
+      .from('sales')
+      .select('*')
+      .eq('id', ventaId)
+      .single();
+
+    if (error) throw error;
+
+    const ctx = await cargarContexto(venta.firm_id);
+    const haberVentas = aMonedaBase(venta.subtotal, venta.currency, venta.exchange_rate);
+    const haberIva = aMonedaBase(venta.tax_amount, venta.currency, venta.exchange_rate);
+    const costCenterId = venta.cost_center_id || null;
+
+    const asiento = await registrarAsiento(
+      {
+        firm_id: venta.firm_id,
+        premise_id: venta.premise_id || null,
+        entry_date: venta.sale_date || hoy(),
+        description: componer('Venta', venta.invoice_number, venta.client_name),
+        source_type: TIPOS_ORIGEN.VENTA,
+        source_id: venta.id,
+        cost_center_id: costCenterId,
+        currency: venta.currency || MONEDA_BASE,
+        exchange_rate: venta.exchange_rate || null
+      },
+      [
+        {
+          account_id: resolverCuenta(ctx, TIPOS_MAPEO.SISTEMA, 'clientes'),
+          description: venta.client_name,
+          debit: redondearImporte(haberVentas + haberIva),
+          credit: 0
+        },
+        {
+          account_id: resolverCuenta(ctx, TIPOS_MAPEO.SISTEMA, 'ventas'),
+          description: 'Ventas',
+          debit: 0,
+          credit: haberVentas,
+          cost_center_id: costCenterId
+        },
+        haberIva > 0 && {
+          account_id: resolverCuenta(ctx, TIPOS_MAPEO.SISTEMA, 'iva_ventas'),
+          description: 'IVA ventas',
+          debit: 0,
+          credit: haberIva
+        }
+      ],
+      userId
+    );
+
+    return { data: asiento, error: null };
+  } catch (error) {
+    console.error('Error en generarAsientoVenta:', error);
+    return { data: null, error };
+  }
+}
+
+/**
+ * Asiento de un cobro de ingreso (un asiento por renglón de income_payment_history,
+ * tanto cobros parciales como el cobro del saldo).
+ * - Ingreso originado en una venta: Debe banco / Haber deudores por ventas
+ *   (la venta ya reconoció el ingreso al confirmarse)
+ * - Ingreso directo: Debe banco / Haber ingreso (por categoría) + IVA ventas,
+ *   en proporción al monto cobrado
+ * En moneda extranjera el banco se valúa al tipo de cambio del cobro y la
+ * diferencia con el sellado en el documento va a diferencia de cambio.
+ * @param {string} cobroId - ID del cobro (income_payment_history)
+ * @param {string} userId - ID del usuario
+ * @returns {Promise<Object>} { data, error }
+ */
+export async function generarAsientoCobro(cobroId, userId = null) {
+  try {
+    const { data: cobro, error: errorCobro } = await supabase
+      .from('income_payment_history')
+      .select('*')
+      .eq('id', cobroId)
+      .single();
+
+    if (errorCobro) throw errorCobro;
+
+    const existente = await obtenerAsientoOrigen(TIPOS_ORIGEN.INGRESO, cobro.income_id, cobro.id);
+    if (existente) return { data: existente, error: null };
+
+    const { data: ingreso, error } = await supabase
+      .from('income')
+      .select('*')
+      .eq('id', cobro.income_id)
+      .single();
+
+    if (error) throw error;
+
+    const ctx = await cargarContexto(ingreso.firm_id);
+    const moneda = ingreso.currency || MONEDA_BASE;
+    const total = parseFloat(ingreso.total_amount) || 0;
+    const cobrado = parseFloat(cobro.amount_collected) || 0;
+    const fechaCobro = cobro.payment_date || hoy();
+    const costCenterId = ingreso.cost_center_id || null;
+
+    let tasaCobro = ingreso.exchange_rate;
+    if (moneda !== MONEDA_BASE) {
+      tasaCobro = (await obtenerTipoCambioAFecha(ingreso.firm_id, fechaCobro, moneda)) || ingreso.exchange_rate;
+    }
+    const debeBanco = aMonedaBase(cobrado, moneda, tasaCobro);
+
+    // La cuenta financiera del cobro tiene prioridad; en el ingreso, account_id puede ser
+    // la imputación contable o la cuenta financiera
+    const imputacion = imputacionDocumento(ctx, ingreso);
+    const cuentaBanco = resolverCuenta(
+      ctx,
+      TIPOS_MAPEO.CUENTA_FINANCIERA,
+      cobro.account_id || (imputacion ? null : ingreso.account_id),
+      'caja'
+    );
+
+    const ventaId = ingreso.sale_id || ingreso.metadata?.sale_id || null;
+    const lineasHaber = [];
+
+    if (ventaId) {
+      const { error: errorVenta } = await generarAsientoVenta(ventaId, userId);
+      if (errorVenta) throw errorVenta;
+
+      lineasHaber.push({
+        account_id: resolverCuenta(ctx, TIPOS_MAPEO.SISTEMA, 'clientes'),
+        description: ingreso.client_name,
+        debit: 0,
+        credit: aMonedaBase(cobrado, moneda, ingreso.exchange_rate)
+      });
+    } else {
+      const proporcion = total > 0 ? cobrado / total : 1;
+      const iva = (parseFloat(ingreso.iva_amount) || 0) * proporcion;
+      const neto = (ingreso.subtotal != null ? parseFloat(ingreso.subtotal) : total - iva) * proporcion;
+
+      lineasHaber.push(
+        {
+          account_id:
+            imputacion ||
+            resolverCuenta(ctx, TIPOS_MAPEO.CATEGORIA_INGRESO, ingreso.category, 'ingresos_generales'),
+          description: ingreso.product || ingreso.category,
+          debit: 0,
+          credit: aMonedaBase(neto, moneda, ingreso.exchange_rate),
+          cost_center_id: costCenterId
+        },
+        iva > 0 && {
+          account_id: resolverCuenta(ctx, TIPOS_MAPEO.SISTEMA, 'iva_ventas'),
+          description: 'IVA ventas',
+          debit: 0,
+          credit: aMonedaBase(iva, moneda, ingreso.exchange_rate)
+        }
+      );
+    }
+
+    const totalHaber = lineasHaber.filter(Boolean).reduce((sum, l) => sum + l.credit, 0);
+
+    const asiento = await registrarAsiento(
+      {
+        firm_id: ingreso.firm_id,
+        premise_id: ingreso.premise_id || null,
+        entry_date: fechaCobro,
+        description: componer('Cobro', numeroDocumento(ingreso.invoice_series, ingreso.invoice_number), ingreso.client_name),
+        source_type: TIPOS_ORIGEN.INGRESO,
+        source_id: ingreso.id,
+        source_detail_id: cobro.id,
+        cost_center_id: costCenterId,
+        currency: moneda,
+        exchange_rate: tasaCobro || null
+      },
+      [
+        {
+          account_id: cuentaBanco,
+          description: cobro.reference_number || ingreso.client_name,
+          debit: debeBanco,
+          credit: 0
+        },
+        ...lineasHaber,
+        // Ganancia si el banco recibe más pesos que los registrados (haber - debe negativo)
+        lineaDiferenciaCambio(ctx, totalHaber - debeBanco, costCenterId)
+      ],
+      userId
+    );
+
+    return { data: asiento, error: null };
+  } catch (error) {
+    console.error('Error en generarAsientoCobro:', error);
+    return { data: null, error };
+  }
+}
+
+/**
+ * Facturas pagadas por cada orden según payment_order_expenses. Las órdenes sin
+ * renglones que pagaron una sola factura (expense_id) la pagaron por el total.
+ * @returns {Promise<Map>} ordenId -> [{ expense_id, amount_paid }]
+ */
+async function obtenerRelacionesOrdenes(ordenes) {
+  const relaciones = new Map(ordenes.map((o) => [o.id, []]));
+  if (ordenes.length === 0) return relaciones;
+
+  const { data, error } = await supabase
+    .from('payment_order_expenses')
+    .select('payment_order_id, expense_id, amount_paid')
+    .in('payment_order_id', ordenes.map((o) => o.id));
+
+  if (error) throw error;
+
+  (data || []).forEach((r) => {
+    relaciones.get(r.payment_order_id)?.push({ expense_id: r.expense_id, amount_paid: r.amount_paid });
+  });
+
+  ordenes.forEach((o) => {
+    if (relaciones.get(o.id).length === 0 && o.expense_id) {
+      relaciones.set(o.id, [{ expense_id: o.expense_id, amount_paid: o.amount }]);
+    }
+  });
+
+  return relaciones;
+}
+
+/**
+ * Contabiliza los documentos que quedaron sin asiento (por ejemplo, antes de
+ * configurar el mapeo de cuentas)
+ * @param {string} firmId - ID de la firma
+ * @param {string} userId - ID del usuario
+ * @returns {Promise<Object>} { data: { generados, errores }, error }
+ */
+export async function contabilizarPendientes(firmId, userId = null) {
+  try {
+    const [facturas, ordenes, ventas, cobros, asientos] = await Promise.all([
+      supabase.from('expenses').select('id').eq('firm_id', firmId).eq('status', 'completada'),
+      supabase.from('payment_orders').select('id, expense_id, amount').eq('firm_id', firmId).eq('status', 'EXECUTED'),
+      supabase.from('sales').select('id').eq('firm_id', firmId).in('status', ['CONFIRMED', 'INVOICED']),
+      supabase
+        .from('income_payment_history')
+        .select('id, income_id, income:income_id!inner(firm_id)')
+        .eq('income.firm_id', firmId),
+      supabase.from('journal_entries').select('source_type, source_id, source_detail_id').eq('firm_id', firmId)
+    ]);
+
+    for (const resultado of [facturas, ordenes, ventas, cobros, asientos]) {
+      if (resultado.error) throw resultado.error;
+    }
+
+    const contabilizados = new Set(
+      (asientos.data || []).map((a) => `${a.source_type}:${a.source_id}:${a.source_detail_id || ''}`)
+    );
+    const pendiente = (tipo, id, detalleId = null) => !contabilizados.has(`${tipo}:${id}:${detalleId || ''}`);
+
+    const ordenesPendientes = ordenes.data.filter((o) => pendiente(TIPOS_ORIGEN.ORDEN_PAGO, o.id));
+    const relacionesPorOrden = await obtenerRelacionesOrdenes(ordenesPendientes);
+
+    const tareas = [
+      ...facturas.data.filter((f) => pendiente(TIPOS_ORIGEN.FACTURA, f.id))
+        .map((f) => () => generarAsientoFactura(f.id, userId)),
+      ...ventas.data.filter((v) => pendiente(TIPOS_ORIGEN.VENTA, v.id))
+        .map((v) => () => generarAsientoVenta(v.id, userId)),
+      ...ordenesPendientes
+        .map((o) => () => generarAsientoOrdenPago(o.id, relacionesPorOrden.get(o.id), userId)),
+      // Los ingresos contabilizados con un único asiento (sin detalle de cobro) ya están completos
+      ...cobros.data
+        .filter((c) => pendiente(TIPOS_ORIGEN.INGRESO, c.income_id) && pendiente(TIPOS_ORIGEN.INGRESO, c.income_id, c.id))
+        .map((c) => () => generarAsientoCobro(c.id, userId))
+    ];
+
+    let generados = 0;
+    const errores = [];
+    for (const tarea of tareas) {
+      const { error } = await tarea();
+      if (error) {
+        errores.push(error.message);
+      } else {
+        generados++;
+      }
+    }
+
+    return { data: { generados, errores: [...new Set(errores)] }, error: null };
+  } catch (error) {
+    console.error('Error en contabilizarPendientes:', error);
+    return { data: null, error };
+  }
+}
+
+// ============================================================================
+// LIBROS Y REPORTES
+// ============================================================================
+
+/**
+ * Libro diario: asientos con sus renglones
+ * @param {string} firmId - ID de la firma
+ * @param {Object} filtros - { desde, hasta, premiseId, tipoOrigen }
+ * @returns {Promise<Object>} { data, error }
+ */
+export async function obtenerAsientos(firmId, filtros = {}) {
+  try {
+    let query = supabase
+      .from('journal_entries')
+      .select('*, lines:journal_entry_lines(*, account:account_id(id, code, name))')
+      .eq('firm_id', firmId);
+
+    if (filtros.desde) query = query.gte('entry_date', filtros.desde);
+    if (filtros.hasta) query = query.lte('entry_date', filtros.hasta);
+    if (filtros.premiseId) query = query.eq('premise_id', filtros.premiseId);
+    if (filtros.tipoOrigen) query = query.eq('source_type', filtros.tipoOrigen);
+
+    const { data, error } = await query
+      .order('entry_date', { ascending: true })
+      .order('created_at', { ascending: true });
+
+    if (error) throw error;
+
+    // Numeración correlativa del período y renglones debe antes que haber
+    const asientos = (data || []).map((asiento, index) => ({
+      ...asiento,
+      numero: index + 1,
+      lines: [...(asiento.lines || [])].sort((a, b) => (b.debit || 0) - (a.debit || 0))
+    }));
+
+    return { data: asientos, error: null };
+  } catch (error) {
+    console.error('Error en obtenerAsientos:', error);
+    return { data: null, error };
+  }
+}
+
+/**
+ * Renglones de la firma con su asiento, para mayor y balance
+ */
+async function obtenerRenglones(firmId, { hasta, accountId } = {}) {
+  let query = supabase
+    .from('journal_entry_lines')
+    .select('account_id, description, debit, credit, entry:entry_id!inner(id, entry_date, description, source_type)')
+    .eq('firm_id', firmId);
+
+  if (accountId) query = query.eq('account_id', accountId);
+  if (hasta) query = query.lte('entry.entry_date', hasta);
+
+  const { data, error } = await query;
+  if (error) throw error;
+  return data || [];
+}
+
+/**
+ * Libro mayor de una cuenta: saldo inicial y movimientos con saldo acumulado.
+ * El saldo se expresa según la naturaleza de la cuenta (deudora: debe - haber).
+ * @param {string} firmId - ID de la firma
+ * @param {string} accountId - ID de la cuenta contable
+ * @param {Object} filtros - { desde, hasta }
+ * @returns {Promise<Object>} { data: { cuenta, saldoInicial, movimientos, saldoFinal }, error }
+ */
+export async function obtenerLibroMayor(firmId, accountId, filtros = {}) {
+  try {
+    const [{ data: cuenta, error: errorCuenta }, renglones] = await Promise.all([
+      supabase.from('chart_of_accounts').select('*').eq('id', accountId).single(),
+      obtenerRenglones(firmId, { hasta: filtros.hasta, accountId })
+    ]);
+
+    if (errorCuenta) throw errorCuenta;
+
+    const signo = cuenta.balance_nature === 'ACREEDOR' ? -1 : 1;
+    const neto = (r) => signo * ((parseFloat(r.debit) || 0) - (parseFloat(r.credit) || 0));
+
+    const ordenados = [...renglones].sort((a, b) => a.entry.entry_date.localeCompare(b.entry.entry_date));
+    const anteriores = filtros.desde ? ordenados.filter((r) => r.entry.entry_date < filtros.desde) : [];
+    const delPeriodo = filtros.desde ? ordenados.filter((r) => r.entry.entry_date >= filtros.desde) : ordenados;
+
+    const saldoInicial = redondearImporte(anteriores.reduce((sum, r) => sum + neto(r), 0));
+    let saldo = saldoInicial;
+    const movimientos = delPeriodo.map((r) => {
+      saldo = redondearImporte(saldo + neto(r));
+      return {
+        fecha: r.entry.entry_date,
+        asiento_id: r.entry.id,
+        origen: ORIGEN_LABELS[r.entry.source_type] || r.entry.source_type,
+        descripcion: r.description || r.entry.description,
+        debe: parseFloat(r.debit) || 0,
+        haber: parseFloat(r.credit) || 0,
+        saldo
+      };
+    });
+
+    return {
+      data: { cuenta, saldoInicial, movimientos, saldoFinal: saldo },
+      error: null
+    };
+  } catch (error) {
+    console.error('Error en obtenerLibroMayor:', error);
+    return { data: null, error };
+  }
+}
+
+/**
+ * Balance de comprobación de sumas y saldos hasta una fecha
+ * @param {string} firmId - ID de la firma
+ * @param {Object} filtros - { desde, hasta }
+ * @returns {Promise<Object>} { data: { cuentas, totales }, error }
+ */
+export async function obtenerBalanceComprobacion(firmId, filtros = {}) {
+  try {
+    const [{ data: cuentas, error: errorCuentas }, renglones] = await Promise.all([
+      supabase
+        .from('chart_of_accounts')
+        .select('id, code, name, account_type, balance_nature')
+        .eq('firm_id', firmId)
+        .order('code', { ascending: true }),
+      obtenerRenglones(firmId, { hasta: filtros.hasta })
+    ]);
+
+    if (errorCuentas) throw errorCuentas;
+
+    const sumas = new Map();
+    renglones
+      .filter((r) => !filtros.desde || r.entry.entry_date >= filtros.desde)
+      .forEach((r) => {
+        const actual = sumas.get(r.account_id) || { debe: 0, haber: 0 };
+        actual.debe += parseFloat(r.debit) || 0;
+        actual.haber += parseFloat(r.credit) || 0;
+        sumas.set(r.account_id, actual);
+      });
+
+    const filas = (cuentas || [])
+      .filter((c) => sumas.has(c.id))
+      .map((c) => {
+        const { debe, haber } = sumas.get(c.id);
+        const saldo = redondearImporte(debe - haber);
+        return {
+          ...c,
+          debe: redondearImporte(debe),
+          haber: redondearImporte(haber),
+          saldo_deudor: saldo > 0 ? saldo : 0,
+          saldo_acreedor: saldo < 0 ? -saldo : 0
+        };
+      });
+
+    const totales = filas.reduce(
+      (acc, f) => ({
+        debe: redondearImporte(acc.debe + f.debe),
+        haber: redondearImporte(acc.haber + f.haber),
+        saldo_deudor: redondearImporte(acc.saldo_deudor + f.saldo_deudor),
+        saldo_acreedor: redondearImporte(acc.saldo_acreedor + f.saldo_acreedor)
+      }),
+      { debe: 0, haber: 0, saldo_deudor: 0, saldo_acreedor: 0 }
+    );
+
+    return {
+      data: { cuentas: filas, totales, balanceado: totales.debe === totales.haber },
+      error: null
+    };
+  } catch (error) {
+    console.error('Error en obtenerBalanceComprobacion:', error);
+    return { data: null, error };
+  }
+}
+
+/**
+ * Exporta el libro diario a Excel (un renglón por línea de asiento)
+ * @param {Array} asientos - Resultado de obtenerAsientos
+ * @param {string} nombreArchivo
+ */
+export function exportarLibroDiario(asientos, nombreArchivo = `libro_diario_${hoy()}.xlsx`) {
+  const filas = asientos.flatMap((asiento) =>
+    (asiento.lines || []).map((linea) => ({
+      'Asiento': asiento.numero,
+      'Fecha': asiento.entry_date,
+      'Origen': ORIGEN_LABELS[asiento.source_type] || asiento.source_type,
+      'Concepto': asiento.description,
+      'Código': linea.account?.code || '',
+      'Cuenta': linea.account?.name || '',
+      'Detalle': linea.description || '',
+      'Debe': parseFloat(linea.debit) || 0,
+      'Haber': parseFloat(linea.credit) || 0,
+      'Moneda origen': asiento.currency,
+      'Tipo de cambio': asiento.exchange_rate || ''
+    }))
+  );
+
+  const ws = XLSX.utils.json_to_sheet(filas);
+  ws['!cols'] = [
+    { wch: 8 }, { wch: 12 }, { wch: 14 }, { wch: 40 }, { wch: 10 }, { wch: 30 },
+    { wch: 30 }, { wch: 14 }, { wch: 14 }, { wch: 10 }, { wch: 10 }
+  ];
+
+  const wb = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(wb, ws, 'Libro Diario');
+  XLSX.writeFile(wb, nombreArchivo);
+}
@@ -13,6 +13,8 @@
 
 import { supabase } from '../lib/supabase';
 import { format, subDays, differenceInDays, parseISO, startOfMonth, endOfMonth } from 'date-fns';
+import { obtenerDestetesPeriodo } from './reproduction';
+import { obtenerCostoAlimentacionRegistrado } from './feeding';
 
 /**
  * Calcula un KPI específico para un período
@@ -350,46 +352,36 @@ async function calcularMortalidad(firmId, periodStart, periodEnd, lotId) {
 
 /**
  * TASA_DESTETE - Tasa de Destete (%)
- * Fórmula: (terneros_destetados / vacas_servicio) * 100
+ * Fórmula: (terneros_destetados / vacas_entoradas) * 100
+ * Usa los registros de destete del módulo reproductivo y los vientres entorados
+ * de las temporadas a las que pertenecen esos terneros
  */
 async function calcularTasaDestete(firmId, periodStart, periodEnd) {
   try {
-    // Obtener eventos de destete
-    const { data: destetes, error: errorDestetes } = await supabase
-      .from('livestock_works')
-      .select('quantity')
-      .eq('firm_id', firmId)
-      .eq('event_type', 'destete')
-      .gte('date', format(periodStart, 'yyyy-MM-dd'))
-      .lte('date', format(periodEnd, 'yyyy-MM-dd'));
-
-    if (errorDestetes) throw errorDestetes;
-
-    const ternerosDestetados = destetes?.reduce((sum, d) => sum + (d.quantity || 0), 0) || 0;
-
-    // Obtener total de eventos del período como proxy de vacas en servicio
-    const { data: todosEventosList, error: errorEventos } = await supabase
-      .from('livestock_works')
-      .select('quantity')
-      .eq('firm_id', firmId)
-      .eq('event_type', 'pesada')
-      .lte('date', format(periodStart, 'yyyy-MM-dd'))
-      .limit(1);
+    const { destetados, entoradas, temporadas } = await obtenerDestetesPeriodo(
+      firmId,
+      format(periodStart, 'yyyy-MM-dd'),
+      format(periodEnd, 'yyyy-MM-dd')
+    );
 
-    if (errorEventos) throw errorEventos;
-
-    const vacasServicio = (todosEventosList && todosEventosList.length > 0)
-      ? todosEventosList[0].quantity
-      : 1;
+    if (destetados === 0 || entoradas === 0) {
+      return {
+        value: null,
+        unit: '%',
+        status: 'SIN_DATOS',
+        message: 'Sin destetes registrados en temporadas de entore del período'
+      };
+    }
 
-    const tasaDestete = (ternerosDestetados / vacasServicio) * 100;
+    const tasaDestete = (destetados / entoradas) * 100;
 
     return {
       value: parseFloat(tasaDestete.toFixed(2)),
       unit: '%',
       metadata: {
-        terneros_destetados: ternerosDestetados,
-        vacas_servicio: vacasServicio
+        terneros_destetados: destetados,
+        vacas_entoradas: entoradas,
+        temporadas_entore: temporadas
       }
     };
   } catch (error) {
@@ -780,22 +772,35 @@ async function calcularCostoSanitarioAnimal(firmId, periodStart, periodEnd) {
 
 /**
  * COSTO_ALIMENTACION_KG - Costo Alimentación por Kg Producido
- * Fórmula: gastos_alimentacion / kg_producidos
+ * Fórmula: costo_alimentacion / kg_producidos
+ * Usa el consumo valorizado de feeding_records; sin registros de alimentación, los gastos de alimentación
  */
 async function calcularCostoAlimentacionKg(firmId, periodStart, periodEnd) {
   try {
-    // Obtener gastos de alimentación
-    const { data: gastosAlimentacion, error: errorGastos } = await supabase
-      .from('expenses')
-      .select('amount')
-      .eq('firm_id', firmId)
-      .ilike('category', '%alimentacion%')
-      .gte('date', format(periodStart, 'yyyy-MM-dd'))
-      .lte('date', format(periodEnd, 'yyyy-MM-dd'));
-
-    if (errorGastos) throw errorGastos;
-
-    const totalGastosAlimentacion = gastosAlimentacion?.reduce((sum, g) => sum + (g.amount || 0), 0) || 0;
+    const consumo = await obtenerCostoAlimentacionRegistrado(
+      firmId,
+      format(periodStart, 'yyyy-MM-dd'),
+      format(periodEnd, 'yyyy-MM-dd')
+    );
+
+    let totalGastosAlimentacion = consumo.costo_total;
+    let fuente = 'feeding_records';
+
+    if (consumo.registros === 0) {
+      // Obtener gastos de alimentación
+      const { data: gastosAlimentacion, error: errorGastos } = await supabase
+        .from('expenses')
+        .select('amount')
+        .eq('firm_id', firmId)
+        .ilike('category', '%alimentacion%')
+        .gte('date', format(periodStart, 'yyyy-MM-dd'))
+        .lte('date', format(periodEnd, 'yyyy-MM-dd'));
+
+      if (errorGastos) throw errorGastos;
+
+      totalGastosAlimentacion = gastosAlimentacion?.reduce((sum, g) => sum + (g.amount || 0), 0) || 0;
+      fuente = 'expenses';
+    }
 
     const kgProducidos = await calcularKgCarneProducidos(firmId, periodStart, periodEnd);
 
@@ -810,7 +815,8 @@ async function calcularCostoAlimentacionKg(firmId, periodStart, periodEnd) {
       unit: '$/kg',
       metadata: {
         total_gastos_alimentacion: totalGastosAlimentacion,
-        kg_producidos: kgProducidos.value
+        kg_producidos: kgProducidos.value,
+        fuente
       }
     };
   } catch (error) {
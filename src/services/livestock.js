@@ -4,6 +4,9 @@
  */
 
 import { supabase } from '../lib/supabase';
+import { CATEGORIAS_INGRESO } from '../lib/incomeCategories.config';
+import { verificarCarenciaSanitaria, aplicarTratamientoSanitario, liberarTareaRechazada } from './healthPlan';
+import { liberarMovimientoRechazado } from './grazingPlan';
 
 /**
  * Obtiene todas las categorías activas
@@ -183,6 +186,8 @@ export async function updateAnimal(animalId, animalData) {
  * Registra un evento ganadero (Nacimiento, Muerte, Traslado, etc.)
  */
 export async function registerLivestockEvent(eventData) {
+  await verificarCarenciaSanitaria(eventData);
+
   const { data, error } = await supabase
     .from('herd_events')
     .insert([eventData])
@@ -196,8 +201,10 @@ export async function registerLivestockEvent(eventData) {
 /**
  * Registra un pesaje masivo (WEIGHING a nivel HERD)
  * Crea un evento INDIVIDUAL por cada ANIMAL del rodeo
+ * Si eventData.weights trae pesos por animal ({ [animal_id]: kg }, p.ej. desde la balanza),
+ * solo se crean eventos para esos animales con su peso real; si no, se copia qty_kg a todos.
  * @param {string} herdId - ID del rodeo
- * @param {object} eventData - Datos base del evento (firm_id, premise_id, event_date, qty_kg, etc.)
+ * @param {object} eventData - Datos base del evento (firm_id, premise_id, event_date, qty_kg, weights, etc.)
  * @returns {Promise<array>} Array de eventos creados
  */
 export async function registerBulkWeighingEvent(herdId, eventData) {
@@ -214,9 +221,18 @@ export async function registerBulkWeighingEvent(herdId, eventData) {
       throw new Error('El rodeo no tiene animales activos para pesar');
     }
 
+    const pesos = eventData.weights || null;
+    const animalesAPesar = pesos
+      ? herdAnimals.filter(ha => pesos[ha.animal_id] !== undefined && pesos[ha.animal_id] !== null)
+      : herdAnimals;
+
+    if (animalesAPesar.length === 0) {
+      throw new Error('Ningún peso corresponde a animales activos del rodeo');
+    }
+
     // 2. Crear un evento INDIVIDUAL por cada animal
     // ⚠️ IMPORTANTE: scope DEBE ser 'ANIMAL' ya que creamos eventos individuales
-    const eventsToCreate = herdAnimals.map(ha => ({
+    const eventsToCreate = animalesAPesar.map(ha => ({
       // Copiar datos base pero FORZAR valores correctos para eventos individuales
       firm_id: eventData.firm_id,
       premise_id: eventData.premise_id,
@@ -226,10 +242,11 @@ export async function registerBulkWeighingEvent(herdId, eventData) {
       animal_id: ha.animal_id,           // ← ASIGNAR animal específico
       herd_id: herdId,                   // ← Mantener referencia al rodeo
       scope: 'ANIMAL',                   // ← CRÍTICO: evento INDIVIDUAL, no de HERD
-      qty_kg: eventData.qty_kg,
+      qty_kg: pesos ? pesos[ha.animal_id] : eventData.qty_kg,
       notes: eventData.notes,
       status: eventData.status,
       metadata: eventData.metadata,
+      ...(eventData.weighing_session_id && { weighing_session_id: eventData.weighing_session_id }),
       // No copiar campos que no aplican a WEIGHING
       to_lote_id: null,
       category_from_id: null,
@@ -717,7 +734,18 @@ export async function updateEventStatus(eventId, status, userId) {
 
     if (eventError) throw eventError;
 
-    // 2. Actualizar estado del evento
+    // Solo se aprueban o rechazan eventos pendientes: repetir la transición
+    // volvería a descontar stock y a recalcular carencias
+    if (event.status !== 'PENDING') {
+        throw new Error(`El evento ya no está pendiente (estado: ${event.status})`);
+    }
+
+    // Animales en carencia: el evento queda pendiente
+    if (status === 'APPROVED') {
+        await verificarCarenciaSanitaria(event);
+    }
+
+    // 2. Actualizar estado del evento (solo si sigue pendiente)
     const { data: updatedEvent, error: updateError } = await supabase
         .from('herd_events')
         .update({
@@ -726,15 +754,33 @@ export async function updateEventStatus(eventId, status, userId) {
             approved_at: new Date()
         })
         .eq('id', eventId)
+        .eq('status', 'PENDING')
         .select()
-        .single();
+        .maybeSingle();
 
     if (updateError) throw updateError;
+    if (!updatedEvent) throw new Error('El evento ya fue procesado por otro usuario');
 
     // 3. Automaciones al aprobar:
     // - DICOSE: Trigger SQL sync_event_to_dicose() se ejecuta automáticamente ✅
-    // - Sanidad: Trigger SQL update_animal_withdraw() se ejecuta automáticamente ✅
-    // No necesitan llamadas manuales aquí
+    // - Sanidad: stock y withdraw_until se aplican acá (aplicarTratamientoSanitario);
+    //   si fallan (p. ej. sin stock del producto), el evento vuelve a pendiente
+    if (status === 'APPROVED' && event.event_type === 'HEALTH_TREATMENT') {
+        try {
+            await aplicarTratamientoSanitario(event, userId);
+        } catch (error) {
+            await supabase
+                .from('herd_events')
+                .update({ status: 'PENDING', approved_by: null, approved_at: null })
+                .eq('id', eventId);
+            throw error;
+        }
+    } else if (status === 'REJECTED' && event.event_type === 'HEALTH_TREATMENT') {
+        await liberarTareaRechazada(event);
+    } else if (status === 'REJECTED' && event.event_type === 'MOVE_INTERNAL') {
+        // Traslado generado desde el plan de pastoreo: vuelve a quedar planificado
+        await liberarMovimientoRechazado(event);
+    }
 
     return updatedEvent;
 }
@@ -1318,7 +1364,7 @@ export async function getFinancialKPIs(premiseId) {
             .from('income')
             .select('total_amount')
             .eq('premise_id', premiseId)
-            .match({ category: 'Venta de Ganado' });
+            .match({ category: CATEGORIAS_INGRESO.VENTA_GANADO });
 
         if (incomeError) throw incomeError;
 
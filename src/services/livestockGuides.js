@@ -0,0 +1,501 @@
+/**
+ * Servicio de guías de propiedad y tránsito
+ * - Alta de guías emitidas (salidas) y recibidas (entradas) con DICOSE de origen / destino,
+ *   cabezas por categoría y datos del transporte
+ * - Vínculo con eventos de herd_events (guide_series / guide_number) y con remitos de venta
+ * - Eventos de egreso / ingreso sin guía o con guía no registrada
+ * - Hoja de datos de la guía para el camión
+ * Tablas: dicose_guides (add_livestock_guides.sql)
+ */
+
+import jsPDF from 'jspdf';
+import autoTable from 'jspdf-autotable';
+import { supabase } from '../lib/supabase';
+import { registrarAuditoria } from './registros';
+import { validateGuide } from './livestock';
+import { PLANILLA_POR_ESPECIE } from './dicoseDeclaration';
+import { formatearFecha } from '../lib/fechas';
+
+export const DIRECCIONES_GUIA = {
+  OUT: 'Emitida (salida)',
+  IN: 'Recibida (entrada)'
+};
+
+export const ESTADOS_GUIA = {
+  VALID: 'Vigente',
+  CANCELLED: 'Anulada'
+};
+
+/**
+ * Eventos que viajan con guía según el sentido del movimiento.
+ * FAENA no exige guía en el formulario de eventos pero el envío a frigorífico la lleva.
+ */
+export const EVENTOS_CON_GUIA = {
+  OUT: ['SALE', 'MOVE_EXTERNAL_OUT', 'CONSIGNACION_OUT', 'REMATE_OUT', 'FAENA'],
+  IN: ['PURCHASE', 'MOVE_EXTERNAL_IN', 'CONSIGNACION_IN', 'REMATE_IN']
+};
+
+const SELECT_EVENTO = `
+  id, event_type, event_date, status, species, qty_heads, guide_series, guide_number, premise_id,
+  herd:herd_id(name),
+  animal:animal_id(visual_tag, rfid_tag)
+`;
+
+function direccionDeEvento(eventType) {
+  return Object.keys(EVENTOS_CON_GUIA).find((d) => EVENTOS_CON_GUIA[d].includes(eventType)) || null;
+}
+
+/**
+ * Guías del predio con los eventos que las usan
+ * @param {string} premiseId
+ * @param {Object} filtros - { direccion, desde, hasta }
+ */
+export async function obtenerGuias(premiseId, filtros = {}) {
+  try {
+    let query = supabase
+      .from('dicose_guides')
+      .select('*, remito:sale_remittance_id(id, remittance_number, remittance_date)')
+      .eq('premise_id', premiseId)
+      .order('issue_date', { ascending: false });
+
+    if (filtros.direccion) query = query.eq('direction', filtros.direccion);
+    if (filtros.desde) query = query.gte('issue_date', filtros.desde);
+    if (filtros.hasta) query = query.lte('issue_date', filtros.hasta);
+
+    const { data: guias, error } = await query;
+    if (error) throw error;
+    if (!guias || guias.length === 0) return [];
+
+    const series = [...new Set(guias.map((g) => g.guide_series))];
+    const { data: eventos, error: eventosError } = await supabase
+      .from('herd_events')
+      .select(SELECT_EVENTO)
+      .eq('premise_id', premiseId)
+      .in('guide_series', series)
+      .neq('status', 'REJECTED');
+
+    if (eventosError) throw eventosError;
+
+    return guias.map((g) => {
+      const vinculados = (eventos || []).filter(
+        (e) => e.guide_series === g.guide_series && e.guide_number === g.guide_number
+      );
+      return {
+        ...g,
+        eventos: vinculados,
+        cabezas_vinculadas: vinculados.reduce((sum, e) => sum + (e.qty_heads || 1), 0)
+      };
+    });
+  } catch (error) {
+    console.error('Error en obtenerGuias:', error);
+    throw error;
+  }
+}
+
+/**
+ * Registra una guía emitida o recibida
+ * @param {Object} datos - { firm_id, premise_id, direction, guide_series, guide_number, issue_date, species,
+ *   origin_dicose_number, origin_name, destination_dicose_number, destination_name,
+ *   items: [{ category_id, categoria, cabezas }], transport_company, driver_name, driver_document,
+ *   vehicle_plate, trailer_plate, notes }
+ */
+export async function crearGuia(datos, userId = null) {
+  try {
+    const serie = (datos.guide_series || '').trim().toUpperCase();
+    const numero = (datos.guide_number || '').trim();
+    if (!serie || !numero) throw new Error('La serie y el número de guía son obligatorios');
+    if (!DIRECCIONES_GUIA[datos.direction]) throw new Error('Indique si la guía es emitida o recibida');
+    if (!datos.origin_dicose_number || !datos.destination_dicose_number) {
+      throw new Error('Los números DICOSE de origen y destino son obligatorios');
+    }
+    if (datos.origin_dicose_number === datos.destination_dicose_number) {
+      throw new Error('El DICOSE de origen y destino no pueden ser el mismo');
+    }
+
+    const items = (datos.items || [])
+      .map((i) => ({ ...i, cabezas: parseInt(i.cabezas) || 0 }))
+      .filter((i) => i.category_id && i.cabezas > 0);
+    if (items.length === 0) throw new Error('La guía debe tener al menos una categoría con cabezas');
+
+    const { data: existente, error: existenteError } = await supabase
+      .from('dicose_guides')
+      .select('id, premise_id')
+      .eq('guide_series', serie)
+      .eq('guide_number', numero)
+      .maybeSingle();
+
+    if (existenteError) throw existenteError;
+    if (existente) throw new Error(`La guía ${serie}-${numero} ya está registrada`);
+
+    const { data: guia, error } = await supabase
+      .from('dicose_guides')
+      .insert([{
+        firm_id: datos.firm_id,
+        premise_id: datos.premise_id,
+        direction: datos.direction,
+        guide_series: serie,
+        guide_number: numero,
+        guide_full: `${serie}-${numero}`,
+        dicose_type: PLANILLA_POR_ESPECIE[datos.species] || null,
+        species: datos.species,
+        status: 'VALID',
+        issue_date: datos.issue_date,
+        origin_dicose_number: datos.origin_dicose_number,
+        origin_name: datos.origin_name || null,
+        destination_dicose_number: datos.destination_dicose_number,
+        destination_name: datos.destination_name || null,
+        items,
+        total_heads: items.reduce((sum, i) => sum + i.cabezas, 0),
+        transport_company: datos.transport_company || null,
+        driver_name: datos.driver_name || null,
+        driver_document: datos.driver_document || null,
+        vehicle_plate: datos.vehicle_plate ? datos.vehicle_plate.toUpperCase() : null,
+        trailer_plate: datos.trailer_plate ? datos.trailer_plate.toUpperCase() : null,
+        notes: datos.notes || null,
+        created_by: userId
+      }])
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    registrarAuditoria(
+      'livestock_manager',
+      guia,
+      'guia_registrada',
+      `Guía ${guia.guide_full} ${datos.direction === 'OUT' ? 'emitida' : 'recibida'}: ${guia.total_heads} cabezas (${guia.origin_dicose_number} → ${guia.destination_dicose_number})`,
+      guia.id,
+      { direction: guia.direction, items },
+      userId
+    );
+
+    return guia;
+  } catch (error) {
+    console.error('Error en crearGuia:', error);
+    throw error;
+  }
+}
+
+/**
+ * Anula una guía que todavía no respalda ningún evento
+ */
+export async function anularGuia(guia, motivo, userId = null) {
+  try {
+    if (!motivo || !motivo.trim()) throw new Error('Indique el motivo de la anulación');
+
+    const { count, error: countError } = await supabase
+      .from('herd_events')
+      .select('id', { count: 'exact', head: true })
+      .eq('guide_series', guia.guide_series)
+      .eq('guide_number', guia.guide_number)
+      .neq('status', 'REJECTED');
+
+    if (countError) throw countError;
+    if (count > 0) throw new Error('La guía está vinculada a eventos; desvincúlelos o rechace los eventos antes de anularla');
+
+    const { data, error } = await supabase
+      .from('dicose_guides')
+      .update({ status: 'CANCELLED', cancel_reason: motivo.trim() })
+      .eq('id', guia.id)
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    registrarAuditoria('livestock_manager', data, 'guia_anulada', `Guía ${guia.guide_full} anulada: ${motivo.trim()}`, guia.id, {}, userId);
+
+    return data;
+  } catch (error) {
+    console.error('Error en anularGuia:', error);
+    throw error;
+  }
+}
+
+/**
+ * Eventos del predio que pueden llevar la guía: pendientes de aprobación, mismo sentido
+ * y especie, sin guía cargada
+ */
+export async function obtenerEventosVinculables(guia) {
+  const { data, error } = await supabase
+    .from('herd_events')
+    .select(SELECT_EVENTO)
+    .eq('premise_id', guia.premise_id)
+    .in('event_type', EVENTOS_CON_GUIA[guia.direction] || [])
+    .eq('status', 'PENDING')
+    .or('guide_series.is.null,guide_number.is.null,guide_series.eq.,guide_number.eq.')
+    .order('event_date', { ascending: false })
+    .limit(100);
+
+  if (error) throw error;
+  return (data || []).filter((e) => !guia.species || !e.species || e.species === guia.species);
+}
+
+/**
+ * Asigna la guía a un evento pendiente (los aprobados ya impactaron la planilla DICOSE).
+ * Aplica las mismas validaciones que la aprobación del evento
+ * (guía vigente, especie, reutilización y DICOSE de destino).
+ */
+export async function vincularEvento(guia, evento, userId = null) {
+  try {
+    if (evento.status !== 'PENDING') throw new Error('Solo se puede asignar la guía a eventos pendientes de aprobación');
+    if (guia.status !== 'VALID') throw new Error('Solo se pueden vincular guías vigentes');
+    if (direccionDeEvento(evento.event_type) !== guia.direction) {
+      throw new Error(`Un evento ${evento.event_type} no corresponde a una guía ${DIRECCIONES_GUIA[guia.direction].toLowerCase()}`);
+    }
+
+    const cabezasEvento = evento.qty_heads || 1;
+    if ((guia.cabezas_vinculadas || 0) + cabezasEvento > guia.total_heads) {
+      throw new Error(`La guía ampara ${guia.total_heads} cabezas y ya tiene ${guia.cabezas_vinculadas || 0} vinculadas`);
+    }
+
+    const validacion = await validateGuide(
+      guia.guide_series,
+      guia.guide_number,
+      evento.event_type,
+      evento.species || guia.species,
+      evento.premise_id
+    );
+    if (!validacion.valid) throw new Error(validacion.error);
+
+    const { data, error } = await supabase
+      .from('herd_events')
+      .update({ guide_series: guia.guide_series, guide_number: guia.guide_number })
+      .eq('id', evento.id)
+      .eq('status', 'PENDING')
+      .select('id')
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!data) throw new Error('El evento ya no está pendiente de aprobación');
+
+    registrarAuditoria(
+      'livestock_manager',
+      guia,
+      'guia_vinculada',
+      `Guía ${guia.guide_full} vinculada a ${evento.event_type} del ${formatearFecha(evento.event_date)}`,
+      evento.id,
+      { guide_id: guia.id },
+      userId
+    );
+
+    return data;
+  } catch (error) {
+    console.error('Error en vincularEvento:', error);
+    throw error;
+  }
+}
+
+/**
+ * Quita la guía de un evento pendiente (los aprobados ya impactaron la planilla DICOSE)
+ */
+export async function desvincularEvento(guia, evento, userId = null) {
+  try {
+    if (evento.status !== 'PENDING') throw new Error('Solo se puede quitar la guía de eventos pendientes de aprobación');
+
+    const { error } = await supabase
+      .from('herd_events')
+      .update({ guide_series: null, guide_number: null })
+      .eq('id', evento.id);
+
+    if (error) throw error;
+
+    registrarAuditoria(
+      'livestock_manager',
+      guia,
+      'guia_desvinculada',
+      `Guía ${guia.guide_full} desvinculada de ${evento.event_type} del ${formatearFecha(evento.event_date)}`,
+      evento.id,
+      { guide_id: guia.id },
+      userId
+    );
+  } catch (error) {
+    console.error('Error en desvincularEvento:', error);
+    throw error;
+  }
+}
+
+/**
+ * Remitos de venta de la firma para asociar a una guía emitida
+ */
+export async function obtenerRemitosVinculables(firmId) {
+  const { data, error } = await supabase
+    .from('sale_remittances')
+    .select('id, remittance_number, remittance_date, status, sale:sales(client_name)')
+    .eq('firm_id', firmId)
+    .order('remittance_date', { ascending: false })
+    .limit(50);
+
+  if (error) throw error;
+  return data || [];
+}
+
+/**
+ * Asocia (o quita, con remittanceId null) el remito de venta de una guía emitida
+ */
+export async function vincularRemito(guia, remittanceId, userId = null) {
+  try {
+    if (remittanceId && guia.direction !== 'OUT') throw new Error('Solo las guías emitidas se asocian a remitos de venta');
+
+    const { data, error } = await supabase
+      .from('dicose_guides')
+      .update({ sale_remittance_id: remittanceId || null })
+      .eq('id', guia.id)
+      .select('*, remito:sale_remittance_id(id, remittance_number, remittance_date)')
+      .single();
+
+    if (error) throw error;
+
+    if (remittanceId) {
+      registrarAuditoria(
+        'livestock_manager',
+        guia,
+        'guia_vinculada',
+        `Guía ${guia.guide_full} asociada al remito ${data.remito?.remittance_number || ''}`,
+        remittanceId,
+        { guide_id: guia.id },
+        userId
+      );
+    }
+
+    return data;
+  } catch (error) {
+    console.error('Error en vincularRemito:', error);
+    throw error;
+  }
+}
+
+/**
+ * Egresos e ingresos del predio sin guía, o con una guía que no está registrada en dicose_guides
+ * @returns {Promise<Array>} eventos con { motivo: 'SIN_GUIA' | 'GUIA_NO_REGISTRADA' }
+ */
+export async function obtenerEventosSinGuia(premiseId, desde = null) {
+  try {
+    let query = supabase
+      .from('herd_events')
+      .select(SELECT_EVENTO)
+      .eq('premise_id', premiseId)
+      .in('event_type', [...EVENTOS_CON_GUIA.OUT, ...EVENTOS_CON_GUIA.IN])
+      .neq('status', 'REJECTED')
+      .order('event_date', { ascending: false });
+
+    if (desde) query = query.gte('event_date', desde);
+
+    const { data: eventos, error } = await query;
+    if (error) throw error;
+
+    const conGuia = (eventos || []).filter((e) => e.guide_series && e.guide_number);
+    const series = [...new Set(conGuia.map((e) => e.guide_series))];
+    let registradas = new Set();
+    if (series.length > 0) {
+      const { data: guias, error: guiasError } = await supabase
+        .from('dicose_guides')
+        .select('guide_series, guide_number')
+        .in('guide_series', series);
+      if (guiasError) throw guiasError;
+      registradas = new Set((guias || []).map((g) => `${g.guide_series}-${g.guide_number}`));
+    }
+
+    return (eventos || [])
+      .map((e) => {
+        if (!e.guide_series || !e.guide_number) return { ...e, motivo: 'SIN_GUIA' };
+        if (!registradas.has(`${e.guide_series}-${e.guide_number}`)) return { ...e, motivo: 'GUIA_NO_REGISTRADA' };
+        return null;
+      })
+      .filter(Boolean);
+  } catch (error) {
+    console.error('Error en obtenerEventosSinGuia:', error);
+    throw error;
+  }
+}
+
+/**
+ * Hoja de datos de la guía para acompañar la carga en el camión
+ */
+export function imprimirGuia(guia) {
+  const doc = new jsPDF('portrait', 'mm', 'a4');
+  const pageWidth = doc.internal.pageSize.getWidth();
+  const pageHeight = doc.internal.pageSize.getHeight();
+
+  doc.setFontSize(14);
+  doc.setFont('helvetica', 'bold');
+  doc.text('GUÍA DE PROPIEDAD Y TRÁNSITO', pageWidth / 2, 15, { align: 'center' });
+  doc.setFontSize(18);
+  doc.text(`${guia.guide_series} - ${guia.guide_number}`, pageWidth / 2, 25, { align: 'center' });
+  doc.setFontSize(10);
+  doc.setFont('helvetica', 'normal');
+  doc.text(
+    `${DIRECCIONES_GUIA[guia.direction] || ''} · Fecha ${formatearFecha(guia.issue_date)} · ${guia.species || ''}`,
+    pageWidth / 2,
+    31,
+    { align: 'center' }
+  );
+
+  if (guia.status === 'CANCELLED') {
+    doc.setTextColor(200, 0, 0);
+    doc.setFont('helvetica', 'bold');
+    doc.text(`ANULADA: ${guia.cancel_reason || ''}`, pageWidth / 2, 37, { align: 'center' });
+    doc.setTextColor(0, 0, 0);
+  }
+
+  autoTable(doc, {
+    startY: 42,
+    head: [['', 'Origen', 'Destino']],
+    body: [
+      ['DICOSE', guia.origin_dicose_number || '-', guia.destination_dicose_number || '-'],
+      ['Establecimiento / Titular', guia.origin_name || '-', guia.destination_name || '-']
+    ],
+    theme: 'grid',
+    styles: { fontSize: 10, cellPadding: 3 },
+    headStyles: { fillColor: [51, 122, 183], textColor: [255, 255, 255], fontStyle: 'bold' },
+    columnStyles: { 0: { fontStyle: 'bold', fillColor: [241, 245, 249] } },
+    margin: 15
+  });
+
+  doc.setFont('helvetica', 'bold');
+  doc.text('ANIMALES', 15, doc.lastAutoTable.finalY + 8);
+  autoTable(doc, {
+    startY: doc.lastAutoTable.finalY + 11,
+    head: [['Categoría', 'Cabezas']],
+    body: [
+      ...(guia.items || []).map((i) => [i.categoria, i.cabezas]),
+      ['TOTAL', guia.total_heads]
+    ],
+    theme: 'striped',
+    styles: { fontSize: 10, cellPadding: 3 },
+    headStyles: { fillColor: [76, 175, 80], textColor: [255, 255, 255], fontStyle: 'bold' },
+    margin: 15
+  });
+
+  doc.setFont('helvetica', 'bold');
+  doc.text('TRANSPORTE', 15, doc.lastAutoTable.finalY + 8);
+  autoTable(doc, {
+    startY: doc.lastAutoTable.finalY + 11,
+    body: [
+      ['Empresa', guia.transport_company || '-', 'Conductor', guia.driver_name || '-'],
+      ['Matrícula camión', guia.vehicle_plate || '-', 'Documento conductor', guia.driver_document || '-'],
+      ['Matrícula zorra', guia.trailer_plate || '-', 'Remito', guia.remito?.remittance_number || '-']
+    ],
+    theme: 'grid',
+    styles: { fontSize: 10, cellPadding: 3 },
+    columnStyles: { 0: { fontStyle: 'bold', fillColor: [241, 245, 249] }, 2: { fontStyle: 'bold', fillColor: [241, 245, 249] } },
+    margin: 15
+  });
+
+  if (guia.notes) {
+    doc.setFont('helvetica', 'normal');
+    doc.setFontSize(9);
+    doc.text(doc.splitTextToSize(`Observaciones: ${guia.notes}`, pageWidth - 30), 15, doc.lastAutoTable.finalY + 8);
+  }
+
+  doc.setFontSize(9);
+  doc.setFont('helvetica', 'normal');
+  doc.text('_____________________', 15, pageHeight - 30);
+  doc.text('Firma remitente', 15, pageHeight - 25);
+  doc.text('_____________________', pageWidth / 2 - 20, pageHeight - 30);
+  doc.text('Firma transportista', pageWidth / 2 - 20, pageHeight - 25);
+  doc.text('_____________________', pageWidth - 60, pageHeight - 30);
+  doc.text('Firma destinatario', pageWidth - 60, pageHeight - 25);
+  doc.text(`Generado: ${new Date().toLocaleString('es-UY')}`, pageWidth - 15, pageHeight - 10, { align: 'right' });
+
+  doc.save(`Guia_${guia.guide_series}-${guia.guide_number}.pdf`);
+}
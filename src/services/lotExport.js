@@ -0,0 +1,244 @@
+/**
+ * Exportación de la geometría de lotes del predio
+ * Formatos: GeoJSON, KML (Google Earth / guiado GPS) y Shapefile comprimido (SIG)
+ *
+ * Cada lote se exporta con sus atributos productivos:
+ * nombre, superficie, uso de suelo, cultivo/pastura, rodeo actual y último NDVI
+ */
+
+import shpwrite from '@mapbox/shp-write';
+import { saveAs } from 'file-saver';
+import { supabase } from '../lib/supabase';
+import { aGeometriaGeoJSON } from './geospatial';
+
+export const FORMATOS_EXPORTACION = {
+  geojson: { label: 'GeoJSON', extension: 'geojson' },
+  kml: { label: 'KML (Google Earth)', extension: 'kml' },
+  shapefile: { label: 'Shapefile (.zip)', extension: 'zip' }
+};
+
+// Los campos DBF admiten como máximo 10 caracteres
+const CAMPOS_SHAPEFILE = {
+  nombre: 'NOMBRE',
+  superficie_ha: 'AREA_HA',
+  uso_suelo: 'USO_SUELO',
+  cultivo: 'CULTIVO',
+  rodeos: 'RODEOS',
+  ndvi: 'NDVI',
+  ndvi_fecha: 'NDVI_FECHA'
+};
+
+/**
+ * Obtiene los lotes del predio con los datos necesarios para exportar
+ * @param {string} premiseId - ID del predio
+ * @returns {Promise<Array>} Lotes activos enriquecidos con { rodeos }
+ */
+export async function obtenerLotesParaExportar(premiseId) {
+  try {
+    if (!premiseId) throw new Error('premiseId es requerido');
+
+    const [lotesRes, rodeosRes] = await Promise.all([
+      supabase
+        .from('lots')
+        .select('*')
+        .eq('premise_id', premiseId)
+        .eq('status', true)
+        .order('name', { ascending: true }),
+      supabase
+        .from('herds')
+        .select('id, name, current_lot_id')
+        .eq('premise_id', premiseId)
+        .eq('is_active', true)
+    ]);
+
+    if (lotesRes.error) throw lotesRes.error;
+    if (rodeosRes.error) throw rodeosRes.error;
+
+    const rodeosPorLote = (rodeosRes.data || []).reduce((acc, rodeo) => {
+      if (!rodeo.current_lot_id) return acc;
+      acc[rodeo.current_lot_id] = [...(acc[rodeo.current_lot_id] || []), rodeo.name];
+      return acc;
+    }, {});
+
+    return (lotesRes.data || []).map((lote) => ({
+      ...lote,
+      rodeos: rodeosPorLote[lote.id] || []
+    }));
+  } catch (error) {
+    console.error('Error en obtenerLotesParaExportar:', error);
+    throw error;
+  }
+}
+
+/**
+ * Convierte los lotes en FeatureCollection GeoJSON con atributos productivos
+ * Los lotes sin polígono se omiten
+ * @param {Array} lotes - Lotes de obtenerLotesParaExportar
+ * @returns {Object} FeatureCollection
+ */
+export function lotesAFeatureCollection(lotes) {
+  const features = lotes
+    .filter((lote) => lote.polygon_data)
+    .map((lote) => {
+      const geometry = aGeometriaGeoJSON(lote.polygon_data);
+      if (!geometry) return null;
+
+      return {
+        type: 'Feature',
+        properties: {
+          id: lote.id,
+          nombre: lote.name,
+          superficie_ha: lote.area_hectares != null ? Number(lote.area_hectares) : null,
+          uso_suelo: lote.land_use || '',
+          cultivo: lote.current_crop || lote.crops || '',
+          rodeos: (lote.rodeos || []).join(', '),
+          ndvi: lote.ndvi_valor != null ? Number(Number(lote.ndvi_valor).toFixed(3)) : null,
+          ndvi_fecha: lote.ndvi_fecha_actualizacion ? lote.ndvi_fecha_actualizacion.split('T')[0] : ''
+        },
+        geometry
+      };
+    })
+    .filter(Boolean);
+
+  return { type: 'FeatureCollection', features };
+}
+
+/**
+ * Escapa texto para XML (KML de lotes, ISO-XML de prescripciones)
+ */
+export function escaparXML(valor) {
+  return String(valor ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function anilloAKML(anillo) {
+  return anillo.map(([lng, lat]) => `${lng},${lat},0`).join(' ');
+}
+
+function poligonoAKML(anillos) {
+  const [exterior, ...interiores] = anillos;
+  return [
+    '<Polygon>',
+    `<outerBoundaryIs><LinearRing><coordinates>${anilloAKML(exterior)}</coordinates></LinearRing></outerBoundaryIs>`,
+    ...interiores.map(
+      (hueco) => `<innerBoundaryIs><LinearRing><coordinates>${anilloAKML(hueco)}</coordinates></LinearRing></innerBoundaryIs>`
+    ),
+    '</Polygon>'
+  ].join('');
+}
+
+function geometriaAKML(geometry) {
+  if (geometry.type === 'MultiPolygon') {
+    return `<MultiGeometry>${geometry.coordinates.map(poligonoAKML).join('')}</MultiGeometry>`;
+  }
+  return poligonoAKML(geometry.coordinates);
+}
+
+/**
+ * Genera un documento KML a partir de una FeatureCollection de lotes
+ * @param {Object} featureCollection - Resultado de lotesAFeatureCollection
+ * @param {string} nombreDocumento - Nombre visible en Google Earth
+ * @returns {string} KML
+ */
+export function featureCollectionAKML(featureCollection, nombreDocumento = 'Lotes') {
+  const placemarks = featureCollection.features.map((feature) => {
+    const datos = Object.entries(feature.properties)
+      .filter(([clave]) => clave !== 'id')
+      .map(([clave, valor]) => `<Data name="${clave}"><value>${escaparXML(valor)}</value></Data>`)
+      .join('');
+
+    return [
+      '<Placemark>',
+      `<name>${escaparXML(feature.properties.nombre)}</name>`,
+      '<styleUrl>#lote</styleUrl>',
+      `<ExtendedData>${datos}</ExtendedData>`,
+      geometriaAKML(feature.geometry),
+      '</Placemark>'
+    ].join('');
+  });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<kml xmlns="http://www.opengis.net/kml/2.2">',
+    '<Document>',
+    `<name>${escaparXML(nombreDocumento)}</name>`,
+    '<Style id="lote"><LineStyle><color>ff1c9d05</color><width>2</width></LineStyle><PolyStyle><color>4d81b910</color></PolyStyle></Style>',
+    ...placemarks,
+    '</Document>',
+    '</kml>'
+  ].join('\n');
+}
+
+/**
+ * Renombra atributos a nombres válidos para DBF
+ */
+function featureCollectionAShapefile(featureCollection) {
+  return {
+    type: 'FeatureCollection',
+    features: featureCollection.features.map((feature) => ({
+      ...feature,
+      properties: Object.entries(CAMPOS_SHAPEFILE).reduce((acc, [clave, campo]) => {
+        acc[campo] = feature.properties[clave] ?? '';
+        return acc;
+      }, {})
+    }))
+  };
+}
+
+/**
+ * Nombre sin tildes ni caracteres especiales para usar en el nombre del archivo descargado
+ */
+export function nombreArchivoSeguro(nombre, porDefecto = 'predio') {
+  return (nombre || porDefecto)
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-zA-Z0-9_-]+/g, '_');
+}
+
+/**
+ * Exporta los lotes de un predio y descarga el archivo
+ * @param {string} premiseId - ID del predio
+ * @param {string} formato - Clave de FORMATOS_EXPORTACION
+ * @param {string} premiseName - Nombre del predio (para el archivo)
+ * @returns {Promise<number>} Cantidad de lotes exportados
+ */
+export async function exportarLotesPredio(premiseId, formato, premiseName = 'predio') {
+  try {
+    const config = FORMATOS_EXPORTACION[formato];
+    if (!config) throw new Error(`Formato de exportación no soportado: ${formato}`);
+
+    const lotes = await obtenerLotesParaExportar(premiseId);
+    const featureCollection = lotesAFeatureCollection(lotes);
+
+    if (featureCollection.features.length === 0) {
+      throw new Error('El predio no tiene lotes con polígono definido');
+    }
+
+    const fecha = new Date().toISOString().split('T')[0];
+    const nombreBase = `Lotes_${nombreArchivoSeguro(premiseName)}_${fecha}`;
+
+    if (formato === 'geojson') {
+      const blob = new Blob([JSON.stringify(featureCollection, null, 2)], { type: 'application/geo+json' });
+      saveAs(blob, `${nombreBase}.${config.extension}`);
+    } else if (formato === 'kml') {
+      const kml = featureCollectionAKML(featureCollection, premiseName);
+      const blob = new Blob([kml], { type: 'application/vnd.google-earth.kml+xml' });
+      saveAs(blob, `${nombreBase}.${config.extension}`);
+    } else if (formato === 'shapefile') {
+      const blob = await shpwrite.zip(featureCollectionAShapefile(featureCollection), {
+        folder: nombreBase,
+        outputType: 'blob',
+        types: { polygon: 'lotes', multipolygon: 'lotes_multiparte' }
+      });
+      saveAs(blob, `${nombreBase}.${config.extension}`);
+    }
+
+    return featureCollection.features.length;
+  } catch (error) {
+    console.error('Error en exportarLotesPredio:', error);
+    throw error;
+  }
+}
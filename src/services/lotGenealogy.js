@@ -0,0 +1,382 @@
+/**
+ * División y unión de lotes con genealogía (tabla lot_genealogy)
+ *
+ * Los lotes originales no se borran: quedan inactivos (status = false, retired_at) y
+ * conservan sus trabajos, monitoreos, NDVI y análisis de suelo. La genealogía permite
+ * a los reportes recorrer el historial hacia atrás (ancestros) o hacia adelante (sucesores).
+ */
+
+import { supabase } from '../lib/supabase';
+import { calcularSuperficie } from './geospatial';
+
+// Atributos agronómicos que heredan los lotes sucesores
+const CAMPOS_HEREDADOS = [
+  'firm_id',
+  'premise_id',
+  'land_use',
+  'crops',
+  'pasture_height',
+  'pasture_height_date',
+  'remnant_height',
+  'planting_date',
+  'is_depot'
+];
+
+function heredarAtributos(lote) {
+  return CAMPOS_HEREDADOS.reduce((acc, campo) => {
+    if (lote[campo] !== undefined) acc[campo] = lote[campo];
+    return acc;
+  }, {});
+}
+
+async function insertarLote(lotData) {
+  const { data, error } = await supabase
+    .from('lots')
+    .insert([{ ...lotData, status: true, created_at: new Date().toISOString() }])
+    .select()
+    .single();
+
+  if (error) throw error;
+  return data;
+}
+
+async function retirarLote(lotId) {
+  const { error } = await supabase
+    .from('lots')
+    .update({ status: false, retired_at: new Date().toISOString() })
+    .eq('id', lotId);
+
+  if (error) throw error;
+}
+
+async function reactivarLote(lotId) {
+  const { error } = await supabase
+    .from('lots')
+    .update({ status: true, retired_at: null })
+    .eq('id', lotId);
+
+  if (error) throw error;
+}
+
+/**
+ * Rodeos y animales ubicados en los lotes, para poder devolverlos si la operación falla
+ */
+async function obtenerHacienda(lotIds) {
+  const { data: rodeos, error: herdsError } = await supabase
+    .from('herds')
+    .select('id, current_lot_id')
+    .in('current_lot_id', lotIds);
+  if (herdsError) throw herdsError;
+
+  const { data: animales, error: animalsError } = await supabase
+    .from('animals')
+    .select('id, current_lot_id')
+    .in('current_lot_id', lotIds);
+  if (animalsError) throw animalsError;
+
+  return { rodeos: rodeos || [], animales: animales || [] };
+}
+
+/**
+ * Reubica rodeos y animales de los lotes retirados en el lote sucesor
+ */
+async function reubicarHacienda(lotIdsOrigen, lotIdDestino) {
+  const { error: herdsError } = await supabase
+    .from('herds')
+    .update({ current_lot_id: lotIdDestino })
+    .in('current_lot_id', lotIdsOrigen);
+  if (herdsError) throw herdsError;
+
+  const { error: animalsError } = await supabase
+    .from('animals')
+    .update({ current_lot_id: lotIdDestino })
+    .in('current_lot_id', lotIdsOrigen);
+  if (animalsError) throw animalsError;
+}
+
+/**
+ * Deshace una división o unión que falló a mitad de camino: devuelve la hacienda a sus
+ * lotes, reactiva los lotes de origen y borra la genealogía y los lotes sucesores creados.
+ * Los errores al deshacer solo se advierten para no ocultar el error original
+ * @param {Object} pasos - { sucesores, retirados, hacienda }
+ */
+async function deshacerOperacion({ sucesores, retirados, hacienda }) {
+  try {
+    if (hacienda) {
+      for (const [tabla, filas] of [['herds', hacienda.rodeos], ['animals', hacienda.animales]]) {
+        const porLote = filas.reduce((acc, fila) => {
+          (acc[fila.current_lot_id] = acc[fila.current_lot_id] || []).push(fila.id);
+          return acc;
+        }, {});
+        for (const [lotId, ids] of Object.entries(porLote)) {
+          const { error } = await supabase.from(tabla).update({ current_lot_id: lotId }).in('id', ids);
+          if (error) throw error;
+        }
+      }
+    }
+
+    for (const lotId of retirados) {
+      await reactivarLote(lotId);
+    }
+
+    if (sucesores.length > 0) {
+      const ids = sucesores.map((s) => s.id);
+      const { error: genealogyError } = await supabase.from('lot_genealogy').delete().in('child_lot_id', ids);
+      if (genealogyError) throw genealogyError;
+
+      const { error: lotsError } = await supabase.from('lots').delete().in('id', ids);
+      if (lotsError) throw lotsError;
+    }
+  } catch (err) {
+    console.warn('No se pudo deshacer la operación de lotes:', err);
+  }
+}
+
+/**
+ * Divide un lote en varios sucesores
+ * @param {Object} params
+ * @param {Object} params.lote - Lote a dividir
+ * @param {Array} params.piezas - [{ nombre, polygon_data }] resultado de dividirPoligonoPorLinea
+ * @param {number} params.indiceDestinoHacienda - Pieza que recibe rodeos y animales (default: la mayor)
+ * @param {string} params.userId - Usuario que realiza la operación
+ * @param {string} params.notas - Motivo (ej: "Alambrado nuevo")
+ * @returns {Promise<Array>} Lotes sucesores creados
+ */
+export async function dividirLote({ lote, piezas, indiceDestinoHacienda = 0, userId = null, notas = '' }) {
+  const pasos = { sucesores: [], retirados: [], hacienda: null };
+  try {
+    if (!lote?.id) throw new Error('lote es requerido');
+    if (!piezas || piezas.length < 2) throw new Error('La división debe generar al menos 2 lotes');
+    if (piezas.some((pieza) => !pieza.nombre?.trim())) throw new Error('Todos los lotes nuevos requieren nombre');
+
+    const atributos = heredarAtributos(lote);
+    const sucesores = pasos.sucesores;
+
+    for (const pieza of piezas) {
+      sucesores.push(await insertarLote({
+        ...atributos,
+        name: pieza.nombre.trim(),
+        polygon_data: pieza.polygon_data,
+        area_hectares: calcularSuperficie(pieza.polygon_data)
+      }));
+    }
+
+    const { error: genealogyError } = await supabase
+      .from('lot_genealogy')
+      .insert(sucesores.map((sucesor) => ({
+        firm_id: lote.firm_id,
+        premise_id: lote.premise_id,
+        parent_lot_id: lote.id,
+        child_lot_id: sucesor.id,
+        operation: 'split',
+        parent_area_hectares: lote.area_hectares,
+        child_area_hectares: sucesor.area_hectares,
+        notes: notas || null,
+        created_by: userId
+      })));
+    if (genealogyError) throw genealogyError;
+
+    const destino = sucesores[indiceDestinoHacienda] || sucesores[0];
+    pasos.hacienda = await obtenerHacienda([lote.id]);
+    await reubicarHacienda([lote.id], destino.id);
+    await retirarLote(lote.id);
+    pasos.retirados.push(lote.id);
+
+    return sucesores;
+  } catch (error) {
+    console.error('Error en dividirLote:', error);
+    await deshacerOperacion(pasos);
+    throw error;
+  }
+}
+
+/**
+ * Une varios lotes en uno nuevo
+ * @param {Object} params
+ * @param {Array} params.lotes - Lotes a unir (mínimo 2, mismo predio)
+ * @param {string} params.nombre - Nombre del lote resultante
+ * @param {Array|Object} params.polygonData - Polígono unido (unirPoligonos)
+ * @param {string} params.userId - Usuario que realiza la operación
+ * @param {string} params.notas - Motivo (ej: "Se sacó el alambrado divisorio")
+ * @returns {Promise<Object>} Lote sucesor creado
+ */
+export async function unirLotes({ lotes, nombre, polygonData, userId = null, notas = '' }) {
+  const pasos = { sucesores: [], retirados: [], hacienda: null };
+  try {
+    if (!lotes || lotes.length < 2) throw new Error('Seleccione al menos 2 lotes para unir');
+    if (!nombre?.trim()) throw new Error('nombre es requerido');
+    if (new Set(lotes.map((l) => l.premise_id)).size > 1) {
+      throw new Error('Solo se pueden unir lotes del mismo predio');
+    }
+
+    // El lote de mayor superficie define los atributos agronómicos del resultado
+    const principal = [...lotes].sort(
+      (a, b) => (parseFloat(b.area_hectares) || 0) - (parseFloat(a.area_hectares) || 0)
+    )[0];
+
+    const sucesor = await insertarLote({
+      ...heredarAtributos(principal),
+      name: nombre.trim(),
+      polygon_data: polygonData,
+      area_hectares: polygonData
+        ? calcularSuperficie(polygonData)
+        : lotes.reduce((sum, l) => sum + (parseFloat(l.area_hectares) || 0), 0)
+    });
+    pasos.sucesores.push(sucesor);
+
+    const { error: genealogyError } = await supabase
+      .from('lot_genealogy')
+      .insert(lotes.map((lote) => ({
+        firm_id: lote.firm_id,
+        premise_id: lote.premise_id,
+        parent_lot_id: lote.id,
+        child_lot_id: sucesor.id,
+        operation: 'merge',
+        parent_area_hectares: lote.area_hectares,
+        child_area_hectares: sucesor.area_hectares,
+        notes: notas || null,
+        created_by: userId
+      })));
+    if (genealogyError) throw genealogyError;
+
+    const ids = lotes.map((l) => l.id);
+    pasos.hacienda = await obtenerHacienda(ids);
+    await reubicarHacienda(ids, sucesor.id);
+    for (const id of ids) {
+      await retirarLote(id);
+      pasos.retirados.push(id);
+    }
+
+    return sucesor;
+  } catch (error) {
+    console.error('Error en unirLotes:', error);
+    await deshacerOperacion(pasos);
+    throw error;
+  }
+}
+
+/**
+ * Obtiene todas las relaciones padre/hijo de un predio
+ * @param {string} premiseId - ID del predio
+ * @returns {Promise<Array>} Filas de lot_genealogy
+ */
+export async function obtenerGenealogiaPredio(premiseId) {
+  try {
+    if (!premiseId) throw new Error('premiseId es requerido');
+
+    const { data, error } = await supabase
+      .from('lot_genealogy')
+      .select('*')
+      .eq('premise_id', premiseId)
+      .order('created_at', { ascending: true });
+
+    if (error) throw error;
+    return data || [];
+  } catch (error) {
+    console.error('Error en obtenerGenealogiaPredio:', error);
+    throw error;
+  }
+}
+
+/**
+ * Recorre la genealogía en una dirección hasta agotar generaciones
+ */
+async function recorrerGenealogia(lotId, columnaOrigen, columnaDestino) {
+  const visitados = new Set([lotId]);
+  let frontera = [lotId];
+
+  while (frontera.length > 0) {
+    const { data, error } = await supabase
+      .from('lot_genealogy')
+      .select(`${columnaOrigen}, ${columnaDestino}`)
+      .in(columnaOrigen, frontera);
+
+    if (error) throw error;
+
+    frontera = (data || [])
+      .map((fila) => fila[columnaDestino])
+      .filter((id) => !visitados.has(id));
+    frontera.forEach((id) => visitados.add(id));
+  }
+
+  visitados.delete(lotId);
+  return [...visitados];
+}
+
+/**
+ * Obtiene los ancestros y descendientes de un lote
+ * @param {string} lotId - ID del lote
+ * @returns {Promise<Object>} { ancestros: string[], descendientes: string[] }
+ */
+export async function obtenerLinaje(lotId) {
+  try {
+    if (!lotId) throw new Error('lotId es requerido');
+
+    const [ancestros, descendientes] = await Promise.all([
+      recorrerGenealogia(lotId, 'child_lot_id', 'parent_lot_id'),
+      recorrerGenealogia(lotId, 'parent_lot_id', 'child_lot_id')
+    ]);
+
+    return { ancestros, descendientes };
+  } catch (error) {
+    console.error('Error en obtenerLinaje:', error);
+    throw error;
+  }
+}
+
+/**
+ * IDs del lote más todo su linaje, para consultar historial (NDVI, trabajos, monitoreos)
+ * @param {string} lotId - ID del lote
+ * @returns {Promise<Array>} [lotId, ...ancestros, ...descendientes]
+ */
+export async function obtenerIdsLinaje(lotId) {
+  const { ancestros, descendientes } = await obtenerLinaje(lotId);
+  return [lotId, ...ancestros, ...descendientes];
+}
+
+/**
+ * Calcula cómo se reparte el historial de cada lote retirado entre los lotes activos.
+ * En una división el historial del padre se prorratea por superficie entre los hijos;
+ * en una unión pasa completo al lote resultante.
+ * @param {Array} genealogia - Filas de lot_genealogy (obtenerGenealogiaPredio)
+ * @param {Set<string>} idsActivos - IDs de lotes activos
+ * @returns {Object} { [lotIdRetirado]: { [lotIdActivo]: fracción } }
+ */
+export function calcularRepartoSucesores(genealogia, idsActivos) {
+  const hijosPorPadre = {};
+  genealogia.forEach((fila) => {
+    if (!hijosPorPadre[fila.parent_lot_id]) hijosPorPadre[fila.parent_lot_id] = [];
+    hijosPorPadre[fila.parent_lot_id].push(fila);
+  });
+
+  const cache = {};
+  const repartir = (lotId, visitados = new Set()) => {
+    if (cache[lotId]) return cache[lotId];
+    if (idsActivos.has(lotId) || !hijosPorPadre[lotId] || visitados.has(lotId)) {
+      return { [lotId]: 1 };
+    }
+    visitados.add(lotId);
+
+    const hijos = hijosPorPadre[lotId];
+    const superficieHijos = hijos.reduce((sum, h) => sum + (parseFloat(h.child_area_hectares) || 0), 0);
+    const reparto = {};
+
+    hijos.forEach((hijo) => {
+      const fraccion = superficieHijos > 0
+        ? (parseFloat(hijo.child_area_hectares) || 0) / superficieHijos
+        : 1 / hijos.length;
+
+      Object.entries(repartir(hijo.child_lot_id, visitados)).forEach(([id, f]) => {
+        reparto[id] = (reparto[id] || 0) + fraccion * f;
+      });
+    });
+
+    cache[lotId] = reparto;
+    return reparto;
+  };
+
+  return Object.keys(hijosPorPadre).reduce((acc, padreId) => {
+    if (!idsActivos.has(padreId)) acc[padreId] = repartir(padreId);
+    return acc;
+  }, {});
+}
@@ -0,0 +1,283 @@
+/**
+ * Importación masiva de límites de lotes desde archivos geoespaciales
+ * Formatos soportados: KML, KMZ (Google Earth), Shapefile comprimido (.zip) y GeoJSON
+ *
+ * Flujo:
+ * 1. parsearArchivoLimites(file) → FeatureCollection normalizada
+ * 2. extraerPoligonos(featureCollection) → candidatos con área y nombre sugerido
+ * 3. validarCandidatos(candidatos, lotesExistentes) → marca solapamientos y duplicados
+ * 4. El wizard crea los lotes válidos con crearLote
+ */
+
+import JSZip from 'jszip';
+import shp from 'shpjs';
+import { kml } from '@tmcw/togeojson';
+import {
+  calcularSuperficie,
+  calcularCentroide,
+  verificarSolapamiento,
+  normalizarPoligonoLote,
+  describirGeometria
+} from './geospatial';
+
+export const FORMATOS_IMPORTACION = {
+  geojson: { label: 'GeoJSON', extensiones: ['geojson', 'json'] },
+  kml: { label: 'KML (Google Earth)', extensiones: ['kml'] },
+  kmz: { label: 'KMZ (Google Earth comprimido)', extensiones: ['kmz'] },
+  shapefile: { label: 'Shapefile (.zip con .shp, .dbf, .prj)', extensiones: ['zip'] }
+};
+
+// Atributos habituales donde los agrimensores y Google Earth guardan el nombre del polígono
+const CAMPOS_NOMBRE = ['name', 'Name', 'NAME', 'nombre', 'Nombre', 'NOMBRE', 'lote', 'Lote', 'LOTE', 'potrero', 'Potrero', 'POTRERO', 'id', 'ID'];
+
+/**
+ * Detecta el formato de un archivo a partir de su extensión
+ * @param {File} file - Archivo seleccionado por el usuario
+ * @returns {string|null} Clave de FORMATOS_IMPORTACION o null si no es soportado
+ */
+export function detectarFormato(file) {
+  const extension = file?.name?.split('.').pop()?.toLowerCase();
+  if (!extension) return null;
+
+  const formato = Object.entries(FORMATOS_IMPORTACION)
+    .find(([, config]) => config.extensiones.includes(extension));
+
+  return formato ? formato[0] : null;
+}
+
+/**
+ * Convierte texto KML en FeatureCollection
+ */
+function parsearKML(texto) {
+  const documento = new DOMParser().parseFromString(texto, 'text/xml');
+  if (documento.getElementsByTagName('parsererror').length > 0) {
+    throw new Error('El archivo KML no es un XML válido');
+  }
+  return kml(documento);
+}
+
+/**
+ * Extrae el primer .kml de un KMZ (zip) y lo parsea
+ */
+async function parsearKMZ(buffer) {
+  const zip = await JSZip.loadAsync(buffer);
+  const entradaKml = Object.values(zip.files).find(
+    (entrada) => !entrada.dir && entrada.name.toLowerCase().endsWith('.kml')
+  );
+
+  if (!entradaKml) {
+    throw new Error('El archivo KMZ no contiene ningún documento KML');
+  }
+
+  return parsearKML(await entradaKml.async('string'));
+}
+
+/**
+ * Parsea un Shapefile comprimido. shpjs reproyecta a WGS84 usando el .prj
+ */
+async function parsearShapefile(buffer) {
+  const resultado = await shp(buffer);
+
+  // Un zip con varias capas devuelve un array de FeatureCollections
+  if (Array.isArray(resultado)) {
+    return {
+      type: 'FeatureCollection',
+      features: resultado.flatMap((capa) => capa.features || [])
+    };
+  }
+
+  return resultado;
+}
+
+/**
+ * Normaliza cualquier objeto GeoJSON a FeatureCollection
+ */
+function normalizarGeoJSON(geojson) {
+  if (!geojson || typeof geojson !== 'object') {
+    throw new Error('El archivo no contiene GeoJSON válido');
+  }
+
+  if (geojson.type === 'FeatureCollection') return geojson;
+  if (geojson.type === 'Feature') return { type: 'FeatureCollection', features: [geojson] };
+  if (geojson.type === 'Polygon' || geojson.type === 'MultiPolygon') {
+    return {
+      type: 'FeatureCollection',
+      features: [{ type: 'Feature', properties: {}, geometry: geojson }]
+    };
+  }
+
+  throw new Error(`Tipo GeoJSON no soportado: ${geojson.type}`);
+}
+
+/**
+ * Lee un archivo de límites y lo convierte en FeatureCollection (coordenadas [lng, lat])
+ * @param {File} file - Archivo KML, KMZ, Shapefile (.zip) o GeoJSON
+ * @returns {Promise<Object>} FeatureCollection
+ */
+export async function parsearArchivoLimites(file) {
+  try {
+    const formato = detectarFormato(file);
+    if (!formato) {
+      throw new Error('Formato no soportado. Use KML, KMZ, Shapefile (.zip) o GeoJSON');
+    }
+
+    switch (formato) {
+      case 'geojson':
+        return normalizarGeoJSON(JSON.parse(await file.text()));
+      case 'kml':
+        return parsearKML(await file.text());
+      case 'kmz':
+        return await parsearKMZ(await file.arrayBuffer());
+      case 'shapefile':
+        return await parsearShapefile(await file.arrayBuffer());
+      default:
+        throw new Error('Formato no soportado');
+    }
+  } catch (error) {
+    console.error('Error en parsearArchivoLimites:', error);
+    throw error;
+  }
+}
+
+/**
+ * Obtiene el nombre sugerido para un polígono a partir de sus atributos
+ */
+function obtenerNombreFeature(properties, indice) {
+  const props = properties || {};
+  for (const campo of CAMPOS_NOMBRE) {
+    const valor = props[campo];
+    if (valor !== undefined && valor !== null && String(valor).trim() !== '') {
+      return String(valor).trim();
+    }
+  }
+  return `Lote importado ${indice + 1}`;
+}
+
+/**
+ * Quita la altitud de las coordenadas (KML trae [lng, lat, alt])
+ */
+function aplanarAnillos(anillos) {
+  return anillos
+    .filter((anillo) => Array.isArray(anillo) && anillo.length >= 4)
+    .map((anillo) => anillo.map((coord) => [coord[0], coord[1]]));
+}
+
+/**
+ * Extrae los polígonos importables de una FeatureCollection.
+ * Cada Feature es un candidato; los MultiPolygon y los anillos interiores (lagunas,
+ * montes) se conservan para que queden fuera de la superficie productiva.
+ * @param {Object} featureCollection - FeatureCollection con coordenadas [lng, lat]
+ * @returns {Array} Candidatos { key, nombre, polygon_data, geometry, area_hectares, centroide, advertencias, propiedades }
+ */
+export function extraerPoligonos(featureCollection) {
+  const candidatos = [];
+
+  (featureCollection?.features || []).forEach((feature, indice) => {
+    const geometria = feature?.geometry;
+    if (!geometria) return;
+
+    let poligonos = [];
+    if (geometria.type === 'Polygon') {
+      poligonos = [geometria.coordinates];
+    } else if (geometria.type === 'MultiPolygon') {
+      poligonos = geometria.coordinates;
+    } else if (geometria.type === 'GeometryCollection') {
+      poligonos = (geometria.geometries || [])
+        .filter((g) => g.type === 'Polygon')
+        .map((g) => g.coordinates);
+    }
+
+    const partes = poligonos
+      .map(aplanarAnillos)
+      .filter((anillos) => anillos.length > 0);
+
+    if (partes.length === 0) return;
+
+    const geometry = partes.length === 1
+      ? { type: 'Polygon', coordinates: partes[0] }
+      : { type: 'MultiPolygon', coordinates: partes };
+
+    const polygonData = normalizarPoligonoLote(geometry);
+    if (!polygonData) return;
+
+    const { partes: cantidadPartes, huecos } = describirGeometria(polygonData);
+    const advertencias = [];
+    if (cantidadPartes > 1) advertencias.push(`${cantidadPartes} partes separadas`);
+    if (huecos > 0) advertencias.push(`${huecos} hueco(s) excluido(s) de la superficie`);
+
+    candidatos.push({
+      key: String(indice),
+      nombre: obtenerNombreFeature(feature.properties, indice),
+      polygon_data: polygonData,
+      geometry,
+      area_hectares: calcularSuperficie(polygonData),
+      centroide: calcularCentroide(polygonData),
+      advertencias,
+      propiedades: feature.properties || {}
+    });
+  });
+
+  return candidatos;
+}
+
+/**
+ * Valida los candidatos contra los lotes existentes del predio y entre sí
+ * @param {Array} candidatos - Resultado de extraerPoligonos
+ * @param {Array} lotesExistentes - Lotes activos del predio (con polygon_data)
+ * @returns {Array} Candidatos con { errores, valido }
+ */
+export function validarCandidatos(candidatos, lotesExistentes = []) {
+  const nombresExistentes = new Set(
+    lotesExistentes.map((lote) => lote.name?.trim().toLowerCase()).filter(Boolean)
+  );
+
+  return candidatos.map((candidato, indice) => {
+    const errores = [];
+
+    if (!candidato.nombre?.trim()) {
+      errores.push('Nombre requerido');
+    } else if (nombresExistentes.has(candidato.nombre.trim().toLowerCase())) {
+      errores.push('Ya existe un lote con este nombre');
+    }
+
+    if (!candidato.area_hectares || candidato.area_hectares <= 0) {
+      errores.push('Polígono sin superficie');
+    }
+
+    const loteSolapado = verificarSolapamiento(candidato.polygon_data, lotesExistentes);
+    if (loteSolapado) {
+      errores.push(`Se solapa con el lote "${loteSolapado.name}"`);
+    }
+
+    // Solapamiento con otros candidatos anteriores del mismo archivo
+    const anteriores = candidatos.slice(0, indice).map((c) => ({
+      id: c.key,
+      name: c.nombre,
+      polygon_data: c.polygon_data
+    }));
+    const candidatoSolapado = verificarSolapamiento(candidato.polygon_data, anteriores);
+    if (candidatoSolapado) {
+      errores.push(`Se solapa con "${candidatoSolapado.name}" del mismo archivo`);
+    }
+
+    return { ...candidato, errores, valido: errores.length === 0 };
+  });
+}
+
+/**
+ * Construye el registro para crearLote a partir de un candidato validado
+ * @param {Object} candidato - Candidato validado
+ * @param {Object} contexto - { firmId, premiseId, landUse }
+ * @returns {Object} Datos listos para crearLote
+ */
+export function construirLoteDesdeCandidato(candidato, { firmId, premiseId, landUse = '' }) {
+  return {
+    firm_id: firmId,
+    premise_id: premiseId,
+    name: candidato.nombre.trim(),
+    area_hectares: candidato.area_hectares,
+    land_use: landUse,
+    polygon_data: candidato.polygon_data,
+    is_depot: false
+  };
+}
@@ -52,6 +52,10 @@ export async function crearMaquinaria(maquinariaData) {
           year: maquinariaData.year || null,
           cost_per_hour: maquinariaData.cost_per_hour || 0,
           fuel_consumption_per_hour: maquinariaData.fuel_consumption_per_hour || null,
+          purchase_date: maquinariaData.purchase_date || null,
+          purchase_value: maquinariaData.purchase_value || null,
+          useful_life_years: maquinariaData.useful_life_years || 10,
+          residual_value: maquinariaData.residual_value || 0,
           notes: maquinariaData.notes || null,
           status: 'ACTIVE'
         }
@@ -101,6 +105,8 @@ export async function actualizarMaquinaria(id, updates) {
       total_hectares: updates.total_hectares !== undefined ? parseFloat(updates.total_hectares) : undefined,
       purchase_date: updates.purchase_date,
       purchase_value: updates.purchase_value !== undefined ? parseFloat(updates.purchase_value) : undefined,
+      useful_life_years: updates.useful_life_years !== undefined ? parseInt(updates.useful_life_years) : undefined,
+      residual_value: updates.residual_value !== undefined ? parseFloat(updates.residual_value) : undefined,
       license_plate: updates.license_plate,
       insurance_policy: updates.insurance_policy,
       insurance_expiry: updates.insurance_expiry
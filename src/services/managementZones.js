@@ -0,0 +1,699 @@
+/**
+ * Zonas de manejo por lote
+ * - Historial NDVI píxel a píxel (Sentinel Hub Process API), cada fecha normalizada por su media
+ *   para que las zonas reflejen diferencias estables de potencial y no el momento del cultivo
+ * - Muestras de suelo georreferenciadas (CSV del laboratorio) interpoladas por IDW a la grilla
+ * - Agrupamiento k-means de las celdas en N zonas, filtro de mayoría y polígono por zona
+ * Tablas: management_zone_maps (add_vra_prescriptions.sql)
+ */
+
+import { booleanPointInPolygon, point, bbox, area, union, intersect, featureCollection, polygon } from '@turf/turf';
+import { supabase } from '../lib/supabase';
+import { SENTINEL_HUB_CONFIG } from '../lib/sentinelHub.config';
+import { getAccessToken } from './sentinelAuth';
+import { registrarAuditoria } from './registros';
+import { aGeometriaGeoJSON } from './geospatial';
+import {
+  leerLineas,
+  detectarSeparador,
+  separarCampos,
+  parsearNumero,
+  normalizarTexto,
+  buscarColumna
+} from '../lib/csvParsing';
+import { redondear, media } from '../lib/numeros';
+
+export const ZONAS_MIN = 2;
+export const ZONAS_MAX = 6;
+
+export const TAMANOS_CELDA = [10, 20, 30];
+
+const ETIQUETAS_ZONAS = {
+  2: ['Baja', 'Alta'],
+  3: ['Baja', 'Media', 'Alta'],
+  4: ['Baja', 'Media-baja', 'Media-alta', 'Alta'],
+  5: ['Muy baja', 'Baja', 'Media', 'Alta', 'Muy alta']
+};
+
+export const COLORES_ZONAS = ['#d7191c', '#fdae61', '#ffffbf', '#a6d96a', '#1a9641', '#006837'];
+
+// Una imagen con menos cobertura válida dentro del lote (nubes) no entra al índice
+const COBERTURA_MINIMA_IMAGEN = 0.6;
+const MAX_PIXELES_LADO = 2500;
+
+export const COLUMNAS_COORDENADAS = {
+  lat: ['lat', 'latitud', 'latitude', 'y'],
+  lng: ['lng', 'lon', 'long', 'longitud', 'longitude', 'x']
+};
+const COLUMNAS_IDENTIFICADOR = /^(id|muestra|nro|numero|n|punto|sample|codigo|fecha|profundidad)\b/;
+
+/**
+ * Evalscript del raster NDVI: NDVI escalado a 0-255 en la banda gris y transparencia en
+ * píxeles sin dato, nubes, sombras de nube o nieve según la clasificación de escena (SCL)
+ */
+const EVALSCRIPT_NDVI_RASTER = `
+//VERSION=3
+function setup() {
+  return {
+    input: [{ bands: ["B04", "B08", "SCL", "dataMask"] }],
+    output: { bands: 2, sampleType: "UINT8" }
+  };
+}
+
+const EXCLUIDOS = [3, 8, 9, 10, 11];
+
+function evaluatePixel(s) {
+  const ndvi = (s.B08 - s.B04) / (s.B08 + s.B04);
+  if (s.dataMask !== 1 || EXCLUIDOS.indexOf(s.SCL) !== -1 || !isFinite(ndvi)) {
+    return [0, 0];
+  }
+  return [Math.round((ndvi + 1) * 127.5), 255];
+}
+`;
+
+/**
+ * Grilla regular sobre el rectángulo del lote, alineada con el raster que devuelve Sentinel Hub
+ * (fila 0 = norte). Solo se conservan las celdas cuyo centro cae dentro del lote.
+ * @param {Array|Object} poligono - polygon_data del lote
+ * @param {number} tamanoCeldaM - Lado de la celda en metros
+ * @returns {Object} { bbox, ancho, alto, dx, dy, geometria, celdas: [{ fila, col, lat, lng }] }
+ */
+export function crearGrillaLote(poligono, tamanoCeldaM = 20) {
+  const geometria = aGeometriaGeoJSON(poligono);
+  if (!geometria) throw new Error('El lote no tiene polígono definido');
+
+  const [minLng, minLat, maxLng, maxLat] = bbox(geometria);
+  const latMedia = (minLat + maxLat) / 2;
+  const metrosLng = (maxLng - minLng) * 111320 * Math.cos((latMedia * Math.PI) / 180);
+  const metrosLat = (maxLat - minLat) * 111320;
+
+  const ancho = Math.min(MAX_PIXELES_LADO, Math.max(1, Math.ceil(metrosLng / tamanoCeldaM)));
+  const alto = Math.min(MAX_PIXELES_LADO, Math.max(1, Math.ceil(metrosLat / tamanoCeldaM)));
+  const dx = (maxLng - minLng) / ancho;
+  const dy = (maxLat - minLat) / alto;
+
+  const celdas = [];
+  for (let fila = 0; fila < alto; fila++) {
+    for (let col = 0; col < ancho; col++) {
+      const lng = minLng + (col + 0.5) * dx;
+      const lat = maxLat - (fila + 0.5) * dy;
+      if (booleanPointInPolygon(point([lng, lat]), geometria)) {
+        celdas.push({ fila, col, lat, lng });
+      }
+    }
+  }
+
+  return { bbox: [minLng, minLat, maxLng, maxLat], ancho, alto, dx, dy, geometria, celdas };
+}
+
+/**
+ * Elige las fechas del historial NDVI del lote: la de mayor NDVI medio de cada campaña
+ * (julio a junio), que corresponde al cultivo en plena cobertura
+ * @param {Array} historial - Filas de ndvi_history
+ * @param {number} cantidad - Campañas a considerar (las más recientes)
+ * @returns {Array<string>} Fechas YYYY-MM-DD
+ */
+export function seleccionarFechasNDVI(historial, cantidad = 4) {
+  const porCampania = {};
+  (historial || []).forEach((registro) => {
+    const valor = parseFloat(registro.mean_ndvi ?? registro.ndvi_value);
+    if (!registro.date || !Number.isFinite(valor)) return;
+
+    const [anio, mes] = registro.date.split('-').map(Number);
+    const campania = mes >= 7 ? anio : anio - 1;
+    if (!porCampania[campania] || valor > porCampania[campania].valor) {
+      porCampania[campania] = { fecha: registro.date, valor };
+    }
+  });
+
+  return Object.keys(porCampania)
+    .sort((a, b) => b - a)
+    .slice(0, cantidad)
+    .map((campania) => porCampania[campania].fecha)
+    .sort();
+}
+
+async function decodificarPNG(blob) {
+  const imagen = await createImageBitmap(blob, { premultiplyAlpha: 'none', colorSpaceConversion: 'none' });
+  const canvas = document.createElement('canvas');
+  canvas.width = imagen.width;
+  canvas.height = imagen.height;
+  const ctx = canvas.getContext('2d');
+  ctx.drawImage(imagen, 0, 0);
+  return ctx.getImageData(0, 0, imagen.width, imagen.height).data;
+}
+
+/**
+ * Descarga el raster NDVI del lote para una fecha (o ventana de fechas)
+ * @param {Object} grilla - Resultado de crearGrillaLote
+ * @param {string} desde - YYYY-MM-DD
+ * @param {string} hasta - YYYY-MM-DD
+ * @returns {Promise<Object>} { fecha, pixeles: RGBA de ancho x alto }
+ */
+export async function descargarRasterNDVI(grilla, desde, hasta = desde) {
+  const accessToken = await getAccessToken();
+
+  const response = await fetch(SENTINEL_HUB_CONFIG.PROCESS_API_URL, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      Accept: 'image/png',
+      Authorization: `Bearer ${accessToken}`
+    },
+    body: JSON.stringify({
+      input: {
+        bounds: {
+          bbox: grilla.bbox,
+          properties: { crs: 'http://www.opengis.net/def/crs/EPSG/0/4326' }
+        },
+        data: [{
+          type: 'sentinel-2-l2a',
+          dataFilter: {
+            timeRange: { from: `${desde}T00:00:00Z`, to: `${hasta}T23:59:59Z` },
+            maxCloudCoverage: 100,
+            mosaickingOrder: 'leastCC'
+          }
+        }]
+      },
+      output: {
+        width: grilla.ancho,
+        height: grilla.alto,
+        responses: [{ identifier: 'default', format: { type: 'image/png' } }]
+      },
+      evalscript: EVALSCRIPT_NDVI_RASTER
+    })
+  });
+
+  if (!response.ok) {
+    const errorText = await response.text();
+    throw new Error(`Process API error: ${response.status} - ${errorText}`);
+  }
+
+  return { fecha: desde, pixeles: await decodificarPNG(await response.blob()) };
+}
+
+/**
+ * Descarga los rasters NDVI de las fechas pico del historial del lote.
+ * Sin historial se usa la mejor imagen de las últimas campañas a la misma altura del año.
+ * @param {Object} lote - Lote con id y polygon_data
+ * @param {Object} grilla - Resultado de crearGrillaLote
+ * @param {Object} opciones - { cantidad, onProgress(actual, total) }
+ * @returns {Promise<Array>} [{ fecha, pixeles }]
+ */
+export async function obtenerImagenesNDVI(lote, grilla, opciones = {}) {
+  const cantidad = opciones.cantidad || 4;
+
+  try {
+    const { data: historial, error } = await supabase
+      .from('ndvi_history')
+      .select('*')
+      .eq('lot_id', lote.id)
+      .order('date', { ascending: true });
+
+    if (error) throw error;
+
+    let ventanas = seleccionarFechasNDVI(historial, cantidad).map((fecha) => [fecha, fecha]);
+    if (ventanas.length === 0) {
+      const hoy = new Date();
+      ventanas = Array.from({ length: cantidad }, (_, i) => {
+        const hasta = new Date(hoy.getFullYear() - i, hoy.getMonth(), hoy.getDate());
+        const desde = new Date(hasta);
+        desde.setDate(desde.getDate() - 45);
+        return [desde.toISOString().split('T')[0], hasta.toISOString().split('T')[0]];
+      });
+    }
+
+    const imagenes = [];
+    for (let i = 0; i < ventanas.length; i++) {
+      opciones.onProgress?.(i + 1, ventanas.length);
+      try {
+        imagenes.push(await descargarRasterNDVI(grilla, ventanas[i][0], ventanas[i][1]));
+      } catch (err) {
+        console.warn(`Imagen NDVI ${ventanas[i][0]} no disponible:`, err.message);
+      }
+    }
+    return imagenes;
+  } catch (error) {
+    console.error('Error en obtenerImagenesNDVI:', error);
+    throw error;
+  }
+}
+
+/**
+ * Índice NDVI relativo por celda: cada imagen se divide por su propia media dentro del lote y
+ * se promedian las imágenes. 1.10 = la celda rinde un 10% por encima del promedio del lote.
+ * @param {Object} grilla - Resultado de crearGrillaLote
+ * @param {Array} imagenes - [{ fecha, pixeles }] con el mismo ancho/alto que la grilla
+ * @returns {Object} { indices: Array (por celda, null sin dato), ndviMedio: Array, fechasUsadas }
+ */
+export function calcularIndiceNDVI(grilla, imagenes) {
+  const sumaRelativa = new Array(grilla.celdas.length).fill(0);
+  const sumaNDVI = new Array(grilla.celdas.length).fill(0);
+  const cuenta = new Array(grilla.celdas.length).fill(0);
+  const fechasUsadas = [];
+
+  (imagenes || []).forEach(({ fecha, pixeles }) => {
+    const valores = grilla.celdas.map(({ fila, col }) => {
+      const k = (fila * grilla.ancho + col) * 4;
+      return pixeles[k + 3] > 0 ? pixeles[k] / 127.5 - 1 : null;
+    });
+    const validos = valores.filter((v) => v !== null);
+    const mediaImagen = media(validos);
+
+    if (validos.length < grilla.celdas.length * COBERTURA_MINIMA_IMAGEN || !(mediaImagen > 0)) return;
+
+    fechasUsadas.push(fecha);
+    valores.forEach((v, i) => {
+      if (v === null) return;
+      sumaRelativa[i] += v / mediaImagen;
+      sumaNDVI[i] += v;
+      cuenta[i] += 1;
+    });
+  });
+
+  return {
+    indices: cuenta.map((n, i) => (n > 0 ? sumaRelativa[i] / n : null)),
+    ndviMedio: cuenta.map((n, i) => (n > 0 ? sumaNDVI[i] / n : null)),
+    fechasUsadas
+  };
+}
+
+/**
+ * Lee el CSV de muestras de suelo georreferenciadas del laboratorio.
+ * Requiere columnas de latitud y longitud; el resto de las columnas numéricas son variables (P, K, pH, MO...)
+ * @param {string} texto - Contenido del CSV
+ * @returns {Object} { muestras: [{ lat, lng, valores: { P: 12, ... } }], variables: [...], errores }
+ */
+export function parsearMuestrasSuelo(texto) {
+  const lineas = leerLineas(texto);
+  if (lineas.length < 2) {
+    return { muestras: [], variables: [], errores: ['El archivo no tiene filas de datos'] };
+  }
+
+  const separador = detectarSeparador(lineas[0]);
+  const crudos = separarCampos(lineas[0], separador).map((h) => h.trim());
+  const encabezados = crudos.map((h) => normalizarTexto(h).replace(/[^a-z0-9]+/g, ' ').trim());
+
+  const indiceLat = buscarColumna(encabezados, COLUMNAS_COORDENADAS.lat, { prefijo: false });
+  const indiceLng = buscarColumna(encabezados, COLUMNAS_COORDENADAS.lng, { prefijo: false });
+  if (indiceLat < 0 || indiceLng < 0) {
+    return { muestras: [], variables: [], errores: ['No se encontraron las columnas de latitud y longitud'] };
+  }
+
+  const filas = lineas.slice(1).map((linea) => separarCampos(linea, separador));
+
+  // Variables: columnas con al menos la mitad de valores numéricos que no sean identificadores
+  const variables = crudos
+    .map((nombre, indice) => ({ nombre, indice }))
+    .filter(({ indice }) => indice !== indiceLat && indice !== indiceLng)
+    .filter(({ indice }) => !COLUMNAS_IDENTIFICADOR.test(encabezados[indice]))
+    .filter(({ indice }) => {
+      const numericos = filas.filter((fila) => Number.isFinite(parsearNumero(fila[indice]))).length;
+      return numericos >= filas.length / 2;
+    });
+
+  const errores = [];
+  const muestras = [];
+  filas.forEach((fila, i) => {
+    const lat = parsearNumero(fila[indiceLat]);
+    const lng = parsearNumero(fila[indiceLng]);
+    if (!Number.isFinite(lat) || !Number.isFinite(lng) || Math.abs(lat) > 90 || Math.abs(lng) > 180) {
+      errores.push(`Fila ${i + 2}: coordenadas inválidas`);
+      return;
+    }
+
+    const valores = {};
+    variables.forEach(({ nombre, indice }) => {
+      const valor = parsearNumero(fila[indice]);
+      if (Number.isFinite(valor)) valores[nombre] = valor;
+    });
+    muestras.push({ lat, lng, valores });
+  });
+
+  return { muestras, variables: variables.map((v) => v.nombre), errores };
+}
+
+/**
+ * Interpolación por distancia inversa ponderada (potencia 2) de una variable de suelo
+ * a los centros de celda
+ * @param {Array} muestras - [{ lat, lng, valores }]
+ * @param {string} variable - Nombre de la variable
+ * @param {Array} celdas - [{ lat, lng }]
+ * @returns {Array<number|null>} Valor interpolado por celda
+ */
+export function interpolarIDW(muestras, variable, celdas) {
+  const puntos = (muestras || []).filter((m) => Number.isFinite(m.valores?.[variable]));
+  if (puntos.length === 0) return celdas.map(() => null);
+
+  const cosLat = Math.cos((puntos[0].lat * Math.PI) / 180);
+
+  return celdas.map(({ lat, lng }) => {
+    let sumaPesos = 0;
+    let sumaValores = 0;
+    for (const p of puntos) {
+      const d2 = (p.lat - lat) ** 2 + ((p.lng - lng) * cosLat) ** 2;
+      if (d2 === 0) return p.valores[variable];
+      const peso = 1 / d2;
+      sumaPesos += peso;
+      sumaValores += peso * p.valores[variable];
+    }
+    return sumaValores / sumaPesos;
+  });
+}
+
+/**
+ * k-means sobre variables estandarizadas. Los centros iniciales son cuantiles de la primera
+ * variable (NDVI cuando está disponible), así el resultado es reproducible.
+ * @param {Array<Array<number>>} vectores - Un vector de variables por celda
+ * @param {number} k - Cantidad de zonas
+ * @returns {Array<number>} Zona (0..k-1) de cada vector
+ */
+export function agruparKMeans(vectores, k) {
+  const n = vectores.length;
+  const dimension = vectores[0]?.length || 0;
+  if (n === 0 || dimension === 0) return [];
+
+  const medias = Array.from({ length: dimension }, (_, d) => media(vectores.map((v) => v[d])));
+  const desvios = Array.from({ length: dimension }, (_, d) =>
+    Math.sqrt(media(vectores.map((v) => (v[d] - medias[d]) ** 2))) || 1
+  );
+  const datos = vectores.map((v) => v.map((x, d) => (x - medias[d]) / desvios[d]));
+
+  const ordenados = [...datos].sort((a, b) => a[0] - b[0]);
+  let centros = Array.from({ length: k }, (_, z) => [...ordenados[Math.floor(((z + 0.5) / k) * n)]]);
+  const asignacion = new Array(n).fill(-1);
+
+  for (let iteracion = 0; iteracion < 50; iteracion++) {
+    let cambios = 0;
+    datos.forEach((v, i) => {
+      let mejor = 0;
+      let mejorDistancia = Infinity;
+      centros.forEach((c, z) => {
+        const distancia = v.reduce((s, x, d) => s + (x - c[d]) ** 2, 0);
+        if (distancia < mejorDistancia) {
+          mejorDistancia = distancia;
+          mejor = z;
+        }
+      });
+      if (asignacion[i] !== mejor) {
+        asignacion[i] = mejor;
+        cambios++;
+      }
+    });
+    if (cambios === 0) break;
+
+    centros = centros.map((c, z) => {
+      const miembros = datos.filter((_, i) => asignacion[i] === z);
+      if (miembros.length === 0) return c;
+      return c.map((_, d) => media(miembros.map((v) => v[d])));
+    });
+  }
+
+  return asignacion;
+}
+
+// Vecinas de cada celda dentro del lote (índices en grilla.celdas)
+function vecinasDe(grilla, indice, { fila, col }) {
+  const vecinas = [];
+  for (let df = -1; df <= 1; df++) {
+    for (let dc = -1; dc <= 1; dc++) {
+      if ((df === 0 && dc === 0) || col + dc < 0 || col + dc >= grilla.ancho) continue;
+      const vecina = indice.get((fila + df) * grilla.ancho + (col + dc));
+      if (vecina !== undefined) vecinas.push(vecina);
+    }
+  }
+  return vecinas;
+}
+
+function indiceGrilla(grilla) {
+  return new Map(grilla.celdas.map((c, i) => [c.fila * grilla.ancho + c.col, i]));
+}
+
+function zonaMasVotada(zonas, vecinas) {
+  const conteo = {};
+  vecinas.forEach((v) => {
+    if (zonas[v] !== null) conteo[zonas[v]] = (conteo[zonas[v]] || 0) + 1;
+  });
+  const [zona, votos] = Object.entries(conteo).sort((a, b) => b[1] - a[1])[0] || [];
+  return zona !== undefined ? { zona: Number(zona), votos } : null;
+}
+
+/**
+ * Las celdas sin dato (nubes persistentes, bordes) toman la zona de sus vecinas,
+ * avanzando desde las celdas con dato hacia adentro
+ */
+function completarSinDato(grilla, zonaPorCelda) {
+  const zonas = [...zonaPorCelda];
+  const indice = indiceGrilla(grilla);
+  let pendientes = grilla.celdas.map((_, i) => i).filter((i) => zonas[i] === null);
+
+  while (pendientes.length > 0) {
+    const asignadas = pendientes
+      .map((i) => ({ i, mayoria: zonaMasVotada(zonas, vecinasDe(grilla, indice, grilla.celdas[i])) }))
+      .filter(({ mayoria }) => mayoria);
+    if (asignadas.length === 0) break;
+
+    asignadas.forEach(({ i, mayoria }) => { zonas[i] = mayoria.zona; });
+    pendientes = pendientes.filter((i) => zonas[i] === null);
+  }
+
+  // Islas sin ninguna celda con dato alrededor: a la zona más frecuente del lote
+  if (pendientes.length > 0) {
+    const frecuente = zonaMasVotada(zonas, zonas.map((_, i) => i))?.zona ?? 0;
+    pendientes.forEach((i) => { zonas[i] = frecuente; });
+  }
+  return zonas;
+}
+
+/**
+ * Filtro de mayoría 3x3: una celda aislada pasa a la zona de la mayoría de sus vecinas.
+ * Evita zonas "sal y pimienta" que la sembradora no puede seguir.
+ */
+function filtrarMayoria(grilla, zonaPorCelda, pasadas = 2) {
+  let zonas = [...zonaPorCelda];
+  const indice = indiceGrilla(grilla);
+
+  for (let pasada = 0; pasada < pasadas; pasada++) {
+    const siguiente = [...zonas];
+    grilla.celdas.forEach((celda, i) => {
+      const mayoria = zonaMasVotada(zonas, vecinasDe(grilla, indice, celda));
+      if (mayoria && mayoria.votos >= 5 && mayoria.zona !== zonas[i]) siguiente[i] = mayoria.zona;
+    });
+    zonas = siguiente;
+  }
+  return zonas;
+}
+
+/**
+ * Polígono de una zona: tramos horizontales de celdas contiguas unidos y recortados al lote
+ */
+function poligonizarZona(grilla, celdasZona) {
+  const [minLng, , , maxLat] = grilla.bbox;
+  const porFila = {};
+  celdasZona.forEach(({ fila, col }) => {
+    porFila[fila] = porFila[fila] || [];
+    porFila[fila].push(col);
+  });
+
+  const rectangulos = [];
+  Object.entries(porFila).forEach(([fila, columnas]) => {
+    columnas.sort((a, b) => a - b);
+    let inicio = columnas[0];
+    for (let i = 1; i <= columnas.length; i++) {
+      if (i < columnas.length && columnas[i] === columnas[i - 1] + 1) continue;
+      const fin = columnas[i - 1] + 1;
+      const norte = maxLat - Number(fila) * grilla.dy;
+      const sur = maxLat - (Number(fila) + 1) * grilla.dy;
+      const oeste = minLng + inicio * grilla.dx;
+      const este = minLng + fin * grilla.dx;
+      rectangulos.push(polygon([[[oeste, sur], [este, sur], [este, norte], [oeste, norte], [oeste, sur]]]));
+      inicio = columnas[i];
+    }
+  });
+
+  if (rectangulos.length === 0) return null;
+  const unido = rectangulos.length === 1 ? rectangulos[0] : union(featureCollection(rectangulos));
+  if (!unido) return null;
+  const recortado = intersect(featureCollection([unido, { type: 'Feature', properties: {}, geometry: grilla.geometria }]));
+  return recortado?.geometry || null;
+}
+
+/**
+ * Delimita las zonas de manejo del lote
+ * @param {Object} params
+ * @param {Object} params.grilla - Resultado de crearGrillaLote
+ * @param {Array} params.imagenes - Rasters NDVI (opcional)
+ * @param {Array} params.muestras - Muestras de suelo georreferenciadas (opcional)
+ * @param {Array<string>} params.variablesSuelo - Variables de suelo a considerar
+ * @param {number} params.cantidadZonas
+ * @returns {Object} { zonas: [{ zona, etiqueta, color, area_ha, celdas, promedios, geometry }], fechasNDVI, celdasSinDato }
+ */
+export function delimitarZonas({ grilla, imagenes = [], muestras = [], variablesSuelo = [], cantidadZonas = 3 }) {
+  if (cantidadZonas < ZONAS_MIN || cantidadZonas > ZONAS_MAX) {
+    throw new Error(`La cantidad de zonas debe estar entre ${ZONAS_MIN} y ${ZONAS_MAX}`);
+  }
+
+  const { indices, ndviMedio, fechasUsadas } = calcularIndiceNDVI(grilla, imagenes);
+  const usaNDVI = fechasUsadas.length > 0;
+  const capasSuelo = variablesSuelo.map((variable) => ({
+    variable,
+    valores: interpolarIDW(muestras, variable, grilla.celdas)
+  })).filter((capa) => capa.valores.some((v) => v !== null));
+
+  if (!usaNDVI && capasSuelo.length === 0) {
+    throw new Error('No hay imágenes NDVI válidas ni muestras de suelo para delimitar zonas');
+  }
+
+  // Solo se agrupan las celdas con dato en todas las capas
+  const conDato = grilla.celdas
+    .map((_, i) => i)
+    .filter((i) => (!usaNDVI || indices[i] !== null) && capasSuelo.every((capa) => capa.valores[i] !== null));
+
+  if (conDato.length < cantidadZonas * 3) {
+    throw new Error('El lote tiene muy pocas celdas con dato para la cantidad de zonas pedida');
+  }
+
+  const vectores = conDato.map((i) => [
+    ...(usaNDVI ? [indices[i]] : []),
+    ...capasSuelo.map((capa) => capa.valores[i])
+  ]);
+  const grupos = agruparKMeans(vectores, cantidadZonas);
+
+  const zonaPorCelda = new Array(grilla.celdas.length).fill(null);
+  conDato.forEach((i, j) => { zonaPorCelda[i] = grupos[j]; });
+
+  const filtradas = filtrarMayoria(grilla, completarSinDato(grilla, zonaPorCelda));
+
+  // Zona 1 = menor potencial: orden por el índice NDVI o, sin NDVI, por la primera variable de suelo
+  const primaria = usaNDVI ? indices : capasSuelo[0].valores;
+  const orden = Array.from({ length: cantidadZonas }, (_, z) => z)
+    .map((z) => ({ z, valor: media(filtradas.map((zona, i) => (zona === z ? primaria[i] : null)).filter((v) => v !== null)) }))
+    .filter((g) => g.valor !== null)
+    .sort((a, b) => a.valor - b.valor)
+    .map((g) => g.z);
+
+  const etiquetas = ETIQUETAS_ZONAS[orden.length] || orden.map((_, i) => `Zona ${i + 1}`);
+
+  const zonas = orden.map((z, posicion) => {
+    const indicesZona = filtradas.map((zona, i) => (zona === z ? i : -1)).filter((i) => i >= 0);
+    const geometry = poligonizarZona(grilla, indicesZona.map((i) => grilla.celdas[i]));
+    const promediar = (valores) => {
+      const m = media(indicesZona.map((i) => valores[i]).filter((v) => v !== null));
+      return m !== null ? redondear(m, 3) : null;
+    };
+
+    const promedios = {};
+    if (usaNDVI) {
+      promedios.indice_ndvi = promediar(indices);
+      promedios.ndvi = promediar(ndviMedio);
+    }
+    capasSuelo.forEach((capa) => { promedios[capa.variable] = promediar(capa.valores); });
+
+    return {
+      zona: posicion + 1,
+      etiqueta: etiquetas[posicion],
+      color: COLORES_ZONAS[Math.round((posicion / Math.max(1, orden.length - 1)) * (COLORES_ZONAS.length - 1))],
+      area_ha: geometry ? redondear(area(geometry) / 10000, 2) : 0,
+      celdas: indicesZona.length,
+      promedios,
+      geometry
+    };
+  }).filter((zona) => zona.geometry);
+
+  return {
+    zonas,
+    fechasNDVI: fechasUsadas,
+    variablesSuelo: capasSuelo.map((capa) => capa.variable),
+    celdasSinDato: grilla.celdas.length - conDato.length
+  };
+}
+
+/**
+ * Guarda un mapa de zonas del lote
+ * @param {Object} datos - { firmId, lote, resultado (de delimitarZonas), nombre, tamanoCeldaM, cantidadMuestras }
+ * @param {string} userId
+ */
+export async function guardarMapaZonas(datos, userId = null) {
+  try {
+    const { lote, resultado } = datos;
+    if (!resultado?.zonas?.length) throw new Error('No hay zonas para guardar');
+
+    const base = { firm_id: datos.firmId, premise_id: lote.premise_id, lot_id: lote.id };
+
+    const { data, error } = await supabase
+      .from('management_zone_maps')
+      .insert([{
+        ...base,
+        name: datos.nombre?.trim() || `${resultado.zonas.length} zonas`,
+        zone_count: resultado.zonas.length,
+        cell_size_m: datos.tamanoCeldaM,
+        sources: {
+          ndvi_dates: resultado.fechasNDVI,
+          soil_variables: resultado.variablesSuelo,
+          soil_samples: datos.cantidadMuestras || 0
+        },
+        zones: resultado.zonas,
+        created_by: userId
+      }])
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    await registrarAuditoria(
+      'monitoring_integration',
+      base,
+      'zonas_manejo',
+      `Zonas de manejo "${data.name}" en ${lote.name}: ${data.zone_count} zonas`,
+      data.id,
+      { ndvi_dates: resultado.fechasNDVI, soil_variables: resultado.variablesSuelo },
+      userId
+    );
+
+    return data;
+  } catch (error) {
+    console.error('Error en guardarMapaZonas:', error);
+    throw error;
+  }
+}
+
+/**
+ * Mapas de zonas guardados de un lote, del más reciente al más antiguo
+ * @param {string} lotId
+ */
+export async function obtenerMapasZonas(lotId) {
+  try {
+    const { data, error } = await supabase
+      .from('management_zone_maps')
+      .select('*')
+      .eq('lot_id', lotId)
+      .order('created_at', { ascending: false });
+
+    if (error) throw error;
+    return data || [];
+  } catch (error) {
+    console.error('Error en obtenerMapasZonas:', error);
+    throw error;
+  }
+}
+
+/**
+ * Elimina un mapa de zonas (y sus prescripciones)
+ * @param {Object} mapa - Fila de management_zone_maps
+ * @param {string} userId
+ */
+export async function eliminarMapaZonas(mapa, userId = null) {
+  try {
+    const { error } = await supabase
+      .from('management_zone_maps')
+      .delete()
+      .eq('id', mapa.id);
+
+    if (error) throw error;
+
+    await registrarAuditoria('monitoring_integration', mapa, 'zonas_manejo', `Mapa de zonas eliminado: ${mapa.name}`, mapa.id, null, userId);
+  } catch (error) {
+    console.error('Error en eliminarMapaZonas:', error);
+    throw error;
+  }
+}
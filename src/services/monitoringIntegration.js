@@ -15,6 +15,7 @@ import { calcularAcumuladoLluvia, compararConPromedio } from './rainfallAnalytic
 import { calcularCargaRecomendada, compararLotesPorOferta } from './livestockAnalytics';
 import { crearRegistro } from './registros';
 import { crearAlertaAutomatica } from './alertas';
+import { obtenerRendimientosReales } from './harvests';
 
 // =============================================
 // 1. AJUSTE DE PROYECCIONES POR LLUVIA
@@ -531,17 +532,27 @@ export async function correlacionarNDVIRendimiento(lotId) {
 
     if (ndviError) throw ndviError;
 
-    // 2. Obtener trabajos de cosecha con rendimiento real
-    const { data: cosechas, error: cosechaError } = await supabase
-      .from('agricultural_works')
-      .select('date, yield_real, crop_type')
-      .eq('lot_id', lotId)
-      .eq('work_type', 'Cosecha')
-      .not('yield_real', 'is', null)
-      .order('date', { ascending: false })
-      .limit(10);
-
-    if (cosechaError) throw cosechaError;
+    // 2. Obtener rendimiento real de las cosechas registradas (kg/ha)
+    let cosechas = (await obtenerRendimientosReales(lotId, 10)).map(c => ({
+      date: c.fecha,
+      yield_real: c.rendimiento_kg_ha,
+      crop_type: c.cultivo
+    }));
+
+    // Lotes sin cosechas registradas: trabajos de cosecha con rendimiento cargado a mano
+    if (cosechas.length === 0) {
+      const { data: trabajosCosecha, error: cosechaError } = await supabase
+        .from('agricultural_works')
+        .select('date, yield_real, crop_type')
+        .eq('lot_id', lotId)
+        .eq('work_type', 'Cosecha')
+        .not('yield_real', 'is', null)
+        .order('date', { ascending: false })
+        .limit(10);
+
+      if (cosechaError) throw cosechaError;
+      cosechas = trabajosCosecha || [];
+    }
 
     if (!cosechas || cosechas.length === 0) {
       return {
@@ -7,24 +7,25 @@
 
 import { getAccessToken } from './sentinelAuth';
 import { SENTINEL_HUB_CONFIG } from '../lib/sentinelHub.config';
+import { aGeometriaGeoJSON } from './geospatial';
+import { obtenerIdsLinaje } from './lotGenealogy';
 
 console.log('[NDVI Stats] Módulo ndviStatistics.js cargado');
 
 /**
  * Convierte polígono GeoJSON a formato requerido por Sentinel Hub
- * @param {Object} poligono - GeoJSON Polygon del lote
+ * @param {Array|Object} poligono - polygon_data del lote (array Leaflet o GeoJSON Polygon/MultiPolygon)
  * @returns {Object} Geometry en formato Sentinel Hub
  * @throws {Error} Si el polígono es inválido
  */
 function convertirPoligonoAGeometry(poligono) {
-  if (!poligono || poligono.type !== 'Polygon' || !poligono.coordinates) {
-    throw new Error('Polígono inválido: debe ser GeoJSON Polygon con coordenadas');
+  const geometry = aGeometriaGeoJSON(poligono);
+  if (!geometry) {
+    throw new Error('Polígono inválido: debe ser GeoJSON Polygon/MultiPolygon o array de coordenadas');
   }
 
-  return {
-    type: 'Polygon',
-    coordinates: poligono.coordinates,
-  };
+  // Los huecos (lagunas, montes) quedan fuera de las estadísticas NDVI
+  return geometry;
 }
 
 /**
@@ -384,18 +385,22 @@ export async function actualizarNDVIPredio(predioId, supabase, onProgress = null
  * Obtiene el historial de NDVI almacenado en la base de datos para un lote
  * @param {string} loteId - ID del lote
  * @param {Object} supabase - Cliente Supabase
+ * @param {Object} opciones - { incluirLinaje: true } suma el historial de los lotes de los que
+ *   proviene (división/unión) y de sus sucesores; cada registro trae `heredado`
  * @returns {Promise<Array>} Array de registros históricos ordenados por fecha
  */
-export async function obtenerHistorialNDVI(loteId, supabase) {
+export async function obtenerHistorialNDVI(loteId, supabase, opciones = {}) {
   try {
+    const lotIds = opciones.incluirLinaje ? await obtenerIdsLinaje(loteId) : [loteId];
+
     const { data, error } = await supabase
       .from('ndvi_history')
       .select('*')
-      .eq('lot_id', loteId)
+      .in('lot_id', lotIds)
       .order('date', { ascending: true });
 
     if (error) throw error;
-    return data || [];
+    return (data || []).map((registro) => ({ ...registro, heredado: registro.lot_id !== loteId }));
   } catch (error) {
     console.error('[NDVI Stats] Error obteniendo historial:', error);
     return [];
@@ -0,0 +1,503 @@
+/**
+ * Captura offline y cola de sincronización
+ * Las escrituras de campo (lluvias, monitoreos, eventos ganaderos, movimientos de stock)
+ * se guardan en IndexedDB cuando no hay señal y se reenvían a Supabase al reconectar.
+ * Los datos de referencia del predio se cachean para que los formularios funcionen sin red.
+ * Cola y caché quedan asociadas al usuario de la sesión: al cerrar sesión la caché se vacía
+ * y las escrituras pendientes solo se reenvían cuando vuelve a entrar el mismo usuario.
+ */
+
+import { supabase } from '../lib/supabase';
+import { STORE_COLA, STORE_REFERENCIA, obtenerTodos, obtener, guardar, eliminar, vaciar } from '../lib/offlineDb';
+import { crearRegistro } from './registros';
+import { registerLivestockEvent, registerBulkWeighingEvent } from './livestock';
+import { registrarMovimientoManual } from './inputMovements';
+
+export const EVENTO_CAMBIO_COLA = 'offline-sync-cambio';
+
+export const ESTADOS_COLA = {
+  PENDIENTE: 'pendiente',
+  CONFLICTO: 'conflicto',
+  ERROR: 'error'
+};
+
+/**
+ * Error para operaciones cuyo registro cambió en el servidor mientras estaban en cola
+ */
+export class ConflictoSincronizacion extends Error {
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'ConflictoSincronizacion';
+    this.details = details;
+  }
+}
+
+let sincronizando = false;
+let usuarioActual = null;
+
+/**
+ * Asocia la cola y la caché al usuario de la sesión (null al cerrar sesión)
+ * @param {string|null} userId
+ */
+export function establecerUsuarioOffline(userId) {
+  usuarioActual = userId || null;
+}
+
+/**
+ * Cierre de sesión: vacía la caché de referencia y desvincula al usuario.
+ * La cola no se borra; sus operaciones llevan el usuario que las capturó
+ * y se reenvían cuando ese usuario vuelve a iniciar sesión.
+ */
+export async function cerrarSesionOffline() {
+  usuarioActual = null;
+  try {
+    await vaciar(STORE_REFERENCIA);
+  } catch (error) {
+    console.warn('No se pudo vaciar la caché offline:', error);
+  }
+  notificarCambio();
+}
+
+function claveUsuario(clave) {
+  return `${usuarioActual || 'anonimo'}:${clave}`;
+}
+
+function esDelUsuarioActual(item) {
+  return !!usuarioActual && item?.usuario_id === usuarioActual;
+}
+
+export function estaOnline() {
+  return typeof navigator === 'undefined' ? true : navigator.onLine !== false;
+}
+
+/**
+ * Detecta errores de conectividad (fetch caído) frente a errores de datos de Supabase
+ * @param {Error|Object} error
+ * @returns {boolean}
+ */
+export function esErrorDeRed(error) {
+  if (!estaOnline()) return true;
+  const mensaje = `${error?.message || ''} ${error?.details || ''}`.toLowerCase();
+  return (
+    error instanceof TypeError ||
+    mensaje.includes('failed to fetch') ||
+    mensaje.includes('networkerror') ||
+    mensaje.includes('load failed') ||
+    mensaje.includes('network request failed')
+  );
+}
+
+function notificarCambio() {
+  if (typeof window !== 'undefined') {
+    window.dispatchEvent(new CustomEvent(EVENTO_CAMBIO_COLA));
+  }
+}
+
+function generarId() {
+  if (typeof crypto !== 'undefined' && crypto.randomUUID) return crypto.randomUUID();
+  return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, (c) => {
+    const r = (Math.random() * 16) | 0;
+    return (c === 'x' ? r : (r & 0x3) | 0x8).toString(16);
+  });
+}
+
+// ============================================================================
+// OPERACIONES REENVIABLES
+// ============================================================================
+
+/**
+ * Operaciones compuestas que no son un insert/delete simple.
+ * Reciben los args guardados en la cola y { forzar, idOperacion } para ignorar conflictos.
+ * idOperacion se genera en el cliente al capturar la operación y es el mismo en cada reenvío:
+ * se usa como id de la fila principal (o se marca en metadata) para que un reenvío tras un
+ * timeout o un fallo parcial no duplique lo que ya llegó al servidor.
+ */
+const FUNCIONES_SYNC = {
+  async registrarEventoGanadero({ eventData }, { forzar, idOperacion }) {
+    const existente = await buscarPorId('herd_events', idOperacion);
+    if (existente) return existente;
+
+    if (!forzar) await verificarSujetoEventoActivo(eventData);
+    return insertarIdempotente('herd_events', idOperacion, () =>
+      registerLivestockEvent({ ...eventData, id: idOperacion })
+    );
+  },
+
+  async registrarPesajeMasivo({ herdId, eventData }, { forzar, idOperacion }) {
+    // El pesaje crea un evento por animal en un solo insert: se marcan todos con la operación
+    const { data: existentes, error } = await supabase
+      .from('herd_events')
+      .select('*')
+      .eq('herd_id', herdId)
+      .eq('metadata->>operacion_offline_id', idOperacion);
+    if (error) throw error;
+    if (existentes && existentes.length > 0) return existentes;
+
+    if (!forzar) await verificarSujetoEventoActivo({ herd_id: herdId });
+    return registerBulkWeighingEvent(herdId, {
+      ...eventData,
+      metadata: { ...(eventData.metadata || {}), operacion_offline_id: idOperacion }
+    });
+  },
+
+  async registrarMovimientoStock({ formData, stockBase }, { forzar, idOperacion }) {
+    const existente = await buscarPorId('input_movements', idOperacion);
+    if (existente) return { movimiento: existente };
+
+    // Los ingresos/salidas se aplican como delta sobre el stock actual; un ajuste fija
+    // el stock final, así que si el insumo cambió desde la captura hay conflicto
+    if (!forzar && formData.type === 'adjustment' && stockBase !== null && stockBase !== undefined) {
+      const { data: insumo, error } = await supabase
+        .from('inputs')
+        .select('name, current_stock')
+        .eq('id', formData.input_id)
+        .single();
+      if (error) throw error;
+
+      if (parseFloat(insumo.current_stock) !== parseFloat(stockBase)) {
+        throw new ConflictoSincronizacion(
+          `El stock de ${insumo.name} cambió de ${stockBase} a ${insumo.current_stock} mientras el ajuste estaba pendiente`,
+          { stockBase, stockActual: insumo.current_stock }
+        );
+      }
+    }
+    const resultado = await insertarIdempotente('input_movements', idOperacion, () =>
+      registrarMovimientoManual({ ...formData, id: idOperacion })
+    );
+    return resultado?.movimiento ? resultado : { movimiento: resultado };
+  }
+};
+
+async function buscarPorId(tabla, id) {
+  const { data, error } = await supabase.from(tabla).select('*').eq('id', id).maybeSingle();
+  if (error) throw error;
+  return data;
+}
+
+// Si otro envío de la misma operación ganó la carrera, el insert choca con la PK (23505)
+async function insertarIdempotente(tabla, id, insertar) {
+  try {
+    return await insertar();
+  } catch (error) {
+    if (error?.code !== '23505') throw error;
+    return buscarPorId(tabla, id);
+  }
+}
+
+async function verificarSujetoEventoActivo({ animal_id, herd_id }) {
+  if (animal_id) {
+    const { data, error } = await supabase.from('animals').select('status').eq('id', animal_id).maybeSingle();
+    if (error) throw error;
+    if (!data || data.status !== 'ACTIVE') {
+      throw new ConflictoSincronizacion('El animal ya no está activo en el servidor', { animal_id, status: data?.status });
+    }
+  }
+  if (herd_id) {
+    const { data, error } = await supabase.from('herds').select('is_active').eq('id', herd_id).maybeSingle();
+    if (error) throw error;
+    if (!data || !data.is_active) {
+      throw new ConflictoSincronizacion('El rodeo ya no está activo en el servidor', { herd_id });
+    }
+  }
+}
+
+async function ejecutarOperacion(op, { forzar = false } = {}) {
+  let resultado = null;
+
+  if (op.operacion === 'insert') {
+    const { data, error } = await supabase.from(op.tabla).insert([op.datos]).select().single();
+    // 23505: el id generado en el cliente ya existe, el registro se envió en un intento anterior
+    if (error && error.code !== '23505') throw error;
+    resultado = data || op.datos;
+  } else if (op.operacion === 'delete') {
+    const { error } = await supabase.from(op.tabla).delete().eq('id', op.filtro.id);
+    if (error) throw error;
+  } else if (op.operacion === 'funcion') {
+    const funcion = FUNCIONES_SYNC[op.funcion];
+    if (!funcion) throw new Error(`Operación offline desconocida: ${op.funcion}`);
+    // Items encolados antes de existir id_operacion usan el id del item, que también es estable
+    resultado = await funcion(op.args || {}, { forzar, idOperacion: op.id_operacion || op.id });
+  } else {
+    throw new Error(`Tipo de operación inválido: ${op.operacion}`);
+  }
+
+  if (op.auditoria) {
+    await crearRegistro(op.auditoria).catch((err) => console.warn('Error registrando en auditoría:', err));
+  }
+
+  return resultado;
+}
+
+// ============================================================================
+// COLA
+// ============================================================================
+
+/**
+ * Guarda una operación en la cola local
+ * @param {Object} op - Operación (ver ejecutarOEncolar)
+ * @returns {Promise<Object>} Item encolado
+ */
+export async function encolarOperacion(op) {
+  try {
+    if (!usuarioActual) {
+      throw new Error('No hay un usuario con sesión iniciada para guardar la operación offline');
+    }
+    const item = {
+      ...op,
+      id: generarId(),
+      usuario_id: usuarioActual,
+      estado: ESTADOS_COLA.PENDIENTE,
+      intentos: 0,
+      ultimo_error: null,
+      creado_en: new Date().toISOString()
+    };
+    await guardar(STORE_COLA, item);
+    notificarCambio();
+    return item;
+  } catch (error) {
+    console.error('Error en encolarOperacion:', error);
+    throw error;
+  }
+}
+
+/**
+ * Ejecuta una escritura contra Supabase o, si no hay conexión, la deja en cola.
+ * @param {Object} op
+ * @param {'insert'|'delete'|'funcion'} op.operacion
+ * @param {string} [op.tabla] - Tabla para insert/delete
+ * @param {Object} [op.datos] - Fila a insertar (se le asigna un id de cliente)
+ * @param {Object} [op.filtro] - { id } para delete
+ * @param {string} [op.funcion] - Clave de FUNCIONES_SYNC
+ * @param {Object} [op.args] - Argumentos serializables de la función
+ * @param {string} op.descripcion - Texto para el panel de sincronización
+ * @param {Object} [op.auditoria] - Parámetros de crearRegistro a ejecutar tras el envío
+ * @param {Object} [op.contexto] - { firmId, premiseId } para filtrar pendientes por predio
+ * @returns {Promise<Object>} { encolado: boolean, resultado, item }
+ */
+export async function ejecutarOEncolar(op) {
+  // El id de cliente se asigna antes del primer intento: si el envío en línea llega al servidor
+  // pero la respuesta se pierde, el reenvío desde la cola usa el mismo id y no duplica
+  const operacion =
+    op.operacion === 'insert'
+      ? { ...op, datos: { id: generarId(), ...op.datos } }
+      : op.operacion === 'funcion'
+        ? { ...op, id_operacion: op.id_operacion || generarId() }
+        : op;
+
+  if (estaOnline()) {
+    try {
+      const resultado = await ejecutarOperacion(operacion);
+      return { encolado: false, resultado, item: null };
+    } catch (error) {
+      if (!esErrorDeRed(error)) throw error;
+      console.warn('Sin conexión, la operación queda en cola:', operacion.descripcion);
+    }
+  }
+
+  const item = await encolarOperacion(operacion);
+  return { encolado: true, resultado: operacion.datos || null, item };
+}
+
+/**
+ * Obtiene las operaciones en cola del usuario de la sesión (más antiguas primero)
+ * @param {Object} filtros - { tabla, premiseId }
+ * @returns {Promise<Array>}
+ */
+export async function obtenerOperacionesPendientes(filtros = {}) {
+  try {
+    const items = await obtenerTodos(STORE_COLA);
+    return items
+      .filter(esDelUsuarioActual)
+      .filter((item) => !filtros.tabla || item.tabla === filtros.tabla)
+      .filter((item) => !filtros.premiseId || item.contexto?.premiseId === filtros.premiseId)
+      .sort((a, b) => a.creado_en.localeCompare(b.creado_en));
+  } catch (error) {
+    console.error('Error en obtenerOperacionesPendientes:', error);
+    return [];
+  }
+}
+
+/**
+ * Reenvía la cola en orden. Se detiene al primer error de red;
+ * los conflictos y errores de datos quedan marcados para revisión manual.
+ * @returns {Promise<Object>} { enviados, conflictos, errores, pendientes }
+ */
+export async function sincronizarCola() {
+  const resumen = { enviados: 0, conflictos: 0, errores: 0, pendientes: 0 };
+  if (sincronizando || !estaOnline()) return resumen;
+
+  sincronizando = true;
+  try {
+    const items = await obtenerOperacionesPendientes();
+
+    for (const item of items) {
+      if (item.estado !== ESTADOS_COLA.PENDIENTE) continue;
+
+      try {
+        await ejecutarOperacion(item);
+        await eliminar(STORE_COLA, item.id);
+        resumen.enviados++;
+      } catch (error) {
+        if (esErrorDeRed(error)) break;
+
+        const conflicto = error instanceof ConflictoSincronizacion;
+        await guardar(STORE_COLA, {
+          ...item,
+          estado: conflicto ? ESTADOS_COLA.CONFLICTO : ESTADOS_COLA.ERROR,
+          intentos: item.intentos + 1,
+          ultimo_error: error.message || String(error)
+        });
+        if (conflicto) resumen.conflictos++;
+        else resumen.errores++;
+      }
+    }
+
+    resumen.pendientes = (await obtenerOperacionesPendientes()).length;
+    return resumen;
+  } catch (error) {
+    console.error('Error en sincronizarCola:', error);
+    throw error;
+  } finally {
+    sincronizando = false;
+    notificarCambio();
+  }
+}
+
+/**
+ * Vuelve a poner en cola una operación con error y sincroniza
+ * @param {string} id - ID del item de la cola
+ */
+export async function reintentarOperacion(id) {
+  try {
+    const item = await obtener(STORE_COLA, id);
+    if (!esDelUsuarioActual(item)) throw new Error('Operación no encontrada en la cola');
+    await guardar(STORE_COLA, { ...item, estado: ESTADOS_COLA.PENDIENTE });
+    notificarCambio();
+    return sincronizarCola();
+  } catch (error) {
+    console.error('Error en reintentarOperacion:', error);
+    throw error;
+  }
+}
+
+/**
+ * Resuelve un conflicto: 'forzar' envía la operación ignorando el cambio del servidor,
+ * 'descartar' la elimina de la cola sin enviarla.
+ * @param {string} id - ID del item de la cola
+ * @param {'forzar'|'descartar'} resolucion
+ */
+export async function resolverConflicto(id, resolucion) {
+  try {
+    const item = await obtener(STORE_COLA, id);
+    if (!esDelUsuarioActual(item)) throw new Error('Operación no encontrada en la cola');
+
+    if (resolucion === 'forzar') {
+      await ejecutarOperacion(item, { forzar: true });
+    } else if (resolucion !== 'descartar') {
+      throw new Error(`Resolución inválida: ${resolucion}`);
+    }
+
+    await eliminar(STORE_COLA, id);
+    notificarCambio();
+  } catch (error) {
+    console.error('Error en resolverConflicto:', error);
+    throw error;
+  }
+}
+
+export async function descartarOperacion(id) {
+  return resolverConflicto(id, 'descartar');
+}
+
+/**
+ * Escucha la reconexión para vaciar la cola automáticamente
+ * @returns {Function} Función para dejar de escuchar
+ */
+export function iniciarSincronizacionAutomatica() {
+  if (typeof window === 'undefined') return () => {};
+
+  const alReconectar = () => {
+    sincronizarCola().catch((err) => console.warn('Error sincronizando cola offline:', err));
+  };
+
+  window.addEventListener('online', alReconectar);
+  alReconectar();
+
+  return () => window.removeEventListener('online', alReconectar);
+}
+
+// ============================================================================
+// DATOS DE REFERENCIA
+// ============================================================================
+
+/**
+ * Ejecuta una consulta y guarda el resultado en IndexedDB; sin conexión devuelve lo cacheado.
+ * @param {string} clave - Clave única de la consulta (ej: 'lotes:<premiseId>')
+ * @param {Function} consulta - async () => data (debe lanzar error si falla)
+ * @returns {Promise<any>}
+ */
+export async function consultarConCache(clave, consulta) {
+  if (estaOnline()) {
+    try {
+      const data = await consulta();
+      guardar(STORE_REFERENCIA, { clave: claveUsuario(clave), data, actualizado_en: new Date().toISOString() }).catch((err) =>
+        console.warn('No se pudo cachear', clave, err)
+      );
+      return data;
+    } catch (error) {
+      if (!esErrorDeRed(error)) throw error;
+    }
+  }
+
+  const cacheado = await obtener(STORE_REFERENCIA, claveUsuario(clave)).catch(() => null);
+  if (!cacheado) {
+    throw new Error('Sin conexión y sin datos guardados para consultar offline');
+  }
+  return cacheado.data;
+}
+
+async function consultaSupabase(query) {
+  const { data, error } = await query;
+  if (error) throw error;
+  return data || [];
+}
+
+/**
+ * Descarga los datos de referencia que usan los formularios de campo del predio
+ * @param {string} firmId
+ * @param {string} premiseId
+ */
+export async function precargarDatosReferencia(firmId, premiseId) {
+  if (!firmId || !premiseId || !estaOnline()) return;
+
+  const consultas = {
+    [`lotes:${premiseId}`]: () =>
+      consultaSupabase(supabase.from('lots').select('*').eq('premise_id', premiseId).order('name')),
+    [`lotes_firma:${firmId}`]: () =>
+      consultaSupabase(supabase.from('lots').select('id, name').eq('firm_id', firmId).order('name')),
+    [`insumos:${firmId}`]: () =>
+      consultaSupabase(
+        supabase
+          .from('inputs')
+          .select('id, name, unit, cost_per_unit, current_stock, depot_id, is_depot')
+          .eq('firm_id', firmId)
+          .order('name')
+      ),
+    [`campana_activa:${firmId}`]: () =>
+      consultaSupabase(
+        supabase
+          .from('campaigns')
+          .select('id, name, start_date, end_date, status')
+          .eq('firm_id', firmId)
+          .eq('status', 'ACTIVE')
+          .order('start_date', { ascending: false })
+          .limit(1)
+      )
+  };
+
+  await Promise.all(
+    Object.entries(consultas).map(([clave, consulta]) =>
+      consultarConCache(clave, consulta).catch((err) => console.warn('Error precargando', clave, err))
+    )
+  );
+}
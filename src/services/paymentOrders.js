@@ -1,6 +1,8 @@
 import { supabase } from "../lib/supabase";
 import { crearRegistro } from "./registros";
 import { validarOrdenPago } from "../lib/validations/financeValidations";
+import { sellarTipoCambio, registrarDiferenciaCambio } from "./exchangeRates";
+import { generarAsientoOrdenPago } from "./journal";
 
 /**
  * Obtener todas las órdenes de pago de una firma
@@ -167,6 +169,13 @@ export async function crearOrdenPago(ordenData, facturasSeleccionadas) {
     const uniqueExpenseId =
       facturasSeleccionadas.length === 1 ? facturasSeleccionadas[0].id : null;
 
+    // Tipo de cambio vigente a la fecha de la orden (UYU por USD)
+    const exchangeRate = await sellarTipoCambio(
+      ordenData.firm_id,
+      ordenData.order_date,
+      ordenData.exchange_rate,
+    );
+
     // Preparar objeto para INSERT (sin campos que no existen en BD)
     const orden = {
       ...ordenSinCreatedBy,
@@ -174,6 +183,7 @@ export async function crearOrdenPago(ordenData, facturasSeleccionadas) {
       amount: totalAmount,
       purchase_order_id: uniquePurchaseOrderId,
       expense_id: uniqueExpenseId,
+      exchange_rate: exchangeRate,
       planned_payment_date:
         ordenData.planned_payment_date || ordenData.order_date || null,
       status: "PENDING_APPROVAL",
@@ -190,8 +200,7 @@ export async function crearOrdenPago(ordenData, facturasSeleccionadas) {
 
     if (errorOrden) throw errorOrden;
 
-    // Las relaciones ya se guardaron en facturas_data de la orden
-    // (NO se inserta en payment_order_expenses para evitar issues con constraints)
+    // Las facturas de la orden se guardan en payment_order_expenses al ejecutarla
 
     // Auditoría
     await crearRegistro({
@@ -417,6 +426,8 @@ export async function rechazarOrdenPago(id, userId, motivo) {
  * @returns {Promise<Object>} Resultado de la ejecución
  */
 export async function ejecutarOrdenPago(ordenId, userId) {
+  // Relaciones guardadas que se borran si la ejecución no llega a completarse
+  let relacionesPendientes = false;
   try {
     // 1. Validar que la orden existe y está en estado APPROVED
     const { data: orden, error: errorOrden } =
@@ -479,13 +490,31 @@ export async function ejecutarOrdenPago(ordenId, userId) {
 
     console.log(`📦 Procesando ${relaciones.length} facturas de la orden...`);
 
+    // Dejar en la base qué facturas paga la orden antes de tocarlas: el asiento
+    // diferido las lee de ahí, así que sin ellas no se ejecuta la orden
+    if (relaciones.length > 0) {
+      const { error: errorRelaciones } = await supabase
+        .from("payment_order_expenses")
+        .insert(
+          relaciones.map((relacion) => ({
+            payment_order_id: ordenId,
+            expense_id: relacion.expense_id,
+            amount_paid: relacion.amount_paid || 0,
+          })),
+        );
+      if (errorRelaciones) throw errorRelaciones;
+      relacionesPendientes = true;
+    }
+
     // 4. Actualizar cada factura con el monto pagado
     for (const relacion of relaciones) {
       console.log(`[DEBUG] Procesando relación:`, JSON.stringify(relacion));
 
       const { data: factura, error: errorFactura } = await supabase
         .from("expenses")
-        .select("id, paid_amount, balance, status")
+        .select(
+          "id, firm_id, premise_id, paid_amount, balance, status, currency, exchange_rate",
+        )
         .eq("id", relacion.expense_id)
         .single();
 
@@ -539,6 +568,15 @@ export async function ejecutarOrdenPago(ordenId, userId) {
       }
 
       console.log(`[DEBUG] UPDATE result:`, JSON.stringify(updateResult));
+
+      // Diferencia de cambio realizada (facturas en moneda extranjera)
+      await registrarDiferenciaCambio({
+        documento: factura,
+        tipoDocumento: "expense",
+        monto: relacion.amount_paid || 0,
+        ordenPagoId: ordenId,
+        userId,
+      });
     }
 
     // 5. Actualizar cuenta financiera (restar monto)
@@ -588,6 +626,7 @@ export async function ejecutarOrdenPago(ordenId, userId) {
       .single();
 
     if (errorUpdateOrden) throw errorUpdateOrden;
+    relacionesPendientes = false;
 
     console.log("✅ Orden ejecutada exitosamente:", ordenEjecutada.id);
 
@@ -601,7 +640,10 @@ export async function ejecutarOrdenPago(ordenId, userId) {
         "ORDEN_PAGO_PENDIENTE_PAGO",
       ]);
 
-    // 7. Crear registro de auditoría
+    // 7. Asiento contable (no bloquea la ejecución si falta el mapeo de cuentas)
+    await generarAsientoOrdenPago(ordenId, relaciones, userId);
+
+    // 8. Crear registro de auditoría
     await crearRegistro({
       firmId: orden.firm_id,
       tipo: "orden_pago_ejecutada",
@@ -620,6 +662,12 @@ export async function ejecutarOrdenPago(ordenId, userId) {
     return { data: ordenEjecutada, error: null };
   } catch (error) {
     console.error("Error en ejecutarOrdenPago:", error);
+    if (relacionesPendientes) {
+      await supabase
+        .from("payment_order_expenses")
+        .delete()
+        .eq("payment_order_id", ordenId);
+    }
     return { data: null, error };
   }
 }
@@ -633,6 +681,19 @@ export async function ejecutarOrdenPago(ordenId, userId) {
  */
 export async function anularOrdenPago(id, userId, motivo) {
   try {
+    // Una orden conciliada con el banco pertenece a un período cerrado
+    const { data: ordenActual } = await supabase
+      .from("payment_orders")
+      .select("bank_reconciliation_id")
+      .eq("id", id)
+      .single();
+
+    if (ordenActual?.bank_reconciliation_id) {
+      throw new Error(
+        "La orden está conciliada en un período bancario cerrado y no puede anularse",
+      );
+    }
+
     // Usar NULL para sistema, o el userId si es válido
     const isValidUUID =
       /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(
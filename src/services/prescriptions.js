@@ -0,0 +1,424 @@
+/**
+ * Prescripciones de dosis variable (VRA) por zona de manejo
+ * - Dosis de semilla o fertilizante por zona, con sugerencia a partir de la dosis del lote
+ *   (análisis de suelo) repartida según el potencial de cada zona
+ * - Exportación para el controlador de la pulverizadora / sembradora:
+ *   Shapefile de polígonos con atributo de dosis o ISO-XML (ISO 11783-10, TASKDATA.XML)
+ * - Vínculo con el trabajo agrícola que aplica la prescripción
+ * Tablas: vra_prescriptions (add_vra_prescriptions.sql)
+ */
+
+import shpwrite from '@mapbox/shp-write';
+import JSZip from 'jszip';
+import { saveAs } from 'file-saver';
+import { supabase } from '../lib/supabase';
+import { registrarAuditoria } from './registros';
+import { escaparXML, nombreArchivoSeguro } from './lotExport';
+import { redondear } from '../lib/numeros';
+
+export const TIPOS_PRODUCTO_VRA = {
+  SEMILLA: { label: 'Semilla', categoria: 'seed', unidad: 'kg/ha' },
+  FERTILIZANTE: { label: 'Fertilizante', categoria: 'fertilizer', unidad: 'kg/ha' }
+};
+
+/**
+ * Unidades de dosis y su equivalente ISO 11783-11:
+ * ddi = Data Dictionary Identifier del setpoint, factorIso = multiplicador a la unidad entera del DDI
+ * - 0006 Setpoint Mass Per Area (mg/m²): 1 kg/ha = 100 mg/m²
+ * - 0001 Setpoint Volume Per Area (mm³/m²): 1 L/ha = 100 mm³/m²
+ * - 000B Setpoint Count Per Area (0,001 /m²): 1 semilla/ha = 0,1
+ */
+export const UNIDADES_DOSIS = {
+  'kg/ha': { label: 'kg/ha', ddi: '0006', factorIso: 100 },
+  'L/ha': { label: 'L/ha', ddi: '0001', factorIso: 100 },
+  'semillas/ha': { label: 'semillas/ha', ddi: '000B', factorIso: 0.1 }
+};
+
+export const ESTRATEGIAS_DOSIS = {
+  UNIFORME: 'Uniforme',
+  POTENCIAL: 'Más dosis en zonas de mayor potencial',
+  COMPENSAR: 'Más dosis en zonas de menor potencial'
+};
+
+export const ESTADOS_PRESCRIPCION = {
+  BORRADOR: 'Borrador',
+  EXPORTADA: 'Exportada',
+  APLICADA: 'Aplicada'
+};
+
+export const FORMATOS_PRESCRIPCION = {
+  SHAPEFILE: { label: 'Shapefile (.zip)', extension: 'zip' },
+  ISOXML: { label: 'ISO-XML (TASKDATA)', extension: 'zip' }
+};
+
+function dosisDeZona(prescripcion, zona) {
+  const fila = (prescripcion.rates || []).find((r) => r.zona === zona);
+  return parseFloat(fila?.dosis) || 0;
+}
+
+/**
+ * Reparte la dosis base entre zonas según la estrategia. La zona de menor potencial recibe
+ * -variación y la de mayor +variación (o al revés), y luego se reescala para que la cantidad
+ * total del lote sea la misma que con dosis uniforme.
+ * @param {Array} zonas - Zonas del mapa (zona, area_ha)
+ * @param {number} dosisBase - Dosis media por hectárea
+ * @param {string} estrategia - Clave de ESTRATEGIAS_DOSIS
+ * @param {number} variacion - Fracción de variación entre extremos (0.2 = ±20%)
+ * @returns {Array} [{ zona, dosis }]
+ */
+export function sugerirDosisPorZona(zonas, dosisBase, estrategia = 'UNIFORME', variacion = 0.2) {
+  const base = parseFloat(dosisBase) || 0;
+  const ordenadas = [...(zonas || [])].sort((a, b) => a.zona - b.zona);
+  const n = ordenadas.length;
+
+  const crudas = ordenadas.map((z, i) => {
+    const posicion = n > 1 ? (i / (n - 1)) * 2 - 1 : 0;
+    const signo = estrategia === 'POTENCIAL' ? 1 : estrategia === 'COMPENSAR' ? -1 : 0;
+    return { zona: z.zona, area: parseFloat(z.area_ha) || 0, dosis: base * (1 + signo * variacion * posicion) };
+  });
+
+  const superficie = crudas.reduce((s, z) => s + z.area, 0);
+  const total = crudas.reduce((s, z) => s + z.area * z.dosis, 0);
+  const ajuste = total > 0 && superficie > 0 ? (base * superficie) / total : 1;
+
+  return crudas.map((z) => ({ zona: z.zona, dosis: redondear(z.dosis * ajuste, 1) }));
+}
+
+/**
+ * Totales de la prescripción
+ * @param {Array} zonas - Zonas del mapa
+ * @param {Array} dosis - [{ zona, dosis }]
+ * @returns {Object} { superficie, total, dosisMedia, minima, maxima }
+ */
+export function calcularTotalesPrescripcion(zonas, dosis) {
+  const prescripcion = { rates: dosis };
+  const superficie = (zonas || []).reduce((s, z) => s + (parseFloat(z.area_ha) || 0), 0);
+  const total = (zonas || []).reduce((s, z) => s + (parseFloat(z.area_ha) || 0) * dosisDeZona(prescripcion, z.zona), 0);
+  const valores = (dosis || []).map((d) => parseFloat(d.dosis) || 0);
+
+  return {
+    superficie: redondear(superficie),
+    total: redondear(total),
+    dosisMedia: superficie > 0 ? redondear(total / superficie, 1) : 0,
+    minima: valores.length ? valores.reduce((min, v) => Math.min(min, v), Infinity) : 0,
+    maxima: valores.length ? valores.reduce((max, v) => Math.max(max, v), -Infinity) : 0
+  };
+}
+
+/**
+ * Dosis de fertilizante pendientes del último análisis de suelo del lote
+ * (mismos déficits que usa generarRecomendacionFertilizacion, sin generar alertas)
+ * @param {string} lotId
+ * @returns {Promise<Array>} [{ parametro, fuente, kg_ha, fecha }]
+ */
+export async function obtenerDosisRecomendadas(lotId) {
+  try {
+    const { data, error } = await supabase
+      .from('analisis_suelo')
+      .select('parametro, fuente_recomendada, kg_ha, deficit, ya_aplicado, fecha')
+      .eq('lot_id', lotId)
+      .gt('deficit', 0)
+      .order('fecha', { ascending: false });
+
+    if (error) throw error;
+
+    const vistos = new Set();
+    return (data || [])
+      .filter((a) => a.ya_aplicado === false && parseFloat(a.kg_ha) > 0)
+      .filter((a) => {
+        if (vistos.has(a.parametro)) return false;
+        vistos.add(a.parametro);
+        return true;
+      })
+      .map((a) => ({
+        parametro: a.parametro,
+        fuente: a.fuente_recomendada,
+        kg_ha: parseFloat(a.kg_ha),
+        fecha: a.fecha
+      }));
+  } catch (error) {
+    console.error('Error en obtenerDosisRecomendadas:', error);
+    throw error;
+  }
+}
+
+/**
+ * Prescripciones de un lote con su mapa de zonas y el trabajo vinculado
+ * @param {string} lotId
+ */
+export async function obtenerPrescripciones(lotId) {
+  try {
+    const { data, error } = await supabase
+      .from('vra_prescriptions')
+      .select('*, management_zone_maps(id, name, zone_count, zones), agricultural_works(id, date, work_type, status)')
+      .eq('lot_id', lotId)
+      .order('created_at', { ascending: false });
+
+    if (error) throw error;
+    return data || [];
+  } catch (error) {
+    console.error('Error en obtenerPrescripciones:', error);
+    throw error;
+  }
+}
+
+/**
+ * Crea o actualiza una prescripción
+ * @param {Object} datos - { id?, firm_id, premise_id, lot_id, zone_map_id, work_id, input_id,
+ *   product_type, product_name, rate_unit, base_rate, rates, notes }
+ * @param {Array} zonas - Zonas del mapa (para el total)
+ * @param {string} userId
+ */
+export async function guardarPrescripcion(datos, zonas, userId = null) {
+  try {
+    if (!datos.zone_map_id) throw new Error('Seleccione un mapa de zonas');
+    if (!TIPOS_PRODUCTO_VRA[datos.product_type]) throw new Error('Tipo de producto inválido');
+    if (!UNIDADES_DOSIS[datos.rate_unit]) throw new Error('Unidad de dosis inválida');
+    if (!datos.product_name?.trim()) throw new Error('Indique el producto');
+
+    const rates = (datos.rates || []).map((r) => ({ zona: r.zona, dosis: parseFloat(r.dosis) || 0 }));
+    if (rates.some((r) => r.dosis < 0)) throw new Error('Las dosis no pueden ser negativas');
+    if (rates.every((r) => r.dosis === 0)) throw new Error('Cargue la dosis de al menos una zona');
+
+    const { total } = calcularTotalesPrescripcion(zonas, rates);
+    const fila = {
+      firm_id: datos.firm_id,
+      premise_id: datos.premise_id,
+      lot_id: datos.lot_id,
+      zone_map_id: datos.zone_map_id,
+      work_id: datos.work_id || null,
+      input_id: datos.input_id || null,
+      product_type: datos.product_type,
+      product_name: datos.product_name.trim(),
+      rate_unit: datos.rate_unit,
+      base_rate: parseFloat(datos.base_rate) || null,
+      rates,
+      total_quantity: total,
+      notes: datos.notes || null,
+      updated_at: new Date().toISOString()
+    };
+
+    const query = datos.id
+      ? supabase.from('vra_prescriptions').update(fila).eq('id', datos.id)
+      : supabase.from('vra_prescriptions').insert([{ ...fila, created_by: userId }]);
+
+    const { data, error } = await query.select().single();
+    if (error) throw error;
+
+    await registrarAuditoria(
+      'monitoring_integration',
+      data,
+      'prescripcion_vra',
+      `Prescripción ${datos.id ? 'actualizada' : 'creada'}: ${data.product_name} · ${rates.length} zonas · ${total} ${data.rate_unit.split('/')[0]}`,
+      data.id,
+      { work_id: data.work_id, rates },
+      userId
+    );
+
+    return data;
+  } catch (error) {
+    console.error('Error en guardarPrescripcion:', error);
+    throw error;
+  }
+}
+
+/**
+ * Marca la prescripción como aplicada (requiere trabajo vinculado)
+ * @param {Object} prescripcion
+ * @param {string} userId
+ */
+export async function marcarPrescripcionAplicada(prescripcion, userId = null) {
+  try {
+    if (!prescripcion.work_id) throw new Error('Vincule el trabajo agrícola que aplicó la prescripción');
+
+    const { data, error } = await supabase
+      .from('vra_prescriptions')
+      .update({ status: 'APLICADA', updated_at: new Date().toISOString() })
+      .eq('id', prescripcion.id)
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    await registrarAuditoria(
+      'monitoring_integration',
+      data,
+      'prescripcion_vra',
+      `Prescripción aplicada: ${data.product_name}`,
+      data.id,
+      { work_id: data.work_id },
+      userId
+    );
+    return data;
+  } catch (error) {
+    console.error('Error en marcarPrescripcionAplicada:', error);
+    throw error;
+  }
+}
+
+/**
+ * Elimina una prescripción
+ * @param {Object} prescripcion
+ * @param {string} userId
+ */
+export async function eliminarPrescripcion(prescripcion, userId = null) {
+  try {
+    const { error } = await supabase
+      .from('vra_prescriptions')
+      .delete()
+      .eq('id', prescripcion.id);
+
+    if (error) throw error;
+
+    await registrarAuditoria(
+      'monitoring_integration',
+      prescripcion,
+      'prescripcion_vra',
+      `Prescripción eliminada: ${prescripcion.product_name}`,
+      prescripcion.id,
+      null,
+      userId
+    );
+  } catch (error) {
+    console.error('Error en eliminarPrescripcion:', error);
+    throw error;
+  }
+}
+
+/**
+ * Polígonos de la prescripción con la dosis de cada zona. Las zonas multiparte se separan
+ * en polígonos simples: varios controladores no leen MultiPolygon.
+ * @param {Object} prescripcion
+ * @param {Array} zonas - Zonas del mapa
+ * @returns {Object} FeatureCollection
+ */
+export function prescripcionAFeatureCollection(prescripcion, zonas) {
+  const features = (zonas || []).flatMap((zona) => {
+    if (!zona.geometry) return [];
+    const partes = zona.geometry.type === 'MultiPolygon' ? zona.geometry.coordinates : [zona.geometry.coordinates];
+    const properties = {
+      ZONA: zona.zona,
+      ETIQUETA: zona.etiqueta || '',
+      DOSIS: dosisDeZona(prescripcion, zona.zona),
+      UNIDAD: prescripcion.rate_unit,
+      PRODUCTO: prescripcion.product_name,
+      AREA_HA: zona.area_ha
+    };
+    return partes.map((coordinates) => ({
+      type: 'Feature',
+      properties,
+      geometry: { type: 'Polygon', coordinates }
+    }));
+  });
+
+  return { type: 'FeatureCollection', features };
+}
+
+function polygonoISO(coordinates, tipo, designacion) {
+  const lineas = coordinates.map((anillo, i) => {
+    const puntos = anillo.map(([lng, lat]) => `<PNT A="2" C="${lat.toFixed(9)}" D="${lng.toFixed(9)}"/>`).join('');
+    // LSG A=1 anillo exterior, A=2 interior (hueco)
+    return `<LSG A="${i === 0 ? 1 : 2}">${puntos}</LSG>`;
+  });
+  return `<PLN A="${tipo}" B="${escaparXML(designacion)}">${lineas.join('')}</PLN>`;
+}
+
+function partesGeometria(geometry) {
+  if (!geometry) return [];
+  return geometry.type === 'MultiPolygon' ? geometry.coordinates : [geometry.coordinates];
+}
+
+/**
+ * Genera TASKDATA.XML (ISO 11783-10) con una tarea por prescripción: un Partfield con el
+ * límite del lote y una TreatmentZone por zona con el setpoint de dosis
+ * @param {Object} params - { prescripcion, zonas, lote: { name, area_hectares, geometry }, firma, predio }
+ * @returns {string} XML
+ */
+export function generarISOXML({ prescripcion, zonas, lote, firma, predio }) {
+  const unidad = UNIDADES_DOSIS[prescripcion.rate_unit];
+  const pdv = (dosis) => `<PDV A="${unidad.ddi}" B="${Math.round(dosis * unidad.factorIso)}" C="PDT1"/>`;
+  const areaM2 = Math.round((parseFloat(lote.area_hectares) || 0) * 10000);
+  const ordenadas = [...(zonas || [])].sort((a, b) => a.zona - b.zona);
+  const fueraDeLote = ordenadas.length + 1;
+
+  const zonasTratamiento = ordenadas.map((zona) => [
+    `<TZN A="${zona.zona}" B="${escaparXML(`Zona ${zona.zona} ${zona.etiqueta || ''}`.trim())}">`,
+    ...partesGeometria(zona.geometry).map((coords) => polygonoISO(coords, 2, `Zona ${zona.zona}`)),
+    pdv(dosisDeZona(prescripcion, zona.zona)),
+    '</TZN>'
+  ].join(''));
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<ISO11783_TaskData VersionMajor="3" VersionMinor="3" ManagementSoftwareManufacturer="Nerd" ManagementSoftwareVersion="0.0.1" DataTransferOrigin="1">',
+    `<CTR A="CTR1" B="${escaparXML(firma || 'Firma')}"/>`,
+    `<FRM A="FRM1" B="${escaparXML(predio || 'Predio')}" I="CTR1"/>`,
+    `<PFD A="PFD1" C="${escaparXML(lote.name)}" D="${areaM2}" E="CTR1" F="FRM1">`,
+    ...partesGeometria(lote.geometry).map((coords) => polygonoISO(coords, 1, lote.name)),
+    '</PFD>',
+    `<PDT A="PDT1" B="${escaparXML(prescripcion.product_name)}"/>`,
+    // H = zona por defecto y pérdida de posición (dosis base), J = fuera del lote (sin aplicación)
+    `<TSK A="TSK1" B="${escaparXML(`${prescripcion.product_name} - ${lote.name}`)}" C="CTR1" D="FRM1" E="PFD1" G="1" H="0" I="0" J="${fueraDeLote}">`,
+    `<TZN A="0" B="Dosis base">${pdv(parseFloat(prescripcion.base_rate) || 0)}</TZN>`,
+    ...zonasTratamiento,
+    `<TZN A="${fueraDeLote}" B="Fuera del lote">${pdv(0)}</TZN>`,
+    '</TSK>',
+    '</ISO11783_TaskData>'
+  ].join('\n');
+}
+
+/**
+ * Exporta la prescripción para el controlador y la marca como exportada
+ * @param {Object} params - { prescripcion, zonas, lote (con geometry GeoJSON), firma, predio, formato }
+ * @param {string} userId
+ * @returns {Promise<Object>} Prescripción actualizada
+ */
+export async function exportarPrescripcion({ prescripcion, zonas, lote, firma, predio, formato }, userId = null) {
+  try {
+    if (!FORMATOS_PRESCRIPCION[formato]) throw new Error(`Formato no soportado: ${formato}`);
+
+    const fecha = new Date().toISOString().split('T')[0];
+    const nombreBase = `VRA_${nombreArchivoSeguro(lote.name, 'lote')}_${nombreArchivoSeguro(prescripcion.product_name, 'lote')}_${fecha}`;
+
+    if (formato === 'SHAPEFILE') {
+      const blob = await shpwrite.zip(prescripcionAFeatureCollection(prescripcion, zonas), {
+        folder: nombreBase,
+        outputType: 'blob',
+        types: { polygon: 'prescripcion' }
+      });
+      saveAs(blob, `${nombreBase}.zip`);
+    } else {
+      const zip = new JSZip();
+      zip.folder('TASKDATA').file('TASKDATA.XML', generarISOXML({ prescripcion, zonas, lote, firma, predio }));
+      saveAs(await zip.generateAsync({ type: 'blob' }), `${nombreBase}_ISOXML.zip`);
+    }
+
+    const { data, error } = await supabase
+      .from('vra_prescriptions')
+      .update({
+        status: prescripcion.status === 'APLICADA' ? 'APLICADA' : 'EXPORTADA',
+        last_export_format: formato,
+        exported_at: new Date().toISOString()
+      })
+      .eq('id', prescripcion.id)
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    await registrarAuditoria(
+      'monitoring_integration',
+      data,
+      'prescripcion_vra',
+      `Prescripción exportada (${FORMATOS_PRESCRIPCION[formato].label}): ${data.product_name}`,
+      data.id,
+      { formato },
+      userId
+    );
+
+    return data;
+  } catch (error) {
+    console.error('Error en exportarPrescripcion:', error);
+    throw error;
+  }
+}
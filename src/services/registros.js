@@ -59,6 +59,32 @@ export async function crearRegistro({
   }
 }
 
+/**
+ * Registra en auditoría una operación sobre una entidad del predio. Un fallo del registro
+ * solo se advierte en consola para no interrumpir la operación que se audita
+ * @param {string} moduloOrigen - Módulo que generó el registro
+ * @param {Object} base - Entidad de la operación (firm_id, premise_id y lot_id opcionales)
+ * @param {string} tipo - Tipo de registro
+ * @param {string} descripcion - Descripción de la operación
+ * @param {string} referencia - ID de la entidad relacionada (opcional)
+ * @param {Object} metadata - Datos adicionales (JSON)
+ * @param {string} userId - Usuario que realizó la operación (por defecto 'sistema')
+ * @returns {Promise<Object|undefined>} Registro creado, o undefined si falló
+ */
+export function registrarAuditoria(moduloOrigen, base, tipo, descripcion, referencia = null, metadata = {}, userId = null) {
+  return crearRegistro({
+    firmId: base.firm_id,
+    premiseId: base.premise_id || null,
+    lotId: base.lot_id || null,
+    tipo,
+    descripcion,
+    moduloOrigen,
+    usuario: userId || 'sistema',
+    referencia,
+    metadata
+  }).catch((err) => console.warn('Error registrando en auditoría:', err));
+}
+
 /**
  * Obtiene registros con filtros y paginación
  * @param {Object} params
@@ -52,6 +52,9 @@ export async function exportReportExcel(reportType, reportData, metadata) {
       case 'estado_resultados':
         exportEstadoResultadosExcel(workbook, reportData, metadata);
         break;
+      case 'balance_general':
+        exportBalanceGeneralExcel(workbook, reportData, metadata);
+        break;
       case 'cashflow':
         exportCashflowExcel(workbook, reportData, metadata);
         break;
@@ -160,6 +163,9 @@ export async function exportReportPDF(reportType, reportData, metadata) {
       case 'estado_resultados':
         yPosition = exportEstadoResultadosPDF(doc, reportData, metadata, yPosition);
         break;
+      case 'balance_general':
+        yPosition = exportBalanceGeneralPDF(doc, reportData, metadata, yPosition);
+        break;
       case 'cashflow':
         yPosition = exportCashflowPDF(doc, reportData, metadata, yPosition);
         break;
@@ -259,6 +265,9 @@ export async function exportReportWord(reportType, reportData, metadata) {
       case 'estado_resultados':
         htmlContent += buildEstadoResultadosWord(reportData, metadata);
         break;
+      case 'balance_general':
+        htmlContent += buildBalanceGeneralWord(reportData, metadata);
+        break;
       case 'cashflow':
         htmlContent += buildCashflowWord(reportData, metadata);
         break;
@@ -358,6 +367,84 @@ function exportEstadoResultadosExcel(workbook, data, metadata) {
   XLSX.utils.book_append_sheet(workbook, worksheet, 'Estado Resultados');
 }
 
+/**
+ * Filas del balance general: [concepto, actual, anterior, variación]
+ * Los títulos de sección llevan los montos vacíos
+ */
+function filasBalanceGeneral(data) {
+  const actual = data?.actual;
+  const anterior = data?.anterior;
+  if (!actual) return [];
+
+  const rubros = [
+    ['ACTIVO', null],
+    ['  Disponibilidades', 'disponibilidades', b => b.activo.corriente.disponibilidades],
+    ['  Créditos por Ventas', 'creditos_por_ventas', b => b.activo.corriente.creditos_por_ventas],
+    ['  Hacienda', 'hacienda', b => b.activo.corriente.hacienda],
+    ['  Insumos y Existencias', 'insumos', b => b.activo.corriente.insumos],
+    ['ACTIVO CORRIENTE', 'activo_corriente', b => b.activo.corriente.total],
+    ['  Maquinaria (valor libros)', 'maquinaria', b => b.activo.no_corriente.maquinaria],
+    ['ACTIVO NO CORRIENTE', 'activo_no_corriente', b => b.activo.no_corriente.total],
+    ['TOTAL ACTIVO', 'activo', b => b.activo.total],
+    ['PASIVO', null],
+    ['  Deudas Comerciales', 'deudas_comerciales', b => b.pasivo.corriente.deudas_comerciales],
+    ['TOTAL PASIVO', 'pasivo', b => b.pasivo.total],
+    ['PATRIMONIO', 'patrimonio', b => b.patrimonio.valor]
+  ];
+
+  return rubros.map(([concepto, clave, valor]) => {
+    if (!clave) return [concepto, '', '', ''];
+    const cambio = data.variaciones?.[clave];
+    return [
+      concepto,
+      Math.round(valor(actual)),
+      anterior ? Math.round(valor(anterior)) : '',
+      cambio ? Math.round(cambio.valor) : ''
+    ];
+  });
+}
+
+function encabezadoBalanceGeneral(data) {
+  return [
+    'CONCEPTO',
+    `AL ${data?.actual?.fecha_corte || ''} (${data?.actual?.moneda || 'UYU'})`,
+    data?.anterior ? `AL ${data.anterior.fecha_corte}` : 'ANTERIOR',
+    'VARIACIÓN'
+  ];
+}
+
+function exportBalanceGeneralExcel(workbook, data, metadata) {
+  const worksheet = XLSX.utils.aoa_to_sheet([]);
+
+  // Header
+  XLSX.utils.sheet_add_aoa(worksheet, [
+    [metadata.reportTitle],
+    [`Firma: ${metadata.firmName}`],
+    [`Período: ${metadata.periodo.start} a ${metadata.periodo.end}`],
+    [],
+    encabezadoBalanceGeneral(data)
+  ], { origin: 'A1' });
+
+  XLSX.utils.sheet_add_aoa(worksheet, filasBalanceGeneral(data), { origin: 'A6' });
+
+  worksheet['!cols'] = [{ wch: 30 }, { wch: 20 }, { wch: 20 }, { wch: 15 }];
+  XLSX.utils.book_append_sheet(workbook, worksheet, 'Balance General');
+
+  // Composición de cuentas, créditos, deudas y maquinaria
+  if (data?.actual?.detalle) {
+    const detalle = data.actual.detalle;
+    const composicion = XLSX.utils.aoa_to_sheet([
+      ['RUBRO', 'CONCEPTO', 'MONTO'],
+      ...detalle.cuentas_financieras.map(c => ['Disponibilidades', `${c.nombre} (${c.moneda})`, Math.round(c.saldo)]),
+      ...detalle.clientes.map(c => ['Créditos por Ventas', c.nombre, Math.round(c.saldo)]),
+      ...detalle.maquinaria.map(m => ['Maquinaria', m.nombre, Math.round(m.valor_libros)]),
+      ...detalle.proveedores.map(p => ['Deudas Comerciales', p.nombre, Math.round(p.saldo)])
+    ]);
+    composicion['!cols'] = [{ wch: 20 }, { wch: 35 }, { wch: 15 }];
+    XLSX.utils.book_append_sheet(workbook, composicion, 'Composición');
+  }
+}
+
 function exportCashflowExcel(workbook, data, metadata) {
   const worksheet = XLSX.utils.aoa_to_sheet([]);
 
@@ -647,6 +734,17 @@ function exportEstadoResultadosPDF(doc, data, metadata, startY) {
   return doc.lastAutoTable.finalY + 10;
 }
 
+function exportBalanceGeneralPDF(doc, data, metadata, startY) {
+  autoTable(doc, {
+    head: [encabezadoBalanceGeneral(data)],
+    body: filasBalanceGeneral(data),
+    startY: startY,
+    margin: 10
+  });
+
+  return doc.lastAutoTable.finalY + 10;
+}
+
 function exportCashflowPDF(doc, data, metadata, startY) {
   const tableData = [
     ['MES', 'INGRESOS ($)', 'EGRESOS ($)', 'FLUJO NETO ($)', 'SALDO ACUM. ($)']
@@ -1026,6 +1124,39 @@ function buildEstadoResultadosWord(data, metadata) {
 `;
 }
 
+function buildBalanceGeneralWord(data, metadata) {
+  const filas = filasBalanceGeneral(data)
+    .map(([concepto, actual, anterior, variacion]) => {
+      if (actual === '') {
+        return `
+      <tr class="section-title">
+        <td colspan="4">${concepto}</td>
+      </tr>`;
+      }
+      const clase = concepto.startsWith('  ') ? '' : ' class="total-row"';
+      return `
+      <tr${clase}>
+        <td>${concepto.trim()}</td>
+        <td>${actual.toLocaleString('es-AR')}</td>
+        <td>${anterior === '' ? '-' : anterior.toLocaleString('es-AR')}</td>
+        <td>${variacion === '' ? '-' : variacion.toLocaleString('es-AR')}</td>
+      </tr>`;
+    })
+    .join('');
+
+  return `
+  <table>
+    <thead>
+      <tr>
+        ${encabezadoBalanceGeneral(data).map(col => `<th>${col}</th>`).join('')}
+      </tr>
+    </thead>
+    <tbody>${filas}
+    </tbody>
+  </table>
+`;
+}
+
 function buildCashflowWord(data, metadata) {
   let tableHtml = `
   <table>
@@ -0,0 +1,608 @@
+/**
+ * Servicio de manejo reproductivo para rodeos de cría
+ * - Temporadas de entore por rodeo (monta natural, IA, IATF con toro o pajuela)
+ * - Diagnóstico de gestación (tacto / ecografía con días estimados)
+ * - Pariciones vinculadas a madre y padre, con alta opcional del ternero
+ * - Destete con peso del ternero
+ * - Índices por temporada: preñez, parición y destete sobre vientres entorados
+ * Tablas: breeding_seasons, reproductive_events (add_reproduction.sql)
+ */
+
+import { supabase } from '../lib/supabase';
+import { registrarAuditoria } from './registros';
+import { createAnimal, registerLivestockEvent } from './livestock';
+import { sumarDias, diasEntre } from '../lib/fechas';
+
+export const DIAS_GESTACION_BOVINO = 283;
+export const DIAS_CICLO_ESTRAL = 21;
+
+export const TIPOS_SERVICIO = {
+  NATURAL: 'Monta natural',
+  IA: 'Inseminación artificial',
+  IATF: 'IA a tiempo fijo'
+};
+
+export const METODOS_DIAGNOSTICO = {
+  TACTO: 'Tacto rectal',
+  ECOGRAFIA: 'Ecografía'
+};
+
+export const RESULTADOS_DIAGNOSTICO = {
+  PRENADA: 'Preñada',
+  VACIA: 'Vacía'
+};
+
+export const FACILIDAD_PARTO = {
+  NORMAL: 'Normal',
+  ASISTIDO: 'Asistido',
+  DISTOCICO: 'Distócico',
+  CESAREA: 'Cesárea'
+};
+
+/**
+ * Tercio del entore en que concibió la vaca (cabeza / cuerpo / cola) por ciclos de 21 días
+ */
+export const TERCIOS_ENTORE = ['Cabeza', 'Cuerpo', 'Cola'];
+
+function porcentaje(parte, total) {
+  return total > 0 ? Math.round((parte / total) * 1000) / 10 : null;
+}
+
+// ============================================================================
+// TEMPORADAS DE ENTORE
+// ============================================================================
+
+/**
+ * Temporadas de entore del predio (opcionalmente de un rodeo), la más reciente primero
+ */
+export async function obtenerTemporadas(premiseId, herdId = null) {
+  let query = supabase
+    .from('breeding_seasons')
+    .select('*, herd:herd_id(id, name, species)')
+    .eq('premise_id', premiseId);
+
+  if (herdId) query = query.eq('herd_id', herdId);
+
+  const { data, error } = await query.order('start_date', { ascending: false });
+
+  if (error) throw error;
+  return data || [];
+}
+
+/**
+ * Crea una temporada de entore para un rodeo
+ * @param {Object} temporada - { firm_id, premise_id, herd_id, name, start_date, end_date, females_exposed, notes }
+ */
+export async function crearTemporada(temporada, userId = null) {
+  try {
+    if (!temporada.herd_id || !temporada.start_date) {
+      throw new Error('El rodeo y la fecha de inicio del entore son obligatorios');
+    }
+
+    const { data, error } = await supabase
+      .from('breeding_seasons')
+      .insert([{
+        firm_id: temporada.firm_id,
+        premise_id: temporada.premise_id,
+        herd_id: temporada.herd_id,
+        name: temporada.name,
+        start_date: temporada.start_date,
+        end_date: temporada.end_date || null,
+        females_exposed: temporada.females_exposed ? parseInt(temporada.females_exposed) : null,
+        notes: temporada.notes || null,
+        status: 'ACTIVE',
+        created_by: userId
+      }])
+      .select('*, herd:herd_id(id, name, species)')
+      .single();
+
+    if (error) throw error;
+
+    await registrarAuditoria(
+      'livestock_manager',
+      data,
+      'temporada_entore_creada',
+      `Temporada de entore "${data.name}" creada para el rodeo ${data.herd?.name || ''}`,
+      data.id,
+      { herd_id: data.herd_id, start_date: data.start_date, end_date: data.end_date },
+      userId
+    );
+
+    return data;
+  } catch (error) {
+    console.error('Error en crearTemporada:', error);
+    throw error;
+  }
+}
+
+/**
+ * Cierra la temporada (al completar el destete)
+ */
+export async function cerrarTemporada(seasonId) {
+  const { data, error } = await supabase
+    .from('breeding_seasons')
+    .update({ status: 'CLOSED' })
+    .eq('id', seasonId)
+    .select('*, herd:herd_id(id, name, species)')
+    .single();
+
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * Registros reproductivos de una temporada
+ */
+export async function obtenerEventosReproductivos(seasonId) {
+  const { data, error } = await supabase
+    .from('reproductive_events')
+    .select(`
+      *,
+      animal:animal_id(id, visual_tag, rfid_tag),
+      sire:sire_id(id, visual_tag, rfid_tag),
+      calf:calf_id(id, visual_tag, rfid_tag, sex)
+    `)
+    .eq('season_id', seasonId)
+    .order('event_date', { ascending: true });
+
+  if (error) throw error;
+  return data || [];
+}
+
+// ============================================================================
+// REGISTROS
+// ============================================================================
+
+function baseEvento(temporada, tipo, fecha, userId) {
+  return {
+    firm_id: temporada.firm_id,
+    premise_id: temporada.premise_id,
+    season_id: temporada.id,
+    herd_id: temporada.herd_id,
+    event_type: tipo,
+    event_date: fecha,
+    created_by: userId
+  };
+}
+
+/**
+ * Registra el servicio de un grupo de hembras (mismo toro o pajuela)
+ * @param {Object} temporada
+ * @param {Object} servicio - { animalIds, service_type, event_date, service_end_date, sire_id, sire_name, semen_straw, technician, notes }
+ * @returns {Promise<Array>} Registros creados
+ */
+export async function registrarServicio(temporada, servicio, userId = null) {
+  try {
+    if (!servicio.animalIds || servicio.animalIds.length === 0) {
+      throw new Error('Selecciona al menos una hembra servida');
+    }
+    if (servicio.service_type !== 'NATURAL' && !servicio.semen_straw && !servicio.sire_id) {
+      throw new Error('La inseminación requiere el toro o el código de pajuela');
+    }
+
+    const registros = servicio.animalIds.map((animalId) => ({
+      ...baseEvento(temporada, 'SERVICE', servicio.event_date, userId),
+      animal_id: animalId,
+      service_type: servicio.service_type,
+      service_end_date: servicio.service_type === 'NATURAL' ? servicio.service_end_date || temporada.end_date : null,
+      sire_id: servicio.sire_id || null,
+      sire_name: servicio.sire_name || null,
+      semen_straw: servicio.service_type === 'NATURAL' ? null : servicio.semen_straw || null,
+      technician: servicio.technician || null,
+      notes: servicio.notes || null
+    }));
+
+    const { data, error } = await supabase
+      .from('reproductive_events')
+      .insert(registros)
+      .select();
+
+    if (error) throw error;
+
+    await registrarAuditoria(
+      'livestock_manager',
+      temporada,
+      'servicio_reproductivo_registrado',
+      `${TIPOS_SERVICIO[servicio.service_type]}: ${data.length} hembra(s) en "${temporada.name}"`,
+      temporada.id,
+      { service_type: servicio.service_type, sire_id: servicio.sire_id, semen_straw: servicio.semen_straw, cantidad: data.length },
+      userId
+    );
+
+    return data;
+  } catch (error) {
+    console.error('Error en registrarServicio:', error);
+    throw error;
+  }
+}
+
+/**
+ * Registra el diagnóstico de gestación de una jornada de tacto o ecografía.
+ * Con los días de gestación estimados se calcula la fecha probable de parto.
+ * @param {Object} temporada
+ * @param {Object} jornada - { event_date, diagnosis_method, technician, diagnosticos: [{ animalId, result, gestation_days }] }
+ * @returns {Promise<Array>} Registros creados
+ */
+export async function registrarDiagnosticos(temporada, jornada, userId = null) {
+  try {
+    const diagnosticos = (jornada.diagnosticos || []).filter((d) => d.result);
+    if (diagnosticos.length === 0) {
+      throw new Error('No hay diagnósticos para registrar');
+    }
+
+    const registros = diagnosticos.map((d) => {
+      const dias = d.result === 'PRENADA' && d.gestation_days ? parseInt(d.gestation_days) : null;
+      return {
+        ...baseEvento(temporada, 'PREGNANCY_CHECK', jornada.event_date, userId),
+        animal_id: d.animalId,
+        diagnosis_method: jornada.diagnosis_method,
+        diagnosis_result: d.result,
+        gestation_days: dias,
+        expected_calving_date: dias !== null
+          ? sumarDias(jornada.event_date, DIAS_GESTACION_BOVINO - dias)
+          : null,
+        technician: jornada.technician || null,
+        notes: d.notes || null
+      };
+    });
+
+    const { data, error } = await supabase
+      .from('reproductive_events')
+      .insert(registros)
+      .select();
+
+    if (error) throw error;
+
+    const prenadas = data.filter((d) => d.diagnosis_result === 'PRENADA').length;
+    await registrarAuditoria(
+      'livestock_manager',
+      temporada,
+      'diagnostico_gestacion_registrado',
+      `${METODOS_DIAGNOSTICO[jornada.diagnosis_method]} en "${temporada.name}": ${prenadas} preñada(s) de ${data.length}`,
+      temporada.id,
+      { diagnosis_method: jornada.diagnosis_method, prenadas, diagnosticadas: data.length },
+      userId
+    );
+
+    return data;
+  } catch (error) {
+    console.error('Error en registrarDiagnosticos:', error);
+    throw error;
+  }
+}
+
+/**
+ * Registra un parto: vincula madre y padre, da de alta al ternero si se identificó
+ * y genera el evento BIRTH (pendiente de aprobación) para el stock DICOSE.
+ * @param {Object} temporada
+ * @param {Object} parto - { dam, event_date, sire_id, sire_name, calf_sex, weight_kg, calving_ease,
+ *                           calf_alive, calf_visual_tag, calf_category_id, notes }
+ * @returns {Promise<Object>} Registro de parto
+ */
+export async function registrarParto(temporada, parto, userId = null) {
+  try {
+    const { dam } = parto;
+    if (!dam?.id) {
+      throw new Error('Selecciona la madre');
+    }
+
+    let ternero = null;
+    if (parto.calf_alive && parto.calf_visual_tag) {
+      if (!parto.calf_category_id) {
+        throw new Error('Selecciona la categoría del ternero para darlo de alta');
+      }
+      ternero = await createAnimal({
+        firm_id: temporada.firm_id,
+        premise_id: temporada.premise_id,
+        visual_tag: parto.calf_visual_tag,
+        species: dam.species || temporada.herd?.species || 'BOVINO',
+        breed: dam.breed || null,
+        sex: parto.calf_sex || null,
+        birth_date: parto.event_date,
+        initial_weight: parto.weight_kg ? parseFloat(parto.weight_kg) : null,
+        current_category_id: parto.calf_category_id,
+        initial_category_id: parto.calf_category_id,
+        current_lot_id: dam.current_lot?.id || null,
+        origin_premise_id: temporada.premise_id,
+        dam_id: dam.id,
+        sire_id: parto.sire_id || null,
+        sire_name: parto.sire_id ? null : parto.sire_name || null,
+        status: 'ACTIVE',
+        herd_id: temporada.herd_id
+      });
+    }
+
+    let eventoNacimiento = null;
+    if (parto.calf_alive) {
+      eventoNacimiento = await registerLivestockEvent({
+        firm_id: temporada.firm_id,
+        premise_id: temporada.premise_id,
+        event_type: 'BIRTH',
+        scope: 'HERD',
+        event_date: parto.event_date,
+        species: dam.species || temporada.herd?.species || 'BOVINO',
+        herd_id: temporada.herd_id,
+        animal_id: null,
+        qty_heads: 1,
+        qty_kg: parto.weight_kg ? parseFloat(parto.weight_kg) : null,
+        notes: `Parición de ${dam.visual_tag || dam.rfid_tag || 'vaca'}${ternero ? ` - ternero ${ternero.visual_tag}` : ''}`,
+        status: 'PENDING',
+        metadata: {
+          dam_id: dam.id,
+          sire_id: parto.sire_id || null,
+          calf_id: ternero?.id || null,
+          audit: {
+            creation_source: 'REPRODUCTION_MODULE',
+            creator_name: localStorage.getItem('currentUser') || 'Sistema',
+            validation_status: 'PENDING_APPROVAL'
+          }
+        }
+      });
+    }
+
+    const { data, error } = await supabase
+      .from('reproductive_events')
+      .insert([{
+        ...baseEvento(temporada, 'CALVING', parto.event_date, userId),
+        animal_id: dam.id,
+        sire_id: parto.sire_id || null,
+        sire_name: parto.sire_name || null,
+        calf_id: ternero?.id || null,
+        calf_sex: parto.calf_sex || null,
+        calving_ease: parto.calving_ease || 'NORMAL',
+        calf_alive: !!parto.calf_alive,
+        weight_kg: parto.weight_kg ? parseFloat(parto.weight_kg) : null,
+        herd_event_id: eventoNacimiento?.id || null,
+        notes: parto.notes || null
+      }])
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    await registrarAuditoria(
+      'livestock_manager',
+      temporada,
+      'paricion_registrada',
+      `Parición de ${dam.visual_tag || dam.rfid_tag || 'vaca'} en "${temporada.name}"${parto.calf_alive ? '' : ' (ternero muerto)'}`,
+      temporada.id,
+      { dam_id: dam.id, sire_id: parto.sire_id, calf_id: ternero?.id, calving_ease: data.calving_ease },
+      userId
+    );
+
+    return data;
+  } catch (error) {
+    console.error('Error en registrarParto:', error);
+    throw error;
+  }
+}
+
+/**
+ * Registra el destete de los terneros de la temporada. El peso de destete de cada
+ * ternero identificado se guarda también como pesaje (WEIGHING) en herd_events.
+ * @param {Object} temporada
+ * @param {Object} destete - { event_date, terneros: [{ damId, calfId, weight_kg }] }
+ * @returns {Promise<Array>} Registros creados
+ */
+export async function registrarDestete(temporada, destete, userId = null) {
+  try {
+    const terneros = destete.terneros || [];
+    if (terneros.length === 0) {
+      throw new Error('Selecciona al menos un ternero destetado');
+    }
+
+    const { data, error } = await supabase
+      .from('reproductive_events')
+      .insert(terneros.map((t) => ({
+        ...baseEvento(temporada, 'WEANING', destete.event_date, userId),
+        animal_id: t.damId,
+        calf_id: t.calfId || null,
+        weight_kg: t.weight_kg ? parseFloat(t.weight_kg) : null,
+        notes: destete.notes || null
+      })))
+      .select();
+
+    if (error) throw error;
+
+    const pesajes = terneros
+      .filter((t) => t.calfId && t.weight_kg)
+      .map((t) => ({
+        firm_id: temporada.firm_id,
+        premise_id: temporada.premise_id,
+        event_type: 'WEIGHING',
+        scope: 'ANIMAL',
+        event_date: destete.event_date,
+        species: temporada.herd?.species || 'BOVINO',
+        animal_id: t.calfId,
+        herd_id: temporada.herd_id,
+        qty_kg: parseFloat(t.weight_kg),
+        notes: 'Peso al destete',
+        status: 'PENDING',
+        metadata: {
+          weaning: true,
+          weighing_method: destete.weighing_method || null,
+          audit: {
+            creation_source: 'REPRODUCTION_MODULE',
+            creator_name: localStorage.getItem('currentUser') || 'Sistema',
+            validation_status: 'PENDING_APPROVAL'
+          }
+        }
+      }));
+
+    if (pesajes.length > 0) {
+      const { error: pesajesError } = await supabase.from('herd_events').insert(pesajes);
+      if (pesajesError) throw pesajesError;
+    }
+
+    await registrarAuditoria(
+      'livestock_manager',
+      temporada,
+      'destete_registrado',
+      `Destete en "${temporada.name}": ${data.length} ternero(s)`,
+      temporada.id,
+      { destetados: data.length, pesados: pesajes.length },
+      userId
+    );
+
+    return data;
+  } catch (error) {
+    console.error('Error en registrarDestete:', error);
+    throw error;
+  }
+}
+
+/**
+ * Elimina un registro reproductivo cargado por error
+ */
+export async function eliminarEventoReproductivo(id) {
+  const { error } = await supabase
+    .from('reproductive_events')
+    .delete()
+    .eq('id', id);
+
+  if (error) throw error;
+}
+
+// ============================================================================
+// ÍNDICES
+// ============================================================================
+
+/**
+ * Índices reproductivos de una temporada a partir de sus registros.
+ * Vientres entorados: el número cargado en la temporada o, si falta, las hembras con servicio.
+ * Para cada hembra vale el último diagnóstico.
+ * @param {Object} temporada
+ * @param {Array} eventos - Registros de la temporada (obtenerEventosReproductivos)
+ * @returns {Object} { entoradas, prenadas, vacias, paridas, nacidos_vivos, destetados, tasas, tercios, kg_destetados, peso_destete_promedio }
+ */
+export function calcularIndicesReproductivos(temporada, eventos) {
+  const porTipo = (tipo) => eventos.filter((e) => e.event_type === tipo);
+
+  const servidas = new Set(porTipo('SERVICE').map((e) => e.animal_id));
+  const entoradas = temporada.females_exposed || servidas.size;
+
+  const ultimoDiagnostico = new Map();
+  porTipo('PREGNANCY_CHECK').forEach((e) => {
+    const previo = ultimoDiagnostico.get(e.animal_id);
+    if (!previo || e.event_date >= previo.event_date) ultimoDiagnostico.set(e.animal_id, e);
+  });
+  const diagnosticos = [...ultimoDiagnostico.values()];
+  const prenadas = diagnosticos.filter((d) => d.diagnosis_result === 'PRENADA');
+
+  const partos = porTipo('CALVING');
+  const paridas = new Set(partos.map((e) => e.animal_id)).size;
+  const nacidosVivos = partos.filter((e) => e.calf_alive).length;
+
+  const destetes = porTipo('WEANING');
+  const pesosDestete = destetes.map((e) => parseFloat(e.weight_kg)).filter((p) => p > 0);
+  const kgDestetados = pesosDestete.reduce((s, p) => s + p, 0);
+
+  // Cabeza / cuerpo / cola: ciclo de 21 días del entore en que se estima la concepción
+  const tercios = TERCIOS_ENTORE.map((nombre) => ({ nombre, cantidad: 0 }));
+  prenadas.filter((d) => d.gestation_days).forEach((d) => {
+    const concepcion = sumarDias(d.event_date, -d.gestation_days);
+    const ciclo = Math.floor(Math.max(diasEntre(temporada.start_date, concepcion), 0) / DIAS_CICLO_ESTRAL);
+    tercios[Math.min(ciclo, tercios.length - 1)].cantidad += 1;
+  });
+
+  const servicios = porTipo('SERVICE');
+  const porTipoServicio = Object.keys(TIPOS_SERVICIO).reduce((acc, tipo) => {
+    acc[tipo] = new Set(servicios.filter((s) => s.service_type === tipo).map((s) => s.animal_id)).size;
+    return acc;
+  }, {});
+
+  return {
+    entoradas,
+    servidas: servidas.size,
+    servicios_por_tipo: porTipoServicio,
+    diagnosticadas: diagnosticos.length,
+    prenadas: prenadas.length,
+    vacias: diagnosticos.filter((d) => d.diagnosis_result === 'VACIA').length,
+    paridas,
+    nacidos_vivos: nacidosVivos,
+    destetados: destetes.length,
+    kg_destetados: Math.round(kgDestetados * 10) / 10,
+    peso_destete_promedio: pesosDestete.length > 0
+      ? Math.round((kgDestetados / pesosDestete.length) * 10) / 10
+      : null,
+    tercios,
+    tasas: {
+      prenez: porcentaje(prenadas.length, entoradas),
+      paricion: porcentaje(paridas, entoradas),
+      destete: porcentaje(destetes.length, entoradas),
+      // Solo tiene sentido con la parición terminada
+      perdida_prenez_parto: temporada.status === 'CLOSED' && prenadas.length > 0
+        ? porcentaje(prenadas.length - paridas, prenadas.length)
+        : null,
+      kg_destetados_por_vaca: entoradas > 0 ? Math.round((kgDestetados / entoradas) * 10) / 10 : null
+    }
+  };
+}
+
+/**
+ * Índices reproductivos por temporada de un predio (una fila por rodeo y temporada)
+ */
+export async function obtenerIndicesPorRodeo(premiseId) {
+  try {
+    const temporadas = await obtenerTemporadas(premiseId);
+    if (temporadas.length === 0) return [];
+
+    const { data: eventos, error } = await supabase
+      .from('reproductive_events')
+      .select('season_id, animal_id, event_type, event_date, service_type, diagnosis_result, gestation_days, calf_alive, weight_kg')
+      .in('season_id', temporadas.map((t) => t.id));
+
+    if (error) throw error;
+
+    return temporadas.map((temporada) => ({
+      temporada,
+      indices: calcularIndicesReproductivos(
+        temporada,
+        (eventos || []).filter((e) => e.season_id === temporada.id)
+      )
+    }));
+  } catch (error) {
+    console.error('Error en obtenerIndicesPorRodeo:', error);
+    throw error;
+  }
+}
+
+/**
+ * Terneros destetados en el período y vientres entorados de las temporadas a las que pertenecen.
+ * Base del KPI TASA_DESTETE.
+ * @param {string} firmId
+ * @param {string} desde - YYYY-MM-DD
+ * @param {string} hasta - YYYY-MM-DD
+ * @returns {Promise<Object>} { destetados, entoradas, temporadas }
+ */
+export async function obtenerDestetesPeriodo(firmId, desde, hasta) {
+  const { data: destetes, error } = await supabase
+    .from('reproductive_events')
+    .select('season_id')
+    .eq('firm_id', firmId)
+    .eq('event_type', 'WEANING')
+    .gte('event_date', desde)
+    .lte('event_date', hasta);
+
+  if (error) throw error;
+
+  const seasonIds = [...new Set((destetes || []).map((d) => d.season_id))];
+  if (seasonIds.length === 0) {
+    return { destetados: 0, entoradas: 0, temporadas: 0 };
+  }
+
+  const [{ data: temporadas, error: temporadasError }, { data: servicios, error: serviciosError }] = await Promise.all([
+    supabase.from('breeding_seasons').select('id, females_exposed').in('id', seasonIds),
+    supabase.from('reproductive_events').select('season_id, animal_id').eq('event_type', 'SERVICE').in('season_id', seasonIds)
+  ]);
+
+  if (temporadasError) throw temporadasError;
+  if (serviciosError) throw serviciosError;
+
+  const entoradas = (temporadas || []).reduce((total, temporada) => {
+    const servidas = new Set((servicios || []).filter((s) => s.season_id === temporada.id).map((s) => s.animal_id));
+    return total + (temporada.females_exposed || servidas.size);
+  }, 0);
+
+  return { destetados: destetes.length, entoradas, temporadas: seasonIds.length };
+}
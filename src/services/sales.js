@@ -10,6 +10,8 @@
 
 import { supabase } from '../lib/supabase';
 import { crearRegistro } from './registros';
+import { sellarTipoCambio } from './exchangeRates';
+import { generarAsientoVenta } from './journal';
 import { validarDisponibilidad } from './inputMovements';
 import { crearAlertaAutomatica } from './alertas';
 import { validarVenta, validarItemVenta, validarDisponibilidadStock } from '../lib/validations/salesValidations';
@@ -245,6 +247,7 @@ export async function crearVenta(ventaData, items) {
     const tax_rate = ventaData.tax_rate || 22;
     const tax_amount = subtotal * (tax_rate / 100);
     const total_amount = subtotal + tax_amount;
+    const exchange_rate = await sellarTipoCambio(ventaData.firm_id, ventaData.sale_date, ventaData.exchange_rate);
 
     // 3. CREAR VENTA (estado DRAFT)
     const { data: newSale, error: saleError } = await supabase
@@ -255,6 +258,7 @@ export async function crearVenta(ventaData, items) {
         tax_rate,
         tax_amount,
         total_amount,
+        exchange_rate,
         status: 'DRAFT',
         created_at: new Date().toISOString(),
         updated_at: new Date().toISOString()
@@ -393,6 +397,9 @@ export async function confirmarVenta(saleId, userId) {
     if (error) throw error;
     if (!data) throw new Error('Error confirmando venta');
 
+    // Asiento contable (no bloquea la confirmación si falta el mapeo de cuentas)
+    await generarAsientoVenta(saleId, userId);
+
     return data;
   } catch (error) {
     console.error('Error en confirmarVenta:', error);
@@ -0,0 +1,497 @@
+/**
+ * Servicio de sesiones de pesaje con balanza electrónica
+ * - Parseo de archivos exportados por el cabezal (Tru-Test / Gallagher, CSV o XML)
+ * - Emparejamiento de lecturas con animals.rfid_tag / visual_tag
+ * - Un evento WEIGHING por animal con su peso real, y lecturas sin emparejar a resolver
+ * - Distribución de pesos y ganancia diaria por animal de la sesión
+ * Tablas: weighing_sessions, herd_events.weighing_session_id (add_weighing_sessions.sql)
+ */
+
+import { supabase } from '../lib/supabase';
+import { crearRegistro } from './registros';
+import { registerBulkWeighingEvent, registerLivestockEvent } from './livestock';
+import {
+  leerLineas,
+  detectarSeparador,
+  separarCampos,
+  parsearNumero,
+  parsearFecha,
+  normalizarTexto,
+  normalizarIdentificador,
+  buscarColumna
+} from '../lib/csvParsing';
+
+export const ANCHO_RANGO_KG = 20;
+
+/**
+ * Encabezados (CSV) o etiquetas (XML) posibles de cada campo, comparados sin tildes,
+ * espacios ni signos. Cubre los exportes de Tru-Test (EziWeigh, XR/ID5000) y Gallagher (TSi/TW).
+ */
+const COLUMNAS_BALANZA = {
+  rfid: ['eid', 'electronicid', 'rfid', 'idelectronico', 'caravanaelectronica', 'tageid'],
+  visual: ['vid', 'visualid', 'visualtag', 'caravana', 'caravanavisual', 'idvisual', 'idv'],
+  peso: ['weight', 'weightkg', 'liveweight', 'peso', 'pesokg', 'pesovivo', 'wt'],
+  fecha: ['date', 'fecha', 'weighdate', 'fechapesada', 'datetime']
+};
+
+const FORMATOS = {
+  csv: 'CSV',
+  txt: 'CSV',
+  xml: 'XML'
+};
+
+function claveColumna(texto) {
+  return normalizarTexto(texto).replace(/[^a-z0-9]/g, '');
+}
+
+function nuevaLectura(valores, linea) {
+  return {
+    linea,
+    rfid: valores.rfid ? String(valores.rfid).trim() : null,
+    visual: valores.visual ? String(valores.visual).trim() : null,
+    peso: parsearNumero(valores.peso),
+    fecha: valores.fecha ? parsearFecha(String(valores.fecha).split(/[ T]/)[0]) : null
+  };
+}
+
+function validarLecturas(lecturas) {
+  const validas = [];
+  const errores = [];
+  lecturas.forEach((lectura) => {
+    if (!lectura.rfid && !lectura.visual) {
+      errores.push(`Línea ${lectura.linea}: sin identificación`);
+    } else if (!lectura.peso || lectura.peso <= 0) {
+      errores.push(`Línea ${lectura.linea}: peso inválido`);
+    } else {
+      validas.push(lectura);
+    }
+  });
+  return { lecturas: validas, errores };
+}
+
+function parsearCSVBalanza(texto) {
+  const lineas = leerLineas(texto);
+
+  // Los cabezales agregan un preámbulo (nombre de sesión, equipo); el encabezado puede no ser la primera línea
+  for (let i = 0; i < Math.min(lineas.length, 15); i++) {
+    const separador = detectarSeparador(lineas[i]);
+    const encabezados = separarCampos(lineas[i], separador).map(claveColumna);
+    const indices = {
+      rfid: buscarColumna(encabezados, COLUMNAS_BALANZA.rfid, { normalizar: claveColumna }),
+      visual: buscarColumna(encabezados, COLUMNAS_BALANZA.visual, { normalizar: claveColumna }),
+      peso: buscarColumna(encabezados, COLUMNAS_BALANZA.peso, { normalizar: claveColumna }),
+      fecha: buscarColumna(encabezados, COLUMNAS_BALANZA.fecha, { normalizar: claveColumna })
+    };
+    if (indices.peso < 0 || (indices.rfid < 0 && indices.visual < 0)) continue;
+
+    const lecturas = lineas.slice(i + 1).map((linea, idx) => {
+      const campos = separarCampos(linea, separador);
+      const valores = {};
+      Object.entries(indices).forEach(([campo, indice]) => {
+        valores[campo] = indice >= 0 ? campos[indice] : null;
+      });
+      return nuevaLectura(valores, i + idx + 2);
+    });
+    return validarLecturas(lecturas);
+  }
+
+  return { lecturas: [], errores: ['No se encontró el encabezado con identificación y peso'] };
+}
+
+/**
+ * XML del cabezal: se recorren las etiquetas hoja en orden y se arma un registro nuevo
+ * cada vez que se repite un campo ya leído (funciona con <Animal>, <Record>, <Row>, etc.)
+ */
+function parsearXMLBalanza(texto) {
+  const patron = /<([A-Za-z_][\w.:-]*)[^>/]*>([^<]*)<\/\1>/g;
+  const registros = [];
+  let actual = {};
+  let coincidencia;
+
+  const campoDeEtiqueta = (etiqueta) => {
+    const clave = claveColumna(etiqueta.split(':').pop());
+    return Object.keys(COLUMNAS_BALANZA).find((campo) => COLUMNAS_BALANZA[campo].includes(clave)) || null;
+  };
+
+  while ((coincidencia = patron.exec(String(texto || ''))) !== null) {
+    const campo = campoDeEtiqueta(coincidencia[1]);
+    if (!campo) continue;
+    if (actual[campo] !== undefined) {
+      registros.push(actual);
+      actual = {};
+    }
+    actual[campo] = coincidencia[2].trim();
+  }
+  if (Object.keys(actual).length > 0) registros.push(actual);
+
+  if (registros.length === 0) {
+    return { lecturas: [], errores: ['El XML no contiene lecturas con identificación y peso'] };
+  }
+
+  return validarLecturas(registros.map((valores, idx) => nuevaLectura(valores, idx + 1)));
+}
+
+/**
+ * Formato del archivo de sesión según la extensión
+ * @param {string} nombreArchivo
+ * @returns {'CSV'|'XML'|null}
+ */
+export function detectarFormatoBalanza(nombreArchivo) {
+  const extension = String(nombreArchivo || '').split('.').pop().toLowerCase();
+  return FORMATOS[extension] || null;
+}
+
+/**
+ * Parsea el archivo de sesión exportado por la balanza
+ * @param {string} texto - Contenido del archivo
+ * @param {string} nombreArchivo
+ * @returns {Object} { formato, lecturas: [{ linea, rfid, visual, peso, fecha }], errores }
+ */
+export function parsearArchivoBalanza(texto, nombreArchivo) {
+  const formato = detectarFormatoBalanza(nombreArchivo)
+    || (String(texto || '').trim().startsWith('<') ? 'XML' : 'CSV');
+  const resultado = formato === 'XML' ? parsearXMLBalanza(texto) : parsearCSVBalanza(texto);
+  return { formato, ...resultado };
+}
+
+/**
+ * Empareja lecturas con los animales del rodeo: primero por RFID, luego por caravana visual.
+ * Si un animal se leyó más de una vez se conserva la última lectura (la repesada en la manga).
+ * @param {Array} lecturas - Resultado de parsearArchivoBalanza
+ * @param {Array} animales - Integrantes del rodeo (getHerdAnimals)
+ * @returns {Object} { emparejadas: [{ lectura, animal }], sinEmparejar: [lectura], repetidas: [lectura] }
+ */
+export function emparejarLecturas(lecturas, animales) {
+  const porRfid = new Map();
+  const porVisual = new Map();
+  animales.forEach((animal) => {
+    if (animal.rfid_tag) porRfid.set(normalizarIdentificador(animal.rfid_tag), animal);
+    if (animal.visual_tag) porVisual.set(normalizarIdentificador(animal.visual_tag), animal);
+  });
+
+  const porAnimal = new Map();
+  const sinEmparejar = [];
+  const repetidas = [];
+
+  lecturas.forEach((lectura) => {
+    const animal = (lectura.rfid && porRfid.get(normalizarIdentificador(lectura.rfid)))
+      || (lectura.visual && porVisual.get(normalizarIdentificador(lectura.visual)))
+      || null;
+
+    if (!animal) {
+      sinEmparejar.push(lectura);
+      return;
+    }
+    if (porAnimal.has(animal.id)) {
+      repetidas.push(porAnimal.get(animal.id).lectura);
+    }
+    porAnimal.set(animal.id, { lectura, animal });
+  });
+
+  return { emparejadas: [...porAnimal.values()], sinEmparejar, repetidas };
+}
+
+function metadataPesaje(nombreArchivo, origen) {
+  return {
+    weighing_method: 'BALANZA_ELECTRONICA',
+    source_file: nombreArchivo || null,
+    audit: {
+      creation_source: origen,
+      creator_name: localStorage.getItem('currentUser') || 'Sistema',
+      validation_status: 'PENDING_APPROVAL'
+    }
+  };
+}
+
+/**
+ * Registra la sesión y crea un evento WEIGHING (PENDING) por animal emparejado con su peso real
+ * @param {Object} params
+ * @param {Object} params.herd - Rodeo (id, firm_id, premise_id, species, name)
+ * @param {string} params.fecha - Fecha de la sesión (YYYY-MM-DD)
+ * @param {string} params.nombreArchivo
+ * @param {string} params.formato - 'CSV' | 'XML'
+ * @param {Array} params.lecturas - Total de lecturas válidas del archivo
+ * @param {Array} params.emparejadas - [{ lectura, animal }]
+ * @param {Array} params.sinEmparejar - Lecturas a resolver luego
+ * @param {string} params.userId
+ * @returns {Promise<Object>} { sesion, eventos }
+ */
+export async function registrarSesionPesaje({
+  herd,
+  fecha,
+  nombreArchivo,
+  formato,
+  lecturas,
+  emparejadas,
+  sinEmparejar,
+  userId = null
+}) {
+  try {
+    if (!emparejadas || emparejadas.length === 0) {
+      throw new Error('Ninguna lectura coincide con animales del rodeo');
+    }
+
+    const { data: sesion, error: sesionError } = await supabase
+      .from('weighing_sessions')
+      .insert([{
+        firm_id: herd.firm_id,
+        premise_id: herd.premise_id,
+        herd_id: herd.id,
+        session_date: fecha,
+        source_file: nombreArchivo || null,
+        device_format: formato || null,
+        total_readings: lecturas?.length || emparejadas.length + sinEmparejar.length,
+        matched_count: emparejadas.length,
+        unmatched: sinEmparejar,
+        created_by: userId
+      }])
+      .select()
+      .single();
+
+    if (sesionError) throw sesionError;
+
+    const weights = {};
+    emparejadas.forEach(({ lectura, animal }) => {
+      weights[animal.id] = lectura.peso;
+    });
+
+    let eventos;
+    try {
+      eventos = await registerBulkWeighingEvent(herd.id, {
+        firm_id: herd.firm_id,
+        premise_id: herd.premise_id,
+        event_type: 'WEIGHING',
+        event_date: fecha,
+        species: herd.species,
+        weights,
+        weighing_session_id: sesion.id,
+        notes: `Sesión de balanza ${nombreArchivo || ''}`.trim(),
+        status: 'PENDING',
+        metadata: metadataPesaje(nombreArchivo, 'SCALE_SESSION_IMPORT')
+      });
+    } catch (eventosError) {
+      // Sin eventos la sesión no tiene sentido: se descarta para poder reimportar
+      await supabase.from('weighing_sessions').delete().eq('id', sesion.id);
+      throw eventosError;
+    }
+
+    await crearRegistro({
+      firmId: herd.firm_id,
+      premiseId: herd.premise_id,
+      tipo: 'sesion_pesaje_importada',
+      descripcion: `Sesión de balanza ${nombreArchivo || ''} en rodeo "${herd.name}" - ${eventos.length} animal(es) pesado(s), ${sinEmparejar.length} sin emparejar`,
+      moduloOrigen: 'livestock_manager',
+      usuario: userId || 'sistema',
+      referencia: sesion.id,
+      metadata: { herd_id: herd.id, session_date: fecha, matched: eventos.length, unmatched: sinEmparejar.length }
+    }).catch((err) => console.warn('Error registrando en auditoría:', err));
+
+    return { sesion, eventos };
+  } catch (error) {
+    console.error('Error en registrarSesionPesaje:', error);
+    throw error;
+  }
+}
+
+async function quitarLecturaPendiente(sesion, lectura, emparejada) {
+  const pendientes = (sesion.unmatched || []).filter((l) => l.linea !== lectura.linea);
+  const { data, error } = await supabase
+    .from('weighing_sessions')
+    .update({
+      unmatched: pendientes,
+      matched_count: (sesion.matched_count || 0) + (emparejada ? 1 : 0)
+    })
+    .eq('id', sesion.id)
+    .select()
+    .single();
+
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * Asigna una lectura sin emparejar a un animal del rodeo y crea su evento WEIGHING.
+ * Opcionalmente guarda el identificador leído en la ficha del animal si no lo tenía.
+ * @param {Object} params
+ * @param {Object} params.sesion - Fila de weighing_sessions
+ * @param {Object} params.lectura - Lectura pendiente
+ * @param {Object} params.animal - Animal elegido
+ * @param {boolean} params.guardarIdentificador
+ * @returns {Promise<Object>} Sesión actualizada
+ */
+export async function resolverLecturaPendiente({ sesion, lectura, animal, guardarIdentificador = true }) {
+  try {
+    await registerLivestockEvent({
+      firm_id: sesion.firm_id,
+      premise_id: sesion.premise_id,
+      event_type: 'WEIGHING',
+      scope: 'ANIMAL',
+      event_date: sesion.session_date,
+      species: animal.species,
+      animal_id: animal.id,
+      herd_id: sesion.herd_id,
+      qty_kg: lectura.peso,
+      weighing_session_id: sesion.id,
+      notes: `Sesión de balanza ${sesion.source_file || ''} (lectura ${lectura.rfid || lectura.visual})`.trim(),
+      status: 'PENDING',
+      metadata: metadataPesaje(sesion.source_file, 'SCALE_SESSION_RESOLUTION')
+    });
+
+    if (guardarIdentificador) {
+      const cambios = {};
+      if (lectura.rfid && !animal.rfid_tag) cambios.rfid_tag = lectura.rfid;
+      if (lectura.visual && !animal.visual_tag) cambios.visual_tag = lectura.visual;
+      if (Object.keys(cambios).length > 0) {
+        const { error } = await supabase.from('animals').update(cambios).eq('id', animal.id);
+        if (error) throw error;
+      }
+    }
+
+    return await quitarLecturaPendiente(sesion, lectura, true);
+  } catch (error) {
+    console.error('Error en resolverLecturaPendiente:', error);
+    throw error;
+  }
+}
+
+/**
+ * Descarta una lectura sin emparejar (animal ajeno al rodeo, lectura fallida)
+ * @returns {Promise<Object>} Sesión actualizada
+ */
+export async function descartarLecturaPendiente(sesion, lectura) {
+  try {
+    return await quitarLecturaPendiente(sesion, lectura, false);
+  } catch (error) {
+    console.error('Error en descartarLecturaPendiente:', error);
+    throw error;
+  }
+}
+
+/**
+ * Sesiones de pesaje del rodeo, la más reciente primero
+ * @param {string} herdId
+ * @returns {Promise<Array>}
+ */
+export async function obtenerSesionesPesaje(herdId) {
+  const { data, error } = await supabase
+    .from('weighing_sessions')
+    .select('*')
+    .eq('herd_id', herdId)
+    .order('session_date', { ascending: false })
+    .order('created_at', { ascending: false });
+
+  if (error) throw error;
+  return data || [];
+}
+
+/**
+ * Agrupa pesos en rangos de ancho fijo para el histograma
+ * @param {number[]} pesos
+ * @param {number} ancho - kg por rango
+ * @returns {Array} [{ rango, desde, hasta, cantidad }]
+ */
+export function calcularDistribucionPesos(pesos, ancho = ANCHO_RANGO_KG) {
+  if (pesos.length === 0) return [];
+  const minimo = Math.floor(Math.min(...pesos) / ancho) * ancho;
+  const maximo = Math.floor(Math.max(...pesos) / ancho) * ancho;
+
+  const rangos = [];
+  for (let desde = minimo; desde <= maximo; desde += ancho) {
+    rangos.push({ rango: `${desde}-${desde + ancho}`, desde, hasta: desde + ancho, cantidad: 0 });
+  }
+  pesos.forEach((peso) => {
+    const indice = Math.floor((Math.floor(peso / ancho) * ancho - minimo) / ancho);
+    rangos[indice].cantidad += 1;
+  });
+  return rangos;
+}
+
+/**
+ * Detalle de una sesión: peso de cada animal, pesada anterior y ganancia diaria,
+ * más la distribución de pesos y los promedios de la sesión.
+ * Las pesadas anteriores rechazadas no se usan como referencia.
+ * @param {Object} sesion - Fila de weighing_sessions
+ * @returns {Promise<Object>} { animales, distribucion, resumen }
+ */
+export async function obtenerDetalleSesion(sesion) {
+  try {
+    const { data: eventos, error } = await supabase
+      .from('herd_events')
+      .select('id, animal_id, qty_kg, event_date, status, animal:animal_id(visual_tag, rfid_tag)')
+      .eq('weighing_session_id', sesion.id)
+      .eq('event_type', 'WEIGHING');
+
+    if (error) throw error;
+
+    const animalIds = (eventos || []).map((e) => e.animal_id);
+    const anteriores = new Map();
+
+    if (animalIds.length > 0) {
+      const { data: previos, error: previosError } = await supabase
+        .from('herd_events')
+        .select('animal_id, qty_kg, event_date')
+        .in('animal_id', animalIds)
+        .eq('event_type', 'WEIGHING')
+        .neq('status', 'REJECTED')
+        .lt('event_date', sesion.session_date)
+        .not('qty_kg', 'is', null)
+        .order('event_date', { ascending: false });
+
+      if (previosError) throw previosError;
+      (previos || []).forEach((p) => {
+        if (!anteriores.has(p.animal_id)) anteriores.set(p.animal_id, p);
+      });
+    }
+
+    const animales = (eventos || []).map((evento) => {
+      const anterior = anteriores.get(evento.animal_id);
+      const peso = parseFloat(evento.qty_kg) || 0;
+      const dias = anterior
+        ? Math.round((new Date(sesion.session_date) - new Date(anterior.event_date)) / 86400000)
+        : null;
+      const gananciaDiaria = anterior && dias > 0
+        ? (peso - parseFloat(anterior.qty_kg)) / dias
+        : null;
+
+      return {
+        event_id: evento.id,
+        animal_id: evento.animal_id,
+        visual_tag: evento.animal?.visual_tag || null,
+        rfid_tag: evento.animal?.rfid_tag || null,
+        status: evento.status,
+        peso,
+        peso_anterior: anterior ? parseFloat(anterior.qty_kg) : null,
+        fecha_anterior: anterior?.event_date || null,
+        dias,
+        ganancia_diaria: gananciaDiaria !== null ? Math.round(gananciaDiaria * 1000) / 1000 : null
+      };
+    }).sort((a, b) => b.peso - a.peso);
+
+    const pesos = animales.map((a) => a.peso);
+    const ganancias = animales.map((a) => a.ganancia_diaria).filter((g) => g !== null);
+    const promedio = pesos.length > 0 ? pesos.reduce((s, p) => s + p, 0) / pesos.length : 0;
+    const desvio = pesos.length > 1
+      ? Math.sqrt(pesos.reduce((s, p) => s + (p - promedio) ** 2, 0) / (pesos.length - 1))
+      : 0;
+
+    return {
+      animales,
+      distribucion: calcularDistribucionPesos(pesos),
+      resumen: {
+        animales: pesos.length,
+        peso_promedio: Math.round(promedio * 10) / 10,
+        peso_minimo: pesos.length > 0 ? Math.min(...pesos) : 0,
+        peso_maximo: pesos.length > 0 ? Math.max(...pesos) : 0,
+        desvio: Math.round(desvio * 10) / 10,
+        kg_totales: Math.round(pesos.reduce((s, p) => s + p, 0) * 10) / 10,
+        ganancia_promedio: ganancias.length > 0
+          ? Math.round((ganancias.reduce((s, g) => s + g, 0) / ganancias.length) * 1000) / 1000
+          : null,
+        con_pesada_anterior: ganancias.length
+      }
+    };
+  } catch (error) {
+    console.error('Error en obtenerDetalleSesion:', error);
+    throw error;
+  }
+}
@@ -272,6 +272,7 @@ function getRiskLevel(totalPestPresencePercent) {
 
 /**
  * Calcular eficiencia de la producción agrícola
+ * Acepta resultados simulados o reales de cosecha (ver obtenerMargenesCosecha en harvests.js)
  */
 export function calculateAgriculturalEfficiency(economicResults, area) {
   const {
@@ -0,0 +1,593 @@
+/**
+ * Servicio de liquidaciones de frigorífico
+ * - Importación de la liquidación (CSV extraído del PDF o Excel de cada planta)
+ * - Emparejamiento de renglones con el evento FAENA y con los animales por caravana
+ * - Peso de carcasa caliente (2da balanza), rendimiento y tipificación por animal
+ * - Ingreso "Venta de ganado" por el neto que deposita la planta; el bruto y las deducciones
+ *   (flete, comisiones, impuestos) quedan en la liquidación y en el ingreso
+ * - Rendimiento de faena por rodeo y por lote de origen
+ * Tablas: slaughter_settlements, slaughter_settlement_lines (add_slaughter_settlements.sql)
+ */
+
+import * as XLSX from 'xlsx';
+import { supabase } from '../lib/supabase';
+import { registrarAuditoria } from './registros';
+import { crearIngreso } from './income';
+import { CATEGORIAS_INGRESO } from '../lib/incomeCategories.config';
+import {
+  leerLineas,
+  detectarSeparador,
+  separarCampos,
+  parsearNumero,
+  parsearFecha,
+  normalizarTexto,
+  normalizarIdentificador,
+  buscarColumna
+} from '../lib/csvParsing';
+import { redondear } from '../lib/numeros';
+
+export const CATEGORIA_INGRESO_FAENA = CATEGORIAS_INGRESO.VENTA_GANADO;
+
+/**
+ * Deducciones que la planta descuenta del pago: campo de la cabecera y concepto
+ */
+export const DEDUCCIONES_LIQUIDACION = {
+  freight_amount: 'Flete',
+  fees_amount: 'Comisiones',
+  taxes_amount: 'Impuestos'
+};
+
+export const ORIGENES_PESO_VIVO = {
+  LIQUIDACION: 'Liquidación',
+  PESAJE: 'Último pesaje',
+  EVENTO: 'Promedio del evento'
+};
+
+/**
+ * Encabezados con que las plantas nombran cada dato. La primera fila que tenga caravana
+ * (o número de animal) y peso de carcasa se toma como encabezado.
+ */
+const COLUMNAS_LIQUIDACION = {
+  caravana: ['caravana', 'dispositivo', 'nro dispositivo', 'identificacion', 'rfid', 'eid', 'nro caravana', 'caravana electronica'],
+  peso_carcasa: ['kg 2da balanza', 'peso 2da balanza', '2da balanza', 'segunda balanza', 'kg segunda balanza', 'peso canal', 'kg canal', 'peso carcasa', 'kg carcasa', 'peso caliente', 'carcasa'],
+  peso_vivo: ['kg en pie', 'peso en pie', 'peso vivo', 'kg vivo', 'kg 1ra balanza', 'primera balanza'],
+  rendimiento: ['rendimiento', 'rend', 'rinde', '% rendimiento'],
+  tipificacion: ['tipificacion', 'tipif', 'clasificacion', 'conformacion', 'grado', 'tipo'],
+  precio_kg: ['precio kg', 'precio por kg', 'precio/kg', 'u$s/kg', 'usd/kg', '$/kg', 'precio'],
+  importe: ['importe', 'importe bruto', 'monto', 'total', 'subtotal']
+};
+
+/**
+ * Código de planta comparable, para que "Frigorífico Las Moras" y "FRIGORIFICO LAS MORAS" sean la misma
+ */
+export function codigoPlanta(nombre) {
+  return normalizarTexto(nombre).replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '').toUpperCase();
+}
+
+/**
+ * Parsea la liquidación de frigorífico (CSV o Excel)
+ * @param {string|ArrayBuffer} contenido - Texto (CSV) o ArrayBuffer (Excel)
+ * @param {string} nombreArchivo
+ * @returns {Object} { filas: [{ caravana, peso_carcasa, peso_vivo, rendimiento, tipificacion, precio_kg, importe }],
+ *   numero, fecha, errores }
+ */
+export function parsearLiquidacion(contenido, nombreArchivo) {
+  const extension = String(nombreArchivo || '').split('.').pop().toLowerCase();
+  let filas;
+
+  if (['xls', 'xlsx'].includes(extension)) {
+    const libro = XLSX.read(contenido, { type: 'array', cellDates: true });
+    const hoja = libro.Sheets[libro.SheetNames[0]];
+    filas = XLSX.utils.sheet_to_json(hoja, { header: 1, raw: true, defval: '' });
+  } else {
+    const lineas = leerLineas(contenido);
+    const separador = detectarSeparador(lineas.find((l) => /caravana|balanza|carcasa/i.test(l)) || lineas[0] || '');
+    filas = lineas.map((linea) => separarCampos(linea, separador));
+  }
+
+  for (let i = 0; i < Math.min(filas.length, 40); i++) {
+    const encabezados = filas[i].map(normalizarTexto);
+    const indices = Object.fromEntries(
+      Object.entries(COLUMNAS_LIQUIDACION).map(([campo, claves]) => [campo, buscarColumna(encabezados, claves)])
+    );
+    if (indices.peso_carcasa < 0) continue;
+
+    // Las filas previas al encabezado suelen traer "Liquidación N° ..." y la fecha
+    const cabecera = filas.slice(0, i).map((f) => f.join(' ')).join(' ');
+    const numero = cabecera.match(/liquidaci[oó]n\s*(?:n[°ºo.]*|nro\.?|numero|número)?\s*:?\s*([\w-]+)/i)?.[1] || '';
+    const fecha = parsearFecha(cabecera.match(/(\d{1,2}[/.-]\d{1,2}[/.-]\d{2,4})/)?.[1] || '');
+
+    const valor = (fila, indice) => (indice >= 0 ? fila[indice] : '');
+    const resultado = filas.slice(i + 1)
+      .filter((fila) => !/^(sub)?total/.test(normalizarTexto(valor(fila, indices.caravana))))
+      .map((fila) => ({
+        caravana: normalizarIdentificador(valor(fila, indices.caravana)),
+        peso_carcasa: parsearNumero(valor(fila, indices.peso_carcasa)),
+        peso_vivo: parsearNumero(valor(fila, indices.peso_vivo)),
+        rendimiento: parsearNumero(valor(fila, indices.rendimiento)),
+        tipificacion: String(valor(fila, indices.tipificacion) ?? '').trim() || null,
+        precio_kg: parsearNumero(valor(fila, indices.precio_kg)),
+        importe: parsearNumero(valor(fila, indices.importe))
+      }))
+      // Los totales al pie no traen caravana ni tipificación, o dicen "Total" en esa columna
+      .filter((f) => f.peso_carcasa > 0 && (f.caravana || f.tipificacion));
+
+    if (resultado.length === 0) {
+      return { filas: [], numero, fecha, errores: ['La liquidación no tiene renglones con peso de carcasa'] };
+    }
+    return { filas: resultado, numero, fecha, errores: [] };
+  }
+
+  return { filas: [], numero: '', fecha: null, errores: ['No se encontró la columna de peso de carcasa (2da balanza) en la liquidación'] };
+}
+
+/**
+ * Eventos FAENA del predio que todavía no tienen liquidación cargada
+ */
+export async function obtenerEventosFaenaPendientes(premiseId) {
+  try {
+    const [eventosRes, liquidacionesRes] = await Promise.all([
+      supabase
+        .from('herd_events')
+        .select('id, event_date, status, qty_heads, qty_kg, herd_id, animal_id, herd:herd_id(name), animal:animal_id(visual_tag, rfid_tag)')
+        .eq('premise_id', premiseId)
+        .eq('event_type', 'FAENA')
+        .neq('status', 'REJECTED')
+        .order('event_date', { ascending: false }),
+      supabase
+        .from('slaughter_settlements')
+        .select('event_id')
+        .eq('premise_id', premiseId)
+    ]);
+
+    if (eventosRes.error) throw eventosRes.error;
+    if (liquidacionesRes.error) throw liquidacionesRes.error;
+
+    const liquidados = new Set((liquidacionesRes.data || []).map((l) => l.event_id));
+    return (eventosRes.data || []).filter((e) => !liquidados.has(e.id));
+  } catch (error) {
+    console.error('Error en obtenerEventosFaenaPendientes:', error);
+    throw error;
+  }
+}
+
+/**
+ * Lote donde estaba cada rodeo a la fecha: último MOVE_INTERNAL aprobado, o el lote actual del rodeo
+ */
+async function obtenerLotesRodeos(herdIds, fecha) {
+  if (herdIds.length === 0) return {};
+
+  const [movimientosRes, rodeosRes] = await Promise.all([
+    supabase
+      .from('herd_events')
+      .select('herd_id, to_lote_id, event_date')
+      .in('herd_id', herdIds)
+      .eq('event_type', 'MOVE_INTERNAL')
+      .eq('status', 'APPROVED')
+      .lte('event_date', fecha)
+      .order('event_date', { ascending: false }),
+    supabase.from('herds').select('id, current_lot_id').in('id', herdIds)
+  ]);
+
+  if (movimientosRes.error) throw movimientosRes.error;
+  if (rodeosRes.error) throw rodeosRes.error;
+
+  const lotes = {};
+  (movimientosRes.data || []).forEach((m) => {
+    if (!lotes[m.herd_id] && m.to_lote_id) lotes[m.herd_id] = m.to_lote_id;
+  });
+  (rodeosRes.data || []).forEach((r) => {
+    if (!lotes[r.id]) lotes[r.id] = r.current_lot_id || null;
+  });
+  return lotes;
+}
+
+/**
+ * Empareja los renglones de la liquidación con el evento FAENA y los animales del predio
+ * @param {string} premiseId
+ * @param {string} eventId - Evento FAENA liquidado
+ * @param {Array} filas - Resultado de parsearLiquidacion
+ * @returns {Promise<Object>} { evento, lineas, resumen, advertencias }
+ */
+export async function emparejarLiquidacion(premiseId, eventId, filas) {
+  try {
+    const { data: evento, error: eventoError } = await supabase
+      .from('herd_events')
+      .select('id, firm_id, premise_id, event_date, status, qty_heads, qty_kg, herd_id, animal_id, metadata, herd:herd_id(name)')
+      .eq('id', eventId)
+      .single();
+
+    if (eventoError) throw eventoError;
+
+    const { data: animales, error: animalesError } = await supabase
+      .from('animals')
+      .select('id, visual_tag, rfid_tag')
+      .eq('premise_id', premiseId);
+
+    if (animalesError) throw animalesError;
+
+    const porCaravana = new Map();
+    (animales || []).forEach((a) => {
+      if (a.rfid_tag) porCaravana.set(normalizarIdentificador(a.rfid_tag), a);
+      if (a.visual_tag) porCaravana.set(normalizarIdentificador(a.visual_tag), a);
+    });
+
+    const advertencias = [];
+    const vistos = new Set();
+    const emparejadas = filas.map((fila) => {
+      const animal = fila.caravana ? porCaravana.get(fila.caravana) || null : null;
+      if (animal && vistos.has(animal.id)) {
+        advertencias.push(`Caravana ${fila.caravana} repetida en la liquidación`);
+        return { ...fila, animal: null };
+      }
+      if (animal) vistos.add(animal.id);
+      return { ...fila, animal };
+    });
+
+    const animalIds = [...vistos];
+    const membresias = {};
+    const pesajes = {};
+    if (animalIds.length > 0) {
+      const [membresiasRes, pesajesRes] = await Promise.all([
+        supabase
+          .from('herd_animals')
+          .select('herd_id, animal_id, start_date')
+          .in('animal_id', animalIds)
+          .lte('start_date', evento.event_date)
+          .order('start_date', { ascending: false }),
+        supabase
+          .from('herd_events')
+          .select('animal_id, qty_kg, event_date')
+          .in('animal_id', animalIds)
+          .eq('event_type', 'WEIGHING')
+          .eq('status', 'APPROVED')
+          .lte('event_date', evento.event_date)
+          .order('event_date', { ascending: false })
+      ]);
+      if (membresiasRes.error) throw membresiasRes.error;
+      if (pesajesRes.error) throw pesajesRes.error;
+
+      (membresiasRes.data || []).forEach((m) => {
+        if (!membresias[m.animal_id]) membresias[m.animal_id] = m.herd_id;
+      });
+      (pesajesRes.data || []).forEach((p) => {
+        if (!pesajes[p.animal_id] && p.qty_kg) pesajes[p.animal_id] = p.qty_kg;
+      });
+    }
+
+    const rodeos = [...new Set([evento.herd_id, ...Object.values(membresias)].filter(Boolean))];
+    const lotesRodeo = await obtenerLotesRodeos(rodeos, evento.event_date);
+    const vivoPromedioEvento = evento.qty_kg && evento.qty_heads ? evento.qty_kg / evento.qty_heads : null;
+
+    const lineas = emparejadas.map((fila) => {
+      const herdId = (fila.animal && membresias[fila.animal.id]) || evento.herd_id || null;
+
+      let liveKg = fila.peso_vivo;
+      let origen = liveKg ? 'LIQUIDACION' : null;
+      if (!liveKg && fila.animal && pesajes[fila.animal.id]) {
+        liveKg = pesajes[fila.animal.id];
+        origen = 'PESAJE';
+      }
+      if (!liveKg && vivoPromedioEvento) {
+        liveKg = vivoPromedioEvento;
+        origen = 'EVENTO';
+      }
+
+      const rendimiento = fila.rendimiento || (liveKg ? (fila.peso_carcasa / liveKg) * 100 : null);
+      const importe = fila.importe ?? (fila.precio_kg ? fila.peso_carcasa * fila.precio_kg : null);
+
+      return {
+        animal_id: fila.animal?.id || null,
+        tag: fila.caravana || null,
+        animal: fila.animal,
+        herd_id: herdId,
+        lot_id: herdId ? lotesRodeo[herdId] || null : null,
+        live_kg: liveKg ? redondear(liveKg) : null,
+        live_kg_source: origen,
+        hot_carcass_kg: fila.peso_carcasa,
+        dressing_percent: rendimiento ? redondear(rendimiento) : null,
+        grade: fila.tipificacion,
+        price_per_kg: fila.precio_kg ?? (importe ? redondear(importe / fila.peso_carcasa, 4) : null),
+        amount: importe !== null ? redondear(importe) : null
+      };
+    });
+
+    const sinCaravana = lineas.filter((l) => !l.tag).length;
+    const noEncontradas = lineas.filter((l) => l.tag && !l.animal_id);
+    if (noEncontradas.length > 0) {
+      advertencias.push(`${noEncontradas.length} caravana(s) no están en el predio: ${noEncontradas.slice(0, 5).map((l) => l.tag).join(', ')}${noEncontradas.length > 5 ? '…' : ''}`);
+    }
+    if (sinCaravana > 0) advertencias.push(`${sinCaravana} renglón(es) sin caravana; se liquidan sin animal asociado`);
+    if (evento.qty_heads && evento.qty_heads !== lineas.length) {
+      advertencias.push(`El evento FAENA declara ${evento.qty_heads} cabezas y la liquidación trae ${lineas.length}`);
+    }
+    if (evento.herd_id) {
+      const otroRodeo = lineas.filter((l) => l.animal_id && l.herd_id !== evento.herd_id).length;
+      if (otroRodeo > 0) advertencias.push(`${otroRodeo} animal(es) no pertenecían al rodeo ${evento.herd?.name || 'del evento'}`);
+    }
+    if (lineas.some((l) => l.amount === null)) {
+      advertencias.push('Hay renglones sin importe ni precio por kg; no suman al ingreso');
+    }
+
+    const conVivo = lineas.filter((l) => l.live_kg);
+    const kgCarcasaConVivo = conVivo.reduce((sum, l) => sum + l.hot_carcass_kg, 0);
+    const kgVivo = conVivo.reduce((sum, l) => sum + l.live_kg, 0);
+
+    return {
+      evento,
+      lineas,
+      resumen: {
+        cabezas: lineas.length,
+        emparejadas: lineas.filter((l) => l.animal_id).length,
+        kg_carcasa: redondear(lineas.reduce((sum, l) => sum + l.hot_carcass_kg, 0)),
+        kg_vivo: conVivo.length > 0 ? redondear(kgVivo) : null,
+        rendimiento: kgVivo > 0 ? redondear((kgCarcasaConVivo / kgVivo) * 100) : null,
+        importe_bruto: redondear(lineas.reduce((sum, l) => sum + (l.amount || 0), 0))
+      },
+      advertencias
+    };
+  } catch (error) {
+    console.error('Error en emparejarLiquidacion:', error);
+    throw error;
+  }
+}
+
+/**
+ * Guarda la liquidación emparejada, genera el ingreso y deja el resultado en el evento FAENA.
+ * La planta deposita el neto, así que el ingreso a cobrar es el neto; el bruto y el
+ * desglose de deducciones se guardan en la liquidación y en la metadata del ingreso
+ * @param {Object} emparejamiento - Resultado de emparejarLiquidacion
+ * @param {Object} cabecera - { plant_name, settlement_number, settlement_date, currency,
+ *   freight_amount, fees_amount, taxes_amount, file_name }
+ */
+export async function registrarLiquidacion(emparejamiento, cabecera, userId = null) {
+  const { evento, lineas, resumen } = emparejamiento;
+
+  try {
+    if (!cabecera.plant_name?.trim()) throw new Error('Indique el frigorífico');
+    if (!cabecera.settlement_number?.trim()) throw new Error('Indique el número de liquidación');
+    if (!cabecera.settlement_date) throw new Error('Indique la fecha de la liquidación');
+    if (lineas.length === 0) throw new Error('La liquidación no tiene renglones');
+
+    const importes = Object.fromEntries(
+      Object.keys(DEDUCCIONES_LIQUIDACION).map((campo) => [campo, redondear(parseFloat(cabecera[campo]) || 0)])
+    );
+    if (Object.values(importes).some((monto) => monto < 0)) throw new Error('Las deducciones no pueden ser negativas');
+    const deducciones = redondear(Object.values(importes).reduce((sum, monto) => sum + monto, 0));
+    const neto = redondear(resumen.importe_bruto - deducciones);
+    if (neto <= 0) throw new Error('El neto de la liquidación debe ser mayor a cero');
+
+    const plantCode = codigoPlanta(cabecera.plant_name);
+    const { data: existente, error: existenteError } = await supabase
+      .from('slaughter_settlements')
+      .select('id')
+      .eq('firm_id', evento.firm_id)
+      .eq('plant_code', plantCode)
+      .eq('settlement_number', cabecera.settlement_number.trim())
+      .maybeSingle();
+
+    if (existenteError) throw existenteError;
+    if (existente) throw new Error(`La liquidación ${cabecera.settlement_number} de ${cabecera.plant_name} ya fue importada`);
+
+    const { data: liquidacion, error } = await supabase
+      .from('slaughter_settlements')
+      .insert([{
+        firm_id: evento.firm_id,
+        premise_id: evento.premise_id,
+        event_id: evento.id,
+        plant_code: plantCode,
+        plant_name: cabecera.plant_name.trim(),
+        settlement_number: cabecera.settlement_number.trim(),
+        settlement_date: cabecera.settlement_date,
+        currency: cabecera.currency || 'USD',
+        total_heads: resumen.cabezas,
+        matched_heads: resumen.emparejadas,
+        total_live_kg: resumen.kg_vivo,
+        total_hot_carcass_kg: resumen.kg_carcasa,
+        dressing_percent: resumen.rendimiento,
+        gross_amount: resumen.importe_bruto,
+        ...importes,
+        deductions_amount: deducciones,
+        net_amount: neto,
+        file_name: cabecera.file_name || null,
+        created_by: userId
+      }])
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    const { error: lineasError } = await supabase
+      .from('slaughter_settlement_lines')
+      .insert(lineas.map((l) => ({
+        settlement_id: liquidacion.id,
+        animal_id: l.animal_id,
+        herd_id: l.herd_id,
+        lot_id: l.lot_id,
+        tag: l.tag,
+        live_kg: l.live_kg,
+        live_kg_source: l.live_kg_source,
+        hot_carcass_kg: l.hot_carcass_kg,
+        dressing_percent: l.dressing_percent,
+        grade: l.grade,
+        price_per_kg: l.price_per_kg,
+        amount: l.amount
+      })));
+
+    if (lineasError) {
+      await supabase.from('slaughter_settlements').delete().eq('id', liquidacion.id);
+      throw lineasError;
+    }
+
+    const { data: ingreso, error: ingresoError } = await crearIngreso({
+      firm_id: evento.firm_id,
+      premise_id: evento.premise_id,
+      category: CATEGORIA_INGRESO_FAENA,
+      client_name: cabecera.plant_name.trim(),
+      invoice_date: cabecera.settlement_date,
+      invoice_number: cabecera.settlement_number.trim(),
+      product: `Faena ${resumen.cabezas} cabezas (${resumen.kg_carcasa} kg carcasa)`,
+      quantity: resumen.kg_carcasa,
+      unit: 'kg',
+      unit_price: redondear(neto / resumen.kg_carcasa, 4),
+      subtotal: neto,
+      total_amount: neto,
+      tax_rate: 0,
+      currency: cabecera.currency || 'USD',
+      event_id: evento.id,
+      created_by: userId,
+      metadata: {
+        slaughter_settlement_id: liquidacion.id,
+        gross_amount: resumen.importe_bruto,
+        ...importes,
+        deductions_amount: deducciones
+      }
+    });
+
+    if (ingresoError) {
+      await supabase.from('slaughter_settlements').delete().eq('id', liquidacion.id);
+      throw ingresoError;
+    }
+
+    await supabase.from('slaughter_settlements').update({ income_id: ingreso.id }).eq('id', liquidacion.id);
+
+    const { error: eventoError } = await supabase
+      .from('herd_events')
+      .update({
+        metadata: {
+          ...(evento.metadata || {}),
+          slaughter_settlement: {
+            id: liquidacion.id,
+            hot_carcass_kg: resumen.kg_carcasa,
+            dressing_percent: resumen.rendimiento,
+            net_amount: neto,
+            currency: liquidacion.currency
+          }
+        }
+      })
+      .eq('id', evento.id);
+
+    if (eventoError) console.warn('No se pudo actualizar el evento FAENA con la liquidación:', eventoError);
+
+    registrarAuditoria(
+      'livestock_manager',
+      liquidacion,
+      'liquidacion_faena_importada',
+      `Liquidación ${liquidacion.settlement_number} de ${liquidacion.plant_name}: ${resumen.cabezas} cabezas, ${resumen.kg_carcasa} kg carcasa, neto ${liquidacion.currency} ${neto}`,
+      liquidacion.id,
+      { event_id: evento.id, income_id: ingreso.id, rendimiento: resumen.rendimiento },
+      userId
+    );
+
+    return { ...liquidacion, income_id: ingreso.id };
+  } catch (error) {
+    console.error('Error en registrarLiquidacion:', error);
+    throw error;
+  }
+}
+
+/**
+ * Liquidaciones importadas para el predio
+ */
+export async function obtenerLiquidaciones(premiseId) {
+  const { data, error } = await supabase
+    .from('slaughter_settlements')
+    .select('*, event:event_id(event_date, herd:herd_id(name))')
+    .eq('premise_id', premiseId)
+    .order('settlement_date', { ascending: false });
+
+  if (error) throw error;
+  return data || [];
+}
+
+function agruparRendimiento(lineas, clave, nombre) {
+  const grupos = {};
+  lineas.forEach((l) => {
+    const id = l[clave] || 'SIN_ASIGNAR';
+    if (!grupos[id]) {
+      grupos[id] = { id, nombre: nombre(l) || 'Sin asignar', cabezas: 0, kg_carcasa: 0, kg_carcasa_con_vivo: 0, kg_vivo: 0, importe: 0, tipificaciones: {} };
+    }
+    const g = grupos[id];
+    g.cabezas += 1;
+    g.kg_carcasa += Number(l.hot_carcass_kg) || 0;
+    g.importe += Number(l.amount) || 0;
+    if (l.live_kg) {
+      g.kg_vivo += Number(l.live_kg);
+      g.kg_carcasa_con_vivo += Number(l.hot_carcass_kg) || 0;
+    }
+    if (l.grade) g.tipificaciones[l.grade] = (g.tipificaciones[l.grade] || 0) + 1;
+  });
+
+  return Object.values(grupos)
+    .map((g) => ({
+      id: g.id,
+      nombre: g.nombre,
+      cabezas: g.cabezas,
+      kg_carcasa: redondear(g.kg_carcasa),
+      carcasa_promedio: redondear(g.kg_carcasa / g.cabezas, 1),
+      rendimiento: g.kg_vivo > 0 ? redondear((g.kg_carcasa_con_vivo / g.kg_vivo) * 100) : null,
+      precio_kg: g.kg_carcasa > 0 && g.importe > 0 ? redondear(g.importe / g.kg_carcasa, 3) : null,
+      importe: redondear(g.importe),
+      tipificaciones: g.tipificaciones
+    }))
+    .sort((a, b) => (b.rendimiento ?? -1) - (a.rendimiento ?? -1));
+}
+
+/**
+ * Rendimiento de faena del predio agrupado por rodeo y por lote de origen
+ * @param {string} premiseId
+ * @param {Object} filtros - { desde, hasta }
+ * @returns {Promise<Object>} { porRodeo, porLote, total }
+ */
+export async function obtenerRendimientoFaena(premiseId, filtros = {}) {
+  try {
+    let query = supabase
+      .from('slaughter_settlements')
+      .select('id')
+      .eq('premise_id', premiseId);
+
+    if (filtros.desde) query = query.gte('settlement_date', filtros.desde);
+    if (filtros.hasta) query = query.lte('settlement_date', filtros.hasta);
+
+    const { data: liquidaciones, error } = await query;
+    if (error) throw error;
+    if (!liquidaciones || liquidaciones.length === 0) return { porRodeo: [], porLote: [], total: null };
+
+    const { data: lineas, error: lineasError } = await supabase
+      .from('slaughter_settlement_lines')
+      .select('herd_id, lot_id, hot_carcass_kg, live_kg, grade, amount, herd:herd_id(name), lot:lot_id(name)')
+      .in('settlement_id', liquidaciones.map((l) => l.id));
+
+    if (lineasError) throw lineasError;
+
+    return {
+      porRodeo: agruparRendimiento(lineas || [], 'herd_id', (l) => l.herd?.name),
+      porLote: agruparRendimiento(lineas || [], 'lot_id', (l) => l.lot?.name),
+      total: agruparRendimiento((lineas || []).map((l) => ({ ...l, total: 'TOTAL' })), 'total', () => 'Total')[0] || null
+    };
+  } catch (error) {
+    console.error('Error en obtenerRendimientoFaena:', error);
+    throw error;
+  }
+}
+
+/**
+ * Exporta el rendimiento de faena a Excel (una hoja por agrupación)
+ */
+export function exportarRendimientoFaena(reporte) {
+  const filas = (grupos) => grupos.map((g) => ({
+    Nombre: g.nombre,
+    Cabezas: g.cabezas,
+    'Kg carcasa': g.kg_carcasa,
+    'Carcasa promedio (kg)': g.carcasa_promedio,
+    'Rendimiento (%)': g.rendimiento ?? '',
+    'Precio kg carcasa': g.precio_kg ?? '',
+    Importe: g.importe,
+    Tipificación: Object.entries(g.tipificaciones).map(([grado, cant]) => `${grado}: ${cant}`).join(', ')
+  }));
+
+  const libro = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(libro, XLSX.utils.json_to_sheet(filas(reporte.porRodeo)), 'Por rodeo');
+  XLSX.utils.book_append_sheet(libro, XLSX.utils.json_to_sheet(filas(reporte.porLote)), 'Por lote');
+  XLSX.writeFile(libro, `Rendimiento_Faena_${new Date().toISOString().split('T')[0]}.xlsx`);
+}
@@ -0,0 +1,504 @@
+/**
+ * Servicio SNIG (Sistema Nacional de Información Ganadera)
+ * - Archivos de carga masiva a partir de animals / herd_events aprobados:
+ *   identificación (caravaneo), movimientos entre números DICOSE, muertes y faena
+ * - Registro de lo ya informado para no declararlo dos veces
+ * - Importación del reporte de existencias SNIG del predio y conciliación contra animals
+ * Tablas: snig_reports (add_snig_reports.sql)
+ */
+
+import * as XLSX from 'xlsx';
+import { supabase } from '../lib/supabase';
+import { crearRegistro } from './registros';
+import {
+  leerLineas,
+  detectarSeparador,
+  separarCampos,
+  parsearFecha,
+  normalizarTexto,
+  normalizarIdentificador,
+  buscarColumna
+} from '../lib/csvParsing';
+import { hoy, formatearFecha } from '../lib/fechas';
+
+export const SEPARADOR_SNIG = ';';
+
+/**
+ * Tipos de archivo y eventos de herd_events que alimentan cada uno.
+ * Los movimientos los declara el establecimiento de origen, por eso solo se toman egresos.
+ */
+export const TIPOS_REPORTE_SNIG = {
+  IDENTIFICACION: {
+    nombre: 'Identificación (caravaneo)',
+    eventos: [],
+    columnas: ['DICOSE', 'DISPOSITIVO', 'FECHA_IDENTIFICACION', 'ESPECIE', 'SEXO', 'FECHA_NACIMIENTO', 'RAZA']
+  },
+  MOVIMIENTO: {
+    nombre: 'Movimientos',
+    eventos: ['SALE', 'MOVE_EXTERNAL_OUT', 'CONSIGNACION_OUT', 'REMATE_OUT'],
+    columnas: ['DICOSE_ORIGEN', 'DICOSE_DESTINO', 'FECHA', 'GUIA_SERIE', 'GUIA_NUMERO', 'DISPOSITIVO']
+  },
+  MUERTE: {
+    nombre: 'Muertes y bajas',
+    eventos: ['DEATH', 'LOST_WITH_HIDE', 'CONSUMPTION'],
+    columnas: ['DICOSE', 'DISPOSITIVO', 'FECHA', 'CAUSA']
+  },
+  FAENA: {
+    nombre: 'Faena',
+    eventos: ['FAENA'],
+    columnas: ['DICOSE', 'DISPOSITIVO', 'FECHA', 'GUIA_SERIE', 'GUIA_NUMERO', 'FRIGORIFICO']
+  }
+};
+
+const CAUSAS_BAJA = {
+  DEATH: 'MUERTE',
+  LOST_WITH_HIDE: 'PERDIDA_CON_CUERO',
+  CONSUMPTION: 'CONSUMO'
+};
+
+/**
+ * Tipos de diferencia de la conciliación y acción sugerida
+ */
+export const DIFERENCIAS_SNIG = {
+  SOLO_SNIG: 'En SNIG y no en el sistema: dar de alta o registrar el ingreso',
+  BAJA_NO_INFORMADA: 'Dado de baja en el sistema y vigente en SNIG: informar el egreso o la muerte',
+  SOLO_SISTEMA: 'Activo en el sistema y ausente en SNIG: verificar caravana o informar el caravaneo',
+  SEXO_DISTINTO: 'El sexo no coincide con SNIG',
+  NACIMIENTO_DISTINTO: 'El mes de nacimiento no coincide con SNIG'
+};
+
+const COLUMNAS_EXISTENCIAS = {
+  dispositivo: ['dispositivo', 'nro dispositivo', 'caravana', 'caravana electronica', 'identificador', 'nro identificacion', 'rfid', 'eid'],
+  sexo: ['sexo'],
+  nacimiento: ['fecha nacimiento', 'fecha de nacimiento', 'nacimiento', 'fecha nac'],
+  raza: ['raza'],
+  dicose: ['dicose', 'nro dicose', 'numero dicose']
+};
+
+function sexoSnig(sexo) {
+  const inicial = normalizarTexto(sexo).charAt(0);
+  if (inicial === 'm') return 'M';
+  if (inicial === 'h' || inicial === 'f') return 'H';
+  return '';
+}
+
+async function obtenerIdsInformados(premiseId, tipo) {
+  const { data, error } = await supabase
+    .from('snig_reports')
+    .select('animal_ids, event_ids')
+    .eq('premise_id', premiseId)
+    .eq('report_type', tipo);
+
+  if (error) throw error;
+
+  return {
+    animales: new Set((data || []).flatMap((r) => r.animal_ids || [])),
+    eventos: new Set((data || []).flatMap((r) => r.event_ids || []))
+  };
+}
+
+/**
+ * Animales de un rodeo a la fecha del evento (eventos de alcance HERD sin caravana individual)
+ */
+async function integrantesAFecha(herdIds) {
+  if (herdIds.length === 0) return [];
+  const { data, error } = await supabase
+    .from('herd_animals')
+    .select('herd_id, start_date, end_date, animal:animal_id(id, rfid_tag, visual_tag)')
+    .in('herd_id', herdIds);
+
+  if (error) throw error;
+  return data || [];
+}
+
+async function obtenerGuias(premise, eventos) {
+  const series = [...new Set(eventos.filter((e) => e.guide_series && e.guide_number).map((e) => e.guide_series))];
+  if (series.length === 0) return new Map();
+
+  const { data, error } = await supabase
+    .from('dicose_guides')
+    .select('*')
+    .eq('premise_id', premise.id)
+    .in('guide_series', series);
+
+  if (error) throw error;
+  return new Map((data || []).map((g) => [`${g.guide_series}-${g.guide_number}`, g]));
+}
+
+async function prepararIdentificaciones(premise, informados) {
+  const { data: animales, error } = await supabase
+    .from('animals')
+    .select('id, rfid_tag, visual_tag, species, sex, birth_date, breed, created_at')
+    .eq('premise_id', premise.id)
+    .eq('status', 'ACTIVE')
+    .not('rfid_tag', 'is', null);
+
+  if (error) throw error;
+
+  const pendientes = (animales || []).filter((a) => a.rfid_tag && !informados.animales.has(a.id));
+  const filas = pendientes.map((a) => ({
+    animal_id: a.id,
+    valores: [
+      premise.dicose_number || '',
+      normalizarIdentificador(a.rfid_tag),
+      formatearFecha(a.created_at),
+      a.species || '',
+      sexoSnig(a.sex),
+      formatearFecha(a.birth_date),
+      a.breed || ''
+    ]
+  }));
+
+  return { filas, advertencias: [], bloqueados: [], eventIds: [] };
+}
+
+async function prepararEventos(premise, tipo, desde, hasta, informados) {
+  const config = TIPOS_REPORTE_SNIG[tipo];
+
+  let query = supabase
+    .from('herd_events')
+    .select('id, event_type, event_date, scope, animal_id, herd_id, qty_heads, guide_series, guide_number, metadata, notes, animal:animal_id(id, rfid_tag, visual_tag)')
+    .eq('premise_id', premise.id)
+    .eq('status', 'APPROVED')
+    .in('event_type', config.eventos);
+
+  if (desde) query = query.gte('event_date', desde);
+  if (hasta) query = query.lte('event_date', hasta);
+
+  const { data: eventos, error } = await query.order('event_date', { ascending: true });
+  if (error) throw error;
+
+  const pendientes = (eventos || []).filter((e) => !informados.eventos.has(e.id));
+  const grupales = pendientes.filter((e) => !e.animal_id && e.herd_id);
+  const [integrantes, guias] = await Promise.all([
+    integrantesAFecha([...new Set(grupales.map((e) => e.herd_id))]),
+    obtenerGuias(premise, pendientes)
+  ]);
+
+  const filas = [];
+  const advertencias = [];
+  const bloqueados = [];
+  const eventIds = [];
+
+  pendientes.forEach((evento) => {
+    let animales;
+    if (evento.animal) {
+      animales = [evento.animal];
+    } else {
+      // Rodeo a la fecha del evento: ingresó antes y no había egresado
+      animales = integrantes
+        .filter((m) => m.herd_id === evento.herd_id
+          && String(m.start_date).split('T')[0] <= evento.event_date
+          && (!m.end_date || String(m.end_date).split('T')[0] >= evento.event_date))
+        .map((m) => m.animal)
+        .filter(Boolean);
+    }
+
+    const conCaravana = animales.filter((a) => a.rfid_tag);
+    if (conCaravana.length === 0) {
+      advertencias.push(`${evento.event_type} del ${formatearFecha(evento.event_date)}: sin caravanas electrónicas identificadas`);
+      return;
+    }
+    // Un evento de rodeo solo se puede expandir a caravanas si abarcó a todo el rodeo; si no,
+    // no hay forma de saber qué animales salieron y el evento queda fuera del archivo
+    if (!evento.animal && conCaravana.length !== evento.qty_heads) {
+      bloqueados.push({
+        event_id: evento.id,
+        motivo: `${evento.event_type} del ${formatearFecha(evento.event_date)}: ${evento.qty_heads ?? 'sin'} cabezas declaradas y ${conCaravana.length} caravanas en el rodeo. Registra el evento por animal para incluirlo`
+      });
+      return;
+    }
+
+    const guia = guias.get(`${evento.guide_series}-${evento.guide_number}`);
+    const destino = guia?.destination_dicose_number || evento.metadata?.to_dicose_number || '';
+    if (tipo === 'MOVIMIENTO' && !destino) {
+      advertencias.push(`Guía ${evento.guide_series || '?'}-${evento.guide_number || '?'}: falta el DICOSE de destino`);
+    }
+
+    eventIds.push(evento.id);
+    conCaravana.forEach((animal) => {
+      const dispositivo = normalizarIdentificador(animal.rfid_tag);
+      const fecha = formatearFecha(evento.event_date);
+      let valores;
+      if (tipo === 'MOVIMIENTO') {
+        valores = [premise.dicose_number || '', destino, fecha, evento.guide_series || '', evento.guide_number || '', dispositivo];
+      } else if (tipo === 'MUERTE') {
+        valores = [premise.dicose_number || '', dispositivo, fecha, CAUSAS_BAJA[evento.event_type]];
+      } else {
+        valores = [
+          premise.dicose_number || '',
+          dispositivo,
+          fecha,
+          evento.guide_series || '',
+          evento.guide_number || '',
+          evento.metadata?.slaughterhouse || evento.metadata?.to_predio_name || ''
+        ];
+      }
+      filas.push({ animal_id: animal.id, event_id: evento.id, valores });
+    });
+  });
+
+  return { filas, advertencias, bloqueados, eventIds };
+}
+
+/**
+ * Arma el archivo SNIG de un tipo con lo aprobado y todavía no informado
+ * @param {Object} premise - Predio (id, firm_id, name, dicose_number)
+ * @param {string} tipo - Clave de TIPOS_REPORTE_SNIG
+ * @param {string} desde - YYYY-MM-DD (no aplica a IDENTIFICACION)
+ * @param {string} hasta - YYYY-MM-DD (no aplica a IDENTIFICACION)
+ * @returns {Promise<Object>} { tipo, filas, advertencias, bloqueados, eventIds, animalIds, contenido, nombreArchivo }
+ *   bloqueados: eventos de rodeo que no se incluyen porque las cabezas no coinciden con las caravanas
+ */
+export async function prepararArchivoSnig(premise, tipo, desde = null, hasta = null) {
+  try {
+    const config = TIPOS_REPORTE_SNIG[tipo];
+    if (!config) throw new Error(`Tipo de archivo SNIG no soportado: ${tipo}`);
+
+    const informados = await obtenerIdsInformados(premise.id, tipo);
+    const resultado = tipo === 'IDENTIFICACION'
+      ? await prepararIdentificaciones(premise, informados)
+      : await prepararEventos(premise, tipo, desde, hasta, informados);
+
+    if (!premise.dicose_number) {
+      resultado.advertencias.unshift('El predio no tiene número DICOSE cargado');
+    }
+
+    const contenido = [
+      config.columnas.join(SEPARADOR_SNIG),
+      ...resultado.filas.map((f) => f.valores.join(SEPARADOR_SNIG))
+    ].join('\r\n');
+
+    const sufijo = tipo === 'IDENTIFICACION' ? hoy() : `${desde || 'inicio'}_${hasta || 'hoy'}`;
+
+    return {
+      tipo,
+      desde,
+      hasta,
+      columnas: config.columnas,
+      filas: resultado.filas,
+      advertencias: resultado.advertencias,
+      bloqueados: resultado.bloqueados,
+      eventIds: resultado.eventIds,
+      animalIds: [...new Set(resultado.filas.map((f) => f.animal_id))],
+      contenido,
+      nombreArchivo: `SNIG_${tipo}_${premise.dicose_number || premise.name}_${sufijo}.txt`
+    };
+  } catch (error) {
+    console.error('Error en prepararArchivoSnig:', error);
+    throw error;
+  }
+}
+
+/**
+ * Registra el archivo como informado (los animales/eventos no vuelven a salir en el próximo archivo)
+ * @param {Object} premise
+ * @param {Object} archivo - Resultado de prepararArchivoSnig
+ * @returns {Promise<Object>} Fila de snig_reports
+ */
+export async function registrarArchivoSnig(premise, archivo, userId = null) {
+  try {
+    const { data, error } = await supabase
+      .from('snig_reports')
+      .insert([{
+        firm_id: premise.firm_id,
+        premise_id: premise.id,
+        report_type: archivo.tipo,
+        dicose_number: premise.dicose_number || null,
+        period_from: archivo.desde || null,
+        period_to: archivo.hasta || null,
+        file_name: archivo.nombreArchivo,
+        record_count: archivo.filas.length,
+        // Solo lo que efectivamente va en el archivo (los eventos bloqueados siguen pendientes)
+        animal_ids: [...new Set(archivo.filas.map((f) => f.animal_id))],
+        event_ids: [...new Set(archivo.filas.map((f) => f.event_id).filter(Boolean))],
+        created_by: userId
+      }])
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    await crearRegistro({
+      firmId: premise.firm_id,
+      premiseId: premise.id,
+      tipo: 'archivo_snig_generado',
+      descripcion: `Archivo SNIG de ${TIPOS_REPORTE_SNIG[archivo.tipo].nombre.toLowerCase()} generado - ${archivo.filas.length} registro(s)`,
+      moduloOrigen: 'livestock_manager',
+      usuario: userId || 'sistema',
+      referencia: data.id,
+      metadata: { report_type: archivo.tipo, period_from: archivo.desde, period_to: archivo.hasta }
+    }).catch((err) => console.warn('Error registrando en auditoría:', err));
+
+    return data;
+  } catch (error) {
+    console.error('Error en registrarArchivoSnig:', error);
+    throw error;
+  }
+}
+
+/**
+ * Archivos SNIG generados para el predio
+ */
+export async function obtenerArchivosSnig(premiseId) {
+  const { data, error } = await supabase
+    .from('snig_reports')
+    .select('id, report_type, period_from, period_to, file_name, record_count, created_at')
+    .eq('premise_id', premiseId)
+    .order('created_at', { ascending: false });
+
+  if (error) throw error;
+  return data || [];
+}
+
+// ============================================================================
+// CONCILIACIÓN CON EL REPORTE DE EXISTENCIAS SNIG
+// ============================================================================
+
+/**
+ * Parsea el reporte de existencias descargado de SNIG (CSV o Excel)
+ * @param {string|ArrayBuffer} contenido - Texto (CSV) o ArrayBuffer (Excel)
+ * @param {string} nombreArchivo
+ * @returns {Object} { filas: [{ dispositivo, sexo, nacimiento, raza, dicose }], errores }
+ */
+export function parsearExistenciasSnig(contenido, nombreArchivo) {
+  const extension = String(nombreArchivo || '').split('.').pop().toLowerCase();
+  let filas;
+
+  if (['xls', 'xlsx'].includes(extension)) {
+    const libro = XLSX.read(contenido, { type: 'array', cellDates: true });
+    const hoja = libro.Sheets[libro.SheetNames[0]];
+    filas = XLSX.utils.sheet_to_json(hoja, { header: 1, raw: true, defval: '' });
+  } else {
+    const lineas = leerLineas(contenido);
+    const separador = detectarSeparador(lineas.find((l) => /dispositivo|caravana/i.test(l)) || lineas[0] || '');
+    filas = lineas.map((linea) => separarCampos(linea, separador));
+  }
+
+  for (let i = 0; i < Math.min(filas.length, 20); i++) {
+    const encabezados = filas[i].map(normalizarTexto);
+    const indices = Object.fromEntries(
+      Object.entries(COLUMNAS_EXISTENCIAS).map(([campo, claves]) => [campo, buscarColumna(encabezados, claves)])
+    );
+    if (indices.dispositivo < 0) continue;
+
+    const valor = (fila, indice) => (indice >= 0 ? fila[indice] : '');
+    const celda = (fila, indice) => String(valor(fila, indice) ?? '').trim();
+    const resultado = filas.slice(i + 1)
+      .map((fila) => ({
+        dispositivo: normalizarIdentificador(celda(fila, indices.dispositivo)),
+        sexo: sexoSnig(celda(fila, indices.sexo)),
+        nacimiento: parsearFecha(valor(fila, indices.nacimiento)),
+        raza: celda(fila, indices.raza) || null,
+        dicose: celda(fila, indices.dicose) || null
+      }))
+      .filter((f) => f.dispositivo);
+
+    return { filas: resultado, errores: [] };
+  }
+
+  return { filas: [], errores: ['No se encontró la columna de dispositivo / caravana en el reporte'] };
+}
+
+/**
+ * Compara el reporte de existencias SNIG con los animales del predio
+ * @param {string} premiseId
+ * @param {Array} filasSnig - Resultado de parsearExistenciasSnig
+ * @returns {Promise<Object>} { diferencias: [{ tipo, dispositivo, animal, snig, detalle }], resumen }
+ */
+export async function conciliarExistenciasSnig(premiseId, filasSnig) {
+  try {
+    const { data: animales, error } = await supabase
+      .from('animals')
+      .select('id, visual_tag, rfid_tag, sex, birth_date, breed, status')
+      .eq('premise_id', premiseId);
+
+    if (error) throw error;
+
+    const porDispositivo = new Map();
+    (animales || []).forEach((a) => {
+      if (a.rfid_tag) porDispositivo.set(normalizarIdentificador(a.rfid_tag), a);
+    });
+
+    const enSnig = new Set();
+    const diferencias = [];
+    let coinciden = 0;
+
+    filasSnig.forEach((fila) => {
+      enSnig.add(fila.dispositivo);
+      const animal = porDispositivo.get(fila.dispositivo);
+
+      if (!animal) {
+        diferencias.push({ tipo: 'SOLO_SNIG', dispositivo: fila.dispositivo, animal: null, snig: fila });
+        return;
+      }
+      if (animal.status !== 'ACTIVE') {
+        diferencias.push({ tipo: 'BAJA_NO_INFORMADA', dispositivo: fila.dispositivo, animal, snig: fila, detalle: `Estado en sistema: ${animal.status}` });
+        return;
+      }
+
+      let coincide = true;
+      if (fila.sexo && sexoSnig(animal.sex) && fila.sexo !== sexoSnig(animal.sex)) {
+        coincide = false;
+        diferencias.push({
+          tipo: 'SEXO_DISTINTO',
+          dispositivo: fila.dispositivo,
+          animal,
+          snig: fila,
+          detalle: `Sistema ${sexoSnig(animal.sex)} / SNIG ${fila.sexo}`
+        });
+      }
+      if (fila.nacimiento && animal.birth_date && fila.nacimiento.slice(0, 7) !== String(animal.birth_date).slice(0, 7)) {
+        coincide = false;
+        diferencias.push({
+          tipo: 'NACIMIENTO_DISTINTO',
+          dispositivo: fila.dispositivo,
+          animal,
+          snig: fila,
+          detalle: `Sistema ${formatearFecha(animal.birth_date)} / SNIG ${formatearFecha(fila.nacimiento)}`
+        });
+      }
+      if (coincide) coinciden += 1;
+    });
+
+    const activos = (animales || []).filter((a) => a.status === 'ACTIVE');
+    activos
+      .filter((a) => a.rfid_tag && !enSnig.has(normalizarIdentificador(a.rfid_tag)))
+      .forEach((animal) => {
+        diferencias.push({ tipo: 'SOLO_SISTEMA', dispositivo: normalizarIdentificador(animal.rfid_tag), animal, snig: null });
+      });
+
+    return {
+      diferencias,
+      resumen: {
+        en_snig: filasSnig.length,
+        activos_sistema: activos.length,
+        sin_caravana: activos.filter((a) => !a.rfid_tag).length,
+        coinciden,
+        diferencias: diferencias.length
+      }
+    };
+  } catch (error) {
+    console.error('Error en conciliarExistenciasSnig:', error);
+    throw error;
+  }
+}
+
+/**
+ * Exporta las diferencias de la conciliación a Excel para corregirlas
+ */
+export function exportarDiferenciasSnig(conciliacion, premise) {
+  const filas = conciliacion.diferencias.map((d) => ({
+    Dispositivo: d.dispositivo,
+    'Caravana visual': d.animal?.visual_tag || '',
+    Diferencia: DIFERENCIAS_SNIG[d.tipo],
+    Detalle: d.detalle || '',
+    'Sexo SNIG': d.snig?.sexo || '',
+    'Nacimiento SNIG': formatearFecha(d.snig?.nacimiento),
+    'Estado sistema': d.animal?.status || ''
+  }));
+
+  const libro = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(libro, XLSX.utils.json_to_sheet(filas), 'Diferencias SNIG');
+  XLSX.writeFile(libro, `Conciliacion_SNIG_${premise?.dicose_number || premise?.name || 'predio'}_${hoy()}.xlsx`);
+}
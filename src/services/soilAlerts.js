@@ -6,8 +6,9 @@
  */
 
 import { supabase } from '../lib/supabase';
-import { SOIL_ALERT_RULES } from '../lib/soilAlerts.config';
+import { SOIL_ALERT_RULES, SOIL_ALERTS_CONFIG } from '../lib/soilAlerts.config';
 import { crearAlertaAutomatica } from './alertas';
+import { obtenerUltimoMuestreoConResultados, resumirPorZona } from './soilSampling';
 import { differenceInDays } from 'date-fns';
 
 /**
@@ -519,14 +520,154 @@ export async function verificarFertilizacionPendiente(premiseId, firmId) {
   }
 }
 
+/**
+ * Objetivo por parámetro para el lote: el último objetivo cargado en analisis_suelo
+ * y, si no hay, el objetivo por defecto de la configuración
+ * @param {string} lotId - ID del lote
+ * @returns {Promise<Object>} { P, K, N, S }
+ */
+async function obtenerObjetivosLote(lotId) {
+  const objetivos = { ...SOIL_ALERTS_CONFIG.objetivosPorDefecto };
+
+  try {
+    const { data, error } = await supabase
+      .from('analisis_suelo')
+      .select('parametro, objetivo')
+      .eq('lot_id', lotId)
+      .not('objetivo', 'is', null)
+      .order('fecha', { ascending: false });
+
+    if (error) throw error;
+
+    // Filas ordenadas de la más reciente a la más antigua: gana la primera de cada parámetro
+    const cargados = new Set();
+    (data || []).forEach(({ parametro, objetivo }) => {
+      const valor = parseFloat(objetivo);
+      if (!parametro || cargados.has(parametro) || !Number.isFinite(valor)) return;
+      cargados.add(parametro);
+      objetivos[parametro] = valor;
+    });
+  } catch (error) {
+    console.error('Error obteniendo objetivos de suelo del lote:', error);
+  }
+
+  return objetivos;
+}
+
+/**
+ * Verifica las reglas de suelo por zona con el último muestreo georreferenciado del lote.
+ * Cada zona se evalúa con el promedio de sus puntos y genera su propia alerta, de modo que
+ * una zona con déficit no queda oculta por el promedio del lote
+ * @param {string} lotId - ID del lote
+ * @param {string} firmId - ID de la firma
+ * @returns {Promise<Object|null>} Resultado con las alertas por zona, o null si el lote no tiene muestreo con resultados
+ */
+export async function verificarAlertasSueloPorZona(lotId, firmId) {
+  try {
+    const muestreo = await obtenerUltimoMuestreoConResultados(lotId);
+    if (!muestreo) return null;
+
+    const { plan, puntos } = muestreo;
+    const zonas = resumirPorZona(plan, puntos);
+    const objetivos = await obtenerObjetivosLote(lotId);
+    const reglas = Object.values(SOIL_ALERT_RULES).filter((regla) => regla.enabled && regla.parametro);
+
+    const alertasCreadas = [];
+    const detalleZonas = [];
+
+    for (const zona of zonas) {
+      const reglasDisparadas = [];
+
+      for (const regla of reglas) {
+        const resultado = zona.promedios[regla.parametro];
+        const objetivo = objetivos[regla.parametro];
+        if (resultado === null || resultado === undefined) continue;
+        if (!regla.validar(resultado, objetivo)) continue;
+
+        reglasDisparadas.push(regla.id);
+        const mensaje = regla.generarMensaje(resultado, objetivo);
+
+        const alertaCreada = await crearAlertaAutomatica({
+          firmaId: firmId,
+          predioId: plan.premise_id,
+          loteId: lotId,
+          tipo: regla.id,
+          prioridad: regla.prioridad,
+          titulo: zona.zona === null ? mensaje.titulo : `${mensaje.titulo} - ${zona.etiqueta}`,
+          descripcion: `${zona.etiqueta}, promedio de ${zona.puntos} punto(s) del muestreo "${plan.name}". ${mensaje.descripcion}`,
+          // Una alerta pendiente por regla y zona (sin zona equivale a la alerta del lote)
+          reglaAplicada: zona.zona === null ? regla.id : `${regla.id}:zona_${zona.zona}`,
+          metadata: {
+            lot_id: lotId,
+            plan_id: plan.id,
+            zona: zona.zona,
+            puntos: zona.puntos,
+            resultado,
+            objetivo: objetivo ?? null,
+            recomendacion: mensaje.recomendacion
+          }
+        });
+
+        if (alertaCreada?.created) {
+          alertasCreadas.push(alertaCreada);
+        }
+      }
+
+      detalleZonas.push({ ...zona, reglas: reglasDisparadas });
+    }
+
+    return {
+      totalAlertas: alertasCreadas.length,
+      alertasCreadas,
+      detalles: {
+        plan: { id: plan.id, name: plan.name, sampling_date: plan.sampling_date },
+        objetivos,
+        zonas: detalleZonas
+      }
+    };
+  } catch (error) {
+    console.error('Error verificando alertas de suelo por zona:', error);
+    throw error;
+  }
+}
+
+// Verificaciones del análisis del lote que se suman a las de las zonas: los laboratorios
+// suelen informar N y S por lote, con la fuente y la dosis recomendadas
+const VERIFICACIONES_LOTE_COMPLEMENTARIAS = [
+  { clave: 'nitrogeno', verificar: verificarDeficitNitrogeno },
+  { clave: 'azufre', verificar: verificarDeficitAzufre }
+];
+
 /**
  * Ejecuta todas las verificaciones de alertas de suelo para un lote
+ * Si el lote tiene un muestreo georreferenciado con resultados se evalúa por zona y se
+ * suman las verificaciones de N y S del análisis del lote; si no, con el último análisis del lote
  * @param {string} lotId - ID del lote
  * @param {string} firmId - ID de la firma
  * @returns {Promise<Object>} Resultado con todas las alertas creadas
  */
 export async function verificarTodasLasAlertasSueloPorLote(lotId, firmId) {
   try {
+    const porZona = await verificarAlertasSueloPorZona(lotId, firmId);
+    if (porZona) {
+      const resultadosLote = await Promise.all(
+        VERIFICACIONES_LOTE_COMPLEMENTARIAS.map(({ verificar }) => verificar(lotId, firmId))
+      );
+
+      const alertasCreadas = resultadosLote.reduce((acc, resultado) => {
+        return acc.concat(resultado.alertasCreadas || []);
+      }, [...porZona.alertasCreadas]);
+
+      return {
+        totalAlertas: alertasCreadas.length,
+        alertasCreadas,
+        detalles: {
+          ...porZona.detalles,
+          ...Object.fromEntries(VERIFICACIONES_LOTE_COMPLEMENTARIAS.map(({ clave }, i) => [clave, resultadosLote[i]]))
+        }
+      };
+    }
+
     const resultados = await Promise.all([
       verificarDeficitFosforo(lotId, firmId),
       verificarDeficitPotasio(lotId, firmId),
@@ -0,0 +1,629 @@
+/**
+ * Muestreo de suelo georreferenciado
+ * - Plan de muestreo por lote: grilla regular o puntos repartidos dentro de cada zona de manejo
+ * - Resultados de laboratorio por punto (carga manual o CSV del laboratorio)
+ * - Superficies interpoladas (IDW) de P, K, pH y MO para el mapa y promedios por zona para las alertas
+ * Tablas: soil_sampling_plans, soil_sample_points (add_soil_sampling.sql)
+ */
+
+import { booleanPointInPolygon, point, distance } from '@turf/turf';
+import { supabase } from '../lib/supabase';
+import { registrarAuditoria } from './registros';
+import {
+  crearGrillaLote,
+  interpolarIDW,
+  agruparKMeans,
+  COLUMNAS_COORDENADAS
+} from './managementZones';
+import {
+  leerLineas,
+  detectarSeparador,
+  separarCampos,
+  parsearNumero,
+  normalizarTexto
+} from '../lib/csvParsing';
+import { redondear, media } from '../lib/numeros';
+
+export const METODOS_MUESTREO = {
+  GRILLA: 'Grilla regular',
+  ZONAS: 'Por zonas de manejo'
+};
+
+// Lado de la celda de muestreo en metros (100 m = 1 muestra/ha)
+export const TAMANOS_GRILLA_MUESTREO = [100, 150, 200, 300];
+
+export const ESTADOS_PLAN_MUESTREO = {
+  PLANIFICADO: 'Planificado',
+  MUESTREADO: 'Muestreado',
+  CON_RESULTADOS: 'Con resultados'
+};
+
+/**
+ * Parámetros de laboratorio que se registran por punto.
+ * `encabezado` reconoce la columna en el CSV del laboratorio (texto normalizado, sin tildes)
+ */
+export const PARAMETROS_SUELO = {
+  P: { columna: 'p_ppm', etiqueta: 'Fósforo (P)', unidad: 'ppm', decimales: 1, encabezado: /^(p|fosforo)( |$)/ },
+  K: { columna: 'k_ppm', etiqueta: 'Potasio (K)', unidad: 'ppm', decimales: 0, encabezado: /^(k|potasio)( |$)/ },
+  pH: { columna: 'ph', etiqueta: 'pH', unidad: '', decimales: 2, encabezado: /^ph( |$)/ },
+  MO: { columna: 'mo_pct', etiqueta: 'Materia orgánica (MO)', unidad: '%', decimales: 2, encabezado: /^(mo|m o|materia organica)( |$)/ },
+  N: { columna: 'n_ppm', etiqueta: 'Nitrógeno (N)', unidad: 'ppm', decimales: 1, encabezado: /^(n|nitrogeno|nitratos)( (no3|ppm|mg kg|total)|$)/ },
+  S: { columna: 's_ppm', etiqueta: 'Azufre (S)', unidad: 'ppm', decimales: 1, encabezado: /^(s|azufre)( |$)/ }
+};
+
+// Parámetros que se pueden ver como superficie interpolada en el mapa
+export const PARAMETROS_SUPERFICIE = ['P', 'K', 'pH', 'MO'];
+
+const COLUMNAS_CODIGO = /^(codigo|cod|muestra|n muestra|nro muestra|id muestra|punto|sample|identificacion)( |$)/;
+const COLUMNAS_ID_LABORATORIO = /^(id lab|n lab|nro lab|protocolo|orden)( |$)/;
+
+// Los laboratorios informan K intercambiable en meq/100 g: 1 meq/100 g = 391 ppm
+const PPM_POR_MEQ_K = 391;
+
+// Distancia máxima para asociar una fila del laboratorio a un punto del plan por coordenadas
+const DISTANCIA_MAXIMA_ASIGNACION_M = 30;
+
+// Tope de celdas de la superficie interpolada para que el overlay siga siendo fluido
+const MAX_CELDAS_SUPERFICIE = 8000;
+
+// "M01", "m-1" y "M1" son el mismo punto, y "Z1-01" es "Z1-1": se comparan letras y números sin ceros a la izquierda
+function normalizarCodigo(codigo) {
+  return (String(codigo ?? '').toUpperCase().match(/[A-Z]+|\d+/g) || [])
+    .map((parte) => (/^\d/.test(parte) ? String(Number(parte)) : parte))
+    .join('|');
+}
+
+/**
+ * Valor numérico de un parámetro en un punto (null si no tiene resultado)
+ * @param {Object} punto - Fila de soil_sample_points
+ * @param {string} parametro - Clave de PARAMETROS_SUELO
+ * @returns {number|null}
+ */
+export function valorPunto(punto, parametro) {
+  const valor = parseFloat(punto?.[PARAMETROS_SUELO[parametro].columna]);
+  return Number.isFinite(valor) ? valor : null;
+}
+
+/**
+ * Indica si el punto tiene al menos un resultado de laboratorio
+ * @param {Object} punto
+ * @returns {boolean}
+ */
+export function puntoTieneResultados(punto) {
+  return Object.keys(PARAMETROS_SUELO).some((parametro) => valorPunto(punto, parametro) !== null);
+}
+
+function zonaDelPunto(zonas, lng, lat) {
+  const zona = (zonas || []).find((z) => z.geometry && booleanPointInPolygon(point([lng, lat]), z.geometry));
+  return zona ? zona.zona : null;
+}
+
+/**
+ * Puntos de muestreo en grilla regular: uno en el centro de cada celda dentro del lote.
+ * Si se indican zonas de manejo, cada punto queda asignado a la zona que lo contiene
+ * @param {Array|Object} poligono - polygon_data del lote
+ * @param {number} tamanoM - Lado de la celda en metros
+ * @param {Array} zonas - Zonas del mapa de zonas (opcional)
+ * @returns {Array} [{ code, zone, lat, lng }]
+ */
+export function generarPuntosGrilla(poligono, tamanoM = 100, zonas = []) {
+  const { celdas } = crearGrillaLote(poligono, tamanoM);
+  // Mismo ancho en todos los códigos para que ordenen bien como texto (M001...M120)
+  const digitos = Math.max(2, String(celdas.length).length);
+
+  return celdas.map(({ lat, lng }, i) => ({
+    code: `M${String(i + 1).padStart(digitos, '0')}`,
+    zone: zonaDelPunto(zonas, lng, lat),
+    lat: redondear(lat, 7),
+    lng: redondear(lng, 7)
+  }));
+}
+
+/**
+ * Puntos de muestreo por zona de manejo: las celdas de cada zona se agrupan en tantos grupos
+ * como puntos se pidan y se toma la celda más cercana al centro de cada grupo, así los puntos
+ * quedan repartidos dentro de la zona y nunca fuera de ella
+ * @param {Array} zonas - [{ zona, geometry, area_ha }]
+ * @param {number} puntosPorZona
+ * @returns {Array} [{ code, zone, lat, lng }]
+ */
+export function generarPuntosPorZonas(zonas, puntosPorZona = 3) {
+  const puntos = [];
+
+  (zonas || []).forEach((zona) => {
+    // Celda proporcional al área para trabajar con unas 2000 candidatas por zona
+    const tamanoCelda = Math.max(10, Math.sqrt(((zona.area_ha || 1) * 10000) / 2000));
+    const { celdas } = crearGrillaLote(zona.geometry, tamanoCelda);
+    if (celdas.length === 0) return;
+
+    const cantidad = Math.min(puntosPorZona, celdas.length);
+    const asignacion = agruparKMeans(celdas.map((c) => [c.lat, c.lng]), cantidad);
+
+    for (let grupo = 0; grupo < cantidad; grupo++) {
+      const miembros = celdas.filter((_, i) => asignacion[i] === grupo);
+      if (miembros.length === 0) continue;
+
+      const centroLat = media(miembros.map((c) => c.lat));
+      const centroLng = media(miembros.map((c) => c.lng));
+      const elegida = miembros.reduce((mejor, c) =>
+        (c.lat - centroLat) ** 2 + (c.lng - centroLng) ** 2 < (mejor.lat - centroLat) ** 2 + (mejor.lng - centroLng) ** 2
+          ? c
+          : mejor
+      );
+
+      puntos.push({
+        code: `Z${zona.zona}-${grupo + 1}`,
+        zone: zona.zona,
+        lat: redondear(elegida.lat, 7),
+        lng: redondear(elegida.lng, 7)
+      });
+    }
+  });
+
+  return puntos;
+}
+
+/**
+ * Crea el plan de muestreo con sus puntos
+ * @param {Object} datos - { firmId, lote, nombre, metodo, tamanoGrillaM, mapaZonas, fechaMuestreo,
+ *   profundidadCm, laboratorio, notas }
+ * @param {Array} puntos - Resultado de generarPuntosGrilla / generarPuntosPorZonas
+ * @param {string} userId
+ */
+export async function crearPlanMuestreo(datos, puntos, userId = null) {
+  try {
+    const { lote, mapaZonas } = datos;
+    if (!puntos?.length) throw new Error('El plan no tiene puntos de muestreo');
+    if (datos.metodo === 'ZONAS' && !mapaZonas) throw new Error('Seleccione un mapa de zonas');
+
+    const base = { firm_id: datos.firmId, premise_id: lote.premise_id, lot_id: lote.id };
+
+    const { data: plan, error } = await supabase
+      .from('soil_sampling_plans')
+      .insert([{
+        ...base,
+        name: datos.nombre?.trim() || `Muestreo ${METODOS_MUESTREO[datos.metodo].toLowerCase()}`,
+        method: datos.metodo,
+        grid_size_m: datos.metodo === 'GRILLA' ? datos.tamanoGrillaM : null,
+        zone_map_id: mapaZonas?.id || null,
+        zones: (mapaZonas?.zones || []).map(({ zona, etiqueta, color, area_ha, geometry }) => ({ zona, etiqueta, color, area_ha, geometry })),
+        sampling_date: datos.fechaMuestreo || null,
+        depth_cm: datos.profundidadCm ? parseInt(datos.profundidadCm, 10) : null,
+        lab_name: datos.laboratorio?.trim() || null,
+        notes: datos.notas?.trim() || null,
+        created_by: userId
+      }])
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    const { error: puntosError } = await supabase
+      .from('soil_sample_points')
+      .insert(puntos.map((p) => ({
+        plan_id: plan.id,
+        lot_id: lote.id,
+        code: p.code,
+        zone: p.zone,
+        lat: p.lat,
+        lng: p.lng
+      })));
+
+    if (puntosError) {
+      // Sin puntos el plan no sirve: se descarta para no dejar planes vacíos
+      await supabase.from('soil_sampling_plans').delete().eq('id', plan.id);
+      throw puntosError;
+    }
+
+    await registrarAuditoria(
+      'soil_analysis',
+      base,
+      'muestreo_suelo',
+      `Plan de muestreo "${plan.name}" en ${lote.name}: ${puntos.length} puntos (${METODOS_MUESTREO[plan.method]})`,
+      plan.id,
+      { metodo: plan.method, puntos: puntos.length, grid_size_m: plan.grid_size_m },
+      userId
+    );
+
+    return plan;
+  } catch (error) {
+    console.error('Error en crearPlanMuestreo:', error);
+    throw error;
+  }
+}
+
+/**
+ * Planes de muestreo de un lote, del más reciente al más antiguo
+ * @param {string} lotId
+ */
+export async function obtenerPlanesMuestreo(lotId) {
+  try {
+    const { data, error } = await supabase
+      .from('soil_sampling_plans')
+      .select('*')
+      .eq('lot_id', lotId)
+      .order('created_at', { ascending: false });
+
+    if (error) throw error;
+    return data || [];
+  } catch (error) {
+    console.error('Error en obtenerPlanesMuestreo:', error);
+    throw error;
+  }
+}
+
+/**
+ * Puntos de un plan de muestreo
+ * @param {string} planId
+ */
+export async function obtenerPuntosPlan(planId) {
+  try {
+    const { data, error } = await supabase
+      .from('soil_sample_points')
+      .select('*')
+      .eq('plan_id', planId)
+      .order('code', { ascending: true });
+
+    if (error) throw error;
+    return data || [];
+  } catch (error) {
+    console.error('Error en obtenerPuntosPlan:', error);
+    throw error;
+  }
+}
+
+/**
+ * Último plan del lote con resultados de laboratorio, con sus puntos
+ * @param {string} lotId
+ * @returns {Promise<Object|null>} { plan, puntos } o null si el lote no tiene muestreos con resultados
+ */
+export async function obtenerUltimoMuestreoConResultados(lotId) {
+  try {
+    const { data, error } = await supabase
+      .from('soil_sampling_plans')
+      .select('*')
+      .eq('lot_id', lotId)
+      .eq('status', 'CON_RESULTADOS')
+      .order('sampling_date', { ascending: false, nullsFirst: false })
+      .order('created_at', { ascending: false })
+      .limit(1);
+
+    if (error) throw error;
+    if (!data || data.length === 0) return null;
+
+    const puntos = await obtenerPuntosPlan(data[0].id);
+    return { plan: data[0], puntos };
+  } catch (error) {
+    console.error('Error en obtenerUltimoMuestreoConResultados:', error);
+    throw error;
+  }
+}
+
+/**
+ * Guarda los resultados de laboratorio de los puntos modificados y actualiza el estado del plan
+ * @param {Object} plan - Fila de soil_sampling_plans
+ * @param {Array} puntos - Puntos con las columnas de resultados (p_ppm, k_ppm, ...)
+ * @param {string} userId
+ * @param {string} origen - 'manual' | 'csv' (para la auditoría)
+ */
+export async function guardarResultadosPuntos(plan, puntos, userId = null, origen = 'manual') {
+  try {
+    const columnas = Object.values(PARAMETROS_SUELO).map((p) => p.columna);
+
+    const actualizaciones = (puntos || []).map((punto) => {
+      const cambios = { updated_at: new Date().toISOString() };
+      columnas.forEach((columna) => {
+        const valor = parsearNumero(punto[columna]);
+        cambios[columna] = valor;
+      });
+      if (punto.lab_sample_id !== undefined) cambios.lab_sample_id = punto.lab_sample_id || null;
+      if (punto.sampled_at !== undefined) cambios.sampled_at = punto.sampled_at || null;
+
+      return supabase.from('soil_sample_points').update(cambios).eq('id', punto.id);
+    });
+
+    const resultados = await Promise.all(actualizaciones);
+    const fallido = resultados.find((r) => r.error);
+    if (fallido) throw fallido.error;
+
+    const conResultados = (puntos || []).filter(puntoTieneResultados).length;
+    const status = conResultados > 0 ? 'CON_RESULTADOS' : plan.status;
+
+    const { data, error } = await supabase
+      .from('soil_sampling_plans')
+      .update({ status, updated_at: new Date().toISOString() })
+      .eq('id', plan.id)
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    await registrarAuditoria(
+      'soil_analysis',
+      plan,
+      'muestreo_suelo',
+      `Resultados de laboratorio cargados en "${plan.name}": ${conResultados} de ${puntos.length} puntos`,
+      plan.id,
+      { origen, puntos_con_resultados: conResultados },
+      userId
+    );
+
+    return data;
+  } catch (error) {
+    console.error('Error en guardarResultadosPuntos:', error);
+    throw error;
+  }
+}
+
+/**
+ * Marca el plan como muestreado (muestras tomadas y enviadas al laboratorio)
+ * @param {Object} plan
+ * @param {string} fechaMuestreo - YYYY-MM-DD
+ */
+export async function marcarPlanMuestreado(plan, fechaMuestreo) {
+  try {
+    const { data, error } = await supabase
+      .from('soil_sampling_plans')
+      .update({
+        status: 'MUESTREADO',
+        sampling_date: fechaMuestreo || plan.sampling_date,
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', plan.id)
+      .select()
+      .single();
+
+    if (error) throw error;
+    return data;
+  } catch (error) {
+    console.error('Error en marcarPlanMuestreado:', error);
+    throw error;
+  }
+}
+
+/**
+ * Elimina un plan de muestreo con sus puntos
+ * @param {Object} plan
+ * @param {string} userId
+ */
+export async function eliminarPlanMuestreo(plan, userId = null) {
+  try {
+    const { error } = await supabase
+      .from('soil_sampling_plans')
+      .delete()
+      .eq('id', plan.id);
+
+    if (error) throw error;
+
+    await registrarAuditoria('soil_analysis', plan, 'muestreo_suelo', `Plan de muestreo eliminado: ${plan.name}`, plan.id, null, userId);
+  } catch (error) {
+    console.error('Error en eliminarPlanMuestreo:', error);
+    throw error;
+  }
+}
+
+/**
+ * Lee el CSV de resultados del laboratorio. Cada fila se identifica por el código de muestra
+ * o por sus coordenadas; las columnas de parámetros se reconocen por el encabezado (P, K, pH, MO, N, S)
+ * @param {string} texto - Contenido del CSV
+ * @returns {Object} { filas: [{ fila, codigo, idLaboratorio, lat, lng, valores }], parametros, errores }
+ */
+export function parsearResultadosLaboratorio(texto) {
+  const lineas = leerLineas(texto);
+  if (lineas.length < 2) {
+    return { filas: [], parametros: [], errores: ['El archivo no tiene filas de datos'] };
+  }
+
+  const separador = detectarSeparador(lineas[0]);
+  const encabezados = separarCampos(lineas[0], separador)
+    .map((h) => normalizarTexto(h).replace(/[^a-z0-9]+/g, ' ').trim());
+
+  const indiceCodigo = encabezados.findIndex((h) => COLUMNAS_CODIGO.test(h));
+  const indiceLab = encabezados.findIndex((h) => COLUMNAS_ID_LABORATORIO.test(h));
+  const indiceLat = encabezados.findIndex((h) => COLUMNAS_COORDENADAS.lat.includes(h));
+  const indiceLng = encabezados.findIndex((h) => COLUMNAS_COORDENADAS.lng.includes(h));
+
+  if (indiceCodigo < 0 && (indiceLat < 0 || indiceLng < 0)) {
+    return { filas: [], parametros: [], errores: ['El archivo necesita una columna de código de muestra o de latitud y longitud'] };
+  }
+
+  const columnasParametros = [];
+  Object.entries(PARAMETROS_SUELO).forEach(([parametro, config]) => {
+    const indice = encabezados.findIndex((h, i) =>
+      i !== indiceCodigo && i !== indiceLab && config.encabezado.test(h)
+    );
+    if (indice < 0) return;
+    const factor = parametro === 'K' && /\b(meq|cmol)\b/.test(encabezados[indice]) ? PPM_POR_MEQ_K : 1;
+    columnasParametros.push({ parametro, indice, factor });
+  });
+
+  if (columnasParametros.length === 0) {
+    return { filas: [], parametros: [], errores: ['No se reconoció ninguna columna de resultados (P, K, pH, MO, N, S)'] };
+  }
+
+  const errores = [];
+  const filas = [];
+  lineas.slice(1).forEach((linea, i) => {
+    const campos = separarCampos(linea, separador);
+    const codigo = indiceCodigo >= 0 ? campos[indiceCodigo] : '';
+    const lat = indiceLat >= 0 ? parsearNumero(campos[indiceLat]) : null;
+    const lng = indiceLng >= 0 ? parsearNumero(campos[indiceLng]) : null;
+
+    const valores = {};
+    columnasParametros.forEach(({ parametro, indice, factor }) => {
+      const valor = parsearNumero(campos[indice]);
+      if (Number.isFinite(valor)) {
+        valores[parametro] = redondear(valor * factor, PARAMETROS_SUELO[parametro].decimales);
+      }
+    });
+
+    if (Object.keys(valores).length === 0) {
+      errores.push(`Fila ${i + 2}: sin resultados numéricos`);
+      return;
+    }
+    if (!codigo && !(Number.isFinite(lat) && Number.isFinite(lng))) {
+      errores.push(`Fila ${i + 2}: sin código de muestra ni coordenadas`);
+      return;
+    }
+
+    filas.push({
+      fila: i + 2,
+      codigo,
+      idLaboratorio: indiceLab >= 0 ? campos[indiceLab] || null : null,
+      lat,
+      lng,
+      valores
+    });
+  });
+
+  return { filas, parametros: columnasParametros.map((c) => c.parametro), errores };
+}
+
+/**
+ * Asocia las filas del laboratorio a los puntos del plan: primero por código de muestra
+ * y si no coincide, al punto libre más cercano dentro de 30 m
+ * @param {Array} puntos - Puntos del plan
+ * @param {Array} filas - Resultado de parsearResultadosLaboratorio
+ * @returns {Object} { puntos (copias con los resultados), asignados, sinAsignar: [mensajes] }
+ */
+export function asignarResultados(puntos, filas) {
+  const actualizados = (puntos || []).map((p) => ({ ...p }));
+  const porCodigo = new Map(actualizados.map((p) => [normalizarCodigo(p.code), p]));
+  const usados = new Set();
+  const sinAsignar = [];
+
+  (filas || []).forEach((fila) => {
+    let destino = fila.codigo ? porCodigo.get(normalizarCodigo(fila.codigo)) : null;
+
+    if (!destino && Number.isFinite(fila.lat) && Number.isFinite(fila.lng)) {
+      let mejorDistancia = DISTANCIA_MAXIMA_ASIGNACION_M;
+      actualizados.forEach((p) => {
+        if (usados.has(p.id)) return;
+        const metros = distance(point([fila.lng, fila.lat]), point([parseFloat(p.lng), parseFloat(p.lat)]), { units: 'meters' });
+        if (metros <= mejorDistancia) {
+          mejorDistancia = metros;
+          destino = p;
+        }
+      });
+    }
+
+    if (!destino || usados.has(destino.id)) {
+      sinAsignar.push(`Fila ${fila.fila}${fila.codigo ? ` (${fila.codigo})` : ''}: no coincide con ningún punto libre del plan`);
+      return;
+    }
+
+    usados.add(destino.id);
+    Object.entries(fila.valores).forEach(([parametro, valor]) => {
+      destino[PARAMETROS_SUELO[parametro].columna] = valor;
+    });
+    if (fila.idLaboratorio) destino.lab_sample_id = fila.idLaboratorio;
+  });
+
+  return { puntos: actualizados, asignados: usados.size, sinAsignar };
+}
+
+/**
+ * Convierte los puntos con resultados al formato de muestras de managementZones
+ * @param {Array} puntos
+ * @returns {Array} [{ lat, lng, valores: { P, K, ... } }]
+ */
+export function puntosAMuestras(puntos) {
+  return (puntos || [])
+    .filter(puntoTieneResultados)
+    .map((p) => {
+      const valores = {};
+      Object.keys(PARAMETROS_SUELO).forEach((parametro) => {
+        const valor = valorPunto(p, parametro);
+        if (valor !== null) valores[parametro] = valor;
+      });
+      return { lat: parseFloat(p.lat), lng: parseFloat(p.lng), valores };
+    });
+}
+
+/**
+ * Promedio de cada parámetro por zona del plan. Los puntos sin zona (grilla sin mapa de zonas)
+ * se agrupan como lote completo
+ * @param {Object} plan - Fila de soil_sampling_plans
+ * @param {Array} puntos
+ * @returns {Array} [{ zona, etiqueta, area_ha, puntos, promedios: { P, K, pH, MO, N, S } }]
+ */
+export function resumirPorZona(plan, puntos) {
+  const grupos = new Map();
+  (puntos || []).filter(puntoTieneResultados).forEach((p) => {
+    const clave = p.zone ?? null;
+    if (!grupos.has(clave)) grupos.set(clave, []);
+    grupos.get(clave).push(p);
+  });
+
+  return [...grupos.entries()]
+    .sort(([a], [b]) => (a ?? 0) - (b ?? 0))
+    .map(([zona, miembros]) => {
+      const info = (plan?.zones || []).find((z) => z.zona === zona);
+      const promedios = {};
+      Object.entries(PARAMETROS_SUELO).forEach(([parametro, config]) => {
+        const valores = miembros.map((p) => valorPunto(p, parametro)).filter((v) => v !== null);
+        promedios[parametro] = valores.length > 0 ? redondear(media(valores), config.decimales) : null;
+      });
+
+      return {
+        zona,
+        etiqueta: zona === null ? 'Lote completo' : `Zona ${zona}${info?.etiqueta ? ` (${info.etiqueta})` : ''}`,
+        area_ha: info?.area_ha ?? null,
+        puntos: miembros.length,
+        promedios
+      };
+    });
+}
+
+/**
+ * Superficie interpolada (IDW) de un parámetro sobre el lote
+ * @param {Array|Object} poligono - polygon_data del lote
+ * @param {Array} puntos - Puntos del plan con resultados
+ * @param {string} parametro - Clave de PARAMETROS_SUELO
+ * @returns {Object|null} { parametro, dx, dy, celdas: [[lat, lng, valor]], minimo, maximo, media, muestras }
+ */
+export function interpolarSuperficieSuelo(poligono, puntos, parametro) {
+  const muestras = puntosAMuestras(puntos).filter((m) => m.valores[parametro] !== undefined);
+  if (muestras.length === 0) return null;
+
+  // Primero a 20 m; en lotes grandes se agranda la celda para no pasar del tope
+  let grilla = crearGrillaLote(poligono, 20);
+  if (grilla.celdas.length > MAX_CELDAS_SUPERFICIE) {
+    grilla = crearGrillaLote(poligono, Math.ceil(20 * Math.sqrt(grilla.celdas.length / MAX_CELDAS_SUPERFICIE)));
+  }
+
+  const valores = interpolarIDW(muestras, parametro, grilla.celdas);
+  const decimales = PARAMETROS_SUELO[parametro].decimales;
+  const celdas = grilla.celdas.map((c, i) => [c.lat, c.lng, redondear(valores[i], decimales)]);
+  const medidos = muestras.map((m) => m.valores[parametro]);
+
+  return {
+    parametro,
+    dx: grilla.dx,
+    dy: grilla.dy,
+    celdas,
+    minimo: Math.min(...medidos),
+    maximo: Math.max(...medidos),
+    media: redondear(media(medidos), decimales),
+    muestras: muestras.map((m) => [m.lat, m.lng, m.valores[parametro]])
+  };
+}
+
+/**
+ * Superficie de un parámetro con el último muestreo con resultados del lote
+ * @param {Object} lote - Lote con id y poligono / polygon_data
+ * @param {string} parametro
+ * @returns {Promise<Object|null>} { plan, ...superficie } o null si no hay muestreo con ese parámetro
+ */
+export async function obtenerSuperficieSueloLote(lote, parametro) {
+  try {
+    const muestreo = await obtenerUltimoMuestreoConResultados(lote.id);
+    if (!muestreo) return null;
+
+    const superficie = interpolarSuperficieSuelo(lote.poligono || lote.polygon_data, muestreo.puntos, parametro);
+    return superficie ? { plan: muestreo.plan, ...superficie } : null;
+  } catch (error) {
+    console.error('Error en obtenerSuperficieSueloLote:', error);
+    throw error;
+  }
+}
@@ -0,0 +1,639 @@
+/**
+ * Servicio del registro de aplicaciones fitosanitarias
+ * - Registro legal de cada aplicación: aplicador y carnet, máquina, pico, presión, caudal (L/ha)
+ *   y condiciones meteorológicas al momento de aplicar (viento, temperatura, humedad)
+ * - Tiempo de reingreso y período de carencia tomados del producto en inputs
+ * - Zonas sensibles del predio (cursos de agua, escuelas, viviendas) dibujadas en el mapa,
+ *   con su distancia de resguardo, y control de distancias del lote antes de aplicar
+ * Tablas: spray_records, premise_sensitive_areas, inputs.reentry_hours / preharvest_days (add_spray_records.sql)
+ */
+
+import * as XLSX from 'xlsx';
+import {
+  bearing,
+  booleanIntersects,
+  centroid,
+  coordAll,
+  distance,
+  feature,
+  point,
+  pointToLineDistance,
+  pointToPolygonDistance
+} from '@turf/turf';
+import { supabase } from '../lib/supabase';
+import { registrarAuditoria } from './registros';
+import { aGeometriaGeoJSON } from './geospatial';
+import { redondear } from '../lib/numeros';
+import { hoy, sumarDias } from '../lib/fechas';
+
+/**
+ * Tipos de zona sensible con la distancia de resguardo por defecto (m) y la geometría con que se dibujan
+ */
+export const TIPOS_ZONA_SENSIBLE = {
+  CURSO_AGUA: { etiqueta: 'Curso de agua', distancia_m: 30, color: '#0284c7', geometria: 'LineString' },
+  ESCUELA: { etiqueta: 'Escuela', distancia_m: 500, color: '#dc2626', geometria: 'Point' },
+  VIVIENDA: { etiqueta: 'Vivienda', distancia_m: 100, color: '#ea580c', geometria: 'Point' },
+  OTRO: { etiqueta: 'Otra zona sensible', distancia_m: 100, color: '#7c3aed', geometria: 'Polygon' }
+};
+
+export const DIRECCIONES_VIENTO = ['N', 'NE', 'E', 'SE', 'S', 'SO', 'O', 'NO', 'CALMA'];
+
+const RUMBO_DIRECCION = { N: 0, NE: 45, E: 90, SE: 135, S: 180, SO: 225, O: 270, NO: 315 };
+
+/**
+ * Rango de condiciones aceptables para pulverizar: con viento muy bajo hay riesgo de inversión
+ * térmica, con viento alto, calor o aire seco la deriva y la evaporación de la gota aumentan
+ */
+export const LIMITES_CONDICIONES = {
+  vientoMinKmh: 3,
+  vientoMaxKmh: 15,
+  temperaturaMax: 30,
+  humedadMin: 50
+};
+
+export const ADVERTENCIAS_CONDICIONES = {
+  VIENTO_BAJO: `Viento menor a ${LIMITES_CONDICIONES.vientoMinKmh} km/h: riesgo de inversión térmica`,
+  VIENTO_ALTO: `Viento mayor a ${LIMITES_CONDICIONES.vientoMaxKmh} km/h: riesgo de deriva`,
+  TEMPERATURA_ALTA: `Temperatura mayor a ${LIMITES_CONDICIONES.temperaturaMax} °C`,
+  HUMEDAD_BAJA: `Humedad relativa menor a ${LIMITES_CONDICIONES.humedadMin}%`
+};
+
+function numeroOpcional(valor) {
+  if (valor === '' || valor === null || valor === undefined) return null;
+  const numero = parseFloat(valor);
+  return Number.isFinite(numero) ? numero : null;
+}
+
+// =============================================
+// CONDICIONES E INTERVALOS
+// =============================================
+
+/**
+ * Condiciones meteorológicas fuera del rango recomendado
+ * @param {Object} condiciones - { viento, temperatura, humedad }
+ * @returns {Array<string>} Claves de ADVERTENCIAS_CONDICIONES
+ */
+export function evaluarCondiciones({ viento, temperatura, humedad }) {
+  const advertencias = [];
+  const v = numeroOpcional(viento);
+  const t = numeroOpcional(temperatura);
+  const h = numeroOpcional(humedad);
+
+  if (v !== null && v < LIMITES_CONDICIONES.vientoMinKmh) advertencias.push('VIENTO_BAJO');
+  if (v !== null && v > LIMITES_CONDICIONES.vientoMaxKmh) advertencias.push('VIENTO_ALTO');
+  if (t !== null && t > LIMITES_CONDICIONES.temperaturaMax) advertencias.push('TEMPERATURA_ALTA');
+  if (h !== null && h < LIMITES_CONDICIONES.humedadMin) advertencias.push('HUMEDAD_BAJA');
+
+  return advertencias;
+}
+
+/**
+ * Reingreso y carencia de la aplicación según el producto.
+ * El reingreso corre desde el fin de la aplicación; sin hora de fin se toma el final del día
+ * para no acortar el reingreso
+ * @param {Object} insumo - Insumo con reentry_hours y preharvest_days
+ * @param {string} fecha - YYYY-MM-DD
+ * @param {string} horaFin - HH:MM (opcional)
+ * @returns {Object} { reentry_hours, preharvest_days, reentry_until, harvest_allowed_from }
+ */
+export function calcularIntervalos(insumo, fecha, horaFin = null) {
+  const reingreso = insumo?.reentry_hours ?? null;
+  const carencia = insumo?.preharvest_days ?? null;
+
+  if (!fecha) {
+    return { reentry_hours: reingreso, preharvest_days: carencia, reentry_until: null, harvest_allowed_from: null };
+  }
+
+  let reentryUntil = null;
+  if (reingreso !== null) {
+    const fin = new Date(`${fecha}T${horaFin || '23:59'}:00`);
+    fin.setHours(fin.getHours() + reingreso);
+    reentryUntil = fin.toISOString();
+  }
+
+  const harvestFrom = carencia !== null ? sumarDias(fecha, carencia) : null;
+
+  return {
+    reentry_hours: reingreso,
+    preharvest_days: carencia,
+    reentry_until: reentryUntil,
+    harvest_allowed_from: harvestFrom
+  };
+}
+
+// =============================================
+// ZONAS SENSIBLES Y DISTANCIAS
+// =============================================
+
+function distanciaPuntoAGeometria(coordenada, geometry) {
+  const p = point(coordenada);
+  if (geometry.type === 'Point') {
+    return distance(p, geometry.coordinates, { units: 'meters' });
+  }
+  if (geometry.type === 'LineString') {
+    return pointToLineDistance(p, feature(geometry), { units: 'meters' });
+  }
+  return Math.max(0, pointToPolygonDistance(p, feature(geometry), { units: 'meters' }));
+}
+
+/**
+ * Distancia mínima en metros entre el lote y una zona sensible (0 si se tocan).
+ * Entre dos figuras que no se cortan la distancia mínima siempre cae en un vértice de alguna de
+ * las dos, así que alcanza con medir los vértices de cada una contra la otra
+ * @param {Object} lote - Geometría GeoJSON del lote
+ * @param {Object} zona - Geometría GeoJSON de la zona sensible
+ * @returns {number}
+ */
+export function distanciaLoteAZona(lote, zona) {
+  if (booleanIntersects(feature(lote), feature(zona))) return 0;
+
+  let minima = Infinity;
+  for (const coordenada of coordAll(feature(zona))) {
+    minima = Math.min(minima, distanciaPuntoAGeometria(coordenada, lote));
+  }
+  if (zona.type !== 'Point') {
+    for (const coordenada of coordAll(feature(lote))) {
+      minima = Math.min(minima, distanciaPuntoAGeometria(coordenada, zona));
+    }
+  }
+  return minima;
+}
+
+/**
+ * Rumbo hacia donde sopla el viento (el viento se informa por de dónde viene)
+ */
+function rumboSotavento(direccion) {
+  const rumbo = RUMBO_DIRECCION[direccion];
+  return rumbo === undefined ? null : (rumbo + 180) % 360;
+}
+
+/**
+ * Zonas sensibles que quedan dentro de su distancia de resguardo respecto del lote.
+ * Si se indica la dirección del viento se marca cuáles quedan a sotavento (±45°), que son
+ * las que reciben la deriva
+ * @param {Array|Object} poligono - polygon_data del lote
+ * @param {Array} zonas - premise_sensitive_areas
+ * @param {string} direccionViento - Clave de DIRECCIONES_VIENTO (opcional)
+ * @returns {Array} [{ area_id, name, area_type, distance_m, buffer_m, downwind }] ordenadas por distancia
+ */
+export function verificarDistanciasSensibles(poligono, zonas, direccionViento = null) {
+  const lote = aGeometriaGeoJSON(poligono);
+  if (!lote) return [];
+
+  const sotavento = rumboSotavento(direccionViento);
+  const centro = centroid(feature(lote));
+
+  return (zonas || [])
+    .filter((zona) => zona.geometry)
+    .map((zona) => {
+      const distancia = distanciaLoteAZona(lote, zona.geometry);
+      let aSotavento = false;
+      if (sotavento !== null) {
+        const rumbo = (bearing(centro, centroid(feature(zona.geometry))) + 360) % 360;
+        const diferencia = Math.abs(rumbo - sotavento);
+        aSotavento = Math.min(diferencia, 360 - diferencia) <= 45;
+      }
+      return {
+        area_id: zona.id,
+        name: zona.name,
+        area_type: zona.area_type,
+        distance_m: Math.round(distancia),
+        buffer_m: zona.buffer_m,
+        downwind: aSotavento
+      };
+    })
+    .filter((resultado) => resultado.distance_m < resultado.buffer_m)
+    .sort((a, b) => a.distance_m - b.distance_m);
+}
+
+/**
+ * Zonas sensibles de un predio
+ */
+export async function obtenerZonasSensibles(premiseId) {
+  try {
+    const { data, error } = await supabase
+      .from('premise_sensitive_areas')
+      .select('*')
+      .eq('premise_id', premiseId)
+      .order('created_at', { ascending: true });
+
+    if (error) throw error;
+    return data || [];
+  } catch (error) {
+    console.error('Error en obtenerZonasSensibles:', error);
+    throw error;
+  }
+}
+
+/**
+ * Crea una zona sensible dibujada en el mapa del predio
+ * @param {Object} datos - firm_id, premise_id, name, area_type, geometry, buffer_m, notes
+ * @param {string} userId
+ * @returns {Promise<Object>} Zona creada
+ */
+export async function crearZonaSensible(datos, userId = null) {
+  try {
+    if (!datos.firm_id || !datos.premise_id) {
+      throw new Error('Firma y Predio son obligatorios');
+    }
+    if (!TIPOS_ZONA_SENSIBLE[datos.area_type]) {
+      throw new Error('Tipo de zona sensible inválido');
+    }
+    if (!datos.geometry?.type || !datos.geometry?.coordinates) {
+      throw new Error('Dibuje la zona en el mapa');
+    }
+
+    const distancia = numeroOpcional(datos.buffer_m);
+    if (distancia !== null && distancia < 0) {
+      throw new Error('La distancia de resguardo no puede ser negativa');
+    }
+    const tipo = TIPOS_ZONA_SENSIBLE[datos.area_type];
+
+    const { data, error } = await supabase
+      .from('premise_sensitive_areas')
+      .insert([{
+        firm_id: datos.firm_id,
+        premise_id: datos.premise_id,
+        name: datos.name?.trim() || tipo.etiqueta,
+        area_type: datos.area_type,
+        geometry: datos.geometry,
+        buffer_m: distancia ?? tipo.distancia_m,
+        notes: datos.notes || null,
+        created_by: userId
+      }])
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    registrarAuditoria(
+      'work_manager',
+      data,
+      'zona_sensible_creada',
+      `Zona sensible "${data.name}" (${tipo.etiqueta}) con resguardo de ${data.buffer_m} m`,
+      data.id,
+      { area_id: data.id, area_type: data.area_type, buffer_m: data.buffer_m },
+      userId
+    );
+
+    return data;
+  } catch (error) {
+    console.error('Error en crearZonaSensible:', error);
+    throw error;
+  }
+}
+
+/**
+ * Actualiza nombre, distancia de resguardo o notas de una zona sensible
+ */
+export async function actualizarZonaSensible(zona, cambios, userId = null) {
+  try {
+    const actualizacion = { updated_at: new Date().toISOString() };
+    if (cambios.name !== undefined) actualizacion.name = cambios.name.trim() || zona.name;
+    if (cambios.notes !== undefined) actualizacion.notes = cambios.notes || null;
+    if (cambios.buffer_m !== undefined) {
+      const distancia = numeroOpcional(cambios.buffer_m);
+      if (distancia === null || distancia < 0) {
+        throw new Error('La distancia de resguardo debe ser un número mayor o igual a 0');
+      }
+      actualizacion.buffer_m = Math.round(distancia);
+    }
+
+    const { data, error } = await supabase
+      .from('premise_sensitive_areas')
+      .update(actualizacion)
+      .eq('id', zona.id)
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    if (actualizacion.buffer_m !== undefined && actualizacion.buffer_m !== zona.buffer_m) {
+      registrarAuditoria(
+        'work_manager',
+        data,
+        'zona_sensible_actualizada',
+        `Resguardo de "${data.name}" cambiado de ${zona.buffer_m} m a ${data.buffer_m} m`,
+        data.id,
+        { area_id: data.id, buffer_anterior: zona.buffer_m, buffer_m: data.buffer_m },
+        userId
+      );
+    }
+
+    return data;
+  } catch (error) {
+    console.error('Error en actualizarZonaSensible:', error);
+    throw error;
+  }
+}
+
+/**
+ * Elimina una zona sensible
+ */
+export async function eliminarZonaSensible(zona, userId = null) {
+  try {
+    const { error } = await supabase
+      .from('premise_sensitive_areas')
+      .delete()
+      .eq('id', zona.id);
+
+    if (error) throw error;
+
+    registrarAuditoria(
+      'work_manager',
+      zona,
+      'zona_sensible_eliminada',
+      `Zona sensible "${zona.name}" eliminada`,
+      zona.id,
+      { area_id: zona.id, area_type: zona.area_type },
+      userId
+    );
+  } catch (error) {
+    console.error('Error en eliminarZonaSensible:', error);
+    throw error;
+  }
+}
+
+// =============================================
+// REGISTRO DE APLICACIONES
+// =============================================
+
+/**
+ * Aplicaciones de un predio con filtros opcionales
+ * @param {string} premiseId
+ * @param {Object} filtros - { lotId, desde, hasta }
+ * @returns {Promise<Array>}
+ */
+export async function obtenerAplicaciones(premiseId, filtros = {}) {
+  try {
+    let query = supabase
+      .from('spray_records')
+      .select('*, lots(name), machinery(code, name)')
+      .eq('premise_id', premiseId);
+
+    if (filtros.lotId) query = query.eq('lot_id', filtros.lotId);
+    if (filtros.desde) query = query.gte('application_date', filtros.desde);
+    if (filtros.hasta) query = query.lte('application_date', filtros.hasta);
+
+    const { data, error } = await query
+      .order('application_date', { ascending: false })
+      .order('start_time', { ascending: false });
+
+    if (error) throw error;
+    return data || [];
+  } catch (error) {
+    console.error('Error en obtenerAplicaciones:', error);
+    throw error;
+  }
+}
+
+/**
+ * Trabajos agrícolas de un lote que usan algún fitosanitario, para vincular la aplicación
+ * y tomar de ellos fecha, superficie, producto y dosis
+ * @param {string} lotId
+ * @returns {Promise<Array>} Trabajos con `fitosanitarios` (work_inputs con su insumo)
+ */
+export async function obtenerTrabajosFitosanitarios(lotId) {
+  try {
+    const { data, error } = await supabase
+      .from('agricultural_works')
+      .select('id, date, work_type, hectares, status, work_inputs(*, inputs(*))')
+      .eq('lot_id', lotId)
+      .neq('status', 'CANCELLED')
+      .order('date', { ascending: false });
+
+    if (error) throw error;
+
+    return (data || [])
+      .map((trabajo) => ({
+        ...trabajo,
+        fitosanitarios: (trabajo.work_inputs || []).filter((wi) => wi.inputs?.category === 'phytosanitary')
+      }))
+      .filter((trabajo) => trabajo.fitosanitarios.length > 0);
+  } catch (error) {
+    console.error('Error en obtenerTrabajosFitosanitarios:', error);
+    throw error;
+  }
+}
+
+/**
+ * Registra una aplicación fitosanitaria.
+ * Los intervalos se recalculan desde el producto y el control de distancias contra las zonas
+ * sensibles del predio se vuelve a hacer acá; si hay advertencias deben estar aceptadas
+ * @param {Object} datos - firm_id, premise_id, lot_id, work_id, input_id, dose_per_ha, dose_unit,
+ *   treated_area_ha, crop, target_pest, application_date, start_time, end_time, applicator_name,
+ *   applicator_licence, machinery_id, machine_description, nozzle_type, pressure_bar, volume_l_ha,
+ *   wind_speed_kmh, wind_direction, temperature_c, relative_humidity, warnings_acknowledged, notes
+ * @param {Object} lote - Lote con poligono / polygon_data
+ * @param {string} userId
+ * @returns {Promise<Object>} Aplicación creada
+ */
+export async function crearAplicacion(datos, lote, userId = null) {
+  try {
+    if (!datos.firm_id || !datos.premise_id || !datos.lot_id) {
+      throw new Error('Firma, Predio y Lote son obligatorios');
+    }
+    if (!datos.input_id) throw new Error('Seleccione el producto aplicado');
+    if (!datos.application_date) throw new Error('La fecha de aplicación es obligatoria');
+    if (!datos.applicator_name?.trim() || !datos.applicator_licence?.trim()) {
+      throw new Error('El aplicador y su carnet habilitante son obligatorios');
+    }
+    if (!DIRECCIONES_VIENTO.includes(datos.wind_direction)) {
+      throw new Error('Dirección del viento inválida');
+    }
+    if (!datos.start_time || !datos.end_time) {
+      throw new Error('Las horas de inicio y fin de la aplicación son obligatorias');
+    }
+    if (datos.end_time < datos.start_time) {
+      throw new Error('La hora de fin no puede ser anterior a la de inicio');
+    }
+
+    const dosis = numeroOpcional(datos.dose_per_ha);
+    const superficie = numeroOpcional(datos.treated_area_ha);
+    const caudal = numeroOpcional(datos.volume_l_ha);
+    const viento = numeroOpcional(datos.wind_speed_kmh);
+    const temperatura = numeroOpcional(datos.temperature_c);
+    const humedad = numeroOpcional(datos.relative_humidity);
+
+    if (!(dosis > 0)) throw new Error('La dosis debe ser mayor a 0');
+    if (!(superficie > 0)) throw new Error('La superficie tratada debe ser mayor a 0');
+    if (!(caudal > 0)) throw new Error('El volumen de aplicación debe ser mayor a 0');
+    if (viento === null || viento < 0) throw new Error('Indique la velocidad del viento');
+    if (temperatura === null) throw new Error('Indique la temperatura');
+    if (humedad === null || humedad < 0 || humedad > 100) {
+      throw new Error('La humedad relativa debe estar entre 0 y 100%');
+    }
+
+    const { data: insumo, error: errorInsumo } = await supabase
+      .from('inputs')
+      .select('id, name, active_ingredient, reentry_hours, preharvest_days')
+      .eq('id', datos.input_id)
+      .single();
+
+    if (errorInsumo) throw errorInsumo;
+
+    const zonas = await obtenerZonasSensibles(datos.premise_id);
+    const advertenciasDistancia = verificarDistanciasSensibles(
+      lote.poligono || lote.polygon_data,
+      zonas,
+      datos.wind_direction
+    );
+    const advertenciasCondiciones = evaluarCondiciones({ viento, temperatura, humedad });
+
+    if ((advertenciasDistancia.length > 0 || advertenciasCondiciones.length > 0) && !datos.warnings_acknowledged) {
+      throw new Error('La aplicación tiene advertencias de distancia o de condiciones que deben aceptarse antes de registrarla');
+    }
+
+    const intervalos = calcularIntervalos(insumo, datos.application_date, datos.end_time);
+
+    const { data, error } = await supabase
+      .from('spray_records')
+      .insert([{
+        firm_id: datos.firm_id,
+        premise_id: datos.premise_id,
+        lot_id: datos.lot_id,
+        work_id: datos.work_id || null,
+        input_id: insumo.id,
+        product_name: insumo.name,
+        active_ingredient: insumo.active_ingredient || null,
+        dose_per_ha: dosis,
+        dose_unit: datos.dose_unit || 'L/ha',
+        treated_area_ha: superficie,
+        total_quantity: redondear(dosis * superficie, 3),
+        crop: datos.crop || null,
+        target_pest: datos.target_pest || null,
+        application_date: datos.application_date,
+        start_time: datos.start_time || null,
+        end_time: datos.end_time || null,
+        applicator_name: datos.applicator_name.trim(),
+        applicator_licence: datos.applicator_licence.trim(),
+        machinery_id: datos.machinery_id || null,
+        machine_description: datos.machine_description || null,
+        nozzle_type: datos.nozzle_type || null,
+        pressure_bar: numeroOpcional(datos.pressure_bar),
+        volume_l_ha: caudal,
+        wind_speed_kmh: viento,
+        wind_direction: datos.wind_direction,
+        temperature_c: temperatura,
+        relative_humidity: humedad,
+        ...intervalos,
+        buffer_warnings: advertenciasDistancia,
+        condition_warnings: advertenciasCondiciones,
+        warnings_acknowledged: !!datos.warnings_acknowledged,
+        notes: datos.notes || null,
+        created_by: userId
+      }])
+      .select('*, lots(name), machinery(code, name)')
+      .single();
+
+    if (error) throw error;
+
+    const advertencias = advertenciasDistancia.length + advertenciasCondiciones.length;
+    registrarAuditoria(
+      'work_manager',
+      data,
+      'aplicacion_fitosanitaria_registrada',
+      `Aplicación de ${data.product_name} (${data.dose_per_ha} ${data.dose_unit}) en ${data.treated_area_ha} ha` +
+        (advertencias > 0 ? ` con ${advertencias} advertencia(s) aceptada(s)` : ''),
+      data.id,
+      {
+        spray_record_id: data.id,
+        work_id: data.work_id,
+        input_id: data.input_id,
+        applicator_licence: data.applicator_licence,
+        buffer_warnings: advertenciasDistancia,
+        condition_warnings: advertenciasCondiciones,
+        harvest_allowed_from: data.harvest_allowed_from
+      },
+      userId
+    );
+
+    return data;
+  } catch (error) {
+    console.error('Error en crearAplicacion:', error);
+    throw error;
+  }
+}
+
+/**
+ * Elimina una aplicación del registro
+ */
+export async function eliminarAplicacion(aplicacion, userId = null) {
+  try {
+    const { error } = await supabase
+      .from('spray_records')
+      .delete()
+      .eq('id', aplicacion.id);
+
+    if (error) throw error;
+
+    registrarAuditoria(
+      'work_manager',
+      aplicacion,
+      'aplicacion_fitosanitaria_eliminada',
+      `Aplicación de ${aplicacion.product_name} del ${aplicacion.application_date} eliminada`,
+      aplicacion.id,
+      { spray_record_id: aplicacion.id },
+      userId
+    );
+  } catch (error) {
+    console.error('Error en eliminarAplicacion:', error);
+    throw error;
+  }
+}
+
+/**
+ * Exporta el registro de aplicaciones en el formato que piden las certificadoras
+ * @param {Array} aplicaciones - Resultado de obtenerAplicaciones
+ * @param {string} nombrePredio
+ */
+export function exportarRegistroAplicacionesXLSX(aplicaciones, nombrePredio = '') {
+  try {
+    const filas = aplicaciones.map((a) => ({
+      'Fecha': a.application_date,
+      'Hora inicio': a.start_time?.slice(0, 5) || '',
+      'Hora fin': a.end_time?.slice(0, 5) || '',
+      'Lote': a.lots?.name || '',
+      'Cultivo': a.crop || '',
+      'Plaga / objetivo': a.target_pest || '',
+      'Producto': a.product_name,
+      'Principio activo': a.active_ingredient || '',
+      'Dosis': a.dose_per_ha,
+      'Unidad': a.dose_unit,
+      'Superficie (ha)': a.treated_area_ha,
+      'Cantidad total': a.total_quantity,
+      'Aplicador': a.applicator_name,
+      'Carnet aplicador': a.applicator_licence,
+      'Máquina': a.machinery ? `${a.machinery.code} - ${a.machinery.name}` : (a.machine_description || ''),
+      'Pico': a.nozzle_type || '',
+      'Presión (bar)': a.pressure_bar ?? '',
+      'Volumen (L/ha)': a.volume_l_ha,
+      'Viento (km/h)': a.wind_speed_kmh,
+      'Dirección viento': a.wind_direction,
+      'Temperatura (°C)': a.temperature_c,
+      'Humedad (%)': a.relative_humidity,
+      'Reingreso (h)': a.reentry_hours ?? '',
+      'Reingreso desde': a.reentry_until ? new Date(a.reentry_until).toLocaleString('es-UY') : '',
+      'Carencia (días)': a.preharvest_days ?? '',
+      'Cosecha desde': a.harvest_allowed_from || '',
+      'Zonas sensibles cercanas': (a.buffer_warnings || [])
+        .map((z) => `${z.name} (${z.distance_m} m / ${z.buffer_m} m)`)
+        .join('; '),
+      'Condiciones fuera de rango': (a.condition_warnings || [])
+        .map((clave) => ADVERTENCIAS_CONDICIONES[clave] || clave)
+        .join('; '),
+      'Observaciones': a.notes || ''
+    }));
+
+    const worksheet = XLSX.utils.json_to_sheet(filas);
+    const workbook = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(workbook, worksheet, 'Aplicaciones');
+
+    const fecha = hoy();
+    const sufijo = nombrePredio ? `_${nombrePredio.replace(/\s+/g, '_').toLowerCase()}` : '';
+    XLSX.writeFile(workbook, `registro_aplicaciones${sufijo}_${fecha}.xlsx`);
+  } catch (error) {
+    console.error('Error en exportarRegistroAplicacionesXLSX:', error);
+    throw error;
+  }
+}
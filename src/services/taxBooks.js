@@ -0,0 +1,761 @@
+/**
+ * Servicio de libros tributarios (DGI)
+ * - Libro de IVA compras y ventas por mes, discriminado por tasa (básica, mínima, exento)
+ * - Retenciones de IMEBA / IRAE sobre ventas de ganado y granos: estimadas con las tasas
+ *   de la firma o registradas desde el resguardo del agente de retención
+ * - Exportación a Excel con el resumen y el detalle por RUT que pide el contador
+ * Tablas: tax_settings, tax_withholdings (add_tax_books.sql)
+ * Importes en moneda base (UYU), convertidos con el tipo de cambio sellado en cada documento
+ */
+
+import * as XLSX from 'xlsx';
+import { supabase } from '../lib/supabase';
+import { CATEGORIAS_INGRESO } from '../lib/incomeCategories.config';
+import { registrarAuditoria } from './registros';
+import { MONEDA_BASE, crearConversorMoneda } from './exchangeRates';
+import { redondearImporte } from '../lib/numeros';
+
+export const TASAS_IVA = {
+  BASICA: 22,
+  MINIMA: 10,
+  EXENTO: 0
+};
+
+export const TIPOS_RETENCION = {
+  IMEBA: 'IMEBA',
+  IMEBA_ADICIONAL: 'IMEBA_ADICIONAL',
+  IRAE: 'IRAE'
+};
+
+export const REGIMENES = {
+  IMEBA: 'IMEBA',
+  IRAE: 'IRAE'
+};
+
+// Categorías de ingreso alcanzadas por retenciones (enajenación de bienes agropecuarios)
+export const CATEGORIAS_RETENCION = {
+  [CATEGORIAS_INGRESO.VENTA_GANADO]: 'ganado',
+  [CATEGORIAS_INGRESO.VENTA_GRANOS]: 'granos'
+};
+
+const CONFIGURACION_DEFECTO = {
+  income_tax_regime: REGIMENES.IMEBA,
+  imeba_livestock_rate: 2.0,
+  imeba_grain_rate: 2.0,
+  imeba_additional_rate: 0.6,
+  irae_withholding_rate: 2.0
+};
+
+const ESTADOS_FACTURA = ['pendiente', 'completada'];
+const ESTADOS_INGRESO = ['CONFIRMED', 'COLLECTED_PARTIAL', 'COLLECTED'];
+const ESTADOS_VENTA = ['CONFIRMED', 'INVOICED'];
+
+// Diferencia admitida (en puntos porcentuales) entre la tasa implícita y una tasa legal,
+// por el redondeo del IVA del documento
+const TOLERANCIA_TASA = 0.5;
+
+const numeroDocumento = (serie, numero) => [serie, numero].filter(Boolean).join('-');
+
+/**
+ * Primer y último día de un mes
+ * @param {string} periodo - YYYY-MM
+ * @returns {Object} { desde, hasta }
+ */
+export function rangoPeriodo(periodo) {
+  const [anio, mes] = periodo.split('-').map(Number);
+  const ultimoDia = new Date(Date.UTC(anio, mes, 0)).getUTCDate();
+  return {
+    desde: `${periodo}-01`,
+    hasta: `${periodo}-${String(ultimoDia).padStart(2, '0')}`
+  };
+}
+
+/**
+ * Tasa de IVA de un renglón: básica (22%), mínima (10%) o exento.
+ * Los porcentajes intermedios se asignan a la tasa más cercana.
+ * @param {number} tasa - Porcentaje
+ * @returns {'basica'|'minima'|'exento'}
+ */
+export function clasificarTasa(tasa) {
+  const valor = parseFloat(tasa) || 0;
+  if (valor <= 0) return 'exento';
+  return Math.abs(valor - TASAS_IVA.BASICA) <= Math.abs(valor - TASAS_IVA.MINIMA) ? 'basica' : 'minima';
+}
+
+/**
+ * Tasa implícita de un documento sin renglones (iva / neto), solo si coincide con una
+ * tasa legal. Un documento con renglones a varias tasas da un porcentaje intermedio que
+ * no se puede repartir sin los renglones: devuelve null y el documento queda sin clasificar.
+ * @returns {number|null}
+ */
+function tasaImplicita(neto, iva) {
+  const base = parseFloat(neto) || 0;
+  const impuesto = parseFloat(iva) || 0;
+  if (base <= 0) return impuesto > 0 ? null : TASAS_IVA.EXENTO;
+
+  const tasa = (impuesto / base) * 100;
+  const legal = Object.values(TASAS_IVA).find((t) => Math.abs(tasa - t) <= TOLERANCIA_TASA);
+  return legal ?? null;
+}
+
+/**
+ * Suma netos e IVA de los renglones por tasa. Los renglones con tasa null (documentos
+ * con varias tasas y sin renglones) se informan aparte en sin_clasificar.
+ * @param {Array} renglones - [{ neto, iva, tasa }]
+ * @returns {Object} { basica, minima, exento, sin_clasificar: { neto, iva }, total }
+ */
+export function desglosarPorTasa(renglones = []) {
+  const desglose = {
+    basica: { neto: 0, iva: 0 },
+    minima: { neto: 0, iva: 0 },
+    exento: { neto: 0, iva: 0 },
+    sin_clasificar: { neto: 0, iva: 0 }
+  };
+
+  renglones.forEach((renglon) => {
+    const tasa = renglon.tasa === null ? 'sin_clasificar' : clasificarTasa(renglon.tasa);
+    desglose[tasa].neto += parseFloat(renglon.neto) || 0;
+    desglose[tasa].iva += parseFloat(renglon.iva) || 0;
+  });
+
+  Object.values(desglose).forEach((d) => {
+    d.neto = redondearImporte(d.neto);
+    d.iva = redondearImporte(d.iva);
+  });
+
+  return {
+    ...desglose,
+    total: redondearImporte(
+      desglose.basica.neto + desglose.basica.iva +
+      desglose.minima.neto + desglose.minima.iva +
+      desglose.exento.neto +
+      desglose.sin_clasificar.neto + desglose.sin_clasificar.iva
+    )
+  };
+}
+
+/**
+ * Suma los desgloses de varios documentos
+ */
+function sumarDesgloses(documentos) {
+  return desglosarPorTasa(
+    documentos.flatMap((doc) =>
+      ['basica', 'minima', 'exento', 'sin_clasificar'].map((tasa) => ({
+        neto: doc.desglose[tasa].neto,
+        iva: doc.desglose[tasa].iva,
+        tasa: tasa === 'sin_clasificar' ? null : TASAS_IVA[tasa.toUpperCase()]
+      }))
+    )
+  );
+}
+
+const sinClasificar = (documento) =>
+  documento.desglose.sin_clasificar.neto !== 0 || documento.desglose.sin_clasificar.iva !== 0;
+
+// ============================================================================
+// CONFIGURACIÓN
+// ============================================================================
+
+/**
+ * Configuración tributaria de la firma (con valores por defecto si no fue guardada)
+ * @param {string} firmId - ID de la firma
+ * @returns {Promise<Object>} { data, error }
+ */
+export async function obtenerConfiguracionTributaria(firmId) {
+  try {
+    const { data, error } = await supabase
+      .from('tax_settings')
+      .select('*')
+      .eq('firm_id', firmId)
+      .maybeSingle();
+
+    if (error) throw error;
+    return { data: { ...CONFIGURACION_DEFECTO, ...(data || {}), firm_id: firmId }, error: null };
+  } catch (error) {
+    console.error('Error en obtenerConfiguracionTributaria:', error);
+    return { data: null, error };
+  }
+}
+
+/**
+ * Guardar régimen y tasas de retención de la firma
+ * @param {string} firmId - ID de la firma
+ * @param {Object} configuracion - { income_tax_regime, imeba_livestock_rate, ... }
+ * @param {string} userId - ID del usuario
+ * @returns {Promise<Object>} { data, error }
+ */
+export async function guardarConfiguracionTributaria(firmId, configuracion, userId = null) {
+  try {
+    if (!Object.values(REGIMENES).includes(configuracion.income_tax_regime)) {
+      throw new Error('Régimen tributario inválido');
+    }
+
+    const tasas = ['imeba_livestock_rate', 'imeba_grain_rate', 'imeba_additional_rate', 'irae_withholding_rate'];
+    for (const campo of tasas) {
+      const valor = parseFloat(configuracion[campo]);
+      if (isNaN(valor) || valor < 0 || valor > 100) {
+        throw new Error('Las tasas deben estar entre 0 y 100');
+      }
+    }
+
+    const { data, error } = await supabase
+      .from('tax_settings')
+      .upsert([{
+        firm_id: firmId,
+        income_tax_regime: configuracion.income_tax_regime,
+        ...Object.fromEntries(tasas.map((campo) => [campo, parseFloat(configuracion[campo])])),
+        updated_by: userId,
+        updated_at: new Date().toISOString()
+      }], { onConflict: 'firm_id' })
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    await registrarAuditoria(
+      'modulo_08_finanzas',
+      data,
+      'configuracion_tributaria_actualizada',
+      `Configuración tributaria actualizada - Régimen ${data.income_tax_regime}`,
+      data.id,
+      data,
+      userId
+    );
+
+    return { data, error: null };
+  } catch (error) {
+    console.error('Error en guardarConfiguracionTributaria:', error);
+    return { data: null, error };
+  }
+}
+
+// ============================================================================
+// LIBROS DE IVA
+// ============================================================================
+
+/**
+ * Libro de IVA compras: facturas de compra del mes con el IVA discriminado por tasa
+ * @param {string} firmId - ID de la firma
+ * @param {string} periodo - YYYY-MM
+ * @returns {Promise<Object>} { data: { documentos, totales, sinTipoCambio, sinClasificar }, error }
+ */
+export async function obtenerLibroCompras(firmId, periodo) {
+  try {
+    const { desde, hasta } = rangoPeriodo(periodo);
+
+    const { data, error } = await supabase
+      .from('expenses')
+      .select('id, invoice_series, invoice_number, invoice_date, provider_name, provider_rut, category, currency, exchange_rate, subtotal, iva_amount, total_amount, expense_items(subtotal, tax_rate, tax_amount)')
+      .eq('firm_id', firmId)
+      .in('status', ESTADOS_FACTURA)
+      .gte('invoice_date', desde)
+      .lte('invoice_date', hasta)
+      .order('invoice_date', { ascending: true });
+
+    if (error) throw error;
+
+    const conversor = await crearConversorMoneda({ firmId, moneda: MONEDA_BASE, hasta });
+    const aUYU = (monto, factura) =>
+      conversor.convertir(monto, factura.currency || MONEDA_BASE, factura.invoice_date, factura.exchange_rate);
+
+    const documentos = (data || []).map((factura) => {
+      // Con renglones se usa la tasa de cada ítem; sin renglones, la tasa implícita del total
+      const items = factura.expense_items || [];
+      const renglones = items.length > 0
+        ? items.map((item) => ({ neto: aUYU(item.subtotal, factura), iva: aUYU(item.tax_amount, factura), tasa: item.tax_rate }))
+        : [{
+            neto: aUYU(factura.subtotal, factura),
+            iva: aUYU(factura.iva_amount, factura),
+            tasa: tasaImplicita(factura.subtotal, factura.iva_amount)
+          }];
+
+      return {
+        id: factura.id,
+        fecha: factura.invoice_date,
+        comprobante: numeroDocumento(factura.invoice_series, factura.invoice_number),
+        nombre: factura.provider_name,
+        rut: factura.provider_rut || '',
+        concepto: factura.category,
+        moneda: factura.currency || MONEDA_BASE,
+        tipo_cambio: factura.exchange_rate,
+        total_original: parseFloat(factura.total_amount) || 0,
+        desglose: desglosarPorTasa(renglones),
+        sin_clasificar: renglones.some((r) => r.tasa === null)
+      };
+    });
+
+    return {
+      data: {
+        documentos,
+        totales: sumarDesgloses(documentos),
+        sinTipoCambio: conversor.sinTipoCambio(),
+        sinClasificar: documentos.filter(sinClasificar).length
+      },
+      error: null
+    };
+  } catch (error) {
+    console.error('Error en obtenerLibroCompras:', error);
+    return { data: null, error };
+  }
+}
+
+/**
+ * Desglose de un ingreso (sin renglones): su tasa declarada o la implícita
+ */
+function desglosarDocumentoIngreso(ingreso, aUYU) {
+  const tasa = ingreso.tax_rate ?? tasaImplicita(ingreso.subtotal, ingreso.iva_amount);
+  return {
+    desglose: desglosarPorTasa([{
+      neto: aUYU(ingreso.subtotal, ingreso, ingreso.invoice_date),
+      iva: aUYU(ingreso.iva_amount, ingreso, ingreso.invoice_date),
+      tasa
+    }]),
+    sin_clasificar: tasa === null
+  };
+}
+
+/**
+ * Libro de IVA ventas: ventas confirmadas más ingresos que no provienen de una venta
+ * (los ingresos generados al confirmar una venta no se cuentan dos veces)
+ * @param {string} firmId - ID de la firma
+ * @param {string} periodo - YYYY-MM
+ * @returns {Promise<Object>} { data: { documentos, totales, sinTipoCambio, sinClasificar }, error }
+ */
+export async function obtenerLibroVentas(firmId, periodo) {
+  try {
+    const { desde, hasta } = rangoPeriodo(periodo);
+
+    const [ventas, ingresos] = await Promise.all([
+      supabase
+        .from('sales')
+        .select('*, sale_items(subtotal, tax_rate, tax_amount)')
+        .eq('firm_id', firmId)
+        .in('status', ESTADOS_VENTA)
+        .gte('sale_date', desde)
+        .lte('sale_date', hasta),
+      supabase
+        .from('income')
+        .select('*')
+        .eq('firm_id', firmId)
+        .in('status', ESTADOS_INGRESO)
+        .gte('invoice_date', desde)
+        .lte('invoice_date', hasta)
+    ]);
+
+    if (ventas.error) throw ventas.error;
+    if (ingresos.error) throw ingresos.error;
+
+    const conversor = await crearConversorMoneda({ firmId, moneda: MONEDA_BASE, hasta });
+    const aUYU = (monto, doc, fecha) =>
+      conversor.convertir(monto, doc.currency || MONEDA_BASE, fecha, doc.exchange_rate);
+
+    const documentosVenta = (ventas.data || []).map((venta) => {
+      const items = venta.sale_items || [];
+      const renglones = items.length > 0
+        ? items.map((item) => ({
+            neto: aUYU(item.subtotal, venta, venta.sale_date),
+            iva: aUYU(item.tax_amount, venta, venta.sale_date),
+            tasa: item.tax_rate
+          }))
+        : [{
+            neto: aUYU(venta.subtotal, venta, venta.sale_date),
+            iva: aUYU(venta.tax_amount, venta, venta.sale_date),
+            tasa: tasaImplicita(venta.subtotal, venta.tax_amount)
+          }];
+
+      return {
+        id: venta.id,
+        origen: 'sale',
+        fecha: venta.sale_date,
+        comprobante: venta.invoice_number || '',
+        nombre: venta.client_name,
+        rut: venta.client_rut || '',
+        concepto: 'Venta',
+        moneda: venta.currency || MONEDA_BASE,
+        tipo_cambio: venta.exchange_rate,
+        total_original: parseFloat(venta.total_amount) || 0,
+        desglose: desglosarPorTasa(renglones),
+        sin_clasificar: renglones.some((r) => r.tasa === null)
+      };
+    });
+
+    const documentosIngreso = (ingresos.data || [])
+      .filter((ingreso) => !ingreso.sale_id && !ingreso.metadata?.sale_id)
+      .map((ingreso) => ({
+        id: ingreso.id,
+        origen: 'income',
+        fecha: ingreso.invoice_date,
+        comprobante: numeroDocumento(ingreso.invoice_series, ingreso.invoice_number),
+        nombre: ingreso.client_name,
+        rut: ingreso.client_rut || '',
+        concepto: ingreso.category,
+        moneda: ingreso.currency || MONEDA_BASE,
+        tipo_cambio: ingreso.exchange_rate,
+        total_original: parseFloat(ingreso.total_amount) || 0,
+        ...desglosarDocumentoIngreso(ingreso, aUYU)
+      }));
+
+    const documentos = [...documentosVenta, ...documentosIngreso]
+      .sort((a, b) => (a.fecha || '').localeCompare(b.fecha || ''));
+
+    return {
+      data: {
+        documentos,
+        totales: sumarDesgloses(documentos),
+        sinTipoCambio: conversor.sinTipoCambio(),
+        sinClasificar: documentos.filter(sinClasificar).length
+      },
+      error: null
+    };
+  } catch (error) {
+    console.error('Error en obtenerLibroVentas:', error);
+    return { data: null, error };
+  }
+}
+
+// ============================================================================
+// RETENCIONES
+// ============================================================================
+
+/**
+ * Retenciones que corresponden a una venta de ganado o granos según el régimen de la firma.
+ * IMEBA (más adicionales) si la firma liquida IMEBA; retención de IRAE si liquida IRAE.
+ * @param {number} base - Monto neto en UYU
+ * @param {'ganado'|'granos'} rubro
+ * @param {Object} configuracion - Fila de tax_settings
+ * @returns {Array} [{ tipo, tasa, monto }]
+ */
+export function calcularRetenciones(base, rubro, configuracion = CONFIGURACION_DEFECTO) {
+  const retencion = (tipo, tasa) => ({ tipo, tasa: parseFloat(tasa) || 0, monto: redondearImporte(base * (parseFloat(tasa) || 0) / 100) });
+
+  if (configuracion.income_tax_regime === REGIMENES.IRAE) {
+    return [retencion(TIPOS_RETENCION.IRAE, configuracion.irae_withholding_rate)];
+  }
+
+  const tasaImeba = rubro === 'ganado' ? configuracion.imeba_livestock_rate : configuracion.imeba_grain_rate;
+  return [
+    retencion(TIPOS_RETENCION.IMEBA, tasaImeba),
+    retencion(TIPOS_RETENCION.IMEBA_ADICIONAL, configuracion.imeba_additional_rate)
+  ];
+}
+
+/**
+ * Retenciones del mes sobre ventas de ganado y granos.
+ * Por cada ingreso alcanzado se usan los resguardos registrados; si no hay, se estima
+ * con las tasas de la firma (estimada = true) para que el contador los reclame.
+ * @param {string} firmId - ID de la firma
+ * @param {string} periodo - YYYY-MM
+ * @returns {Promise<Object>} { data: { ventas, totales, configuracion }, error }
+ */
+export async function obtenerRetenciones(firmId, periodo) {
+  try {
+    const { desde, hasta } = rangoPeriodo(periodo);
+
+    const [{ data: configuracion, error: configError }, ingresos] = await Promise.all([
+      obtenerConfiguracionTributaria(firmId),
+      supabase
+        .from('income')
+        .select('id, invoice_series, invoice_number, invoice_date, client_name, client_rut, category, currency, exchange_rate, subtotal, tax_withholdings(*)')
+        .eq('firm_id', firmId)
+        .in('status', ESTADOS_INGRESO)
+        .in('category', Object.keys(CATEGORIAS_RETENCION))
+        .gte('invoice_date', desde)
+        .lte('invoice_date', hasta)
+        .order('invoice_date', { ascending: true })
+    ]);
+
+    if (configError) throw configError;
+    if (ingresos.error) throw ingresos.error;
+
+    const conversor = await crearConversorMoneda({ firmId, moneda: MONEDA_BASE, hasta });
+
+    const ventas = (ingresos.data || []).map((ingreso) => {
+      const base = conversor.convertir(ingreso.subtotal, ingreso.currency || MONEDA_BASE, ingreso.invoice_date, ingreso.exchange_rate);
+      const registradas = ingreso.tax_withholdings || [];
+      const retenciones = registradas.length > 0
+        ? registradas.map((r) => ({
+            id: r.id,
+            tipo: r.tax_type,
+            tasa: parseFloat(r.rate) || 0,
+            monto: parseFloat(r.amount) || 0,
+            agente: r.agent_name,
+            resguardo: r.certificate_number
+          }))
+        : calcularRetenciones(base, CATEGORIAS_RETENCION[ingreso.category], configuracion);
+
+      return {
+        id: ingreso.id,
+        fecha: ingreso.invoice_date,
+        comprobante: numeroDocumento(ingreso.invoice_series, ingreso.invoice_number),
+        nombre: ingreso.client_name,
+        rut: ingreso.client_rut || '',
+        rubro: CATEGORIAS_RETENCION[ingreso.category],
+        base: redondearImporte(base),
+        estimada: registradas.length === 0,
+        retenciones,
+        total: redondearImporte(retenciones.reduce((sum, r) => sum + r.monto, 0))
+      };
+    });
+
+    const totales = {};
+    ventas.forEach((venta) => {
+      venta.retenciones.forEach((r) => {
+        totales[r.tipo] = redondearImporte((totales[r.tipo] || 0) + r.monto);
+      });
+    });
+
+    return { data: { ventas, totales, configuracion }, error: null };
+  } catch (error) {
+    console.error('Error en obtenerRetenciones:', error);
+    return { data: null, error };
+  }
+}
+
+/**
+ * Registrar la retención informada en el resguardo del agente (frigorífico, acopiador, etc.)
+ * @param {Object} retencion - { firmId, incomeId, tipo, fecha, base, tasa, monto, agente, agenteRut, resguardo, notas, userId }
+ * @returns {Promise<Object>} { data, error }
+ */
+export async function registrarRetencion(retencion) {
+  try {
+    if (!Object.values(TIPOS_RETENCION).includes(retencion.tipo)) {
+      throw new Error('Tipo de retención inválido');
+    }
+    if (!retencion.fecha) {
+      throw new Error('La fecha de la retención es requerida');
+    }
+    const monto = parseFloat(retencion.monto);
+    if (isNaN(monto) || monto < 0) {
+      throw new Error('El monto retenido debe ser un número positivo');
+    }
+
+    const { data, error } = await supabase
+      .from('tax_withholdings')
+      .insert([{
+        firm_id: retencion.firmId,
+        income_id: retencion.incomeId || null,
+        tax_type: retencion.tipo,
+        withholding_date: retencion.fecha,
+        base_amount: parseFloat(retencion.base) || 0,
+        rate: parseFloat(retencion.tasa) || 0,
+        amount: monto,
+        agent_name: retencion.agente || null,
+        agent_rut: retencion.agenteRut || null,
+        certificate_number: retencion.resguardo || null,
+        notes: retencion.notas || null,
+        created_by: retencion.userId || null
+      }])
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    await registrarAuditoria(
+      'modulo_08_finanzas',
+      data,
+      'retencion_registrada',
+      `Retención ${data.tax_type} registrada por ${data.amount} UYU${data.certificate_number ? ` - Resguardo ${data.certificate_number}` : ''}`,
+      data.id,
+      data,
+      retencion.userId
+    );
+
+    return { data, error: null };
+  } catch (error) {
+    console.error('Error en registrarRetencion:', error);
+    return { data: null, error };
+  }
+}
+
+/**
+ * Eliminar una retención registrada (el ingreso vuelve a mostrar la estimación)
+ * @param {string} id - ID de la retención
+ * @returns {Promise<Object>} { error }
+ */
+export async function eliminarRetencion(id) {
+  try {
+    const { error } = await supabase
+      .from('tax_withholdings')
+      .delete()
+      .eq('id', id);
+
+    if (error) throw error;
+    return { error: null };
+  } catch (error) {
+    console.error('Error en eliminarRetencion:', error);
+    return { error };
+  }
+}
+
+// ============================================================================
+// RESUMEN Y EXPORTACIÓN
+// ============================================================================
+
+/**
+ * Libros de compras, ventas y retenciones del mes con la posición de IVA
+ * @param {string} firmId - ID de la firma
+ * @param {string} periodo - YYYY-MM
+ * @returns {Promise<Object>} { data: { periodo, compras, ventas, retenciones, posicion }, error }
+ */
+export async function obtenerLibrosIVA(firmId, periodo) {
+  try {
+    const [compras, ventas, retenciones] = await Promise.all([
+      obtenerLibroCompras(firmId, periodo),
+      obtenerLibroVentas(firmId, periodo),
+      obtenerRetenciones(firmId, periodo)
+    ]);
+
+    for (const resultado of [compras, ventas, retenciones]) {
+      if (resultado.error) throw resultado.error;
+    }
+
+    // El IVA de los documentos sin clasificar se conoce aunque no su tasa: entra en la posición
+    const ivaTotal = (t) => redondearImporte(t.basica.iva + t.minima.iva + t.sin_clasificar.iva);
+    const ivaVentas = ivaTotal(ventas.data.totales);
+    const ivaCompras = ivaTotal(compras.data.totales);
+
+    return {
+      data: {
+        periodo,
+        compras: compras.data,
+        ventas: ventas.data,
+        retenciones: retenciones.data,
+        posicion: {
+          iva_ventas: ivaVentas,
+          iva_compras: ivaCompras,
+          saldo: redondearImporte(ivaVentas - ivaCompras)
+        }
+      },
+      error: null
+    };
+  } catch (error) {
+    console.error('Error en obtenerLibrosIVA:', error);
+    return { data: null, error };
+  }
+}
+
+/**
+ * Agrupa documentos por RUT de la contraparte (detalle para las declaraciones informativas)
+ */
+function agruparPorRUT(documentos) {
+  const porRUT = {};
+  documentos.forEach((doc) => {
+    const clave = doc.rut || `sin RUT - ${doc.nombre || ''}`;
+    if (!porRUT[clave]) {
+      porRUT[clave] = { rut: doc.rut, nombre: doc.nombre, documentos: [] };
+    }
+    porRUT[clave].documentos.push(doc);
+  });
+
+  return Object.values(porRUT).map((grupo) => {
+    const totales = sumarDesgloses(grupo.documentos);
+    return {
+      'RUT': grupo.rut || '',
+      'Razón social': grupo.nombre || '',
+      'Comprobantes': grupo.documentos.length,
+      'Neto básica': totales.basica.neto,
+      'IVA básica': totales.basica.iva,
+      'Neto mínima': totales.minima.neto,
+      'IVA mínima': totales.minima.iva,
+      'Exento': totales.exento.neto,
+      'Sin clasificar (neto)': totales.sin_clasificar.neto,
+      'Sin clasificar (IVA)': totales.sin_clasificar.iva,
+      'Total': totales.total
+    };
+  });
+}
+
+function filaLibro(doc) {
+  return {
+    'Fecha': doc.fecha,
+    'Comprobante': doc.comprobante,
+    'RUT': doc.rut,
+    'Razón social': doc.nombre,
+    'Concepto': doc.concepto,
+    'Neto básica (22%)': doc.desglose.basica.neto,
+    'IVA básica': doc.desglose.basica.iva,
+    'Neto mínima (10%)': doc.desglose.minima.neto,
+    'IVA mínima': doc.desglose.minima.iva,
+    'Exento': doc.desglose.exento.neto,
+    'Sin clasificar (neto)': doc.desglose.sin_clasificar.neto,
+    'Sin clasificar (IVA)': doc.desglose.sin_clasificar.iva,
+    'Total UYU': doc.desglose.total,
+    'Moneda origen': doc.moneda,
+    'Total origen': doc.total_original,
+    'Tipo de cambio': doc.tipo_cambio || ''
+  };
+}
+
+/**
+ * Exporta los libros del mes a Excel: resumen para la declaración, libros de compras y
+ * ventas, detalle por RUT y retenciones sufridas
+ * @param {Object} libros - Resultado de obtenerLibrosIVA
+ * @param {string} nombreArchivo
+ */
+export function exportarLibrosIVA(libros, nombreArchivo = `libros_iva_${libros.periodo}.xlsx`) {
+  const { compras, ventas, retenciones, posicion } = libros;
+  const wb = XLSX.utils.book_new();
+
+  const resumen = XLSX.utils.aoa_to_sheet([
+    [`Libros de IVA - Período ${libros.periodo}`],
+    ['Importes en UYU'],
+    [],
+    ['VENTAS', 'Neto', 'IVA'],
+    ['Tasa básica (22%)', ventas.totales.basica.neto, ventas.totales.basica.iva],
+    ['Tasa mínima (10%)', ventas.totales.minima.neto, ventas.totales.minima.iva],
+    ['Exentas', ventas.totales.exento.neto, 0],
+    ['Sin clasificar (varias tasas)', ventas.totales.sin_clasificar.neto, ventas.totales.sin_clasificar.iva],
+    [],
+    ['COMPRAS', 'Neto', 'IVA'],
+    ['Tasa básica (22%)', compras.totales.basica.neto, compras.totales.basica.iva],
+    ['Tasa mínima (10%)', compras.totales.minima.neto, compras.totales.minima.iva],
+    ['Exentas', compras.totales.exento.neto, 0],
+    ['Sin clasificar (varias tasas)', compras.totales.sin_clasificar.neto, compras.totales.sin_clasificar.iva],
+    [],
+    ['POSICIÓN DE IVA', '', 'Monto'],
+    ['IVA ventas', '', posicion.iva_ventas],
+    ['IVA compras', '', posicion.iva_compras],
+    [posicion.saldo >= 0 ? 'Saldo a pagar' : 'Saldo a favor', '', Math.abs(posicion.saldo)],
+    [],
+    ['RETENCIONES SUFRIDAS', '', 'Monto'],
+    ...Object.entries(retenciones.totales).map(([tipo, monto]) => [tipo, '', monto]),
+    [],
+    [`Régimen: ${retenciones.configuracion.income_tax_regime}`]
+  ]);
+  resumen['!cols'] = [{ wch: 28 }, { wch: 16 }, { wch: 16 }];
+  XLSX.utils.book_append_sheet(wb, resumen, 'Resumen');
+
+  const libroCompras = XLSX.utils.json_to_sheet(compras.documentos.map(filaLibro));
+  libroCompras['!cols'] = [
+    { wch: 12 }, { wch: 14 }, { wch: 14 }, { wch: 30 }, { wch: 18 }, { wch: 14 }, { wch: 12 },
+    { wch: 14 }, { wch: 12 }, { wch: 12 }, { wch: 14 }, { wch: 14 }, { wch: 14 }, { wch: 8 }, { wch: 14 },
+    { wch: 10 }
+  ];
+  XLSX.utils.book_append_sheet(wb, libroCompras, 'Compras');
+
+  const libroVentas = XLSX.utils.json_to_sheet(ventas.documentos.map(filaLibro));
+  libroVentas['!cols'] = libroCompras['!cols'];
+  XLSX.utils.book_append_sheet(wb, libroVentas, 'Ventas');
+
+  XLSX.utils.book_append_sheet(wb, XLSX.utils.json_to_sheet(agruparPorRUT(compras.documentos)), 'Compras por RUT');
+  XLSX.utils.book_append_sheet(wb, XLSX.utils.json_to_sheet(agruparPorRUT(ventas.documentos)), 'Ventas por RUT');
+
+  const filasRetenciones = retenciones.ventas.flatMap((venta) =>
+    venta.retenciones.map((r) => ({
+      'Fecha': venta.fecha,
+      'Comprobante': venta.comprobante,
+      'RUT agente': venta.rut,
+      'Agente': r.agente || venta.nombre,
+      'Rubro': venta.rubro,
+      'Impuesto': r.tipo,
+      'Monto imponible': venta.base,
+      'Tasa %': r.tasa,
+      'Retenido': r.monto,
+      'Resguardo': r.resguardo || '',
+      'Origen': venta.estimada ? 'Estimada' : 'Resguardo'
+    }))
+  );
+  XLSX.utils.book_append_sheet(wb, XLSX.utils.json_to_sheet(filasRetenciones), 'Retenciones');
+
+  XLSX.writeFile(wb, nombreArchivo);
+}
@@ -11,6 +11,7 @@
 
 import * as XLSX from 'xlsx';
 import { supabase } from '../lib/supabase';
+import { obtenerGenealogiaPredio, calcularRepartoSucesores } from './lotGenealogy';
 
 /**
  * Obtiene datos de trabajos agrícolas para reportes
@@ -287,12 +288,42 @@ export async function obtenerReporteComparacionProyecciones(filtros = {}) {
   }
 }
 
+/**
+ * Reparte los trabajos de lotes divididos/unidos entre los lotes activos que los sucedieron.
+ * Superficie y costos se prorratean según la fracción de superficie heredada; el trabajo
+ * sigue contando como uno en cada lote sucesor.
+ */
+async function proyectarTrabajosSobreLinaje(premiseId, trabajos) {
+  const [genealogia, { data: lotesActivos }] = await Promise.all([
+    obtenerGenealogiaPredio(premiseId),
+    supabase.from('lots').select('id, name').eq('premise_id', premiseId).eq('status', true)
+  ]);
+
+  const nombres = Object.fromEntries((lotesActivos || []).map(l => [l.id, l.name]));
+  const reparto = calcularRepartoSucesores(genealogia, new Set(Object.keys(nombres)));
+  const campos = ['hectares', 'inputs_cost', 'machinery_cost', 'labor_cost', 'other_costs'];
+
+  return trabajos.flatMap(trabajo => {
+    const destinos = reparto[trabajo.lot_id];
+    if (!destinos) return [trabajo];
+
+    return Object.entries(destinos).map(([lotId, fraccion]) => ({
+      ...trabajo,
+      ...Object.fromEntries(campos.map(c => [c, parseFloat(trabajo[c] || 0) * fraccion])),
+      lots: { name: nombres[lotId] || trabajo.lots?.name }
+    }));
+  });
+}
+
 /**
  * Obtiene análisis de costos por lote
+ * @param {string} premiseId - ID del predio
+ * @param {Object} opciones - { porLinaje: true } atribuye los costos de lotes divididos
+ *   o unidos a sus sucesores activos (prorrateo por superficie)
  */
-export async function obtenerAnalisisCostosPorLote(premiseId) {
+export async function obtenerAnalisisCostosPorLote(premiseId, opciones = {}) {
   try {
-    const { data: trabajos } = await supabase
+    const { data } = await supabase
       .from('agricultural_works')
       .select(`
         *,
@@ -301,9 +332,13 @@ export async function obtenerAnalisisCostosPorLote(premiseId) {
       .eq('premise_id', premiseId)
       .eq('status', 'APPROVED');
 
+    const trabajos = opciones.porLinaje
+      ? await proyectarTrabajosSobreLinaje(premiseId, data || [])
+      : (data || []);
+
     const costosPorLote = {};
 
-    (trabajos || []).forEach(trabajo => {
+    trabajos.forEach(trabajo => {
       const lote = trabajo.lots?.name || 'Sin Lote';
       if (!costosPorLote[lote]) {
         costosPorLote[lote] = {
@@ -488,13 +523,13 @@ export async function exportarTrabajosAExcelXLSX(premiseId, filtros = {}) {
 /**
  * Exporta resumen de costos por lote a Excel
  */
-export async function exportarCostosPorLoteXLSX(premiseId) {
+export async function exportarCostosPorLoteXLSX(premiseId, opciones = {}) {
   try {
-    const analisis = await obtenerAnalisisCostosPorLote(premiseId);
+    const analisis = await obtenerAnalisisCostosPorLote(premiseId, opciones);
 
     const excelData = analisis.map(lote => ({
       'Lote': lote.lote,
-      'Cantidad Trabajos': lote.trabajos,
+      'Cantidad Trabajos': Number(lote.trabajos.toFixed(2)),
       'Hectáreas': lote.hectareas.toFixed(2),
       'Costo Insumos': lote.costo_insumos.toFixed(2),
       'Costo Maquinaria': lote.costo_maquinaria.toFixed(2),